@@ -0,0 +1,139 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {BlobWriter, TextReader, ZipWriter} from '@zip.js/zip.js';
+import {IDBKeyRange, indexedDB} from 'fake-indexeddb';
+import {fileURLToPath} from 'node:url';
+import path from 'path';
+import {bench, describe, vi} from 'vitest';
+import {createDictionaryArchiveData} from '../dev/dictionary-archive-util.js';
+import {DictionaryDatabase} from '../ext/js/dictionary/dictionary-database.js';
+import {DictionaryImporter} from '../ext/js/dictionary/dictionary-importer.js';
+import {DictionaryImporterMediaLoader} from '../test/mocks/dictionary-importer-media-loader.js';
+import {setupStubs} from '../test/utilities/database.js';
+
+setupStubs();
+vi.stubGlobal('indexedDB', indexedDB);
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+const dictionaryDirectory = path.join(dirname, '..', 'test', 'data/dictionaries/valid-dictionary1');
+
+/** The number of terms in the generated dictionary, which is large enough for the size of the glossaries to matter. */
+const generatedTermCount = 5000;
+/** The number of terms which are looked up at once in the generated dictionary. */
+const generatedLookupCount = 500;
+const termBankSize = 2500;
+const glossaryWords = ['to read', 'book', 'letter', 'a written record', 'study', 'of a person', 'to look at', 'writing', 'the act of', 'something', 'quickly', 'carefully', 'in the evening', 'loud', 'old', 'new'];
+
+const dictionaryDatabase = new DictionaryDatabase();
+await dictionaryDatabase.prepare();
+
+/**
+ * Creates a dictionary archive with generated terms whose glossaries are about as long as those of a typical dictionary.
+ * @param {string} dictionaryName
+ * @param {number} termCount
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function createGeneratedDictionaryArchiveData(dictionaryName, termCount) {
+    const zipWriter = new ZipWriter(new BlobWriter(), {level: 0});
+    /** @type {import('dictionary-data').Index} */
+    const index = {title: dictionaryName, format: 3, revision: 'generated', sequenced: true};
+    await zipWriter.add('index.json', new TextReader(JSON.stringify(index)));
+    for (let start = 0, bankIndex = 1; start < termCount; start += termBankSize, ++bankIndex) {
+        /** @type {import('dictionary-data').TermV3[]} */
+        const termBank = [];
+        for (let i = start, ii = Math.min(start + termBankSize, termCount); i < ii; ++i) {
+            /** @type {string[]} */
+            const glossary = [];
+            for (let j = 0, jj = 1 + (i % 4); j < jj; ++j) {
+                const words = [];
+                for (let k = 0; k < 8; ++k) {
+                    words.push(glossaryWords[(i * 7 + j * 5 + k * 3) % glossaryWords.length]);
+                }
+                glossary.push(`${words.join(', ')} (${i}.${j})`);
+            }
+            termBank.push([getGeneratedTerm(i, 0x4e00, 0x5000), getGeneratedTerm(i, 0x3042, 0x3093), null, '', 0, glossary, i + 1, '']);
+        }
+        await zipWriter.add(`term_bank_${bankIndex}.json`, new TextReader(JSON.stringify(termBank)));
+    }
+    const blob = await zipWriter.close();
+    return await blob.arrayBuffer();
+}
+
+/**
+ * Gets a distinct string for a number, written with characters from a range of code points.
+ * @param {number} value
+ * @param {number} firstCodePoint
+ * @param {number} lastCodePoint
+ * @returns {string}
+ */
+function getGeneratedTerm(value, firstCodePoint, lastCodePoint) {
+    const base = lastCodePoint - firstCodePoint + 1;
+    let result = '';
+    do {
+        result += String.fromCodePoint(firstCodePoint + (value % base));
+        value = Math.floor(value / base);
+    } while (value > 0);
+    return result;
+}
+
+/**
+ * @param {string} dictionaryName
+ * @param {ArrayBuffer} archiveData
+ * @param {boolean} glossaryCompressionEnabled
+ * @returns {Promise<import('dictionary-database').DictionarySet>}
+ */
+async function importDictionary(dictionaryName, archiveData, glossaryCompressionEnabled) {
+    const dictionaryImporter = new DictionaryImporter(new DictionaryImporterMediaLoader());
+    await dictionaryImporter.importDictionary(dictionaryDatabase, archiveData, {prefixWildcardsSupported: false, glossaryCompressionEnabled, yomitanVersion: '0.0.0.0'});
+    return new Map([[dictionaryName, {alias: dictionaryName, allowSecondarySearches: false}]]);
+}
+
+const plainDictionaries = await importDictionary('Test Dictionary', await createDictionaryArchiveData(dictionaryDirectory, 'Test Dictionary'), false);
+const compressedDictionaries = await importDictionary('Test Dictionary (compressed)', await createDictionaryArchiveData(dictionaryDirectory, 'Test Dictionary (compressed)'), true);
+
+const {entries} = await dictionaryDatabase.findTermsByPattern(/^.+$/u, 'pattern', plainDictionaries, null, 1000, 10000);
+const terms = [...new Set(entries.map(({term}) => term))];
+
+const generatedPlainDictionaries = await importDictionary('Generated Dictionary', await createGeneratedDictionaryArchiveData('Generated Dictionary', generatedTermCount), false);
+const generatedCompressedDictionaries = await importDictionary('Generated Dictionary (compressed)', await createGeneratedDictionaryArchiveData('Generated Dictionary (compressed)', generatedTermCount), true);
+
+/** @type {string[]} */
+const generatedTerms = [];
+for (let i = 0; i < generatedLookupCount; ++i) {
+    generatedTerms.push(getGeneratedTerm(Math.floor(i * generatedTermCount / generatedLookupCount), 0x4e00, 0x5000));
+}
+
+describe('DictionaryDatabase.prototype.findTermsBulk', () => {
+    bench(`uncompressed glossaries - (n=${terms.length})`, async () => {
+        await dictionaryDatabase.findTermsBulk(terms, plainDictionaries, 'exact');
+    });
+
+    bench(`compressed glossaries - (n=${terms.length})`, async () => {
+        await dictionaryDatabase.findTermsBulk(terms, compressedDictionaries, 'exact');
+    });
+
+    bench(`uncompressed glossaries, generated dictionary of ${generatedTermCount} terms - (n=${generatedTerms.length})`, async () => {
+        await dictionaryDatabase.findTermsBulk(generatedTerms, generatedPlainDictionaries, 'exact');
+    });
+
+    bench(`compressed glossaries, generated dictionary of ${generatedTermCount} terms - (n=${generatedTerms.length})`, async () => {
+        await dictionaryDatabase.findTermsBulk(generatedTerms, generatedCompressedDictionaries, 'exact');
+    });
+});
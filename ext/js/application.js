@@ -111,11 +111,12 @@ export class Application extends EventDispatcher {
         /* eslint-disable @stylistic/no-multi-spaces */
         /** @type {import('application').ApiMap} */
         this._apiMap = createApiMap([
-            ['applicationIsReady',         this._onMessageIsReady.bind(this)],
-            ['applicationGetUrl',          this._onMessageGetUrl.bind(this)],
-            ['applicationOptionsUpdated',  this._onMessageOptionsUpdated.bind(this)],
-            ['applicationDatabaseUpdated', this._onMessageDatabaseUpdated.bind(this)],
-            ['applicationZoomChanged',     this._onMessageZoomChanged.bind(this)],
+            ['applicationIsReady',                   this._onMessageIsReady.bind(this)],
+            ['applicationGetUrl',                    this._onMessageGetUrl.bind(this)],
+            ['applicationOptionsUpdated',            this._onMessageOptionsUpdated.bind(this)],
+            ['applicationDatabaseUpdated',           this._onMessageDatabaseUpdated.bind(this)],
+            ['applicationZoomChanged',               this._onMessageZoomChanged.bind(this)],
+            ['applicationSottakuCredentialsUpdated', this._onMessageSottakuCredentialsUpdated.bind(this)],
         ]);
         /* eslint-enable @stylistic/no-multi-spaces */
     }
@@ -280,6 +281,11 @@ export class Application extends EventDispatcher {
         this.trigger('zoomChanged', {oldZoomFactor, newZoomFactor});
     }
 
+    /** @type {import('application').ApiHandler<'applicationSottakuCredentialsUpdated'>} */
+    _onMessageSottakuCredentialsUpdated() {
+        this.trigger('sottakuCredentialsUpdated', {});
+    }
+
     /**
      * @param {import('log').Events['logGenericError']} params
      */
@@ -0,0 +1,288 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {MAX_QUEUED_NOTE_ERROR_COUNT} from '../comm/anki-note-queue.js';
+import {ExtensionError} from '../core/extension-error.js';
+import {log} from '../core/log.js';
+import {toError} from '../core/to-error.js';
+
+/** Delay before the queue is flushed again after AnkiConnect could not be reached. */
+const RETRY_DELAY = 60000;
+
+/**
+ * Adds the notes of the Anki note queue to Anki once AnkiConnect can be reached.
+ * Flushes, retries and edits of queued notes run one at a time, so that none of them overwrites a note that another one has just changed.
+ */
+export class AnkiNoteQueueSender {
+    /**
+     * @param {import('../comm/anki-connect.js').AnkiConnect} anki
+     * @param {import('../comm/anki-note-queue.js').AnkiNoteQueue} queue
+     * @param {(notes: import('anki').Note[]) => Promise<import('backend').CanAddResults>} partitionAddibleNotes
+     */
+    constructor(anki, queue, partitionAddibleNotes) {
+        /** @type {import('../comm/anki-connect.js').AnkiConnect} */
+        this._anki = anki;
+        /** @type {import('../comm/anki-note-queue.js').AnkiNoteQueue} */
+        this._queue = queue;
+        /** @type {(notes: import('anki').Note[]) => Promise<import('backend').CanAddResults>} */
+        this._partitionAddibleNotes = partitionAddibleNotes;
+        /** @type {?import('settings').AnkiOptions} */
+        this._options = null;
+        /** @type {Promise<unknown>} */
+        this._taskPromise = Promise.resolve();
+        /** @type {?Promise<import('anki-note-queue').FlushResult>} */
+        this._flushPromise = null;
+        /** @type {?import('core').Timeout} */
+        this._flushTimer = null;
+    }
+
+    /**
+     * @param {import('settings').AnkiOptions} options
+     */
+    configure(options) {
+        this._options = options;
+    }
+
+    /**
+     * @param {import('anki').Note} note
+     * @param {import('anki-media-collector').MediaFile[]} media
+     * @param {?string} error
+     * @returns {Promise<number>} The id of the queued note.
+     */
+    async add(note, media, error) {
+        const id = await this._queue.add(note, media, error);
+        this._scheduleFlush();
+        return id;
+    }
+
+    /**
+     * Replaces the fields of a queued note. The note is checked for duplicates and retried again on the next flush.
+     * @param {number} id
+     * @param {import('anki').NoteFields} fields
+     * @returns {Promise<void>}
+     * @throws {Error}
+     */
+    update(id, fields) {
+        return this._runTask(async () => {
+            const queuedNote = await this._queue.get(id);
+            if (queuedNote === null) {
+                throw new Error('Queued note not found');
+            }
+            await this._queue.put({...queuedNote, note: {...queuedNote.note, fields}, duplicate: false, errorCount: 0});
+        });
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    delete(id) {
+        return this._runTask(() => this._queue.delete(id));
+    }
+
+    /**
+     * Adds the queued notes in the order they were made.
+     * Notes which Anki reports as duplicates, and notes which failed too many times, are kept in the queue until they are edited, dropped or retried individually.
+     * Flushing stops at the first connection failure, and is retried later.
+     * @returns {Promise<import('anki-note-queue').FlushResult>}
+     */
+    flush() {
+        if (this._flushPromise === null) {
+            this._flushPromise = this._runTask(() => this._flushInternal()).finally(() => { this._flushPromise = null; });
+        }
+        return this._flushPromise;
+    }
+
+    /**
+     * Adds a single queued note, even if Anki reported it as a duplicate or it failed too many times.
+     * @param {number} id
+     * @returns {Promise<import('anki-note-queue').FlushResult>}
+     * @throws {Error}
+     */
+    retry(id) {
+        return this._runTask(() => this._retryInternal(id));
+    }
+
+    // Private
+
+    /**
+     * @template T
+     * @param {() => Promise<T>} task
+     * @returns {Promise<T>}
+     */
+    _runTask(task) {
+        const promise = this._taskPromise.then(task);
+        this._taskPromise = promise.catch(() => {});
+        return promise;
+    }
+
+    /**
+     * @returns {Promise<import('anki-note-queue').FlushResult>}
+     */
+    async _flushInternal() {
+        if (this._flushTimer !== null) {
+            clearTimeout(this._flushTimer);
+            this._flushTimer = null;
+        }
+        let addedCount = 0;
+        let duplicateCount = 0;
+        let failedCount = 0;
+        const count = await this._queue.getCount();
+        if (count === 0 || !this._anki.enabled) {
+            return {addedCount, duplicateCount, failedCount, remainingCount: count};
+        }
+        if (!(await this._anki.isConnected())) {
+            this._scheduleFlush();
+            return {addedCount, duplicateCount, failedCount, remainingCount: count};
+        }
+
+        let connectionFailure = false;
+        for (const queuedNote of await this._queue.getAll()) {
+            if (queuedNote.duplicate) {
+                ++duplicateCount;
+                continue;
+            }
+            if (queuedNote.errorCount >= MAX_QUEUED_NOTE_ERROR_COUNT) {
+                ++failedCount;
+                continue;
+            }
+            try {
+                if (await this._addNote(queuedNote, false)) {
+                    ++addedCount;
+                } else {
+                    ++duplicateCount;
+                }
+            } catch (e) {
+                log.warn(e);
+                if (this._isConnectionError(e)) {
+                    await this._queue.put({...queuedNote, attemptCount: queuedNote.attemptCount + 1, lastError: toError(e).message});
+                    connectionFailure = true;
+                    break;
+                }
+                const errorCount = queuedNote.errorCount + 1;
+                await this._queue.put({...queuedNote, attemptCount: queuedNote.attemptCount + 1, lastError: toError(e).message, errorCount});
+                if (errorCount >= MAX_QUEUED_NOTE_ERROR_COUNT) { ++failedCount; }
+            }
+        }
+
+        if (connectionFailure) {
+            this._scheduleFlush();
+        }
+        if (addedCount > 0) {
+            await this._syncAfterAdding();
+        }
+        const remainingCount = await this._queue.getCount();
+        return {addedCount, duplicateCount, failedCount, remainingCount};
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<import('anki-note-queue').FlushResult>}
+     * @throws {Error}
+     */
+    async _retryInternal(id) {
+        const queuedNote = await this._queue.get(id);
+        if (queuedNote === null) {
+            throw new Error('Queued note not found');
+        }
+        try {
+            await this._addNote(queuedNote, true);
+        } catch (e) {
+            const errorCount = this._isConnectionError(e) ? queuedNote.errorCount : queuedNote.errorCount + 1;
+            await this._queue.put({...queuedNote, attemptCount: queuedNote.attemptCount + 1, lastError: toError(e).message, errorCount});
+            throw e;
+        }
+        await this._syncAfterAdding();
+        const remainingCount = await this._queue.getCount();
+        return {addedCount: 1, duplicateCount: 0, failedCount: 0, remainingCount};
+    }
+
+    /**
+     * @param {import('anki-note-queue').QueuedNote} queuedNote
+     * @param {boolean} allowDuplicate
+     * @returns {Promise<boolean>} `false` if the note was not added because it is a duplicate.
+     * @throws {Error}
+     */
+    async _addNote(queuedNote, allowDuplicate) {
+        const {id, note, media} = queuedNote;
+        if (!allowDuplicate) {
+            const [{isDuplicate}] = await this._partitionAddibleNotes([note]);
+            if (isDuplicate) {
+                await this._queue.put({...queuedNote, duplicate: true});
+                return false;
+            }
+        }
+
+        let fields = note.fields;
+        for (const {fileName, data} of media) {
+            const storedFileName = await this._anki.storeMediaFile(fileName, data);
+            if (storedFileName === null || storedFileName === fileName) { continue; }
+            fields = Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, value.replaceAll(fileName, storedFileName)]));
+        }
+
+        const noteId = await this._anki.addNote({
+            ...note,
+            fields,
+            options: allowDuplicate ? {...note.options, allowDuplicate: true} : note.options,
+        });
+        if (noteId === null) {
+            throw new Error('Note could not be added');
+        }
+        await this._queue.delete(id);
+
+        if (this._options !== null && this._options.suspendNewCards) {
+            try {
+                const cardIds = await this._anki.findCardsForNote(noteId);
+                if (cardIds.length > 0) {
+                    await this._anki.suspendCards(cardIds);
+                }
+            } catch (e) {
+                log.warn(e);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async _syncAfterAdding() {
+        if (this._options === null || !this._options.forceSync) { return; }
+        try {
+            await this._anki.makeAnkiSync();
+        } catch (e) {
+            log.warn(e);
+        }
+    }
+
+    /** */
+    _scheduleFlush() {
+        if (this._flushTimer !== null) { return; }
+        this._flushTimer = setTimeout(() => {
+            this._flushTimer = null;
+            void this.flush();
+        }, RETRY_DELAY);
+    }
+
+    /**
+     * @param {unknown} error
+     * @returns {boolean}
+     */
+    _isConnectionError(error) {
+        return error instanceof ExtensionError && error.message.includes('Anki connection failure');
+    }
+}
@@ -17,9 +17,12 @@
  */
 import {AccessibilityController} from '../accessibility/accessibility-controller.js';
 import {AnkiConnect} from '../comm/anki-connect.js';
+import {AnkiMediaCollector} from '../comm/anki-media-collector.js';
+import {AnkiNoteQueue} from '../comm/anki-note-queue.js';
 import {ClipboardMonitor} from '../comm/clipboard-monitor.js';
 import {ClipboardReader} from '../comm/clipboard-reader.js';
 import {Mecab} from '../comm/mecab.js';
+import {MiningLog} from '../comm/mining-log.js';
 import {YomitanApi} from '../comm/yomitan-api.js';
 import {createApiMap, invokeApiMapHandler} from '../core/api-map.js';
 import {ExtensionError} from '../core/extension-error.js';
@@ -27,24 +30,41 @@ import {fetchText} from '../core/fetch-utilities.js';
 import {logErrorLevelToNumber} from '../core/log-utilities.js';
 import {log} from '../core/log.js';
 import {isObjectNotArray} from '../core/object-utilities.js';
+import {getSottakuSessionState} from '../comm/sottaku-client.js';
+import {toError} from '../core/to-error.js';
 import {clone, deferPromise, promiseTimeout} from '../core/utilities.js';
 import {generateAnkiNoteMediaFileName, INVALID_NOTE_ID, isNoteDataValid} from '../data/anki-util.js';
 import {arrayBufferToBase64} from '../data/array-buffer-util.js';
+import {LookupHistory} from '../data/lookup-history.js';
 import {OptionsUtil} from '../data/options-util.js';
+import {SottakuCredentialStore} from '../data/sottaku-credential-store.js';
 import {getAllPermissions, hasPermissions, hasRequiredPermissionsForOptions} from '../data/permissions-util.js';
+import {getKebabCase} from '../data/anki-template-util.js';
 import {DictionaryDatabase} from '../dictionary/dictionary-database.js';
+import {DictionaryUpdater} from '../dictionary/dictionary-updater.js';
+import {createPersonalDictionaryOptions, PERSONAL_DICTIONARY_NAME, PersonalDictionary} from '../dictionary/personal-dictionary.js';
+import {createSottakuDictionarySummary, SOTTAKU_DICTIONARY_NAME} from '../dictionary/sottaku-dictionary.js';
 import {Environment} from '../extension/environment.js';
 import {ObjectPropertyAccessor} from '../general/object-property-accessor.js';
 import {distributeFuriganaInflected, isCodePointJapanese, convertKatakanaToHiragana as jpConvertKatakanaToHiragana} from '../language/ja/japanese.js';
+import {getLanguageScripts, LanguageIdentifier} from '../language/language-identification.js';
 import {getLanguageSummaries, isTextLookupWorthy} from '../language/languages.js';
+import {LookupProfiler} from '../language/lookup-profiler.js';
 import {Translator} from '../language/translator.js';
 import {AudioDownloader} from '../media/audio-downloader.js';
 import {getFileExtensionFromAudioMediaType, getFileExtensionFromImageMediaType} from '../media/media-util.js';
-import {ClipboardReaderProxy, DictionaryDatabaseProxy, OffscreenProxy, TranslatorProxy} from './offscreen-proxy.js';
+import {AnkiNoteQueueSender} from './anki-note-queue-sender.js';
+import {ClipboardReaderProxy, DictionaryDatabaseProxy, DictionaryUpdaterProxy, OffscreenProxy, PersonalDictionaryProxy, TranslatorProxy} from './offscreen-proxy.js';
 import {createSchema, normalizeContext} from './profile-conditions-util.js';
 import {RequestBuilder} from './request-builder.js';
 import {injectStylesheet} from './script-manager.js';
-import {SottakuIntegration} from './sottaku-integration.js';
+import {SOTTAKU_OUTBOX_ALARM_NAME, SottakuIntegration} from './sottaku-integration.js';
+
+const DICTIONARY_UPDATE_ALARM_NAME = 'updateDictionaries';
+const DICTIONARY_UPDATE_PERIOD_MINUTES = 24 * 60;
+const LOOKUP_HISTORY_PRUNE_INTERVAL = 60 * 60 * 1000;
+const LOOKUP_HISTORY_MAX_PAGE_SIZE = 500;
+const LOOKUP_HISTORY_MAX_SCAN_COUNT = 5000;
 
 /**
  * This class controls the core logic of the extension, including API calls
@@ -61,6 +81,18 @@ export class Backend {
         this._environment = new Environment();
         /** @type {AnkiConnect} */
         this._anki = new AnkiConnect();
+        /** @type {AnkiNoteQueue} */
+        this._ankiNoteQueue = new AnkiNoteQueue();
+        /** @type {AnkiNoteQueueSender} */
+        this._ankiNoteQueueSender = new AnkiNoteQueueSender(this._anki, this._ankiNoteQueue, this.partitionAddibleNotes.bind(this));
+        /** @type {AnkiMediaCollector} */
+        this._ankiMediaCollector = new AnkiMediaCollector();
+        /** @type {MiningLog} */
+        this._miningLog = new MiningLog();
+        /** @type {LookupHistory} */
+        this._lookupHistory = new LookupHistory();
+        /** @type {number} */
+        this._lookupHistoryPruneTime = 0;
         /** @type {Mecab} */
         this._mecab = new Mecab();
 
@@ -71,6 +103,10 @@ export class Backend {
             this._dictionaryDatabase = new DictionaryDatabase();
             /** @type {Translator|TranslatorProxy} */
             this._translator = new Translator(this._dictionaryDatabase);
+            /** @type {DictionaryUpdater|DictionaryUpdaterProxy} */
+            this._dictionaryUpdater = new DictionaryUpdater(this._dictionaryDatabase);
+            /** @type {PersonalDictionary|PersonalDictionaryProxy} */
+            this._personalDictionary = new PersonalDictionary(this._dictionaryDatabase);
             /** @type {ClipboardReader|ClipboardReaderProxy} */
             this._clipboardReader = new ClipboardReader(
                 (typeof document === 'object' && document !== null ? document : null),
@@ -84,6 +120,10 @@ export class Backend {
             this._dictionaryDatabase = new DictionaryDatabaseProxy(this._offscreen);
             /** @type {Translator|TranslatorProxy} */
             this._translator = new TranslatorProxy(this._offscreen);
+            /** @type {DictionaryUpdater|DictionaryUpdaterProxy} */
+            this._dictionaryUpdater = new DictionaryUpdaterProxy(this._offscreen);
+            /** @type {PersonalDictionary|PersonalDictionaryProxy} */
+            this._personalDictionary = new PersonalDictionaryProxy(this._offscreen);
             /** @type {ClipboardReader|ClipboardReaderProxy} */
             this._clipboardReader = new ClipboardReaderProxy(this._offscreen);
         }
@@ -110,6 +150,16 @@ export class Backend {
         this._accessibilityController = new AccessibilityController();
         /** @type {SottakuIntegration} */
         this._sottakuIntegration = new SottakuIntegration(this._translator);
+        /** @type {SottakuCredentialStore} */
+        this._sottakuCredentialStore = new SottakuCredentialStore();
+        /** @type {import('sottaku-credentials').Credentials} */
+        this._sottakuCredentials = this._sottakuCredentialStore.getDefault();
+        /** @type {Map<string, AbortController>} */
+        this._termsFindAbortControllers = new Map();
+        /** @type {?Promise<Map<string, string>>} */
+        this._dictionarySourceLanguagesPromise = null;
+        /** @type {number} */
+        this._patternSearchScanBudget = 50000;
 
         /** @type {?number} */
         this._searchPopupTabId = null;
@@ -139,6 +189,8 @@ export class Backend {
         this._logErrorLevel = null;
         /** @type {?chrome.permissions.Permissions} */
         this._permissions = null;
+        /** @type {boolean} */
+        this._updatingDictionaries = false;
         /** @type {Map<string, (() => void)[]>} */
         this._applicationReadyHandlers = new Map();
 
@@ -151,11 +203,30 @@ export class Backend {
             ['optionsGetFull',               this._onApiOptionsGetFull.bind(this)],
             ['kanjiFind',                    this._onApiKanjiFind.bind(this)],
             ['termsFind',                    this._onApiTermsFind.bind(this)],
+            ['termsFindCancel',              this._onApiTermsFindCancel.bind(this)],
+            ['termsFindPattern',             this._onApiTermsFindPattern.bind(this)],
             ['parseText',                    this._onApiParseText.bind(this)],
             ['getAnkiConnectVersion',        this._onApiGetAnkiConnectVersion.bind(this)],
             ['isAnkiConnected',              this._onApiIsAnkiConnected.bind(this)],
             ['addAnkiNote',                  this._onApiAddAnkiNote.bind(this)],
+            ['addAnkiNotes',                 this._onApiAddAnkiNotes.bind(this)],
             ['updateAnkiNote',               this._onApiUpdateAnkiNote.bind(this)],
+            ['queueAnkiNote',                this._onApiQueueAnkiNote.bind(this)],
+            ['getAnkiNoteQueue',             this._onApiGetAnkiNoteQueue.bind(this)],
+            ['updateQueuedAnkiNote',         this._onApiUpdateQueuedAnkiNote.bind(this)],
+            ['deleteQueuedAnkiNote',         this._onApiDeleteQueuedAnkiNote.bind(this)],
+            ['flushAnkiNoteQueue',           this._onApiFlushAnkiNoteQueue.bind(this)],
+            ['addMiningLogEntry',            this._onApiAddMiningLogEntry.bind(this)],
+            ['getMiningLog',                 this._onApiGetMiningLog.bind(this)],
+            ['getMiningLogCount',            this._onApiGetMiningLogCount.bind(this)],
+            ['clearMiningLog',               this._onApiClearMiningLog.bind(this)],
+            ['addHistoryRecord',             this._onApiAddHistoryRecord.bind(this)],
+            ['markHistoryRecordSaved',       this._onApiMarkHistoryRecordSaved.bind(this)],
+            ['getHistoryRecords',            this._onApiGetHistoryRecords.bind(this)],
+            ['getHistoryRecord',             this._onApiGetHistoryRecord.bind(this)],
+            ['getHistoryRecordCount',        this._onApiGetHistoryRecordCount.bind(this)],
+            ['deleteHistoryRecords',         this._onApiDeleteHistoryRecords.bind(this)],
+            ['clearHistory',                 this._onApiClearHistory.bind(this)],
             ['getAnkiNoteInfo',              this._onApiGetAnkiNoteInfo.bind(this)],
             ['injectAnkiNoteMedia',          this._onApiInjectAnkiNoteMedia.bind(this)],
             ['viewNotes',                    this._onApiViewNotes.bind(this)],
@@ -172,7 +243,12 @@ export class Backend {
             ['getZoom',                      this._onApiGetZoom.bind(this)],
             ['getDefaultAnkiFieldTemplates', this._onApiGetDefaultAnkiFieldTemplates.bind(this)],
             ['getDictionaryInfo',            this._onApiGetDictionaryInfo.bind(this)],
+            ['getRemoteDictionaryInfo',      this._onApiGetRemoteDictionaryInfo.bind(this)],
             ['purgeDatabase',                this._onApiPurgeDatabase.bind(this)],
+            ['getPersonalDictionaryEntries', this._onApiGetPersonalDictionaryEntries.bind(this)],
+            ['addPersonalDictionaryEntry',   this._onApiAddPersonalDictionaryEntry.bind(this)],
+            ['updatePersonalDictionaryEntry', this._onApiUpdatePersonalDictionaryEntry.bind(this)],
+            ['deletePersonalDictionaryEntry', this._onApiDeletePersonalDictionaryEntry.bind(this)],
             ['getMedia',                     this._onApiGetMedia.bind(this)],
             ['logGenericErrorBackend',       this._onApiLogGenericErrorBackend.bind(this)],
             ['logIndicatorClear',            this._onApiLogIndicatorClear.bind(this)],
@@ -187,10 +263,23 @@ export class Backend {
             ['isTextLookupWorthy',           this._onApiIsTextLookupWorthy.bind(this)],
             ['getTermFrequencies',           this._onApiGetTermFrequencies.bind(this)],
             ['findAnkiNotes',                this._onApiFindAnkiNotes.bind(this)],
+            ['findAnkiNoteIds',              this._onApiFindAnkiNoteIds.bind(this)],
             ['openCrossFramePort',           this._onApiOpenCrossFramePort.bind(this)],
             ['getLanguageSummaries',         this._onApiGetLanguageSummaries.bind(this)],
             ['heartbeat',                    this._onApiHeartbeat.bind(this)],
             ['forceSync',                    this._onApiForceSync.bind(this)],
+            ['getSottakuCacheInfo',          this._onApiGetSottakuCacheInfo.bind(this)],
+            ['clearSottakuCache',            this._onApiClearSottakuCache.bind(this)],
+            ['getSottakuDueFlashcards',      this._onApiGetSottakuDueFlashcards.bind(this)],
+            ['submitSottakuFlashcardReview', this._onApiSubmitSottakuFlashcardReview.bind(this)],
+            ['sendSottakuMutation',          this._onApiSendSottakuMutation.bind(this)],
+            ['getSottakuOutbox',             this._onApiGetSottakuOutbox.bind(this)],
+            ['flushSottakuOutbox',           this._onApiFlushSottakuOutbox.bind(this)],
+            ['retrySottakuMutation',         this._onApiRetrySottakuMutation.bind(this)],
+            ['discardSottakuMutation',       this._onApiDiscardSottakuMutation.bind(this)],
+            ['signInToSottaku',              this._onApiSignInToSottaku.bind(this)],
+            ['getSottakuCredentials',        this._onApiGetSottakuCredentials.bind(this)],
+            ['setSottakuCredentials',        this._onApiSetSottakuCredentials.bind(this)],
         ]);
 
         /** @type {import('api').PmApiMap} */
@@ -265,6 +354,11 @@ export class Backend {
             chrome.permissions.onRemoved.addListener(onPermissionsChanged);
         }
 
+        if (isObjectNotArray(chrome.alarms) && isObjectNotArray(chrome.alarms.onAlarm)) {
+            const onAlarm = this._onWebExtensionEventWrapper(this._onAlarm.bind(this));
+            chrome.alarms.onAlarm.addListener(onAlarm);
+        }
+
         chrome.runtime.onInstalled.addListener(this._onInstalled.bind(this));
     }
 
@@ -328,16 +422,25 @@ export class Backend {
             await this._optionsUtil.prepare();
             this._defaultAnkiFieldTemplates = (await fetchText('/data/templates/default-anki-field-templates.handlebars')).trim();
             this._options = await this._optionsUtil.load();
+            await this._loadSottakuCredentials();
 
             this._applyOptions('background');
 
             this._attachOmniboxListener();
 
+            void this._scheduleDictionaryUpdates();
+
             const options = this._getProfileOptions({current: true}, false);
             if (options.general.showGuide) {
                 void this._openWelcomeGuidePageOnce();
             }
 
+            this._sottakuIntegration.configure(options);
+            this._sottakuIntegration.prepareOutbox();
+            this._sottakuIntegration.on('authTokenChanged', this._onSottakuAuthTokenChanged.bind(this));
+            this._sottakuIntegration.on('sessionExpired', this._onSottakuSessionExpired.bind(this));
+            this._attachSottakuCookieListener();
+
             this._clipboardMonitor.on('change', this._onClipboardTextChange.bind(this));
 
             this._sendMessageAllTabsIgnoreResponse({action: 'applicationBackendReady'});
@@ -487,6 +590,20 @@ export class Backend {
         void this._checkPermissions();
     }
 
+    /**
+     * @param {chrome.alarms.Alarm} alarm
+     */
+    _onAlarm({name}) {
+        switch (name) {
+            case DICTIONARY_UPDATE_ALARM_NAME:
+                void this._updateDictionaries();
+                break;
+            case SOTTAKU_OUTBOX_ALARM_NAME:
+                void this._sottakuIntegration.flushOutbox();
+                break;
+        }
+    }
+
     /**
      * @param {chrome.runtime.InstalledDetails} event
      */
@@ -550,19 +667,71 @@ export class Backend {
     }
 
     /** @type {import('api').ApiHandler<'termsFind'>} */
-    async _onApiTermsFind({text, details, optionsContext}) {
+    async _onApiTermsFind({text, details, optionsContext, lookupId}) {
         const options = this._getProfileOptions(optionsContext, false);
         const {general: {resultOutputMode: mode, maxResults}} = options;
         const findTermsOptions = this._getTranslatorFindTermsOptions(mode, details, options);
-        if (options?.sottaku?.enabled) {
-            this._sottakuIntegration.configure(options);
-            const sottakuResult = await this._sottakuIntegration.findTerms(text, findTermsOptions);
-            sottakuResult.dictionaryEntries.splice(maxResults);
-            return sottakuResult;
+        findTermsOptions.profile = (details.profile === true || options.general.debugInfo);
+        const languageHints = details.languageHints ?? null;
+        const meaningSearch = (findTermsOptions.matchType === 'meaning');
+        if (!meaningSearch) {
+            findTermsOptions.language = await this._getTranslatorLanguage(text, languageHints, findTermsOptions);
+        }
+        if (meaningSearch || !options.sottaku.enabled || !findTermsOptions.enabledDictionaryMap.has(SOTTAKU_DICTIONARY_NAME)) {
+            const result = await this._translator.findTerms(mode, text, findTermsOptions);
+            result.dictionaryEntries.splice(maxResults);
+            return result;
         }
-        const {dictionaryEntries, originalTextLength} = await this._translator.findTerms(mode, text, findTermsOptions);
+
+        this._sottakuIntegration.configure(options);
+        const abortController = new AbortController();
+        if (typeof lookupId === 'string') {
+            this._termsFindAbortControllers.set(lookupId, abortController);
+        }
+        const profiler = findTermsOptions.profile ? new LookupProfiler() : null;
+        const findRemoteTerms = () => this._sottakuIntegration.findTerms(text, findTermsOptions, abortController.signal, languageHints).catch((e) => toError(e));
+        let localResult;
+        let sottakuResult;
+        try {
+            [localResult, sottakuResult] = await Promise.all([
+                this._translator.findTerms(mode, text, findTermsOptions),
+                profiler !== null ? profiler.measure('remote', SOTTAKU_DICTIONARY_NAME, findRemoteTerms) : findRemoteTerms(),
+            ]);
+        } finally {
+            if (typeof lookupId === 'string') {
+                this._termsFindAbortControllers.delete(lookupId);
+            }
+        }
+        abortController.signal.throwIfAborted();
+        const {lookupTimings} = localResult;
+        if (profiler !== null && typeof lookupTimings !== 'undefined') {
+            lookupTimings.push(...profiler.getSpans());
+        }
+        if (sottakuResult instanceof Error) {
+            if (localResult.dictionaryEntries.length === 0) { throw sottakuResult; }
+            log.warn(sottakuResult);
+            localResult.dictionaryEntries.splice(maxResults);
+            return localResult;
+        }
+        const {dictionaryEntries, originalTextLength} = this._sottakuIntegration.mergeDictionaryEntries(mode, localResult, sottakuResult, findTermsOptions);
         dictionaryEntries.splice(maxResults);
-        return {dictionaryEntries, originalTextLength};
+        return typeof lookupTimings !== 'undefined' ? {dictionaryEntries, originalTextLength, lookupTimings} : {dictionaryEntries, originalTextLength};
+    }
+
+    /** @type {import('api').ApiHandler<'termsFindCancel'>} */
+    _onApiTermsFindCancel({lookupId}) {
+        const abortController = this._termsFindAbortControllers.get(lookupId);
+        if (typeof abortController === 'undefined') { return; }
+        this._termsFindAbortControllers.delete(lookupId);
+        abortController.abort();
+    }
+
+    /** @type {import('api').ApiHandler<'termsFindPattern'>} */
+    async _onApiTermsFindPattern({text, details: {matchType, cursor}, optionsContext}) {
+        const options = this._getProfileOptions(optionsContext, false);
+        const {general: {resultOutputMode: mode, maxResults}} = options;
+        const findTermsOptions = this._getTranslatorFindTermsOptions(mode, {matchType, deinflect: false}, options);
+        return await this._translator.findTermsByPattern(mode, text, findTermsOptions, {cursor, limit: maxResults, scanBudget: this._patternSearchScanBudget});
     }
 
     /** @type {import('api').ApiHandler<'parseText'>} */
@@ -613,11 +782,149 @@ export class Backend {
         return await this._anki.addNote(note);
     }
 
+    /** @type {import('api').ApiHandler<'addAnkiNotes'>} */
+    async _onApiAddAnkiNotes({notes}) {
+        if (!this._anki.enabled) {
+            throw new Error('Anki not enabled');
+        }
+
+        // Notes which cannot be added are filtered out first, since AnkiConnect rejects the whole batch otherwise
+        const errors = await this._getAddAnkiNoteErrors(notes);
+        const addableNotes = notes.filter((_, i) => errors[i] === null);
+        const noteIds = addableNotes.length > 0 ? await this._anki.addNotes(addableNotes) : [];
+
+        /** @type {import('api').AddAnkiNotesResult[]} */
+        const results = [];
+        let addableIndex = 0;
+        for (const error of errors) {
+            if (error !== null) {
+                results.push({noteId: null, error});
+                continue;
+            }
+            const noteId = noteIds?.[addableIndex] ?? null;
+            ++addableIndex;
+            results.push({noteId, error: noteId === null ? 'Note could not be added' : null});
+        }
+        return results;
+    }
+
     /** @type {import('api').ApiHandler<'updateAnkiNote'>} */
     async _onApiUpdateAnkiNote({noteWithId}) {
         return await this._anki.updateNoteFields(noteWithId);
     }
 
+    /** @type {import('api').ApiHandler<'queueAnkiNote'>} */
+    async _onApiQueueAnkiNote({note, error}) {
+        const media = this._ankiMediaCollector.getMedia(note);
+        const id = await this._ankiNoteQueueSender.add(note, media, error);
+        // Notes are recorded in the mining log after they are queued, so the media is released then
+        if (!this._getProfileOptions({current: true}, false).anki.miningLogEnabled) {
+            this._ankiMediaCollector.release(media);
+        }
+        return id;
+    }
+
+    /** @type {import('api').ApiHandler<'getAnkiNoteQueue'>} */
+    async _onApiGetAnkiNoteQueue() {
+        const queuedNotes = await this._ankiNoteQueue.getAll();
+        return queuedNotes.map(({media, ...details}) => ({
+            ...details,
+            mediaFileNames: media.map(({fileName}) => fileName),
+        }));
+    }
+
+    /** @type {import('api').ApiHandler<'updateQueuedAnkiNote'>} */
+    async _onApiUpdateQueuedAnkiNote({id, fields}) {
+        await this._ankiNoteQueueSender.update(id, fields);
+    }
+
+    /** @type {import('api').ApiHandler<'deleteQueuedAnkiNote'>} */
+    async _onApiDeleteQueuedAnkiNote({id}) {
+        await this._ankiNoteQueueSender.delete(id);
+    }
+
+    /** @type {import('api').ApiHandler<'flushAnkiNoteQueue'>} */
+    async _onApiFlushAnkiNoteQueue({id}) {
+        return await (id === null ? this._ankiNoteQueueSender.flush() : this._ankiNoteQueueSender.retry(id));
+    }
+
+    /** @type {import('api').ApiHandler<'addMiningLogEntry'>} */
+    async _onApiAddMiningLogEntry({note}) {
+        const media = this._ankiMediaCollector.getMedia(note);
+        const id = await this._miningLog.add(note, media);
+        this._ankiMediaCollector.release(media);
+        return id;
+    }
+
+    /** @type {import('api').ApiHandler<'getMiningLog'>} */
+    async _onApiGetMiningLog() {
+        return await this._miningLog.getAll();
+    }
+
+    /** @type {import('api').ApiHandler<'getMiningLogCount'>} */
+    async _onApiGetMiningLogCount() {
+        return await this._miningLog.getCount();
+    }
+
+    /** @type {import('api').ApiHandler<'clearMiningLog'>} */
+    async _onApiClearMiningLog() {
+        await this._miningLog.clear();
+    }
+
+    /** @type {import('api').ApiHandler<'addHistoryRecord'>} */
+    async _onApiAddHistoryRecord({record, optionsContext}, sender) {
+        if (sender.tab?.incognito) { return; }
+        const profile = this._getProfile(optionsContext, false);
+        const timestamp = Date.now();
+        await this._lookupHistory.add({
+            ...record,
+            timestamp,
+            profile: profile.name,
+            saved: false,
+            savedTimestamp: null,
+            savedHeadwords: [],
+        });
+
+        const {historyRetentionDays} = profile.options.general;
+        if (historyRetentionDays > 0 && timestamp - this._lookupHistoryPruneTime >= LOOKUP_HISTORY_PRUNE_INTERVAL) {
+            this._lookupHistoryPruneTime = timestamp;
+            await this._lookupHistory.deleteOlderThan(timestamp - historyRetentionDays * 24 * 60 * 60 * 1000);
+        }
+    }
+
+    /** @type {import('api').ApiHandler<'markHistoryRecordSaved'>} */
+    async _onApiMarkHistoryRecordSaved({id, headword}) {
+        return await this._lookupHistory.markSaved(id, headword);
+    }
+
+    /** @type {import('api').ApiHandler<'getHistoryRecords'>} */
+    async _onApiGetHistoryRecords({filter, cursor, limit}) {
+        return await this._lookupHistory.getPage(filter, cursor, Math.min(limit, LOOKUP_HISTORY_MAX_PAGE_SIZE), LOOKUP_HISTORY_MAX_SCAN_COUNT);
+    }
+
+    /** @type {import('api').ApiHandler<'getHistoryRecord'>} */
+    async _onApiGetHistoryRecord({id}) {
+        const record = await this._lookupHistory.get(id);
+        if (record === null) { return null; }
+        const profileIndex = this._getOptionsFull(false).profiles.findIndex(({name}) => name === record.profile);
+        return {record, profileIndex: profileIndex >= 0 ? profileIndex : null};
+    }
+
+    /** @type {import('api').ApiHandler<'deleteHistoryRecords'>} */
+    async _onApiDeleteHistoryRecords({ids}) {
+        await this._lookupHistory.delete(ids);
+    }
+
+    /** @type {import('api').ApiHandler<'getHistoryRecordCount'>} */
+    async _onApiGetHistoryRecordCount() {
+        return await this._lookupHistory.getCount();
+    }
+
+    /** @type {import('api').ApiHandler<'clearHistory'>} */
+    async _onApiClearHistory() {
+        await this._lookupHistory.clear();
+    }
+
     /**
      * Removes all fields except the first field from an array of notes
      * @param {import('anki').Note[]} notes
@@ -692,6 +999,25 @@ export class Backend {
         }
     }
 
+    /**
+     * @param {import('anki').Note[]} notes
+     * @returns {Promise<(?string)[]>} The reason why each note cannot be added, or `null` if it can be added.
+     */
+    async _getAddAnkiNoteErrors(notes) {
+        try {
+            const canAddNotesWithErrors = await this._anki.canAddNotesWithErrorDetail(notes);
+            return canAddNotesWithErrors.map(({canAdd, error}) => (canAdd ? null : (error ?? 'Note cannot be added')));
+        } catch (e) {
+            // User has older anki-connect that does not support canAddNotesWithErrorDetail
+            if (e instanceof ExtensionError && e.message.includes('Anki error: unsupported action')) {
+                const canAddNotes = await this._anki.canAddNotes(notes);
+                return canAddNotes.map((canAdd) => (canAdd ? null : 'Note cannot be added'));
+            }
+
+            throw e;
+        }
+    }
+
     /** @type {import('api').ApiHandler<'getAnkiNoteInfo'>} */
     async _onApiGetAnkiNoteInfo({notes, fetchAdditionalInfo}) {
         const canAddArray = await this.partitionAddibleNotes(notes);
@@ -765,15 +1091,25 @@ export class Backend {
     }
 
     /** @type {import('api').ApiHandler<'injectAnkiNoteMedia'>} */
-    async _onApiInjectAnkiNoteMedia({timestamp, definitionDetails, audioDetails, screenshotDetails, clipboardDetails, dictionaryMediaDetails}) {
+    async _onApiInjectAnkiNoteMedia({timestamp, definitionDetails, audioDetails, screenshotDetails, clipboardDetails, dictionaryMediaDetails, sottakuAudioDetails}) {
+        const {offlineQueueEnabled, miningLogEnabled} = this._getProfileOptions({current: true}, false).anki;
+        /** @type {import('anki-media-collector').MediaTarget} */
+        let mediaTarget = this._anki;
+        if ((offlineQueueEnabled || miningLogEnabled) && !(await this._anki.isConnected())) {
+            // Media for notes which will be queued or logged is held until the note is stored
+            mediaTarget = this._ankiMediaCollector;
+        } else if (miningLogEnabled) {
+            mediaTarget = this._ankiMediaCollector.createTee(this._anki);
+        }
         return await this._injectAnkNoteMedia(
-            this._anki,
+            mediaTarget,
             timestamp,
             definitionDetails,
             audioDetails,
             screenshotDetails,
             clipboardDetails,
             dictionaryMediaDetails,
+            sottakuAudioDetails,
         );
     }
 
@@ -920,12 +1256,41 @@ export class Backend {
         return await this._dictionaryDatabase.getDictionaryInfo();
     }
 
+    /** @type {import('api').ApiHandler<'getRemoteDictionaryInfo'>} */
+    _onApiGetRemoteDictionaryInfo() {
+        return [createSottakuDictionarySummary()];
+    }
+
     /** @type {import('api').ApiHandler<'purgeDatabase'>} */
     async _onApiPurgeDatabase() {
         await this._dictionaryDatabase.purge();
         this._triggerDatabaseUpdated('dictionary', 'purge');
     }
 
+    /** @type {import('api').ApiHandler<'getPersonalDictionaryEntries'>} */
+    async _onApiGetPersonalDictionaryEntries() {
+        return await this._personalDictionary.getEntries();
+    }
+
+    /** @type {import('api').ApiHandler<'addPersonalDictionaryEntry'>} */
+    async _onApiAddPersonalDictionaryEntry({content}) {
+        await this._personalDictionary.addEntry(content);
+        await this._addPersonalDictionaryOptions();
+        this._triggerDatabaseUpdated('dictionary', 'edit');
+    }
+
+    /** @type {import('api').ApiHandler<'updatePersonalDictionaryEntry'>} */
+    async _onApiUpdatePersonalDictionaryEntry({id, content}) {
+        await this._personalDictionary.updateEntry(id, content);
+        this._triggerDatabaseUpdated('dictionary', 'edit');
+    }
+
+    /** @type {import('api').ApiHandler<'deletePersonalDictionaryEntry'>} */
+    async _onApiDeletePersonalDictionaryEntry({id}) {
+        await this._personalDictionary.deleteEntry(id);
+        this._triggerDatabaseUpdated('dictionary', 'edit');
+    }
+
     /** @type {import('api').ApiHandler<'getMedia'>} */
     async _onApiGetMedia({targets}) {
         return await this._getNormalizedDictionaryDatabaseMedia(targets);
@@ -966,7 +1331,10 @@ export class Backend {
     async _onApiSetAllSettings({value, source}) {
         this._optionsUtil.validate(value);
         this._options = clone(value);
+        // Restoring a backup from before the credentials were stored separately can change the stored credentials
+        await this._loadSottakuCredentials();
         await this._saveOptions(source);
+        this._sendMessageAllTabsIgnoreResponse({action: 'applicationSottakuCredentialsUpdated', params: void 0});
     }
 
     /** @type {import('api').ApiHandlerNoExtraArgs<'getOrCreateSearchPopup'>} */
@@ -1086,6 +1454,11 @@ export class Backend {
         return await this._anki.findNotes(query);
     }
 
+    /** @type {import('api').ApiHandler<'findAnkiNoteIds'>} */
+    async _onApiFindAnkiNoteIds({notes}) {
+        return await this._anki.findNoteIds(notes);
+    }
+
     /** @type {import('api').ApiHandler<'openCrossFramePort'>} */
     _onApiOpenCrossFramePort({targetTabId, targetFrameId}, sender) {
         const sourceTabId = (sender && sender.tab ? sender.tab.id : null);
@@ -1159,6 +1532,83 @@ export class Backend {
         return void 0;
     }
 
+    /** @type {import('api').ApiHandler<'getSottakuCacheInfo'>} */
+    async _onApiGetSottakuCacheInfo() {
+        return await this._sottakuIntegration.getCacheInfo();
+    }
+
+    /** @type {import('api').ApiHandler<'clearSottakuCache'>} */
+    async _onApiClearSottakuCache() {
+        await this._sottakuIntegration.clearCache();
+    }
+
+    /** @type {import('api').ApiHandler<'getSottakuDueFlashcards'>} */
+    async _onApiGetSottakuDueFlashcards({limit, optionsContext}) {
+        const options = this._getProfileOptions(optionsContext, false);
+        this._sottakuIntegration.configure(options);
+        return await this._sottakuIntegration.getDueFlashcards(limit);
+    }
+
+    /** @type {import('api').ApiHandler<'submitSottakuFlashcardReview'>} */
+    async _onApiSubmitSottakuFlashcardReview({questionId, grade, language, optionsContext}) {
+        const options = this._getProfileOptions(optionsContext, false);
+        this._sottakuIntegration.configure(options);
+        await this._sottakuIntegration.submitFlashcardReview(questionId, grade, language);
+    }
+
+    /** @type {import('api').ApiHandler<'sendSottakuMutation'>} */
+    async _onApiSendSottakuMutation({mutation, optionsContext}) {
+        const options = this._getProfileOptions(optionsContext, false);
+        this._sottakuIntegration.configure(options);
+        return await this._sottakuIntegration.sendMutation(mutation);
+    }
+
+    /** @type {import('api').ApiHandler<'getSottakuOutbox'>} */
+    async _onApiGetSottakuOutbox() {
+        return await this._sottakuIntegration.getPendingMutations();
+    }
+
+    /** @type {import('api').ApiHandler<'flushSottakuOutbox'>} */
+    async _onApiFlushSottakuOutbox() {
+        const options = this._getProfileOptions({current: true}, false);
+        this._sottakuIntegration.configure(options);
+        return await this._sottakuIntegration.flushOutbox();
+    }
+
+    /** @type {import('api').ApiHandler<'retrySottakuMutation'>} */
+    async _onApiRetrySottakuMutation({language, questionId}) {
+        const options = this._getProfileOptions({current: true}, false);
+        this._sottakuIntegration.configure(options);
+        return await this._sottakuIntegration.retryMutation(language, questionId);
+    }
+
+    /** @type {import('api').ApiHandler<'discardSottakuMutation'>} */
+    async _onApiDiscardSottakuMutation({language, questionId}) {
+        await this._sottakuIntegration.discardMutation(language, questionId);
+    }
+
+    /** @type {import('api').ApiHandler<'signInToSottaku'>} */
+    async _onApiSignInToSottaku({optionsContext}) {
+        const options = this._getProfileOptions(optionsContext, false);
+        this._sottakuIntegration.configure(options);
+        if (await this._signInToSottaku()) {
+            return {signedIn: true};
+        }
+        // Sign-in is completed on the website; the session cookie is picked up by the cookie listener
+        await this._createTab(this._sottakuIntegration.getLoginUrl());
+        return {signedIn: false};
+    }
+
+    /** @type {import('api').ApiHandler<'getSottakuCredentials'>} */
+    _onApiGetSottakuCredentials() {
+        return clone(this._sottakuCredentials);
+    }
+
+    /** @type {import('api').ApiHandler<'setSottakuCredentials'>} */
+    async _onApiSetSottakuCredentials({credentials}) {
+        await this._setSottakuCredentials(credentials);
+    }
+
     // Command handlers
 
     /**
@@ -1490,6 +1940,8 @@ export class Backend {
         this._anki.server = options.anki.server;
         this._anki.enabled = options.anki.enable;
         this._anki.apiKey = apiKey;
+        this._ankiNoteQueueSender.configure(options.anki);
+        void this._ankiNoteQueueSender.flush();
 
         this._mecab.setEnabled(options.parsing.enableMecabParser && enabled);
 
@@ -1534,6 +1986,77 @@ export class Backend {
         }
     }
 
+    /** */
+    _attachSottakuCookieListener() {
+        try {
+            if (!chrome.cookies) { return; }
+            chrome.cookies.onChanged.addListener(this._onSottakuCookieChanged.bind(this));
+        } catch (e) {
+            log.error(e);
+        }
+    }
+
+    /**
+     * Signs in again when the user signs in on the Sottaku website while the Sottaku session is expired.
+     * @param {chrome.cookies.CookieChangeInfo} changeInfo
+     */
+    _onSottakuCookieChanged({cookie, removed}) {
+        if (removed || !this._sottakuIntegration.isSessionCookie(cookie)) { return; }
+        if (getSottakuSessionState(this._sottakuCredentials) !== 'signedOut') { return; }
+        void this._signInToSottaku();
+    }
+
+    /**
+     * @param {import('sottaku-client').EventArgument<'authTokenChanged'>} details
+     */
+    _onSottakuAuthTokenChanged({authToken, previousAuthToken}) {
+        if (this._sottakuCredentials.authToken !== previousAuthToken) { return; }
+        void this._setSottakuCredentials({...this._sottakuCredentials, authToken});
+    }
+
+    /**
+     * @param {import('sottaku-client').EventArgument<'sessionExpired'>} details
+     */
+    _onSottakuSessionExpired({authToken}) {
+        if (this._sottakuCredentials.authToken !== authToken) { return; }
+        void this._setSottakuCredentials({...this._sottakuCredentials, authToken: ''});
+    }
+
+    /**
+     * @returns {Promise<boolean>}
+     */
+    async _signInToSottaku() {
+        const authToken = await this._sottakuIntegration.signIn();
+        if (authToken === null) { return false; }
+        await this._setSottakuCredentials({...this._sottakuCredentials, authToken});
+        return true;
+    }
+
+    /** */
+    async _loadSottakuCredentials() {
+        try {
+            this._sottakuCredentials = await this._sottakuCredentialStore.load();
+        } catch (e) {
+            log.error(e);
+        }
+        this._sottakuIntegration.setCredentials(this._sottakuCredentials);
+    }
+
+    /**
+     * @param {import('sottaku-credentials').Credentials} credentials
+     */
+    async _setSottakuCredentials(credentials) {
+        this._sottakuCredentials = credentials;
+        this._sottakuIntegration.setCredentials(credentials);
+        this._updateBadge();
+        this._sendMessageAllTabsIgnoreResponse({action: 'applicationSottakuCredentialsUpdated', params: void 0});
+        try {
+            await this._sottakuCredentialStore.save(credentials);
+        } catch (e) {
+            log.error(e);
+        }
+    }
+
     /** */
     _attachOmniboxListener() {
         try {
@@ -1912,6 +2435,10 @@ export class Backend {
                 text = '!';
                 color = '#f0ad4e';
                 status = 'Some settings require additional permissions';
+            } else if (options.sottaku.enabled && getSottakuSessionState(this._sottakuCredentials) === 'signedOut') {
+                text = '!';
+                color = '#f0ad4e';
+                status = 'Signed out of Sottaku';
             } else if (!this._isSottakuLinked(options)) {
                 text = '!';
                 color = '#f0ad4e';
@@ -1938,8 +2465,7 @@ export class Backend {
      * @returns {boolean}
      */
     _isSottakuLinked(options) {
-        const sottaku = options?.sottaku;
-        return Boolean(sottaku?.enabled && sottaku.authToken);
+        return Boolean(options?.sottaku?.enabled && this._sottakuCredentials.authToken);
     }
 
     /**
@@ -2299,20 +2825,23 @@ export class Backend {
     }
 
     /**
-     * @param {AnkiConnect} ankiConnect
+     * @param {import('anki-media-collector').MediaTarget} ankiConnect
      * @param {number} timestamp
      * @param {import('api').InjectAnkiNoteMediaDefinitionDetails} definitionDetails
      * @param {?import('api').InjectAnkiNoteMediaAudioDetails} audioDetails
      * @param {?import('api').InjectAnkiNoteMediaScreenshotDetails} screenshotDetails
      * @param {?import('api').InjectAnkiNoteMediaClipboardDetails} clipboardDetails
      * @param {import('api').InjectAnkiNoteMediaDictionaryMediaDetails[]} dictionaryMediaDetails
+     * @param {?import('api').InjectAnkiNoteMediaSottakuAudioDetails} sottakuAudioDetails
      * @returns {Promise<import('api').ApiReturn<'injectAnkiNoteMedia'>>}
      */
-    async _injectAnkNoteMedia(ankiConnect, timestamp, definitionDetails, audioDetails, screenshotDetails, clipboardDetails, dictionaryMediaDetails) {
+    async _injectAnkNoteMedia(ankiConnect, timestamp, definitionDetails, audioDetails, screenshotDetails, clipboardDetails, dictionaryMediaDetails, sottakuAudioDetails) {
         let screenshotFileName = null;
         let clipboardImageFileName = null;
         let clipboardText = null;
         let audioFileName = null;
+        let sottakuAudioFileName = null;
+        let sottakuSentenceAudioFileName = null;
         const errors = [];
 
         try {
@@ -2347,6 +2876,22 @@ export class Backend {
             errors.push(ExtensionError.serialize(e));
         }
 
+        try {
+            if (sottakuAudioDetails !== null && sottakuAudioDetails.word) {
+                sottakuAudioFileName = await this._injectAnkiNoteSottakuAudio(ankiConnect, timestamp, sottakuAudioDetails, 'word');
+            }
+        } catch (e) {
+            errors.push(ExtensionError.serialize(e));
+        }
+
+        try {
+            if (sottakuAudioDetails !== null && sottakuAudioDetails.sentence) {
+                sottakuSentenceAudioFileName = await this._injectAnkiNoteSottakuAudio(ankiConnect, timestamp, sottakuAudioDetails, 'sentence');
+            }
+        } catch (e) {
+            errors.push(ExtensionError.serialize(e));
+        }
+
         /** @type {import('api').InjectAnkiNoteDictionaryMediaResult[]} */
         let dictionaryMedia;
         try {
@@ -2365,13 +2910,15 @@ export class Backend {
             clipboardImageFileName,
             clipboardText,
             audioFileName,
+            sottakuAudioFileName,
+            sottakuSentenceAudioFileName,
             dictionaryMedia,
             errors: errors,
         };
     }
 
     /**
-     * @param {AnkiConnect} ankiConnect
+     * @param {import('anki-media-collector').MediaTarget} ankiConnect
      * @param {number} timestamp
      * @param {import('api').InjectAnkiNoteMediaDefinitionDetails} definitionDetails
      * @param {import('api').InjectAnkiNoteMediaAudioDetails} details
@@ -2411,7 +2958,25 @@ export class Backend {
     }
 
     /**
-     * @param {AnkiConnect} ankiConnect
+     * @param {import('anki-media-collector').MediaTarget} ankiConnect
+     * @param {number} timestamp
+     * @param {import('api').InjectAnkiNoteMediaSottakuAudioDetails} details
+     * @param {'word'|'sentence'} type
+     * @returns {Promise<?string>}
+     */
+    async _injectAnkiNoteSottakuAudio(ankiConnect, timestamp, details, type) {
+        const audio = await this._sottakuIntegration.downloadAudio(details, type);
+        if (audio === null) { return null; }
+
+        const {data, contentType} = audio;
+        let extension = getFileExtensionFromAudioMediaType(contentType);
+        if (extension === null) { extension = '.mp3'; }
+        const fileName = generateAnkiNoteMediaFileName(`yomitan_sottaku_${type}_audio`, extension, timestamp);
+        return await ankiConnect.storeMediaFile(fileName, data);
+    }
+
+    /**
+     * @param {import('anki-media-collector').MediaTarget} ankiConnect
      * @param {number} timestamp
      * @param {import('api').InjectAnkiNoteMediaScreenshotDetails} details
      * @returns {Promise<?string>}
@@ -2431,7 +2996,7 @@ export class Backend {
     }
 
     /**
-     * @param {AnkiConnect} ankiConnect
+     * @param {import('anki-media-collector').MediaTarget} ankiConnect
      * @param {number} timestamp
      * @returns {Promise<?string>}
      */
@@ -2462,7 +3027,7 @@ export class Backend {
     }
 
     /**
-     * @param {AnkiConnect} ankiConnect
+     * @param {import('anki-media-collector').MediaTarget} ankiConnect
      * @param {number} timestamp
      * @param {import('api').InjectAnkiNoteMediaDictionaryMediaDetails[]} dictionaryMediaDetails
      * @returns {Promise<{results: import('api').InjectAnkiNoteDictionaryMediaResult[], errors: unknown[]}>}
@@ -2605,9 +3170,119 @@ export class Backend {
      */
     _triggerDatabaseUpdated(type, cause) {
         void this._translator.clearDatabaseCaches();
+        this._dictionarySourceLanguagesPromise = null;
         this._sendMessageAllTabsIgnoreResponse({action: 'applicationDatabaseUpdated', params: {type, cause}});
     }
 
+    /**
+     * Creates the alarm which periodically updates dictionaries, unless it already exists.
+     * Recreating it every time the background starts would keep postponing it.
+     */
+    async _scheduleDictionaryUpdates() {
+        if (!isObjectNotArray(chrome.alarms)) { return; }
+        try {
+            const alarm = await chrome.alarms.get(DICTIONARY_UPDATE_ALARM_NAME);
+            if (typeof alarm !== 'undefined') { return; }
+            await chrome.alarms.create(DICTIONARY_UPDATE_ALARM_NAME, {
+                delayInMinutes: DICTIONARY_UPDATE_PERIOD_MINUTES,
+                periodInMinutes: DICTIONARY_UPDATE_PERIOD_MINUTES,
+            });
+        } catch (e) {
+            log.error(e);
+        }
+    }
+
+    /**
+     * Downloads and swaps in newer revisions of updatable dictionaries.
+     * Failures are logged, which is shown by the action badge.
+     */
+    async _updateDictionaries() {
+        if (this._updatingDictionaries) { return; }
+        this._updatingDictionaries = true;
+        try {
+            const {updates, errors} = await this._dictionaryUpdater.checkForUpdates();
+            for (const error of errors) {
+                log.error(ExtensionError.deserialize(error));
+            }
+            if (updates.length === 0) { return; }
+
+            const {global: {database: {prefixWildcardsSupported, glossaryIndexEnabled, glossaryCompressionEnabled}}} = this._getOptionsFull(false);
+            /** @type {import('dictionary-importer').ImportDetails} */
+            const details = {
+                prefixWildcardsSupported,
+                glossaryIndexEnabled,
+                glossaryCompressionEnabled,
+                yomitanVersion: chrome.runtime.getManifest().version,
+            };
+
+            let updated = false;
+            for (const update of updates) {
+                try {
+                    const summary = await this._dictionaryUpdater.updateDictionary(update, details);
+                    await this._updateDictionarySettings(update.title, summary);
+                    updated = true;
+                } catch (e) {
+                    log.error(e);
+                }
+            }
+            if (updated) {
+                this._triggerDatabaseUpdated('dictionary', 'import');
+            }
+        } catch (e) {
+            log.error(e);
+        } finally {
+            this._updatingDictionaries = false;
+        }
+    }
+
+    /**
+     * Enables the personal dictionary in the profiles which have no settings for it yet,
+     * so that the first term added to it can be looked up right away.
+     * It is given the highest priority, since its terms are usually missing from other dictionaries.
+     */
+    async _addPersonalDictionaryOptions() {
+        const options = this._getOptionsFull(false);
+        let modified = false;
+        for (const {options: profileOptions} of options.profiles) {
+            if (profileOptions.dictionaries.some(({name}) => name === PERSONAL_DICTIONARY_NAME)) { continue; }
+            profileOptions.dictionaries.unshift(createPersonalDictionaryOptions(true));
+            modified = true;
+        }
+        if (modified) {
+            await this._saveOptions('background');
+        }
+    }
+
+    /**
+     * Points the per-profile settings of an updated dictionary at its new revision,
+     * keeping its priority, enabled state and alias.
+     * @param {string} title
+     * @param {import('dictionary-importer').Summary} summary
+     */
+    async _updateDictionarySettings(title, {title: newTitle, styles}) {
+        const options = this._getOptionsFull(false);
+        const oldFieldSegmentRegex = new RegExp(getKebabCase(title), 'g');
+        const newFieldSegment = getKebabCase(newTitle);
+        for (const {options: profileOptions} of options.profiles) {
+            for (const dictionary of profileOptions.dictionaries) {
+                if (dictionary.name !== title) { continue; }
+                if (dictionary.alias === title) { dictionary.alias = newTitle; }
+                dictionary.name = newTitle;
+                dictionary.styles = styles;
+            }
+            if (newTitle === title) { continue; }
+            const {general} = profileOptions;
+            if (general.mainDictionary === title) { general.mainDictionary = newTitle; }
+            if (general.sortFrequencyDictionary === title) { general.sortFrequencyDictionary = newTitle; }
+            for (const {fields} of profileOptions.anki.cardFormats) {
+                for (const field of Object.values(fields)) {
+                    field.value = field.value.replace(oldFieldSegmentRegex, newFieldSegment);
+                }
+            }
+        }
+        await this._saveOptions('background');
+    }
+
     /**
      * @param {string} source
      */
@@ -2668,6 +3343,56 @@ export class Backend {
         };
     }
 
+    /**
+     * Picks the language of the text among the configured language and the source languages of the enabled dictionaries,
+     * so that the text is deinflected using the rules of its own language when dictionaries of several languages are enabled.
+     * @param {string} text
+     * @param {?import('language-identification').Hints} languageHints
+     * @param {import('translation').FindTermsOptions} findTermsOptions
+     * @returns {Promise<string>}
+     */
+    async _getTranslatorLanguage(text, languageHints, {language, enabledDictionaryMap}) {
+        const dictionarySourceLanguages = await this._getDictionarySourceLanguages();
+        const languages = new Set([language]);
+        for (const name of enabledDictionaryMap.keys()) {
+            const sourceLanguage = dictionarySourceLanguages.get(name);
+            if (typeof sourceLanguage === 'string') { languages.add(sourceLanguage); }
+        }
+        if (languages.size <= 1) { return language; }
+
+        const languageIdentifier = new LanguageIdentifier([...languages].map((iso) => ({iso, scripts: getLanguageScripts(iso)})));
+        const [candidate] = languageIdentifier.identify(text, languageHints, [language]);
+        return typeof candidate !== 'undefined' ? candidate.iso : language;
+    }
+
+    /**
+     * @returns {Promise<Map<string, string>>} The source languages of the installed dictionaries which Yomitan supports, by dictionary title.
+     */
+    _getDictionarySourceLanguages() {
+        if (this._dictionarySourceLanguagesPromise === null) {
+            this._dictionarySourceLanguagesPromise = this._loadDictionarySourceLanguages();
+            this._dictionarySourceLanguagesPromise.catch(() => {
+                this._dictionarySourceLanguagesPromise = null;
+            });
+        }
+        return this._dictionarySourceLanguagesPromise;
+    }
+
+    /**
+     * @returns {Promise<Map<string, string>>}
+     */
+    async _loadDictionarySourceLanguages() {
+        const supportedLanguages = new Set(getLanguageSummaries().map(({iso}) => iso));
+        /** @type {Map<string, string>} */
+        const sourceLanguages = new Map();
+        for (const {title, sourceLanguage} of await this._dictionaryDatabase.getDictionaryInfo()) {
+            if (typeof sourceLanguage === 'string' && supportedLanguages.has(sourceLanguage)) {
+                sourceLanguages.set(title, sourceLanguage);
+            }
+        }
+        return sourceLanguages;
+    }
+
     /**
      * Creates an options object for use with `Translator.findKanji`.
      * @param {import('settings').ProfileOptions} options The options.
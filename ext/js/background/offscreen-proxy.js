@@ -215,6 +215,71 @@ export class DictionaryDatabaseProxy {
     }
 }
 
+export class DictionaryUpdaterProxy {
+    /**
+     * @param {OffscreenProxy} offscreen
+     */
+    constructor(offscreen) {
+        /** @type {OffscreenProxy} */
+        this._offscreen = offscreen;
+    }
+
+    /**
+     * @returns {Promise<import('dictionary-updater').DictionaryUpdateCheck>}
+     */
+    async checkForUpdates() {
+        return await this._offscreen.sendMessagePromise({action: 'checkForDictionaryUpdatesOffscreen'});
+    }
+
+    /**
+     * @param {import('dictionary-updater').DictionaryUpdate} update
+     * @param {import('dictionary-importer').ImportDetails} details
+     * @returns {Promise<import('dictionary-importer').Summary>}
+     */
+    async updateDictionary(update, details) {
+        return await this._offscreen.sendMessagePromise({action: 'updateDictionaryOffscreen', params: {update, details}});
+    }
+}
+
+export class PersonalDictionaryProxy {
+    /**
+     * @param {OffscreenProxy} offscreen
+     */
+    constructor(offscreen) {
+        /** @type {OffscreenProxy} */
+        this._offscreen = offscreen;
+    }
+
+    /**
+     * @returns {Promise<import('personal-dictionary').Entry[]>}
+     */
+    async getEntries() {
+        return await this._offscreen.sendMessagePromise({action: 'getPersonalDictionaryEntriesOffscreen'});
+    }
+
+    /**
+     * @param {import('personal-dictionary').EntryContent} content
+     */
+    async addEntry(content) {
+        await this._offscreen.sendMessagePromise({action: 'addPersonalDictionaryEntryOffscreen', params: {content}});
+    }
+
+    /**
+     * @param {number} id
+     * @param {import('personal-dictionary').EntryContent} content
+     */
+    async updateEntry(id, content) {
+        await this._offscreen.sendMessagePromise({action: 'updatePersonalDictionaryEntryOffscreen', params: {id, content}});
+    }
+
+    /**
+     * @param {number} id
+     */
+    async deleteEntry(id) {
+        await this._offscreen.sendMessagePromise({action: 'deletePersonalDictionaryEntryOffscreen', params: {id}});
+    }
+}
+
 export class TranslatorProxy {
     /**
      * @param {OffscreenProxy} offscreen
@@ -251,22 +316,22 @@ export class TranslatorProxy {
      * @returns {Promise<import('translator').FindTermsResult>}
      */
     async findTerms(mode, text, options) {
-        const {enabledDictionaryMap, excludeDictionaryDefinitions, textReplacements} = options;
-        const enabledDictionaryMapList = [...enabledDictionaryMap];
-        const excludeDictionaryDefinitionsList = excludeDictionaryDefinitions ? [...excludeDictionaryDefinitions] : null;
-        const textReplacementsSerialized = textReplacements.map((group) => {
-            return group !== null ? group.map((opt) => ({...opt, pattern: opt.pattern.toString()})) : null;
-        });
-        /** @type {import('offscreen').FindTermsOptionsOffscreen} */
-        const modifiedOptions = {
-            ...options,
-            enabledDictionaryMap: enabledDictionaryMapList,
-            excludeDictionaryDefinitions: excludeDictionaryDefinitionsList,
-            textReplacements: textReplacementsSerialized,
-        };
+        const modifiedOptions = this._serializeFindTermsOptions(options);
         return this._offscreen.sendMessagePromise({action: 'findTermsOffscreen', params: {mode, text, options: modifiedOptions}});
     }
 
+    /**
+     * @param {import('translator').FindTermsMode} mode
+     * @param {string} text
+     * @param {import('translation').FindTermsOptions} options
+     * @param {import('translator').PatternSearchPage} page
+     * @returns {Promise<import('translator').FindTermsByPatternResult>}
+     */
+    async findTermsByPattern(mode, text, options, page) {
+        const modifiedOptions = this._serializeFindTermsOptions(options);
+        return this._offscreen.sendMessagePromise({action: 'findTermsByPatternOffscreen', params: {mode, text, options: modifiedOptions, page}});
+    }
+
     /**
      * @param {string} text
      * @param {import('translation').FindDeinflectionOptions} options
@@ -297,6 +362,25 @@ export class TranslatorProxy {
     async clearDatabaseCaches() {
         await this._offscreen.sendMessagePromise({action: 'clearDatabaseCachesOffscreen'});
     }
+
+    /**
+     * @param {import('translation').FindTermsOptions} options
+     * @returns {import('offscreen').FindTermsOptionsOffscreen}
+     */
+    _serializeFindTermsOptions(options) {
+        const {enabledDictionaryMap, excludeDictionaryDefinitions, textReplacements} = options;
+        const enabledDictionaryMapList = [...enabledDictionaryMap];
+        const excludeDictionaryDefinitionsList = excludeDictionaryDefinitions ? [...excludeDictionaryDefinitions] : null;
+        const textReplacementsSerialized = textReplacements.map((group) => {
+            return group !== null ? group.map((opt) => ({...opt, pattern: opt.pattern.toString()})) : null;
+        });
+        return {
+            ...options,
+            enabledDictionaryMap: enabledDictionaryMapList,
+            excludeDictionaryDefinitions: excludeDictionaryDefinitionsList,
+            textReplacements: textReplacementsSerialized,
+        };
+    }
 }
 
 export class ClipboardReaderProxy {
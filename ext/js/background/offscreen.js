@@ -24,6 +24,8 @@ import {log} from '../core/log.js';
 import {sanitizeCSS} from '../core/utilities.js';
 import {arrayBufferToBase64} from '../data/array-buffer-util.js';
 import {DictionaryDatabase} from '../dictionary/dictionary-database.js';
+import {DictionaryUpdater} from '../dictionary/dictionary-updater.js';
+import {PersonalDictionary} from '../dictionary/personal-dictionary.js';
 import {WebExtension} from '../extension/web-extension.js';
 import {Translator} from '../language/translator.js';
 
@@ -40,6 +42,10 @@ export class Offscreen {
         this._dictionaryDatabase = new DictionaryDatabase();
         /** @type {Translator} */
         this._translator = new Translator(this._dictionaryDatabase);
+        /** @type {DictionaryUpdater} */
+        this._dictionaryUpdater = new DictionaryUpdater(this._dictionaryDatabase);
+        /** @type {PersonalDictionary} */
+        this._personalDictionary = new PersonalDictionary(this._dictionaryDatabase);
         /** @type {ClipboardReader} */
         this._clipboardReader = new ClipboardReader(
             (typeof document === 'object' && document !== null ? document : null),
@@ -57,9 +63,16 @@ export class Offscreen {
             ['getDictionaryInfoOffscreen',     this._getDictionaryInfoHandler.bind(this)],
             ['databasePurgeOffscreen',         this._purgeDatabaseHandler.bind(this)],
             ['databaseGetMediaOffscreen',      this._getMediaHandler.bind(this)],
+            ['checkForDictionaryUpdatesOffscreen', this._checkForDictionaryUpdatesHandler.bind(this)],
+            ['updateDictionaryOffscreen',      this._updateDictionaryHandler.bind(this)],
+            ['getPersonalDictionaryEntriesOffscreen', this._getPersonalDictionaryEntriesHandler.bind(this)],
+            ['addPersonalDictionaryEntryOffscreen', this._addPersonalDictionaryEntryHandler.bind(this)],
+            ['updatePersonalDictionaryEntryOffscreen', this._updatePersonalDictionaryEntryHandler.bind(this)],
+            ['deletePersonalDictionaryEntryOffscreen', this._deletePersonalDictionaryEntryHandler.bind(this)],
             ['translatorPrepareOffscreen',     this._prepareTranslatorHandler.bind(this)],
             ['findKanjiOffscreen',             this._findKanjiHandler.bind(this)],
             ['findTermsOffscreen',             this._findTermsHandler.bind(this)],
+            ['findTermsByPatternOffscreen',    this._findTermsByPatternHandler.bind(this)],
             ['getDeinflectionTextVariantsOffscreen', this._getDeinflectionTextVariantsHandler.bind(this)],
             ['getTermFrequenciesOffscreen',    this._getTermFrequenciesHandler.bind(this)],
             ['clearDatabaseCachesOffscreen',   this._clearDatabaseCachesHandler.bind(this)],
@@ -129,6 +142,36 @@ export class Offscreen {
         return media.map((m) => ({...m, content: arrayBufferToBase64(m.content)}));
     }
 
+    /** @type {import('offscreen').ApiHandler<'checkForDictionaryUpdatesOffscreen'>} */
+    async _checkForDictionaryUpdatesHandler() {
+        return await this._dictionaryUpdater.checkForUpdates();
+    }
+
+    /** @type {import('offscreen').ApiHandler<'updateDictionaryOffscreen'>} */
+    async _updateDictionaryHandler({update, details}) {
+        return await this._dictionaryUpdater.updateDictionary(update, details);
+    }
+
+    /** @type {import('offscreen').ApiHandler<'getPersonalDictionaryEntriesOffscreen'>} */
+    async _getPersonalDictionaryEntriesHandler() {
+        return await this._personalDictionary.getEntries();
+    }
+
+    /** @type {import('offscreen').ApiHandler<'addPersonalDictionaryEntryOffscreen'>} */
+    async _addPersonalDictionaryEntryHandler({content}) {
+        await this._personalDictionary.addEntry(content);
+    }
+
+    /** @type {import('offscreen').ApiHandler<'updatePersonalDictionaryEntryOffscreen'>} */
+    async _updatePersonalDictionaryEntryHandler({id, content}) {
+        await this._personalDictionary.updateEntry(id, content);
+    }
+
+    /** @type {import('offscreen').ApiHandler<'deletePersonalDictionaryEntryOffscreen'>} */
+    async _deletePersonalDictionaryEntryHandler({id}) {
+        await this._personalDictionary.deleteEntry(id);
+    }
+
     /** @type {import('offscreen').ApiHandler<'translatorPrepareOffscreen'>} */
     _prepareTranslatorHandler() {
         this._translator.prepare();
@@ -146,6 +189,19 @@ export class Offscreen {
 
     /** @type {import('offscreen').ApiHandler<'findTermsOffscreen'>} */
     async _findTermsHandler({mode, text, options}) {
+        return this._translator.findTerms(mode, text, this._deserializeFindTermsOptions(options));
+    }
+
+    /** @type {import('offscreen').ApiHandler<'findTermsByPatternOffscreen'>} */
+    async _findTermsByPatternHandler({mode, text, options, page}) {
+        return this._translator.findTermsByPattern(mode, text, this._deserializeFindTermsOptions(options), page);
+    }
+
+    /**
+     * @param {import('offscreen').FindTermsOptionsOffscreen} options
+     * @returns {import('translation').FindTermsOptions}
+     */
+    _deserializeFindTermsOptions(options) {
         const enabledDictionaryMap = new Map(options.enabledDictionaryMap);
         const excludeDictionaryDefinitions = (
             options.excludeDictionaryDefinitions !== null ?
@@ -161,14 +217,12 @@ export class Offscreen {
                 return {...opt, pattern: new RegExp(pattern, flags ?? '')};
             });
         });
-        /** @type {import('translation').FindTermsOptions} */
-        const modifiedOptions = {
+        return {
             ...options,
             enabledDictionaryMap,
             excludeDictionaryDefinitions,
             textReplacements,
         };
-        return this._translator.findTerms(mode, text, modifiedOptions);
     }
 
     /** @type {import('offscreen').ApiHandler<'getDeinflectionTextVariantsOffscreen'>} */
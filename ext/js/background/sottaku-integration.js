@@ -1,10 +1,27 @@
-import {SottakuClient} from '../comm/sottaku-client.js';
+import {SottakuCache} from '../comm/sottaku-cache.js';
+import {createSottakuSessionExpiredError, isSottakuPermanentError, isSottakuSessionExpiredError, SottakuClient} from '../comm/sottaku-client.js';
+import {SottakuOutbox} from '../comm/sottaku-outbox.js';
+import {EventDispatcher} from '../core/event-dispatcher.js';
+import {arrayBufferToBase64} from '../data/array-buffer-util.js';
 import {ExtensionError} from '../core/extension-error.js';
+import {log} from '../core/log.js';
+import {isObjectNotArray} from '../core/object-utilities.js';
 import {toError} from '../core/to-error.js';
-import {getSottakuLanguageFlag, normalizeSottakuLanguages, SOTTAKU_SUPPORTED_LANGUAGES} from '../language/sottaku-languages.js';
+import {SOTTAKU_DICTIONARY_NAME} from '../dictionary/sottaku-dictionary.js';
+import {sortTermDictionaryEntries} from '../language/translator.js';
+import {normalizeSottakuLanguages, parseSottakuLanguageCapabilities, SottakuLanguageCapabilities} from '../language/sottaku-languages.js';
 
-const JAPANESE_CHAR_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff]/;
-const HANGUL_CHAR_PATTERN = /[\u1100-\u11ff\u3130-\u318f\uac00-\ud7af]/;
+/** Languages identified with at least this share of the confidence of the most likely language are also looked up. */
+const AMBIGUOUS_LANGUAGE_CONFIDENCE_RATIO = 0.8;
+const MAX_AMBIGUOUS_LANGUAGES = 2;
+/** Delay before pending mutations are retried after a failure, doubled after each failed attempt. */
+const OUTBOX_RETRY_BASE_DELAY_MINUTES = 0.5;
+const OUTBOX_RETRY_MAX_DELAY_MINUTES = 30;
+/** Mutations which fail this many times for reasons other than the network are parked. */
+const MAX_OUTBOX_ATTEMPT_COUNT = 5;
+
+/** The name of the alarm which sends the pending mutations again. */
+export const SOTTAKU_OUTBOX_ALARM_NAME = 'sottakuOutboxFlush';
 
 /**
  * @typedef {object} SottakuLanguageResult
@@ -13,21 +30,63 @@ const HANGUL_CHAR_PATTERN = /[\u1100-\u11ff\u3130-\u318f\uac00-\ud7af]/;
  * @property {number} originalTextLength
  */
 
-export class SottakuIntegration {
+/**
+ * Performs Sottaku lookups and account actions for the backend.
+ * Session renewals are forwarded from the client, so that the backend can store the new token in the options.
+ * @augments EventDispatcher<import('sottaku-client').Events>
+ */
+export class SottakuIntegration extends EventDispatcher {
     /**
      * @param {import('../language/translator.js').Translator | import('./offscreen-proxy.js').TranslatorProxy} translator
      */
     constructor(translator) {
+        super();
+        /** @type {SottakuCache} */
+        this._cache = new SottakuCache();
         /** @type {SottakuClient} */
         this._client = new SottakuClient();
+        this._client.setCache(this._cache);
+        this._client.on('authTokenChanged', this._onAuthTokenChanged.bind(this));
+        this._client.on('sessionExpired', this._onSessionExpired.bind(this));
+        /** @type {import('sottaku-credentials').Credentials} */
+        this._credentials = {authToken: '', user: null};
         /** @type {import('../language/translator.js').Translator | import('./offscreen-proxy.js').TranslatorProxy} */
         this._translator = translator;
         /** @type {?import('settings').ProfileOptions} */
         this._options = null;
-        /** @type {string[]} */
-        this._supportedLanguages = [...SOTTAKU_SUPPORTED_LANGUAGES];
-        /** @type {?Promise<string[]>} */
-        this._supportedLanguagesPromise = null;
+        /** @type {SottakuLanguageCapabilities} */
+        this._languageCapabilities = new SottakuLanguageCapabilities();
+        /** @type {?Promise<SottakuLanguageCapabilities>} */
+        this._languageCapabilitiesPromise = null;
+        /** @type {SottakuOutbox} */
+        this._outbox = new SottakuOutbox();
+        /** @type {?Promise<import('sottaku-outbox').FlushResult>} */
+        this._outboxFlushPromise = null;
+        /** @type {number} */
+        this._outboxRetryDelayMinutes = OUTBOX_RETRY_BASE_DELAY_MINUTES;
+    }
+
+    /**
+     * Starts sending pending mutations, and sends them again whenever connectivity returns.
+     */
+    prepareOutbox() {
+        globalThis.addEventListener('online', () => { void this.flushOutbox(); }, false);
+        void this.flushOutbox();
+    }
+
+    /**
+     * Responses are cached for the signed in user, and the cache is cleared when the user signs out.
+     * @param {import('sottaku-credentials').Credentials} credentials
+     */
+    setCredentials(credentials) {
+        const signedOut = credentials.user === null && this._credentials.user !== null;
+        this._credentials = credentials;
+        this._client.setConfig({authToken: credentials.authToken});
+        this._cache.setUser(credentials.user !== null ? credentials.user.id : null);
+        if (signedOut) {
+            // The responses of the previous account are not kept once it is signed out
+            this._cache.clear().catch((e) => log.error(e));
+        }
     }
 
     /**
@@ -38,38 +97,41 @@ export class SottakuIntegration {
         const {sottaku} = options;
         this._client.setConfig({
             apiBaseUrl: sottaku.apiBaseUrl,
-            authToken: sottaku.authToken,
             cookieDomain: sottaku.cookieDomain,
         });
-        if (sottaku.authToken) {
-            void this._ensureSupportedLanguages();
+        this._cache.configure(sottaku.cache);
+        if (this._client.authToken) {
+            void this._ensureLanguageCapabilities();
         } else {
-            this._supportedLanguages = [...SOTTAKU_SUPPORTED_LANGUAGES];
+            this._languageCapabilities = new SottakuLanguageCapabilities();
         }
     }
 
     /**
      * @param {string} text
      * @param {import('translation').FindDeinflectionOptions} [findTermsOptions]
+     * @param {?AbortSignal} [signal] Aborts the remote requests of the lookup.
+     * @param {?import('language-identification').Hints} [languageHints] Used to identify the language of the text in the `auto` language mode.
      * @returns {Promise<{dictionaryEntries: import('dictionary').TermDictionaryEntry[], originalTextLength: number}>}
      */
-    async findTerms(text, findTermsOptions) {
+    async findTerms(text, findTermsOptions, signal = null, languageHints = null) {
         if (this._options === null) {
             throw new ExtensionError('Sottaku options not configured');
         }
         const {sottaku, general} = this._options;
         if (!sottaku.enabled) { return {dictionaryEntries: [], originalTextLength: text.length}; }
-        if (!sottaku.authToken) {
+        if (!this._client.authToken) {
+            if (this._credentials.user !== null) { throw createSottakuSessionExpiredError(); }
             throw new ExtensionError('Sign in to Sottaku from the settings page to enable remote lookups.');
         }
 
-        await this._ensureSupportedLanguages();
+        await this._ensureLanguageCapabilities();
         const query = (text || '').trim();
         if (!query) {
             return {dictionaryEntries: [], originalTextLength: 0};
         }
 
-        const languages = this._resolveLanguages(query, sottaku, general.language);
+        const languages = this._resolveLanguages(query, sottaku, general.language, languageHints);
         const maxResults = Math.max(1, general.maxResults || 32);
         const apiOrigin = this._getOrigin(sottaku.apiBaseUrl);
 
@@ -81,6 +143,7 @@ export class SottakuIntegration {
                 language,
                 maxResults,
                 variants: await this._buildQueryVariants(query, language, findTermsOptions),
+                signal,
             });
             languageResults.push(languageResult);
         }
@@ -90,6 +153,245 @@ export class SottakuIntegration {
         return {dictionaryEntries, originalTextLength};
     }
 
+    /**
+     * Signs in again using the session of the Sottaku website, if the browser has one.
+     * @returns {Promise<?string>} The new token, or `null` if the browser is not signed in to Sottaku.
+     */
+    async signIn() {
+        const previousAuthToken = this._client.authToken;
+        try {
+            if (await this._client.syncTokenFromCookies() !== null) {
+                // Verify that the session is still valid; the token can change if the session is renewed
+                await this._client.getProfile();
+                if (this._client.authToken) {
+                    this._languageCapabilitiesPromise = null;
+                    void this._ensureLanguageCapabilities();
+                    return this._client.authToken;
+                }
+            }
+        } catch (e) {
+            // NOP
+        }
+        this._client.setConfig({authToken: previousAuthToken});
+        return null;
+    }
+
+    /**
+     * Checks whether a cookie holds the session of the Sottaku website.
+     * @param {chrome.cookies.Cookie} cookie
+     * @returns {boolean}
+     */
+    isSessionCookie(cookie) {
+        return this._client.isSessionCookie(cookie);
+    }
+
+    /**
+     * @returns {string}
+     * @throws {ExtensionError}
+     */
+    getLoginUrl() {
+        if (this._options === null) {
+            throw new ExtensionError('Sottaku options not configured');
+        }
+        return `${this._getOrigin(this._options.sottaku.apiBaseUrl)}/login?source=extension`;
+    }
+
+    /**
+     * @returns {Promise<import('sottaku-cache').Info>}
+     */
+    async getCacheInfo() {
+        return await this._cache.getInfo();
+    }
+
+    /** */
+    async clearCache() {
+        await this._cache.clear();
+    }
+
+    /**
+     * Sends a flashcard or word request mutation.
+     * If Sottaku cannot be reached, the mutation is stored in the outbox and sent later.
+     * @param {import('sottaku-outbox').Mutation} mutation
+     * @returns {Promise<import('sottaku-outbox').SendResult>}
+     */
+    async sendMutation(mutation) {
+        this._getSignedInOptions();
+        // The new action supersedes any pending action on the same question
+        await this._outbox.delete(mutation.language, mutation.questionId);
+        try {
+            await this._sendMutation(mutation);
+            return {queued: false};
+        } catch (e) {
+            if (!this._client.isNetworkError(e)) { throw e; }
+            await this._outbox.put({
+                ...mutation,
+                timestamp: Date.now(),
+                attemptCount: 1,
+                lastError: toError(e).message,
+                parked: false,
+            });
+            await this._scheduleOutboxFlush();
+            return {queued: true};
+        }
+    }
+
+    /**
+     * @returns {Promise<import('sottaku-outbox').PendingMutation[]>}
+     */
+    async getPendingMutations() {
+        return await this._outbox.getAll();
+    }
+
+    /**
+     * Sends a parked mutation again, along with the other pending mutations.
+     * @param {string} language
+     * @param {number} questionId
+     * @returns {Promise<import('sottaku-outbox').FlushResult>}
+     */
+    async retryMutation(language, questionId) {
+        const mutation = await this._outbox.get(language, questionId);
+        if (mutation !== null && mutation.parked) {
+            await this._outbox.put({...mutation, attemptCount: 0, parked: false});
+        }
+        return await this.flushOutbox();
+    }
+
+    /**
+     * Removes a pending mutation without sending it.
+     * @param {string} language
+     * @param {number} questionId
+     */
+    async discardMutation(language, questionId) {
+        await this._outbox.delete(language, questionId);
+    }
+
+    /**
+     * Sends the pending mutations in the order they were made.
+     * Sending stops at the first network failure, and is retried later.
+     * Mutations which Sottaku rejects, or which keep failing, are parked until the user retries or discards them.
+     * @returns {Promise<import('sottaku-outbox').FlushResult>}
+     */
+    async flushOutbox() {
+        if (this._outboxFlushPromise === null) {
+            this._outboxFlushPromise = this._flushOutbox().finally(() => { this._outboxFlushPromise = null; });
+        }
+        return await this._outboxFlushPromise;
+    }
+
+    /**
+     * Returns the flashcards that are due for review in the configured study languages.
+     * @param {number} limit
+     * @returns {Promise<import('sottaku-review').Card[]>}
+     */
+    async getDueFlashcards(limit) {
+        const {sottaku, general} = this._getSignedInOptions();
+        await this._ensureLanguageCapabilities();
+        const languages = this._getReviewLanguages(sottaku, general.language);
+        const apiOrigin = this._getOrigin(sottaku.apiBaseUrl);
+
+        /** @type {import('sottaku-review').Card[]} */
+        const cards = [];
+        for (const language of languages) {
+            if (cards.length >= limit) { break; }
+            const flashcards = await this._client.getDueFlashcards(language, limit - cards.length);
+            for (let i = 0; i < flashcards.length; ++i) {
+                const entry = this._createEntry(flashcards[i], flashcards[i], language, apiOrigin, '', i);
+                /** @type {unknown} */
+                const metadata = /** @type {any} */ (entry).sottaku;
+                const card = this._createReviewCard(metadata);
+                if (card !== null) { cards.push(card); }
+            }
+        }
+        return cards.slice(0, limit);
+    }
+
+    /**
+     * @param {number} questionId
+     * @param {import('sottaku-review').Grade} grade
+     * @param {string} language
+     */
+    async submitFlashcardReview(questionId, grade, language) {
+        this._getSignedInOptions();
+        await this._client.submitFlashcardReview(questionId, grade, language);
+    }
+
+    /**
+     * Downloads the word or sentence audio of an entry.
+     * The audio URL is looked up from the word info when the entry does not include it.
+     * @param {import('api').InjectAnkiNoteMediaSottakuAudioDetails} details
+     * @param {'word'|'sentence'} type
+     * @returns {Promise<?{data: string, contentType: string}>} The base64 encoded audio, or `null` if the entry has no audio of this type.
+     */
+    async downloadAudio({questionId, language, audio}, type) {
+        let url = audio[type];
+        if (url === null && questionId !== null) {
+            const info = await this._client.getWordInfo(questionId, language);
+            if (typeof info === 'object' && info !== null) {
+                const apiOrigin = this._getOrigin(this._options !== null ? this._options.sottaku.apiBaseUrl : '');
+                url = this._resolveUrl(/** @type {import('core').SerializableObject} */ (info)[`${type}_audio_file`], apiOrigin);
+            }
+        }
+        if (url === null) { return null; }
+
+        const blob = await this._client.fetchAudio(url);
+        if (blob === null) { return null; }
+        return {data: arrayBufferToBase64(await blob.arrayBuffer()), contentType: blob.type};
+    }
+
+    /**
+     * Merges Sottaku entries into the results of a local dictionary lookup.
+     * A Sottaku entry whose term and reading match a local entry is folded into that entry,
+     * and the remaining entries are ranked together with the local ones using the translator's sort rules.
+     * @param {import('translator').FindTermsMode} mode
+     * @param {import('translator').FindTermsResult} localResult
+     * @param {import('translator').FindTermsResult} sottakuResult
+     * @param {import('translation').FindTermsOptions} findTermsOptions
+     * @returns {import('translator').FindTermsResult}
+     */
+    mergeDictionaryEntries(mode, localResult, sottakuResult, findTermsOptions) {
+        const {enabledDictionaryMap, sortFrequencyDictionary, sortFrequencyDictionaryOrder} = findTermsOptions;
+        const sottakuDictionary = enabledDictionaryMap.get(SOTTAKU_DICTIONARY_NAME);
+        if (typeof sottakuDictionary === 'undefined') { return localResult; }
+
+        const {index: dictionaryIndex, alias} = sottakuDictionary;
+        const frequencyOrder = (sortFrequencyDictionary !== null && sortFrequencyDictionaryOrder === 'ascending') ? Number.MAX_SAFE_INTEGER : 0;
+        const dictionaryEntries = [...localResult.dictionaryEntries];
+
+        /** @type {Map<string, import('dictionary').TermDictionaryEntry>} */
+        const headwordEntryMap = new Map();
+        if (mode !== 'split') {
+            for (const dictionaryEntry of dictionaryEntries) {
+                for (const {term, reading} of dictionaryEntry.headwords) {
+                    const key = this._createHeadwordKey(term, reading);
+                    if (!headwordEntryMap.has(key)) {
+                        headwordEntryMap.set(key, dictionaryEntry);
+                    }
+                }
+            }
+        }
+
+        for (const sottakuEntry of sottakuResult.dictionaryEntries) {
+            this._applyDictionaryOptions(sottakuEntry, dictionaryIndex, alias, frequencyOrder);
+            const {term, reading} = sottakuEntry.headwords[0];
+            const existingEntry = headwordEntryMap.get(this._createHeadwordKey(term, reading));
+            if (typeof existingEntry !== 'undefined' && this._getMetadata(existingEntry) === null) {
+                this._addSottakuDefinitions(existingEntry, sottakuEntry);
+            } else {
+                dictionaryEntries.push(sottakuEntry);
+            }
+        }
+
+        if (dictionaryEntries.length > 1) {
+            sortTermDictionaryEntries(dictionaryEntries);
+        }
+
+        const originalTextLength = Math.max(
+            localResult.dictionaryEntries.length > 0 ? localResult.originalTextLength : 0,
+            sottakuResult.dictionaryEntries.length > 0 ? sottakuResult.originalTextLength : 0,
+        );
+        return {dictionaryEntries, originalTextLength};
+    }
+
     /**
      * @param {string} text
      * @param {string} language
@@ -97,11 +399,15 @@ export class SottakuIntegration {
      * @returns {Promise<{query: string, sourceText: string, originalTextLength: number}[]>}
      */
     async _buildQueryVariants(text, language, findTermsOptions) {
-        const normalizedText = (text || '').trim();
+        const normalizedText = this._languageCapabilities.preprocessText((text || '').trim(), language).trim();
         /** @type {{query: string, sourceText: string, originalTextLength: number}[]} */
         const variants = [];
 
-        if (this._translator && typeof this._translator.getDeinflectionTextVariants === 'function') {
+        if (
+            this._languageCapabilities.isDeinflectionEnabled(language) &&
+            this._translator &&
+            typeof this._translator.getDeinflectionTextVariants === 'function'
+        ) {
             const deinflectionOptions = {
                 deinflect: findTermsOptions?.deinflect ?? true,
                 language,
@@ -137,10 +443,10 @@ export class SottakuIntegration {
     }
 
     /**
-     * @param {{apiOrigin: string, language: string, maxResults: number, variants: {query: string, sourceText: string, originalTextLength: number}[]}} options
+     * @param {{apiOrigin: string, language: string, maxResults: number, variants: {query: string, sourceText: string, originalTextLength: number}[], signal: ?AbortSignal}} options
      * @returns {Promise<SottakuLanguageResult>}
      */
-    async _fetchLanguageEntriesWithVariants({apiOrigin, language, maxResults, variants}) {
+    async _fetchLanguageEntriesWithVariants({apiOrigin, language, maxResults, variants, signal}) {
         const resolvedVariants = variants.length > 0 ? variants : [{query: '', sourceText: '', originalTextLength: 0}];
         /** @type {SottakuLanguageResult | null} */
         let fallbackResult = null;
@@ -152,6 +458,7 @@ export class SottakuIntegration {
                 query,
                 sourceText,
                 originalTextLength,
+                signal,
             });
             if (languageResult.entries.length > 0) {
                 return languageResult;
@@ -168,10 +475,10 @@ export class SottakuIntegration {
     }
 
     /**
-     * @param {{apiOrigin: string, language: string, maxResults: number, query: string, sourceText?: string, originalTextLength?: number}} options
+     * @param {{apiOrigin: string, language: string, maxResults: number, query: string, sourceText?: string, originalTextLength?: number, signal?: ?AbortSignal}} options
      * @returns {Promise<SottakuLanguageResult>}
      */
-    async _fetchLanguageEntries({apiOrigin, language, maxResults, query, sourceText, originalTextLength}) {
+    async _fetchLanguageEntries({apiOrigin, language, maxResults, query, sourceText, originalTextLength, signal = null}) {
         const normalizedQuery = (query || '').trim();
         const normalizedSource = (sourceText || normalizedQuery || '').trim();
         if (!normalizedQuery) {
@@ -189,6 +496,7 @@ export class SottakuIntegration {
                 normalizedQuery,
                 language,
                 maxResults,
+                signal,
             );
             scanResultsRaw = scanResult.results;
             scanOriginalLength = scanResult.originalTextLength;
@@ -208,10 +516,11 @@ export class SottakuIntegration {
         const questionIds = limitedResults
             .map((item) => Number.parseInt(item?.id, 10))
             .filter((id) => Number.isFinite(id) && id > 0);
-        let inFlashcards = new Set();
+        /** @type {Map<number, ?import('sottaku-review').FlashcardStatus>} */
+        let inFlashcards = new Map();
         if (questionIds.length > 0 && this._client.authToken) {
             try {
-                inFlashcards = await this._client.getFlashcardMembership(questionIds, language);
+                inFlashcards = await this._client.getFlashcardMembership(questionIds, language, signal);
             } catch (e) {
                 // NOP
             }
@@ -221,8 +530,10 @@ export class SottakuIntegration {
         const entries = [];
         for (let i = 0; i < limitedResults.length; ++i) {
             const result = limitedResults[i];
-            if (inFlashcards.has(Number.parseInt(result?.id, 10))) {
+            const id = Number.parseInt(result?.id, 10);
+            if (inFlashcards.has(id)) {
                 result.in_flashcards = true;
+                result.flashcard_status = inFlashcards.get(id);
             }
             entries.push(this._createEntry(
                 result,
@@ -304,40 +615,206 @@ export class SottakuIntegration {
      * @param {string} text
      * @param {import('settings').SottakuOptions} sottakuOptions
      * @param {string} defaultLanguage
+     * @param {?import('language-identification').Hints} languageHints
      * @returns {string[]}
      */
-    _resolveLanguages(text, sottakuOptions, defaultLanguage) {
-        const supportedLanguages = this._supportedLanguages.length > 0 ? this._supportedLanguages : SOTTAKU_SUPPORTED_LANGUAGES;
+    _resolveLanguages(text, sottakuOptions, defaultLanguage, languageHints) {
         const preferredLanguages = normalizeSottakuLanguages(
             sottakuOptions.preferredLanguages,
             defaultLanguage,
-            supportedLanguages,
+            this._languageCapabilities.languages,
         );
-        switch (sottakuOptions.languageMode) {
-            case 'ja': return ['ja'];
-            case 'ko': return ['ko'];
-            case 'mixed': return preferredLanguages;
+        const {languageMode} = sottakuOptions;
+        switch (languageMode) {
+            case 'auto':
+                break;
+            case 'mixed':
+                return preferredLanguages;
+            default:
+                if (this._languageCapabilities.has(languageMode)) { return [languageMode]; }
+                break;
+        }
+        const candidates = this._languageCapabilities.identifyLanguages(text, languageHints, preferredLanguages);
+        if (candidates.length > 0) {
+            // When the text could as well be in another language, such as Chinese characters without any context, both are looked up
+            const minConfidence = candidates[0].confidence * AMBIGUOUS_LANGUAGE_CONFIDENCE_RATIO;
+            return candidates
+                .filter(({confidence}) => confidence >= minConfidence)
+                .slice(0, MAX_AMBIGUOUS_LANGUAGES)
+                .map(({iso}) => iso);
         }
-        const detected = this._detectLanguageFromText(text);
-        if (detected) { return [detected]; }
         if (preferredLanguages.length > 0) { return [preferredLanguages[0]]; }
         if (defaultLanguage) { return [defaultLanguage]; }
         return ['ja'];
     }
 
     /**
-     * @param {string} text
-     * @returns {?string}
+     * @returns {Promise<import('sottaku-outbox').FlushResult>}
      */
-    _detectLanguageFromText(text) {
-        const trimmed = (text || '').trim();
-        if (HANGUL_CHAR_PATTERN.test(trimmed)) {
-            return 'ko';
+    async _flushOutbox() {
+        await this._clearOutboxFlushAlarm();
+        const mutations = await this._outbox.getAll();
+        const sottaku = this._options !== null ? this._options.sottaku : null;
+        if (mutations.length === 0 || sottaku === null || !sottaku.enabled || !this._client.authToken) {
+            return this._getFlushResult(0, mutations);
+        }
+
+        let sentCount = 0;
+        let retry = false;
+        for (const mutation of mutations) {
+            if (mutation.parked) { continue; }
+            const {language, questionId, timestamp} = mutation;
+            try {
+                await this._sendMutation(mutation);
+                await this._outbox.delete(language, questionId, timestamp);
+                ++sentCount;
+            } catch (e) {
+                log.warn(e);
+                if (isSottakuSessionExpiredError(e)) {
+                    // The remaining mutations are sent once the user signs in again
+                    break;
+                }
+                const networkError = this._client.isNetworkError(e);
+                const attemptCount = mutation.attemptCount + 1;
+                const parked = !networkError && (isSottakuPermanentError(e) || attemptCount >= MAX_OUTBOX_ATTEMPT_COUNT);
+                await this._outbox.put({...mutation, attemptCount, lastError: toError(e).message, parked});
+                if (!parked) { retry = true; }
+                if (networkError) { break; }
+            }
         }
-        if (JAPANESE_CHAR_PATTERN.test(trimmed)) {
-            return 'ja';
+
+        if (retry) {
+            await this._scheduleOutboxFlush();
+        } else {
+            this._outboxRetryDelayMinutes = OUTBOX_RETRY_BASE_DELAY_MINUTES;
         }
-        return null;
+        return this._getFlushResult(sentCount, await this._outbox.getAll());
+    }
+
+    /**
+     * @param {number} sentCount
+     * @param {import('sottaku-outbox').PendingMutation[]} mutations
+     * @returns {import('sottaku-outbox').FlushResult}
+     */
+    _getFlushResult(sentCount, mutations) {
+        const parkedCount = mutations.filter(({parked}) => parked).length;
+        return {sentCount, remainingCount: mutations.length, parkedCount};
+    }
+
+    /**
+     * Schedules the next attempt to send the pending mutations.
+     * An alarm is used rather than a timer, since a timer is lost whenever the service worker is stopped.
+     */
+    async _scheduleOutboxFlush() {
+        if (!isObjectNotArray(chrome.alarms)) { return; }
+        try {
+            const alarm = await chrome.alarms.get(SOTTAKU_OUTBOX_ALARM_NAME);
+            if (typeof alarm !== 'undefined') { return; }
+            const delayInMinutes = this._outboxRetryDelayMinutes;
+            this._outboxRetryDelayMinutes = Math.min(delayInMinutes * 2, OUTBOX_RETRY_MAX_DELAY_MINUTES);
+            await chrome.alarms.create(SOTTAKU_OUTBOX_ALARM_NAME, {delayInMinutes});
+        } catch (e) {
+            log.error(e);
+        }
+    }
+
+    /** */
+    async _clearOutboxFlushAlarm() {
+        if (!isObjectNotArray(chrome.alarms)) { return; }
+        try {
+            await chrome.alarms.clear(SOTTAKU_OUTBOX_ALARM_NAME);
+        } catch (e) {
+            log.error(e);
+        }
+    }
+
+    /**
+     * @param {import('sottaku-outbox').Mutation} mutation
+     */
+    async _sendMutation({action, questionId, language}) {
+        switch (action) {
+            case 'addFlashcard':
+                await this._client.addFlashcard(questionId, language);
+                break;
+            case 'removeFlashcard':
+                await this._client.removeFlashcard(questionId, language);
+                break;
+            case 'submitWordRequest':
+                await this._client.submitWordRequest(questionId, language);
+                break;
+        }
+    }
+
+    /**
+     * @returns {import('settings').ProfileOptions}
+     * @throws {ExtensionError}
+     */
+    _getSignedInOptions() {
+        if (this._options === null) {
+            throw new ExtensionError('Sottaku options not configured');
+        }
+        if (!this._options.sottaku.enabled) {
+            throw new ExtensionError('Sign in to Sottaku from the settings page to review flashcards.');
+        }
+        if (!this._client.authToken) {
+            if (this._credentials.user !== null) { throw createSottakuSessionExpiredError(); }
+            throw new ExtensionError('Sign in to Sottaku from the settings page to review flashcards.');
+        }
+        return this._options;
+    }
+
+    /**
+     * @param {import('sottaku-client').EventArgument<'authTokenChanged'>} details
+     */
+    _onAuthTokenChanged(details) {
+        this._credentials = {...this._credentials, authToken: details.authToken};
+        this.trigger('authTokenChanged', details);
+    }
+
+    /**
+     * @param {import('sottaku-client').EventArgument<'sessionExpired'>} details
+     */
+    _onSessionExpired(details) {
+        this._credentials = {...this._credentials, authToken: ''};
+        this._languageCapabilities = new SottakuLanguageCapabilities();
+        this.trigger('sessionExpired', details);
+    }
+
+    /**
+     * @param {import('settings').SottakuOptions} sottakuOptions
+     * @param {string} defaultLanguage
+     * @returns {string[]}
+     */
+    _getReviewLanguages(sottakuOptions, defaultLanguage) {
+        const {languageMode} = sottakuOptions;
+        if (languageMode !== 'auto' && languageMode !== 'mixed' && this._languageCapabilities.has(languageMode)) {
+            return [languageMode];
+        }
+        const preferredLanguages = normalizeSottakuLanguages(sottakuOptions.preferredLanguages, defaultLanguage, this._languageCapabilities.languages);
+        return preferredLanguages.length > 0 ? preferredLanguages : ['ja'];
+    }
+
+    /**
+     * @param {unknown} metadata The Sottaku metadata of an entry created by `_createEntry`.
+     * @returns {?import('sottaku-review').Card}
+     */
+    _createReviewCard(metadata) {
+        const {questionId, language, languageFlag, term, reading, translation, sentence, sentenceTranslation, usageNotes, audio} = (
+            /** @type {Omit<import('sottaku-review').Card, 'questionId'> & {questionId: ?number}} */ (metadata)
+        );
+        if (questionId === null) { return null; }
+        return {
+            questionId,
+            language,
+            languageFlag,
+            term,
+            reading,
+            translation,
+            sentence,
+            sentenceTranslation,
+            usageNotes,
+            audio: {word: audio.word, sentence: audio.sentence},
+        };
     }
 
     /**
@@ -373,7 +850,7 @@ export class SottakuIntegration {
         const sentenceTranslation = (normalizedInfo.english_sentence || '').toString();
         const usageNotes = (normalizedInfo.usage_notes || '').toString();
         const hasDefinition = Boolean((normalizedResult.has_definition ?? normalizedInfo.has_definition ?? null) || translation || sentence);
-        const dictionaryAlias = getSottakuLanguageFlag(language);
+        const dictionaryAlias = this._languageCapabilities.getFlag(language);
         const resolvedSourceText = (sourceText || query || '').toString();
 
         /** @type {import('dictionary').TermHeadword[]} */
@@ -402,7 +879,7 @@ export class SottakuIntegration {
             {
                 index: 0,
                 headwordIndices: [0],
-                dictionary: 'Sottaku',
+                dictionary: SOTTAKU_DICTIONARY_NAME,
                 dictionaryIndex: 0,
                 dictionaryAlias,
                 id: Number.isFinite(questionId) ? questionId : index,
@@ -418,10 +895,12 @@ export class SottakuIntegration {
         const audioWord = this._resolveUrl(normalizedInfo.word_audio_file, apiOrigin);
         const audioSentence = this._resolveUrl(normalizedInfo.sentence_audio_file, apiOrigin);
 
+        /** @type {import('sottaku-dictionary').EntryMetadata} */
         const metadata = {
             questionId: Number.isFinite(questionId) ? questionId : null,
             language,
             inFlashcards: Boolean(normalizedResult.in_flashcards),
+            flashcardStatus: /** @type {{flashcard_status?: ?import('sottaku-review').FlashcardStatus}} */ (normalizedResult).flashcard_status ?? null,
             audio: {
                 word: audioWord,
                 sentence: audioSentence,
@@ -450,7 +929,7 @@ export class SottakuIntegration {
             dictionaryAlias,
             sourceTermExactMatchCount: query && term && query === term ? 1 : 0,
             matchPrimaryReading: query === reading,
-            maxOriginalTextLength: Math.max(query.length, term.length, reading.length, resolvedSourceText.length),
+            maxOriginalTextLength: Number.isFinite(matchLength) ? matchLength : Math.max(query.length, term.length, reading.length, resolvedSourceText.length),
             headwords,
             definitions,
             pronunciations: [],
@@ -460,6 +939,65 @@ export class SottakuIntegration {
         return entry;
     }
 
+    /**
+     * @param {import('dictionary').TermDictionaryEntry} dictionaryEntry
+     * @param {number} dictionaryIndex
+     * @param {string} alias
+     * @param {number} frequencyOrder
+     */
+    _applyDictionaryOptions(dictionaryEntry, dictionaryIndex, alias, frequencyOrder) {
+        const metadata = this._getMetadata(dictionaryEntry);
+        const dictionaryAlias = metadata !== null ? `${alias} ${metadata.languageFlag}` : alias;
+        dictionaryEntry.dictionaryIndex = dictionaryIndex;
+        dictionaryEntry.dictionaryAlias = dictionaryAlias;
+        dictionaryEntry.frequencyOrder = frequencyOrder;
+        for (const definition of dictionaryEntry.definitions) {
+            definition.dictionaryIndex = dictionaryIndex;
+            definition.dictionaryAlias = dictionaryAlias;
+            definition.frequencyOrder = frequencyOrder;
+        }
+    }
+
+    /**
+     * @param {import('dictionary').TermDictionaryEntry} dictionaryEntry
+     * @param {import('dictionary').TermDictionaryEntry} sottakuEntry
+     */
+    _addSottakuDefinitions(dictionaryEntry, sottakuEntry) {
+        const {term, reading} = sottakuEntry.headwords[0];
+        const headwordIndex = dictionaryEntry.headwords.findIndex((headword) => headword.term === term && headword.reading === reading);
+        if (headwordIndex < 0) { return; }
+
+        const {definitions} = dictionaryEntry;
+        for (const definition of sottakuEntry.definitions) {
+            let insertIndex = definitions.findIndex(({dictionaryIndex}) => dictionaryIndex > definition.dictionaryIndex);
+            if (insertIndex < 0) { insertIndex = definitions.length; }
+            definitions.splice(insertIndex, 0, {...definition, index: definitions.length, headwordIndices: [headwordIndex]});
+        }
+
+        const metadata = this._getMetadata(sottakuEntry);
+        /** @type {any} */ (dictionaryEntry).sottaku = metadata;
+        /** @type {any} */ (dictionaryEntry.headwords[headwordIndex]).sottaku = metadata;
+    }
+
+    /**
+     * @param {string} term
+     * @param {string} reading
+     * @returns {string}
+     */
+    _createHeadwordKey(term, reading) {
+        return JSON.stringify([term, reading]);
+    }
+
+    /**
+     * @param {import('dictionary').TermDictionaryEntry} dictionaryEntry
+     * @returns {?{languageFlag: string}}
+     */
+    _getMetadata(dictionaryEntry) {
+        /** @type {unknown} */
+        const metadata = /** @type {any} */ (dictionaryEntry).sottaku;
+        return (typeof metadata === 'object' && metadata !== null) ? /** @type {{languageFlag: string}} */ (metadata) : null;
+    }
+
     /**
      * @param {string} translation
      * @param {string} sentence
@@ -481,68 +1019,34 @@ export class SottakuIntegration {
     }
 
     /**
-     * @returns {Promise<string[]>}
+     * @returns {Promise<SottakuLanguageCapabilities>}
      */
-    async _ensureSupportedLanguages() {
+    async _ensureLanguageCapabilities() {
         if (!this._client.authToken) {
-            this._supportedLanguages = [...SOTTAKU_SUPPORTED_LANGUAGES];
-            return this._supportedLanguages;
+            this._languageCapabilities = new SottakuLanguageCapabilities();
+            return this._languageCapabilities;
         }
 
-        if (this._supportedLanguagesPromise) {
+        if (this._languageCapabilitiesPromise) {
             try {
-                await this._supportedLanguagesPromise;
+                await this._languageCapabilitiesPromise;
             } catch (e) {
                 // Ignore fetch errors; fallback handled below.
             }
-            return this._supportedLanguages;
+            return this._languageCapabilities;
         }
 
-        this._supportedLanguagesPromise = this._client.getSupportedLanguages()
+        this._languageCapabilitiesPromise = this._client.getSupportedLanguages()
             .then((response) => {
-                const normalized = this._normalizeSupportedLanguagesResponse(response);
-                this._supportedLanguages = normalized.length > 0 ? normalized : [...SOTTAKU_SUPPORTED_LANGUAGES];
-                return this._supportedLanguages;
-            })
-            .catch(() => {
-                this._supportedLanguages = this._supportedLanguages.length > 0 ? this._supportedLanguages : [...SOTTAKU_SUPPORTED_LANGUAGES];
-                return this._supportedLanguages;
+                this._languageCapabilities = new SottakuLanguageCapabilities(parseSottakuLanguageCapabilities(response));
+                return this._languageCapabilities;
             })
+            .catch(() => this._languageCapabilities)
             .finally(() => {
-                this._supportedLanguagesPromise = null;
+                this._languageCapabilitiesPromise = null;
             });
 
-        return await this._supportedLanguagesPromise;
-    }
-
-    /**
-     * @param {unknown} response
-     * @returns {string[]}
-     */
-    _normalizeSupportedLanguagesResponse(response) {
-        const normalized = [];
-        const seen = new Set();
-        const candidates = [];
-        const data = (response && typeof response === 'object') ? /** @type {Record<string, unknown>} */ (response) : {};
-        if (Array.isArray(data.languages)) {
-            candidates.push(...data.languages);
-        }
-        if (Array.isArray(data.supported_languages)) {
-            candidates.push(...data.supported_languages);
-        }
-        if (Array.isArray(data.admin_only_languages)) {
-            candidates.push(...data.admin_only_languages);
-        }
-
-        for (const value of candidates) {
-            if (typeof value !== 'string') { continue; }
-            const trimmed = value.trim();
-            if (!trimmed || seen.has(trimmed)) { continue; }
-            seen.add(trimmed);
-            normalized.push(trimmed);
-        }
-
-        return normalized;
+        return await this._languageCapabilitiesPromise;
     }
 
     /**
@@ -0,0 +1,104 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Media files are released once the note which references them is stored.
+ * Files of notes which are never stored, for example because adding them failed, are dropped after this time.
+ */
+const MEDIA_MAX_AGE = 10 * 60 * 1000;
+
+/**
+ * Holds the media files which are stored while a note is being created, so that they can be saved
+ * alongside the note by stores other than Anki, such as the offline note queue or the mining log.
+ */
+export class AnkiMediaCollector {
+    constructor() {
+        /** @type {Map<string, {data: string, timestamp: number}>} */
+        this._media = new Map();
+    }
+
+    /**
+     * Holds a media file until a note referencing it is stored.
+     * This has the same signature as `AnkiConnect.storeMediaFile`.
+     * @param {string} fileName
+     * @param {string} content The base64-encoded content of the file.
+     * @returns {Promise<?string>}
+     */
+    async storeMediaFile(fileName, content) {
+        this._add(fileName, content);
+        return fileName;
+    }
+
+    /**
+     * Creates a media target which stores files in another target, and also holds the files under the names they were stored as.
+     * @param {import('anki-media-collector').MediaTarget} target
+     * @returns {import('anki-media-collector').MediaTarget}
+     */
+    createTee(target) {
+        return {
+            storeMediaFile: async (fileName, content) => {
+                const storedFileName = await target.storeMediaFile(fileName, content);
+                if (storedFileName !== null) {
+                    this._add(storedFileName, content);
+                }
+                return storedFileName;
+            },
+        };
+    }
+
+    /**
+     * Gets the held media files which are referenced by the fields of a note.
+     * @param {import('anki').Note} note
+     * @returns {import('anki-media-collector').MediaFile[]}
+     */
+    getMedia(note) {
+        const fieldValues = Object.values(note.fields);
+        /** @type {import('anki-media-collector').MediaFile[]} */
+        const media = [];
+        for (const [fileName, {data}] of this._media) {
+            if (!fieldValues.some((value) => value.includes(fileName))) { continue; }
+            media.push({fileName, data});
+        }
+        return media;
+    }
+
+    /**
+     * Stops holding media files, once the note which references them has been stored.
+     * @param {import('anki-media-collector').MediaFile[]} media
+     */
+    release(media) {
+        for (const {fileName} of media) {
+            this._media.delete(fileName);
+        }
+    }
+
+    // Private
+
+    /**
+     * @param {string} fileName
+     * @param {string} data
+     */
+    _add(fileName, data) {
+        const timestamp = Date.now();
+        for (const [key, {timestamp: mediaTimestamp}] of this._media) {
+            if (timestamp - mediaTimestamp > MEDIA_MAX_AGE) {
+                this._media.delete(key);
+            }
+        }
+        this._media.set(fileName, {data, timestamp});
+    }
+}
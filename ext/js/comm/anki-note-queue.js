@@ -0,0 +1,116 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {LazyDatabase} from '../data/lazy-database.js';
+
+/**
+ * Notes which fail this many times in a row for reasons other than the connection are skipped when the queue is flushed,
+ * until the user edits or retries them.
+ */
+export const MAX_QUEUED_NOTE_ERROR_COUNT = 3;
+
+/**
+ * Persistent IndexedDB store of Anki notes which could not be added because AnkiConnect was unreachable.
+ * The media files referenced by a note are stored alongside it.
+ */
+export class AnkiNoteQueue {
+    constructor() {
+        /** @type {LazyDatabase<import('anki-note-queue').ObjectStoreName>} */
+        this._db = new LazyDatabase('anki-note-queue', [
+            {
+                version: 1,
+                stores: {
+                    notes: {
+                        primaryKey: {keyPath: 'id', autoIncrement: true},
+                        indices: [],
+                    },
+                },
+            },
+        ]);
+    }
+
+    /**
+     * Adds a note to the queue, along with the media files that its fields reference.
+     * @param {import('anki').Note} note
+     * @param {import('anki-media-collector').MediaFile[]} media
+     * @param {?string} lastError
+     * @returns {Promise<number>} The id of the queued note.
+     * @throws {Error}
+     */
+    async add(note, media, lastError) {
+        if (!(await this._db.ensureOpen())) {
+            throw new Error('Anki note queue is not available');
+        }
+        /** @type {import('anki-note-queue').QueuedNoteDetails} */
+        const details = {
+            note,
+            media,
+            timestamp: Date.now(),
+            attemptCount: 1,
+            lastError,
+            duplicate: false,
+            errorCount: 0,
+        };
+        return /** @type {number} */ (await this._db.add('notes', details));
+    }
+
+    /**
+     * Replaces a queued note.
+     * @param {import('anki-note-queue').QueuedNote} queuedNote
+     * @returns {Promise<void>}
+     */
+    async put(queuedNote) {
+        if (!(await this._db.ensureOpen())) { return; }
+        await this._db.put('notes', queuedNote);
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<?import('anki-note-queue').QueuedNote>}
+     */
+    async get(id) {
+        if (!(await this._db.ensureOpen())) { return null; }
+        const value = await this._db.get('notes', id);
+        return typeof value !== 'undefined' ? /** @type {import('anki-note-queue').QueuedNote} */ (value) : null;
+    }
+
+    /**
+     * @param {number} id
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        if (!(await this._db.ensureOpen())) { return; }
+        await this._db.delete('notes', id);
+    }
+
+    /**
+     * Returns the queued notes, oldest first.
+     * @returns {Promise<import('anki-note-queue').QueuedNote[]>}
+     */
+    async getAll() {
+        if (!(await this._db.ensureOpen())) { return []; }
+        return /** @type {import('anki-note-queue').QueuedNote[]} */ (await this._db.getAll('notes', null));
+    }
+
+    /**
+     * @returns {Promise<number>}
+     */
+    async getCount() {
+        if (!(await this._db.ensureOpen())) { return 0; }
+        return await this._db.getCount('notes');
+    }
+}
@@ -55,10 +55,29 @@ export class API {
      * @param {import('api').ApiParam<'termsFind', 'text'>} text
      * @param {import('api').ApiParam<'termsFind', 'details'>} details
      * @param {import('api').ApiParam<'termsFind', 'optionsContext'>} optionsContext
+     * @param {import('api').ApiParam<'termsFind', 'lookupId'>} [lookupId]
      * @returns {Promise<import('api').ApiReturn<'termsFind'>>}
      */
-    termsFind(text, details, optionsContext) {
-        return this._invoke('termsFind', {text, details, optionsContext});
+    termsFind(text, details, optionsContext, lookupId) {
+        return this._invoke('termsFind', {text, details, optionsContext, lookupId});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'termsFindCancel', 'lookupId'>} lookupId
+     * @returns {Promise<import('api').ApiReturn<'termsFindCancel'>>}
+     */
+    termsFindCancel(lookupId) {
+        return this._invoke('termsFindCancel', {lookupId});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'termsFindPattern', 'text'>} text
+     * @param {import('api').ApiParam<'termsFindPattern', 'details'>} details
+     * @param {import('api').ApiParam<'termsFindPattern', 'optionsContext'>} optionsContext
+     * @returns {Promise<import('api').ApiReturn<'termsFindPattern'>>}
+     */
+    termsFindPattern(text, details, optionsContext) {
+        return this._invoke('termsFindPattern', {text, details, optionsContext});
     }
 
     /**
@@ -104,6 +123,14 @@ export class API {
         return this._invoke('addAnkiNote', {note});
     }
 
+    /**
+     * @param {import('api').ApiParam<'addAnkiNotes', 'notes'>} notes
+     * @returns {Promise<import('api').ApiReturn<'addAnkiNotes'>>}
+     */
+    addAnkiNotes(notes) {
+        return this._invoke('addAnkiNotes', {notes});
+    }
+
     /**
      * @param {import('api').ApiParam<'updateAnkiNote', 'noteWithId'>} noteWithId
      * @returns {Promise<import('api').ApiReturn<'updateAnkiNote'>>}
@@ -112,6 +139,134 @@ export class API {
         return this._invoke('updateAnkiNote', {noteWithId});
     }
 
+    /**
+     * @param {import('api').ApiParam<'queueAnkiNote', 'note'>} note
+     * @param {import('api').ApiParam<'queueAnkiNote', 'error'>} error
+     * @returns {Promise<import('api').ApiReturn<'queueAnkiNote'>>}
+     */
+    queueAnkiNote(note, error) {
+        return this._invoke('queueAnkiNote', {note, error});
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getAnkiNoteQueue'>>}
+     */
+    getAnkiNoteQueue() {
+        return this._invoke('getAnkiNoteQueue', void 0);
+    }
+
+    /**
+     * @param {import('api').ApiParam<'updateQueuedAnkiNote', 'id'>} id
+     * @param {import('api').ApiParam<'updateQueuedAnkiNote', 'fields'>} fields
+     * @returns {Promise<import('api').ApiReturn<'updateQueuedAnkiNote'>>}
+     */
+    updateQueuedAnkiNote(id, fields) {
+        return this._invoke('updateQueuedAnkiNote', {id, fields});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'deleteQueuedAnkiNote', 'id'>} id
+     * @returns {Promise<import('api').ApiReturn<'deleteQueuedAnkiNote'>>}
+     */
+    deleteQueuedAnkiNote(id) {
+        return this._invoke('deleteQueuedAnkiNote', {id});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'flushAnkiNoteQueue', 'id'>} id
+     * @returns {Promise<import('api').ApiReturn<'flushAnkiNoteQueue'>>}
+     */
+    flushAnkiNoteQueue(id) {
+        return this._invoke('flushAnkiNoteQueue', {id});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'addMiningLogEntry', 'note'>} note
+     * @returns {Promise<import('api').ApiReturn<'addMiningLogEntry'>>}
+     */
+    addMiningLogEntry(note) {
+        return this._invoke('addMiningLogEntry', {note});
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getMiningLog'>>}
+     */
+    getMiningLog() {
+        return this._invoke('getMiningLog', void 0);
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getMiningLogCount'>>}
+     */
+    getMiningLogCount() {
+        return this._invoke('getMiningLogCount', void 0);
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'clearMiningLog'>>}
+     */
+    clearMiningLog() {
+        return this._invoke('clearMiningLog', void 0);
+    }
+
+    /**
+     * @param {import('api').ApiParam<'addHistoryRecord', 'record'>} record
+     * @param {import('api').ApiParam<'addHistoryRecord', 'optionsContext'>} optionsContext
+     * @returns {Promise<import('api').ApiReturn<'addHistoryRecord'>>}
+     */
+    addHistoryRecord(record, optionsContext) {
+        return this._invoke('addHistoryRecord', {record, optionsContext});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'markHistoryRecordSaved', 'id'>} id
+     * @param {import('api').ApiParam<'markHistoryRecordSaved', 'headword'>} headword
+     * @returns {Promise<import('api').ApiReturn<'markHistoryRecordSaved'>>}
+     */
+    markHistoryRecordSaved(id, headword) {
+        return this._invoke('markHistoryRecordSaved', {id, headword});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'getHistoryRecords', 'filter'>} filter
+     * @param {import('api').ApiParam<'getHistoryRecords', 'cursor'>} cursor
+     * @param {import('api').ApiParam<'getHistoryRecords', 'limit'>} limit
+     * @returns {Promise<import('api').ApiReturn<'getHistoryRecords'>>}
+     */
+    getHistoryRecords(filter, cursor, limit) {
+        return this._invoke('getHistoryRecords', {filter, cursor, limit});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'getHistoryRecord', 'id'>} id
+     * @returns {Promise<import('api').ApiReturn<'getHistoryRecord'>>}
+     */
+    getHistoryRecord(id) {
+        return this._invoke('getHistoryRecord', {id});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'deleteHistoryRecords', 'ids'>} ids
+     * @returns {Promise<import('api').ApiReturn<'deleteHistoryRecords'>>}
+     */
+    deleteHistoryRecords(ids) {
+        return this._invoke('deleteHistoryRecords', {ids});
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getHistoryRecordCount'>>}
+     */
+    getHistoryRecordCount() {
+        return this._invoke('getHistoryRecordCount', void 0);
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'clearHistory'>>}
+     */
+    clearHistory() {
+        return this._invoke('clearHistory', void 0);
+    }
+
     /**
      * @param {import('api').ApiParam<'getAnkiNoteInfo', 'notes'>} notes
      * @param {import('api').ApiParam<'getAnkiNoteInfo', 'fetchAdditionalInfo'>} fetchAdditionalInfo
@@ -128,10 +283,11 @@ export class API {
      * @param {import('api').ApiParam<'injectAnkiNoteMedia', 'screenshotDetails'>} screenshotDetails
      * @param {import('api').ApiParam<'injectAnkiNoteMedia', 'clipboardDetails'>} clipboardDetails
      * @param {import('api').ApiParam<'injectAnkiNoteMedia', 'dictionaryMediaDetails'>} dictionaryMediaDetails
+     * @param {import('api').ApiParam<'injectAnkiNoteMedia', 'sottakuAudioDetails'>} sottakuAudioDetails
      * @returns {Promise<import('api').ApiReturn<'injectAnkiNoteMedia'>>}
      */
-    injectAnkiNoteMedia(timestamp, definitionDetails, audioDetails, screenshotDetails, clipboardDetails, dictionaryMediaDetails) {
-        return this._invoke('injectAnkiNoteMedia', {timestamp, definitionDetails, audioDetails, screenshotDetails, clipboardDetails, dictionaryMediaDetails});
+    injectAnkiNoteMedia(timestamp, definitionDetails, audioDetails, screenshotDetails, clipboardDetails, dictionaryMediaDetails, sottakuAudioDetails) {
+        return this._invoke('injectAnkiNoteMedia', {timestamp, definitionDetails, audioDetails, screenshotDetails, clipboardDetails, dictionaryMediaDetails, sottakuAudioDetails});
     }
 
     /**
@@ -248,6 +404,13 @@ export class API {
         return this._invoke('getDictionaryInfo', void 0);
     }
 
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getRemoteDictionaryInfo'>>}
+     */
+    getRemoteDictionaryInfo() {
+        return this._invoke('getRemoteDictionaryInfo', void 0);
+    }
+
     /**
      * @returns {Promise<import('api').ApiReturn<'purgeDatabase'>>}
      */
@@ -255,6 +418,38 @@ export class API {
         return this._invoke('purgeDatabase', void 0);
     }
 
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getPersonalDictionaryEntries'>>}
+     */
+    getPersonalDictionaryEntries() {
+        return this._invoke('getPersonalDictionaryEntries', void 0);
+    }
+
+    /**
+     * @param {import('api').ApiParam<'addPersonalDictionaryEntry', 'content'>} content
+     * @returns {Promise<import('api').ApiReturn<'addPersonalDictionaryEntry'>>}
+     */
+    addPersonalDictionaryEntry(content) {
+        return this._invoke('addPersonalDictionaryEntry', {content});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'updatePersonalDictionaryEntry', 'id'>} id
+     * @param {import('api').ApiParam<'updatePersonalDictionaryEntry', 'content'>} content
+     * @returns {Promise<import('api').ApiReturn<'updatePersonalDictionaryEntry'>>}
+     */
+    updatePersonalDictionaryEntry(id, content) {
+        return this._invoke('updatePersonalDictionaryEntry', {id, content});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'deletePersonalDictionaryEntry', 'id'>} id
+     * @returns {Promise<import('api').ApiReturn<'deletePersonalDictionaryEntry'>>}
+     */
+    deletePersonalDictionaryEntry(id) {
+        return this._invoke('deletePersonalDictionaryEntry', {id});
+    }
+
     /**
      * @param {import('api').ApiParam<'getMedia', 'targets'>} targets
      * @returns {Promise<import('api').ApiReturn<'getMedia'>>}
@@ -380,6 +575,14 @@ export class API {
         return this._invoke('findAnkiNotes', {query});
     }
 
+    /**
+     * @param {import('api').ApiParam<'findAnkiNoteIds', 'notes'>} notes
+     * @returns {Promise<import('api').ApiReturn<'findAnkiNoteIds'>>}
+     */
+    findAnkiNoteIds(notes) {
+        return this._invoke('findAnkiNoteIds', {notes});
+    }
+
     /**
      * @param {import('api').ApiParam<'openCrossFramePort', 'targetTabId'>} targetTabId
      * @param {import('api').ApiParam<'openCrossFramePort', 'targetFrameId'>} targetFrameId
@@ -434,6 +637,104 @@ export class API {
         return this._invoke('forceSync', void 0);
     }
 
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getSottakuCacheInfo'>>}
+     */
+    getSottakuCacheInfo() {
+        return this._invoke('getSottakuCacheInfo', void 0);
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'clearSottakuCache'>>}
+     */
+    clearSottakuCache() {
+        return this._invoke('clearSottakuCache', void 0);
+    }
+
+    /**
+     * @param {import('api').ApiParam<'getSottakuDueFlashcards', 'limit'>} limit
+     * @param {import('api').ApiParam<'getSottakuDueFlashcards', 'optionsContext'>} optionsContext
+     * @returns {Promise<import('api').ApiReturn<'getSottakuDueFlashcards'>>}
+     */
+    getSottakuDueFlashcards(limit, optionsContext) {
+        return this._invoke('getSottakuDueFlashcards', {limit, optionsContext});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'submitSottakuFlashcardReview', 'questionId'>} questionId
+     * @param {import('api').ApiParam<'submitSottakuFlashcardReview', 'grade'>} grade
+     * @param {import('api').ApiParam<'submitSottakuFlashcardReview', 'language'>} language
+     * @param {import('api').ApiParam<'submitSottakuFlashcardReview', 'optionsContext'>} optionsContext
+     * @returns {Promise<import('api').ApiReturn<'submitSottakuFlashcardReview'>>}
+     */
+    submitSottakuFlashcardReview(questionId, grade, language, optionsContext) {
+        return this._invoke('submitSottakuFlashcardReview', {questionId, grade, language, optionsContext});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'sendSottakuMutation', 'mutation'>} mutation
+     * @param {import('api').ApiParam<'sendSottakuMutation', 'optionsContext'>} optionsContext
+     * @returns {Promise<import('api').ApiReturn<'sendSottakuMutation'>>}
+     */
+    sendSottakuMutation(mutation, optionsContext) {
+        return this._invoke('sendSottakuMutation', {mutation, optionsContext});
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getSottakuOutbox'>>}
+     */
+    getSottakuOutbox() {
+        return this._invoke('getSottakuOutbox', void 0);
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'flushSottakuOutbox'>>}
+     */
+    flushSottakuOutbox() {
+        return this._invoke('flushSottakuOutbox', void 0);
+    }
+
+    /**
+     * @param {import('api').ApiParam<'retrySottakuMutation', 'language'>} language
+     * @param {import('api').ApiParam<'retrySottakuMutation', 'questionId'>} questionId
+     * @returns {Promise<import('api').ApiReturn<'retrySottakuMutation'>>}
+     */
+    retrySottakuMutation(language, questionId) {
+        return this._invoke('retrySottakuMutation', {language, questionId});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'discardSottakuMutation', 'language'>} language
+     * @param {import('api').ApiParam<'discardSottakuMutation', 'questionId'>} questionId
+     * @returns {Promise<import('api').ApiReturn<'discardSottakuMutation'>>}
+     */
+    discardSottakuMutation(language, questionId) {
+        return this._invoke('discardSottakuMutation', {language, questionId});
+    }
+
+    /**
+     * @param {import('api').ApiParam<'signInToSottaku', 'optionsContext'>} optionsContext
+     * @returns {Promise<import('api').ApiReturn<'signInToSottaku'>>}
+     */
+    signInToSottaku(optionsContext) {
+        return this._invoke('signInToSottaku', {optionsContext});
+    }
+
+    /**
+     * @returns {Promise<import('api').ApiReturn<'getSottakuCredentials'>>}
+     */
+    getSottakuCredentials() {
+        return this._invoke('getSottakuCredentials', void 0);
+    }
+
+    /**
+     * @param {import('api').ApiParam<'setSottakuCredentials', 'credentials'>} credentials
+     * @returns {Promise<import('api').ApiReturn<'setSottakuCredentials'>>}
+     */
+    setSottakuCredentials(credentials) {
+        return this._invoke('setSottakuCredentials', {credentials});
+    }
+
     // Utilities
 
     /**
@@ -0,0 +1,81 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {LazyDatabase} from '../data/lazy-database.js';
+
+/**
+ * Persistent IndexedDB store which records every note saved from the display, so that notes
+ * can be exported as a file and imported into Anki without AnkiConnect.
+ */
+export class MiningLog {
+    constructor() {
+        /** @type {LazyDatabase<import('mining-log').ObjectStoreName>} */
+        this._db = new LazyDatabase('mining-log', [
+            {
+                version: 1,
+                stores: {
+                    entries: {
+                        primaryKey: {keyPath: 'id', autoIncrement: true},
+                        indices: [],
+                    },
+                },
+            },
+        ]);
+    }
+
+    /**
+     * Records a note, along with the media files that its fields reference.
+     * @param {import('anki').Note} note
+     * @param {import('anki-media-collector').MediaFile[]} media
+     * @returns {Promise<number>} The id of the entry.
+     * @throws {Error}
+     */
+    async add(note, media) {
+        if (!(await this._db.ensureOpen())) {
+            throw new Error('Mining log is not available');
+        }
+        /** @type {import('mining-log').EntryDetails} */
+        const details = {note, media, timestamp: Date.now()};
+        return /** @type {number} */ (await this._db.add('entries', details));
+    }
+
+    /**
+     * Returns the recorded entries, oldest first.
+     * @returns {Promise<import('mining-log').Entry[]>}
+     */
+    async getAll() {
+        if (!(await this._db.ensureOpen())) { return []; }
+        return /** @type {import('mining-log').Entry[]} */ (await this._db.getAll('entries', null));
+    }
+
+    /**
+     * @returns {Promise<number>}
+     */
+    async getCount() {
+        if (!(await this._db.ensureOpen())) { return 0; }
+        return await this._db.getCount('entries');
+    }
+
+    /**
+     * Removes all entries.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        if (!(await this._db.ensureOpen())) { return; }
+        await this._db.clear('entries');
+    }
+}
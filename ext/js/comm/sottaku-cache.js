@@ -0,0 +1,251 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {log} from '../core/log.js';
+import {LazyDatabase} from '../data/lazy-database.js';
+
+/**
+ * Persistent IndexedDB cache of Sottaku scan and word-info responses,
+ * used to avoid repeated requests and to keep lookups working offline.
+ * Responses are stored per account, since they include the flashcards of the user,
+ * and nothing is cached while the account is not known.
+ */
+export class SottakuCache {
+    constructor() {
+        /** @type {LazyDatabase<import('sottaku-cache').ObjectStoreName>} */
+        this._db = new LazyDatabase('sottaku-cache', [
+            {
+                version: 1,
+                stores: {
+                    responses: {
+                        primaryKey: {keyPath: ['user', 'type', 'language', 'text']},
+                        indices: ['timestamp'],
+                    },
+                },
+            },
+        ]);
+        /** @type {import('sottaku-cache').Options} */
+        this._options = {
+            enabled: true,
+            maxEntries: 5000,
+            ttlHours: 168,
+            serveStaleWhenOffline: true,
+        };
+        /** @type {?number} */
+        this._userId = null;
+        /** @type {number} */
+        this._pendingWriteCount = 0;
+    }
+
+    /** @type {boolean} */
+    get enabled() {
+        return this._options.enabled;
+    }
+
+    /** @type {boolean} */
+    get serveStaleWhenOffline() {
+        return this._options.enabled && this._options.serveStaleWhenOffline;
+    }
+
+    /**
+     * @param {import('sottaku-cache').Options} options
+     */
+    configure(options) {
+        this._options = {
+            enabled: options.enabled,
+            maxEntries: Math.max(0, Math.floor(options.maxEntries)),
+            ttlHours: Math.max(0, options.ttlHours),
+            serveStaleWhenOffline: options.serveStaleWhenOffline,
+        };
+    }
+
+    /**
+     * Sets the account whose responses are read and stored.
+     * @param {?number} userId The id of the Sottaku user, or `null` if it is not known.
+     */
+    setUser(userId) {
+        this._userId = userId;
+    }
+
+    /**
+     * Returns the cached response, or `null` if nothing is cached.
+     * Entries older than the configured TTL are returned with `stale` set to `true`.
+     * @template [T=unknown]
+     * @param {import('sottaku-cache').ResponseType} type
+     * @param {string} language
+     * @param {string} text
+     * @returns {Promise<?import('sottaku-cache').CachedValue<T>>}
+     */
+    async get(type, language, text) {
+        const results = await this.getMany(type, language, [text]);
+        return /** @type {?import('sottaku-cache').CachedValue<T>} */ (results.get(text) ?? null);
+    }
+
+    /**
+     * Returns the cached responses for several texts, which are read in a single transaction.
+     * @param {import('sottaku-cache').ResponseType} type
+     * @param {string} language
+     * @param {string[]} texts
+     * @returns {Promise<Map<string, import('sottaku-cache').CachedValue>>} The cached responses, by text. Texts which are not cached are left out.
+     */
+    async getMany(type, language, texts) {
+        /** @type {Map<string, import('sottaku-cache').CachedValue>} */
+        const results = new Map();
+        const userId = this._userId;
+        if (!this._options.enabled || userId === null || texts.length === 0 || !(await this._db.ensureOpen())) { return results; }
+        const maxAge = this._options.ttlHours * 3600000;
+        const now = Date.now();
+        try {
+            await new Promise((resolve, reject) => {
+                const transaction = this._db.transaction(['responses'], 'readonly');
+                const objectStore = transaction.objectStore('responses');
+                transaction.oncomplete = () => resolve(void 0);
+                transaction.onerror = () => reject(transaction.error);
+                for (const text of texts) {
+                    const request = objectStore.get([userId, type, language, text]);
+                    request.onsuccess = () => {
+                        /** @type {unknown} */
+                        const value = request.result;
+                        if (typeof value === 'undefined') { return; }
+                        const record = /** @type {import('sottaku-cache').DatabaseRecord} */ (value);
+                        results.set(text, {value: record.value, stale: now - record.timestamp > maxAge});
+                    };
+                }
+            });
+        } catch (e) {
+            log.warn(e);
+            results.clear();
+        }
+        return results;
+    }
+
+    /**
+     * @param {import('sottaku-cache').ResponseType} type
+     * @param {string} language
+     * @param {string} text
+     * @param {unknown} value
+     */
+    async set(type, language, text, value) {
+        await this.setMany(type, language, [[text, value]]);
+    }
+
+    /**
+     * Stores several responses in a single transaction.
+     * @param {import('sottaku-cache').ResponseType} type
+     * @param {string} language
+     * @param {[text: string, value: unknown][]} entries
+     */
+    async setMany(type, language, entries) {
+        const userId = this._userId;
+        if (!this._options.enabled || this._options.maxEntries <= 0 || userId === null || entries.length === 0 || !(await this._db.ensureOpen())) { return; }
+        const timestamp = Date.now();
+        try {
+            await this._db.write(['responses'], (transaction) => {
+                const objectStore = transaction.objectStore('responses');
+                for (const [text, value] of entries) {
+                    /** @type {import('sottaku-cache').DatabaseRecord} */
+                    const record = {
+                        user: userId,
+                        type,
+                        language,
+                        text,
+                        value,
+                        size: JSON.stringify(value).length,
+                        timestamp,
+                    };
+                    objectStore.put(record);
+                }
+            });
+            this._pendingWriteCount += entries.length;
+            if (this._pendingWriteCount >= 50) {
+                this._pendingWriteCount = 0;
+                await this._prune();
+            }
+        } catch (e) {
+            log.warn(e);
+        }
+    }
+
+    /**
+     * @returns {Promise<import('sottaku-cache').Info>}
+     */
+    async getInfo() {
+        /** @type {import('sottaku-cache').Info} */
+        const info = {
+            count: 0,
+            size: 0,
+            counts: {scan: 0, wordInfo: 0},
+            oldestTimestamp: null,
+            newestTimestamp: null,
+        };
+        if (!(await this._db.ensureOpen())) { return info; }
+        return await new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['responses'], 'readonly');
+            const request = transaction.objectStore('responses').index('timestamp').openCursor();
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor === null) {
+                    resolve(info);
+                    return;
+                }
+                /** @type {unknown} */
+                const value = cursor.value;
+                const {type, size, timestamp} = /** @type {import('sottaku-cache').DatabaseRecord} */ (value);
+                ++info.count;
+                ++info.counts[type];
+                info.size += size;
+                if (info.oldestTimestamp === null) { info.oldestTimestamp = timestamp; }
+                info.newestTimestamp = timestamp;
+                cursor.continue();
+            };
+        });
+    }
+
+    /** */
+    async clear() {
+        if (!(await this._db.ensureOpen())) { return; }
+        await this._db.clear('responses');
+    }
+
+    // Private
+
+    /**
+     * Removes the oldest entries until the cache is within the configured size.
+     * @returns {Promise<void>}
+     */
+    _prune() {
+        const {maxEntries} = this._options;
+        return this._db.write(['responses'], (transaction) => {
+            const objectStore = transaction.objectStore('responses');
+            const countRequest = objectStore.count();
+            countRequest.onsuccess = () => {
+                let removeCount = countRequest.result - maxEntries;
+                if (removeCount <= 0) { return; }
+                const cursorRequest = objectStore.index('timestamp').openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (cursor === null) { return; }
+                    cursor.delete();
+                    if (--removeCount > 0) {
+                        cursor.continue();
+                    }
+                };
+            };
+        });
+    }
+}
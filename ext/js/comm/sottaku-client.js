@@ -3,19 +3,94 @@
  * and word requests.
  */
 
+import {EventDispatcher} from '../core/event-dispatcher.js';
+import {ExtensionError} from '../core/extension-error.js';
 import {toError} from '../core/to-error.js';
 
-export class SottakuClient {
+/** Time in milliseconds after which a request is aborted. */
+const REQUEST_TIMEOUT = 10000;
+/** Number of times a request is retried after a 429 or 5xx response. */
+const MAX_RETRY_COUNT = 2;
+/** Base delay in milliseconds of the exponential backoff between retries. */
+const RETRY_BASE_DELAY = 500;
+/** Longest `Retry-After` delay in milliseconds that is waited for before giving up. */
+const MAX_RETRY_DELAY = 10000;
+/** Names of the cookies which can hold the session of the Sottaku website, in order of preference. */
+const SESSION_COOKIE_NAMES = ['api_token', 'session_id', 'auth_token'];
+
+/**
+ * Gets whether the Sottaku account is signed in.
+ * An account whose token was cleared after its session expired keeps its user details,
+ * which distinguishes it from an account that was never linked or was signed out manually.
+ * @param {import('sottaku-credentials').Credentials} credentials
+ * @returns {import('sottaku-client').SessionState}
+ */
+export function getSottakuSessionState({authToken, user}) {
+    if (authToken) { return 'signedIn'; }
+    return user !== null ? 'signedOut' : 'notLinked';
+}
+
+/**
+ * Creates the error thrown when the Sottaku session expired and could not be renewed.
+ * @returns {ExtensionError}
+ */
+export function createSottakuSessionExpiredError() {
+    const error = new ExtensionError('Your Sottaku session has expired. Sign in again to continue.');
+    /** @type {import('sottaku-client').SessionExpiredErrorData} */
+    const data = {sottakuSessionExpired: true};
+    error.data = data;
+    return error;
+}
+
+/**
+ * Checks whether an error was thrown because the Sottaku session expired and could not be renewed.
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function isSottakuSessionExpiredError(error) {
+    if (!(error instanceof ExtensionError)) { return false; }
+    const {data} = error;
+    return typeof data === 'object' && data !== null && /** @type {import('core').UnknownObject} */ (data).sottakuSessionExpired === true;
+}
+
+/**
+ * Checks whether a request was rejected by Sottaku in a way that sending it again cannot fix,
+ * such as a 4xx response or a response which reports a validation failure.
+ * Timeouts, rate limiting and expired sessions are not permanent.
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function isSottakuPermanentError(error) {
+    if (!(error instanceof ExtensionError) || isSottakuSessionExpiredError(error)) { return false; }
+    const {data} = error;
+    if (typeof data !== 'object' || data === null) { return false; }
+    const {sottakuStatus} = /** @type {import('core').UnknownObject} */ (data);
+    if (typeof sottakuStatus !== 'number') { return false; }
+    return sottakuStatus < 500 && sottakuStatus !== 401 && sottakuStatus !== 408 && sottakuStatus !== 429;
+}
+
+/**
+ * @augments EventDispatcher<import('sottaku-client').Events>
+ */
+export class SottakuClient extends EventDispatcher {
     /**
-     * @param {{apiBaseUrl?: string, authToken?: string, cookieDomain?: string}} [options]
+     * Requests which fail with a 401 renew the session, unless `renewSession` is `false`.
+     * @param {{apiBaseUrl?: string, authToken?: string, cookieDomain?: string, renewSession?: boolean}} [options]
      */
     constructor(options = {}) {
+        super();
         /** @type {string} */
         this._apiBaseUrl = options.apiBaseUrl || 'https://sottaku.app/api/v1';
         /** @type {string} */
         this._authToken = options.authToken || '';
         /** @type {string} */
         this._cookieDomain = options.cookieDomain || this._getOrigin(this._apiBaseUrl);
+        /** @type {boolean} */
+        this._sessionRenewalEnabled = options.renewSession ?? true;
+        /** @type {?import('./sottaku-cache.js').SottakuCache} */
+        this._cache = null;
+        /** @type {?Promise<string>} */
+        this._sessionRenewPromise = null;
     }
 
     /** @returns {string} */
@@ -43,6 +118,14 @@ export class SottakuClient {
         }
     }
 
+    /**
+     * Sets the cache used for scan and word-info responses.
+     * @param {?import('./sottaku-cache.js').SottakuCache} cache
+     */
+    setCache(cache) {
+        this._cache = cache;
+    }
+
     /**
      * @param {string} username
      * @param {string} password
@@ -67,20 +150,12 @@ export class SottakuClient {
      */
     async syncTokenFromCookies() {
         try {
-            const value = await this._getCookieValue('api_token');
-            if (value) {
-                this._authToken = value;
-                return value;
-            }
-            const sessionValue = await this._getCookieValue('session_id');
-            if (sessionValue) {
-                this._authToken = sessionValue;
-                return sessionValue;
-            }
-            const bearer = await this._getCookieValue('auth_token');
-            if (bearer) {
-                this._authToken = bearer;
-                return bearer;
+            for (const name of SESSION_COOKIE_NAMES) {
+                const value = await this._getCookieValue(name);
+                if (value) {
+                    this._authToken = value;
+                    return value;
+                }
             }
         } catch (e) {
             throw toError(e);
@@ -88,6 +163,31 @@ export class SottakuClient {
         return null;
     }
 
+    /**
+     * Checks whether a cookie holds the session of the Sottaku website.
+     * @param {chrome.cookies.Cookie} cookie
+     * @returns {boolean}
+     */
+    isSessionCookie(cookie) {
+        if (!SESSION_COOKIE_NAMES.includes(cookie.name)) { return false; }
+        const {hostname} = new URL(this._getOrigin(this._cookieDomain));
+        const domain = cookie.domain.replace(/^\./, '');
+        return hostname === domain || hostname.endsWith(`.${domain}`);
+    }
+
+    /**
+     * Exchanges the current, possibly expired, token for a new one using the refresh endpoint.
+     * @returns {Promise<string|null>}
+     */
+    async refreshAuthToken() {
+        /** @type {unknown} */
+        const data = await this._request('/auth/refresh', {method: 'POST', renewSession: false});
+        const token = (typeof data === 'object' && data !== null) ? /** @type {import('core').UnknownObject} */ (data).token : null;
+        if (typeof token !== 'string' || token.length === 0) { return null; }
+        this._authToken = token;
+        return token;
+    }
+
     /**
      * @param {string} query
      * @param {string} language
@@ -96,6 +196,7 @@ export class SottakuClient {
     async search(query, language) {
         return await this._request('/dictionary/search', {
             method: 'POST',
+            idempotent: true,
             body: {query, language},
         });
     }
@@ -105,47 +206,76 @@ export class SottakuClient {
      * @param {string} text
      * @param {string} language
      * @param {number} [maxResults]
+     * @param {?AbortSignal} [signal]
      * @returns {Promise<{results: any[], originalTextLength: number}>}
      */
-    async scan(text, language, maxResults) {
+    async scan(text, language, maxResults, signal = null) {
+        const requestedMaxResults = (typeof maxResults === 'number' && Number.isFinite(maxResults)) ? maxResults : null;
+        /** @type {?import('sottaku-cache').CachedValue<import('sottaku-cache').ScanValue>} */
+        const cached = this._cache !== null ? await this._cache.get('scan', language, text) : null;
+        if (cached !== null && !cached.stale && this._isCachedScanSufficient(cached.value, requestedMaxResults)) {
+            return this._getScanResult(cached.value);
+        }
+
         /** @type {Record<string, any>} */
         const body = {text, language};
-        if (Number.isFinite(maxResults)) {
-            body.maxResults = maxResults;
+        if (requestedMaxResults !== null) {
+            body.maxResults = requestedMaxResults;
+        }
+        let data;
+        try {
+            data = await this._request('/dictionary/yomitan-scan', {
+                method: 'POST',
+                idempotent: true,
+                body,
+                signal,
+            });
+        } catch (e) {
+            if (cached !== null && this._canServeStale(e)) {
+                return this._getScanResult(cached.value);
+            }
+            throw e;
         }
-        const data = await this._request('/dictionary/yomitan-scan', {
-            method: 'POST',
-            body,
-        });
         const results = Array.isArray(data?.results) ? data.results : [];
         const originalTextLength = (
             typeof data?.original_text_length === 'number' && Number.isFinite(data.original_text_length)
                 ? data.original_text_length
                 : Math.max(0, (text || '').length)
         );
-        return {results, originalTextLength};
+        /** @type {import('sottaku-cache').ScanValue} */
+        const value = {results, originalTextLength, maxResults: requestedMaxResults};
+        if (this._cache !== null) {
+            await this._cache.set('scan', language, text, value);
+        }
+        return this._getScanResult(value);
     }
 
     /**
      * Batch check flashcard membership.
+     * The returned map contains the question ids which are in the user's flashcards,
+     * mapped to their review status when the API provides it.
      * @param {number[]} questionIds
      * @param {string} language
-     * @returns {Promise<Set<number>>}
+     * @param {?AbortSignal} [signal]
+     * @returns {Promise<Map<number, ?import('sottaku-review').FlashcardStatus>>}
      */
-    async getFlashcardMembership(questionIds, language) {
+    async getFlashcardMembership(questionIds, language, signal = null) {
         const body = {questionIds, language};
         const data = await this._request('/flashcards/exists', {
             method: 'POST',
+            idempotent: true,
             body,
+            signal,
         });
-        const included = new Set();
+        /** @type {Map<number, ?import('sottaku-review').FlashcardStatus>} */
+        const included = new Map();
         if (data && typeof data === 'object' && Array.isArray(data.exists) && Array.isArray(data.question_ids)) {
-            const {exists, question_ids: ids} = /** @type {{exists: unknown[], question_ids: unknown[]}} */ (data);
+            const {exists, question_ids: ids, statuses} = /** @type {{exists: unknown[], question_ids: unknown[], statuses?: unknown}} */ (data);
             for (let i = 0; i < Math.min(exists.length, ids.length); ++i) {
                 if (exists[i] === true) {
                     const id = Number.parseInt(ids[i], 10);
                     if (Number.isFinite(id)) {
-                        included.add(id);
+                        included.set(id, Array.isArray(statuses) ? this._getFlashcardStatus(statuses[i]) : null);
                     }
                 }
             }
@@ -159,16 +289,53 @@ export class SottakuClient {
      * @returns {Promise<Record<string, unknown>>}
      */
     async getWordInfoBatch(wordIds, language) {
-        const data = await this._request('/dictionary/word-info-batch', {
-            method: 'POST',
-            body: {wordIds, language},
-        });
+        /** @type {Record<string, unknown>} */
+        const wordInfo = {};
+        /** @type {Map<number, unknown>} */
+        const staleWordInfo = new Map();
+        /** @type {number[]} */
+        const uncachedWordIds = [];
+        const cachedWordInfo = this._cache !== null ? await this._cache.getMany('wordInfo', language, wordIds.map((wordId) => `${wordId}`)) : new Map();
+        for (const wordId of wordIds) {
+            const cached = cachedWordInfo.get(`${wordId}`);
+            if (typeof cached === 'undefined') {
+                uncachedWordIds.push(wordId);
+            } else if (cached.stale) {
+                uncachedWordIds.push(wordId);
+                staleWordInfo.set(wordId, cached.value);
+            } else {
+                wordInfo[wordId] = cached.value;
+            }
+        }
+        if (uncachedWordIds.length === 0) { return wordInfo; }
+
+        let data;
+        try {
+            data = await this._request('/dictionary/word-info-batch', {
+                method: 'POST',
+                idempotent: true,
+                body: {wordIds: uncachedWordIds, language},
+            });
+        } catch (e) {
+            if (staleWordInfo.size > 0 && this._canServeStale(e)) {
+                for (const [wordId, value] of staleWordInfo) {
+                    wordInfo[wordId] = value;
+                }
+                return wordInfo;
+            }
+            throw e;
+        }
         if (data && typeof data === 'object' && 'word_info' in data) {
-            /** @type {Record<string, unknown>} */
-            const {word_info: wordInfo} = /** @type {{word_info: Record<string, unknown>}} */ (data);
-            return wordInfo;
+            const newWordInfo = /** @type {{word_info: Record<string, unknown>}} */ (data).word_info;
+            const entries = Object.entries(newWordInfo);
+            for (const [wordId, value] of entries) {
+                wordInfo[wordId] = value;
+            }
+            if (this._cache !== null) {
+                await this._cache.setMany('wordInfo', language, entries);
+            }
         }
-        return {};
+        return wordInfo;
     }
 
     /**
@@ -188,6 +355,16 @@ export class SottakuClient {
      * @returns {Promise<string|null>}
      */
     async fetchAudioAsObjectUrl(path, language) {
+        const blob = await this.fetchAudio(path);
+        return blob !== null ? URL.createObjectURL(blob) : null;
+    }
+
+    /**
+     * Fetch audio (with auth).
+     * @param {string} path
+     * @returns {Promise<?Blob>}
+     */
+    async fetchAudio(path) {
         const url = this._resolveUrl(path);
         /** @type {RequestInit} */
         const options = {
@@ -205,8 +382,7 @@ export class SottakuClient {
         if (!response.ok) {
             return null;
         }
-        const blob = await response.blob();
-        return URL.createObjectURL(blob);
+        return await response.blob();
     }
 
     /**
@@ -236,6 +412,49 @@ export class SottakuClient {
         });
     }
 
+    /**
+     * @param {number} questionId
+     * @param {string} language
+     * @returns {Promise<unknown>}
+     */
+    async removeFlashcard(questionId, language) {
+        return await this._request('/flashcards/remove', {
+            method: 'POST',
+            body: {questionId, language},
+        });
+    }
+
+    /**
+     * Fetch the flashcards that are due for review.
+     * @param {string} language
+     * @param {number} limit
+     * @returns {Promise<unknown[]>}
+     */
+    async getDueFlashcards(language, limit) {
+        const data = await this._request('/flashcards/due', {
+            method: 'POST',
+            idempotent: true,
+            body: {language, limit},
+        });
+        if (data && typeof data === 'object' && Array.isArray(data.flashcards)) {
+            return /** @type {{flashcards: unknown[]}} */ (data).flashcards;
+        }
+        return Array.isArray(data) ? data : [];
+    }
+
+    /**
+     * @param {number} questionId
+     * @param {import('sottaku-review').Grade} grade
+     * @param {string} language
+     * @returns {Promise<unknown>}
+     */
+    async submitFlashcardReview(questionId, grade, language) {
+        return await this._request('/flashcards/review', {
+            method: 'POST',
+            body: {questionId, grade, language},
+        });
+    }
+
     /**
      * @param {number} questionId
      * @param {string} language
@@ -264,8 +483,29 @@ export class SottakuClient {
     }
 
     /**
+     * Checks whether a request failed because Sottaku could not be reached, rather than because of an HTTP error.
+     * `fetch` rejects with a `TypeError` in that case and timed out requests are aborted with a `TimeoutError`,
+     * while HTTP errors are thrown as `ExtensionError`s carrying the response status.
+     * @param {unknown} error
+     * @returns {boolean}
+     */
+    isNetworkError(error) {
+        return (
+            (typeof navigator !== 'undefined' && navigator.onLine === false) ||
+            error instanceof TypeError ||
+            (error instanceof DOMException && error.name === 'TimeoutError')
+        );
+    }
+
+    /**
+     * Sends a request to the Sottaku API.
+     * Requests are aborted after a timeout, and 429 and 5xx responses to idempotent requests are retried with exponential backoff.
+     * Only `GET` requests are idempotent unless `idempotent` is set, since a mutation which failed with a 5xx response
+     * may still have been applied.
+     * A 401 response to an authenticated request renews the session once and retries the request;
+     * if the session cannot be renewed, an error recognized by `isSottakuSessionExpiredError` is thrown.
      * @param {string} path
-     * @param {{method?: string, body?: unknown, auth?: boolean, language?: string}} [options]
+     * @param {{method?: string, body?: unknown, auth?: boolean, renewSession?: boolean, idempotent?: boolean, language?: string, signal?: ?AbortSignal}} [options]
      * @returns {Promise<any>}
      */
     async _request(path, options = {}) {
@@ -273,7 +513,10 @@ export class SottakuClient {
             method = 'GET',
             body,
             auth = true,
+            renewSession = auth && this._sessionRenewalEnabled,
+            idempotent = method === 'GET',
             language = null,
+            signal = null,
         } = options;
         const url = this._buildUrl(path, language);
         /** @type {RequestInit} */
@@ -298,20 +541,175 @@ export class SottakuClient {
             };
         }
 
-        const response = await fetch(url, fetchOptions);
-        let json = null;
+        let sessionRenewed = false;
+        for (let retryCount = 0; ; ++retryCount) {
+            const authToken = this._authToken;
+            const {response, json: jsonValue} = await this._fetchJson(url, fetchOptions, signal);
+            /** @type {any} */
+            const json = jsonValue;
+
+            if (response.status === 401 && renewSession && !sessionRenewed && auth && authToken) {
+                sessionRenewed = true;
+                const newAuthToken = await this._renewSession(authToken);
+                if (!newAuthToken) {
+                    throw createSottakuSessionExpiredError();
+                }
+                fetchOptions.headers = {
+                    ...fetchOptions.headers,
+                    Authorization: `Bearer ${newAuthToken}`,
+                };
+                continue;
+            }
+
+            if (idempotent && retryCount < MAX_RETRY_COUNT && this._isRetryableStatus(response.status)) {
+                const delay = this._getRetryDelay(response, retryCount);
+                if (delay <= MAX_RETRY_DELAY) {
+                    await this._wait(delay, signal);
+                    continue;
+                }
+            }
+
+            if (!response.ok || (json && json.success === false)) {
+                /** @type {unknown} */
+                const message = (json && (json.error || json.message)) || response.statusText;
+                const error = new ExtensionError(typeof message === 'string' && message.length > 0 ? message : 'Request failed');
+                /** @type {import('sottaku-client').HttpErrorData} */
+                const data = {sottakuStatus: response.status};
+                error.data = data;
+                throw error;
+            }
+
+            return (json && Object.prototype.hasOwnProperty.call(json, 'data')) ? json.data : json;
+        }
+    }
+
+    /**
+     * Renews an expired session, first from the cookies of the Sottaku website and then using the refresh endpoint.
+     * Concurrent requests which fail with the same token share a single renewal.
+     * @param {string} expiredAuthToken
+     * @returns {Promise<string>} The new token, or an empty string if the session could not be renewed.
+     */
+    async _renewSession(expiredAuthToken) {
+        if (this._authToken !== expiredAuthToken) {
+            // Another request already renewed the session, or found it expired
+            return this._authToken;
+        }
+        if (this._sessionRenewPromise === null) {
+            this._sessionRenewPromise = this._renewSessionInternal(expiredAuthToken).finally(() => { this._sessionRenewPromise = null; });
+        }
+        return await this._sessionRenewPromise;
+    }
+
+    /**
+     * @param {string} expiredAuthToken
+     * @returns {Promise<string>}
+     */
+    async _renewSessionInternal(expiredAuthToken) {
+        let authToken = null;
         try {
-            json = await response.json();
+            authToken = await this.syncTokenFromCookies();
         } catch (e) {
             // NOP
         }
+        if (authToken === null || authToken === expiredAuthToken) {
+            this._authToken = expiredAuthToken;
+            try {
+                authToken = await this.refreshAuthToken();
+            } catch (e) {
+                authToken = null;
+            }
+        }
+        if (authToken === null || authToken === expiredAuthToken) {
+            this._authToken = '';
+            this.trigger('sessionExpired', {authToken: expiredAuthToken});
+            return '';
+        }
+        this._authToken = authToken;
+        this.trigger('authTokenChanged', {authToken, previousAuthToken: expiredAuthToken});
+        return authToken;
+    }
 
-        if (!response.ok || (json && json.success === false)) {
-            const message = (json && (json.error || json.message)) || response.statusText;
-            throw new Error(message || 'Request failed');
+    /**
+     * Fetches a URL and parses the response body as JSON, aborting if the request takes longer than the timeout.
+     * @param {string} url
+     * @param {RequestInit} fetchOptions
+     * @param {?AbortSignal} signal
+     * @returns {Promise<{response: Response, json: unknown}>}
+     * @throws {Error}
+     */
+    async _fetchJson(url, fetchOptions, signal) {
+        signal?.throwIfAborted();
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal?.reason);
+        signal?.addEventListener('abort', onAbort, {once: true});
+        const timer = setTimeout(() => controller.abort(new DOMException('Sottaku request timed out', 'TimeoutError')), REQUEST_TIMEOUT);
+        try {
+            const response = await fetch(url, {...fetchOptions, signal: controller.signal});
+            /** @type {unknown} */
+            let json = null;
+            try {
+                json = await response.json();
+            } catch (e) {
+                // NOP
+            }
+            controller.signal.throwIfAborted();
+            return {response, json};
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * @param {number} status
+     * @returns {boolean}
+     */
+    _isRetryableStatus(status) {
+        return status === 429 || (status >= 500 && status < 600);
+    }
+
+    /**
+     * Gets the delay before the next retry, using the `Retry-After` header when present.
+     * @param {Response} response
+     * @param {number} retryCount
+     * @returns {number}
+     */
+    _getRetryDelay(response, retryCount) {
+        const retryAfter = response.headers.get('Retry-After');
+        if (retryAfter !== null) {
+            const seconds = Number.parseFloat(retryAfter);
+            if (Number.isFinite(seconds)) {
+                return Math.max(0, seconds * 1000);
+            }
+            const date = Date.parse(retryAfter);
+            if (Number.isFinite(date)) {
+                return Math.max(0, date - Date.now());
+            }
         }
+        return RETRY_BASE_DELAY * (2 ** retryCount);
+    }
 
-        return (json && Object.prototype.hasOwnProperty.call(json, 'data')) ? json.data : json;
+    /**
+     * @param {number} delay
+     * @param {?AbortSignal} signal
+     * @returns {Promise<void>}
+     */
+    _wait(delay, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal?.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, delay);
+            signal?.addEventListener('abort', onAbort, {once: true});
+        });
     }
 
     /**
@@ -329,6 +727,49 @@ export class SottakuClient {
         return url.href;
     }
 
+    /**
+     * @param {import('sottaku-cache').ScanValue} value
+     * @param {?number} maxResults
+     * @returns {boolean}
+     */
+    _isCachedScanSufficient(value, maxResults) {
+        if (value.maxResults === null) { return true; }
+        return maxResults !== null && value.maxResults >= maxResults;
+    }
+
+    /**
+     * @param {import('sottaku-cache').ScanValue} value
+     * @returns {{results: any[], originalTextLength: number}}
+     */
+    _getScanResult({results, originalTextLength}) {
+        return {results, originalTextLength};
+    }
+
+    /**
+     * Stale responses are only used when the request failed because the network is unreachable.
+     * @param {unknown} error
+     * @returns {boolean}
+     */
+    _canServeStale(error) {
+        if (this._cache === null || !this._cache.serveStaleWhenOffline) { return false; }
+        return this.isNetworkError(error);
+    }
+
+    /**
+     * @param {unknown} value
+     * @returns {?import('sottaku-review').FlashcardStatus}
+     */
+    _getFlashcardStatus(value) {
+        switch (value) {
+            case 'new':
+            case 'learning':
+            case 'mature':
+                return value;
+            default:
+                return null;
+        }
+    }
+
     /**
      * @param {string} name
      * @returns {Promise<string|null>}
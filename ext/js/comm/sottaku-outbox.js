@@ -0,0 +1,99 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {LazyDatabase} from '../data/lazy-database.js';
+
+/**
+ * Persistent IndexedDB store of Sottaku mutations which could not be sent.
+ * Mutations are keyed by language and question id, so a newer action on a question replaces the pending one.
+ */
+export class SottakuOutbox {
+    constructor() {
+        /** @type {LazyDatabase<import('sottaku-outbox').ObjectStoreName>} */
+        this._db = new LazyDatabase('sottaku-outbox', [
+            {
+                version: 1,
+                stores: {
+                    mutations: {
+                        primaryKey: {keyPath: ['language', 'questionId']},
+                        indices: ['timestamp'],
+                    },
+                },
+            },
+        ]);
+    }
+
+    /**
+     * Stores a pending mutation, replacing any pending mutation for the same question.
+     * @param {import('sottaku-outbox').PendingMutation} mutation
+     * @returns {Promise<void>}
+     */
+    async put(mutation) {
+        if (!(await this._db.ensureOpen())) { return; }
+        await this._db.put('mutations', mutation);
+    }
+
+    /**
+     * Gets the pending mutation for a question.
+     * @param {string} language
+     * @param {number} questionId
+     * @returns {Promise<?import('sottaku-outbox').PendingMutation>}
+     */
+    async get(language, questionId) {
+        if (!(await this._db.ensureOpen())) { return null; }
+        const value = await this._db.get('mutations', [language, questionId]);
+        return typeof value !== 'undefined' ? /** @type {import('sottaku-outbox').PendingMutation} */ (value) : null;
+    }
+
+    /**
+     * Removes the pending mutation for a question.
+     * If `timestamp` is provided, the mutation is only removed if it has not been replaced since.
+     * @param {string} language
+     * @param {number} questionId
+     * @param {?number} [timestamp]
+     * @returns {Promise<void>}
+     */
+    async delete(language, questionId, timestamp = null) {
+        if (!(await this._db.ensureOpen())) { return; }
+        await this._db.write(['mutations'], (transaction) => {
+            const objectStore = transaction.objectStore('mutations');
+            const key = [language, questionId];
+            if (timestamp === null) {
+                objectStore.delete(key);
+                return;
+            }
+            const request = objectStore.get(key);
+            request.onsuccess = () => {
+                /** @type {unknown} */
+                const value = request.result;
+                if (typeof value === 'undefined') { return; }
+                if (/** @type {import('sottaku-outbox').PendingMutation} */ (value).timestamp === timestamp) {
+                    objectStore.delete(key);
+                }
+            };
+        });
+    }
+
+    /**
+     * Returns the pending mutations, oldest first.
+     * @returns {Promise<import('sottaku-outbox').PendingMutation[]>}
+     */
+    async getAll() {
+        if (!(await this._db.ensureOpen())) { return []; }
+        return /** @type {import('sottaku-outbox').PendingMutation[]} */ (await this._db.getAll('mutations', 'timestamp'));
+    }
+}
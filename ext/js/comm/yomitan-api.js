@@ -165,10 +165,10 @@ export class YomitanApi {
                     case 'termEntries': {
                         /** @type {import('yomitan-api.js').termEntriesInput} */
                         // @ts-expect-error - Allow this to error
-                        const {term} = parsedBody;
+                        const {term, profile} = parsedBody;
                         const invokeParams = {
                             text: term,
-                            details: {},
+                            details: {profile: profile === true},
                             optionsContext: {index: optionsFull.profileCurrent},
                         };
                         result = await this._invoke(
@@ -18,6 +18,7 @@
 
 import {ExtensionError} from '../core/extension-error.js';
 import {deferPromise, sanitizeCSS} from '../core/utilities.js';
+import {getSottakuEntryMetadata} from '../dictionary/sottaku-dictionary.js';
 import {convertHiraganaToKatakana, convertKatakanaToHiragana} from '../language/ja/japanese.js';
 import {cloneFieldMarkerPattern, getRootDeckName} from './anki-util.js';
 
@@ -399,6 +400,8 @@ export class AnkiNoteBuilder {
         let injectClipboardImage = false;
         let injectClipboardText = false;
         let injectPopupSelectionText = false;
+        let injectSottakuAudio = false;
+        let injectSottakuSentenceAudio = false;
         /** @type {import('anki-note-builder').TextFuriganaDetails[]} */
         const textFuriganaDetails = [];
         /** @type {import('api').InjectAnkiNoteMediaDictionaryMediaDetails[]} */
@@ -411,6 +414,8 @@ export class AnkiNoteBuilder {
                 case 'clipboardImage': injectClipboardImage = true; break;
                 case 'clipboardText': injectClipboardText = true; break;
                 case 'popupSelectionText': injectPopupSelectionText = true; break;
+                case 'sottakuAudio': injectSottakuAudio = true; break;
+                case 'sottakuSentenceAudio': injectSottakuSentenceAudio = true; break;
                 case 'textFurigana':
                     {
                         const {text, readingMode} = requirement;
@@ -450,6 +455,15 @@ export class AnkiNoteBuilder {
                 }
             }
         }
+        /** @type {?import('api').InjectAnkiNoteMediaSottakuAudioDetails} */
+        let sottakuAudioDetails = null;
+        if (injectSottakuAudio || injectSottakuSentenceAudio) {
+            const metadata = getSottakuEntryMetadata(dictionaryEntry);
+            if (metadata !== null) {
+                const {questionId, language, audio} = metadata;
+                sottakuAudioDetails = {questionId, language, audio, word: injectSottakuAudio, sentence: injectSottakuSentenceAudio};
+            }
+        }
         let textFuriganaPromise = null;
         if (textFuriganaDetails.length > 0) {
             const textParsingOptions = mediaOptions.textParsing;
@@ -468,8 +482,18 @@ export class AnkiNoteBuilder {
             screenshotDetails,
             clipboardDetails,
             dictionaryMediaDetails,
+            sottakuAudioDetails,
         );
-        const {audioFileName, screenshotFileName, clipboardImageFileName, clipboardText, dictionaryMedia: dictionaryMediaArray, errors} = injectedMedia;
+        const {
+            audioFileName,
+            screenshotFileName,
+            clipboardImageFileName,
+            clipboardText,
+            sottakuAudioFileName,
+            sottakuSentenceAudioFileName,
+            dictionaryMedia: dictionaryMediaArray,
+            errors,
+        } = injectedMedia;
         const textFurigana = textFuriganaPromise !== null ? await textFuriganaPromise : [];
 
         // Format results
@@ -490,6 +514,8 @@ export class AnkiNoteBuilder {
             clipboardImage: (typeof clipboardImageFileName === 'string' ? {value: clipboardImageFileName} : void 0),
             clipboardText: (typeof clipboardText === 'string' ? {value: clipboardText} : void 0),
             popupSelectionText: (typeof popupSelectionText === 'string' ? {value: popupSelectionText} : void 0),
+            sottakuAudio: (typeof sottakuAudioFileName === 'string' ? {value: sottakuAudioFileName} : void 0),
+            sottakuSentenceAudio: (typeof sottakuSentenceAudioFileName === 'string' ? {value: sottakuSentenceAudioFileName} : void 0),
             textFurigana,
             dictionaryMedia,
         };
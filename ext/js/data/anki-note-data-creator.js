@@ -19,6 +19,7 @@
 import {getAnkiCompactGlossStyles} from '../../data/anki-compact-gloss-style.js';
 import {addScopeToCssLegacy} from '../core/utilities.js';
 import {getDisambiguations, getGroupedPronunciations, getPronunciationsOfType, getTermFrequency, groupTermTags} from '../dictionary/dictionary-data-util.js';
+import {getSottakuEntryMetadata} from '../dictionary/sottaku-dictionary.js';
 import {distributeFurigana, distributeFuriganaInflected} from '../language/ja/japanese.js';
 
 /**
@@ -51,6 +52,8 @@ export function createAnkiNoteData(marker, {
             clipboardImage: void 0,
             clipboardText: void 0,
             popupSelectionText: void 0,
+            sottakuAudio: void 0,
+            sottakuSentenceAudio: void 0,
             textFurigana: [],
             dictionaryMedia: {},
         };
@@ -456,6 +459,7 @@ function getTermDefinition(dictionaryEntry, context, resultOutputMode, dictionar
     const cloze = createCachedValue(getCloze.bind(null, dictionaryEntry, context));
     const furiganaSegments = createCachedValue(getTermFuriganaSegments.bind(null, dictionaryEntry, type));
     const sequence = createCachedValue(getTermDictionaryEntrySequence.bind(null, dictionaryEntry));
+    const sottaku = createCachedValue(getTermSottakuInfo.bind(null, dictionaryEntry));
 
     return {
         type,
@@ -498,6 +502,7 @@ function getTermDefinition(dictionaryEntry, context, resultOutputMode, dictionar
         url,
         get cloze() { return getCachedValue(cloze); },
         get furiganaSegments() { return getCachedValue(furiganaSegments); },
+        get sottaku() { return getCachedValue(sottaku); },
     };
 }
 
@@ -1025,3 +1030,14 @@ function getTermDictionaryEntrySequence(dictionaryEntry) {
     }
     return mainSequence;
 }
+
+/**
+ * @param {import('dictionary').TermDictionaryEntry} dictionaryEntry
+ * @returns {?import('anki-templates').SottakuInfo}
+ */
+function getTermSottakuInfo(dictionaryEntry) {
+    const metadata = getSottakuEntryMetadata(dictionaryEntry);
+    if (metadata === null) { return null; }
+    const {language, translation, sentence, sentenceTranslation, usageNotes} = metadata;
+    return {language, translation, sentence, sentenceTranslation, usageNotes};
+}
@@ -61,6 +61,11 @@ export function getStandardFieldMarkers(type, language = 'ja') {
                 'sentence',
                 'sentence-furigana',
                 'sentence-furigana-plain',
+                'sottaku-audio',
+                'sottaku-sentence',
+                'sottaku-sentence-audio',
+                'sottaku-sentence-translation',
+                'sottaku-usage-notes',
                 'tags',
                 'url',
             ];
@@ -85,6 +85,26 @@ export function isNoteDataValid(note) {
 
 export const INVALID_NOTE_ID = -1;
 
+/**
+ * Gets an Anki search query which finds the notes that AnkiConnect considers to be duplicates of a note,
+ * i.e. notes with the same first field value within the note's duplicate scope.
+ * @param {import('anki').Note} note A note object.
+ * @returns {string} The search query.
+ */
+export function getNoteDuplicateQuery(note) {
+    let query = '';
+    switch (getNoteDuplicateScope(note)) {
+        case 'deck':
+            query = `"deck:${escapeQuery(note.deckName)}" `;
+            break;
+        case 'deck-root':
+            query = `"deck:${escapeQuery(getRootDeckName(note.deckName))}" `;
+            break;
+    }
+    query += fieldsToQuery(note.fields);
+    return query;
+}
+
 
 /**
  * @param {string} prefix
@@ -126,3 +146,40 @@ function ankNoteDateToString(date) {
     const milliseconds = date.getUTCMilliseconds().toString().padStart(3, '0');
     return `${year}-${month}-${day}-${hours}-${minutes}-${seconds}-${milliseconds}`;
 }
+
+/**
+ * @param {import('anki').Note} note
+ * @returns {?('collection'|'deck'|'deck-root')}
+ */
+function getNoteDuplicateScope(note) {
+    const {options} = note;
+    if (typeof options === 'object' && options !== null) {
+        const {duplicateScope} = options;
+        if (typeof duplicateScope !== 'undefined') {
+            return duplicateScope;
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {import('anki').NoteFields} fields
+ * @returns {string}
+ */
+function fieldsToQuery(fields) {
+    const fieldNames = Object.keys(fields);
+    if (fieldNames.length === 0) {
+        return '';
+    }
+
+    const key = fieldNames[0];
+    return `"${key.toLowerCase()}:${escapeQuery(fields[key])}"`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeQuery(text) {
+    return text.replace(/"/g, '');
+}
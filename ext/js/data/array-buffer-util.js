@@ -70,3 +70,14 @@ export function base64ToArrayBuffer(content) {
     }
     return array.buffer;
 }
+
+/**
+ * Decompresses gzip or zlib data.
+ * @param {ArrayBuffer|Uint8Array} content The compressed data.
+ * @param {CompressionFormat} format `'gzip'` for gzip data, or `'deflate'` for zlib data.
+ * @returns {Promise<ArrayBuffer>} The decompressed data.
+ */
+export async function decompressArrayBuffer(content, format) {
+    const stream = new Blob([content]).stream().pipeThrough(new DecompressionStream(format));
+    return await new Response(stream).arrayBuffer();
+}
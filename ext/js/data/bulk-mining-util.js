@@ -0,0 +1,120 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/** @type {Set<string>} */
+const fullWidthSentenceTerminators = new Set(['。', '！', '？', '．', '…']);
+/** @type {Set<string>} */
+const sentenceTerminators = new Set(['.', '!', '?']);
+/** @type {Set<string>} */
+const sentenceClosers = new Set(['」', '』', '）', '】', ')', '"', '\'', '”', '’']);
+/** @type {RegExp} */
+const letterPattern = /\p{L}/u;
+
+/**
+ * Splits a text into its sentences. A sentence ends after a run of terminating punctuation and any closing
+ * quotes or brackets which follow it, or at a line break. Half-width terminators only end a sentence when they are
+ * followed by whitespace, so that text such as `3.5` is not split.
+ * @param {string} text
+ * @returns {import('bulk-mining').TextSpan[]} The sentences, with surrounding whitespace removed.
+ */
+export function getTextSentences(text) {
+    /** @type {import('bulk-mining').TextSpan[]} */
+    const results = [];
+    let start = 0;
+    for (let i = 0, ii = text.length; i < ii; ++i) {
+        const character = text[i];
+        if (character === '\n') {
+            addSentence(results, text, start, i);
+            start = i + 1;
+            continue;
+        }
+        const fullWidth = fullWidthSentenceTerminators.has(character);
+        if (!fullWidth && !sentenceTerminators.has(character)) { continue; }
+
+        let end = i + 1;
+        while (end < ii && (fullWidthSentenceTerminators.has(text[end]) || sentenceTerminators.has(text[end]))) { ++end; }
+        while (end < ii && sentenceClosers.has(text[end])) { ++end; }
+        if (!fullWidth && end < ii && !/\s/.test(text[end])) {
+            i = end - 1;
+            continue;
+        }
+        addSentence(results, text, start, end);
+        start = end;
+        i = end - 1;
+    }
+    addSentence(results, text, start, text.length);
+    return results;
+}
+
+/**
+ * Gets the tokens of a parsed text, along with their offsets in the text which was parsed.
+ * Parsers such as MeCab drop whitespace, so each token is located by searching the text forward from the end of
+ * the previous token rather than by adding up the lengths of the tokens.
+ * Tokens which do not contain any letters, such as punctuation and whitespace, are skipped,
+ * as are tokens which cannot be found in the text.
+ * @param {string} text The text which was parsed.
+ * @param {import('api').ParseTextLine[]} lines The content of a `parseText` result.
+ * @returns {import('bulk-mining').TextSpan[]}
+ */
+export function getParsedTextTokens(text, lines) {
+    /** @type {import('bulk-mining').TextSpan[]} */
+    const results = [];
+    let position = 0;
+    for (const line of lines) {
+        let tokenText = '';
+        for (const segment of line) {
+            tokenText += segment.text;
+        }
+        tokenText = tokenText.trim();
+        if (tokenText.length === 0) { continue; }
+        const offset = text.indexOf(tokenText, position);
+        if (offset < 0) { continue; }
+        position = offset + tokenText.length;
+        if (letterPattern.test(tokenText)) {
+            results.push({text: tokenText, offset});
+        }
+    }
+    return results;
+}
+
+/**
+ * Gets the sentence which contains a token.
+ * @param {import('bulk-mining').TextSpan[]} sentences The sentences of the text, in order.
+ * @param {import('bulk-mining').TextSpan} token A token of the same text.
+ * @returns {?import('bulk-mining').TextSpan} The sentence, with the offset of the token in that sentence rather than in the text.
+ */
+export function getTokenSentence(sentences, token) {
+    for (const {text, offset} of sentences) {
+        if (token.offset >= offset && token.offset + token.text.length <= offset + text.length) {
+            return {text, offset: token.offset - offset};
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {import('bulk-mining').TextSpan[]} results
+ * @param {string} text
+ * @param {number} start
+ * @param {number} end
+ */
+function addSentence(results, text, start, end) {
+    const sentence = text.substring(start, end);
+    const trimmedSentence = sentence.trim();
+    if (trimmedSentence.length === 0) { return; }
+    results.push({text: trimmedSentence, offset: start + sentence.indexOf(trimmedSentence)});
+}
@@ -177,8 +177,14 @@ export class Database {
             const transaction = this._readWriteTransaction([objectStoreName], resolve, reject);
             const objectStore = transaction.objectStore(objectStoreName);
 
+            // Object stores with in-line keys take the key from the data, and reject an explicit key
+            const inlineKeys = (objectStore.keyPath !== null);
             for (let i = start, ii = start + count; i < ii; ++i) {
-                objectStore.put(items[i].data, items[i].primaryKey);
+                if (inlineKeys) {
+                    objectStore.put(items[i].data);
+                } else {
+                    objectStore.put(items[i].data, items[i].primaryKey);
+                }
             }
             transaction.commit();
         });
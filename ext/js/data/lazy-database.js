@@ -0,0 +1,176 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {log} from '../core/log.js';
+import {Database} from './database.js';
+
+/**
+ * An IndexedDB database which is opened the first time it is used.
+ * It backs stores which the extension can work without: if the database cannot be opened,
+ * for example in private browsing, {@link LazyDatabase.ensureOpen} resolves to `false` and the store is skipped.
+ * @template {string} TObjectStoreName
+ */
+export class LazyDatabase {
+    /**
+     * @param {string} databaseName
+     * @param {import('database').StructureDefinition<TObjectStoreName>[]} structure
+     */
+    constructor(databaseName, structure) {
+        /** @type {Database<TObjectStoreName>} */
+        this._db = new Database();
+        /** @type {string} */
+        this._databaseName = databaseName;
+        /** @type {import('database').StructureDefinition<TObjectStoreName>[]} */
+        this._structure = structure;
+        /** @type {?Promise<boolean>} */
+        this._openPromise = null;
+    }
+
+    /**
+     * Opens the database, unless it has been opened already.
+     * @returns {Promise<boolean>} Whether the database is available.
+     */
+    ensureOpen() {
+        if (this._openPromise === null) {
+            this._openPromise = this._open();
+        }
+        return this._openPromise;
+    }
+
+    /**
+     * @param {TObjectStoreName[]} storeNames
+     * @param {IDBTransactionMode} mode
+     * @returns {IDBTransaction}
+     */
+    transaction(storeNames, mode) {
+        return this._db.transaction(storeNames, mode);
+    }
+
+    /**
+     * Runs a read-write transaction and waits for it to complete.
+     * @param {TObjectStoreName[]} storeNames
+     * @param {(transaction: IDBTransaction) => void} onTransaction Makes the requests of the transaction.
+     * @returns {Promise<void>}
+     */
+    write(storeNames, onTransaction) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(storeNames, 'readwrite');
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            onTransaction(transaction);
+        });
+    }
+
+    /**
+     * @param {TObjectStoreName} objectStoreName
+     * @param {unknown} value
+     * @returns {Promise<IDBValidKey>} The key of the added value.
+     */
+    add(objectStoreName, value) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction([objectStoreName], 'readwrite');
+            const request = transaction.objectStore(objectStoreName).add(value);
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * @param {TObjectStoreName} objectStoreName
+     * @param {unknown} value
+     * @returns {Promise<void>}
+     */
+    put(objectStoreName, value) {
+        return this.write([objectStoreName], (transaction) => {
+            transaction.objectStore(objectStoreName).put(value);
+        });
+    }
+
+    /**
+     * @param {TObjectStoreName} objectStoreName
+     * @param {IDBValidKey|IDBKeyRange} key
+     * @returns {Promise<void>}
+     */
+    delete(objectStoreName, key) {
+        return this.write([objectStoreName], (transaction) => {
+            transaction.objectStore(objectStoreName).delete(key);
+        });
+    }
+
+    /**
+     * @param {TObjectStoreName} objectStoreName
+     * @returns {Promise<void>}
+     */
+    clear(objectStoreName) {
+        return this.write([objectStoreName], (transaction) => {
+            transaction.objectStore(objectStoreName).clear();
+        });
+    }
+
+    /**
+     * @param {TObjectStoreName} objectStoreName
+     * @param {IDBValidKey} key
+     * @returns {Promise<unknown>} The value, or `undefined` if there is none.
+     */
+    get(objectStoreName, key) {
+        return new Promise((resolve, reject) => {
+            const request = this._db.transaction([objectStoreName], 'readonly').objectStore(objectStoreName).get(key);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Returns all of the values of an object store, in the order of their keys or of an index.
+     * @param {TObjectStoreName} objectStoreName
+     * @param {?string} indexName
+     * @returns {Promise<unknown[]>}
+     */
+    getAll(objectStoreName, indexName) {
+        return new Promise((resolve, reject) => {
+            const objectStore = this._db.transaction([objectStoreName], 'readonly').objectStore(objectStoreName);
+            this._db.getAll(indexName !== null ? objectStore.index(indexName) : objectStore, null, resolve, reject, null);
+        });
+    }
+
+    /**
+     * @param {TObjectStoreName} objectStoreName
+     * @returns {Promise<number>}
+     */
+    getCount(objectStoreName) {
+        return new Promise((resolve, reject) => {
+            const request = this._db.transaction([objectStoreName], 'readonly').objectStore(objectStoreName).count();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Private
+
+    /**
+     * @returns {Promise<boolean>}
+     */
+    async _open() {
+        try {
+            await this._db.open(this._databaseName, this._structure[this._structure.length - 1].version, this._structure);
+            return true;
+        } catch (e) {
+            log.warn(e);
+            return false;
+        }
+    }
+}
@@ -0,0 +1,105 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Gets the headword which identifies a dictionary entry in the lookup history.
+ * @param {import('dictionary').DictionaryEntry} dictionaryEntry
+ * @returns {import('lookup-history').SavedHeadword}
+ */
+export function getDictionaryEntryHeadword(dictionaryEntry) {
+    if (dictionaryEntry.type === 'kanji') {
+        return {term: dictionaryEntry.character, reading: ''};
+    }
+    const headword = dictionaryEntry.headwords[0];
+    return typeof headword !== 'undefined' ? {term: headword.term, reading: headword.reading} : {term: '', reading: ''};
+}
+
+/**
+ * Gets the names of the dictionaries which contributed to a dictionary entry.
+ * @param {import('dictionary').DictionaryEntry} dictionaryEntry
+ * @returns {string[]}
+ */
+export function getDictionaryEntryDictionaries(dictionaryEntry) {
+    if (dictionaryEntry.type === 'kanji') {
+        return [dictionaryEntry.dictionary];
+    }
+    return [...new Set(dictionaryEntry.definitions.map(({dictionary}) => dictionary))];
+}
+
+/**
+ * Gets the host name of the web page a lookup was made on.
+ * @param {import('lookup-history').HistoryRecord} record
+ * @returns {string} The host name, or an empty string if the lookup was not made on a web page, such as in the search page.
+ */
+export function getHistoryRecordSite(record) {
+    try {
+        const {protocol, hostname} = new URL(record.url);
+        return protocol === 'http:' || protocol === 'https:' ? hostname : '';
+    } catch (e) {
+        return '';
+    }
+}
+
+/**
+ * @param {import('lookup-history').HistoryRecord} record
+ * @param {import('lookup-history').Filter} filter
+ * @returns {boolean}
+ */
+export function isHistoryRecordMatch(record, {text, startTime, endTime, site, dictionary, saved}) {
+    const textLower = text.trim().toLowerCase();
+    return (
+        (startTime === null || record.timestamp >= startTime) &&
+        (endTime === null || record.timestamp < endTime) &&
+        (site === null || getHistoryRecordSite(record) === site) &&
+        (dictionary === null || record.dictionaries.includes(dictionary)) &&
+        (saved === 'all' || record.saved === (saved === 'saved')) &&
+        (textLower.length === 0 || [record.query, record.term, record.reading, record.sentence].some((value) => value.toLowerCase().includes(textLower)))
+    );
+}
+
+/**
+ * @param {import('lookup-history').HistoryRecord[]} records
+ * @param {import('lookup-history').Filter} filter
+ * @returns {import('lookup-history').HistoryRecord[]}
+ */
+export function filterHistoryRecords(records, filter) {
+    return records.filter((record) => isHistoryRecordMatch(record, filter));
+}
+
+/**
+ * Converts records to comma-separated values, with a header row.
+ * @param {import('lookup-history').HistoryRecord[]} records
+ * @returns {string}
+ */
+export function historyRecordsToCsv(records) {
+    const rows = [['timestamp', 'term', 'reading', 'query', 'sentence', 'url', 'documentTitle', 'dictionaries', 'profile', 'saved']];
+    for (const record of records) {
+        rows.push([
+            new Date(record.timestamp).toISOString(),
+            record.term,
+            record.reading,
+            record.query,
+            record.sentence,
+            record.url,
+            record.documentTitle,
+            record.dictionaries.join(', '),
+            record.profile,
+            record.saved ? 'true' : 'false',
+        ]);
+    }
+    return rows.map((row) => row.map((value) => (/[",\n\r]/.test(value) ? `"${value.replaceAll('"', '""')}"` : value)).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,187 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {LazyDatabase} from './lazy-database.js';
+import {isHistoryRecordMatch} from './lookup-history-util.js';
+
+/**
+ * Persistent IndexedDB store of the lookups made in the popup and search page, and whether a note was saved from them.
+ */
+export class LookupHistory {
+    constructor() {
+        /** @type {LazyDatabase<import('lookup-history').ObjectStoreName>} */
+        this._db = new LazyDatabase('lookup-history', [
+            {
+                version: 1,
+                stores: {
+                    records: {
+                        primaryKey: {keyPath: 'id'},
+                        indices: ['timestamp'],
+                    },
+                },
+            },
+        ]);
+    }
+
+    /**
+     * @param {import('lookup-history').HistoryRecord} record
+     * @returns {Promise<void>}
+     * @throws {Error}
+     */
+    async add(record) {
+        if (!(await this._db.ensureOpen())) {
+            throw new Error('Lookup history is not available');
+        }
+        await this._db.put('records', record);
+    }
+
+    /**
+     * Marks a record as having had a note saved from it.
+     * @param {string} id
+     * @param {import('lookup-history').SavedHeadword} headword The headword of the saved dictionary entry.
+     * @returns {Promise<boolean>} Whether the record exists.
+     */
+    async markSaved(id, headword) {
+        if (!(await this._db.ensureOpen())) { return false; }
+        let found = false;
+        await this._db.write(['records'], (transaction) => {
+            const objectStore = transaction.objectStore('records');
+            const request = objectStore.get(id);
+            request.onsuccess = () => {
+                /** @type {unknown} */
+                const value = request.result;
+                if (typeof value === 'undefined') { return; }
+                const record = /** @type {import('lookup-history').HistoryRecord} */ (value);
+                found = true;
+                const savedHeadwords = record.savedHeadwords.some(({term, reading}) => term === headword.term && reading === headword.reading) ?
+                    record.savedHeadwords :
+                    [...record.savedHeadwords, headword];
+                objectStore.put({...record, saved: true, savedTimestamp: Date.now(), savedHeadwords});
+            };
+        });
+        return found;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<?import('lookup-history').HistoryRecord>}
+     */
+    async get(id) {
+        if (!(await this._db.ensureOpen())) { return null; }
+        const value = await this._db.get('records', id);
+        return typeof value !== 'undefined' ? /** @type {import('lookup-history').HistoryRecord} */ (value) : null;
+    }
+
+    /**
+     * Returns the records which match a filter, newest first.
+     * At most `maxScanCount` records are read, so a page can contain fewer than `limit` records even if more would match;
+     * the returned cursor continues after the last record which was read.
+     * @param {import('lookup-history').Filter} filter
+     * @param {?import('lookup-history').RecordCursor} cursor The cursor returned with the previous page, or `null` to start with the newest record.
+     * @param {number} limit
+     * @param {number} maxScanCount
+     * @returns {Promise<import('lookup-history').RecordPage>}
+     */
+    async getPage(filter, cursor, limit, maxScanCount) {
+        if (!(await this._db.ensureOpen())) { return {records: [], cursor: null}; }
+        return await new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['records'], 'readonly');
+            const index = transaction.objectStore('records').index('timestamp');
+            const query = cursor !== null ? IDBKeyRange.upperBound(cursor.timestamp) : null;
+            const request = index.openCursor(query, 'prev');
+            /** @type {import('lookup-history').HistoryRecord[]} */
+            const records = [];
+            /** @type {?import('lookup-history').RecordCursor} */
+            let lastCursor = null;
+            let scanCount = 0;
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                const idbCursor = request.result;
+                if (idbCursor === null) {
+                    resolve({records, cursor: null});
+                    return;
+                }
+                /** @type {unknown} */
+                const value = idbCursor.value;
+                const record = /** @type {import('lookup-history').HistoryRecord} */ (value);
+                // Records with the same timestamp are visited in descending id order
+                if (cursor !== null && record.timestamp === cursor.timestamp && record.id >= cursor.id) {
+                    idbCursor.continue();
+                    return;
+                }
+                ++scanCount;
+                lastCursor = {timestamp: record.timestamp, id: record.id};
+                if (isHistoryRecordMatch(record, filter)) {
+                    records.push(record);
+                }
+                if (records.length >= limit || scanCount >= maxScanCount) {
+                    resolve({records, cursor: lastCursor});
+                    return;
+                }
+                idbCursor.continue();
+            };
+        });
+    }
+
+    /**
+     * @returns {Promise<number>}
+     */
+    async getCount() {
+        if (!(await this._db.ensureOpen())) { return 0; }
+        return await this._db.getCount('records');
+    }
+
+    /**
+     * @param {string[]} ids
+     * @returns {Promise<void>}
+     */
+    async delete(ids) {
+        if (!(await this._db.ensureOpen())) { return; }
+        await this._db.write(['records'], (transaction) => {
+            const objectStore = transaction.objectStore('records');
+            for (const id of ids) {
+                objectStore.delete(id);
+            }
+        });
+    }
+
+    /**
+     * Removes the records of lookups made before a time.
+     * @param {number} timestamp
+     * @returns {Promise<void>}
+     */
+    async deleteOlderThan(timestamp) {
+        if (!(await this._db.ensureOpen())) { return; }
+        await this._db.write(['records'], (transaction) => {
+            const request = transaction.objectStore('records').index('timestamp').openKeyCursor(IDBKeyRange.upperBound(timestamp, true));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor === null) { return; }
+                transaction.objectStore('records').delete(cursor.primaryKey);
+                cursor.continue();
+            };
+        });
+    }
+
+    /**
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        if (!(await this._db.ensureOpen())) { return; }
+        await this._db.clear('records');
+    }
+}
@@ -0,0 +1,445 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {
+    BlobWriter as BlobWriter0,
+    TextReader as TextReader0,
+    Uint8ArrayReader as Uint8ArrayReader0,
+    ZipWriter as ZipWriter0,
+    configure,
+} from '../../lib/zip.js';
+import {base64ToArrayBuffer} from './array-buffer-util.js';
+import {SqliteWriter} from './sqlite-writer.js';
+
+const BlobWriter = /** @type {typeof import('@zip.js/zip.js').BlobWriter} */ (/** @type {unknown} */ (BlobWriter0));
+const TextReader = /** @type {typeof import('@zip.js/zip.js').TextReader} */ (/** @type {unknown} */ (TextReader0));
+const Uint8ArrayReader = /** @type {typeof import('@zip.js/zip.js').Uint8ArrayReader} */ (/** @type {unknown} */ (Uint8ArrayReader0));
+const ZipWriter = /** @type {typeof import('@zip.js/zip.js').ZipWriter} */ (/** @type {unknown} */ (ZipWriter0));
+
+const GUID_CHARACTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!#$%&()*+,-./:;<=>?@[]^_`{|}~';
+const DEFAULT_DECK_ID = 1;
+const DEFAULT_DECK_CONFIG_ID = 1;
+const COLLECTION_SCHEMA_VERSION = 11;
+const FIELD_SEPARATOR = '\u001f';
+
+/**
+ * Converts the notes recorded in the mining log into files which Anki can import without AnkiConnect.
+ */
+export class MiningLogExporter {
+    /**
+     * @param {number} [compressionLevel]
+     */
+    constructor(compressionLevel = 5) {
+        /** @type {number} */
+        this._compressionLevel = compressionLevel;
+    }
+
+    /**
+     * Writes the entries to a zip file containing a tab-separated `notes.txt` file for Anki's text importer,
+     * and a `collection.media` folder with the media files, which need to be copied into Anki's media folder.
+     * @param {import('mining-log').Entry[]} entries
+     * @returns {Promise<Blob>}
+     */
+    async exportText(entries) {
+        const lines = [
+            '#separator:tab',
+            '#html:true',
+            '#notetype column:1',
+            '#deck column:2',
+            '#tags column:3',
+        ];
+        for (const {note: {modelName, deckName, tags, fields}} of entries) {
+            const values = [modelName, deckName, tags.join(' '), ...Object.values(fields)];
+            lines.push(values.map((value) => this._escapeTextValue(value)).join('\t'));
+        }
+
+        const zipWriter = this._createZipWriter();
+        await zipWriter.add('notes.txt', new TextReader(`${lines.join('\n')}\n`));
+        for (const [fileName, data] of this._getMediaFiles(entries)) {
+            await zipWriter.add(`collection.media/${fileName}`, new Uint8ArrayReader(new Uint8Array(base64ToArrayBuffer(data))), {level: 0});
+        }
+        return await zipWriter.close();
+    }
+
+    /**
+     * Writes the entries to an Anki package (`.apkg`) file, which includes the note types, decks and media of the notes.
+     * Each note type is written with a single card type showing the first field on the front and the other fields on the back.
+     * @param {import('mining-log').Entry[]} entries
+     * @returns {Promise<Blob>}
+     */
+    async exportPackage(entries) {
+        const collection = await this._createCollection(entries.filter(({note}) => Object.keys(note.fields).length > 0));
+
+        const zipWriter = this._createZipWriter();
+        await zipWriter.add('collection.anki2', new Uint8ArrayReader(collection));
+        /** @type {{[index: string]: string}} */
+        const mediaMap = {};
+        let index = 0;
+        for (const [fileName, data] of this._getMediaFiles(entries)) {
+            const name = `${index++}`;
+            mediaMap[name] = fileName;
+            await zipWriter.add(name, new Uint8ArrayReader(new Uint8Array(base64ToArrayBuffer(data))), {level: 0});
+        }
+        await zipWriter.add('media', new TextReader(JSON.stringify(mediaMap)));
+        return await zipWriter.close();
+    }
+
+    // Private
+
+    /**
+     * @returns {import('@zip.js/zip.js').ZipWriter<Blob>}
+     */
+    _createZipWriter() {
+        configure({
+            workerScripts: {
+                deflate: ['../../lib/z-worker.js'],
+                inflate: ['../../lib/z-worker.js'],
+            },
+        });
+        return new ZipWriter(new BlobWriter('application/zip'), {level: this._compressionLevel});
+    }
+
+    /**
+     * @param {import('mining-log').Entry[]} entries
+     * @returns {Map<string, string>} The base64-encoded content of each media file, keyed by file name.
+     */
+    _getMediaFiles(entries) {
+        /** @type {Map<string, string>} */
+        const media = new Map();
+        for (const entry of entries) {
+            for (const {fileName, data} of entry.media) {
+                media.set(fileName, data);
+            }
+        }
+        return media;
+    }
+
+    /**
+     * @param {string} value
+     * @returns {string}
+     */
+    _escapeTextValue(value) {
+        return /[\t\n\r"]/.test(value) ? `"${value.replaceAll('"', '""')}"` : value;
+    }
+
+    /**
+     * Creates an Anki collection database using the legacy schema, which all Anki versions can import.
+     * @param {import('mining-log').Entry[]} entries
+     * @returns {Promise<Uint8Array>}
+     */
+    async _createCollection(entries) {
+        const now = Date.now();
+        const nowSeconds = Math.floor(now / 1000);
+
+        /** @type {Map<string, {id: number, fieldNames: string[]}>} */
+        const models = new Map();
+        /** @type {Map<string, number>} */
+        const decks = new Map();
+        for (const {note: {modelName, deckName, fields}} of entries) {
+            let model = models.get(modelName);
+            if (typeof model === 'undefined') {
+                model = {id: 0, fieldNames: []};
+                models.set(modelName, model);
+            }
+            for (const fieldName of Object.keys(fields)) {
+                if (!model.fieldNames.includes(fieldName)) {
+                    model.fieldNames.push(fieldName);
+                }
+            }
+            if (!decks.has(deckName)) {
+                decks.set(deckName, await this._getStableId(`deck:${deckName}`));
+            }
+        }
+        for (const [modelName, model] of models) {
+            model.id = await this._getStableId(`model:${modelName}:${model.fieldNames.join(FIELD_SEPARATOR)}`);
+        }
+
+        /** @type {import('sqlite-writer').Row[]} */
+        const noteRows = [];
+        /** @type {import('sqlite-writer').Row[]} */
+        const cardRows = [];
+        let previousId = 0;
+        for (const {id: entryId, note: {modelName, deckName, tags, fields}, timestamp} of [...entries].sort((a, b) => a.timestamp - b.timestamp)) {
+            const model = /** @type {{id: number, fieldNames: string[]}} */ (models.get(modelName));
+            const deckId = /** @type {number} */ (decks.get(deckName));
+            const fieldValues = model.fieldNames.map((fieldName) => fields[fieldName] ?? '');
+            const sortField = this._stripHtml(fieldValues[0]);
+            const id = Math.max(timestamp, previousId + 1);
+            previousId = id;
+            noteRows.push({
+                rowid: id,
+                values: [
+                    null,
+                    await this._getGuid(`${entryId}:${timestamp}`),
+                    model.id,
+                    nowSeconds,
+                    -1,
+                    tags.length > 0 ? ` ${tags.join(' ')} ` : '',
+                    fieldValues.join(FIELD_SEPARATOR),
+                    sortField,
+                    await this._getChecksum(sortField),
+                    0,
+                    '',
+                ],
+            });
+            cardRows.push({
+                rowid: id,
+                values: [null, id, deckId, 0, nowSeconds, -1, 0, 0, noteRows.length, 0, 0, 0, 0, 0, 0, 0, 0, ''],
+            });
+        }
+
+        const firstDeckId = decks.size > 0 ? [...decks.values()][0] : DEFAULT_DECK_ID;
+        /** @type {{[id: string]: import('core').UnknownObject}} */
+        const modelsJson = {};
+        for (const [modelName, {id, fieldNames}] of models) {
+            modelsJson[`${id}`] = this._createModelJson(id, modelName, fieldNames, firstDeckId, nowSeconds);
+        }
+        /** @type {{[id: string]: import('core').UnknownObject}} */
+        const decksJson = {[`${DEFAULT_DECK_ID}`]: this._createDeckJson(DEFAULT_DECK_ID, 'Default', nowSeconds)};
+        for (const [deckName, id] of decks) {
+            decksJson[`${id}`] = this._createDeckJson(id, deckName, nowSeconds);
+        }
+        const firstModel = models.values().next().value;
+        const config = {
+            activeDecks: [DEFAULT_DECK_ID],
+            addToCur: true,
+            collapseTime: 1200,
+            curDeck: DEFAULT_DECK_ID,
+            curModel: typeof firstModel !== 'undefined' ? `${firstModel.id}` : null,
+            dueCounts: true,
+            estTimes: true,
+            newBury: true,
+            newSpread: 0,
+            nextPos: noteRows.length + 1,
+            sortBackwards: false,
+            sortType: 'noteFld',
+            timeLim: 0,
+        };
+
+        const writer = new SqliteWriter();
+        writer.addTable({
+            name: 'col',
+            sql: 'CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null)',
+            rows: [{
+                rowid: 1,
+                values: [
+                    null,
+                    nowSeconds,
+                    now,
+                    now,
+                    COLLECTION_SCHEMA_VERSION,
+                    0,
+                    0,
+                    0,
+                    JSON.stringify(config),
+                    JSON.stringify(modelsJson),
+                    JSON.stringify(decksJson),
+                    JSON.stringify({[`${DEFAULT_DECK_CONFIG_ID}`]: this._createDeckConfigJson()}),
+                    '{}',
+                ],
+            }],
+        });
+        writer.addTable({
+            name: 'notes',
+            sql: 'CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null)',
+            rows: noteRows,
+        });
+        writer.addTable({
+            name: 'cards',
+            sql: 'CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null)',
+            rows: cardRows,
+        });
+        writer.addTable({
+            name: 'revlog',
+            sql: 'CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null)',
+            rows: [],
+        });
+        writer.addTable({
+            name: 'graves',
+            sql: 'CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)',
+            rows: [],
+        });
+        writer.addIndex({name: 'ix_notes_usn', tableName: 'notes', sql: 'CREATE INDEX ix_notes_usn on notes (usn)', columns: [4]});
+        writer.addIndex({name: 'ix_cards_usn', tableName: 'cards', sql: 'CREATE INDEX ix_cards_usn on cards (usn)', columns: [5]});
+        writer.addIndex({name: 'ix_revlog_usn', tableName: 'revlog', sql: 'CREATE INDEX ix_revlog_usn on revlog (usn)', columns: [2]});
+        writer.addIndex({name: 'ix_cards_nid', tableName: 'cards', sql: 'CREATE INDEX ix_cards_nid on cards (nid)', columns: [1]});
+        writer.addIndex({name: 'ix_cards_sched', tableName: 'cards', sql: 'CREATE INDEX ix_cards_sched on cards (did, queue, due)', columns: [2, 7, 8]});
+        writer.addIndex({name: 'ix_revlog_cid', tableName: 'revlog', sql: 'CREATE INDEX ix_revlog_cid on revlog (cid)', columns: [1]});
+        writer.addIndex({name: 'ix_notes_csum', tableName: 'notes', sql: 'CREATE INDEX ix_notes_csum on notes (csum)', columns: [8]});
+        return writer.write();
+    }
+
+    /**
+     * @param {number} id
+     * @param {string} name
+     * @param {string[]} fieldNames
+     * @param {number} deckId
+     * @param {number} modified
+     * @returns {import('core').UnknownObject}
+     */
+    _createModelJson(id, name, fieldNames, deckId, modified) {
+        const [frontFieldName, ...backFieldNames] = fieldNames;
+        const back = backFieldNames.map((fieldName) => `{{${fieldName}}}`).join('<br>\n');
+        return {
+            id,
+            name,
+            type: 0,
+            mod: modified,
+            usn: -1,
+            sortf: 0,
+            did: deckId,
+            tmpls: [{
+                name: 'Card 1',
+                ord: 0,
+                qfmt: `{{${frontFieldName}}}`,
+                afmt: `{{FrontSide}}\n\n<hr id=answer>\n\n${back}`,
+                bqfmt: '',
+                bafmt: '',
+                did: null,
+                bfont: '',
+                bsize: 0,
+            }],
+            flds: fieldNames.map((fieldName, ord) => ({
+                name: fieldName,
+                ord,
+                sticky: false,
+                rtl: false,
+                font: 'Arial',
+                size: 20,
+                media: [],
+            })),
+            css: '.card {\n font-family: arial;\n font-size: 20px;\n text-align: center;\n color: black;\n background-color: white;\n}\n',
+            latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+            latexPost: '\\end{document}',
+            latexsvg: false,
+            req: [[0, 'any', [0]]],
+            tags: [],
+            vers: [],
+        };
+    }
+
+    /**
+     * @param {number} id
+     * @param {string} name
+     * @param {number} modified
+     * @returns {import('core').UnknownObject}
+     */
+    _createDeckJson(id, name, modified) {
+        return {
+            id,
+            name,
+            desc: '',
+            mod: modified,
+            usn: -1,
+            collapsed: false,
+            browserCollapsed: false,
+            newToday: [0, 0],
+            revToday: [0, 0],
+            lrnToday: [0, 0],
+            timeToday: [0, 0],
+            dyn: 0,
+            conf: DEFAULT_DECK_CONFIG_ID,
+            extendNew: 0,
+            extendRev: 0,
+        };
+    }
+
+    /**
+     * @returns {import('core').UnknownObject}
+     */
+    _createDeckConfigJson() {
+        return {
+            id: DEFAULT_DECK_CONFIG_ID,
+            name: 'Default',
+            mod: 0,
+            usn: 0,
+            dyn: false,
+            maxTaken: 60,
+            autoplay: true,
+            timer: 0,
+            replayq: true,
+            new: {bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true},
+            rev: {bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 200},
+            lapse: {delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0},
+        };
+    }
+
+    /**
+     * Strips HTML from a field value the way Anki does for the sort field, keeping the names of referenced images.
+     * @param {string} value
+     * @returns {string}
+     */
+    _stripHtml(value) {
+        return value
+            .replace(/<img[^>]*\ssrc=["']?([^"'\s>]+)["']?[^>]*>/gi, ' $1 ')
+            .replace(/<[^>]*>/g, '')
+            .replaceAll('&nbsp;', ' ')
+            .replaceAll('&lt;', '<')
+            .replaceAll('&gt;', '>')
+            .replaceAll('&quot;', '"')
+            .replaceAll('&amp;', '&')
+            .trim();
+    }
+
+    /**
+     * Anki uses the first 32 bits of the SHA-1 hash of the sort field to find duplicates.
+     * @param {string} value
+     * @returns {Promise<number>}
+     */
+    async _getChecksum(value) {
+        const hash = await this._sha1(value);
+        return new DataView(hash.buffer).getUint32(0);
+    }
+
+    /**
+     * Creates a note GUID in Anki's base 91 format, which stays the same when the same entry is exported again
+     * so that importing it twice updates the existing note.
+     * @param {string} seed
+     * @returns {Promise<string>}
+     */
+    async _getGuid(seed) {
+        const hash = await this._sha1(`guid:${seed}`);
+        let value = new DataView(hash.buffer).getBigUint64(0);
+        const base = BigInt(GUID_CHARACTERS.length);
+        let guid = '';
+        do {
+            guid = GUID_CHARACTERS[Number(value % base)] + guid;
+            value /= base;
+        } while (value > 0n);
+        return guid;
+    }
+
+    /**
+     * Creates an id which stays the same for the same note type or deck across exports, so that importing
+     * several packages does not create duplicate note types and decks.
+     * @param {string} seed
+     * @returns {Promise<number>}
+     */
+    async _getStableId(seed) {
+        const hash = await this._sha1(seed);
+        // The offset keeps the id away from the small ids used by Anki's built-in decks and configurations
+        return 2 ** 40 + (new DataView(hash.buffer).getUint32(0) * 256) + hash[4];
+    }
+
+    /**
+     * @param {string} value
+     * @returns {Promise<Uint8Array>}
+     */
+    async _sha1(value) {
+        return new Uint8Array(await crypto.subtle.digest('SHA-1', new TextEncoder().encode(value)));
+    }
+}
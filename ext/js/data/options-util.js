@@ -20,9 +20,11 @@ import {fetchJson, fetchText} from '../core/fetch-utilities.js';
 import {parseJson} from '../core/json.js';
 import {isObjectNotArray} from '../core/object-utilities.js';
 import {escapeRegExp} from '../core/utilities.js';
+import {SOTTAKU_DICTIONARY_NAME, createSottakuDictionaryOptions} from '../dictionary/sottaku-dictionary.js';
 import {TemplatePatcher} from '../templates/template-patcher.js';
 import {normalizeSottakuLanguages} from '../language/sottaku-languages.js';
 import {JsonSchema} from './json-schema.js';
+import {SottakuCredentialStore} from './sottaku-credential-store.js';
 
 // Some type safety rules are disabled for this file since it deals with upgrading an older format
 // of the options object to a newer format. SafeAny is used for much of this, since every single
@@ -589,6 +591,16 @@ export class OptionsUtil {
             this._updateVersion74,
             this._updateVersion75,
             this._updateVersion76,
+            this._updateVersion77,
+            this._updateVersion78,
+            this._updateVersion79,
+            this._updateVersion80,
+            this._updateVersion81,
+            this._updateVersion82,
+            this._updateVersion83,
+            this._updateVersion84,
+            this._updateVersion85,
+            this._updateVersion86,
         ];
         /* eslint-enable @typescript-eslint/unbound-method */
         if (typeof targetVersion === 'number' && targetVersion < result.length) {
@@ -1880,6 +1892,144 @@ export class OptionsUtil {
         }
     }
 
+    /**
+     *  - Added Sottaku to the dictionary list so that its results are merged with local dictionaries.
+     *  @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion77(options) {
+        for (const profile of options.profiles) {
+            const {dictionaries, sottaku} = profile.options;
+            if (!Array.isArray(dictionaries)) { continue; }
+            if (dictionaries.some((/** @type {{name: string}} */ {name}) => name === SOTTAKU_DICTIONARY_NAME)) { continue; }
+            dictionaries.unshift(createSottakuDictionaryOptions(Boolean(sottaku?.enabled)));
+        }
+    }
+
+    /**
+     *  - Added sottaku.cache
+     *  @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion78(options) {
+        for (const profile of options.profiles) {
+            profile.options.sottaku.cache = {
+                enabled: true,
+                maxEntries: 5000,
+                ttlHours: 168,
+                serveStaleWhenOffline: true,
+            };
+        }
+    }
+
+    /**
+     *  - Added sottakuReviewReveal and sottakuReviewGrade to hotkeys.
+     *  @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion79(options) {
+        for (const profile of options.profiles) {
+            profile.options.inputs.hotkeys.push(
+                {action: 'sottakuReviewReveal', argument: '', key: 'Space', modifiers: [], scopes: ['search'], enabled: true},
+                {action: 'sottakuReviewGrade', argument: '1', key: 'Digit1', modifiers: [], scopes: ['search'], enabled: true},
+                {action: 'sottakuReviewGrade', argument: '2', key: 'Digit2', modifiers: [], scopes: ['search'], enabled: true},
+                {action: 'sottakuReviewGrade', argument: '3', key: 'Digit3', modifiers: [], scopes: ['search'], enabled: true},
+                {action: 'sottakuReviewGrade', argument: '4', key: 'Digit4', modifiers: [], scopes: ['search'], enabled: true},
+            );
+        }
+    }
+
+    /**
+     *  - Moved sottaku.authToken and sottaku.user out of the profiles, into the shared Sottaku credential storage.
+     *    The credentials of the current profile are preferred; existing stored credentials are not replaced.
+     *  @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion80(options) {
+        const profileCurrent = typeof options.profileCurrent === 'number' ? options.profileCurrent : 0;
+        const profiles = [...options.profiles];
+        if (profileCurrent > 0 && profileCurrent < profiles.length) {
+            profiles.unshift(...profiles.splice(profileCurrent, 1));
+        }
+
+        /** @type {import('sottaku-credentials').Credentials[]} */
+        const candidates = [];
+        for (const {options: profileOptions} of profiles) {
+            const {sottaku} = profileOptions;
+            candidates.push({
+                authToken: typeof sottaku.authToken === 'string' ? sottaku.authToken : '',
+                user: isObjectNotArray(sottaku.user) ? sottaku.user : null,
+            });
+            delete sottaku.authToken;
+            delete sottaku.user;
+        }
+        const credentials = (
+            candidates.find(({authToken}) => authToken.length > 0) ??
+            candidates.find(({user}) => user !== null) ??
+            null
+        );
+
+        if (credentials !== null && isObjectNotArray(chrome.storage)) {
+            const credentialStore = new SottakuCredentialStore();
+            const storedCredentials = await credentialStore.load();
+            if (storedCredentials.authToken.length === 0 && storedCredentials.user === null) {
+                await credentialStore.save(credentials);
+            }
+        }
+    }
+
+    /**
+     *  - Added global.database.glossaryIndexEnabled.
+     *  @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion81(options) {
+        options.global.database.glossaryIndexEnabled = false;
+    }
+
+    /**
+     *  - Added global.database.glossaryCompressionEnabled.
+     *  @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion82(options) {
+        options.global.database.glossaryCompressionEnabled = false;
+    }
+
+    /**
+     *  - Added sottaku-audio, sottaku-sentence, sottaku-sentence-audio, sottaku-sentence-translation and sottaku-usage-notes handlebars
+     *  @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion83(options) {
+        await this._applyAnkiFieldTemplatesPatch(options, '/data/templates/anki-field-templates-upgrade-v83.handlebars');
+    }
+
+    /**
+     *  - Added anki.offlineQueueEnabled.
+     *  @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion84(options) {
+        for (const profile of options.profiles) {
+            profile.options.anki.offlineQueueEnabled = false;
+        }
+    }
+
+    /**
+     *  - Added anki.miningLogEnabled.
+     *  @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion85(options) {
+        for (const profile of options.profiles) {
+            profile.options.anki.miningLogEnabled = false;
+        }
+    }
+
+    /**
+     *  - Added general.historyEnabled.
+     *  - Added general.historyRetentionDays.
+     *  @type {import('options-util').UpdateFunction}
+     */
+    async _updateVersion86(options) {
+        for (const profile of options.profiles) {
+            profile.options.general.historyEnabled = false;
+            profile.options.general.historyRetentionDays = 90;
+        }
+    }
+
     /**
      * @param {string} url
      * @returns {Promise<chrome.tabs.Tab>}
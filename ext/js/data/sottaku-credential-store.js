@@ -0,0 +1,95 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {isObjectNotArray} from '../core/object-utilities.js';
+
+/**
+ * Stores the Sottaku credentials in extension storage, separately from the options.
+ * This keeps them out of settings backups, and a single account is shared by all profiles.
+ */
+export class SottakuCredentialStore {
+    constructor() {
+        /** @type {string} */
+        this._storageKey = 'sottakuCredentials';
+    }
+
+    /**
+     * @returns {import('sottaku-credentials').Credentials}
+     */
+    getDefault() {
+        return {authToken: '', user: null};
+    }
+
+    /**
+     * @returns {Promise<import('sottaku-credentials').Credentials>}
+     */
+    async load() {
+        /** @type {unknown} */
+        const value = await new Promise((resolve, reject) => {
+            chrome.storage.local.get([this._storageKey], (store) => {
+                const error = chrome.runtime.lastError;
+                if (error) {
+                    reject(new Error(error.message));
+                } else {
+                    resolve(store[this._storageKey]);
+                }
+            });
+        });
+        return this._normalize(value);
+    }
+
+    /**
+     * @param {import('sottaku-credentials').Credentials} credentials
+     * @returns {Promise<void>}
+     */
+    save(credentials) {
+        return new Promise((resolve, reject) => {
+            chrome.storage.local.set({[this._storageKey]: credentials}, () => {
+                const error = chrome.runtime.lastError;
+                if (error) {
+                    reject(new Error(error.message));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    // Private
+
+    /**
+     * @param {unknown} value
+     * @returns {import('sottaku-credentials').Credentials}
+     */
+    _normalize(value) {
+        const credentials = this.getDefault();
+        if (!isObjectNotArray(value)) { return credentials; }
+        const {authToken, user} = value;
+        if (typeof authToken === 'string') {
+            credentials.authToken = authToken;
+        }
+        if (isObjectNotArray(user) && typeof user.id === 'number' && typeof user.isPro === 'boolean') {
+            credentials.user = {
+                id: user.id,
+                username: typeof user.username === 'string' ? user.username : null,
+                email: typeof user.email === 'string' ? user.email : null,
+                isPro: user.isPro,
+            };
+        }
+        return credentials;
+    }
+}
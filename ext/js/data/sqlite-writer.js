@@ -0,0 +1,530 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+const PAGE_TYPE_INDEX_INTERIOR = 0x02;
+const PAGE_TYPE_TABLE_INTERIOR = 0x05;
+const PAGE_TYPE_INDEX_LEAF = 0x0a;
+const PAGE_TYPE_TABLE_LEAF = 0x0d;
+const FILE_HEADER_SIZE = 100;
+const SQLITE_VERSION_NUMBER = 3045001;
+
+/**
+ * Writes SQLite database files without a SQLite library.
+ * All rows are provided up front, and each b-tree is built bottom-up by filling its pages in key order.
+ * The files use UTF-8 text encoding, the rollback journal and no free pages.
+ */
+export class SqliteWriter {
+    /**
+     * @param {number} [pageSize] A power of two between 512 and 32768.
+     */
+    constructor(pageSize = 4096) {
+        /** @type {number} */
+        this._pageSize = pageSize;
+        /** @type {import('sqlite-writer').Table[]} */
+        this._tables = [];
+        /** @type {import('sqlite-writer').Index[]} */
+        this._indices = [];
+        /** @type {Uint8Array[]} */
+        this._pages = [];
+        /** @type {TextEncoder} */
+        this._textEncoder = new TextEncoder();
+    }
+
+    /**
+     * @param {import('sqlite-writer').Table} table
+     */
+    addTable(table) {
+        this._tables.push(table);
+    }
+
+    /**
+     * Adds an index of a table. The indexed columns cannot include a column which aliases the rowid.
+     * @param {import('sqlite-writer').Index} index
+     */
+    addIndex(index) {
+        this._indices.push(index);
+    }
+
+    /**
+     * @returns {Uint8Array}
+     * @throws {Error}
+     */
+    write() {
+        // Page 1 is the root of the schema table, which is written last
+        this._pages = [new Uint8Array(this._pageSize)];
+        /** @type {import('sqlite-writer').Value[][]} */
+        const schemaRows = [];
+        for (const {name, sql, rows} of this._tables) {
+            const rootPage = this._writeTable(rows);
+            schemaRows.push(['table', name, name, rootPage, sql]);
+        }
+        for (const {name, tableName, sql, columns} of this._indices) {
+            const table = this._tables.find((item) => item.name === tableName);
+            if (typeof table === 'undefined') {
+                throw new Error(`Index ${name} refers to unknown table ${tableName}`);
+            }
+            const rootPage = this._writeIndex(table.rows, columns);
+            schemaRows.push(['index', name, tableName, rootPage, sql]);
+        }
+        this._writeSchema(schemaRows);
+
+        const pages = this._pages;
+        this._pages = [];
+        const file = new Uint8Array(pages.length * this._pageSize);
+        for (let i = 0, ii = pages.length; i < ii; ++i) {
+            file.set(pages[i], i * this._pageSize);
+        }
+        return file;
+    }
+
+    // Private
+
+    /**
+     * @param {import('sqlite-writer').Value[][]} schemaRows
+     * @throws {Error}
+     */
+    _writeSchema(schemaRows) {
+        const cells = schemaRows.map((values, i) => this._createTableLeafCell(i + 1, this._createRecord(values)));
+        let size = 0;
+        for (const cell of cells) { size += cell.size + 2; }
+        if (size > this._pageSize - FILE_HEADER_SIZE - 8) {
+            throw new Error('Database schema does not fit in the first page');
+        }
+        this._writePage(PAGE_TYPE_TABLE_LEAF, cells, 0, 1);
+
+        const page = this._pages[0];
+        const view = new DataView(page.buffer);
+        page.set(this._textEncoder.encode('SQLite format 3\0'), 0);
+        view.setUint16(16, this._pageSize);
+        page[18] = 1; // Write version, legacy
+        page[19] = 1; // Read version, legacy
+        page[20] = 0; // Reserved space per page
+        page[21] = 64; // Maximum embedded payload fraction
+        page[22] = 32; // Minimum embedded payload fraction
+        page[23] = 32; // Leaf payload fraction
+        view.setUint32(24, 1); // File change counter
+        view.setUint32(28, this._pages.length);
+        view.setUint32(40, 1); // Schema cookie
+        view.setUint32(44, 4); // Schema format number
+        view.setUint32(56, 1); // Text encoding, UTF-8
+        view.setUint32(92, 1); // Version-valid-for number, equal to the file change counter
+        view.setUint32(96, SQLITE_VERSION_NUMBER);
+    }
+
+    /**
+     * @param {import('sqlite-writer').Row[]} rows
+     * @returns {number} The root page number.
+     */
+    _writeTable(rows) {
+        const sortedRows = [...rows].sort((a, b) => a.rowid - b.rowid);
+        const capacity = this._pageSize - 8;
+        /** @type {number[]} */
+        const children = [];
+        /** @type {import('sqlite-writer').TreeDivider[]} */
+        const dividers = [];
+        /** @type {import('sqlite-writer').Cell[]} */
+        let cells = [];
+        let size = 0;
+        let previousRowid = 0;
+        for (const {rowid, values} of sortedRows) {
+            const cell = this._createTableLeafCell(rowid, this._createRecord(values));
+            if (cells.length > 0 && size + cell.size + 2 > capacity) {
+                children.push(this._writePage(PAGE_TYPE_TABLE_LEAF, cells, 0, null));
+                dividers.push({rowid: previousRowid, payload: null});
+                cells = [];
+                size = 0;
+            }
+            cells.push(cell);
+            size += cell.size + 2;
+            previousRowid = rowid;
+        }
+        children.push(this._writePage(PAGE_TYPE_TABLE_LEAF, cells, 0, null));
+        return this._writeInteriorPages(children, dividers, true);
+    }
+
+    /**
+     * @param {import('sqlite-writer').Row[]} rows
+     * @param {number[]} columns
+     * @returns {number} The root page number.
+     */
+    _writeIndex(rows, columns) {
+        const entries = rows.map(({rowid, values}) => [...columns.map((column) => values[column]), rowid]);
+        entries.sort((a, b) => this._compareEntries(a, b));
+        const capacity = this._pageSize - 8;
+        /** @type {number[]} */
+        const children = [];
+        /** @type {import('sqlite-writer').TreeDivider[]} */
+        const dividers = [];
+        /** @type {import('sqlite-writer').Cell[]} */
+        let cells = [];
+        let size = 0;
+        for (let i = 0, ii = entries.length; i < ii; ++i) {
+            const payload = this._createRecord(entries[i]);
+            const cell = this._createPayloadCell(this._encodeVarint(payload.length), payload, false);
+            if (cells.length > 0 && size + cell.size + 2 > capacity) {
+                if (i < ii - 1) {
+                    // Index entries are stored only once, so the entry between two leaves moves to their parent
+                    children.push(this._writePage(PAGE_TYPE_INDEX_LEAF, cells, 0, null));
+                    dividers.push({rowid: 0, payload});
+                    cells = [];
+                    size = 0;
+                    continue;
+                }
+                // The last entry needs a leaf after the divider, so the last entry of the full leaf is used as the divider.
+                // Each cell fits in a quarter of a page, so the full leaf keeps at least two cells.
+                const dividerCell = /** @type {import('sqlite-writer').Cell} */ (cells.pop());
+                children.push(this._writePage(PAGE_TYPE_INDEX_LEAF, cells, 0, null));
+                dividers.push({rowid: 0, payload: dividerCell.payload});
+                cells = [];
+                size = 0;
+            }
+            cells.push(cell);
+            size += cell.size + 2;
+        }
+        children.push(this._writePage(PAGE_TYPE_INDEX_LEAF, cells, 0, null));
+        return this._writeInteriorPages(children, dividers, false);
+    }
+
+    /**
+     * Writes the interior levels of a b-tree above the given child pages.
+     * @param {number[]} children
+     * @param {import('sqlite-writer').TreeDivider[]} dividers The dividers between consecutive children.
+     * @param {boolean} isTable
+     * @returns {number} The root page number.
+     */
+    _writeInteriorPages(children, dividers, isTable) {
+        const capacity = this._pageSize - 12;
+        const pageType = isTable ? PAGE_TYPE_TABLE_INTERIOR : PAGE_TYPE_INDEX_INTERIOR;
+        while (children.length > 1) {
+            /** @type {import('sqlite-writer').InteriorPage[]} */
+            const pages = [];
+            /** @type {import('sqlite-writer').TreeDivider[]} */
+            const nextDividers = [];
+            /** @type {import('sqlite-writer').InteriorPage} */
+            let page = {cells: [], right: 0};
+            let size = 0;
+            for (let i = 0, ii = children.length - 1; i < ii; ++i) {
+                const child = children[i];
+                const divider = dividers[i];
+                const cellSize = this._createInteriorCell(child, divider, isTable).size + 2;
+                if (page.cells.length > 0 && size + cellSize > capacity) {
+                    page.right = child;
+                    pages.push(page);
+                    nextDividers.push(divider);
+                    page = {cells: [], right: 0};
+                    size = 0;
+                    continue;
+                }
+                page.cells.push({child, divider});
+                size += cellSize;
+            }
+            page.right = children[children.length - 1];
+            pages.push(page);
+
+            // Interior pages need at least one cell, so the last page takes one from the page before it
+            if (page.cells.length === 0) {
+                const previousPage = pages[pages.length - 2];
+                const previousCell = /** @type {import('sqlite-writer').InteriorPage['cells'][number]} */ (previousPage.cells.pop());
+                const divider = /** @type {import('sqlite-writer').TreeDivider} */ (nextDividers.pop());
+                page.cells.push({child: previousPage.right, divider});
+                previousPage.right = previousCell.child;
+                nextDividers.push(previousCell.divider);
+            }
+
+            children = pages.map(({cells, right}) => this._writePage(
+                pageType,
+                cells.map(({child, divider}) => this._createInteriorCell(child, divider, isTable)),
+                right,
+                null,
+            ));
+            dividers = nextDividers;
+        }
+        return children[0];
+    }
+
+    /**
+     * @param {number} pageType
+     * @param {import('sqlite-writer').Cell[]} cells The cells, in key order.
+     * @param {number} right The right-most child page, for interior pages.
+     * @param {?number} pageNumber The page to write, or `null` to allocate a new page.
+     * @returns {number}
+     * @throws {Error}
+     */
+    _writePage(pageType, cells, right, pageNumber) {
+        if (pageNumber === null) {
+            pageNumber = this._allocatePage();
+        }
+        const page = this._pages[pageNumber - 1];
+        const view = new DataView(page.buffer);
+        const headerOffset = pageNumber === 1 ? FILE_HEADER_SIZE : 0;
+        const isInterior = (pageType === PAGE_TYPE_TABLE_INTERIOR || pageType === PAGE_TYPE_INDEX_INTERIOR);
+        let pointerOffset = headerOffset + (isInterior ? 12 : 8);
+        let contentOffset = this._pageSize;
+        for (const cell of cells) {
+            const bytes = this._writeCell(cell);
+            contentOffset -= bytes.length;
+            page.set(bytes, contentOffset);
+            view.setUint16(pointerOffset, contentOffset);
+            pointerOffset += 2;
+        }
+        if (pointerOffset > contentOffset) {
+            throw new Error('Cells do not fit in the page');
+        }
+        page[headerOffset] = pageType;
+        view.setUint16(headerOffset + 1, 0); // First freeblock
+        view.setUint16(headerOffset + 3, cells.length);
+        view.setUint16(headerOffset + 5, contentOffset);
+        page[headerOffset + 7] = 0; // Fragmented free bytes
+        if (isInterior) {
+            view.setUint32(headerOffset + 8, right);
+        }
+        return pageNumber;
+    }
+
+    /**
+     * @param {import('sqlite-writer').Cell} cell
+     * @returns {Uint8Array}
+     */
+    _writeCell({prefix, payload, localSize, size}) {
+        const bytes = new Uint8Array(size);
+        bytes.set(prefix, 0);
+        bytes.set(payload.subarray(0, localSize), prefix.length);
+        if (localSize < payload.length) {
+            const firstOverflowPage = this._writeOverflowPages(payload.subarray(localSize));
+            new DataView(bytes.buffer).setUint32(prefix.length + localSize, firstOverflowPage);
+        }
+        return bytes;
+    }
+
+    /**
+     * @param {Uint8Array} data
+     * @returns {number} The first overflow page number.
+     */
+    _writeOverflowPages(data) {
+        const chunkSize = this._pageSize - 4;
+        const pageNumbers = [];
+        for (let i = 0; i < data.length; i += chunkSize) {
+            pageNumbers.push(this._allocatePage());
+        }
+        for (let i = 0, ii = pageNumbers.length; i < ii; ++i) {
+            const page = this._pages[pageNumbers[i] - 1];
+            new DataView(page.buffer).setUint32(0, i + 1 < ii ? pageNumbers[i + 1] : 0);
+            page.set(data.subarray(i * chunkSize, (i + 1) * chunkSize), 4);
+        }
+        return pageNumbers[0];
+    }
+
+    /**
+     * @returns {number}
+     */
+    _allocatePage() {
+        this._pages.push(new Uint8Array(this._pageSize));
+        return this._pages.length;
+    }
+
+    /**
+     * @param {number} rowid
+     * @param {Uint8Array} payload
+     * @returns {import('sqlite-writer').Cell}
+     */
+    _createTableLeafCell(rowid, payload) {
+        return this._createPayloadCell(this._concat([this._encodeVarint(payload.length), this._encodeVarint(rowid)]), payload, true);
+    }
+
+    /**
+     * @param {number} child
+     * @param {import('sqlite-writer').TreeDivider} divider
+     * @param {boolean} isTable
+     * @returns {import('sqlite-writer').Cell}
+     */
+    _createInteriorCell(child, divider, isTable) {
+        const childBytes = new Uint8Array(4);
+        new DataView(childBytes.buffer).setUint32(0, child);
+        if (isTable || divider.payload === null) {
+            const prefix = this._concat([childBytes, this._encodeVarint(divider.rowid)]);
+            return {prefix, payload: new Uint8Array(0), localSize: 0, size: prefix.length};
+        }
+        const {payload} = divider;
+        return this._createPayloadCell(this._concat([childBytes, this._encodeVarint(payload.length)]), payload, false);
+    }
+
+    /**
+     * Determines how much of a payload is stored in the page, and how much on overflow pages.
+     * @param {Uint8Array} prefix
+     * @param {Uint8Array} payload
+     * @param {boolean} isTableLeaf
+     * @returns {import('sqlite-writer').Cell}
+     */
+    _createPayloadCell(prefix, payload, isTableLeaf) {
+        const usableSize = this._pageSize;
+        const maxLocal = isTableLeaf ? usableSize - 35 : Math.floor((usableSize - 12) * 64 / 255) - 23;
+        const minLocal = Math.floor((usableSize - 12) * 32 / 255) - 23;
+        let localSize = payload.length;
+        if (localSize > maxLocal) {
+            const size = minLocal + ((payload.length - minLocal) % (usableSize - 4));
+            localSize = size <= maxLocal ? size : minLocal;
+        }
+        return {
+            prefix,
+            payload,
+            localSize,
+            size: prefix.length + localSize + (localSize < payload.length ? 4 : 0),
+        };
+    }
+
+    /**
+     * @param {import('sqlite-writer').Value[]} values
+     * @returns {Uint8Array}
+     */
+    _createRecord(values) {
+        /** @type {Uint8Array[]} */
+        const types = [];
+        /** @type {Uint8Array[]} */
+        const bodies = [];
+        for (const value of values) {
+            const [serialType, body] = this._serializeValue(value);
+            types.push(this._encodeVarint(serialType));
+            bodies.push(body);
+        }
+        let typesSize = 0;
+        for (const item of types) { typesSize += item.length; }
+        let headerSize = typesSize + 1;
+        while (this._encodeVarint(headerSize).length + typesSize !== headerSize) {
+            headerSize = this._encodeVarint(headerSize).length + typesSize;
+        }
+        return this._concat([this._encodeVarint(headerSize), ...types, ...bodies]);
+    }
+
+    /**
+     * @param {import('sqlite-writer').Value} value
+     * @returns {[serialType: number, body: Uint8Array]}
+     * @throws {Error}
+     */
+    _serializeValue(value) {
+        if (value === null) { return [0, new Uint8Array(0)]; }
+        if (typeof value === 'string') {
+            const bytes = this._textEncoder.encode(value);
+            return [bytes.length * 2 + 13, bytes];
+        }
+        if (value instanceof Uint8Array) {
+            return [value.length * 2 + 12, value];
+        }
+        if (!Number.isInteger(value)) {
+            const body = new Uint8Array(8);
+            new DataView(body.buffer).setFloat64(0, value);
+            return [7, body];
+        }
+        if (!Number.isSafeInteger(value)) {
+            throw new Error(`Integer ${value} cannot be stored exactly`);
+        }
+        if (value === 0) { return [8, new Uint8Array(0)]; }
+        if (value === 1) { return [9, new Uint8Array(0)]; }
+        /** @type {[serialType: number, byteLength: number][]} */
+        const integerTypes = [[1, 1], [2, 2], [3, 3], [4, 4], [5, 6], [6, 8]];
+        for (const [serialType, byteLength] of integerTypes) {
+            const limit = 2 ** (byteLength * 8 - 1);
+            if (byteLength < 8 && (value < -limit || value >= limit)) { continue; }
+            const body = new Uint8Array(byteLength);
+            let bits = BigInt.asUintN(byteLength * 8, BigInt(value));
+            for (let i = byteLength - 1; i >= 0; --i) {
+                body[i] = Number(bits & 0xffn);
+                bits >>= 8n;
+            }
+            return [serialType, body];
+        }
+        throw new Error(`Integer ${value} cannot be stored`);
+    }
+
+    /**
+     * @param {number} value A non-negative safe integer.
+     * @returns {Uint8Array}
+     * @throws {Error}
+     */
+    _encodeVarint(value) {
+        if (!Number.isSafeInteger(value) || value < 0) {
+            throw new Error(`Invalid varint value ${value}`);
+        }
+        /** @type {number[]} */
+        const bytes = [value % 0x80];
+        value = Math.floor(value / 0x80);
+        while (value > 0) {
+            bytes.unshift((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * Compares index entries using the BINARY collation.
+     * @param {import('sqlite-writer').Value[]} a
+     * @param {import('sqlite-writer').Value[]} b
+     * @returns {number}
+     */
+    _compareEntries(a, b) {
+        for (let i = 0, ii = Math.min(a.length, b.length); i < ii; ++i) {
+            const result = this._compareValues(a[i], b[i]);
+            if (result !== 0) { return result; }
+        }
+        return a.length - b.length;
+    }
+
+    /**
+     * @param {import('sqlite-writer').Value} a
+     * @param {import('sqlite-writer').Value} b
+     * @returns {number}
+     */
+    _compareValues(a, b) {
+        const rankA = this._getValueRank(a);
+        const rankB = this._getValueRank(b);
+        if (rankA !== rankB) { return rankA - rankB; }
+        if (typeof a === 'number' && typeof b === 'number') { return a - b; }
+        const bytesA = typeof a === 'string' ? this._textEncoder.encode(a) : a;
+        const bytesB = typeof b === 'string' ? this._textEncoder.encode(b) : b;
+        if (!(bytesA instanceof Uint8Array && bytesB instanceof Uint8Array)) { return 0; }
+        for (let i = 0, ii = Math.min(bytesA.length, bytesB.length); i < ii; ++i) {
+            if (bytesA[i] !== bytesB[i]) { return bytesA[i] - bytesB[i]; }
+        }
+        return bytesA.length - bytesB.length;
+    }
+
+    /**
+     * @param {import('sqlite-writer').Value} value
+     * @returns {number}
+     */
+    _getValueRank(value) {
+        if (value === null) { return 0; }
+        if (typeof value === 'number') { return 1; }
+        if (typeof value === 'string') { return 2; }
+        return 3;
+    }
+
+    /**
+     * @param {Uint8Array[]} arrays
+     * @returns {Uint8Array}
+     */
+    _concat(arrays) {
+        let length = 0;
+        for (const array of arrays) { length += array.length; }
+        const result = new Uint8Array(length);
+        let offset = 0;
+        for (const array of arrays) {
+            result.set(array, offset);
+            offset += array.length;
+        }
+        return result;
+    }
+}
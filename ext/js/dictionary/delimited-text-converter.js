@@ -0,0 +1,228 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/**
+ * Header names which identify the columns of a delimited text dictionary.
+ * @type {Map<string, import('delimited-text-converter').ColumnType>}
+ */
+const COLUMN_NAMES = new Map([
+    ['term', 'term'],
+    ['expression', 'term'],
+    ['word', 'term'],
+    ['headword', 'term'],
+    ['reading', 'reading'],
+    ['kana', 'reading'],
+    ['pronunciation', 'reading'],
+    ['glossary', 'glossary'],
+    ['gloss', 'glossary'],
+    ['definition', 'glossary'],
+    ['definitions', 'glossary'],
+    ['meaning', 'glossary'],
+    ['meanings', 'glossary'],
+    ['translation', 'glossary'],
+    ['tags', 'tags'],
+    ['score', 'score'],
+]);
+
+/**
+ * The columns which are used when the first row is not a header:
+ * the term, its reading, and any number of glossaries.
+ * @type {import('delimited-text-converter').ColumnType[]}
+ */
+const DEFAULT_COLUMNS = ['term', 'reading'];
+
+const PROGRESS_INTERVAL = 1000;
+
+/**
+ * Converts a tab- or comma-separated glossary into a dictionary.
+ * If the first row names its columns (such as `term`, `reading` and `definition`), the columns are
+ * matched by name; otherwise they are read as the term, its reading, and one glossary per remaining column.
+ * Rows are converted as they are parsed, and progress is reported as the number of characters which have been read.
+ * @param {import('dictionary-format-converter').SourceFile[]} files
+ * @param {import('dictionary-format-converter').DictionaryWriter} writer
+ * @param {import('dictionary-format-converter').OnProgressCallback} onProgress
+ * @returns {Promise<import('dictionary-data').Index>}
+ * @throws {Error}
+ */
+export async function convertDelimitedTextDictionary(files, writer, onProgress) {
+    if (files.length !== 1) {
+        throw new Error('Delimited text dictionaries must consist of a single .tsv or .csv file');
+    }
+    const [{name, content}] = files;
+    const delimiter = /\.tsv$/i.test(name) ? '\t' : ',';
+    const text = new TextDecoder('utf-8').decode(content);
+
+    /** @type {?import('delimited-text-converter').ColumnType[]} */
+    let columns = null;
+    let termCount = 0;
+    let rowIndex = 0;
+    /** @type {import('dictionary-format-converter').ProgressData} */
+    const progressData = {index: 0, count: text.length};
+    onProgress(progressData);
+    for (const {cells, end} of readDelimitedTextRows(text, delimiter)) {
+        const index = rowIndex++;
+        if (columns === null) {
+            const headerColumns = getHeaderColumns(cells);
+            columns = headerColumns ?? DEFAULT_COLUMNS;
+            if (headerColumns !== null) { continue; }
+        }
+        const term = createTerm(cells, columns, index);
+        if (term !== null) {
+            await writer.addTerm(term);
+            ++termCount;
+        }
+        progressData.index = end;
+        if (rowIndex % PROGRESS_INTERVAL === 0) { onProgress(progressData); }
+    }
+    progressData.index = text.length;
+    onProgress(progressData);
+
+    if (termCount === 0) {
+        throw new Error(`${name} does not contain any terms`);
+    }
+
+    return {
+        title: name.replace(/\.[^.]*$/, ''),
+        revision: '1',
+        format: 3,
+    };
+}
+
+/**
+ * Splits delimited text into rows of cells. Cells can be quoted with `"`,
+ * in which case they can contain delimiters, line breaks and `""` for a quote.
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+export function parseDelimitedText(text, delimiter) {
+    return [...readDelimitedTextRows(text, delimiter)].map(({cells}) => cells);
+}
+
+// Private
+
+/**
+ * Reads the rows of delimited text one at a time, as described by {@link parseDelimitedText}.
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {Generator<import('delimited-text-converter').Row, void, unknown>}
+ * @yields {import('delimited-text-converter').Row}
+ */
+function *readDelimitedTextRows(text, delimiter) {
+    /** @type {string[]} */
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let i = text.startsWith('\uFEFF') ? 1 : 0;
+    for (const ii = text.length; i < ii; ++i) {
+        const c = text[i];
+        if (quoted) {
+            if (c !== '"') {
+                cell += c;
+            } else if (text[i + 1] === '"') {
+                cell += '"';
+                ++i;
+            } else {
+                quoted = false;
+            }
+            continue;
+        }
+        switch (c) {
+            case '"':
+                if (cell.length === 0) {
+                    quoted = true;
+                } else {
+                    cell += c;
+                }
+                break;
+            case delimiter:
+                row.push(cell);
+                cell = '';
+                break;
+            case '\r':
+                break;
+            case '\n':
+                row.push(cell);
+                yield {cells: row, end: i + 1};
+                row = [];
+                cell = '';
+                break;
+            default:
+                cell += c;
+                break;
+        }
+    }
+    if (cell.length > 0 || row.length > 0) {
+        row.push(cell);
+        yield {cells: row, end: text.length};
+    }
+}
+
+/**
+ * @param {string[]} row
+ * @returns {?import('delimited-text-converter').ColumnType[]}
+ */
+function getHeaderColumns(row) {
+    /** @type {import('delimited-text-converter').ColumnType[]} */
+    const columns = [];
+    for (const cell of row) {
+        columns.push(COLUMN_NAMES.get(cell.trim().toLowerCase()) ?? 'ignored');
+    }
+    return columns.includes('term') ? columns : null;
+}
+
+/**
+ * @param {string[]} row
+ * @param {import('delimited-text-converter').ColumnType[]} columns
+ * @param {number} sequence
+ * @returns {?import('dictionary-data').TermV3}
+ */
+function createTerm(row, columns, sequence) {
+    let term = '';
+    let reading = '';
+    let tags = '';
+    let score = 0;
+    /** @type {string[]} */
+    const glossary = [];
+    for (let i = 0, ii = row.length; i < ii; ++i) {
+        const value = row[i].trim();
+        if (value.length === 0) { continue; }
+        switch (columns[i] ?? (columns === DEFAULT_COLUMNS ? 'glossary' : 'ignored')) {
+            case 'term':
+                term = value;
+                break;
+            case 'reading':
+                reading = value;
+                break;
+            case 'glossary':
+                glossary.push(value);
+                break;
+            case 'tags':
+                tags = value;
+                break;
+            case 'score':
+                {
+                    const number = Number.parseFloat(value);
+                    if (Number.isFinite(number)) { score = number; }
+                }
+                break;
+        }
+    }
+    if (term.length === 0 || glossary.length === 0) { return null; }
+    return [term, reading, tags, '', score, glossary, sequence, ''];
+}
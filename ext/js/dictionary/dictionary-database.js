@@ -23,6 +23,8 @@ import {log} from '../core/log.js';
 import {safePerformance} from '../core/safe-performance.js';
 import {stringReverse} from '../core/utilities.js';
 import {Database} from '../data/database.js';
+import {compressTermEntryGlossary, decompressGlossary, decompressTermEntryGlossary} from './glossary-compression.js';
+import {createGlossaryIndexEntries, getGlossaryTokens} from './glossary-index.js';
 
 export class DictionaryDatabase {
     constructor() {
@@ -51,6 +53,8 @@ export class DictionaryDatabase {
         this._createTermBind1 = this._createTermExact.bind(this);
         /** @type {import('dictionary-database').CreateResult<import('dictionary-database').DictionaryAndQueryRequest, import('dictionary-database').DatabaseTermEntryWithId, import('dictionary-database').TermEntry>} */
         this._createTermBind2 = this._createTermSequenceExact.bind(this);
+        /** @type {import('dictionary-database').CreateResult<import('dictionary-database').TermGlossaryRequest, import('dictionary-database').DatabaseTermEntryWithId, import('dictionary-database').TermEntry>} */
+        this._createTermBind3 = this._createTermGlossary.bind(this);
         /** @type {import('dictionary-database').CreateResult<string, import('dictionary-database').DatabaseTermMeta, import('dictionary-database').TermMeta>} */
         this._createTermMetaBind = this._createTermMeta.bind(this);
         /** @type {import('dictionary-database').CreateResult<string, import('dictionary-database').DatabaseKanjiEntry, import('dictionary-database').KanjiEntry>} */
@@ -61,6 +65,11 @@ export class DictionaryDatabase {
         this._createMediaBind = this._createMedia.bind(this);
         /** @type {import('dictionary-database').CreateResult<import('dictionary-database').DrawMediaGroupedRequest, import('dictionary-database').MediaDataArrayBufferContent, import('dictionary-database').DrawMedia>} */
         this._createDrawMediaBind = this._createDrawMedia.bind(this);
+        /**
+         * The compressed glossaries of the term entries created from compressed rows, which are decompressed once a lookup has finished.
+         * @type {WeakMap<import('dictionary-database').TermEntry, ArrayBuffer>}
+         */
+        this._compressedGlossaries = new WeakMap();
 
         /**
          * @type {Worker?}
@@ -153,10 +162,19 @@ export class DictionaryDatabase {
                         },
                     },
                 },
+                {
+                    version: 70,
+                    stores: {
+                        glossaryIndex: {
+                            primaryKey: {autoIncrement: true},
+                            indices: ['dictionary', 'token'],
+                        },
+                    },
+                },
             ]);
         await this._db.open(
             this._dbName,
-            60,
+            70,
             isWorker ? null : upgrade,
         );
 
@@ -231,6 +249,7 @@ export class DictionaryDatabase {
                 ['termMeta', 'dictionary'],
                 ['tagMeta', 'dictionary'],
                 ['media', 'dictionary'],
+                ['glossaryIndex', 'dictionary'],
             ],
             [
                 ['dictionaries', 'title'],
@@ -279,13 +298,144 @@ export class DictionaryDatabase {
         }
     }
 
+    /**
+     * Replaces a dictionary with one that was imported alongside it under a temporary title.
+     * Everything happens in a single transaction, so readers see either the old or the new dictionary.
+     * @param {string} dictionaryName
+     * @param {string} stagedDictionaryName
+     * @param {string} newDictionaryName
+     * @returns {Promise<void>}
+     */
+    replaceDictionary(dictionaryName, stagedDictionaryName, newDictionaryName) {
+        return new Promise((resolve, reject) => {
+            /** @type {[objectStoreName: import('dictionary-database').ObjectStoreName, key: 'dictionary' | 'title'][]} */
+            const targets = [
+                ['kanji', 'dictionary'],
+                ['kanjiMeta', 'dictionary'],
+                ['terms', 'dictionary'],
+                ['termMeta', 'dictionary'],
+                ['tagMeta', 'dictionary'],
+                ['media', 'dictionary'],
+                ['glossaryIndex', 'dictionary'],
+                ['dictionaries', 'title'],
+            ];
+            const transaction = this._db.transaction(targets.map(([objectStoreName]) => objectStoreName), 'readwrite');
+            transaction.onerror = (e) => reject(/** @type {IDBTransaction} */ (e.target).error);
+            transaction.onabort = () => reject(new Error('Transaction aborted'));
+            transaction.oncomplete = () => resolve();
+
+            for (const [objectStoreName, key] of targets) {
+                const index = transaction.objectStore(objectStoreName).index(key);
+                // The staged rows are only renamed once the old rows are gone, since both may share a title
+                this._forEachCursor(index, IDBKeyRange.only(dictionaryName), (cursor) => cursor.delete(), () => {
+                    this._forEachCursor(index, IDBKeyRange.only(stagedDictionaryName), (cursor) => {
+                        /** @type {unknown} */
+                        const value = cursor.value;
+                        const row = /** @type {{[key: string]: unknown}} */ (value);
+                        cursor.update({...row, [key]: newDictionaryName});
+                    }, null);
+                });
+            }
+        });
+    }
+
+    /**
+     * Adds, replaces or removes a single term of a dictionary which is edited in place.
+     * The term, its rows in the glossary index and the summary of the dictionary are written in a single transaction,
+     * and only the glossary index rows of the edited term are touched.
+     * @param {string} dictionaryName
+     * @param {?number} id The id of the term to replace or remove, or `null` to add a term.
+     * @param {?import('dictionary-database').DatabaseTermEntry} row The new term, or `null` to remove the term.
+     * @param {(termCount: number) => import('dictionary-importer').Summary} createSummary
+     * @returns {Promise<void>}
+     */
+    async editTerm(dictionaryName, id, row, createSummary) {
+        /** @type {?import('dictionary-database').DatabaseTermEntry} */
+        let oldRow = null;
+        if (id !== null) {
+            const [value] = /** @type {(import('dictionary-database').DatabaseTermEntry|undefined)[]} */ (await this._getAll('terms', id));
+            if (typeof value !== 'undefined' && value.dictionary === dictionaryName) {
+                oldRow = await decompressTermEntryGlossary(value);
+            }
+        }
+
+        await new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['terms', 'glossaryIndex', 'dictionaries'], 'readwrite');
+            transaction.onerror = (e) => reject(/** @type {IDBTransaction} */ (e.target).error);
+            transaction.onabort = () => reject(new Error('Transaction aborted'));
+            transaction.oncomplete = () => resolve(void 0);
+
+            const terms = transaction.objectStore('terms');
+            const glossaryIndex = transaction.objectStore('glossaryIndex');
+            if (id !== null && oldRow !== null) {
+                terms.delete(id);
+                const {expression, reading} = oldRow;
+                for (const token of getGlossaryTokens(oldRow.glossary)) {
+                    // Only one row is removed per token, since other terms may share the same headword
+                    const request = glossaryIndex.index('token').openCursor(IDBKeyRange.only(token));
+                    request.onsuccess = () => {
+                        const cursor = request.result;
+                        if (cursor === null) { return; }
+                        /** @type {unknown} */
+                        const value = cursor.value;
+                        const entry = /** @type {import('dictionary-database').DatabaseGlossaryIndexEntry} */ (value);
+                        if (entry.dictionary === dictionaryName && entry.expression === expression && entry.reading === reading) {
+                            cursor.delete();
+                        } else {
+                            cursor.continue();
+                        }
+                    };
+                }
+            }
+            if (row !== null) {
+                terms.add(row);
+                for (const entry of createGlossaryIndexEntries([row])) {
+                    glossaryIndex.add(entry);
+                }
+            }
+
+            const countRequest = terms.index('dictionary').count(IDBKeyRange.only(dictionaryName));
+            countRequest.onsuccess = () => {
+                const summary = createSummary(countRequest.result);
+                const dictionaries = transaction.objectStore('dictionaries');
+                const keyRequest = dictionaries.index('title').getKey(IDBKeyRange.only(dictionaryName));
+                keyRequest.onsuccess = () => {
+                    const primaryKey = keyRequest.result;
+                    if (typeof primaryKey === 'undefined') {
+                        dictionaries.add(summary);
+                    } else {
+                        dictionaries.put(summary, primaryKey);
+                    }
+                };
+            };
+        });
+    }
+
+    /**
+     * Deletes the rows of a dictionary that were added after an import checkpoint.
+     * Rows are enumerated in the order they were added, so the first rows of each object store are the committed ones.
+     * @param {string} dictionaryName
+     * @param {import('dictionary-importer').ImportCheckpointRowCounts} rowCounts
+     */
+    async discardUncommittedRows(dictionaryName, rowCounts) {
+        /** @type {import('dictionary-database').ObjectStoreName[]} */
+        const objectStoreNames = ['kanji', 'kanjiMeta', 'terms', 'termMeta', 'tagMeta', 'media', 'glossaryIndex'];
+        const query = IDBKeyRange.only(dictionaryName);
+        const promises = [];
+        for (const objectStoreName of objectStoreNames) {
+            const rowCount = rowCounts[objectStoreName] ?? 0;
+            promises.push(this._db.bulkDelete(objectStoreName, 'dictionary', query, (keys) => keys.slice(rowCount), null));
+        }
+        await Promise.all(promises);
+    }
+
     /**
      * @param {string[]} termList
      * @param {import('dictionary-database').DictionarySet} dictionaries
      * @param {import('dictionary-database').MatchType} matchType
      * @returns {Promise<import('dictionary-database').TermEntry[]>}
      */
-    findTermsBulk(termList, dictionaries, matchType) {
+    async findTermsBulk(termList, dictionaries, matchType) {
         const visited = new Set();
         /** @type {import('dictionary-database').FindPredicate<string, import('dictionary-database').DatabaseTermEntryWithId>} */
         const predicate = (row) => {
@@ -310,7 +460,7 @@ export class DictionaryDatabase {
 
         const createResult = this._createTermGeneric.bind(this, matchType);
 
-        return this._findMultiBulk('terms', indexNames, termList, createQuery, predicate, createResult);
+        return await this._decompressTermEntries(await this._findMultiBulk('terms', indexNames, termList, createQuery, predicate, createResult));
     }
 
     /**
@@ -318,20 +468,271 @@ export class DictionaryDatabase {
      * @param {import('dictionary-database').DictionarySet} dictionaries
      * @returns {Promise<import('dictionary-database').TermEntry[]>}
      */
-    findTermsExactBulk(termList, dictionaries) {
+    async findTermsExactBulk(termList, dictionaries) {
         /** @type {import('dictionary-database').FindPredicate<import('dictionary-database').TermExactRequest, import('dictionary-database').DatabaseTermEntry>} */
         const predicate = (row, item) => (row.reading === item.reading && dictionaries.has(row.dictionary));
-        return this._findMultiBulk('terms', ['expression'], termList, this._createOnlyQuery3, predicate, this._createTermBind1);
+        return await this._decompressTermEntries(await this._findMultiBulk('terms', ['expression'], termList, this._createOnlyQuery3, predicate, this._createTermBind1));
+    }
+
+    /**
+     * Finds the terms whose glossaries contain all of the tokens.
+     * Only dictionaries which were imported with a glossary index can be searched.
+     * @param {string[]} tokens
+     * @param {import('dictionary-database').DictionarySet} dictionaries
+     * @param {number} maxHeadwords
+     * @returns {Promise<import('dictionary-database').TermEntry[]>}
+     */
+    async findTermsByGlossary(tokens, dictionaries, maxHeadwords) {
+        /** @type {import('dictionary-database').FindPredicate<string, import('dictionary-database').DatabaseGlossaryIndexEntry>} */
+        const predicate = (row) => dictionaries.has(row.dictionary);
+        /** @type {import('dictionary-database').CreateResult<string, import('dictionary-database').DatabaseGlossaryIndexEntry, {row: import('dictionary-database').DatabaseGlossaryIndexEntry, tokenIndex: number}>} */
+        const createResult = (row, {itemIndex}) => ({row, tokenIndex: itemIndex});
+        const matches = await this._findMultiBulk('glossaryIndex', ['token'], tokens, this._createOnlyQuery1, predicate, createResult);
+
+        /** @type {Map<string, {request: import('dictionary-database').TermGlossaryRequest, tokenIndices: Set<number>}>} */
+        const headwordMap = new Map();
+        for (const {row: {dictionary, expression, reading}, tokenIndex} of matches) {
+            const key = `${dictionary}\u0000${expression}\u0000${reading}`;
+            let headword = headwordMap.get(key);
+            if (typeof headword === 'undefined') {
+                headword = {request: {term: expression, reading, dictionary}, tokenIndices: new Set()};
+                headwordMap.set(key, headword);
+            }
+            headword.tokenIndices.add(tokenIndex);
+        }
+
+        /** @type {import('dictionary-database').TermGlossaryRequest[]} */
+        const requests = [];
+        for (const {request, tokenIndices} of headwordMap.values()) {
+            if (tokenIndices.size < tokens.length) { continue; }
+            requests.push(request);
+            if (requests.length >= maxHeadwords) { break; }
+        }
+
+        /** @type {import('dictionary-database').FindPredicate<import('dictionary-database').TermGlossaryRequest, import('dictionary-database').DatabaseTermEntry>} */
+        const termPredicate = (row, item) => (row.reading === item.reading && row.dictionary === item.dictionary);
+        return await this._decompressTermEntries(await this._findMultiBulk('terms', ['expression'], requests, this._createOnlyQuery3, termPredicate, this._createTermBind3));
+    }
+
+    /**
+     * Scans the terms in database order for headwords or readings matching a regular expression.
+     * The scan stops once `limit` terms have matched or `scanBudget` terms have been scanned,
+     * and can be continued from the returned cursor.
+     * @param {RegExp} pattern
+     * @param {import('translation').FindTermsMatchType} matchType
+     * @param {import('dictionary-database').DictionarySet} dictionaries
+     * @param {?number} cursor
+     * @param {number} limit
+     * @param {number} scanBudget
+     * @returns {Promise<import('dictionary-database').TermPatternSearchResult>}
+     */
+    async findTermsByPattern(pattern, matchType, dictionaries, cursor, limit, scanBudget) {
+        /** @type {import('dictionary-database').TermPatternSearchResult} */
+        const result = await new Promise((resolve, reject) => {
+            const transaction = this._db.transaction(['terms'], 'readonly');
+            const objectStore = transaction.objectStore('terms');
+            const query = cursor !== null ? IDBKeyRange.lowerBound(cursor, true) : null;
+            const request = objectStore.openCursor(query);
+            /** @type {import('dictionary-database').TermEntry[]} */
+            const entries = [];
+            let scannedCount = 0;
+            request.onerror = (e) => reject(/** @type {IDBRequest<IDBCursorWithValue>} */ (e.target).error);
+            request.onsuccess = (e) => {
+                const databaseCursor = /** @type {IDBRequest<?IDBCursorWithValue>} */ (e.target).result;
+                if (databaseCursor === null) {
+                    resolve({entries, nextCursor: null, scannedCount});
+                    return;
+                }
+                /** @type {unknown} */
+                const value = databaseCursor.value;
+                const row = /** @type {import('dictionary-database').DatabaseTermEntryWithId} */ (value);
+                ++scannedCount;
+                if (dictionaries.has(row.dictionary)) {
+                    if (pattern.test(row.expression)) {
+                        entries.push(this._createTerm('term', matchType, row, entries.length));
+                    } else if (pattern.test(row.reading)) {
+                        entries.push(this._createTerm('reading', matchType, row, entries.length));
+                    }
+                }
+                if (entries.length >= limit || scannedCount >= scanBudget) {
+                    resolve({entries, nextCursor: row.id, scannedCount});
+                    return;
+                }
+                databaseCursor.continue();
+            };
+        });
+        await this._decompressTermEntries(result.entries);
+        return result;
+    }
+
+    /**
+     * Rebuilds the glossary index of a dictionary which was imported without one.
+     * @param {string} dictionaryName
+     * @param {import('dictionary-database').BuildGlossaryIndexProgressCallback} onProgress
+     */
+    async buildGlossaryIndex(dictionaryName, onProgress) {
+        const query = IDBKeyRange.only(dictionaryName);
+        await this._db.bulkDelete('glossaryIndex', 'dictionary', query);
+
+        const termIds = /** @type {number[]} */ (await this._getAllKeys('terms', 'dictionary', query));
+        /** @type {import('dictionary-database').BuildGlossaryIndexProgressData} */
+        const progressData = {count: termIds.length, processed: 0};
+        onProgress(progressData);
+
+        const batchSize = 1000;
+        for (let i = 0, ii = termIds.length; i < ii; i += batchSize) {
+            const range = IDBKeyRange.bound(termIds[i], termIds[Math.min(i + batchSize, ii) - 1]);
+            const rows = /** @type {import('dictionary-database').DatabaseTermEntry[]} */ (await this._getAll('terms', range));
+            const termList = await Promise.all(rows.filter((row) => row.dictionary === dictionaryName).map(decompressTermEntryGlossary));
+            const entries = createGlossaryIndexEntries(termList);
+            await this._db.bulkAdd('glossaryIndex', entries, 0, entries.length);
+            progressData.processed += termList.length;
+            onProgress(progressData);
+        }
+
+        const [primaryKey] = await this._getAllKeys('dictionaries', 'title', query);
+        if (typeof primaryKey === 'undefined') { return; }
+        const [summary] = /** @type {import('dictionary-importer').Summary[]} */ (await this._getAll('dictionaries', primaryKey));
+        if (typeof summary === 'undefined') { return; }
+        await this._db.bulkUpdate('dictionaries', [{data: {...summary, glossaryIndexed: true}, primaryKey}], 0, 1);
+    }
+
+    /**
+     * Rewrites the terms of a dictionary which was imported without compression so that their glossaries are stored compressed.
+     * @param {string} dictionaryName
+     * @param {import('dictionary-database').CompressGlossariesProgressCallback} onProgress
+     */
+    async compressGlossaries(dictionaryName, onProgress) {
+        const query = IDBKeyRange.only(dictionaryName);
+        const termIds = await this._getAllKeys('terms', 'dictionary', query);
+        /** @type {import('dictionary-database').CompressGlossariesProgressData} */
+        const progressData = {count: termIds.length, processed: 0};
+        onProgress(progressData);
+
+        for await (const rows of this.getDictionaryRowBatches('terms', dictionaryName, 1000)) {
+            const updates = await Promise.all(rows.map(async ({key, row}) => ({data: await compressTermEntryGlossary(row), primaryKey: key})));
+            await this._db.bulkUpdate('terms', updates, 0, updates.length);
+            progressData.processed += rows.length;
+            onProgress(progressData);
+        }
+
+        const [primaryKey] = await this._getAllKeys('dictionaries', 'title', query);
+        if (typeof primaryKey === 'undefined') { return; }
+        const [summary] = /** @type {import('dictionary-importer').Summary[]} */ (await this._getAll('dictionaries', primaryKey));
+        if (typeof summary === 'undefined') { return; }
+        await this._db.bulkUpdate('dictionaries', [{data: {...summary, glossaryCompressed: true}, primaryKey}], 0, 1);
+    }
+
+    /**
+     * Reads the rows of one dictionary from an object store in batches of primary keys,
+     * so that the whole store does not need to be held in memory.
+     * @template {Exclude<import('dictionary-database').ObjectStoreName, 'dictionaries'>} T
+     * @param {T} objectStoreName
+     * @param {string} dictionaryName
+     * @param {number} batchSize
+     * @yields {Promise<import('dictionary-database').ObjectStoreData<T>[]>}
+     * @returns {AsyncGenerator<import('dictionary-database').ObjectStoreData<T>[], void, void>}
+     */
+    async *getDictionaryEntryBatches(objectStoreName, dictionaryName, batchSize) {
+        for await (const rows of this.getDictionaryRowBatches(objectStoreName, dictionaryName, batchSize)) {
+            yield rows.map(({row}) => row);
+        }
+    }
+
+    /**
+     * Reads the rows of one dictionary from an object store in batches, together with their primary keys.
+     * Term rows are returned with their glossaries decompressed.
+     * @template {Exclude<import('dictionary-database').ObjectStoreName, 'dictionaries'>} T
+     * @param {T} objectStoreName
+     * @param {string} dictionaryName
+     * @param {number} batchSize
+     * @yields {Promise<import('dictionary-database').DictionaryRow<T>[]>}
+     * @returns {AsyncGenerator<import('dictionary-database').DictionaryRow<T>[], void, void>}
+     */
+    async *getDictionaryRowBatches(objectStoreName, dictionaryName, batchSize) {
+        const keys = /** @type {number[]} */ (await this._getAllKeys(objectStoreName, 'dictionary', IDBKeyRange.only(dictionaryName)));
+        for (let i = 0, ii = keys.length; i < ii; i += batchSize) {
+            const batchKeys = keys.slice(i, i + batchSize);
+            const range = IDBKeyRange.bound(batchKeys[0], batchKeys[batchKeys.length - 1]);
+            let rows = /** @type {import('dictionary-database').ObjectStoreData<T>[]} */ (await this._getAll(objectStoreName, range));
+            // Rows of other dictionaries can be interleaved within the range
+            rows = rows.filter((row) => row.dictionary === dictionaryName);
+            if (objectStoreName === 'terms') {
+                rows = /** @type {import('dictionary-database').ObjectStoreData<T>[]} */ (await Promise.all(rows.map((row) => decompressTermEntryGlossary(/** @type {import('dictionary-database').DatabaseTermEntry} */ (row)))));
+            }
+            yield rows.map((row, j) => ({key: batchKeys[j], row}));
+        }
+    }
+
+    /**
+     * Gets the distinct dictionary names which rows of an object store belong to.
+     * @param {Exclude<import('dictionary-database').ObjectStoreName, 'dictionaries'>} objectStoreName
+     * @returns {Promise<string[]>}
+     */
+    getRowDictionaryNames(objectStoreName) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction([objectStoreName], 'readonly');
+            const index = transaction.objectStore(objectStoreName).index('dictionary');
+            /** @type {string[]} */
+            const names = [];
+            const request = index.openKeyCursor(null, 'nextunique');
+            request.onerror = (e) => reject(/** @type {IDBRequest<?IDBCursor>} */ (e.target).error);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor === null) {
+                    resolve(names);
+                    return;
+                }
+                names.push(/** @type {string} */ (cursor.key));
+                cursor.continue();
+            };
+        });
+    }
+
+    /**
+     * Gets the primary keys of the rows of an object store which do not belong to any dictionary.
+     * @param {Exclude<import('dictionary-database').ObjectStoreName, 'dictionaries'>} objectStoreName
+     * @returns {Promise<number[]>}
+     */
+    getUnownedRowKeys(objectStoreName) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction([objectStoreName], 'readonly');
+            const objectStore = transaction.objectStore(objectStoreName);
+            // Dictionary names are strings and primary keys are numbers, so these ranges include every row
+            this._db.getAllKeys(objectStore.index('dictionary'), IDBKeyRange.lowerBound(''), (ownedKeys) => {
+                const ownedKeySet = new Set(ownedKeys);
+                this._db.getAllKeys(objectStore, IDBKeyRange.lowerBound(-Infinity), (keys) => {
+                    resolve(/** @type {number[]} */ (keys.filter((key) => !ownedKeySet.has(key))));
+                }, reject);
+            }, reject);
+        });
+    }
+
+    /**
+     * @param {Exclude<import('dictionary-database').ObjectStoreName, 'dictionaries'>} objectStoreName
+     * @param {number[]} keys
+     */
+    async deleteRows(objectStoreName, keys) {
+        if (keys.length === 0) { return; }
+        const keySet = new Set(keys);
+        let min = keys[0];
+        let max = keys[0];
+        for (const key of keys) {
+            if (key < min) { min = key; }
+            if (key > max) { max = key; }
+        }
+        const query = IDBKeyRange.bound(min, max);
+        await this._db.bulkDelete(objectStoreName, null, query, (keys2) => keys2.filter((key) => keySet.has(/** @type {number} */ (key))), null);
     }
 
     /**
      * @param {import('dictionary-database').DictionaryAndQueryRequest[]} items
      * @returns {Promise<import('dictionary-database').TermEntry[]>}
      */
-    findTermsBySequenceBulk(items) {
+    async findTermsBySequenceBulk(items) {
         /** @type {import('dictionary-database').FindPredicate<import('dictionary-database').DictionaryAndQueryRequest, import('dictionary-database').DatabaseTermEntry>} */
         const predicate = (row, item) => (row.dictionary === item.dictionary);
-        return this._findMultiBulk('terms', ['sequence'], items, this._createOnlyQuery2, predicate, this._createTermBind2);
+        return await this._decompressTermEntries(await this._findMultiBulk('terms', ['sequence'], items, this._createOnlyQuery2, predicate, this._createTermBind2));
     }
 
     /**
@@ -569,6 +970,15 @@ export class DictionaryDatabase {
         return typeof result !== 'undefined';
     }
 
+    /**
+     * @param {string} title
+     * @returns {Promise<?import('dictionary-importer').Summary>}
+     */
+    async getDictionarySummary(title) {
+        const query = IDBKeyRange.only(title);
+        return /** @type {?import('dictionary-importer').Summary} */ (await this._db.find('dictionaries', 'title', query, null, null, null));
+    }
+
     /**
      * @template {import('dictionary-database').ObjectStoreName} T
      * @param {T} objectStoreName
@@ -591,6 +1001,27 @@ export class DictionaryDatabase {
         return this._db.addWithResult(objectStoreName, item);
     }
 
+    /**
+     * @param {import('dictionary-database').ObjectStoreName} objectStoreName
+     * @param {IDBValidKey} key
+     * @returns {Promise<void>}
+     */
+    delete(objectStoreName, key) {
+        return this._db.delete(objectStoreName, key);
+    }
+
+    /**
+     * Replaces the summary of a dictionary, or adds it if the dictionary has none.
+     * @param {import('dictionary-importer').Summary} summary
+     */
+    async setDictionarySummary(summary) {
+        const [primaryKey] = await this._getAllKeys('dictionaries', 'title', IDBKeyRange.only(summary.title));
+        await (typeof primaryKey === 'undefined' ?
+            this._db.bulkAdd('dictionaries', [summary], 0, 1) :
+            this._db.bulkUpdate('dictionaries', [{data: summary, primaryKey}], 0, 1)
+        );
+    }
+
     /**
      * @template {import('dictionary-database').ObjectStoreName} T
      * @param {T} objectStoreName
@@ -605,6 +1036,52 @@ export class DictionaryDatabase {
 
     // Private
 
+    /**
+     * @param {IDBIndex} index
+     * @param {IDBKeyRange} query
+     * @param {(cursor: IDBCursorWithValue) => void} onValue
+     * @param {?() => void} onComplete
+     */
+    _forEachCursor(index, query, onValue, onComplete) {
+        const request = index.openCursor(query);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor === null) {
+                if (onComplete !== null) { onComplete(); }
+                return;
+            }
+            onValue(cursor);
+            cursor.continue();
+        };
+    }
+
+    /**
+     * @param {import('dictionary-database').ObjectStoreName} objectStoreName
+     * @param {string} indexName
+     * @param {IDBKeyRange} query
+     * @returns {Promise<IDBValidKey[]>}
+     */
+    _getAllKeys(objectStoreName, indexName, query) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction([objectStoreName], 'readonly');
+            const index = transaction.objectStore(objectStoreName).index(indexName);
+            this._db.getAllKeys(index, query, resolve, reject);
+        });
+    }
+
+    /**
+     * @param {import('dictionary-database').ObjectStoreName} objectStoreName
+     * @param {IDBValidKey|IDBKeyRange} query
+     * @returns {Promise<unknown[]>}
+     */
+    _getAll(objectStoreName, query) {
+        return new Promise((resolve, reject) => {
+            const transaction = this._db.transaction([objectStoreName], 'readonly');
+            const objectStore = transaction.objectStore(objectStoreName);
+            this._db.getAll(objectStore, query, resolve, reject, null);
+        });
+    }
+
     /**
      * @template [TRow=unknown]
      * @template [TItem=unknown]
@@ -752,6 +1229,15 @@ export class DictionaryDatabase {
         return this._createTerm('sequence', 'exact', row, data.itemIndex);
     }
 
+    /**
+     * @param {import('dictionary-database').DatabaseTermEntryWithId} row
+     * @param {import('dictionary-database').FindMultiBulkData<import('dictionary-database').TermGlossaryRequest>} data
+     * @returns {import('dictionary-database').TermEntry}
+     */
+    _createTermGlossary(row, data) {
+        return this._createTerm('glossary', 'meaning', row, data.itemIndex);
+    }
+
     /**
      * @param {import('dictionary-database').MatchSource} matchSource
      * @param {import('dictionary-database').MatchType} matchType
@@ -761,7 +1247,8 @@ export class DictionaryDatabase {
      */
     _createTerm(matchSource, matchType, row, index) {
         const {sequence} = row;
-        return {
+        /** @type {import('dictionary-database').TermEntry} */
+        const result = {
             index,
             matchType,
             matchSource,
@@ -776,6 +1263,28 @@ export class DictionaryDatabase {
             id: row.id,
             sequence: typeof sequence === 'number' ? sequence : -1,
         };
+        if (typeof row.glossaryCompressed !== 'undefined') {
+            this._compressedGlossaries.set(result, row.glossaryCompressed);
+        }
+        return result;
+    }
+
+    /**
+     * Decompresses the definitions of term entries which were created from compressed rows.
+     * This is done after the lookup rather than in `_createTerm`, so that only the rows which matched are decompressed.
+     * @param {import('dictionary-database').TermEntry[]} entries
+     * @returns {Promise<import('dictionary-database').TermEntry[]>}
+     */
+    async _decompressTermEntries(entries) {
+        const promises = [];
+        for (const entry of entries) {
+            const glossaryCompressed = this._compressedGlossaries.get(entry);
+            if (typeof glossaryCompressed === 'undefined') { continue; }
+            this._compressedGlossaries.delete(entry);
+            promises.push(decompressGlossary(glossaryCompressed).then((definitions) => { entry.definitions = definitions; }));
+        }
+        await Promise.all(promises);
+        return entries;
     }
 
     /**
@@ -0,0 +1,271 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {
+    BlobWriter as BlobWriter0,
+    TextReader as TextReader0,
+    Uint8ArrayReader as Uint8ArrayReader0,
+    ZipWriter as ZipWriter0,
+    configure,
+} from '../../lib/zip.js';
+
+const BlobWriter = /** @type {typeof import('@zip.js/zip.js').BlobWriter} */ (/** @type {unknown} */ (BlobWriter0));
+const TextReader = /** @type {typeof import('@zip.js/zip.js').TextReader} */ (/** @type {unknown} */ (TextReader0));
+const Uint8ArrayReader = /** @type {typeof import('@zip.js/zip.js').Uint8ArrayReader} */ (/** @type {unknown} */ (Uint8ArrayReader0));
+const ZipWriter = /** @type {typeof import('@zip.js/zip.js').ZipWriter} */ (/** @type {unknown} */ (ZipWriter0));
+
+const BANK_SIZE = 10000;
+
+export class DictionaryExporter {
+    /**
+     * @param {import('dictionary-exporter').OnProgressCallback} [onProgress]
+     */
+    constructor(onProgress) {
+        /** @type {import('dictionary-exporter').OnProgressCallback} */
+        this._onProgress = typeof onProgress === 'function' ? onProgress : () => {};
+        /** @type {import('dictionary-exporter').ProgressData} */
+        this._progressData = {index: 0, count: 0};
+    }
+
+    /**
+     * Writes an imported dictionary to a Yomitan archive which can be imported again.
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     * @param {string} dictionaryTitle
+     * @param {import('dictionary-exporter').ExportDetails} details
+     * @returns {Promise<Blob>}
+     * @throws {Error}
+     */
+    async exportDictionary(dictionaryDatabase, dictionaryTitle, details) {
+        if (!dictionaryDatabase.isPrepared()) {
+            throw new Error('Database is not ready');
+        }
+
+        const summary = (await dictionaryDatabase.getDictionaryInfo()).find(({title}) => title === dictionaryTitle);
+        if (typeof summary === 'undefined') {
+            throw new Error(`Dictionary ${dictionaryTitle} is not imported`);
+        }
+        if (summary.isRemote === true) {
+            throw new Error(`Dictionary ${dictionaryTitle} is not stored in the database`);
+        }
+
+        const {counts: [counts]} = await dictionaryDatabase.getDictionaryCounts([dictionaryTitle], false);
+        this._progressData = {
+            index: 0,
+            count: Object.values(counts).reduce((total, count) => total + count, 0),
+        };
+        this._progress();
+
+        configure({
+            workerScripts: {
+                deflate: ['../../lib/z-worker.js'],
+                inflate: ['../../lib/z-worker.js'],
+            },
+        });
+
+        const zipWriter = new ZipWriter(new BlobWriter('application/zip'), {level: details.compressionLevel});
+        await zipWriter.add('index.json', new TextReader(JSON.stringify(this._createIndex(summary))));
+        if (summary.styles.length > 0) {
+            await zipWriter.add('styles.css', new TextReader(summary.styles));
+        }
+
+        await this._addBanks(zipWriter, dictionaryDatabase, dictionaryTitle, 'terms', 'term_bank', this._convertTermEntry.bind(this));
+        await this._addBanks(zipWriter, dictionaryDatabase, dictionaryTitle, 'termMeta', 'term_meta_bank', this._convertTermMetaEntry.bind(this));
+        await this._addBanks(zipWriter, dictionaryDatabase, dictionaryTitle, 'kanji', 'kanji_bank', this._convertKanjiEntry.bind(this));
+        await this._addBanks(zipWriter, dictionaryDatabase, dictionaryTitle, 'kanjiMeta', 'kanji_meta_bank', this._convertKanjiMetaEntry.bind(this));
+        await this._addBanks(zipWriter, dictionaryDatabase, dictionaryTitle, 'tagMeta', 'tag_bank', this._convertTagEntry.bind(this));
+
+        for await (const mediaList of dictionaryDatabase.getDictionaryEntryBatches('media', dictionaryTitle, 100)) {
+            for (const {path, content} of mediaList) {
+                await zipWriter.add(path, new Uint8ArrayReader(new Uint8Array(content)), {level: 0});
+            }
+            this._progressData.index += mediaList.length;
+            this._progress();
+        }
+
+        return await zipWriter.close();
+    }
+
+    // Private
+
+    /** */
+    _progress() {
+        this._onProgress({...this._progressData});
+    }
+
+    /**
+     * @template {Exclude<import('dictionary-database').ObjectStoreName, 'dictionaries'>} T
+     * @template TEntry
+     * @param {import('@zip.js/zip.js').ZipWriter<Blob>} zipWriter
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     * @param {string} dictionaryTitle
+     * @param {T} objectStoreName
+     * @param {string} fileNamePrefix
+     * @param {(row: import('dictionary-database').ObjectStoreData<T>) => TEntry} convertEntry
+     */
+    async _addBanks(zipWriter, dictionaryDatabase, dictionaryTitle, objectStoreName, fileNamePrefix, convertEntry) {
+        let bankIndex = 0;
+        for await (const rows of dictionaryDatabase.getDictionaryEntryBatches(objectStoreName, dictionaryTitle, BANK_SIZE)) {
+            if (rows.length === 0) { continue; }
+            const fileName = `${fileNamePrefix}_${++bankIndex}.json`;
+            await zipWriter.add(fileName, new TextReader(JSON.stringify(rows.map(convertEntry))));
+            this._progressData.index += rows.length;
+            this._progress();
+        }
+    }
+
+    /**
+     * @param {import('dictionary-importer').Summary} summary
+     * @returns {import('dictionary-data').Index}
+     */
+    _createIndex(summary) {
+        const {
+            title,
+            revision,
+            sequenced,
+            minimumYomitanVersion,
+            isUpdatable,
+            indexUrl,
+            downloadUrl,
+            author,
+            url,
+            description,
+            attribution,
+            sourceLanguage,
+            targetLanguage,
+            frequencyMode,
+        } = summary;
+        /** @type {import('dictionary-data').Index} */
+        const index = {title, revision, format: 3, sequenced};
+        if (typeof minimumYomitanVersion === 'string') { index.minimumYomitanVersion = minimumYomitanVersion; }
+        if (isUpdatable === true && typeof indexUrl === 'string' && typeof downloadUrl === 'string') {
+            index.isUpdatable = true;
+            index.indexUrl = indexUrl;
+            index.downloadUrl = downloadUrl;
+        }
+        if (typeof author === 'string') { index.author = author; }
+        if (typeof url === 'string') { index.url = url; }
+        if (typeof description === 'string') { index.description = description; }
+        if (typeof attribution === 'string') { index.attribution = attribution; }
+        if (typeof sourceLanguage === 'string') { index.sourceLanguage = sourceLanguage; }
+        if (typeof targetLanguage === 'string') { index.targetLanguage = targetLanguage; }
+        if (typeof frequencyMode === 'string') { index.frequencyMode = frequencyMode; }
+        return index;
+    }
+
+    /**
+     * @param {import('dictionary-database').DatabaseTermEntry} row
+     * @returns {import('dictionary-data').TermV3}
+     */
+    _convertTermEntry(row) {
+        const {expression, reading, definitionTags, tags, rules, score, glossary, sequence, termTags} = row;
+        return [
+            expression,
+            reading === expression ? '' : reading,
+            definitionTags ?? tags ?? '',
+            rules,
+            score,
+            glossary.map((item) => this._convertGlossary(item)),
+            typeof sequence === 'number' ? sequence : 0,
+            termTags ?? '',
+        ];
+    }
+
+    /**
+     * @param {import('dictionary-database').DatabaseTermMeta} row
+     * @returns {import('dictionary-data').TermMeta}
+     */
+    _convertTermMetaEntry({expression, mode, data}) {
+        return /** @type {import('dictionary-data').TermMeta} */ ([expression, mode, data]);
+    }
+
+    /**
+     * @param {import('dictionary-database').DatabaseKanjiEntry} row
+     * @returns {import('dictionary-data').KanjiV3}
+     */
+    _convertKanjiEntry({character, onyomi, kunyomi, tags, meanings, stats}) {
+        return [character, onyomi, kunyomi, tags, meanings, typeof stats === 'object' && stats !== null ? stats : {}];
+    }
+
+    /**
+     * @param {import('dictionary-database').DatabaseKanjiMeta} row
+     * @returns {import('dictionary-data').KanjiMeta}
+     */
+    _convertKanjiMetaEntry({character, mode, data}) {
+        return [character, mode, data];
+    }
+
+    /**
+     * @param {import('dictionary-database').Tag} row
+     * @returns {import('dictionary-data').Tag}
+     */
+    _convertTagEntry({name, category, order, notes, score}) {
+        return [name, category, order, notes, score];
+    }
+
+    /**
+     * @param {import('dictionary-data').TermGlossary} glossary
+     * @returns {import('dictionary-data').TermGlossary}
+     */
+    _convertGlossary(glossary) {
+        if (typeof glossary !== 'object' || glossary === null || Array.isArray(glossary)) { return glossary; }
+        switch (glossary.type) {
+            case 'image':
+                return this._convertImage(glossary);
+            case 'structured-content':
+                return {type: 'structured-content', content: this._convertStructuredContent(glossary.content)};
+            default:
+                return glossary;
+        }
+    }
+
+    /**
+     * @param {import('structured-content').Content} content
+     * @returns {import('structured-content').Content}
+     */
+    _convertStructuredContent(content) {
+        if (typeof content !== 'object' || content === null) { return content; }
+        if (Array.isArray(content)) {
+            return content.map((item) => this._convertStructuredContent(item));
+        }
+        if (content.tag === 'img') {
+            return this._convertImage(content);
+        }
+        const childContent = content.content;
+        if (typeof childContent === 'undefined') { return content; }
+        return /** @type {import('structured-content').Element} */ ({...content, content: this._convertStructuredContent(childContent)});
+    }
+
+    /**
+     * Restores the size of an image as it was given in the original archive.
+     * The database stores the size of the image file as the width and height, and the original size as the preferred size.
+     * @template {import('structured-content').ImageElementBase} T
+     * @param {T} image
+     * @returns {T}
+     */
+    _convertImage(image) {
+        const {preferredWidth, preferredHeight} = image;
+        const result = {...image};
+        delete result.width;
+        delete result.height;
+        delete result.preferredWidth;
+        delete result.preferredHeight;
+        if (typeof preferredWidth === 'number') { result.width = preferredWidth; }
+        if (typeof preferredHeight === 'number') { result.height = preferredHeight; }
+        return result;
+    }
+}
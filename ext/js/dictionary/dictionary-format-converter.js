@@ -0,0 +1,248 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {
+    TextReader as TextReader0,
+    Uint8ArrayReader as Uint8ArrayReader0,
+    Uint8ArrayWriter as Uint8ArrayWriter0,
+    ZipWriter as ZipWriter0,
+} from '../../lib/zip.js';
+import {convertDelimitedTextDictionary} from './delimited-text-converter.js';
+import {convertMdictDictionary} from './mdict-converter.js';
+import {convertStarDictDictionary} from './stardict-converter.js';
+
+const TextReader = /** @type {typeof import('@zip.js/zip.js').TextReader} */ (/** @type {unknown} */ (TextReader0));
+const Uint8ArrayReader = /** @type {typeof import('@zip.js/zip.js').Uint8ArrayReader} */ (/** @type {unknown} */ (Uint8ArrayReader0));
+const Uint8ArrayWriter = /** @type {typeof import('@zip.js/zip.js').Uint8ArrayWriter} */ (/** @type {unknown} */ (Uint8ArrayWriter0));
+const ZipWriter = /** @type {typeof import('@zip.js/zip.js').ZipWriter} */ (/** @type {unknown} */ (ZipWriter0));
+
+const TERM_BANK_SIZE = 10000;
+
+/** @type {import('dictionary-format-converter').DictionaryFormatConverter[]} */
+const converters = [
+    {
+        format: 'stardict',
+        fileExtensions: ['.ifo', '.idx', '.idx.gz', '.dict', '.dict.dz', '.syn'],
+        multipleFiles: true,
+        convert: convertStarDictDictionary,
+    },
+    {
+        format: 'mdict',
+        fileExtensions: ['.mdx', '.mdd'],
+        multipleFiles: true,
+        convert: convertMdictDictionary,
+    },
+    {
+        format: 'delimited-text',
+        fileExtensions: ['.tsv', '.csv'],
+        multipleFiles: false,
+        convert: convertDelimitedTextDictionary,
+    },
+];
+
+/**
+ * Gets the file name extensions of all supported dictionary formats, including `.zip`.
+ * @returns {string[]}
+ */
+export function getDictionaryFileExtensions() {
+    const results = ['.zip'];
+    for (const {fileExtensions} of converters) {
+        results.push(...fileExtensions);
+    }
+    return results;
+}
+
+/**
+ * Gets the format of a dictionary file from its name. Unrecognized files are assumed to be Yomitan archives.
+ * @param {string} fileName
+ * @returns {import('dictionary-format-converter').FormatName}
+ */
+export function getDictionaryFileFormat(fileName) {
+    const converter = getConverter(fileName);
+    return converter !== null ? converter.format : 'yomitan';
+}
+
+/**
+ * Checks whether a file name belongs to any of the supported dictionary formats.
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+export function isDictionaryFileName(fileName) {
+    return /\.zip$/i.test(fileName) || getConverter(fileName) !== null;
+}
+
+/**
+ * Groups files into the dictionaries they belong to, keeping the order in which each dictionary first appears.
+ * Files of multi-file formats are grouped by their base name, such as `name.ifo`, `name.idx` and `name.dict`.
+ * @template {{name: string}} T
+ * @param {T[]} files
+ * @returns {T[][]}
+ */
+export function groupDictionaryFiles(files) {
+    /** @type {Map<string, T[]>} */
+    const groups = new Map();
+    for (const file of files) {
+        const {name} = file;
+        const converter = getConverter(name);
+        const key = (converter !== null && converter.multipleFiles) ? `${converter.format}:${getBaseName(name, converter)}` : `:${name}`;
+        const group = groups.get(key);
+        if (typeof group !== 'undefined') {
+            group.push(file);
+        } else {
+            groups.set(key, [file]);
+        }
+    }
+    return [...groups.values()];
+}
+
+/**
+ * Converts the files of a single dictionary into the content of a Yomitan archive.
+ * Yomitan archives are returned without being converted.
+ * @param {import('dictionary-format-converter').SourceFile[]} files
+ * @param {import('dictionary-format-converter').OnProgressCallback} onProgress
+ * @returns {Promise<ArrayBuffer>}
+ * @throws {Error}
+ */
+export async function convertDictionaryFiles(files, onProgress) {
+    if (files.length === 0) {
+        throw new Error('No dictionary files');
+    }
+    const converter = getConverter(files[0].name);
+    if (converter === null) {
+        if (files.length !== 1) {
+            throw new Error('Dictionary archives must be imported individually');
+        }
+        return files[0].content;
+    }
+    for (const {name} of files) {
+        if (getConverter(name) !== converter) {
+            throw new Error(`Unexpected file ${name} in ${converter.format} dictionary`);
+        }
+    }
+    const writer = new DictionaryArchiveWriter();
+    const index = await converter.convert(files, writer, onProgress);
+    return await writer.close(index);
+}
+
+/**
+ * Writes a converted dictionary to an uncompressed Yomitan archive while it is being converted.
+ * Terms are collected into a term bank which is added to the archive as soon as it is full,
+ * so only the archive and a single term bank are held in memory.
+ */
+export class DictionaryArchiveWriter {
+    /**
+     * @param {number} [termBankSize] The number of terms in each term bank.
+     */
+    constructor(termBankSize = TERM_BANK_SIZE) {
+        /** @type {number} */
+        this._termBankSize = termBankSize;
+        /** @type {import('@zip.js/zip.js').ZipWriter<Uint8Array>} */
+        this._zipWriter = new ZipWriter(new Uint8ArrayWriter(), {level: 0});
+        /** @type {import('dictionary-data').TermV3[]} */
+        this._termBank = [];
+        /** @type {number} */
+        this._termBankCount = 0;
+        /** @type {Set<string>} */
+        this._mediaPaths = new Set();
+    }
+
+    /** @type {number} */
+    get termCount() {
+        return this._termBankCount * this._termBankSize + this._termBank.length;
+    }
+
+    /**
+     * @param {import('dictionary-data').TermV3} term
+     */
+    async addTerm(term) {
+        this._termBank.push(term);
+        if (this._termBank.length >= this._termBankSize) {
+            await this._writeTermBank();
+        }
+    }
+
+    /**
+     * Adds a file which is referenced by the term glossaries. Files which have already been added are skipped.
+     * @param {string} path
+     * @param {Uint8Array} content
+     */
+    async addMedia(path, content) {
+        if (this._mediaPaths.has(path)) { return; }
+        this._mediaPaths.add(path);
+        await this._zipWriter.add(path, new Uint8ArrayReader(content));
+    }
+
+    /**
+     * Writes the remaining terms and the index, and finishes the archive.
+     * @param {import('dictionary-data').Index} index
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async close(index) {
+        if (this._termBank.length > 0) {
+            await this._writeTermBank();
+        }
+        await this._zipWriter.add('index.json', new TextReader(JSON.stringify(index)));
+        const data = await this._zipWriter.close();
+        return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    }
+
+    // Private
+
+    /** */
+    async _writeTermBank() {
+        const termBank = this._termBank;
+        this._termBank = [];
+        const fileName = `term_bank_${++this._termBankCount}.json`;
+        await this._zipWriter.add(fileName, new TextReader(JSON.stringify(termBank)));
+    }
+}
+
+// Private
+
+/**
+ * @param {string} fileName
+ * @returns {?import('dictionary-format-converter').DictionaryFormatConverter}
+ */
+function getConverter(fileName) {
+    const lowerFileName = fileName.toLowerCase();
+    for (const converter of converters) {
+        if (converter.fileExtensions.some((extension) => lowerFileName.endsWith(extension))) {
+            return converter;
+        }
+    }
+    return null;
+}
+
+/**
+ * Gets the name of a file without its format extension.
+ * MDict resources may be split into numbered files, such as `name.mdd` and `name.1.mdd`.
+ * @param {string} fileName
+ * @param {import('dictionary-format-converter').DictionaryFormatConverter} converter
+ * @returns {string}
+ */
+function getBaseName(fileName, converter) {
+    const lowerFileName = fileName.toLowerCase();
+    let extensionLength = 0;
+    for (const extension of converter.fileExtensions) {
+        if (lowerFileName.endsWith(extension)) {
+            extensionLength = Math.max(extensionLength, extension.length);
+        }
+    }
+    const baseName = fileName.substring(0, fileName.length - extensionLength);
+    return converter.format === 'mdict' ? baseName.replace(/\.\d+$/, '') : baseName;
+}
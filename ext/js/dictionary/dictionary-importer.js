@@ -27,9 +27,14 @@ import {
 import {ExtensionError} from '../core/extension-error.js';
 import {parseJson} from '../core/json.js';
 import {toError} from '../core/to-error.js';
-import {stringReverse} from '../core/utilities.js';
+import {clone, stringReverse} from '../core/utilities.js';
 import {getFileExtensionFromImageMediaType, getImageMediaTypeFromFileName} from '../media/media-util.js';
 import {compareRevisions} from './dictionary-data-util.js';
+import {convertDictionaryFiles} from './dictionary-format-converter.js';
+import {compressTermEntryGlossary} from './glossary-compression.js';
+import {createGlossaryIndexEntries} from './glossary-index.js';
+import {PERSONAL_DICTIONARY_NAME} from './personal-dictionary.js';
+import {SOTTAKU_DICTIONARY_NAME} from './sottaku-dictionary.js';
 
 const ajvSchemas = /** @type {import('dictionary-importer').CompiledSchemaValidators} */ (/** @type {unknown} */ (ajvSchemas0));
 const BlobWriter = /** @type {typeof import('@zip.js/zip.js').BlobWriter} */ (/** @type {unknown} */ (BlobWriter0));
@@ -60,6 +65,36 @@ export class DictionaryImporter {
      * @returns {Promise<import('dictionary-importer').ImportResult>}
      */
     async importDictionary(dictionaryDatabase, archiveContent, details) {
+        return await this._importDictionary(dictionaryDatabase, async () => archiveContent, details);
+    }
+
+    /**
+     * Imports a dictionary from its source files, converting them first if they are not a Yomitan archive.
+     * Conversion progress is reported as part of the first step.
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     * @param {import('dictionary-format-converter').SourceFile[]} files
+     * @param {import('dictionary-importer').ImportDetails} details
+     * @returns {Promise<import('dictionary-importer').ImportResult>}
+     */
+    async importDictionaryFiles(dictionaryDatabase, files, details) {
+        /** @type {import('dictionary-format-converter').OnProgressCallback} */
+        const onProgress = ({index, count}) => {
+            this._progressData.index = index;
+            this._progressData.count = count;
+            this._progress();
+        };
+        return await this._importDictionary(dictionaryDatabase, () => convertDictionaryFiles(files, onProgress), details);
+    }
+
+    // Private
+
+    /**
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     * @param {() => Promise<ArrayBuffer>} getArchiveContent
+     * @param {import('dictionary-importer').ImportDetails} details
+     * @returns {Promise<import('dictionary-importer').ImportResult>}
+     */
+    async _importDictionary(dictionaryDatabase, getArchiveContent, details) {
         if (!dictionaryDatabase) {
             throw new Error('Invalid database');
         }
@@ -71,6 +106,10 @@ export class DictionaryImporter {
         const errors = [];
         const maxTransactionLength = 1000;
         const bulkAddProgressAllowance = 1000;
+        /** @type {import('dictionary-importer').ImportCheckpointRowCounts} */
+        const rowCounts = {};
+        // Once rows fail to be added, later checkpoints would record the incomplete file as imported
+        let bulkAddFailed = false;
 
         /**
          * @template {import('dictionary-database').ObjectStoreName} T
@@ -89,8 +128,10 @@ export class DictionaryImporter {
 
                 try {
                     await dictionaryDatabase.bulkAdd(objectStoreName, entries, i, count);
+                    rowCounts[objectStoreName] = (rowCounts[objectStoreName] ?? 0) + count;
                 } catch (e) {
                     errors.push(toError(e));
+                    bulkAddFailed = true;
                 }
 
                 this._progressData.index += progressIndexIncrease;
@@ -108,20 +149,47 @@ export class DictionaryImporter {
         });
 
         // Read archive
+        const archiveContent = await getArchiveContent();
         const fileMap = await this._getFilesFromArchive(archiveContent);
         const index = await this._readAndValidateIndex(fileMap);
 
-        const dictionaryTitle = index.title;
+        const dictionaryTitle = details.title ?? index.title;
         const version = /** @type {import('dictionary-data').IndexVersion} */ (index.version);
 
-        // Verify database is not already imported
-        if (await dictionaryDatabase.dictionaryExists(dictionaryTitle)) {
+        // The title of the personal dictionary is reserved, since its terms are edited in place
+        if (dictionaryTitle === PERSONAL_DICTIONARY_NAME) {
+            return {
+                errors: [new Error(`Dictionary title ${dictionaryTitle} is reserved for the terms you add yourself, skipped it.`)],
+                result: null,
+            };
+        }
+
+        // The Sottaku title is reserved, since it names the remote dictionary in the dictionary options
+        if (dictionaryTitle === SOTTAKU_DICTIONARY_NAME) {
             return {
-                errors: [new Error(`Dictionary ${dictionaryTitle} is already imported, skipped it.`)],
+                errors: [new Error(`Dictionary title ${dictionaryTitle} is reserved for Sottaku results, skipped it.`)],
                 result: null,
             };
         }
 
+        // Verify database is not already imported, unless a previous import of it was interrupted
+        const checkpointSummary = await dictionaryDatabase.getDictionarySummary(dictionaryTitle);
+        if (checkpointSummary !== null) {
+            if (typeof checkpointSummary.importCheckpoint === 'undefined') {
+                return {
+                    errors: [new Error(`Dictionary ${dictionaryTitle} is already imported, skipped it.`)],
+                    result: null,
+                };
+            }
+            if (checkpointSummary.revision !== index.revision) {
+                return {
+                    errors: [new Error(`Dictionary ${dictionaryTitle} was partially imported from revision ${checkpointSummary.revision}, delete it before importing revision ${index.revision}.`)],
+                    result: null,
+                };
+            }
+        }
+        const checkpoint = checkpointSummary !== null ? checkpointSummary.importCheckpoint : void 0;
+
         // Load schemas
         this._progressNextStep(0);
         const dataBankSchemas = this._getDataBankSchemas(version);
@@ -137,8 +205,10 @@ export class DictionaryImporter {
         ];
         const {termFiles, termMetaFiles, kanjiFiles, kanjiMetaFiles, tagFiles} = Object.fromEntries(this._getArchiveFiles(fileMap, queryDetails));
 
-        // Load data
-        const prefixWildcardsSupported = !!details.prefixWildcardsSupported;
+        // Load data, with the options of the interrupted import when resuming one so that all rows are alike
+        const prefixWildcardsSupported = checkpointSummary !== null ? checkpointSummary.prefixWildcardsSupported : !!details.prefixWildcardsSupported;
+        const glossaryIndexed = checkpointSummary !== null ? !!checkpointSummary.glossaryIndexed : !!details.glossaryIndexEnabled;
+        const glossaryCompressed = checkpointSummary !== null ? !!checkpointSummary.glossaryCompressed : !!details.glossaryCompressionEnabled;
 
         this._progressNextStep(termFiles.length + termMetaFiles.length + kanjiFiles.length + kanjiMetaFiles.length + tagFiles.length);
 
@@ -148,13 +218,13 @@ export class DictionaryImporter {
         for (const kanjiMetaFile of kanjiMetaFiles) { await this._validateFile(kanjiMetaFile, dataBankSchemas[3]); }
         for (const tagFile of tagFiles) { await this._validateFile(tagFile, dataBankSchemas[4]); }
 
-        // termFiles is doubled due to media importing
-        this._progressNextStep((termFiles.length * 2 + termMetaFiles.length + kanjiFiles.length + kanjiMetaFiles.length + tagFiles.length) * bulkAddProgressAllowance);
+        // termFiles is doubled due to media importing, and tripled when the glossary index is built
+        this._progressNextStep((termFiles.length * (glossaryIndexed ? 3 : 2) + termMetaFiles.length + kanjiFiles.length + kanjiMetaFiles.length + tagFiles.length) * bulkAddProgressAllowance);
 
         let importSuccess = false;
 
         /** @type {import('dictionary-importer').SummaryCounts} */
-        const counts = {
+        const counts = checkpointSummary?.counts ?? {
             terms: {total: 0},
             termMeta: {total: 0},
             kanji: {total: 0},
@@ -163,22 +233,54 @@ export class DictionaryImporter {
             media: {total: 0},
         };
 
+        /** @type {Set<string>} */
+        const committedFiles = new Set();
+        if (typeof checkpoint !== 'undefined') {
+            for (const fileName of checkpoint.committedFiles) { committedFiles.add(fileName); }
+            Object.assign(rowCounts, checkpoint.rowCounts);
+            // Rows of the file that was being imported when the previous attempt stopped
+            await dictionaryDatabase.discardUncommittedRows(dictionaryTitle, rowCounts);
+        }
+
         const yomitanVersion = details.yomitanVersion;
         /** @type {import('dictionary-importer').SummaryDetails} */
-        let summaryDetails = {prefixWildcardsSupported, counts, styles: '', yomitanVersion, importSuccess};
-
-        let summary = this._createSummary(dictionaryTitle, version, index, summaryDetails);
-        const dictionarySummaryAdd = await dictionaryDatabase.addWithResult('dictionaries', summary);
-        /** @type {Promise<IDBValidKey>} */
-        const dictionarySummaryResult = new Promise((resolve, reject) => {
-            dictionarySummaryAdd.onerror = () => reject(void 0);
-            dictionarySummaryAdd.onsuccess = () => resolve(dictionarySummaryAdd.result);
-        });
+        let summaryDetails = {prefixWildcardsSupported, glossaryIndexed, glossaryCompressed, counts, styles: '', yomitanVersion, importSuccess};
+
+        const fileCount = termFiles.length + termMetaFiles.length + kanjiFiles.length + kanjiMetaFiles.length + tagFiles.length;
+        /** @type {import('dictionary-importer').ImportCheckpoint} */
+        let importCheckpoint = {committedFiles: [...committedFiles], fileCount, rowCounts: {...rowCounts}};
+        let committedCounts = clone(counts);
+        /**
+         * Records that all rows of a bank file are in the database, so that an interrupted import can resume after it.
+         * Nothing is recorded after rows failed to be added, so that resuming the import adds them again.
+         * @param {?import('@zip.js/zip.js').Entry} file
+         */
+        const commitFile = async (file) => {
+            if (bulkAddFailed) { return; }
+            if (file !== null) { committedFiles.add(file.filename); }
+            importCheckpoint = {committedFiles: [...committedFiles], fileCount, rowCounts: {...rowCounts}};
+            committedCounts = clone(counts);
+            const checkpointSummaryDetails = {...summaryDetails, counts: committedCounts, importCheckpoint};
+            await dictionaryDatabase.setDictionarySummary(this._createSummary(dictionaryTitle, version, index, checkpointSummaryDetails));
+        };
+
+        await commitFile(null);
 
         try {
             const uniqueMediaPaths = new Set();
+            if (typeof checkpoint !== 'undefined') {
+                for await (const mediaList of dictionaryDatabase.getDictionaryEntryBatches('media', dictionaryTitle, 100)) {
+                    for (const {path} of mediaList) { uniqueMediaPaths.add(path); }
+                }
+            }
+
             for (const termFile of termFiles) {
-            /** @type {import('dictionary-importer').ImportRequirement[]} */
+                if (committedFiles.has(termFile.filename)) {
+                    this._progressData.index += (glossaryIndexed ? 3 : 2) * bulkAddProgressAllowance;
+                    continue;
+                }
+
+                /** @type {import('dictionary-importer').ImportRequirement[]} */
                 const requirements = [];
                 let termList = await (
                 version === 1 ?
@@ -216,16 +318,30 @@ export class DictionaryImporter {
 
                 this._progress();
 
-                await bulkAdd('terms', termList);
+                await bulkAdd('terms', glossaryCompressed ? await Promise.all(termList.map(compressTermEntryGlossary)) : termList);
                 counts.terms.total += termList.length;
 
                 this._progress();
 
+                // Glossary index support
+                if (glossaryIndexed) {
+                    await bulkAdd('glossaryIndex', createGlossaryIndexEntries(termList));
+
+                    this._progress();
+                }
+
                 termList = [];
                 media = [];
+
+                await commitFile(termFile);
             }
 
             for (const termMetaFile of termMetaFiles) {
+                if (committedFiles.has(termMetaFile.filename)) {
+                    this._progressData.index += bulkAddProgressAllowance;
+                    continue;
+                }
+
                 let termMetaList = await this._readFileSequence([termMetaFile], this._convertTermMetaBankEntry.bind(this), dictionaryTitle);
 
                 await bulkAdd('termMeta', termMetaList);
@@ -240,9 +356,16 @@ export class DictionaryImporter {
                 this._progress();
 
                 termMetaList = [];
+
+                await commitFile(termMetaFile);
             }
 
             for (const kanjiFile of kanjiFiles) {
+                if (committedFiles.has(kanjiFile.filename)) {
+                    this._progressData.index += bulkAddProgressAllowance;
+                    continue;
+                }
+
                 let kanjiList = await (
                 version === 1 ?
                 this._readFileSequence([kanjiFile], this._convertKanjiBankEntryV1.bind(this), dictionaryTitle) :
@@ -255,9 +378,16 @@ export class DictionaryImporter {
                 this._progress();
 
                 kanjiList = [];
+
+                await commitFile(kanjiFile);
             }
 
             for (const kanjiMetaFile of kanjiMetaFiles) {
+                if (committedFiles.has(kanjiMetaFile.filename)) {
+                    this._progressData.index += bulkAddProgressAllowance;
+                    continue;
+                }
+
                 let kanjiMetaList = await this._readFileSequence([kanjiMetaFile], this._convertKanjiMetaBankEntry.bind(this), dictionaryTitle);
 
                 await bulkAdd('kanjiMeta', kanjiMetaList);
@@ -272,9 +402,16 @@ export class DictionaryImporter {
                 this._progress();
 
                 kanjiMetaList = [];
+
+                await commitFile(kanjiMetaFile);
             }
 
             for (const tagFile of tagFiles) {
+                if (committedFiles.has(tagFile.filename)) {
+                    this._progressData.index += bulkAddProgressAllowance;
+                    continue;
+                }
+
                 let tagList = await this._readFileSequence([tagFile], this._convertTagBankEntry.bind(this), dictionaryTitle);
                 this._addOldIndexTags(index, tagList, dictionaryTitle);
 
@@ -284,9 +421,11 @@ export class DictionaryImporter {
                 this._progress();
 
                 tagList = [];
+
+                await commitFile(tagFile);
             }
 
-            importSuccess = true;
+            importSuccess = !bulkAddFailed;
         } catch (e) {
             errors.push(toError(e));
         }
@@ -308,10 +447,12 @@ export class DictionaryImporter {
             }
         }
 
-        summaryDetails = {prefixWildcardsSupported, counts, styles, yomitanVersion, importSuccess};
-        summary = this._createSummary(dictionaryTitle, version, index, summaryDetails);
-        const primaryKey = await dictionarySummaryResult;
-        await dictionaryDatabase.bulkUpdate('dictionaries', [{data: summary, primaryKey}], 0, 1);
+        // A failed import keeps its last checkpoint, so that it can be resumed once the cause is fixed
+        summaryDetails = importSuccess ?
+            {prefixWildcardsSupported, glossaryIndexed, glossaryCompressed, counts, styles, yomitanVersion, importSuccess} :
+            {prefixWildcardsSupported, glossaryIndexed, glossaryCompressed, counts: committedCounts, styles, yomitanVersion, importSuccess, importCheckpoint};
+        const summary = this._createSummary(dictionaryTitle, version, index, summaryDetails);
+        await dictionaryDatabase.setDictionarySummary(summary);
 
         this._progress();
 
@@ -428,7 +569,7 @@ export class DictionaryImporter {
      */
     _createSummary(dictionaryTitle, version, index, details) {
         const indexSequenced = index.sequenced;
-        const {prefixWildcardsSupported, counts, styles, importSuccess} = details;
+        const {prefixWildcardsSupported, glossaryIndexed, glossaryCompressed, counts, styles, importSuccess, importCheckpoint} = details;
         /** @type {import('dictionary-importer').Summary} */
         const summary = {
             title: dictionaryTitle,
@@ -443,6 +584,9 @@ export class DictionaryImporter {
         };
 
         const {minimumYomitanVersion, author, url, description, attribution, frequencyMode, isUpdatable, sourceLanguage, targetLanguage} = index;
+        if (glossaryIndexed) { summary.glossaryIndexed = true; }
+        if (glossaryCompressed) { summary.glossaryCompressed = true; }
+        if (typeof importCheckpoint !== 'undefined') { summary.importCheckpoint = importCheckpoint; }
         if (typeof minimumYomitanVersion === 'string') {
             if (details.yomitanVersion === '0.0.0.0') {
                 // Running a development version of Yomitan
@@ -0,0 +1,353 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/** @type {import('dictionary-integrity-checker').DictionaryObjectStoreName[]} */
+const OBJECT_STORE_NAMES = ['terms', 'termMeta', 'kanji', 'kanjiMeta', 'tagMeta', 'media', 'glossaryIndex'];
+
+/** @type {(keyof import('dictionary-importer').SummaryCounts)[]} */
+const COUNTED_OBJECT_STORE_NAMES = ['terms', 'termMeta', 'kanji', 'kanjiMeta', 'tagMeta', 'media'];
+
+const BATCH_SIZE = 1000;
+
+export class DictionaryIntegrityChecker {
+    /**
+     * @param {import('dictionary-integrity-checker').OnProgressCallback} [onProgress]
+     */
+    constructor(onProgress) {
+        /** @type {import('dictionary-integrity-checker').OnProgressCallback} */
+        this._onProgress = typeof onProgress === 'function' ? onProgress : () => {};
+        /** @type {import('dictionary-integrity-checker').ProgressData} */
+        this._progressData = {index: 0, count: 0};
+    }
+
+    /**
+     * Scans every object store and reports the rows which are inconsistent with the dictionary summaries.
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     * @returns {Promise<import('dictionary-integrity-checker').IntegrityReport>}
+     */
+    async checkIntegrity(dictionaryDatabase) {
+        const {report} = await this._scan(dictionaryDatabase);
+        return report;
+    }
+
+    /**
+     * Deletes orphaned, unowned and duplicate rows, and corrects the summary counts.
+     * Missing media cannot be restored, since the archive it came from is no longer available.
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     * @returns {Promise<import('dictionary-integrity-checker').RepairResult>}
+     */
+    async repair(dictionaryDatabase) {
+        const {report, summaries, unownedKeys, duplicateKeys, counts} = await this._scan(dictionaryDatabase);
+
+        for (const {dictionary} of report.orphanDictionaries) {
+            await dictionaryDatabase.deleteDictionary(dictionary, 1000, () => {});
+        }
+        for (const [objectStoreName, keys] of unownedKeys) {
+            await dictionaryDatabase.deleteRows(objectStoreName, keys);
+        }
+        for (const [objectStoreName, keys] of duplicateKeys) {
+            await dictionaryDatabase.deleteRows(objectStoreName, keys);
+        }
+        for (const {title, countMismatches, duplicateRows} of report.dictionaries) {
+            const summary = summaries.get(title);
+            const summaryCounts = counts.get(title);
+            if (typeof summary === 'undefined' || typeof summaryCounts === 'undefined') { continue; }
+            if (countMismatches.length === 0 && Object.keys(duplicateRows).length === 0) { continue; }
+            await dictionaryDatabase.setDictionarySummary({...summary, counts: summaryCounts});
+        }
+
+        const remaining = await this.checkIntegrity(dictionaryDatabase);
+        return {repaired: report, remaining};
+    }
+
+    // Private
+
+    /**
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     * @returns {Promise<import('dictionary-integrity-checker').ScanResult>}
+     * @throws {Error}
+     */
+    async _scan(dictionaryDatabase) {
+        if (!dictionaryDatabase.isPrepared()) {
+            throw new Error('Database is not ready');
+        }
+
+        /** @type {Map<string, import('dictionary-importer').Summary>} */
+        const summaries = new Map();
+        for (const summary of await dictionaryDatabase.getDictionaryInfo()) {
+            if (summary.isRemote === true) { continue; }
+            summaries.set(summary.title, summary);
+        }
+
+        /** @type {Map<string, Set<import('dictionary-integrity-checker').DictionaryObjectStoreName>>} */
+        const orphanObjectStoreNames = new Map();
+        /** @type {import('dictionary-integrity-checker').RowCounts} */
+        const unownedRows = {};
+        /** @type {Map<import('dictionary-integrity-checker').DictionaryObjectStoreName, number[]>} */
+        const unownedKeys = new Map();
+        for (const objectStoreName of OBJECT_STORE_NAMES) {
+            for (const dictionary of await dictionaryDatabase.getRowDictionaryNames(objectStoreName)) {
+                if (summaries.has(dictionary)) { continue; }
+                const objectStoreNames = orphanObjectStoreNames.get(dictionary);
+                if (typeof objectStoreNames === 'undefined') {
+                    orphanObjectStoreNames.set(dictionary, new Set([objectStoreName]));
+                } else {
+                    objectStoreNames.add(objectStoreName);
+                }
+            }
+            const keys = await dictionaryDatabase.getUnownedRowKeys(objectStoreName);
+            if (keys.length > 0) {
+                unownedRows[objectStoreName] = keys.length;
+                unownedKeys.set(objectStoreName, keys);
+            }
+        }
+
+        /** @type {import('dictionary-integrity-checker').OrphanDictionaryReport[]} */
+        const orphanDictionaries = [];
+        for (const [dictionary, objectStoreNames] of orphanObjectStoreNames) {
+            const {counts: [counts]} = await dictionaryDatabase.getDictionaryCounts([dictionary], false);
+            /** @type {import('dictionary-integrity-checker').RowCounts} */
+            const rowCounts = {};
+            for (const objectStoreName of objectStoreNames) {
+                // The glossary index is not part of the dictionary counts
+                rowCounts[objectStoreName] = objectStoreName in counts ? counts[objectStoreName] : await this._countRows(dictionaryDatabase, objectStoreName, dictionary);
+            }
+            orphanDictionaries.push({dictionary, rowCounts});
+        }
+
+        this._progressData = {index: 0, count: summaries.size * OBJECT_STORE_NAMES.length};
+        this._progress();
+
+        /** @type {import('dictionary-integrity-checker').DictionaryIntegrityReport[]} */
+        const dictionaries = [];
+        /** @type {Map<import('dictionary-integrity-checker').DictionaryObjectStoreName, number[]>} */
+        const duplicateKeys = new Map();
+        /** @type {Map<string, import('dictionary-importer').SummaryCounts>} */
+        const counts = new Map();
+        for (const summary of summaries.values()) {
+            const {title} = summary;
+            /** @type {import('dictionary-integrity-checker').RowCounts} */
+            const duplicateRows = {};
+            /** @type {Set<string>} */
+            const mediaPaths = new Set();
+            /** @type {Set<string>} */
+            const referencedMediaPaths = new Set();
+            /** @type {Map<string, import('dictionary-importer').SummaryMetaCount>} */
+            const actualCounts = new Map();
+
+            for (const objectStoreName of OBJECT_STORE_NAMES) {
+                const {keys, rowCounts} = await this._findDuplicateRows(dictionaryDatabase, objectStoreName, title, mediaPaths, referencedMediaPaths);
+                if (keys.length > 0) {
+                    duplicateRows[objectStoreName] = keys.length;
+                    const allKeys = duplicateKeys.get(objectStoreName);
+                    if (typeof allKeys === 'undefined') {
+                        duplicateKeys.set(objectStoreName, keys);
+                    } else {
+                        for (const key of keys) { allKeys.push(key); }
+                    }
+                }
+                actualCounts.set(objectStoreName, rowCounts);
+                ++this._progressData.index;
+                this._progress();
+            }
+
+            /** @type {import('dictionary-importer').SummaryCounts} */
+            const summaryCounts = {
+                terms: {total: 0},
+                termMeta: {total: 0},
+                kanji: {total: 0},
+                kanjiMeta: {total: 0},
+                tagMeta: {total: 0},
+                media: {total: 0},
+            };
+            /** @type {import('dictionary-integrity-checker').CountMismatch[]} */
+            const countMismatches = [];
+            for (const objectStoreName of COUNTED_OBJECT_STORE_NAMES) {
+                const rowCounts = actualCounts.get(objectStoreName);
+                if (typeof rowCounts === 'undefined') { continue; }
+                summaryCounts[objectStoreName] = /** @type {import('dictionary-importer').SummaryItemCount & import('dictionary-importer').SummaryMetaCount} */ (rowCounts);
+                const expected = summary.counts?.[objectStoreName]?.total;
+                const actual = rowCounts.total + (duplicateRows[objectStoreName] ?? 0);
+                // The counts of an interrupted import only cover the bank files which were committed
+                if (typeof expected !== 'number' || typeof summary.importCheckpoint !== 'undefined') { continue; }
+                if (expected !== actual) {
+                    countMismatches.push({objectStoreName, expected, actual});
+                }
+            }
+            counts.set(title, summaryCounts);
+
+            const missingMedia = [...referencedMediaPaths].filter((path) => !mediaPaths.has(path));
+            dictionaries.push({title, countMismatches, duplicateRows, missingMedia});
+        }
+
+        /** @type {import('dictionary-integrity-checker').IntegrityReport} */
+        const report = {
+            dictionaries,
+            orphanDictionaries,
+            unownedRows,
+        };
+        return {report, summaries, unownedKeys, duplicateKeys, counts};
+    }
+
+    /**
+     * Finds the rows of a dictionary which are copies of an earlier row, and counts the remaining rows.
+     * Rows are first compared by a hash, and only rows whose hash occurs more than once are compared in full.
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     * @param {import('dictionary-integrity-checker').DictionaryObjectStoreName} objectStoreName
+     * @param {string} dictionaryName
+     * @param {Set<string>} mediaPaths
+     * @param {Set<string>} referencedMediaPaths
+     * @returns {Promise<{keys: number[], rowCounts: import('dictionary-importer').SummaryMetaCount}>}
+     */
+    async _findDuplicateRows(dictionaryDatabase, objectStoreName, dictionaryName, mediaPaths, referencedMediaPaths) {
+        /** @type {Set<number|string>} */
+        const hashes = new Set();
+        /** @type {Set<number|string>} */
+        const repeatedHashes = new Set();
+        /** @type {Map<string, number>} */
+        const modeCounts = new Map();
+        let total = 0;
+        for await (const rows of dictionaryDatabase.getDictionaryRowBatches(objectStoreName, dictionaryName, BATCH_SIZE)) {
+            for (const {row} of rows) {
+                const hash = this._getRowHash(row);
+                if (hashes.has(hash)) {
+                    repeatedHashes.add(hash);
+                } else {
+                    hashes.add(hash);
+                }
+                ++total;
+                if ('mode' in row) {
+                    modeCounts.set(row.mode, (modeCounts.get(row.mode) ?? 0) + 1);
+                }
+                if ('path' in row) {
+                    mediaPaths.add(row.path);
+                } else if ('glossary' in row) {
+                    for (const glossary of row.glossary) {
+                        this._addMediaPaths(glossary, referencedMediaPaths);
+                    }
+                }
+            }
+        }
+        hashes.clear();
+
+        /** @type {number[]} */
+        const keys = [];
+        if (repeatedHashes.size > 0) {
+            /** @type {Set<string>} */
+            const contents = new Set();
+            for await (const rows of dictionaryDatabase.getDictionaryRowBatches(objectStoreName, dictionaryName, BATCH_SIZE)) {
+                for (const {key, row} of rows) {
+                    if (!repeatedHashes.has(this._getRowHash(row))) { continue; }
+                    const content = this._getRowContent(row);
+                    if (!contents.has(content)) {
+                        contents.add(content);
+                        continue;
+                    }
+                    keys.push(key);
+                    --total;
+                    if ('mode' in row) {
+                        modeCounts.set(row.mode, (modeCounts.get(row.mode) ?? 0) - 1);
+                    }
+                }
+            }
+        }
+
+        /** @type {import('dictionary-importer').SummaryMetaCount} */
+        const rowCounts = {total};
+        for (const [mode, count] of modeCounts) {
+            if (mode === 'total') { continue; }
+            rowCounts[mode] = count;
+        }
+        return {keys, rowCounts};
+    }
+
+    /**
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     * @param {import('dictionary-integrity-checker').DictionaryObjectStoreName} objectStoreName
+     * @param {string} dictionaryName
+     * @returns {Promise<number>}
+     */
+    async _countRows(dictionaryDatabase, objectStoreName, dictionaryName) {
+        let count = 0;
+        for await (const rows of dictionaryDatabase.getDictionaryRowBatches(objectStoreName, dictionaryName, BATCH_SIZE)) {
+            count += rows.length;
+        }
+        return count;
+    }
+
+    /**
+     * Media rows are identified by their path, since their content cannot be serialized as JSON.
+     * @param {import('dictionary-database').ObjectStoreData<import('dictionary-integrity-checker').DictionaryObjectStoreName>} row
+     * @returns {number|string}
+     */
+    _getRowHash(row) {
+        return 'path' in row ? row.path : this._hashString(this._getRowContent(row));
+    }
+
+    /**
+     * @param {import('dictionary-database').ObjectStoreData<import('dictionary-integrity-checker').DictionaryObjectStoreName>} row
+     * @returns {string}
+     */
+    _getRowContent(row) {
+        if ('path' in row) { return row.path; }
+        // The primary key of terms is stored in the row itself
+        const content = /** @type {{[key: string]: unknown}} */ ({...row});
+        delete content.id;
+        return JSON.stringify(content);
+    }
+
+    /**
+     * A 53-bit string hash, which keeps the hashes of millions of rows in memory without holding the rows.
+     * @param {string} value
+     * @returns {number}
+     */
+    _hashString(value) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0, ii = value.length; i < ii; ++i) {
+            const c = value.charCodeAt(i);
+            h1 = Math.imul(h1 ^ c, 2654435761);
+            h2 = Math.imul(h2 ^ c, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2)) + (h1 >>> 0);
+    }
+
+    /**
+     * @param {unknown} content
+     * @param {Set<string>} paths
+     */
+    _addMediaPaths(content, paths) {
+        if (typeof content !== 'object' || content === null) { return; }
+        if (Array.isArray(content)) {
+            for (const item of content) { this._addMediaPaths(item, paths); }
+            return;
+        }
+        const {type, tag, path, content: children} = /** @type {{[key: string]: unknown}} */ (content);
+        if ((type === 'image' || tag === 'img') && typeof path === 'string') {
+            paths.add(path);
+        }
+        this._addMediaPaths(children, paths);
+    }
+
+    /** */
+    _progress() {
+        this._onProgress({...this._progressData});
+    }
+}
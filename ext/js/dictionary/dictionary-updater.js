@@ -0,0 +1,130 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import * as ajvSchemas0 from '../../lib/validate-schemas.js';
+import {ExtensionError} from '../core/extension-error.js';
+import {readResponseJson} from '../core/json.js';
+import {toError} from '../core/to-error.js';
+import {compareRevisions} from './dictionary-data-util.js';
+import {DictionaryWorker} from './dictionary-worker.js';
+import {PERSONAL_DICTIONARY_NAME} from './personal-dictionary.js';
+import {SOTTAKU_DICTIONARY_NAME} from './sottaku-dictionary.js';
+
+const ajvSchemas = /** @type {import('dictionary-importer').CompiledSchemaValidators} */ (/** @type {unknown} */ (ajvSchemas0));
+
+/**
+ * Updates dictionaries which were imported from an archive that declares an index URL.
+ * A newer revision is imported alongside the current one and then swapped in,
+ * so lookups keep working while it downloads and imports.
+ */
+export class DictionaryUpdater {
+    /**
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     */
+    constructor(dictionaryDatabase) {
+        /** @type {import('./dictionary-database.js').DictionaryDatabase} */
+        this._dictionaryDatabase = dictionaryDatabase;
+    }
+
+    /**
+     * Checks the index URL of every updatable dictionary for a newer revision.
+     * @returns {Promise<import('dictionary-updater').DictionaryUpdateCheck>}
+     */
+    async checkForUpdates() {
+        /** @type {import('dictionary-updater').DictionaryUpdate[]} */
+        const updates = [];
+        /** @type {import('core').SerializedError[]} */
+        const errors = [];
+        for (const summary of await this._dictionaryDatabase.getDictionaryInfo()) {
+            try {
+                const update = await this._checkForUpdate(summary);
+                if (update !== null) { updates.push(update); }
+            } catch (e) {
+                errors.push(ExtensionError.serialize(new Error(`Failed to check ${summary.title} for updates: ${toError(e).message}`)));
+            }
+        }
+        return {updates, errors};
+    }
+
+    /**
+     * Downloads and imports a newer revision of a dictionary, then replaces the current revision with it.
+     * @param {import('dictionary-updater').DictionaryUpdate} update
+     * @param {import('dictionary-importer').ImportDetails} details
+     * @returns {Promise<import('dictionary-importer').Summary>}
+     * @throws {Error}
+     */
+    async updateDictionary({title, newTitle, downloadUrl}, details) {
+        if (newTitle === PERSONAL_DICTIONARY_NAME) {
+            throw new Error(`Cannot update ${title}: the title ${newTitle} is reserved for the terms you add yourself`);
+        }
+        if (newTitle === SOTTAKU_DICTIONARY_NAME) {
+            throw new Error(`Cannot update ${title}: the title ${newTitle} is reserved for Sottaku results`);
+        }
+        const response = await fetch(downloadUrl);
+        if (!response.ok) {
+            throw new Error(`Failed to download ${title}: ${response.status} ${response.statusText}`);
+        }
+        const archiveContent = await response.arrayBuffer();
+
+        const stagedTitle = `${title} (update)`;
+        if (await this._dictionaryDatabase.dictionaryExists(stagedTitle)) {
+            // Left behind by an update which was interrupted
+            await this._dictionaryDatabase.deleteDictionary(stagedTitle, 1000, () => {});
+        }
+
+        const {result, errors} = await new DictionaryWorker().importDictionary(archiveContent, {...details, title: stagedTitle}, null);
+        if (result === null) {
+            const message = errors.length > 0 ? errors[0].message : 'Unknown error';
+            throw new Error(`Failed to import the update of ${title}: ${message}`);
+        }
+
+        await this._dictionaryDatabase.replaceDictionary(title, stagedTitle, newTitle);
+        return {...result, title: newTitle};
+    }
+
+    // Private
+
+    /**
+     * @param {import('dictionary-importer').Summary} summary
+     * @returns {Promise<?import('dictionary-updater').DictionaryUpdate>}
+     * @throws {Error}
+     */
+    async _checkForUpdate({title, revision, isUpdatable, indexUrl, downloadUrl}) {
+        if (!isUpdatable || !indexUrl || !downloadUrl) { return null; }
+
+        const response = await fetch(indexUrl);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+
+        /** @type {unknown} */
+        const index = await readResponseJson(response);
+        if (!ajvSchemas.dictionaryIndex(index)) {
+            throw new Error('Invalid dictionary index');
+        }
+
+        const validIndex = /** @type {import('dictionary-data').Index} */ (index);
+        if (!compareRevisions(revision, validIndex.revision)) { return null; }
+
+        return {
+            title,
+            newTitle: validIndex.title,
+            revision: validIndex.revision,
+            downloadUrl: validIndex.downloadUrl ?? downloadUrl,
+        };
+    }
+}
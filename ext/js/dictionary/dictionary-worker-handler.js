@@ -18,7 +18,9 @@
 
 import {ExtensionError} from '../core/extension-error.js';
 import {DictionaryDatabase} from './dictionary-database.js';
+import {DictionaryExporter} from './dictionary-exporter.js';
 import {DictionaryImporter} from './dictionary-importer.js';
+import {DictionaryIntegrityChecker} from './dictionary-integrity-checker.js';
 import {DictionaryWorkerMediaLoader} from './dictionary-worker-media-loader.js';
 
 export class DictionaryWorkerHandler {
@@ -43,12 +45,30 @@ export class DictionaryWorkerHandler {
             case 'importDictionary':
                 void this._onMessageWithProgress(params, this._importDictionary.bind(this));
                 break;
+            case 'importDictionaryFiles':
+                void this._onMessageWithProgress(params, this._importDictionaryFiles.bind(this));
+                break;
             case 'deleteDictionary':
                 void this._onMessageWithProgress(params, this._deleteDictionary.bind(this));
                 break;
             case 'getDictionaryCounts':
                 void this._onMessageWithProgress(params, this._getDictionaryCounts.bind(this));
                 break;
+            case 'buildGlossaryIndex':
+                void this._onMessageWithProgress(params, this._buildGlossaryIndex.bind(this));
+                break;
+            case 'compressGlossaries':
+                void this._onMessageWithProgress(params, this._compressGlossaries.bind(this));
+                break;
+            case 'exportDictionary':
+                void this._onMessageWithProgress(params, this._exportDictionary.bind(this));
+                break;
+            case 'checkDictionaryIntegrity':
+                void this._onMessageWithProgress(params, this._checkDictionaryIntegrity.bind(this));
+                break;
+            case 'repairDictionaryIntegrity':
+                void this._onMessageWithProgress(params, this._repairDictionaryIntegrity.bind(this));
+                break;
             case 'getImageDetails.response':
                 this._mediaLoader.handleMessage(params);
                 break;
@@ -99,6 +119,25 @@ export class DictionaryWorkerHandler {
         }
     }
 
+    /**
+     * @param {import('dictionary-worker-handler').ImportDictionaryFilesMessageParams} details
+     * @param {import('dictionary-worker-handler').OnProgressCallback} onProgress
+     * @returns {Promise<import('dictionary-worker').MessageCompleteResultSerialized>}
+     */
+    async _importDictionaryFiles({details, files}, onProgress) {
+        const dictionaryDatabase = await this._getPreparedDictionaryDatabase();
+        try {
+            const dictionaryImporter = new DictionaryImporter(this._mediaLoader, onProgress);
+            const {result, errors} = await dictionaryImporter.importDictionaryFiles(dictionaryDatabase, files, details);
+            return {
+                result,
+                errors: errors.map((error) => ExtensionError.serialize(error)),
+            };
+        } finally {
+            void dictionaryDatabase.close();
+        }
+    }
+
     /**
      * @param {import('dictionary-worker-handler').DeleteDictionaryMessageParams} details
      * @param {import('dictionary-database').DeleteDictionaryProgressCallback} onProgress
@@ -113,6 +152,76 @@ export class DictionaryWorkerHandler {
         }
     }
 
+    /**
+     * @param {import('dictionary-worker-handler').BuildGlossaryIndexMessageParams} details
+     * @param {import('dictionary-database').BuildGlossaryIndexProgressCallback} onProgress
+     * @returns {Promise<void>}
+     */
+    async _buildGlossaryIndex({dictionaryTitle}, onProgress) {
+        const dictionaryDatabase = await this._getPreparedDictionaryDatabase();
+        try {
+            return await dictionaryDatabase.buildGlossaryIndex(dictionaryTitle, onProgress);
+        } finally {
+            void dictionaryDatabase.close();
+        }
+    }
+
+    /**
+     * @param {import('dictionary-worker-handler').CompressGlossariesMessageParams} details
+     * @param {import('dictionary-database').CompressGlossariesProgressCallback} onProgress
+     * @returns {Promise<void>}
+     */
+    async _compressGlossaries({dictionaryTitle}, onProgress) {
+        const dictionaryDatabase = await this._getPreparedDictionaryDatabase();
+        try {
+            return await dictionaryDatabase.compressGlossaries(dictionaryTitle, onProgress);
+        } finally {
+            void dictionaryDatabase.close();
+        }
+    }
+
+    /**
+     * @param {import('dictionary-worker-handler').ExportDictionaryMessageParams} details
+     * @param {import('dictionary-exporter').OnProgressCallback} onProgress
+     * @returns {Promise<Blob>}
+     */
+    async _exportDictionary({dictionaryTitle, details}, onProgress) {
+        const dictionaryDatabase = await this._getPreparedDictionaryDatabase();
+        try {
+            return await new DictionaryExporter(onProgress).exportDictionary(dictionaryDatabase, dictionaryTitle, details);
+        } finally {
+            void dictionaryDatabase.close();
+        }
+    }
+
+    /**
+     * @param {import('dictionary-worker-handler').CheckDictionaryIntegrityMessageParams} _details
+     * @param {import('dictionary-integrity-checker').OnProgressCallback} onProgress
+     * @returns {Promise<import('dictionary-integrity-checker').IntegrityReport>}
+     */
+    async _checkDictionaryIntegrity(_details, onProgress) {
+        const dictionaryDatabase = await this._getPreparedDictionaryDatabase();
+        try {
+            return await new DictionaryIntegrityChecker(onProgress).checkIntegrity(dictionaryDatabase);
+        } finally {
+            void dictionaryDatabase.close();
+        }
+    }
+
+    /**
+     * @param {import('dictionary-worker-handler').RepairDictionaryIntegrityMessageParams} _details
+     * @param {import('dictionary-integrity-checker').OnProgressCallback} onProgress
+     * @returns {Promise<import('dictionary-integrity-checker').RepairResult>}
+     */
+    async _repairDictionaryIntegrity(_details, onProgress) {
+        const dictionaryDatabase = await this._getPreparedDictionaryDatabase();
+        try {
+            return await new DictionaryIntegrityChecker(onProgress).repair(dictionaryDatabase);
+        } finally {
+            void dictionaryDatabase.close();
+        }
+    }
+
     /**
      * @param {import('dictionary-worker-handler').GetDictionaryCountsMessageParams} details
      * @returns {Promise<import('dictionary-database').DictionaryCounts>}
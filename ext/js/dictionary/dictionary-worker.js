@@ -41,6 +41,23 @@ export class DictionaryWorker {
         );
     }
 
+    /**
+     * Imports a dictionary from its source files, which are converted if they are not a Yomitan archive.
+     * @param {import('dictionary-format-converter').SourceFile[]} files
+     * @param {import('dictionary-importer').ImportDetails} details
+     * @param {?import('dictionary-worker').ImportProgressCallback} onProgress
+     * @returns {Promise<import('dictionary-importer').ImportResult>}
+     */
+    importDictionaryFiles(files, details, onProgress) {
+        return this._invoke(
+            'importDictionaryFiles',
+            {details, files},
+            files.map(({content}) => content),
+            onProgress,
+            this._formatImportDictionaryResult.bind(this),
+        );
+    }
+
     /**
      * @param {string} dictionaryTitle
      * @param {?import('dictionary-worker').DeleteProgressCallback} onProgress
@@ -50,6 +67,53 @@ export class DictionaryWorker {
         return this._invoke('deleteDictionary', {dictionaryTitle}, [], onProgress, null);
     }
 
+    /**
+     * @param {string} dictionaryTitle
+     * @param {?import('dictionary-worker').BuildGlossaryIndexProgressCallback} onProgress
+     * @returns {Promise<void>}
+     */
+    buildGlossaryIndex(dictionaryTitle, onProgress) {
+        return this._invoke('buildGlossaryIndex', {dictionaryTitle}, [], onProgress, null);
+    }
+
+    /**
+     * @param {string} dictionaryTitle
+     * @param {?import('dictionary-worker').CompressGlossariesProgressCallback} onProgress
+     * @returns {Promise<void>}
+     */
+    compressGlossaries(dictionaryTitle, onProgress) {
+        return this._invoke('compressGlossaries', {dictionaryTitle}, [], onProgress, null);
+    }
+
+    /**
+     * Exports an imported dictionary to a Yomitan archive.
+     * @param {string} dictionaryTitle
+     * @param {import('dictionary-exporter').ExportDetails} details
+     * @param {?import('dictionary-worker').ExportProgressCallback} onProgress
+     * @returns {Promise<Blob>}
+     */
+    exportDictionary(dictionaryTitle, details, onProgress) {
+        return this._invoke('exportDictionary', {dictionaryTitle, details}, [], onProgress, null);
+    }
+
+    /**
+     * Reports the rows of every object store which are inconsistent with the dictionary summaries.
+     * @param {?import('dictionary-worker').IntegrityProgressCallback} onProgress
+     * @returns {Promise<import('dictionary-integrity-checker').IntegrityReport>}
+     */
+    checkDictionaryIntegrity(onProgress) {
+        return this._invoke('checkDictionaryIntegrity', {}, [], onProgress, null);
+    }
+
+    /**
+     * Repairs the inconsistencies that `checkDictionaryIntegrity` reports, where possible.
+     * @param {?import('dictionary-worker').IntegrityProgressCallback} onProgress
+     * @returns {Promise<import('dictionary-integrity-checker').RepairResult>}
+     */
+    repairDictionaryIntegrity(onProgress) {
+        return this._invoke('repairDictionaryIntegrity', {}, [], onProgress, null);
+    }
+
     /**
      * @param {string[]} dictionaryNames
      * @param {boolean} getTotal
@@ -0,0 +1,65 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {parseJson} from '../core/json.js';
+
+/**
+ * Replaces the glossary of a term entry with its compressed JSON, if that makes the stored entry smaller.
+ * Short glossaries usually do not shrink, so entries of a compressed dictionary can be stored either way.
+ * @param {import('dictionary-database').DatabaseTermEntry} entry
+ * @returns {Promise<import('dictionary-database').DatabaseTermEntry>}
+ */
+export async function compressTermEntryGlossary(entry) {
+    if (typeof entry.glossaryCompressed !== 'undefined') { return entry; }
+    const data = new TextEncoder().encode(JSON.stringify(entry.glossary));
+    const glossaryCompressed = await transformData(data, new CompressionStream('deflate'));
+    if (glossaryCompressed.byteLength >= data.byteLength) { return entry; }
+    return {...entry, glossary: [], glossaryCompressed};
+}
+
+/**
+ * Restores the glossary of a term entry which was stored compressed.
+ * @param {import('dictionary-database').DatabaseTermEntry} entry
+ * @returns {Promise<import('dictionary-database').DatabaseTermEntry>}
+ */
+export async function decompressTermEntryGlossary(entry) {
+    const {glossaryCompressed} = entry;
+    if (typeof glossaryCompressed === 'undefined') { return entry; }
+    const result = {...entry, glossary: await decompressGlossary(glossaryCompressed)};
+    delete result.glossaryCompressed;
+    return result;
+}
+
+/**
+ * @param {ArrayBuffer} glossaryCompressed
+ * @returns {Promise<import('dictionary-data').TermGlossary[]>}
+ */
+export async function decompressGlossary(glossaryCompressed) {
+    const data = await transformData(new Uint8Array(glossaryCompressed), new DecompressionStream('deflate'));
+    return /** @type {import('dictionary-data').TermGlossary[]} */ (parseJson(new TextDecoder().decode(data)));
+}
+
+/**
+ * @param {Uint8Array} data
+ * @param {CompressionStream|DecompressionStream} transformStream
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function transformData(data, transformStream) {
+    const stream = new Blob([data]).stream().pipeThrough(transformStream);
+    return await new Response(stream).arrayBuffer();
+}
@@ -0,0 +1,113 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+/**
+ * Words which are too common in glossaries to narrow down a meaning search.
+ */
+const STOP_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'sb', 'sth', 'that', 'the', 'this', 'to', 'with']);
+
+const TOKEN_SEPARATOR_PATTERN = /[^\p{L}\p{N}]+/u;
+
+/**
+ * Diacritics are only removed from alphabetic scripts, since they are distinctive in scripts like kana.
+ */
+const ALPHABETIC_DIACRITIC_PATTERN = /([\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}])\p{M}+/gu;
+
+/**
+ * Creates the rows of the glossary index for a list of term entries.
+ * Each row links a token found in the glossaries of a term to the headword of that term.
+ * @param {import('dictionary-database').DatabaseTermEntry[]} termList
+ * @returns {import('dictionary-database').DatabaseGlossaryIndexEntry[]}
+ */
+export function createGlossaryIndexEntries(termList) {
+    /** @type {import('dictionary-database').DatabaseGlossaryIndexEntry[]} */
+    const results = [];
+    for (const {expression, reading, glossary, dictionary} of termList) {
+        for (const token of getGlossaryTokens(glossary)) {
+            results.push({dictionary, token, expression, reading});
+        }
+    }
+    return results;
+}
+
+/**
+ * @param {import('dictionary-data').TermGlossary[]} glossaryList
+ * @returns {Set<string>}
+ */
+export function getGlossaryTokens(glossaryList) {
+    /** @type {Set<string>} */
+    const tokens = new Set();
+    for (const glossary of glossaryList) {
+        if (typeof glossary === 'string') {
+            addTokens(tokens, glossary);
+        } else if (Array.isArray(glossary)) {
+            // Deinflection glossaries only refer to other headwords
+            continue;
+        } else if (glossary.type === 'text') {
+            addTokens(tokens, glossary.text);
+        } else if (glossary.type === 'structured-content') {
+            addStructuredContentTokens(tokens, glossary.content);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Gets the tokens to search for the meaning in the query text.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function getGlossaryQueryTokens(text) {
+    /** @type {Set<string>} */
+    const tokens = new Set();
+    addTokens(tokens, text);
+    return [...tokens];
+}
+
+/**
+ * @param {Set<string>} tokens
+ * @param {string} text
+ */
+function addTokens(tokens, text) {
+    const normalized = text
+        .normalize('NFKD')
+        .replace(ALPHABETIC_DIACRITIC_PATTERN, '$1')
+        .normalize('NFKC')
+        .toLowerCase();
+    for (const token of normalized.split(TOKEN_SEPARATOR_PATTERN)) {
+        if (token.length === 0 || STOP_WORDS.has(token)) { continue; }
+        if (token.length === 1 && token.charCodeAt(0) < 0x80) { continue; }
+        tokens.add(token);
+    }
+}
+
+/**
+ * @param {Set<string>} tokens
+ * @param {import('structured-content').Content|undefined} content
+ */
+function addStructuredContentTokens(tokens, content) {
+    if (typeof content === 'string') {
+        addTokens(tokens, content);
+    } else if (Array.isArray(content)) {
+        for (const item of content) {
+            addStructuredContentTokens(tokens, item);
+        }
+    } else if (typeof content === 'object' && content !== null && 'content' in content) {
+        addStructuredContentTokens(tokens, content.content);
+    }
+}
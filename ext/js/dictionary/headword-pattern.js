@@ -0,0 +1,237 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The longest regular expression which can be used to search headwords.
+ */
+const MAX_REGEX_LENGTH = 100;
+
+/**
+ * Character classes which can be used in glob patterns; each one matches a single character.
+ * @type {Map<string, string>}
+ */
+const GLOB_CHARACTER_CLASSES = new Map([
+    ['[:hiragana:]', '[\\p{Script=Hiragana}ー]'],
+    ['[:katakana:]', '[\\p{Script=Katakana}ー]'],
+    ['[:kana:]', '[\\p{Script=Hiragana}\\p{Script=Katakana}ー]'],
+    ['[:kanji:]', '[\\p{Script=Han}々]'],
+]);
+
+const GLOB_TOKEN_PATTERN = /\[:[a-z]+:\]|[*＊]|[?？]/g;
+
+const REGEX_LITERAL_PATTERN = /^\/([\w\W]+)\/(i?)$/;
+
+/**
+ * Matches question marks at the end of a text, which end a question rather than standing for a character.
+ */
+const TRAILING_QUESTION_MARK_PATTERN = /[?？]+$/;
+
+const BACKREFERENCE_PATTERN = /\\(?:[1-9]|k<)/;
+
+/**
+ * Checks whether the text is a regular expression literal of the form `/source/` or `/source/i`.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isHeadwordRegExpLiteral(text) {
+    return REGEX_LITERAL_PATTERN.test(text);
+}
+
+/**
+ * Checks whether the text contains glob wildcards other than a single leading or trailing `*`,
+ * which are handled as suffix and prefix searches instead.
+ * Question marks at the end of the text are not wildcards, so that questions such as `これは何ですか？` are not patterns.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isHeadwordGlobPattern(text) {
+    text = text.replace(TRAILING_QUESTION_MARK_PATTERN, '');
+    const inner = text.replace(/^[*＊]|[*＊]$/g, '');
+    return /[*＊?？]/.test(inner) || /\[:[a-z]+:\]/.test(inner) || /^[*＊][\w\W]*[*＊]$/.test(text);
+}
+
+/**
+ * Converts a glob pattern into a regular expression which matches complete headwords.
+ * `*` matches any number of characters, `?` matches one character,
+ * and `[:hiragana:]`, `[:katakana:]`, `[:kana:]` and `[:kanji:]` match one character of that kind.
+ * Fullwidth `＊` and `？` can be used as well. Question marks at the end of the pattern are ignored.
+ * @param {string} pattern
+ * @returns {RegExp}
+ * @throws {Error}
+ */
+export function createHeadwordGlobRegExp(pattern) {
+    pattern = pattern.replace(TRAILING_QUESTION_MARK_PATTERN, '');
+    let source = '';
+    let position = 0;
+    for (const match of pattern.matchAll(GLOB_TOKEN_PATTERN)) {
+        const token = match[0];
+        const index = /** @type {number} */ (match.index);
+        source += escapeUnicodeRegExp(pattern.substring(position, index));
+        switch (token) {
+            case '*':
+            case '＊':
+                source += '.*';
+                break;
+            case '?':
+            case '？':
+                source += '.';
+                break;
+            default:
+                {
+                    const characterClass = GLOB_CHARACTER_CLASSES.get(token);
+                    if (typeof characterClass === 'undefined') {
+                        throw new Error(`Unknown character class ${token}`);
+                    }
+                    source += characterClass;
+                }
+                break;
+        }
+        position = index + token.length;
+    }
+    source += escapeUnicodeRegExp(pattern.substring(position));
+    return new RegExp(`^${source}$`, 'iu');
+}
+
+/**
+ * Converts a regular expression literal of the form `/source/` or `/source/i` into a regular expression.
+ * Expressions which could take a long time to evaluate on a single headword are rejected.
+ * @param {string} text
+ * @returns {RegExp}
+ * @throws {Error}
+ */
+export function createBoundedHeadwordRegExp(text) {
+    const match = REGEX_LITERAL_PATTERN.exec(text);
+    if (match === null) {
+        throw new Error('Regular expressions must be written as /expression/');
+    }
+    const [, source, flags] = match;
+    if (source.length > MAX_REGEX_LENGTH) {
+        throw new Error(`Regular expressions can be at most ${MAX_REGEX_LENGTH} characters long`);
+    }
+    if (BACKREFERENCE_PATTERN.test(source)) {
+        throw new Error('Regular expressions cannot contain backreferences');
+    }
+    if (hasAmbiguousRepeatedGroup(source)) {
+        throw new Error('Regular expressions cannot repeat groups which contain quantifiers or alternatives');
+    }
+    return new RegExp(source, `${flags}u`);
+}
+
+/**
+ * Escapes a string for a regular expression with the `u` flag, which does not allow escaping `-` outside of character classes.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeUnicodeRegExp(value) {
+    return value.replace(/[$()*+.?[\\\]^{|}]/g, '\\$&');
+}
+
+/**
+ * Checks whether a regular expression repeats a group which can match the same text in more than one way,
+ * such as `(a+)+`, `(a|aa)+` or `((a|aa))+`, since these can take exponential time to evaluate.
+ * Groups which contain a quantifier or an alternative anywhere inside them are considered ambiguous.
+ * @param {string} source
+ * @returns {boolean}
+ */
+function hasAmbiguousRepeatedGroup(source) {
+    /** @type {boolean[]} */
+    const enclosingGroups = [];
+    let ambiguous = false;
+    /** @type {?boolean} */
+    let closedGroupAmbiguous = null;
+    for (let i = 0, ii = source.length; i < ii; ++i) {
+        const previousClosedGroupAmbiguous = closedGroupAmbiguous;
+        closedGroupAmbiguous = null;
+        switch (source[i]) {
+            case '\\':
+                ++i;
+                break;
+            case '[':
+                i = getCharacterClassEnd(source, i);
+                break;
+            case '(':
+                enclosingGroups.push(ambiguous);
+                ambiguous = false;
+                i = getGroupModifierEnd(source, i);
+                break;
+            case ')':
+                closedGroupAmbiguous = ambiguous;
+                ambiguous = (enclosingGroups.pop() ?? false) || ambiguous;
+                break;
+            case '|':
+                ambiguous = true;
+                break;
+            case '*':
+            case '+':
+            case '?':
+            case '{':
+                {
+                    const quantifierEnd = getQuantifierEnd(source, i);
+                    if (quantifierEnd < 0) { break; }
+                    if (previousClosedGroupAmbiguous === true && source[i] !== '?') { return true; }
+                    ambiguous = true;
+                    i = source[quantifierEnd + 1] === '?' ? quantifierEnd + 1 : quantifierEnd;
+                }
+                break;
+        }
+    }
+    return false;
+}
+
+/**
+ * @param {string} source
+ * @param {number} index The index of the `[` which starts the character class.
+ * @returns {number} The index of the `]` which ends the character class.
+ */
+function getCharacterClassEnd(source, index) {
+    for (let i = index + 1, ii = source.length; i < ii; ++i) {
+        switch (source[i]) {
+            case '\\':
+                ++i;
+                break;
+            case ']':
+                return i;
+        }
+    }
+    return source.length;
+}
+
+/**
+ * @param {string} source
+ * @param {number} index The index of the `(` which starts the group.
+ * @returns {number} The index of the last character of the group modifier, such as `(?:` or `(?<name>`.
+ */
+function getGroupModifierEnd(source, index) {
+    if (source[index + 1] !== '?') { return index; }
+    const next = source[index + 2];
+    if (next === '<' && source[index + 3] !== '=' && source[index + 3] !== '!') {
+        const nameEnd = source.indexOf('>', index + 3);
+        return nameEnd >= 0 ? nameEnd : source.length;
+    }
+    return next === '<' ? index + 3 : index + 2;
+}
+
+/**
+ * @param {string} source
+ * @param {number} index The index of a character which may start a quantifier.
+ * @returns {number} The index of the last character of the quantifier, or -1 if there is no quantifier at the index.
+ */
+function getQuantifierEnd(source, index) {
+    if (source[index] !== '{') { return index; }
+    const match = /^\{\d+(?:,\d*)?\}/.exec(source.substring(index));
+    return match !== null ? index + match[0].length - 1 : -1;
+}
@@ -0,0 +1,238 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import * as parse50 from '../../lib/parse5.js';
+
+const parse5 = /** @type {import('parse5')} */ (/** @type {unknown} */ (parse50));
+
+const HTML_WHITESPACE_PATTERN = /[\t\n\f\r ]+/g;
+
+/**
+ * Elements whose content is never shown.
+ */
+const IGNORED_TAG_NAMES = new Set(['head', 'link', 'meta', 'script', 'style', 'template', 'title']);
+
+/**
+ * Elements which are converted to a structured content element with the same tag.
+ * @type {Map<string, 'span'|'div'|'ol'|'ul'|'li'|'details'|'summary'|'ruby'|'rt'|'rp'|'table'|'thead'|'tbody'|'tfoot'|'tr'|'td'|'th'>}
+ */
+const SAME_TAG_NAMES = new Map([
+    ['span', 'span'],
+    ['div', 'div'],
+    ['ol', 'ol'],
+    ['ul', 'ul'],
+    ['li', 'li'],
+    ['details', 'details'],
+    ['summary', 'summary'],
+    ['ruby', 'ruby'],
+    ['rt', 'rt'],
+    ['rp', 'rp'],
+    ['table', 'table'],
+    ['thead', 'thead'],
+    ['tbody', 'tbody'],
+    ['tfoot', 'tfoot'],
+    ['tr', 'tr'],
+    ['td', 'td'],
+    ['th', 'th'],
+]);
+
+/**
+ * Block elements which have no structured content equivalent and are converted to a `div`.
+ */
+const BLOCK_TAG_NAMES = new Set(['address', 'article', 'aside', 'blockquote', 'dd', 'dl', 'dt', 'footer', 'header', 'hr', 'main', 'nav', 'p', 'pre', 'section']);
+
+/**
+ * Inline elements which are converted to a styled `span`.
+ * @type {Map<string, import('structured-content').StructuredContentStyle>}
+ */
+const INLINE_STYLES = new Map([
+    ['b', {fontWeight: 'bold'}],
+    ['strong', {fontWeight: 'bold'}],
+    ['i', {fontStyle: 'italic'}],
+    ['em', {fontStyle: 'italic'}],
+    ['cite', {fontStyle: 'italic'}],
+    ['u', {textDecorationLine: 'underline'}],
+    ['ins', {textDecorationLine: 'underline'}],
+    ['s', {textDecorationLine: 'line-through'}],
+    ['del', {textDecorationLine: 'line-through'}],
+    ['strike', {textDecorationLine: 'line-through'}],
+    ['sup', {verticalAlign: 'super', fontSize: '0.8em'}],
+    ['sub', {verticalAlign: 'sub', fontSize: '0.8em'}],
+    ['small', {fontSize: '0.8em'}],
+    ['big', {fontSize: '1.2em'}],
+]);
+
+/**
+ * Converts the HTML of a dictionary entry into structured content.
+ * Elements which have no structured content equivalent are replaced with the closest supported element,
+ * or with their content. Scripts, styles and unknown attributes are dropped.
+ * @param {string} html
+ * @param {import('html-structured-content').ConversionOptions} options
+ * @returns {import('structured-content').Content}
+ */
+export function convertHtmlToStructuredContent(html, options) {
+    const fragment = parse5.parseFragment(html);
+    return simplifyContent(convertNodes(parse5.defaultTreeAdapter.getChildNodes(fragment), options));
+}
+
+// Private
+
+/**
+ * @param {import('parse5').DefaultTreeAdapterMap['childNode'][]} nodes
+ * @param {import('html-structured-content').ConversionOptions} options
+ * @returns {import('structured-content').Content[]}
+ */
+function convertNodes(nodes, options) {
+    /** @type {import('structured-content').Content[]} */
+    const results = [];
+    for (const node of nodes) {
+        if (parse5.defaultTreeAdapter.isTextNode(node)) {
+            const text = parse5.defaultTreeAdapter.getTextNodeContent(node).replace(HTML_WHITESPACE_PATTERN, ' ');
+            if (text.length > 0) { results.push(text); }
+        } else if (parse5.defaultTreeAdapter.isElementNode(node)) {
+            const content = convertElement(node, options);
+            if (content !== null) { results.push(content); }
+        }
+    }
+    return results;
+}
+
+/**
+ * @param {import('parse5').DefaultTreeAdapterMap['element']} element
+ * @param {import('html-structured-content').ConversionOptions} options
+ * @returns {?import('structured-content').Content}
+ */
+function convertElement(element, options) {
+    const tagName = parse5.defaultTreeAdapter.getTagName(element);
+    if (IGNORED_TAG_NAMES.has(tagName)) { return null; }
+    if (tagName === 'br') { return {tag: 'br'}; }
+    if (tagName === 'img') { return convertImageElement(element, options); }
+
+    const attributes = getAttributes(element);
+    const content = simplifyContent(convertNodes(parse5.defaultTreeAdapter.getChildNodes(element), options));
+    if (tagName === 'a') { return convertLinkElement(attributes, content, options); }
+
+    const sameTagName = SAME_TAG_NAMES.get(tagName);
+    if (typeof sameTagName !== 'undefined') {
+        switch (sameTagName) {
+            case 'ruby':
+            case 'rt':
+            case 'rp':
+            case 'table':
+            case 'thead':
+            case 'tbody':
+            case 'tfoot':
+            case 'tr':
+                return {tag: sameTagName, content};
+            case 'td':
+            case 'th':
+                return {tag: sameTagName, content, ...getTableCellSpans(attributes)};
+            default:
+                return {tag: sameTagName, content, ...getTitle(attributes)};
+        }
+    }
+
+    if (BLOCK_TAG_NAMES.has(tagName)) { return {tag: 'div', content}; }
+    if (/^h[1-6]$/.test(tagName)) { return {tag: 'div', content, style: {fontWeight: 'bold'}}; }
+
+    /** @type {import('structured-content').StructuredContentStyle} */
+    const style = {...INLINE_STYLES.get(tagName)};
+    const color = attributes.get('color');
+    if (tagName === 'font' && typeof color === 'string') { style.color = color; }
+    if (Object.keys(style).length > 0) { return {tag: 'span', content, style}; }
+    return content;
+}
+
+/**
+ * @param {import('parse5').DefaultTreeAdapterMap['element']} element
+ * @param {import('html-structured-content').ConversionOptions} options
+ * @returns {?import('structured-content').Content}
+ */
+function convertImageElement(element, options) {
+    const attributes = getAttributes(element);
+    const source = attributes.get('src');
+    const alt = attributes.get('alt') ?? '';
+    const path = typeof source === 'string' ? options.resolveImagePath(source) : null;
+    if (path === null) { return alt.length > 0 ? alt : null; }
+    /** @type {import('structured-content').ImageElement} */
+    const image = {tag: 'img', path};
+    if (alt.length > 0) { image.alt = alt; }
+    const title = attributes.get('title');
+    if (typeof title === 'string') { image.title = title; }
+    return image;
+}
+
+/**
+ * @param {Map<string, string>} attributes
+ * @param {import('structured-content').Content} content
+ * @param {import('html-structured-content').ConversionOptions} options
+ * @returns {import('structured-content').Content}
+ */
+function convertLinkElement(attributes, content, options) {
+    const href = attributes.get('href');
+    if (typeof href !== 'string') { return content; }
+    if (/^https?:/i.test(href)) { return {tag: 'a', href, content}; }
+    const query = options.resolveLinkQuery(href);
+    if (query === null) { return content; }
+    return {tag: 'a', href: `?query=${encodeURIComponent(query)}&wildcards=off`, content};
+}
+
+/**
+ * @param {Map<string, string>} attributes
+ * @returns {{colSpan?: number, rowSpan?: number}}
+ */
+function getTableCellSpans(attributes) {
+    /** @type {{colSpan?: number, rowSpan?: number}} */
+    const result = {};
+    const colSpan = Number.parseInt(attributes.get('colspan') ?? '', 10);
+    const rowSpan = Number.parseInt(attributes.get('rowspan') ?? '', 10);
+    if (colSpan > 1) { result.colSpan = colSpan; }
+    if (rowSpan > 1) { result.rowSpan = rowSpan; }
+    return result;
+}
+
+/**
+ * @param {Map<string, string>} attributes
+ * @returns {{title?: string}}
+ */
+function getTitle(attributes) {
+    const title = attributes.get('title');
+    return typeof title === 'string' ? {title} : {};
+}
+
+/**
+ * @param {import('parse5').DefaultTreeAdapterMap['element']} element
+ * @returns {Map<string, string>}
+ */
+function getAttributes(element) {
+    /** @type {Map<string, string>} */
+    const attributes = new Map();
+    for (const {name, value} of parse5.defaultTreeAdapter.getAttrList(element)) {
+        attributes.set(name, value);
+    }
+    return attributes;
+}
+
+/**
+ * Unwraps single-item arrays to keep the converted content compact.
+ * @param {import('structured-content').Content[]} content
+ * @returns {import('structured-content').Content}
+ */
+function simplifyContent(content) {
+    return content.length === 1 ? content[0] : content;
+}
@@ -0,0 +1,558 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {decompressArrayBuffer} from '../data/array-buffer-util.js';
+import {getImageMediaTypeFromFileName} from '../media/media-util.js';
+import {convertHtmlToStructuredContent} from './html-structured-content.js';
+
+const LINK_PREFIX = '@@@LINK=';
+
+const PROGRESS_INTERVAL = 1000;
+
+/** @type {Map<string, string>} */
+const XML_ENTITIES = new Map([
+    ['lt', '<'],
+    ['gt', '>'],
+    ['quot', '"'],
+    ['amp', '&'],
+]);
+
+const RIPEMD128_LEFT_WORDS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 7, 4, 13, 1, 10, 6, 15, 3, 12, 0, 9, 5, 2, 14, 11, 8, 3, 10, 14, 4, 9, 15, 8, 1, 2, 7, 0, 6, 13, 11, 5, 12, 1, 9, 11, 10, 0, 8, 12, 4, 13, 3, 7, 15, 14, 5, 6, 2];
+const RIPEMD128_RIGHT_WORDS = [5, 14, 7, 0, 9, 2, 11, 4, 13, 6, 15, 8, 1, 10, 3, 12, 6, 11, 3, 7, 0, 13, 5, 10, 14, 15, 8, 12, 4, 9, 1, 2, 15, 5, 1, 3, 7, 14, 6, 9, 11, 8, 12, 2, 10, 0, 4, 13, 8, 6, 4, 1, 3, 11, 15, 0, 5, 12, 2, 13, 9, 7, 10, 14];
+const RIPEMD128_LEFT_SHIFTS = [11, 14, 15, 12, 5, 8, 7, 9, 11, 13, 14, 15, 6, 7, 9, 8, 7, 6, 8, 13, 11, 9, 7, 15, 7, 12, 15, 9, 11, 7, 13, 12, 11, 13, 6, 7, 14, 9, 13, 15, 14, 8, 13, 6, 5, 12, 7, 5, 11, 12, 14, 15, 14, 15, 9, 8, 9, 14, 5, 6, 8, 6, 5, 12];
+const RIPEMD128_RIGHT_SHIFTS = [8, 9, 9, 11, 13, 15, 15, 5, 7, 7, 8, 11, 14, 14, 12, 6, 9, 13, 15, 7, 12, 8, 9, 11, 7, 7, 12, 7, 6, 15, 13, 11, 9, 7, 15, 11, 8, 6, 6, 14, 12, 13, 5, 14, 13, 13, 7, 5, 15, 5, 8, 11, 14, 14, 6, 14, 6, 9, 12, 9, 12, 5, 15, 8];
+const RIPEMD128_LEFT_CONSTANTS = [0x00000000, 0x5a827999, 0x6ed9eba1, 0x8f1bbcdc];
+const RIPEMD128_RIGHT_CONSTANTS = [0x50a28be6, 0x5c4dd124, 0x6d703ef3, 0x00000000];
+
+/**
+ * Converts an MDict dictionary, consisting of an `.mdx` file and optional `.mdd` resource files.
+ * Entry HTML is converted to structured content, and images from the resource files are kept when entries use them.
+ * Records are decompressed and converted one block at a time: links are found in a first pass,
+ * so that the terms which link to an entry can be written along with it, and the images are copied from
+ * the resource files once all of the entries have been converted.
+ * @param {import('dictionary-format-converter').SourceFile[]} files
+ * @param {import('dictionary-format-converter').DictionaryWriter} writer
+ * @param {import('dictionary-format-converter').OnProgressCallback} onProgress
+ * @returns {Promise<import('dictionary-data').Index>}
+ * @throws {Error}
+ */
+export async function convertMdictDictionary(files, writer, onProgress) {
+    const mdxFile = files.find(({name}) => /\.mdx$/i.test(name));
+    if (typeof mdxFile === 'undefined') {
+        throw new Error('MDict dictionaries must include an .mdx file');
+    }
+    const mdx = await readMdictFile(mdxFile.content, false);
+    const {header} = mdx;
+
+    /** @type {import('mdict-converter').MdictFile[]} */
+    const resourceFiles = [];
+    /** @type {Map<string, string>} */
+    const resourcePaths = new Map();
+    for (const {name, content} of files) {
+        if (!/\.mdd$/i.test(name)) { continue; }
+        const mdd = await readMdictFile(content, true);
+        resourceFiles.push(mdd);
+        for (const {key} of mdd.keys) {
+            const path = normalizeResourcePath(key);
+            resourcePaths.set(path.toLowerCase(), path);
+        }
+    }
+
+    const encoding = getTextEncoding(header.get('Encoding') ?? '');
+    const decoder = new TextDecoder(encoding);
+    /** @type {Set<string>} */
+    const mediaPaths = new Set();
+    /** @type {import('html-structured-content').ConversionOptions} */
+    const conversionOptions = {
+        resolveImagePath: (source) => {
+            const path = resourcePaths.get(normalizeResourcePath(source).toLowerCase());
+            if (typeof path === 'undefined' || getImageMediaTypeFromFileName(path) === null) { return null; }
+            mediaPaths.add(path);
+            return path;
+        },
+        resolveLinkQuery: getLinkQuery,
+    };
+
+    /** @type {Map<string, string[]>} */
+    const linkMap = new Map();
+    for await (const {key, record} of readMdictEntries(mdx)) {
+        const target = getLinkTarget(record, decoder);
+        if (target === null || target === key) { continue; }
+        const keys = linkMap.get(target);
+        if (typeof keys !== 'undefined') {
+            keys.push(key);
+        } else {
+            linkMap.set(target, [key]);
+        }
+    }
+
+    /** @type {Set<string>} */
+    const convertedKeys = new Set();
+    /** @type {import('dictionary-format-converter').ProgressData} */
+    const progressData = {index: 0, count: mdx.keys.length};
+    onProgress(progressData);
+    let i = 0;
+    for await (const {key, record} of readMdictEntries(mdx)) {
+        const sequence = i++;
+        const html = decoder.decode(record).replace(/\0+$/, '').trim();
+        if (html.length > 0 && !html.startsWith(LINK_PREFIX)) {
+            const content = convertHtmlToStructuredContent(html, conversionOptions);
+            /** @type {import('dictionary-data').TermGlossary[]} */
+            const glossary = [{type: 'structured-content', content}];
+            await writer.addTerm([key, '', '', '', 0, glossary, sequence, '']);
+            if (!convertedKeys.has(key)) {
+                convertedKeys.add(key);
+                for (const linkKey of linkMap.get(key) ?? []) {
+                    await writer.addTerm([linkKey, '', '', '', 0, glossary, sequence, '']);
+                }
+            }
+        }
+        if (++progressData.index % PROGRESS_INTERVAL === 0) { onProgress(progressData); }
+    }
+    onProgress(progressData);
+
+    if (mediaPaths.size > 0) {
+        for (const mdd of resourceFiles) {
+            for await (const {key, record} of readMdictEntries(mdd)) {
+                const path = normalizeResourcePath(key);
+                if (mediaPaths.has(path)) {
+                    await writer.addMedia(path, record);
+                }
+            }
+        }
+    }
+
+    const title = header.get('Title') ?? '';
+    /** @type {import('dictionary-data').Index} */
+    const index = {
+        title: title.length > 0 && !title.startsWith('Title (') ? title : mdxFile.name.replace(/\.mdx$/i, ''),
+        revision: header.get('CreationDate') ?? '1',
+        format: 3,
+        sequenced: true,
+    };
+    const description = header.get('Description') ?? '';
+    if (description.length > 0 && !description.startsWith('Description (')) {
+        index.description = description.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '');
+    }
+    return index;
+}
+
+// Private
+
+/**
+ * Reads the header and keys of an `.mdx` or `.mdd` file. The records are read separately by {@link readMdictEntries}.
+ * @param {ArrayBuffer} content
+ * @param {boolean} isResource
+ * @returns {Promise<import('mdict-converter').MdictFile>}
+ * @throws {Error}
+ */
+async function readMdictFile(content, isResource) {
+    const data = new Uint8Array(content);
+    const reader = new MdictReader(data);
+
+    const headerSize = reader.readUint32();
+    const header = parseHeader(new TextDecoder('utf-16le').decode(reader.readBytes(headerSize)));
+    reader.skip(4); // Adler-32 checksum
+
+    const version = Number.parseFloat(header.get('GeneratedByEngineVersion') ?? '2.0');
+    const encrypted = getEncryptionFlags(header.get('Encrypted') ?? '');
+    if ((encrypted & 1) !== 0) {
+        throw new Error('MDict files with encrypted records are not supported');
+    }
+    const encoding = isResource ? 'utf-16le' : getTextEncoding(header.get('Encoding') ?? '');
+    reader.numberWidth = version >= 2 ? 8 : 4;
+
+    // Keys
+    const keyBlockCount = reader.readNumber();
+    reader.readNumber(); // Entry count
+    if (version >= 2) { reader.readNumber(); } // Decompressed key block info size
+    const keyBlockInfoSize = reader.readNumber();
+    const keyBlocksSize = reader.readNumber();
+    if (version >= 2) { reader.skip(4); } // Adler-32 checksum
+    const keyBlockInfo = await readKeyBlockInfo(reader.readBytes(keyBlockInfoSize), version, encrypted, encoding);
+    if (keyBlockInfo.length !== keyBlockCount) {
+        throw new Error('Invalid MDict key block info');
+    }
+    /** @type {import('mdict-converter').Key[]} */
+    const keys = [];
+    const keyBlocks = new MdictReader(reader.readBytes(keyBlocksSize));
+    for (const {compressedSize} of keyBlockInfo) {
+        const block = await decompressBlock(keyBlocks.readBytes(compressedSize));
+        readKeys(block, reader.numberWidth, encoding, keys);
+    }
+    keys.sort((a, b) => a.offset - b.offset);
+
+    // Record block info
+    const recordBlockCount = reader.readNumber();
+    reader.readNumber(); // Entry count
+    reader.readNumber(); // Record block info size
+    const recordBlocksSize = reader.readNumber();
+    /** @type {number[]} */
+    const recordBlockSizes = [];
+    for (let i = 0; i < recordBlockCount; ++i) {
+        recordBlockSizes.push(reader.readNumber());
+        reader.readNumber(); // Decompressed size
+    }
+    return {header, keys, recordBlockSizes, recordBlocks: reader.readBytes(recordBlocksSize)};
+}
+
+/**
+ * Reads the records of an MDict file, decompressing one record block at a time.
+ * @param {import('mdict-converter').MdictFile} file
+ * @returns {AsyncGenerator<import('mdict-converter').Entry, void, unknown>}
+ * @yields {import('mdict-converter').Entry}
+ */
+async function *readMdictEntries({keys, recordBlockSizes, recordBlocks}) {
+    const reader = new MdictReader(recordBlocks);
+    let keyIndex = 0;
+    let recordOffset = 0;
+    for (const compressedSize of recordBlockSizes) {
+        const block = await decompressBlock(reader.readBytes(compressedSize));
+        const blockEnd = recordOffset + block.length;
+        for (; keyIndex < keys.length && keys[keyIndex].offset < blockEnd; ++keyIndex) {
+            const {key, offset} = keys[keyIndex];
+            const end = keyIndex + 1 < keys.length ? Math.min(keys[keyIndex + 1].offset, blockEnd) : blockEnd;
+            yield {key, record: block.subarray(offset - recordOffset, end - recordOffset)};
+        }
+        recordOffset = blockEnd;
+    }
+}
+
+/**
+ * Gets the key which a record links to, only decoding the whole record if it starts with a link.
+ * @param {Uint8Array} record
+ * @param {TextDecoder} decoder
+ * @returns {?string}
+ */
+function getLinkTarget(record, decoder) {
+    if (!decoder.decode(record.subarray(0, 64)).trimStart().startsWith(LINK_PREFIX)) { return null; }
+    const html = decoder.decode(record).replace(/\0+$/, '').trim();
+    return html.substring(LINK_PREFIX.length).trim();
+}
+
+class MdictReader {
+    /**
+     * @param {Uint8Array} data
+     */
+    constructor(data) {
+        /** @type {Uint8Array} */
+        this._data = data;
+        /** @type {DataView} */
+        this._view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        /** @type {number} */
+        this._position = 0;
+        /** @type {4|8} */
+        this.numberWidth = 8;
+    }
+
+    /** @type {boolean} */
+    get done() {
+        return this._position >= this._data.length;
+    }
+
+    /**
+     * @param {number} count
+     */
+    skip(count) {
+        this._position += count;
+    }
+
+    /**
+     * @param {number} count
+     * @returns {Uint8Array}
+     * @throws {Error}
+     */
+    readBytes(count) {
+        const end = this._position + count;
+        if (end > this._data.length) {
+            throw new Error('Unexpected end of MDict file');
+        }
+        const result = this._data.subarray(this._position, end);
+        this._position = end;
+        return result;
+    }
+
+    /**
+     * @returns {number}
+     */
+    readUint8() {
+        return this.readBytes(1)[0];
+    }
+
+    /**
+     * @returns {number}
+     */
+    readUint16() {
+        const value = this._view.getUint16(this._position, false);
+        this._position += 2;
+        return value;
+    }
+
+    /**
+     * @returns {number}
+     */
+    readUint32() {
+        const value = this._view.getUint32(this._position, false);
+        this._position += 4;
+        return value;
+    }
+
+    /**
+     * Reads a number whose width depends on the version of the file.
+     * @returns {number}
+     */
+    readNumber() {
+        if (this.numberWidth === 4) { return this.readUint32(); }
+        const value = Number(this._view.getBigUint64(this._position, false));
+        this._position += 8;
+        return value;
+    }
+
+    /**
+     * Reads text which ends with a null character.
+     * @param {string} encoding
+     * @returns {string}
+     */
+    readTerminatedText(encoding) {
+        const width = encoding === 'utf-16le' ? 2 : 1;
+        let end = this._position;
+        while (end + width <= this._data.length && (this._data[end] !== 0 || (width === 2 && this._data[end + 1] !== 0))) {
+            end += width;
+        }
+        const text = new TextDecoder(encoding).decode(this._data.subarray(this._position, end));
+        this._position = end + width;
+        return text;
+    }
+}
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} version
+ * @param {number} encrypted
+ * @param {string} encoding
+ * @returns {Promise<{compressedSize: number}[]>}
+ */
+async function readKeyBlockInfo(data, version, encrypted, encoding) {
+    if (version >= 2) {
+        data = await decompressBlock((encrypted & 2) !== 0 ? decryptKeyBlockInfo(data) : data);
+    }
+    const reader = new MdictReader(data);
+    reader.numberWidth = version >= 2 ? 8 : 4;
+    const textWidth = encoding === 'utf-16le' ? 2 : 1;
+    const terminatorSize = version >= 2 ? 1 : 0;
+    /** @type {{compressedSize: number}[]} */
+    const results = [];
+    while (!reader.done) {
+        reader.readNumber(); // Entry count
+        for (let i = 0; i < 2; ++i) { // First and last key
+            const size = version >= 2 ? reader.readUint16() : reader.readUint8();
+            reader.skip((size + terminatorSize) * textWidth);
+        }
+        const compressedSize = reader.readNumber();
+        reader.readNumber(); // Decompressed size
+        results.push({compressedSize});
+    }
+    return results;
+}
+
+/**
+ * @param {Uint8Array} block
+ * @param {4|8} numberWidth
+ * @param {string} encoding
+ * @param {import('mdict-converter').Key[]} keys
+ */
+function readKeys(block, numberWidth, encoding, keys) {
+    const reader = new MdictReader(block);
+    reader.numberWidth = numberWidth;
+    while (!reader.done) {
+        const offset = reader.readNumber();
+        const key = reader.readTerminatedText(encoding);
+        keys.push({key, offset});
+    }
+}
+
+/**
+ * Decompresses a key or record block, which starts with its compression type and a checksum.
+ * @param {Uint8Array} block
+ * @returns {Promise<Uint8Array>}
+ * @throws {Error}
+ */
+async function decompressBlock(block) {
+    const type = new DataView(block.buffer, block.byteOffset, block.byteLength).getUint32(0, true);
+    switch (type) {
+        case 0:
+            return block.subarray(8);
+        case 2:
+            return new Uint8Array(await decompressArrayBuffer(block.subarray(8), 'deflate'));
+        case 1:
+            throw new Error('MDict files compressed with LZO are not supported');
+        default:
+            throw new Error(`Unknown MDict block compression type ${type}`);
+    }
+}
+
+/**
+ * Decrypts key block info which was encrypted with a key derived from its checksum.
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function decryptKeyBlockInfo(data) {
+    const keySource = new Uint8Array(8);
+    keySource.set(data.subarray(4, 8));
+    keySource.set([0x95, 0x36, 0x00, 0x00], 4);
+    const key = ripemd128(keySource);
+    const result = new Uint8Array(data);
+    let previous = 0x36;
+    for (let i = 8, ii = data.length; i < ii; ++i) {
+        const value = data[i];
+        const j = i - 8;
+        result[i] = (((value >> 4) | (value << 4)) & 0xff) ^ previous ^ (j & 0xff) ^ key[j % key.length];
+        previous = value;
+    }
+    return result;
+}
+
+/**
+ * @param {Uint8Array} message
+ * @returns {Uint8Array}
+ */
+function ripemd128(message) {
+    const length = message.length;
+    const paddedLength = (((length + 8) >> 6) + 1) << 6;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(message);
+    padded[length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, (length << 3) >>> 0, true);
+    view.setUint32(paddedLength - 4, Math.floor(length / 0x20000000), true);
+
+    const hash = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+    /** @type {number[]} */
+    const words = [];
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; ++i) { words[i] = view.getUint32(offset + i * 4, true); }
+        let [al, bl, cl, dl] = hash;
+        let [ar, br, cr, dr] = hash;
+        for (let j = 0; j < 64; ++j) {
+            const round = j >> 4;
+            const tl = rotateLeft((al + ripemd128Function(round, bl, cl, dl) + words[RIPEMD128_LEFT_WORDS[j]] + RIPEMD128_LEFT_CONSTANTS[round]) | 0, RIPEMD128_LEFT_SHIFTS[j]);
+            al = dl;
+            dl = cl;
+            cl = bl;
+            bl = tl;
+            const tr = rotateLeft((ar + ripemd128Function(3 - round, br, cr, dr) + words[RIPEMD128_RIGHT_WORDS[j]] + RIPEMD128_RIGHT_CONSTANTS[round]) | 0, RIPEMD128_RIGHT_SHIFTS[j]);
+            ar = dr;
+            dr = cr;
+            cr = br;
+            br = tr;
+        }
+        const t = (hash[1] + cl + dr) | 0;
+        hash[1] = (hash[2] + dl + ar) | 0;
+        hash[2] = (hash[3] + al + br) | 0;
+        hash[3] = (hash[0] + bl + cr) | 0;
+        hash[0] = t;
+    }
+
+    const result = new Uint8Array(16);
+    const resultView = new DataView(result.buffer);
+    for (let i = 0; i < 4; ++i) { resultView.setUint32(i * 4, hash[i], true); }
+    return result;
+}
+
+/**
+ * @param {number} round
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {number}
+ */
+function ripemd128Function(round, x, y, z) {
+    switch (round) {
+        case 0: return x ^ y ^ z;
+        case 1: return (x & y) | (~x & z);
+        case 2: return (x | ~y) ^ z;
+        default: return (x & z) | (y & ~z);
+    }
+}
+
+/**
+ * @param {number} value
+ * @param {number} count
+ * @returns {number}
+ */
+function rotateLeft(value, count) {
+    return (value << count) | (value >>> (32 - count));
+}
+
+/**
+ * @param {string} text
+ * @returns {Map<string, string>}
+ */
+function parseHeader(text) {
+    /** @type {Map<string, string>} */
+    const header = new Map();
+    for (const [, name, value] of text.matchAll(/(\w+)="([^"]*)"/g)) {
+        header.set(name, value.replace(/&(lt|gt|quot|amp);/g, (match, /** @type {string} */ entity) => XML_ENTITIES.get(entity) ?? match));
+    }
+    return header;
+}
+
+/**
+ * @param {string} value
+ * @returns {number}
+ */
+function getEncryptionFlags(value) {
+    if (value.toLowerCase() === 'yes') { return 1; }
+    const flags = Number.parseInt(value, 10);
+    return Number.isFinite(flags) ? flags : 0;
+}
+
+/**
+ * @param {string} encoding
+ * @returns {string}
+ */
+function getTextEncoding(encoding) {
+    switch (encoding.toLowerCase()) {
+        case '':
+            return 'utf-8';
+        case 'gbk':
+        case 'gb2312':
+            return 'gb18030';
+        case 'utf-16':
+            return 'utf-16le';
+        default:
+            return encoding.toLowerCase();
+    }
+}
+
+/**
+ * @param {string} path
+ * @returns {string}
+ */
+function normalizeResourcePath(path) {
+    return path.replace(/^file:\/\//i, '').replace(/\\/g, '/').replace(/^(?:\.?\/)+/, '');
+}
+
+/**
+ * @param {string} href
+ * @returns {?string}
+ */
+function getLinkQuery(href) {
+    const match = /^entry:\/\/([^#]+)/i.exec(href);
+    return match !== null ? match[1] : null;
+}
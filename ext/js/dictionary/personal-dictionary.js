@@ -0,0 +1,212 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {stringReverse} from '../core/utilities.js';
+
+/**
+ * The title of the dictionary which holds the terms added by the user.
+ */
+export const PERSONAL_DICTIONARY_NAME = 'My Dictionary';
+
+/**
+ * The `data-content` value of the structured content which holds the example sentence of an entry.
+ */
+const EXAMPLE_SENTENCE_CONTENT = 'example-sentence';
+
+/**
+ * @param {boolean} enabled
+ * @returns {import('settings').DictionaryOptions}
+ */
+export function createPersonalDictionaryOptions(enabled) {
+    return {
+        name: PERSONAL_DICTIONARY_NAME,
+        alias: PERSONAL_DICTIONARY_NAME,
+        enabled,
+        allowSecondarySearches: false,
+        definitionsCollapsible: 'not-collapsible',
+        partsOfSpeechFilter: true,
+        useDeinflections: true,
+        styles: '',
+    };
+}
+
+/**
+ * Stores terms written by the user as an ordinary dictionary in the database,
+ * so that they are found by lookups as soon as they are saved.
+ */
+export class PersonalDictionary {
+    /**
+     * @param {import('./dictionary-database.js').DictionaryDatabase} dictionaryDatabase
+     */
+    constructor(dictionaryDatabase) {
+        /** @type {import('./dictionary-database.js').DictionaryDatabase} */
+        this._dictionaryDatabase = dictionaryDatabase;
+        /** @type {Promise<void>} */
+        this._editPromise = Promise.resolve();
+    }
+
+    /**
+     * @returns {Promise<import('personal-dictionary').Entry[]>}
+     */
+    async getEntries() {
+        /** @type {import('personal-dictionary').Entry[]} */
+        const entries = [];
+        for await (const rows of this._dictionaryDatabase.getDictionaryEntryBatches('terms', PERSONAL_DICTIONARY_NAME, 1000)) {
+            for (const row of rows) {
+                entries.push(this._createEntry(/** @type {import('dictionary-database').DatabaseTermEntryWithId} */ (row)));
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * @param {import('personal-dictionary').EntryContent} content
+     * @throws {Error}
+     */
+    async addEntry(content) {
+        const row = this._createRow(content);
+        await this._editTerm(null, row);
+    }
+
+    /**
+     * @param {number} id
+     * @param {import('personal-dictionary').EntryContent} content
+     * @throws {Error}
+     */
+    async updateEntry(id, content) {
+        const row = this._createRow(content);
+        await this._editTerm(id, row);
+    }
+
+    /**
+     * @param {number} id
+     */
+    async deleteEntry(id) {
+        await this._editTerm(id, null);
+    }
+
+    // Private
+
+    /**
+     * @param {import('personal-dictionary').EntryContent} content
+     * @returns {import('dictionary-database').DatabaseTermEntry}
+     * @throws {Error}
+     */
+    _createRow({term, reading, definitions, tags, sentence}) {
+        term = term.trim();
+        reading = reading.trim();
+        definitions = definitions.map((definition) => definition.trim()).filter((definition) => definition.length > 0);
+        sentence = sentence.trim();
+        if (term.length === 0) {
+            throw new Error('The term is empty');
+        }
+        if (definitions.length === 0) {
+            throw new Error('The term has no definitions');
+        }
+
+        /** @type {import('dictionary-data').TermGlossary[]} */
+        const glossary = [...definitions];
+        if (sentence.length > 0) {
+            glossary.push({
+                type: 'structured-content',
+                content: {tag: 'div', data: {content: EXAMPLE_SENTENCE_CONTENT}, content: sentence},
+            });
+        }
+        if (reading.length === 0) { reading = term; }
+
+        return {
+            expression: term,
+            reading,
+            expressionReverse: stringReverse(term),
+            readingReverse: stringReverse(reading),
+            definitionTags: tags.join(' '),
+            rules: '',
+            score: 0,
+            glossary,
+            sequence: -1,
+            termTags: '',
+            dictionary: PERSONAL_DICTIONARY_NAME,
+        };
+    }
+
+    /**
+     * @param {import('dictionary-database').DatabaseTermEntryWithId} row
+     * @returns {import('personal-dictionary').Entry}
+     */
+    _createEntry({id, expression, reading, definitionTags, glossary}) {
+        /** @type {string[]} */
+        const definitions = [];
+        let sentence = '';
+        for (const item of glossary) {
+            if (typeof item === 'string') {
+                definitions.push(item);
+            } else if (!Array.isArray(item) && item.type === 'structured-content') {
+                const {content} = item;
+                if (typeof content === 'object' && content !== null && !Array.isArray(content) && content.tag === 'div' && content.data?.content === EXAMPLE_SENTENCE_CONTENT && typeof content.content === 'string') {
+                    sentence = content.content;
+                }
+            }
+        }
+        return {
+            id,
+            term: expression,
+            reading: reading !== expression ? reading : '',
+            definitions,
+            tags: definitionTags !== null && definitionTags.length > 0 ? definitionTags.split(' ') : [],
+            sentence,
+        };
+    }
+
+    /**
+     * Edits are applied one at a time, since each one reads the term it replaces before writing.
+     * @param {?number} id
+     * @param {?import('dictionary-database').DatabaseTermEntry} row
+     * @returns {Promise<void>}
+     */
+    _editTerm(id, row) {
+        const promise = this._editPromise.then(() => this._dictionaryDatabase.editTerm(PERSONAL_DICTIONARY_NAME, id, row, this._createSummary.bind(this)));
+        this._editPromise = promise.catch(() => {});
+        return promise;
+    }
+
+    /**
+     * @param {number} termCount
+     * @returns {import('dictionary-importer').Summary}
+     */
+    _createSummary(termCount) {
+        return {
+            title: PERSONAL_DICTIONARY_NAME,
+            revision: '1',
+            sequenced: false,
+            version: 3,
+            importDate: Date.now(),
+            prefixWildcardsSupported: true,
+            glossaryIndexed: true,
+            counts: {
+                terms: {total: termCount},
+                termMeta: {total: 0},
+                kanji: {total: 0},
+                kanjiMeta: {total: 0},
+                tagMeta: {total: 0},
+                media: {total: 0},
+            },
+            styles: '',
+            description: 'Terms which you added yourself.',
+            importSuccess: true,
+        };
+    }
+}
@@ -0,0 +1,72 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The name under which Sottaku results are listed among the installed dictionaries.
+ * It is used as the `dictionary` value of Sottaku definitions and as the key of its dictionary options.
+ */
+export const SOTTAKU_DICTIONARY_NAME = 'Sottaku';
+
+/**
+ * Creates the dictionary summary that represents the remote Sottaku dictionary.
+ * Sottaku has no database rows, so the summary is marked as remote and has no counts.
+ * @returns {import('dictionary-importer').Summary}
+ */
+export function createSottakuDictionarySummary() {
+    return {
+        title: SOTTAKU_DICTIONARY_NAME,
+        revision: 'remote',
+        sequenced: false,
+        version: 3,
+        importDate: 0,
+        prefixWildcardsSupported: false,
+        styles: '',
+        url: 'https://sottaku.app',
+        description: 'Remote dictionary results from your Sottaku account.',
+        importSuccess: true,
+        isRemote: true,
+    };
+}
+
+/**
+ * @param {boolean} enabled
+ * @returns {import('settings').DictionaryOptions}
+ */
+export function createSottakuDictionaryOptions(enabled) {
+    return {
+        name: SOTTAKU_DICTIONARY_NAME,
+        alias: SOTTAKU_DICTIONARY_NAME,
+        enabled,
+        allowSecondarySearches: false,
+        definitionsCollapsible: 'not-collapsible',
+        partsOfSpeechFilter: true,
+        useDeinflections: true,
+        styles: '',
+    };
+}
+
+/**
+ * Gets the Sottaku metadata of a dictionary entry.
+ * Entries found by Sottaku carry it, as do local entries that a Sottaku result was merged into.
+ * @param {import('dictionary').DictionaryEntry} dictionaryEntry
+ * @returns {?import('sottaku-dictionary').EntryMetadata}
+ */
+export function getSottakuEntryMetadata(dictionaryEntry) {
+    /** @type {unknown} */
+    const metadata = /** @type {import('core').SafeAny} */ (dictionaryEntry).sottaku;
+    return (typeof metadata === 'object' && metadata !== null) ? /** @type {import('sottaku-dictionary').EntryMetadata} */ (metadata) : null;
+}
@@ -0,0 +1,306 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {decompressArrayBuffer} from '../data/array-buffer-util.js';
+import {convertHtmlToStructuredContent} from './html-structured-content.js';
+
+const IFO_MAGIC = 'StarDict\'s dict ifo file';
+
+const PROGRESS_INTERVAL = 1000;
+
+/**
+ * Converts a StarDict dictionary, consisting of an `.ifo` file, an `.idx` or `.idx.gz` index,
+ * a `.dict` or `.dict.dz` data file and an optional `.syn` synonym file.
+ * Entries are converted as the index is read, and the terms of their synonyms follow them.
+ * @param {import('dictionary-format-converter').SourceFile[]} files
+ * @param {import('dictionary-format-converter').DictionaryWriter} writer
+ * @param {import('dictionary-format-converter').OnProgressCallback} onProgress
+ * @returns {Promise<import('dictionary-data').Index>}
+ * @throws {Error}
+ */
+export async function convertStarDictDictionary(files, writer, onProgress) {
+    const ifoFile = getFile(files, /\.ifo$/i);
+    const idxFile = getFile(files, /\.idx(?:\.gz)?$/i);
+    const dictFile = getFile(files, /\.dict(?:\.dz)?$/i);
+    if (ifoFile === null || idxFile === null || dictFile === null) {
+        throw new Error('StarDict dictionaries must include .ifo, .idx and .dict files');
+    }
+    const synFile = getFile(files, /\.syn$/i);
+
+    const info = parseIfo(new TextDecoder('utf-8').decode(ifoFile.content));
+    const offsetBits = info.get('idxoffsetbits') === '64' ? 64 : 32;
+    const sameTypeSequence = info.get('sametypesequence') ?? null;
+    const idxContent = new Uint8Array(/\.gz$/i.test(idxFile.name) ? await decompressArrayBuffer(idxFile.content, 'gzip') : idxFile.content);
+    const dictContent = new Uint8Array(/\.dz$/i.test(dictFile.name) ? await decompressArrayBuffer(dictFile.content, 'gzip') : dictFile.content);
+
+    /** @type {Map<number, string[]>} */
+    const synonymMap = new Map();
+    let synonymCount = 0;
+    if (synFile !== null) {
+        for (const {word, index} of parseSyn(new Uint8Array(synFile.content))) {
+            const words = synonymMap.get(index);
+            if (typeof words !== 'undefined') {
+                words.push(word);
+            } else {
+                synonymMap.set(index, [word]);
+            }
+            ++synonymCount;
+        }
+    }
+
+    /** @type {import('dictionary-format-converter').ProgressData} */
+    const progressData = {index: 0, count: countIdxEntries(idxContent, offsetBits) + synonymCount};
+    onProgress(progressData);
+    let i = 0;
+    for (const {word, offset, size} of readIdxEntries(idxContent, offsetBits)) {
+        const fields = parseEntryFields(dictContent.subarray(offset, offset + size), sameTypeSequence);
+        const {reading, glossary} = convertEntryFields(fields);
+        const synonyms = synonymMap.get(i) ?? [];
+        if (glossary.length > 0) {
+            await writer.addTerm([word, reading, '', '', 0, glossary, i, '']);
+            for (const synonym of synonyms) {
+                if (synonym !== word) {
+                    await writer.addTerm([synonym, reading, '', '', 0, glossary, i, '']);
+                }
+            }
+        }
+        const previousIndex = progressData.index;
+        progressData.index += 1 + synonyms.length;
+        if (Math.floor(progressData.index / PROGRESS_INTERVAL) !== Math.floor(previousIndex / PROGRESS_INTERVAL)) { onProgress(progressData); }
+        ++i;
+    }
+    progressData.index = progressData.count;
+    onProgress(progressData);
+
+    const title = info.get('bookname') ?? ifoFile.name.replace(/\.ifo$/i, '');
+    /** @type {import('dictionary-data').Index} */
+    const index = {title, revision: info.get('date') ?? '1', format: 3, sequenced: true};
+    const author = info.get('author');
+    const description = info.get('description');
+    const url = info.get('website');
+    if (typeof author === 'string') { index.author = author; }
+    if (typeof description === 'string') { index.description = description.replace(/<br\s*\/?>/gi, '\n'); }
+    if (typeof url === 'string') { index.url = url; }
+    return index;
+}
+
+// Private
+
+/**
+ * @param {import('dictionary-format-converter').SourceFile[]} files
+ * @param {RegExp} pattern
+ * @returns {?import('dictionary-format-converter').SourceFile}
+ */
+function getFile(files, pattern) {
+    for (const file of files) {
+        if (pattern.test(file.name)) { return file; }
+    }
+    return null;
+}
+
+/**
+ * @param {string} content
+ * @returns {Map<string, string>}
+ * @throws {Error}
+ */
+function parseIfo(content) {
+    const lines = content.split(/\r?\n/);
+    if (lines[0].replace(/^\uFEFF/, '').trim() !== IFO_MAGIC) {
+        throw new Error('Invalid StarDict .ifo file');
+    }
+    /** @type {Map<string, string>} */
+    const info = new Map();
+    for (let i = 1, ii = lines.length; i < ii; ++i) {
+        const line = lines[i];
+        const separator = line.indexOf('=');
+        if (separator <= 0) { continue; }
+        const value = line.substring(separator + 1).trim();
+        if (value.length > 0) { info.set(line.substring(0, separator).trim(), value); }
+    }
+    return info;
+}
+
+/**
+ * Counts the entries of an `.idx` file without decoding their words.
+ * @param {Uint8Array} content
+ * @param {32|64} offsetBits
+ * @returns {number}
+ */
+function countIdxEntries(content, offsetBits) {
+    const entrySize = offsetBits / 8 + 4;
+    let count = 0;
+    for (let position = 0; position < content.length; ++count) {
+        const end = content.indexOf(0, position);
+        if (end < 0) { break; }
+        position = end + 1 + entrySize;
+    }
+    return count;
+}
+
+/**
+ * Reads the entries of an `.idx` file one at a time.
+ * @param {Uint8Array} content
+ * @param {32|64} offsetBits
+ * @returns {Generator<import('stardict-converter').IndexEntry, void, unknown>}
+ * @yields {import('stardict-converter').IndexEntry}
+ * @throws {Error}
+ */
+function *readIdxEntries(content, offsetBits) {
+    const decoder = new TextDecoder('utf-8');
+    const view = new DataView(content.buffer, content.byteOffset, content.byteLength);
+    const offsetSize = offsetBits / 8;
+    let position = 0;
+    while (position < content.length) {
+        const end = content.indexOf(0, position);
+        if (end < 0 || end + offsetSize + 4 > content.length) {
+            throw new Error('Invalid StarDict .idx file');
+        }
+        const word = decoder.decode(content.subarray(position, end));
+        position = end + 1;
+        const offset = offsetBits === 64 ? Number(view.getBigUint64(position, false)) : view.getUint32(position, false);
+        position += offsetSize;
+        const size = view.getUint32(position, false);
+        position += 4;
+        yield {word, offset, size};
+    }
+}
+
+/**
+ * @param {Uint8Array} content
+ * @returns {import('stardict-converter').SynonymEntry[]}
+ * @throws {Error}
+ */
+function parseSyn(content) {
+    const decoder = new TextDecoder('utf-8');
+    const view = new DataView(content.buffer, content.byteOffset, content.byteLength);
+    /** @type {import('stardict-converter').SynonymEntry[]} */
+    const entries = [];
+    let position = 0;
+    while (position < content.length) {
+        const end = content.indexOf(0, position);
+        if (end < 0 || end + 5 > content.length) {
+            throw new Error('Invalid StarDict .syn file');
+        }
+        const word = decoder.decode(content.subarray(position, end));
+        const index = view.getUint32(end + 1, false);
+        position = end + 5;
+        entries.push({word, index});
+    }
+    return entries;
+}
+
+/**
+ * Splits the data of an entry into its typed fields. Lowercase types are null-terminated text,
+ * and uppercase types are binary data prefixed with their size. When the dictionary has a
+ * `sametypesequence`, the type characters are omitted and the last field has no terminator or size.
+ * @param {Uint8Array} data
+ * @param {?string} sameTypeSequence
+ * @returns {import('stardict-converter').EntryField[]}
+ */
+function parseEntryFields(data, sameTypeSequence) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    /** @type {import('stardict-converter').EntryField[]} */
+    const fields = [];
+    let position = 0;
+    /**
+     * @param {string} type
+     * @param {boolean} last
+     */
+    const readField = (type, last) => {
+        let end;
+        let next;
+        if (last) {
+            end = data.length;
+            next = end;
+        } else if (type === type.toLowerCase()) {
+            end = data.indexOf(0, position);
+            if (end < 0) { end = data.length; }
+            next = end + 1;
+        } else {
+            const size = view.getUint32(position, false);
+            position += 4;
+            end = Math.min(position + size, data.length);
+            next = end;
+        }
+        fields.push({type, data: data.subarray(position, end)});
+        position = next;
+    };
+
+    if (sameTypeSequence !== null) {
+        for (let i = 0, ii = sameTypeSequence.length; i < ii && position < data.length; ++i) {
+            readField(sameTypeSequence[i], i === ii - 1);
+        }
+    } else {
+        while (position < data.length) {
+            const type = String.fromCharCode(data[position]);
+            ++position;
+            readField(type, false);
+        }
+    }
+    return fields;
+}
+
+/**
+ * @param {import('stardict-converter').EntryField[]} fields
+ * @returns {{reading: string, glossary: import('dictionary-data').TermGlossary[]}}
+ */
+function convertEntryFields(fields) {
+    const decoder = new TextDecoder('utf-8');
+    let reading = '';
+    /** @type {import('dictionary-data').TermGlossary[]} */
+    const glossary = [];
+    for (const {type, data} of fields) {
+        switch (type) {
+            case 'y':
+                reading = decoder.decode(data).trim();
+                break;
+            case 'm':
+            case 'l':
+            case 't':
+            case 'k':
+            case 'w':
+            case 'n':
+                {
+                    const text = decoder.decode(data).replace(/\0+$/, '').trim();
+                    if (text.length > 0) { glossary.push(text); }
+                }
+                break;
+            case 'h':
+            case 'g':
+            case 'x':
+                {
+                    const content = convertHtmlToStructuredContent(decoder.decode(data), {
+                        resolveImagePath: () => null,
+                        resolveLinkQuery: getLinkQuery,
+                    });
+                    glossary.push({type: 'structured-content', content});
+                }
+                break;
+        }
+    }
+    return {reading, glossary};
+}
+
+/**
+ * @param {string} href
+ * @returns {?string}
+ */
+function getLinkQuery(href) {
+    const match = /^bword:\/\/(.+)$/i.exec(href);
+    return match !== null ? match[1] : null;
+}
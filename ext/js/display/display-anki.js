@@ -24,6 +24,7 @@ import {deferPromise} from '../core/utilities.js';
 import {AnkiNoteBuilder} from '../data/anki-note-builder.js';
 import {getDynamicTemplates} from '../data/anki-template-util.js';
 import {INVALID_NOTE_ID, isNoteDataValid} from '../data/anki-util.js';
+import {getDictionaryEntryHeadword} from '../data/lookup-history-util.js';
 import {PopupMenu} from '../dom/popup-menu.js';
 import {querySelectorNotNull} from '../dom/query-selector.js';
 import {TemplateRendererProxy} from '../templates/template-renderer-proxy.js';
@@ -114,6 +115,10 @@ export class DisplayAnki {
         this._onViewNotesButtonMenuCloseBind = this._onViewNotesButtonMenuClose.bind(this);
         /** @type {boolean} */
         this._forceSync = false;
+        /** @type {boolean} */
+        this._offlineQueueEnabled = false;
+        /** @type {boolean} */
+        this._miningLogEnabled = false;
     }
 
     /** */
@@ -186,6 +191,19 @@ export class DisplayAnki {
         };
     }
 
+    /**
+     * Creates a note for a dictionary entry which is not part of the displayed content,
+     * using the card formats and note options of the display.
+     * @param {import('dictionary').DictionaryEntry} dictionaryEntry
+     * @param {number} cardFormatIndex
+     * @param {import('anki-templates-internal').Context} context
+     * @param {import('anki-note-builder').Requirement[]} requirements
+     * @returns {Promise<import('display-anki').CreateNoteResult>}
+     */
+    async createNote(dictionaryEntry, cardFormatIndex, context, requirements) {
+        return await this._createNote(dictionaryEntry, cardFormatIndex, requirements, context);
+    }
+
     // Private
 
     /**
@@ -213,6 +231,8 @@ export class DisplayAnki {
                 screenshot: {format, quality},
                 downloadTimeout,
                 forceSync,
+                offlineQueueEnabled,
+                miningLogEnabled,
             },
             scanning: {length: scanLength},
         } = options;
@@ -236,6 +256,8 @@ export class DisplayAnki {
         this._cardFormats = cardFormats;
         this._dictionaries = dictionaries;
         this._forceSync = forceSync;
+        this._offlineQueueEnabled = offlineQueueEnabled;
+        this._miningLogEnabled = miningLogEnabled;
 
         void this._updateAnkiFieldTemplates(options);
     }
@@ -466,7 +488,7 @@ export class DisplayAnki {
                 const button = this._createSaveButtons(entryIndex, cardFormatIndex);
                 if (button !== null) {
                     button.disabled = !canAdd;
-                    button.hidden = (ankiError !== null);
+                    button.hidden = (ankiError !== null && !(this._canSaveWithoutAnki() && ankiError.message === 'Anki not connected'));
                     if (ankiError && ankiError.message !== 'Anki not connected') {
                         log.error(ankiError);
                     }
@@ -762,6 +784,10 @@ export class DisplayAnki {
             noteId = await this._display.application.api.addAnkiNote(note);
             addNoteOkay = true;
         } catch (e) {
+            if (this._canSaveWithoutAnki() && this._isAnkiConnectionError(e)) {
+                await this._saveAnkiNoteWithoutAnki(note, toError(e), allErrors, button, dictionaryEntryIndex);
+                return;
+            }
             allErrors.length = 0;
             allErrors.push(toError(e));
         }
@@ -770,6 +796,10 @@ export class DisplayAnki {
             if (noteId === null) {
                 allErrors.push(new Error('Note could not be added'));
             } else {
+                if (this._miningLogEnabled) {
+                    await this._addMiningLogEntry(note, allErrors);
+                }
+                this._markHistoryRecordSaved(dictionaryEntryIndex);
                 if (this._suspendNewCards) {
                     try {
                         await this._display.application.api.suspendAnkiCardsForNote(noteId);
@@ -794,6 +824,90 @@ export class DisplayAnki {
         }
     }
 
+    /**
+     * Stores a note which could not be added because Anki is not connected in the background queue and the mining log, when they are enabled.
+     * The mining log is written last, since it releases the media files held for the note.
+     * @param {import('anki').Note} note
+     * @param {Error} error
+     * @param {Error[]} allErrors
+     * @param {HTMLButtonElement} button
+     * @param {number} dictionaryEntryIndex
+     */
+    async _saveAnkiNoteWithoutAnki(note, error, allErrors, button, dictionaryEntryIndex) {
+        const queued = this._offlineQueueEnabled && await this._queueAnkiNote(note, error, allErrors);
+        const logged = this._miningLogEnabled && await this._addMiningLogEntry(note, allErrors);
+        if (!queued && !logged) {
+            if (!this._offlineQueueEnabled) { allErrors.push(error); }
+            return;
+        }
+        button.disabled = true;
+        button.title = queued ? 'Note queued, it will be added when Anki is available' : 'Note saved to the mining log';
+        this._markHistoryRecordSaved(dictionaryEntryIndex);
+    }
+
+    /**
+     * Stores a note which could not be added in the background queue, to be added once Anki is available.
+     * @param {import('anki').Note} note
+     * @param {Error} error
+     * @param {Error[]} allErrors
+     * @returns {Promise<boolean>} Whether the note was queued.
+     */
+    async _queueAnkiNote(note, error, allErrors) {
+        try {
+            await this._display.application.api.queueAnkiNote(note, error.message);
+        } catch (e) {
+            allErrors.length = 0;
+            allErrors.push(error, toError(e));
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Marks the lookup history record of the current content as saved, without waiting for it to be stored.
+     * @param {number} dictionaryEntryIndex
+     */
+    _markHistoryRecordSaved(dictionaryEntryIndex) {
+        const {state} = this._display.history;
+        const historyRecordId = state !== null ? state.historyRecordId : void 0;
+        if (typeof historyRecordId !== 'string') { return; }
+        const dictionaryEntry = this._display.dictionaryEntries[dictionaryEntryIndex];
+        if (typeof dictionaryEntry === 'undefined') { return; }
+        this._display.application.api.markHistoryRecordSaved(historyRecordId, getDictionaryEntryHeadword(dictionaryEntry)).catch((e) => log.error(e));
+    }
+
+    /**
+     * Records a note in the mining log.
+     * @param {import('anki').Note} note
+     * @param {Error[]} allErrors
+     * @returns {Promise<boolean>} Whether the note was recorded.
+     */
+    async _addMiningLogEntry(note, allErrors) {
+        try {
+            await this._display.application.api.addMiningLogEntry(note);
+            return true;
+        } catch (e) {
+            allErrors.push(toError(e));
+            return false;
+        }
+    }
+
+    /**
+     * Whether notes can be saved while Anki is not connected.
+     * @returns {boolean}
+     */
+    _canSaveWithoutAnki() {
+        return this._offlineQueueEnabled || this._miningLogEnabled;
+    }
+
+    /**
+     * @param {unknown} error
+     * @returns {boolean}
+     */
+    _isAnkiConnectionError(error) {
+        return error instanceof ExtensionError && error.message.includes('Anki connection failure');
+    }
+
     /**
      * @param {HTMLButtonElement} button
      * @returns {number}
@@ -858,6 +972,8 @@ export class DisplayAnki {
             switch (type) {
                 case 'audio':
                 case 'clipboardImage':
+                case 'sottakuAudio':
+                case 'sottakuSentenceAudio':
                     break;
                 default:
                     ++count;
@@ -979,12 +1095,14 @@ export class DisplayAnki {
                 infos = await this._display.application.api.getAnkiNoteInfo(notes, this._isAdditionalInfoEnabled());
             } else {
                 const isAnkiConnected = await this._display.application.api.isAnkiConnected();
-                infos = this._getAnkiNoteInfoForceValueIfValid(notes, isAnkiConnected);
+                infos = this._getAnkiNoteInfoForceValueIfValid(notes, isAnkiConnected || this._canSaveWithoutAnki());
                 ankiError = isAnkiConnected ? null : new Error('Anki not connected');
             }
         } catch (e) {
-            infos = this._getAnkiNoteInfoForceValueIfValid(notes, false);
-            ankiError = (e instanceof ExtensionError && e.message.includes('Anki connection failure')) ?
+            const isConnectionError = this._isAnkiConnectionError(e);
+            // Notes can still be saved to the offline queue or the mining log while Anki is not connected
+            infos = this._getAnkiNoteInfoForceValueIfValid(notes, isConnectionError && this._canSaveWithoutAnki());
+            ankiError = isConnectionError ?
                 new Error('Anki not connected') :
                 toError(e);
         }
@@ -1019,10 +1137,10 @@ export class DisplayAnki {
      * @param {import('dictionary').DictionaryEntry} dictionaryEntry
      * @param {number} cardFormatIndex
      * @param {import('anki-note-builder').Requirement[]} requirements
+     * @param {?import('anki-templates-internal').Context} [context]
      * @returns {Promise<import('display-anki').CreateNoteResult>}
      */
-    async _createNote(dictionaryEntry, cardFormatIndex, requirements) {
-        const context = this._noteContext;
+    async _createNote(dictionaryEntry, cardFormatIndex, requirements, context = this._noteContext) {
         if (context === null) { throw new Error('Note context not initialized'); }
         const cardFormat = this._cardFormats?.[cardFormatIndex];
         if (typeof cardFormat === 'undefined') { throw new Error('Unsupported note type}'); }
@@ -2,10 +2,39 @@
  * Lightweight controller that adds Sottaku-specific actions to dictionary entries.
  */
 
-import {SottakuClient} from '../comm/sottaku-client.js';
+import {getSottakuSessionState, SottakuClient} from '../comm/sottaku-client.js';
 import {EventListenerCollection} from '../core/event-listener-collection.js';
+import {log} from '../core/log.js';
 import {toError} from '../core/to-error.js';
 
+/**
+ * The Sottaku metadata attached to dictionary entries by the background page.
+ * @typedef {object} EntryMetadata
+ * @property {?number} questionId
+ * @property {string} language
+ * @property {string} term
+ * @property {boolean} hasDefinition
+ * @property {boolean} inFlashcards
+ * @property {?import('sottaku-review').FlashcardStatus} [flashcardStatus]
+ */
+
+/**
+ * @typedef {object} FlashcardControl
+ * @property {EntryMetadata} metadata
+ * @property {HTMLButtonElement} button
+ * @property {HTMLElement} statusElement
+ * @property {boolean} busy
+ * @property {boolean} queued Whether the last change is waiting in the background outbox to be sent.
+ * @property {number} changeCount The number of times the flashcard was toggled, used to discard membership refreshes which started before a change.
+ */
+
+/** @type {Map<import('sottaku-review').FlashcardStatus, string>} */
+const FLASHCARD_STATUS_LABELS = new Map([
+    ['new', 'New'],
+    ['learning', 'Learning'],
+    ['mature', 'Mature'],
+]);
+
 export class DisplaySottaku {
     /**
      * @param {import('./display.js').Display} display
@@ -13,19 +42,38 @@ export class DisplaySottaku {
     constructor(display) {
         /** @type {import('./display.js').Display} */
         this._display = display;
-        /** @type {SottakuClient} */
-        this._client = new SottakuClient();
+        /**
+         * Expired sessions are renewed by the background page, which stores the new token.
+         * @type {SottakuClient}
+         */
+        this._client = new SottakuClient({renewSession: false});
         /** @type {import('settings').ProfileOptions|null} */
         this._options = null;
+        /** @type {?import('sottaku-credentials').Credentials} */
+        this._credentials = null;
         /** @type {boolean} */
         this._enabled = false;
         /** @type {EventListenerCollection} */
         this._eventListeners = new EventListenerCollection();
+        /** @type {FlashcardControl[]} */
+        this._flashcardControls = [];
+        /** @type {?import('core').TokenObject} */
+        this._membershipRefreshToken = null;
+        /** @type {?HTMLElement} */
+        this._signedOutContainer = document.querySelector('#sottaku-signed-out');
+        /** @type {?HTMLElement} */
+        this._signedOutMessage = document.querySelector('#sottaku-signed-out-message');
+        /** @type {?HTMLButtonElement} */
+        this._signInButton = document.querySelector('#sottaku-sign-in-button');
     }
 
     /** */
     prepare() {
+        if (this._signInButton !== null) {
+            this._signInButton.addEventListener('click', this._onSignInClick.bind(this), false);
+        }
         this._display.on('optionsUpdated', this._onOptionsUpdated.bind(this));
+        this._display.application.on('sottakuCredentialsUpdated', this._onCredentialsUpdated.bind(this));
         this._display.on('contentUpdateComplete', this._onContentUpdateComplete.bind(this));
         this._display.on('contentClear', this._onContentClear.bind(this));
     }
@@ -38,20 +86,77 @@ export class DisplaySottaku {
     _onOptionsUpdated({options}) {
         this._options = options;
         const {sottaku} = options;
-        this._enabled = Boolean(sottaku?.enabled && sottaku.authToken);
+        // Entries only have Sottaku metadata when the background page is signed in
+        this._enabled = Boolean(sottaku?.enabled);
         this._client.setConfig({
             apiBaseUrl: sottaku?.apiBaseUrl,
-            authToken: sottaku?.authToken,
             cookieDomain: sottaku?.cookieDomain,
         });
         if (!this._enabled) {
             this._clearButtons();
         }
+        void this._updateCredentials();
+    }
+
+    /** */
+    _onCredentialsUpdated() {
+        void this._updateCredentials();
+    }
+
+    /** */
+    async _updateCredentials() {
+        let credentials;
+        try {
+            credentials = await this._display.application.api.getSottakuCredentials();
+        } catch (e) {
+            log.warn(e);
+            return;
+        }
+        this._credentials = credentials;
+        this._client.setConfig({authToken: credentials.authToken});
+        this._updateSignedOutNotice(this._enabled && getSottakuSessionState(credentials) === 'signedOut');
+    }
+
+    /** */
+    async _onSignInClick() {
+        const button = /** @type {HTMLButtonElement} */ (this._signInButton);
+        button.disabled = true;
+        try {
+            const {signedIn} = await this._display.application.api.signInToSottaku(this._display.getOptionsContext());
+            if (!signedIn) {
+                this._setSignedOutMessage('Finish signing in to Sottaku in the opened tab.');
+            }
+        } catch (e) {
+            this._setSignedOutMessage(toError(e).message);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * @param {boolean} visible
+     */
+    _updateSignedOutNotice(visible) {
+        if (this._signedOutContainer === null) { return; }
+        if (visible && this._signedOutContainer.hidden) {
+            this._setSignedOutMessage('Your Sottaku session has expired, so Sottaku results are not shown.');
+        }
+        this._signedOutContainer.hidden = !visible;
+    }
+
+    /**
+     * @param {string} message
+     */
+    _setSignedOutMessage(message) {
+        if (this._signedOutMessage === null) { return; }
+        this._signedOutMessage.textContent = message;
     }
 
     /** */
     _onContentClear() {
         this._eventListeners.removeAllEventListeners();
+        this._flashcardControls = [];
+        this._membershipRefreshToken = null;
         this._clearButtons();
     }
 
@@ -59,11 +164,13 @@ export class DisplaySottaku {
     _onContentUpdateComplete() {
         if (!this._enabled) { return; }
         this._renderButtons();
+        void this._refreshMembership();
     }
 
     /** */
     _renderButtons() {
         this._eventListeners.removeAllEventListeners();
+        this._flashcardControls = [];
         const entries = this._display.dictionaryEntries;
         const nodes = this._display.dictionaryEntryNodes;
         for (let i = 0; i < entries.length; ++i) {
@@ -78,11 +185,24 @@ export class DisplaySottaku {
             this._removeOldButtons(container);
 
             if (hasDefinition) {
-                const addButton = this._createButton('Save to Sottaku', metadata.inFlashcards);
-                this._eventListeners.addEventListener(addButton, 'click', this._wrapAsync(() => this._addFlashcard(entry, addButton)));
-                container.appendChild(addButton);
+                const statusElement = document.createElement('span');
+                statusElement.classList.add('sottaku-action', 'sottaku-flashcard-status');
+                /** @type {FlashcardControl} */
+                const control = {
+                    metadata,
+                    button: this._createButton(''),
+                    statusElement,
+                    busy: false,
+                    queued: false,
+                    changeCount: 0,
+                };
+                this._updateFlashcardControl(control);
+                this._eventListeners.addEventListener(control.button, 'click', this._wrapAsync(() => this._toggleFlashcard(control)));
+                this._flashcardControls.push(control);
+                container.appendChild(statusElement);
+                container.appendChild(control.button);
             } else {
-                const requestButton = this._createButton('Request dictionary entry', false);
+                const requestButton = this._createButton('Request dictionary entry');
                 requestButton.classList.add('sottaku-request-only');
                 this._eventListeners.addEventListener(requestButton, 'click', this._wrapAsync(() => this._requestWord(entry, requestButton)));
                 // Move to the end so it aligns right when alone
@@ -94,18 +214,13 @@ export class DisplaySottaku {
 
     /**
      * @param {string} label
-     * @param {boolean} disabled
      * @returns {HTMLButtonElement}
      */
-    _createButton(label, disabled) {
+    _createButton(label) {
         const button = document.createElement('button');
         button.type = 'button';
         button.textContent = label;
         button.classList.add('action-button', 'sottaku-action');
-        button.disabled = disabled;
-        if (disabled) {
-            button.title = 'Already saved to Sottaku';
-        }
         return button;
     }
 
@@ -128,33 +243,122 @@ export class DisplaySottaku {
     }
 
     /**
-     * @param {import('dictionary').DictionaryEntry} entry
-     * @param {HTMLButtonElement} button
+     * Adds the entry to the user's flashcards, or removes it if it was already added.
+     * @param {FlashcardControl} control
      */
-    async _addFlashcard(entry, button) {
+    async _toggleFlashcard(control) {
+        const {metadata, button} = control;
         if (!this._options || !this._enabled) {
             button.title = 'Sign in to Sottaku first';
             return;
         }
-        const metadata = this._getMetadata(entry);
-        if (!metadata?.questionId) {
+        if (!metadata.questionId) {
             button.title = 'Missing Sottaku question id';
             return;
         }
+        if (control.busy) { return; }
+        const remove = Boolean(metadata.inFlashcards);
+        const language = metadata.language || this._options.general.language;
+        control.busy = true;
+        ++control.changeCount;
         button.disabled = true;
-        button.textContent = 'Saving...';
+        button.textContent = remove ? 'Removing...' : 'Saving...';
         try {
-            await this._client.addFlashcard(metadata.questionId, metadata.language || this._options.general.language);
-            metadata.inFlashcards = true;
-            button.textContent = 'Saved';
-            button.title = 'Added to your Sottaku flashcards';
+            const {queued} = await this._sendMutation({
+                action: remove ? 'removeFlashcard' : 'addFlashcard',
+                questionId: metadata.questionId,
+                language,
+                term: metadata.term,
+            });
+            metadata.inFlashcards = !remove;
+            metadata.flashcardStatus = remove ? null : 'new';
+            control.busy = false;
+            control.queued = queued;
+            this._updateFlashcardControl(control);
         } catch (e) {
-            button.disabled = false;
-            button.textContent = 'Save to Sottaku';
+            control.busy = false;
+            this._updateFlashcardControl(control);
             button.title = toError(e).message;
         }
     }
 
+    /**
+     * Updates the flashcard state of the rendered entries, since it can be changed from other tabs or the website.
+     */
+    async _refreshMembership() {
+        if (this._options === null || this._credentials === null || !this._credentials.authToken || this._flashcardControls.length === 0) { return; }
+        /** @type {import('core').TokenObject} */
+        const token = {};
+        this._membershipRefreshToken = token;
+
+        /** @type {Map<string, Map<number, FlashcardControl[]>>} */
+        const languageControls = new Map();
+        /** @type {Map<FlashcardControl, number>} */
+        const changeCounts = new Map();
+        for (const control of this._flashcardControls) {
+            changeCounts.set(control, control.changeCount);
+            const {questionId, language} = control.metadata;
+            if (questionId === null) { continue; }
+            const resolvedLanguage = language || this._options.general.language;
+            let questionControls = languageControls.get(resolvedLanguage);
+            if (typeof questionControls === 'undefined') {
+                questionControls = new Map();
+                languageControls.set(resolvedLanguage, questionControls);
+            }
+            const controls = questionControls.get(questionId);
+            if (typeof controls === 'undefined') {
+                questionControls.set(questionId, [control]);
+            } else {
+                controls.push(control);
+            }
+        }
+
+        for (const [language, questionControls] of languageControls) {
+            let membership;
+            try {
+                membership = await this._client.getFlashcardMembership([...questionControls.keys()], language);
+            } catch (e) {
+                log.warn(e);
+                continue;
+            }
+            if (this._membershipRefreshToken !== token) { return; }
+            for (const [questionId, controls] of questionControls) {
+                for (const control of controls) {
+                    if (control.busy || control.queued || control.changeCount !== changeCounts.get(control)) { continue; }
+                    control.metadata.inFlashcards = membership.has(questionId);
+                    control.metadata.flashcardStatus = membership.get(questionId) ?? null;
+                    this._updateFlashcardControl(control);
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {FlashcardControl} control
+     */
+    _updateFlashcardControl({metadata, button, statusElement, queued}) {
+        const inFlashcards = Boolean(metadata.inFlashcards);
+        button.disabled = false;
+        button.textContent = inFlashcards ? 'Remove from Sottaku' : 'Save to Sottaku';
+        button.title = (
+            queued ?
+            'Sottaku could not be reached; the change will be sent when the connection returns' :
+            (inFlashcards ? 'Remove from your Sottaku flashcards' : 'Add to your Sottaku flashcards')
+        );
+        button.dataset.inFlashcards = `${inFlashcards}`;
+
+        /** @type {?import('sottaku-review').FlashcardStatus} */
+        const status = inFlashcards ? metadata.flashcardStatus ?? null : null;
+        const label = status !== null ? FLASHCARD_STATUS_LABELS.get(status) : void 0;
+        statusElement.hidden = typeof label === 'undefined';
+        statusElement.textContent = label ?? '';
+        if (status !== null) {
+            statusElement.dataset.status = status;
+        } else {
+            delete statusElement.dataset.status;
+        }
+    }
+
     /**
      * @param {import('dictionary').DictionaryEntry} entry
      * @param {HTMLButtonElement} button
@@ -172,9 +376,14 @@ export class DisplaySottaku {
         button.disabled = true;
         button.textContent = 'Requesting...';
         try {
-            await this._client.submitWordRequest(metadata.questionId, metadata.language || this._options.general.language);
-            button.textContent = 'Requested';
-            button.title = 'Request submitted to Sottaku';
+            const {queued} = await this._sendMutation({
+                action: 'submitWordRequest',
+                questionId: metadata.questionId,
+                language: metadata.language || this._options.general.language,
+                term: metadata.term,
+            });
+            button.textContent = queued ? 'Request queued' : 'Requested';
+            button.title = queued ? 'Sottaku could not be reached; the request will be sent when the connection returns' : 'Request submitted to Sottaku';
         } catch (e) {
             button.disabled = false;
             button.textContent = 'Request translation';
@@ -182,6 +391,15 @@ export class DisplaySottaku {
         }
     }
 
+    /**
+     * Sends a mutation through the background page, which queues it if Sottaku cannot be reached.
+     * @param {import('sottaku-outbox').Mutation} mutation
+     * @returns {Promise<import('sottaku-outbox').SendResult>}
+     */
+    async _sendMutation(mutation) {
+        return await this._display.application.api.sendSottakuMutation(mutation, this._display.getOptionsContext());
+    }
+
     /**
      * @param {() => Promise<void>} fn
      * @returns {(e: Event) => void}
@@ -195,9 +413,12 @@ export class DisplaySottaku {
 
     /**
      * @param {import('dictionary').DictionaryEntry} entry
-     * @returns {any}
+     * @returns {?EntryMetadata}
      */
     _getMetadata(entry) {
-        return entry && typeof entry === 'object' ? /** @type {any} */ (entry).sottaku : null;
+        if (!entry || typeof entry !== 'object') { return null; }
+        /** @type {unknown} */
+        const metadata = /** @type {any} */ (entry).sottaku;
+        return typeof metadata === 'object' && metadata !== null ? /** @type {EntryMetadata} */ (metadata) : null;
     }
 }
@@ -26,8 +26,10 @@ import {ExtensionError} from '../core/extension-error.js';
 import {log} from '../core/log.js';
 import {safePerformance} from '../core/safe-performance.js';
 import {toError} from '../core/to-error.js';
-import {addScopeToCss, clone, deepEqual, promiseTimeout} from '../core/utilities.js';
+import {addScopeToCss, clone, deepEqual, generateId, promiseTimeout} from '../core/utilities.js';
+import {getDictionaryEntryDictionaries, getDictionaryEntryHeadword} from '../data/lookup-history-util.js';
 import {setProfile} from '../data/profiles-util.js';
+import {isHeadwordGlobPattern, isHeadwordRegExpLiteral} from '../dictionary/headword-pattern.js';
 import {PopupMenu} from '../dom/popup-menu.js';
 import {querySelectorNotNull} from '../dom/query-selector.js';
 import {ScrollElement} from '../dom/scroll-element.js';
@@ -41,6 +43,7 @@ import {DisplayHistory} from './display-history.js';
 import {DisplayNotification} from './display-notification.js';
 import {ElementOverflowController} from './element-overflow-controller.js';
 import {OptionToggleHotkeyHandler} from './option-toggle-hotkey-handler.js';
+import {PersonalDictionaryEditor} from './personal-dictionary-editor.js';
 import {QueryParser} from './query-parser.js';
 
 /**
@@ -67,8 +70,12 @@ export class Display extends EventDispatcher {
         this._container = querySelectorNotNull(document, '#dictionary-entries');
         /** @type {import('dictionary').DictionaryEntry[]} */
         this._dictionaryEntries = [];
+        /** @type {?import('translator').LookupTimingSpan[]} */
+        this._lookupTimings = null;
         /** @type {HTMLElement[]} */
         this._dictionaryEntryNodes = [];
+        /** @type {?import('display').PatternSearchResult} */
+        this._patternSearch = null;
         /** @type {import('settings').OptionsContext} */
         this._optionsContext = {depth: 0, url: window.location.href};
         /** @type {?import('settings').ProfileOptions} */
@@ -171,6 +178,10 @@ export class Display extends EventDispatcher {
         this._tagNotification = null;
         /** @type {?import('./display-notification.js').DisplayNotification} */
         this._inflectionNotification = null;
+        /** @type {?import('./display-notification.js').DisplayNotification} */
+        this._personalDictionaryNotification = null;
+        /** @type {?PersonalDictionaryEditor} */
+        this._personalDictionaryEditor = null;
         /** @type {HTMLElement} */
         this._footerNotificationContainer = querySelectorNotNull(document, '#content-footer');
         /** @type {OptionToggleHotkeyHandler} */
@@ -271,6 +282,15 @@ export class Display extends EventDispatcher {
         return this._dictionaryEntryNodes;
     }
 
+    /**
+     * The paging state of the current wildcard or regular expression search, or `null` when the
+     * current content is not the result of such a search.
+     * @type {?import('display').PatternSearchResult}
+     */
+    get patternSearch() {
+        return this._patternSearch;
+    }
+
     /** @type {DynamicProperty<boolean>} */
     get progressIndicatorVisible() {
         return this._progressIndicatorVisible;
@@ -329,7 +349,11 @@ export class Display extends EventDispatcher {
 
         this._languageSummaries = await this._application.api.getLanguageSummaries();
 
-        this._dictionaryInfo = await this._application.api.getDictionaryInfo();
+        const [dictionaryInfo, remoteDictionaryInfo] = await Promise.all([
+            this._application.api.getDictionaryInfo(),
+            this._application.api.getRemoteDictionaryInfo(),
+        ]);
+        this._dictionaryInfo = [...dictionaryInfo, ...remoteDictionaryInfo];
 
         // Prepare
         await this._hotkeyHelpController.prepare(this._application.api);
@@ -826,6 +850,7 @@ export class Display extends EventDispatcher {
             this._triggerContentClear();
             this._dictionaryEntries = [];
             this._dictionaryEntryNodes = [];
+            this._patternSearch = null;
             this._elementOverflowController.clearElements();
             safePerformance.mark('display:_onStateChanged:clear:end');
             safePerformance.measure('display:_onStateChanged:clear', 'display:_onStateChanged:clear:start', 'display:_onStateChanged:clear:end');
@@ -1179,6 +1204,10 @@ export class Display extends EventDispatcher {
             menuBodyNode.appendChild(item);
         };
 
+        const index = this.getElementDictionaryEntryIndex(node);
+        if (index >= 0 && index < this._dictionaryEntries.length && this._dictionaryEntries[index].type === 'term') {
+            addItem('add-to-personal-dictionary', 'Add to my dictionary');
+        }
         addItem('log-debug-info', 'Log debug info');
 
         this._menuContainer.appendChild(menuContainerNode);
@@ -1193,12 +1222,50 @@ export class Display extends EventDispatcher {
         const node = /** @type {HTMLElement} */ (e.currentTarget);
         const {action} = e.detail;
         switch (action) {
+            case 'add-to-personal-dictionary':
+                this._openPersonalDictionaryEditor(this.getElementDictionaryEntryIndex(node));
+                break;
             case 'log-debug-info':
                 void this._logDictionaryEntryData(this.getElementDictionaryEntryIndex(node));
                 break;
         }
     }
 
+    /**
+     * Opens a form for adding a term to the personal dictionary, pre-filled with the headword and sentence of an entry.
+     * @param {number} index
+     */
+    _openPersonalDictionaryEditor(index) {
+        const dictionaryEntry = (index >= 0 && index < this._dictionaryEntries.length ? this._dictionaryEntries[index] : null);
+        if (dictionaryEntry === null || dictionaryEntry.type !== 'term' || dictionaryEntry.headwords.length === 0) { return; }
+
+        if (this._personalDictionaryEditor === null || this._personalDictionaryNotification === null) {
+            const node = /** @type {HTMLElement} */ (this._displayGenerator.instantiateTemplate('personal-dictionary-editor'));
+            this._personalDictionaryEditor = new PersonalDictionaryEditor(this._application.api, node, this._onPersonalDictionaryEditorClose.bind(this));
+            this._personalDictionaryEditor.prepare();
+            this._personalDictionaryNotification = this.createNotification(false);
+            this._personalDictionaryNotification.node.classList.add('footer-notification-personal-dictionary');
+            this._personalDictionaryNotification.setContent(node);
+        }
+
+        const {term, reading} = dictionaryEntry.headwords[0];
+        this._personalDictionaryEditor.setEntry(null, {
+            term,
+            reading: reading !== term ? reading : '',
+            definitions: [],
+            tags: [],
+            sentence: this._history.state?.sentence?.text ?? '',
+        });
+        this._personalDictionaryNotification.open();
+        this._personalDictionaryEditor.focus();
+    }
+
+    /** */
+    _onPersonalDictionaryEditorClose() {
+        if (this._personalDictionaryNotification === null) { return; }
+        this._personalDictionaryNotification.close(true);
+    }
+
     /**
      * @param {Element} tagNode
      */
@@ -1319,42 +1386,129 @@ export class Display extends EventDispatcher {
         return customCss;
     }
 
+    /**
+     * Records a lookup in the history, without waiting for it to be stored.
+     * @param {import('lookup-history').LookupType} type
+     * @param {string} query
+     * @param {?import('dictionary').DictionaryEntry} dictionaryEntry The first dictionary entry which was found, or `null` if nothing was found.
+     * @param {import('display').HistoryState} state
+     * @param {import('settings').OptionsContext} optionsContext
+     * @returns {string} The id of the record.
+     */
+    _addHistoryRecord(type, query, dictionaryEntry, state, optionsContext) {
+        const id = generateId(16);
+        const {term, reading} = dictionaryEntry !== null ? getDictionaryEntryHeadword(dictionaryEntry) : {term: '', reading: ''};
+        /** @type {import('lookup-history').HistoryRecordDetails} */
+        const record = {
+            id,
+            type,
+            query,
+            term,
+            reading,
+            dictionaries: dictionaryEntry !== null ? getDictionaryEntryDictionaries(dictionaryEntry) : [],
+            sentence: state.sentence?.text ?? '',
+            sentenceOffset: state.sentence?.offset ?? 0,
+            url: state.url ?? '',
+            documentTitle: state.documentTitle ?? '',
+        };
+        this._application.api.addHistoryRecord(record, optionsContext).catch((e) => log.error(e));
+        return id;
+    }
+
+    /**
+     * Restores the context of a lookup which is re-opened from the history page,
+     * so that notes created from it use the original sentence and page.
+     * @param {string} id
+     * @param {import('display').HistoryState} state
+     */
+    async _restoreHistoryRecordState(id, state) {
+        let result;
+        try {
+            result = await this._application.api.getHistoryRecord(id);
+        } catch (e) {
+            log.error(e);
+            return;
+        }
+        if (result === null) { return; }
+        const {record: {sentence, sentenceOffset, url, documentTitle}, profileIndex} = result;
+        state.historyRecordId = id;
+        state.sentence = {text: sentence, offset: sentenceOffset};
+        state.url = url;
+        state.documentTitle = documentTitle;
+        if (profileIndex !== null) {
+            state.optionsContext = {index: profileIndex};
+        }
+    }
+
     /**
      * @param {boolean} isKanji
      * @param {string} source
      * @param {string} primaryReading
      * @param {boolean} wildcardsEnabled
+     * @param {boolean} meaningSearch
+     * @param {boolean} patternSearchEnabled
+     * @param {?number} patternCursor
      * @param {import('settings').OptionsContext} optionsContext
-     * @returns {Promise<import('dictionary').DictionaryEntry[]>}
+     * @returns {Promise<{dictionaryEntries: import('dictionary').DictionaryEntry[], patternSearch: ?import('display').PatternSearchResult, lookupTimings?: import('translator').LookupTimingSpan[]}>}
      */
-    async _findDictionaryEntries(isKanji, source, primaryReading, wildcardsEnabled, optionsContext) {
+    async _findDictionaryEntries(isKanji, source, primaryReading, wildcardsEnabled, meaningSearch, patternSearchEnabled, patternCursor, optionsContext) {
         /** @type {import('dictionary').DictionaryEntry[]} */
         let dictionaryEntries = [];
-        const {findDetails, source: source2} = this._getFindDetails(source, primaryReading, wildcardsEnabled);
+        const {findDetails, source: source2} = this._getFindDetails(source, primaryReading, wildcardsEnabled, meaningSearch, patternSearchEnabled);
+        const {matchType} = findDetails;
+        if (matchType === 'pattern' || matchType === 'regex') {
+            return await this._findDictionaryEntriesByPattern(source2, matchType, patternCursor, optionsContext);
+        }
         if (isKanji) {
             dictionaryEntries = await this._application.api.kanjiFind(source, optionsContext);
-            if (dictionaryEntries.length > 0) { return dictionaryEntries; }
+            if (dictionaryEntries.length > 0) { return {dictionaryEntries, patternSearch: null}; }
+        }
 
-            dictionaryEntries = (await this._application.api.termsFind(source2, findDetails, optionsContext)).dictionaryEntries;
-        } else {
-            dictionaryEntries = (await this._application.api.termsFind(source2, findDetails, optionsContext)).dictionaryEntries;
-            if (dictionaryEntries.length > 0) { return dictionaryEntries; }
+        const {dictionaryEntries: termDictionaryEntries, lookupTimings} = await this._application.api.termsFind(source2, findDetails, optionsContext);
+        if (isKanji || termDictionaryEntries.length > 0) { return {dictionaryEntries: termDictionaryEntries, patternSearch: null, lookupTimings}; }
 
-            dictionaryEntries = await this._application.api.kanjiFind(source, optionsContext);
+        dictionaryEntries = await this._application.api.kanjiFind(source, optionsContext);
+        return {dictionaryEntries, patternSearch: null};
+    }
+
+    /**
+     * @param {string} source
+     * @param {'pattern'|'regex'} matchType
+     * @param {?number} cursor
+     * @param {import('settings').OptionsContext} optionsContext
+     * @returns {Promise<{dictionaryEntries: import('dictionary').DictionaryEntry[], patternSearch: import('display').PatternSearchResult}>}
+     */
+    async _findDictionaryEntriesByPattern(source, matchType, cursor, optionsContext) {
+        try {
+            const {dictionaryEntries, nextCursor, scannedCount} = await this._application.api.termsFindPattern(source, {matchType, cursor}, optionsContext);
+            return {dictionaryEntries, patternSearch: {nextCursor, scannedCount, error: null}};
+        } catch (e) {
+            // Invalid patterns are user input errors, so they are shown instead of being logged
+            return {dictionaryEntries: [], patternSearch: {nextCursor: null, scannedCount: 0, error: toError(e).message}};
         }
-        return dictionaryEntries;
     }
 
     /**
      * @param {string} source
      * @param {string} primaryReading
      * @param {boolean} wildcardsEnabled
+     * @param {boolean} meaningSearch
+     * @param {boolean} patternSearchEnabled Whether glob patterns and regular expressions are searched for, which the user has to opt into.
      * @returns {{findDetails: import('api').FindTermsDetails, source: string}}
      */
-    _getFindDetails(source, primaryReading, wildcardsEnabled) {
+    _getFindDetails(source, primaryReading, wildcardsEnabled, meaningSearch, patternSearchEnabled) {
         /** @type {import('api').FindTermsDetails} */
         const findDetails = {primaryReading};
-        if (wildcardsEnabled) {
+        if (meaningSearch) {
+            findDetails.matchType = 'meaning';
+            findDetails.deinflect = false;
+        } else if (patternSearchEnabled && isHeadwordRegExpLiteral(source)) {
+            findDetails.matchType = 'regex';
+            findDetails.deinflect = false;
+        } else if (patternSearchEnabled && isHeadwordGlobPattern(source)) {
+            findDetails.matchType = 'pattern';
+            findDetails.deinflect = false;
+        } else if (wildcardsEnabled) {
             const match = /^([*\uff0a]*)([\w\W]*?)([*\uff0a]*)$/.exec(source);
             if (match !== null) {
                 if (match[1]) {
@@ -1378,6 +1532,8 @@ export class Display extends EventDispatcher {
     async _setContentTermsOrKanji(type, urlSearchParams, token) {
         const lookup = (urlSearchParams.get('lookup') !== 'false');
         const wildcardsEnabled = (urlSearchParams.get('wildcards') !== 'off');
+        const meaningSearch = (urlSearchParams.get('search') === 'meaning');
+        const patternSearchEnabled = (urlSearchParams.get('search') === 'pattern');
         const hasEnabledDictionaries = this._options ? this._options.dictionaries.some(({enabled}) => enabled) : false;
 
         // Set query
@@ -1387,6 +1543,12 @@ export class Display extends EventDispatcher {
         let queryFull = urlSearchParams.get('full');
         queryFull = (queryFull !== null ? queryFull : query);
         const primaryReading = urlSearchParams.get('primary_reading') ?? '';
+        const patternCursorString = urlSearchParams.get('cursor');
+        let patternCursor = null;
+        if (patternCursorString !== null) {
+            patternCursor = Number.parseInt(patternCursorString, 10);
+            if (!Number.isFinite(patternCursor)) { patternCursor = null; }
+        }
         const queryOffsetString = urlSearchParams.get('offset');
         let queryOffset = 0;
         if (queryOffsetString !== null) {
@@ -1408,6 +1570,13 @@ export class Display extends EventDispatcher {
             changeHistory = true;
         }
 
+        const historyRecordId = urlSearchParams.get('history');
+        if (historyRecordId !== null && typeof state.historyRecordId !== 'string') {
+            await this._restoreHistoryRecordState(historyRecordId, state);
+            if (this._setContentToken !== token) { return; }
+            changeHistory = true;
+        }
+
         let {focusEntry, scrollX, scrollY, optionsContext} = state;
         if (typeof focusEntry !== 'number') { focusEntry = 0; }
         if (!(typeof optionsContext === 'object' && optionsContext !== null)) {
@@ -1416,18 +1585,25 @@ export class Display extends EventDispatcher {
             changeHistory = true;
         }
 
-        let {dictionaryEntries} = content;
+        let {dictionaryEntries, patternSearch, lookupTimings} = content;
         if (!Array.isArray(dictionaryEntries)) {
             safePerformance.mark('display:findDictionaryEntries:start');
-            dictionaryEntries = hasEnabledDictionaries && lookup && query.length > 0 ? await this._findDictionaryEntries(type === 'kanji', query, primaryReading, wildcardsEnabled, optionsContext) : [];
+            ({dictionaryEntries, patternSearch, lookupTimings} = (
+                hasEnabledDictionaries && lookup && query.length > 0 ?
+                await this._findDictionaryEntries(type === 'kanji', query, primaryReading, wildcardsEnabled, meaningSearch, patternSearchEnabled, patternCursor, optionsContext) :
+                {dictionaryEntries: [], patternSearch: null}
+            ));
             safePerformance.mark('display:findDictionaryEntries:end');
             safePerformance.measure('display:findDictionaryEntries', 'display:findDictionaryEntries:start', 'display:findDictionaryEntries:end');
             if (this._setContentToken !== token) { return; }
             if (lookup) {
                 content.dictionaryEntries = dictionaryEntries;
+                content.patternSearch = patternSearch;
+                if (typeof lookupTimings !== 'undefined') { content.lookupTimings = lookupTimings; }
             }
             changeHistory = true;
         }
+        this._lookupTimings = lookupTimings ?? null;
 
         let contentOriginValid = false;
         const {contentOrigin} = content;
@@ -1452,11 +1628,24 @@ export class Display extends EventDispatcher {
             if (this._setContentToken !== token) { return; }
         }
 
+        if (
+            typeof state.historyRecordId !== 'string' &&
+            lookup &&
+            query.length > 0 &&
+            this._options !== null &&
+            this._options.general.historyEnabled &&
+            !checkPopupPreviewURL(state.url)
+        ) {
+            state.historyRecordId = this._addHistoryRecord(type === 'kanji' ? 'kanji' : 'terms', query, dictionaryEntries.length > 0 ? dictionaryEntries[0] : null, state, optionsContext);
+            changeHistory = true;
+        }
+
         if (changeHistory) {
             this._replaceHistoryStateNoNavigate(state, content);
         }
 
         this._dictionaryEntries = dictionaryEntries;
+        this._patternSearch = patternSearch ?? null;
 
         safePerformance.mark('display:updateNavigationAuto:start');
         this._updateNavigationAuto();
@@ -2171,7 +2360,7 @@ export class Display extends EventDispatcher {
     /**
      * @param {import('text-scanner').EventArgument<'searchSuccess'>} details
      */
-    _onContentTextScannerSearchSuccess({type, dictionaryEntries, sentence, textSource, optionsContext}) {
+    _onContentTextScannerSearchSuccess({type, dictionaryEntries, sentence, textSource, optionsContext, lookupTimings}) {
         const query = textSource.text();
         const url = window.location.href;
         const documentTitle = document.title;
@@ -2195,6 +2384,7 @@ export class Display extends EventDispatcher {
             content: {
                 dictionaryEntries: dictionaryEntries !== null ? dictionaryEntries : void 0,
                 contentOrigin: this.getContentOrigin(),
+                lookupTimings: lookupTimings !== null ? lookupTimings : void 0,
             },
         };
         /** @type {TextScanner} */ (this._contentTextScanner).clearSelection();
@@ -2312,7 +2502,8 @@ export class Display extends EventDispatcher {
     async _logDictionaryEntryData(index) {
         if (index < 0 || index >= this._dictionaryEntries.length) { return; }
         const dictionaryEntry = this._dictionaryEntries[index];
-        const result = {dictionaryEntry};
+        const lookupTimings = this._lookupTimings;
+        const result = lookupTimings !== null ? {dictionaryEntry, lookupTimings} : {dictionaryEntry};
 
         /** @type {Promise<unknown>[]} */
         const promises = [];
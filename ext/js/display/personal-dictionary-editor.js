@@ -0,0 +1,138 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {EventListenerCollection} from '../core/event-listener-collection.js';
+import {toError} from '../core/to-error.js';
+import {querySelectorNotNull} from '../dom/query-selector.js';
+
+/**
+ * A form for adding a term to the personal dictionary or editing one of its terms.
+ */
+export class PersonalDictionaryEditor {
+    /**
+     * @param {import('../comm/api.js').API} api
+     * @param {HTMLElement} node The form created from the `personal-dictionary-editor` template.
+     * @param {(saved: boolean) => void} onClose
+     */
+    constructor(api, node, onClose) {
+        /** @type {import('../comm/api.js').API} */
+        this._api = api;
+        /** @type {HTMLElement} */
+        this._node = node;
+        /** @type {(saved: boolean) => void} */
+        this._onClose = onClose;
+        /** @type {HTMLInputElement} */
+        this._termInput = querySelectorNotNull(node, '.personal-dictionary-editor-term');
+        /** @type {HTMLInputElement} */
+        this._readingInput = querySelectorNotNull(node, '.personal-dictionary-editor-reading');
+        /** @type {HTMLTextAreaElement} */
+        this._definitionsInput = querySelectorNotNull(node, '.personal-dictionary-editor-definitions');
+        /** @type {HTMLInputElement} */
+        this._tagsInput = querySelectorNotNull(node, '.personal-dictionary-editor-tags');
+        /** @type {HTMLTextAreaElement} */
+        this._sentenceInput = querySelectorNotNull(node, '.personal-dictionary-editor-sentence');
+        /** @type {HTMLElement} */
+        this._errorNode = querySelectorNotNull(node, '.personal-dictionary-editor-error');
+        /** @type {HTMLButtonElement} */
+        this._saveButton = querySelectorNotNull(node, '.personal-dictionary-editor-save-button');
+        /** @type {HTMLButtonElement} */
+        this._cancelButton = querySelectorNotNull(node, '.personal-dictionary-editor-cancel-button');
+        /** @type {EventListenerCollection} */
+        this._eventListeners = new EventListenerCollection();
+        /** @type {?number} */
+        this._id = null;
+    }
+
+    /** @type {HTMLElement} */
+    get node() {
+        return this._node;
+    }
+
+    /** */
+    prepare() {
+        this._eventListeners.addEventListener(this._node, 'submit', this._onSubmit.bind(this), false);
+        this._eventListeners.addEventListener(this._cancelButton, 'click', this._onCancelButtonClick.bind(this), false);
+    }
+
+    /**
+     * @param {?number} id The term to edit, or `null` to add a new term.
+     * @param {import('personal-dictionary').EntryContent} content
+     */
+    setEntry(id, {term, reading, definitions, tags, sentence}) {
+        this._id = id;
+        this._termInput.value = term;
+        this._readingInput.value = reading;
+        this._definitionsInput.value = definitions.join('\n');
+        this._tagsInput.value = tags.join(' ');
+        this._sentenceInput.value = sentence;
+        this._setError(null);
+    }
+
+    /** */
+    focus() {
+        const input = this._termInput.value.length === 0 ? this._termInput : this._definitionsInput;
+        input.focus();
+    }
+
+    // Private
+
+    /**
+     * @param {SubmitEvent} e
+     */
+    _onSubmit(e) {
+        e.preventDefault();
+        void this._save();
+    }
+
+    /** */
+    _onCancelButtonClick() {
+        this._onClose(false);
+    }
+
+    /** */
+    async _save() {
+        /** @type {import('personal-dictionary').EntryContent} */
+        const content = {
+            term: this._termInput.value,
+            reading: this._readingInput.value,
+            definitions: this._definitionsInput.value.split('\n'),
+            tags: this._tagsInput.value.split(/\s+/).filter((tag) => tag.length > 0),
+            sentence: this._sentenceInput.value,
+        };
+        this._saveButton.disabled = true;
+        try {
+            await (this._id === null ?
+                this._api.addPersonalDictionaryEntry(content) :
+                this._api.updatePersonalDictionaryEntry(this._id, content)
+            );
+        } catch (e) {
+            this._setError(toError(e).message);
+            return;
+        } finally {
+            this._saveButton.disabled = false;
+        }
+        this._onClose(true);
+    }
+
+    /**
+     * @param {?string} message
+     */
+    _setError(message) {
+        this._errorNode.textContent = message ?? '';
+        this._errorNode.hidden = message === null;
+    }
+}
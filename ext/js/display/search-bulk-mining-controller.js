@@ -0,0 +1,541 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {EventListenerCollection} from '../core/event-listener-collection.js';
+import {log} from '../core/log.js';
+import {toError} from '../core/to-error.js';
+import {generateId} from '../core/utilities.js';
+import {isNoteDataValid} from '../data/anki-util.js';
+import {getParsedTextTokens, getTextSentences, getTokenSentence} from '../data/bulk-mining-util.js';
+import {getDictionaryEntryDictionaries} from '../data/lookup-history-util.js';
+import {querySelectorNotNull} from '../dom/query-selector.js';
+
+/** @type {number} */
+const addNotesBatchSize = 10;
+/** @type {number} */
+const findNotesBatchSize = 100;
+
+/**
+ * Media which can only be added for a lookup made in a page, and is therefore left out of bulk mined notes.
+ * @type {Set<import('anki-note-builder').Requirement['type']>}
+ */
+const unsupportedRequirementTypes = new Set(['screenshot', 'clipboardImage', 'clipboardText', 'popupSelectionText']);
+
+/**
+ * Lists the terms of a pasted text which are not in Anki yet, along with the sentences they were found in,
+ * so that the selected terms can be added to Anki in one batch.
+ */
+export class SearchBulkMiningController {
+    /**
+     * @param {import('./display.js').Display} display
+     * @param {import('./display-anki.js').DisplayAnki} displayAnki
+     * @param {import('../pages/settings/modal-controller.js').ModalController} modalController
+     */
+    constructor(display, displayAnki, modalController) {
+        /** @type {import('./display.js').Display} */
+        this._display = display;
+        /** @type {import('./display-anki.js').DisplayAnki} */
+        this._displayAnki = displayAnki;
+        /** @type {import('../pages/settings/modal-controller.js').ModalController} */
+        this._modalController = modalController;
+        /** @type {?import('../pages/settings/modal.js').Modal} */
+        this._modal = null;
+        /** @type {HTMLElement} */
+        this._openButton = querySelectorNotNull(document, '#search-bulk-mining-button');
+        /** @type {HTMLTextAreaElement} */
+        this._textarea = querySelectorNotNull(document, '#bulk-mining-textarea');
+        /** @type {HTMLSelectElement} */
+        this._cardFormatSelect = querySelectorNotNull(document, '#bulk-mining-card-format-select');
+        /** @type {HTMLButtonElement} */
+        this._findButton = querySelectorNotNull(document, '#bulk-mining-find-button');
+        /** @type {HTMLButtonElement} */
+        this._addButton = querySelectorNotNull(document, '#bulk-mining-add-button');
+        /** @type {HTMLElement} */
+        this._progress = querySelectorNotNull(document, '#bulk-mining-progress');
+        /** @type {HTMLElement} */
+        this._progressInfo = querySelectorNotNull(this._progress, '.progress-info');
+        /** @type {HTMLElement} */
+        this._progressStatus = querySelectorNotNull(this._progress, '.progress-status');
+        /** @type {HTMLElement} */
+        this._progressBar = querySelectorNotNull(this._progress, '.progress-bar');
+        /** @type {HTMLElement} */
+        this._message = querySelectorNotNull(document, '#bulk-mining-message');
+        /** @type {HTMLElement} */
+        this._selectAll = querySelectorNotNull(document, '#bulk-mining-select-all');
+        /** @type {HTMLInputElement} */
+        this._selectAllCheckbox = querySelectorNotNull(document, '#bulk-mining-select-all-checkbox');
+        /** @type {HTMLElement} */
+        this._selectionCount = querySelectorNotNull(document, '#bulk-mining-selection-count');
+        /** @type {HTMLElement} */
+        this._candidateList = querySelectorNotNull(document, '#bulk-mining-candidate-list');
+        /** @type {import('bulk-mining').CandidateItem[]} */
+        this._items = [];
+        /** @type {EventListenerCollection} */
+        this._itemEventListeners = new EventListenerCollection();
+        /** @type {?import('settings').ProfileOptions} */
+        this._options = null;
+        /** @type {number} */
+        this._cardFormatIndex = -1;
+        /** @type {?import('core').TokenObject} */
+        this._token = null;
+    }
+
+    /** */
+    prepare() {
+        this._modal = this._modalController.getModal('bulk-mining');
+        if (this._modal === null) { return; }
+
+        this._modal.on('visibilityChanged', this._onModalVisibilityChanged.bind(this));
+        this._display.on('optionsUpdated', this._onOptionsUpdated.bind(this));
+        this._cardFormatSelect.addEventListener('change', this._onCardFormatSelectChange.bind(this), false);
+        this._findButton.addEventListener('click', this._onFindButtonClick.bind(this), false);
+        this._addButton.addEventListener('click', this._onAddButtonClick.bind(this), false);
+        this._selectAllCheckbox.addEventListener('change', this._onSelectAllCheckboxChange.bind(this), false);
+
+        const options = this._display.getOptions();
+        if (options !== null) {
+            this._onOptionsUpdated({options});
+        }
+    }
+
+    // Private
+
+    /**
+     * @param {import('display').EventArgument<'optionsUpdated'>} details
+     */
+    _onOptionsUpdated({options}) {
+        this._options = options;
+        this._openButton.hidden = !options.anki.enable;
+        this._updateCardFormatOptions();
+    }
+
+    /**
+     * @param {import('panel-element').EventArgument<'visibilityChanged'>} details
+     */
+    _onModalVisibilityChanged({visible}) {
+        if (visible) {
+            this._updateCardFormatOptions();
+            return;
+        }
+        // Closing the modal cancels the current operation; notes which were already sent to Anki are kept
+        if (this._token !== null) {
+            this._token = null;
+            this._setBusy(false);
+        }
+    }
+
+    /** */
+    _onCardFormatSelectChange() {
+        // Whether a term is known depends on the card format, so the listed terms have to be found again
+        this._setItems([]);
+        this._setMessage('', false);
+    }
+
+    /** */
+    _onFindButtonClick() {
+        void this._findCandidates();
+    }
+
+    /** */
+    _onAddButtonClick() {
+        void this._addSelectedCandidates();
+    }
+
+    /** */
+    _onSelectAllCheckboxChange() {
+        const {checked} = this._selectAllCheckbox;
+        for (const {checkbox} of this._getSelectableItems()) {
+            checkbox.checked = checked;
+        }
+        this._updateSelection();
+    }
+
+    /** */
+    _updateCardFormatOptions() {
+        if (this._options === null) { return; }
+        const {value} = this._cardFormatSelect;
+        const fragment = document.createDocumentFragment();
+        for (const [index, {type, name, model}] of this._options.anki.cardFormats.entries()) {
+            if (type !== 'term') { continue; }
+            const option = document.createElement('option');
+            option.value = `${index}`;
+            option.textContent = name.length > 0 ? name : model;
+            fragment.appendChild(option);
+        }
+        this._cardFormatSelect.textContent = '';
+        this._cardFormatSelect.appendChild(fragment);
+        if (value.length > 0) {
+            this._cardFormatSelect.value = value;
+        }
+        if (this._cardFormatSelect.selectedIndex < 0) {
+            this._cardFormatSelect.selectedIndex = 0;
+        }
+    }
+
+    /** */
+    async _findCandidates() {
+        const options = this._options;
+        const cardFormatIndex = Number.parseInt(this._cardFormatSelect.value, 10);
+        const text = this._textarea.value;
+        if (options === null || this._token !== null || text.trim().length === 0) { return; }
+
+        /** @type {import('core').TokenObject} */
+        const token = {};
+        this._token = token;
+        this._setItems([]);
+        this._setMessage('', false);
+        this._setBusy(true);
+        try {
+            if (Number.isNaN(cardFormatIndex)) {
+                throw new Error('No term card format is set up');
+            }
+            const candidates = await this._getCandidates(text, options, cardFormatIndex, token);
+            if (this._token !== token) { return; }
+            this._cardFormatIndex = cardFormatIndex;
+            this._setItems(candidates);
+            this._setMessage(candidates.length > 0 ? '' : 'No unknown terms were found.', false);
+        } catch (e) {
+            if (this._token !== token) { return; }
+            log.error(e);
+            this._setMessage(`Unknown terms could not be found: ${toError(e).message}`, true);
+        } finally {
+            if (this._token === token) {
+                this._token = null;
+                this._setBusy(false);
+            }
+        }
+    }
+
+    /**
+     * @param {string} text
+     * @param {import('settings').ProfileOptions} options
+     * @param {number} cardFormatIndex
+     * @param {import('core').TokenObject} token
+     * @returns {Promise<import('bulk-mining').Candidate[]>}
+     */
+    async _getCandidates(text, options, cardFormatIndex, token) {
+        const {api} = this._display.application;
+        const optionsContext = this._display.getOptionsContext();
+        const {scanning: {length: scanLength}, parsing: {enableScanningParser, enableMecabParser, selectedParser}} = options;
+
+        this._updateProgress('Parsing text...', 0, 1);
+        const parseResults = await api.parseText(text, optionsContext, scanLength, enableScanningParser, enableMecabParser);
+        const parseResult = parseResults.find(({id}) => id === selectedParser) ?? parseResults[0];
+        if (typeof parseResult === 'undefined') { return []; }
+
+        const sentences = getTextSentences(text);
+        const tokens = getParsedTextTokens(text, parseResult.content);
+        const url = window.location.href;
+        const documentTitle = document.title;
+        /** @type {Set<string>} */
+        const tokenTexts = new Set();
+        /** @type {Map<string, import('bulk-mining').Candidate>} */
+        const candidateMap = new Map();
+        for (let i = 0, ii = tokens.length; i < ii; ++i) {
+            if (this._token !== token) { return []; }
+            this._updateProgress('Looking up terms...', i, ii);
+
+            const textToken = tokens[i];
+            if (tokenTexts.has(textToken.text)) { continue; }
+            tokenTexts.add(textToken.text);
+            const sentence = getTokenSentence(sentences, textToken);
+            if (sentence === null) { continue; }
+
+            const {dictionaryEntries, originalTextLength} = await api.termsFind(textToken.text, {}, optionsContext);
+            if (dictionaryEntries.length === 0 || originalTextLength !== textToken.text.length) { continue; }
+            const dictionaryEntry = dictionaryEntries[0];
+            const {term, reading} = dictionaryEntry.headwords[0];
+            const key = JSON.stringify([term, reading]);
+            if (candidateMap.has(key)) { continue; }
+
+            /** @type {import('anki-templates-internal').Context} */
+            const context = {url, documentTitle, query: textToken.text, fullQuery: sentence.text, sentence};
+            const {note, requirements} = await this._displayAnki.createNote(dictionaryEntry, cardFormatIndex, context, []);
+            if (!isNoteDataValid(note)) {
+                throw new Error('The card format does not have a deck and note type');
+            }
+            candidateMap.set(key, {
+                term,
+                reading,
+                dictionaryEntry,
+                context,
+                note,
+                requirements: requirements.filter(({type}) => !unsupportedRequirementTypes.has(type)),
+            });
+        }
+
+        const candidates = [...candidateMap.values()];
+        /** @type {import('bulk-mining').Candidate[]} */
+        const results = [];
+        for (let i = 0, ii = candidates.length; i < ii; i += findNotesBatchSize) {
+            if (this._token !== token) { return []; }
+            this._updateProgress('Checking Anki...', i, ii);
+            const batch = candidates.slice(i, i + findNotesBatchSize);
+            const noteIdsList = await api.findAnkiNoteIds(batch.map(({note}) => note));
+            for (let j = 0, jj = batch.length; j < jj; ++j) {
+                const noteIds = noteIdsList[j];
+                if (typeof noteIds === 'undefined' || noteIds.length === 0) {
+                    results.push(batch[j]);
+                }
+            }
+        }
+        return results;
+    }
+
+    /** */
+    async _addSelectedCandidates() {
+        const options = this._options;
+        const items = this._getSelectableItems().filter(({checkbox}) => checkbox.checked);
+        if (options === null || this._token !== null || items.length === 0) { return; }
+
+        const {api} = this._display.application;
+        const {suspendNewCards, miningLogEnabled, forceSync} = options.anki;
+        const {historyEnabled} = options.general;
+        /** @type {import('core').TokenObject} */
+        const token = {};
+        this._token = token;
+        this._setMessage('', false);
+        this._setBusy(true);
+        let addedCount = 0;
+        let processedCount = 0;
+        try {
+            for (let i = 0, ii = items.length; i < ii; i += addNotesBatchSize) {
+                if (this._token !== token) { return; }
+                this._updateProgress('Adding notes...', i, ii);
+
+                /** @type {import('bulk-mining').CandidateItem[]} */
+                const batchItems = [];
+                /** @type {import('anki').Note[]} */
+                const notes = [];
+                /** @type {string[][]} */
+                const noteErrors = [];
+                for (const item of items.slice(i, i + addNotesBatchSize)) {
+                    const {dictionaryEntry, context, requirements} = item.candidate;
+                    try {
+                        const {note, errors} = await this._displayAnki.createNote(dictionaryEntry, this._cardFormatIndex, context, requirements);
+                        batchItems.push(item);
+                        notes.push(note);
+                        noteErrors.push(errors.map(({message}) => message));
+                    } catch (e) {
+                        this._setItemStatus(item, 'error', toError(e).message);
+                    }
+                }
+
+                const results = await this._addNotes(notes);
+                for (let j = 0, jj = batchItems.length; j < jj; ++j) {
+                    const item = batchItems[j];
+                    const {noteId, error} = results[j];
+                    if (noteId === null) {
+                        this._setItemStatus(item, 'error', error ?? 'Note could not be added');
+                        continue;
+                    }
+                    ++addedCount;
+                    const errors = noteErrors[j];
+                    this._setItemStatus(item, 'added', errors.length > 0 ? `Added, with errors: ${errors.join('; ')}` : 'Added');
+                    if (suspendNewCards) {
+                        api.suspendAnkiCardsForNote(noteId).catch((e) => log.error(e));
+                    }
+                    if (miningLogEnabled) {
+                        api.addMiningLogEntry(notes[j]).catch((e) => log.error(e));
+                    }
+                    if (historyEnabled) {
+                        this._addSavedHistoryRecord(item.candidate);
+                    }
+                }
+                processedCount = Math.min(i + addNotesBatchSize, ii);
+            }
+
+            if (forceSync && addedCount > 0) {
+                try {
+                    await api.forceSync();
+                } catch (e) {
+                    log.error(e);
+                }
+            }
+        } finally {
+            const failedCount = processedCount - addedCount;
+            this._setMessage(
+                failedCount > 0 ?
+                    `Added ${addedCount} of ${processedCount} notes. The notes which could not be added are marked below.` :
+                    `Added ${addedCount} notes.`,
+                failedCount > 0,
+            );
+            if (this._token === token) {
+                this._token = null;
+                this._setBusy(false);
+            }
+            this._updateSelection();
+        }
+    }
+
+    /**
+     * Records the lookup of a candidate in the history and marks it as saved, without waiting for it to be stored.
+     * Bulk mined terms are not looked up through the display, so there is no existing record to mark.
+     * @param {import('bulk-mining').Candidate} candidate
+     */
+    _addSavedHistoryRecord(candidate) {
+        const {api} = this._display.application;
+        const {term, reading, dictionaryEntry, context: {query, sentence, url, documentTitle}} = candidate;
+        const id = generateId(16);
+        /** @type {import('lookup-history').HistoryRecordDetails} */
+        const record = {
+            id,
+            type: 'terms',
+            query,
+            term,
+            reading,
+            dictionaries: getDictionaryEntryDictionaries(dictionaryEntry),
+            sentence: sentence.text ?? '',
+            sentenceOffset: sentence.offset ?? 0,
+            url,
+            documentTitle,
+        };
+        api.addHistoryRecord(record, this._display.getOptionsContext())
+            .then(() => api.markHistoryRecordSaved(id, {term, reading}))
+            .catch((e) => log.error(e));
+    }
+
+    /**
+     * @param {import('anki').Note[]} notes
+     * @returns {Promise<import('api').AddAnkiNotesResult[]>}
+     */
+    async _addNotes(notes) {
+        if (notes.length === 0) { return []; }
+        try {
+            return await this._display.application.api.addAnkiNotes(notes);
+        } catch (e) {
+            const error = toError(e).message;
+            return notes.map(() => ({noteId: null, error}));
+        }
+    }
+
+    /**
+     * @param {import('bulk-mining').Candidate[]} candidates
+     */
+    _setItems(candidates) {
+        this._itemEventListeners.removeAllEventListeners();
+        this._items = [];
+        this._candidateList.textContent = '';
+        const fragment = document.createDocumentFragment();
+        for (const candidate of candidates) {
+            const item = this._createItem(candidate);
+            this._items.push(item);
+            fragment.appendChild(item.node);
+        }
+        this._candidateList.appendChild(fragment);
+        this._selectAll.hidden = candidates.length === 0;
+        this._updateSelection();
+    }
+
+    /**
+     * @param {import('bulk-mining').Candidate} candidate
+     * @returns {import('bulk-mining').CandidateItem}
+     */
+    _createItem(candidate) {
+        const {term, reading, context: {query, sentence: {text = '', offset = 0}}} = candidate;
+        const node = /** @type {HTMLElement} */ (this._display.displayGenerator.instantiateTemplate('bulk-mining-candidate'));
+        /** @type {HTMLInputElement} */
+        const checkbox = querySelectorNotNull(node, '.bulk-mining-candidate-checkbox');
+        /** @type {HTMLElement} */
+        const termNode = querySelectorNotNull(node, '.bulk-mining-candidate-term');
+        /** @type {HTMLElement} */
+        const readingNode = querySelectorNotNull(node, '.bulk-mining-candidate-reading');
+        /** @type {HTMLElement} */
+        const sentenceNode = querySelectorNotNull(node, '.bulk-mining-candidate-sentence');
+        /** @type {HTMLElement} */
+        const status = querySelectorNotNull(node, '.bulk-mining-candidate-status');
+
+        termNode.textContent = term;
+        readingNode.textContent = reading;
+        readingNode.hidden = reading.length === 0 || reading === term;
+        const queryNode = document.createElement('em');
+        queryNode.textContent = text.substring(offset, offset + query.length);
+        sentenceNode.append(text.substring(0, offset), queryNode, text.substring(offset + query.length));
+
+        this._itemEventListeners.addEventListener(checkbox, 'change', this._updateSelection.bind(this), false);
+        return {candidate, node, checkbox, status};
+    }
+
+    /**
+     * @param {import('bulk-mining').CandidateItem} item
+     * @param {import('bulk-mining').CandidateStatus} value
+     * @param {string} message
+     */
+    _setItemStatus({node, checkbox, status}, value, message) {
+        node.dataset.status = value;
+        status.textContent = message;
+        status.hidden = false;
+        if (value === 'added') {
+            checkbox.checked = false;
+            checkbox.disabled = true;
+        }
+    }
+
+    /**
+     * @returns {import('bulk-mining').CandidateItem[]} The items which have not been added to Anki yet.
+     */
+    _getSelectableItems() {
+        return this._items.filter(({node}) => node.dataset.status !== 'added');
+    }
+
+    /** */
+    _updateSelection() {
+        const selectableItems = this._getSelectableItems();
+        const selectedCount = selectableItems.filter(({checkbox}) => checkbox.checked).length;
+        this._selectionCount.textContent = `${selectedCount} of ${selectableItems.length} selected`;
+        this._selectAllCheckbox.checked = selectableItems.length > 0 && selectedCount === selectableItems.length;
+        this._selectAllCheckbox.indeterminate = selectedCount > 0 && selectedCount < selectableItems.length;
+        this._addButton.disabled = this._token !== null || selectedCount === 0;
+    }
+
+    /**
+     * @param {boolean} busy
+     */
+    _setBusy(busy) {
+        this._textarea.disabled = busy;
+        this._cardFormatSelect.disabled = busy;
+        this._findButton.disabled = busy;
+        this._selectAllCheckbox.disabled = busy;
+        for (const {checkbox, node} of this._items) {
+            checkbox.disabled = busy || node.dataset.status === 'added';
+        }
+        this._progress.hidden = !busy;
+        this._updateSelection();
+    }
+
+    /**
+     * @param {string} text
+     * @param {number} current
+     * @param {number} end
+     */
+    _updateProgress(text, current, end) {
+        const percent = end > 0 ? (current / end) * 100 : 0;
+        this._progressInfo.textContent = text;
+        this._progressStatus.textContent = `${current} / ${end}`;
+        this._progressBar.style.width = `${percent}%`;
+    }
+
+    /**
+     * @param {string} message
+     * @param {boolean} isError
+     */
+    _setMessage(message, isError) {
+        this._message.textContent = message;
+        this._message.hidden = message.length === 0;
+        this._message.classList.toggle('danger-text', isError);
+    }
+}
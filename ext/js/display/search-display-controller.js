@@ -51,6 +51,10 @@ export class SearchDisplayController {
         /** @type {HTMLInputElement} */
         this._wanakanaEnableCheckbox = querySelectorNotNull(document, '#wanakana-enable');
         /** @type {HTMLInputElement} */
+        this._meaningSearchEnableCheckbox = querySelectorNotNull(document, '#meaning-search-enable');
+        /** @type {HTMLInputElement} */
+        this._patternSearchEnableCheckbox = querySelectorNotNull(document, '#pattern-search-enable');
+        /** @type {HTMLInputElement} */
         this._stickyHeaderEnableCheckbox = querySelectorNotNull(document, '#sticky-header-enable');
         /** @type {HTMLElement} */
         this._profileSelectContainer = querySelectorNotNull(document, '#search-option-profile-select');
@@ -58,6 +62,12 @@ export class SearchDisplayController {
         this._profileSelect = querySelectorNotNull(document, '#profile-select');
         /** @type {HTMLElement} */
         this._wanakanaSearchOption = querySelectorNotNull(document, '#search-option-wanakana');
+        /** @type {HTMLElement} */
+        this._paginationContainer = querySelectorNotNull(document, '#search-pagination');
+        /** @type {HTMLElement} */
+        this._paginationStatus = querySelectorNotNull(document, '#search-pagination-status');
+        /** @type {HTMLButtonElement} */
+        this._paginationNextButton = querySelectorNotNull(document, '#search-pagination-next-button');
         /** @type {EventListenerCollection} */
         this._queryInputEvents = new EventListenerCollection();
         /** @type {boolean} */
@@ -65,6 +75,10 @@ export class SearchDisplayController {
         /** @type {boolean} */
         this._wanakanaEnabled = false;
         /** @type {boolean} */
+        this._meaningSearchEnabled = false;
+        /** @type {boolean} */
+        this._patternSearchEnabled = false;
+        /** @type {boolean} */
         this._introVisible = true;
         /** @type {?import('core').Timeout} */
         this._introAnimationTimer = null;
@@ -95,6 +109,7 @@ export class SearchDisplayController {
 
         this._display.on('optionsUpdated', this._onDisplayOptionsUpdated.bind(this));
         this._display.on('contentUpdateStart', this._onContentUpdateStart.bind(this));
+        this._display.on('contentUpdateComplete', this._onContentUpdateComplete.bind(this));
 
         this._display.hotkeyHandler.registerActions([
             ['focusSearchBox', this._onActionFocusSearchBox.bind(this)],
@@ -111,6 +126,9 @@ export class SearchDisplayController {
 
         this._searchBackButton.addEventListener('click', this._onSearchBackButtonClick.bind(this), false);
         this._wanakanaEnableCheckbox.addEventListener('change', this._onWanakanaEnableChange.bind(this));
+        this._meaningSearchEnableCheckbox.addEventListener('change', this._onMeaningSearchEnableChange.bind(this));
+        this._patternSearchEnableCheckbox.addEventListener('change', this._onPatternSearchEnableChange.bind(this));
+        this._paginationNextButton.addEventListener('click', this._onPaginationNextButtonClick.bind(this), false);
         window.addEventListener('copy', this._onCopy.bind(this));
         window.addEventListener('paste', this._onPaste.bind(this));
         this._clipboardMonitor.on('change', this._onClipboardMonitorChange.bind(this));
@@ -229,6 +247,11 @@ export class SearchDisplayController {
                     animate = (typeof content === 'object' && content !== null && content.animate === true);
                     showBackButton = (typeof state === 'object' && state !== null && state.cause === 'queryParser');
                     valid = (typeof query === 'string' && query.length > 0);
+                    {
+                        const search = new URLSearchParams(location.search).get('search');
+                        this._setMeaningSearchEnabled(search === 'meaning');
+                        this._setPatternSearchEnabled(search === 'pattern');
+                    }
                     this._display.blurElement(this._queryInput);
                 }
                 break;
@@ -250,6 +273,34 @@ export class SearchDisplayController {
         this._setIntroVisible(!valid, animate);
     }
 
+    /** */
+    _onContentUpdateComplete() {
+        const {patternSearch} = this._display;
+        if (patternSearch === null) {
+            this._paginationContainer.hidden = true;
+            return;
+        }
+
+        const {nextCursor, scannedCount, error} = patternSearch;
+        this._paginationStatus.textContent = (
+            error !== null ?
+            `The search pattern is not valid: ${error}` :
+            `${this._display.dictionaryEntries.length} results from ${scannedCount} scanned terms.`
+        );
+        this._paginationNextButton.hidden = (nextCursor === null);
+        this._paginationContainer.hidden = false;
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onPaginationNextButtonClick(e) {
+        e.preventDefault();
+        const {patternSearch} = this._display;
+        if (patternSearch === null || patternSearch.nextCursor === null) { return; }
+        this._search(true, 'new', true, null, patternSearch.nextCursor);
+    }
+
     /**
      * @param {InputEvent} e
      */
@@ -257,7 +308,7 @@ export class SearchDisplayController {
         this._updateSearchHeight(true);
 
         const element = /** @type {HTMLTextAreaElement} */ (e.currentTarget);
-        if (this._wanakanaEnabled) {
+        if (this._isKanaConversionEnabled()) {
             this._searchTextKanaConversion(element, e);
         }
     }
@@ -390,6 +441,30 @@ export class SearchDisplayController {
         void this._display.application.api.modifySettings([modification], 'search');
     }
 
+    /**
+     * @param {Event} e
+     */
+    _onMeaningSearchEnableChange(e) {
+        const element = /** @type {HTMLInputElement} */ (e.target);
+        this._setMeaningSearchEnabled(element.checked);
+        if (element.checked) { this._setPatternSearchEnabled(false); }
+        if (this._queryInput.value.length > 0) {
+            this._search(true, 'new', true, null);
+        }
+    }
+
+    /**
+     * @param {Event} e
+     */
+    _onPatternSearchEnableChange(e) {
+        const element = /** @type {HTMLInputElement} */ (e.target);
+        this._setPatternSearchEnabled(element.checked);
+        if (element.checked) { this._setMeaningSearchEnabled(false); }
+        if (this._queryInput.value.length > 0) {
+            this._search(true, 'new', true, null);
+        }
+    }
+
     /**
      * @param {Event} e
      */
@@ -456,6 +531,22 @@ export class SearchDisplayController {
         await this._display.application.api.modifySettings([modification], 'search');
     }
 
+    /**
+     * @param {boolean} enabled
+     */
+    _setMeaningSearchEnabled(enabled) {
+        this._meaningSearchEnabled = enabled;
+        this._meaningSearchEnableCheckbox.checked = enabled;
+    }
+
+    /**
+     * @param {boolean} enabled
+     */
+    _setPatternSearchEnabled(enabled) {
+        this._patternSearchEnabled = enabled;
+        this._patternSearchEnableCheckbox.checked = enabled;
+    }
+
     /**
      * @param {boolean} enabled
      */
@@ -608,8 +699,9 @@ export class SearchDisplayController {
      * @param {import('display').HistoryMode} historyMode
      * @param {boolean} lookup
      * @param {?import('settings').OptionsContextFlag[]} flags
+     * @param {?number} [patternCursor]
      */
-    _search(animate, historyMode, lookup, flags) {
+    _search(animate, historyMode, lookup, flags, patternCursor = null) {
         this._updateSearchText();
 
         const query = this._queryInput.value;
@@ -643,6 +735,12 @@ export class SearchDisplayController {
             },
         };
         if (!lookup) { details.params.lookup = 'false'; }
+        if (this._meaningSearchEnabled) {
+            details.params.search = 'meaning';
+        } else if (this._patternSearchEnabled) {
+            details.params.search = 'pattern';
+        }
+        if (patternCursor !== null) { details.params.cursor = `${patternCursor}`; }
         this._display.setContent(details);
     }
 
@@ -667,9 +765,17 @@ export class SearchDisplayController {
         }
     }
 
+    /**
+     * @returns {boolean}
+     */
+    _isKanaConversionEnabled() {
+        // Kana conversion would mangle regular expressions and wildcard class names such as [:kana:]
+        return this._wanakanaEnabled && !this._meaningSearchEnabled && !this._patternSearchEnabled;
+    }
+
     /** */
     _updateSearchText() {
-        if (this._wanakanaEnabled) {
+        if (this._isKanaConversionEnabled()) {
             // don't use convertToKanaIME since user searching has finalized the text and is no longer composing
             this._queryInput.value = convertToKana(this._queryInput.value);
         }
@@ -27,8 +27,11 @@ import {DisplayAudio} from './display-audio.js';
 import {DisplaySottaku} from './display-sottaku.js';
 import {Display} from './display.js';
 import {SearchActionPopupController} from './search-action-popup-controller.js';
+import {SearchBulkMiningController} from './search-bulk-mining-controller.js';
 import {SearchDisplayController} from './search-display-controller.js';
 import {SearchPersistentStateController} from './search-persistent-state-controller.js';
+import {SearchPersonalDictionaryController} from './search-personal-dictionary-controller.js';
+import {SearchSottakuReviewController} from './search-sottaku-review-controller.js';
 
 await Application.main(true, async (application) => {
     const documentFocusController = new DocumentFocusController('#search-textbox');
@@ -58,9 +61,18 @@ await Application.main(true, async (application) => {
     const searchDisplayController = new SearchDisplayController(display, displayAudio, searchPersistentStateController);
     await searchDisplayController.prepare();
 
+    const searchSottakuReviewController = new SearchSottakuReviewController(display);
+    searchSottakuReviewController.prepare();
+
     const modalController = new ModalController([]);
     await modalController.prepare();
 
+    const searchPersonalDictionaryController = new SearchPersonalDictionaryController(display, modalController);
+    searchPersonalDictionaryController.prepare();
+
+    const searchBulkMiningController = new SearchBulkMiningController(display, displayAnki, modalController);
+    searchBulkMiningController.prepare();
+
     const settingsController = new SettingsController(application);
     await settingsController.prepare();
 
@@ -0,0 +1,174 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {EventListenerCollection} from '../core/event-listener-collection.js';
+import {log} from '../core/log.js';
+import {querySelectorNotNull} from '../dom/query-selector.js';
+import {PersonalDictionaryEditor} from './personal-dictionary-editor.js';
+
+/**
+ * Lists the terms of the personal dictionary on the search page, where they can be added, edited and deleted.
+ */
+export class SearchPersonalDictionaryController {
+    /**
+     * @param {import('./display.js').Display} display
+     * @param {import('../pages/settings/modal-controller.js').ModalController} modalController
+     */
+    constructor(display, modalController) {
+        /** @type {import('./display.js').Display} */
+        this._display = display;
+        /** @type {import('../pages/settings/modal-controller.js').ModalController} */
+        this._modalController = modalController;
+        /** @type {?import('../pages/settings/modal.js').Modal} */
+        this._modal = null;
+        /** @type {HTMLElement} */
+        this._entryList = querySelectorNotNull(document, '#personal-dictionary-entry-list');
+        /** @type {HTMLElement} */
+        this._emptyMessage = querySelectorNotNull(document, '#personal-dictionary-empty');
+        /** @type {HTMLElement} */
+        this._editorContainer = querySelectorNotNull(document, '#personal-dictionary-editor-container');
+        /** @type {HTMLButtonElement} */
+        this._addButton = querySelectorNotNull(document, '#personal-dictionary-add-button');
+        /** @type {?PersonalDictionaryEditor} */
+        this._editor = null;
+        /** @type {EventListenerCollection} */
+        this._entryEventListeners = new EventListenerCollection();
+    }
+
+    /** */
+    prepare() {
+        this._modal = this._modalController.getModal('personal-dictionary');
+        if (this._modal === null) { return; }
+
+        const editorNode = /** @type {HTMLElement} */ (this._display.displayGenerator.instantiateTemplate('personal-dictionary-editor'));
+        this._editor = new PersonalDictionaryEditor(this._display.application.api, editorNode, this._onEditorClose.bind(this));
+        this._editor.prepare();
+        this._editorContainer.appendChild(editorNode);
+
+        this._modal.on('visibilityChanged', this._onModalVisibilityChanged.bind(this));
+        this._addButton.addEventListener('click', this._onAddButtonClick.bind(this), false);
+    }
+
+    // Private
+
+    /**
+     * @param {import('panel-element').EventArgument<'visibilityChanged'>} details
+     */
+    _onModalVisibilityChanged({visible}) {
+        if (!visible) { return; }
+        this._setEditorVisible(false);
+        void this._updateEntries();
+    }
+
+    /** */
+    _onAddButtonClick() {
+        this._openEditor(null, {term: '', reading: '', definitions: [], tags: [], sentence: ''});
+    }
+
+    /**
+     * @param {boolean} saved
+     */
+    _onEditorClose(saved) {
+        this._setEditorVisible(false);
+        if (saved) {
+            void this._updateEntries();
+        }
+    }
+
+    /**
+     * @param {?number} id
+     * @param {import('personal-dictionary').EntryContent} content
+     */
+    _openEditor(id, content) {
+        if (this._editor === null) { return; }
+        this._editor.setEntry(id, content);
+        this._setEditorVisible(true);
+        this._editor.focus();
+    }
+
+    /**
+     * @param {boolean} visible
+     */
+    _setEditorVisible(visible) {
+        this._editorContainer.hidden = !visible;
+        this._addButton.disabled = visible;
+    }
+
+    /** */
+    async _updateEntries() {
+        let entries;
+        try {
+            entries = await this._display.application.api.getPersonalDictionaryEntries();
+        } catch (e) {
+            log.error(e);
+            return;
+        }
+
+        this._entryEventListeners.removeAllEventListeners();
+        this._entryList.textContent = '';
+        const fragment = document.createDocumentFragment();
+        for (const entry of entries) {
+            fragment.appendChild(this._createEntryNode(entry));
+        }
+        this._entryList.appendChild(fragment);
+        this._emptyMessage.hidden = entries.length > 0;
+    }
+
+    /**
+     * @param {import('personal-dictionary').Entry} entry
+     * @returns {HTMLElement}
+     */
+    _createEntryNode(entry) {
+        const {id, term, reading, definitions} = entry;
+        const node = /** @type {HTMLElement} */ (this._display.displayGenerator.instantiateTemplate('personal-dictionary-entry'));
+        /** @type {HTMLElement} */
+        const termNode = querySelectorNotNull(node, '.personal-dictionary-entry-term');
+        /** @type {HTMLElement} */
+        const readingNode = querySelectorNotNull(node, '.personal-dictionary-entry-reading');
+        /** @type {HTMLElement} */
+        const definitionsNode = querySelectorNotNull(node, '.personal-dictionary-entry-definitions');
+        /** @type {HTMLButtonElement} */
+        const editButton = querySelectorNotNull(node, '.personal-dictionary-entry-edit-button');
+        /** @type {HTMLButtonElement} */
+        const deleteButton = querySelectorNotNull(node, '.personal-dictionary-entry-delete-button');
+
+        termNode.textContent = term;
+        readingNode.textContent = reading;
+        readingNode.hidden = reading.length === 0;
+        definitionsNode.textContent = definitions.join('; ');
+
+        this._entryEventListeners.addEventListener(editButton, 'click', () => {
+            this._openEditor(id, entry);
+        }, false);
+        this._entryEventListeners.addEventListener(deleteButton, 'click', () => {
+            void this._deleteEntry(id);
+        }, false);
+        return node;
+    }
+
+    /**
+     * @param {number} id
+     */
+    async _deleteEntry(id) {
+        try {
+            await this._display.application.api.deletePersonalDictionaryEntry(id);
+        } catch (e) {
+            log.error(e);
+        }
+        await this._updateEntries();
+    }
+}
@@ -0,0 +1,399 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {SottakuClient} from '../comm/sottaku-client.js';
+import {log} from '../core/log.js';
+import {toError} from '../core/to-error.js';
+import {querySelectorNotNull} from '../dom/query-selector.js';
+
+/** Maximum number of due flashcards loaded per review session. */
+const REVIEW_BATCH_SIZE = 50;
+
+/**
+ * Controller for reviewing due Sottaku flashcards inside the search page.
+ */
+export class SearchSottakuReviewController {
+    /**
+     * @param {import('./display.js').Display} display
+     */
+    constructor(display) {
+        /** @type {import('./display.js').Display} */
+        this._display = display;
+        /** @type {SottakuClient} */
+        this._client = new SottakuClient();
+        /** @type {boolean} */
+        this._sottakuEnabled = false;
+        /** @type {boolean} */
+        this._enabled = false;
+        /** @type {boolean} */
+        this._active = false;
+        /** @type {import('sottaku-review').Card[]} */
+        this._cards = [];
+        /** @type {number} */
+        this._cardIndex = 0;
+        /** @type {number} */
+        this._reviewedCount = 0;
+        /** @type {boolean} */
+        this._revealed = false;
+        /** @type {boolean} */
+        this._busy = false;
+        /** @type {?HTMLAudioElement} */
+        this._audio = null;
+        /** @type {HTMLElement} */
+        this._toggleContainer = querySelectorNotNull(document, '#search-option-sottaku-review-container');
+        /** @type {HTMLInputElement} */
+        this._toggleCheckbox = querySelectorNotNull(document, '#sottaku-review-enable');
+        /** @type {HTMLElement} */
+        this._container = querySelectorNotNull(document, '#sottaku-review');
+        /** @type {HTMLElement} */
+        this._cardElement = querySelectorNotNull(document, '#sottaku-review-card');
+        /** @type {HTMLElement} */
+        this._messageElement = querySelectorNotNull(document, '#sottaku-review-message');
+        /** @type {HTMLElement} */
+        this._flagElement = querySelectorNotNull(document, '#sottaku-review-flag');
+        /** @type {HTMLElement} */
+        this._progressElement = querySelectorNotNull(document, '#sottaku-review-progress');
+        /** @type {HTMLElement} */
+        this._sentenceElement = querySelectorNotNull(document, '#sottaku-review-sentence');
+        /** @type {HTMLElement} */
+        this._answerElement = querySelectorNotNull(document, '#sottaku-review-answer');
+        /** @type {HTMLElement} */
+        this._termElement = querySelectorNotNull(document, '#sottaku-review-term');
+        /** @type {HTMLElement} */
+        this._translationElement = querySelectorNotNull(document, '#sottaku-review-translation');
+        /** @type {HTMLElement} */
+        this._sentenceTranslationElement = querySelectorNotNull(document, '#sottaku-review-sentence-translation');
+        /** @type {HTMLElement} */
+        this._usageNotesElement = querySelectorNotNull(document, '#sottaku-review-usage-notes');
+        /** @type {HTMLButtonElement} */
+        this._wordAudioButton = querySelectorNotNull(document, '#sottaku-review-word-audio-button');
+        /** @type {HTMLButtonElement} */
+        this._sentenceAudioButton = querySelectorNotNull(document, '#sottaku-review-sentence-audio-button');
+        /** @type {HTMLButtonElement} */
+        this._revealButton = querySelectorNotNull(document, '#sottaku-review-reveal-button');
+        /** @type {HTMLElement} */
+        this._gradesElement = querySelectorNotNull(document, '#sottaku-review-grades');
+    }
+
+    /** */
+    prepare() {
+        this._display.on('optionsUpdated', this._onOptionsUpdated.bind(this));
+        this._display.application.on('sottakuCredentialsUpdated', this._onCredentialsUpdated.bind(this));
+
+        this._display.hotkeyHandler.registerActions([
+            ['sottakuReviewGrade', this._onActionGrade.bind(this)],
+            ['sottakuReviewReveal', this._onActionReveal.bind(this)],
+        ]);
+
+        this._toggleCheckbox.addEventListener('change', this._onToggleChange.bind(this), false);
+        this._revealButton.addEventListener('click', this._onRevealClick.bind(this), false);
+        this._wordAudioButton.addEventListener('click', this._onAudioClick.bind(this, 'word'), false);
+        this._sentenceAudioButton.addEventListener('click', this._onAudioClick.bind(this, 'sentence'), false);
+        for (const button of /** @type {NodeListOf<HTMLButtonElement>} */ (this._gradesElement.querySelectorAll('button[data-grade]'))) {
+            button.addEventListener('click', this._onGradeClick.bind(this), false);
+        }
+    }
+
+    // Private
+
+    /**
+     * @param {import('display').EventArgument<'optionsUpdated'>} details
+     */
+    _onOptionsUpdated({options}) {
+        const {sottaku} = options;
+        this._sottakuEnabled = sottaku.enabled;
+        this._client.setConfig({
+            apiBaseUrl: sottaku.apiBaseUrl,
+            cookieDomain: sottaku.cookieDomain,
+        });
+        void this._updateCredentials();
+    }
+
+    /** */
+    _onCredentialsUpdated() {
+        void this._updateCredentials();
+    }
+
+    /** */
+    async _updateCredentials() {
+        let credentials;
+        try {
+            credentials = await this._display.application.api.getSottakuCredentials();
+        } catch (e) {
+            log.warn(e);
+            return;
+        }
+        this._client.setConfig({authToken: credentials.authToken});
+        this._enabled = this._sottakuEnabled && credentials.authToken.length > 0;
+        this._toggleContainer.hidden = !this._enabled;
+        if (!this._enabled && this._active) {
+            this._setActive(false);
+        }
+    }
+
+    /**
+     * @param {Event} e
+     */
+    _onToggleChange(e) {
+        const element = /** @type {HTMLInputElement} */ (e.currentTarget);
+        this._setActive(element.checked);
+    }
+
+    /** */
+    _onRevealClick() {
+        this._reveal();
+    }
+
+    /**
+     * @param {'word'|'sentence'} type
+     */
+    _onAudioClick(type) {
+        void this._playAudio(type);
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onGradeClick(e) {
+        const button = /** @type {HTMLButtonElement} */ (e.currentTarget);
+        const grade = this._parseGrade(button.dataset.grade);
+        if (grade !== null) {
+            void this._submitGrade(grade);
+        }
+    }
+
+    /**
+     * @param {unknown} argument
+     * @returns {boolean}
+     */
+    _onActionGrade(argument) {
+        if (!this._active || !this._revealed) { return false; }
+        const grade = this._parseGrade(argument);
+        if (grade === null) { return false; }
+        void this._submitGrade(grade);
+        return true;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    _onActionReveal() {
+        if (!this._active || this._getCurrentCard() === null) { return false; }
+        this._reveal();
+        return true;
+    }
+
+    /**
+     * @param {boolean} active
+     */
+    _setActive(active) {
+        this._active = active;
+        this._toggleCheckbox.checked = active;
+        this._container.hidden = !active;
+        document.documentElement.dataset.sottakuReview = `${active}`;
+        this._stopAudio();
+        if (active) {
+            const {activeElement} = document;
+            if (activeElement instanceof HTMLElement) { activeElement.blur(); }
+            void this._loadCards();
+        } else {
+            this._cards = [];
+            this._cardIndex = 0;
+        }
+    }
+
+    /** */
+    async _loadCards() {
+        this._cards = [];
+        this._cardIndex = 0;
+        this._reviewedCount = 0;
+        this._showMessage('Loading flashcards...');
+        try {
+            const cards = await this._display.application.api.getSottakuDueFlashcards(REVIEW_BATCH_SIZE, this._display.getOptionsContext());
+            if (!this._active) { return; }
+            this._cards = cards;
+        } catch (e) {
+            if (!this._active) { return; }
+            this._showMessage(`Failed to load flashcards: ${toError(e).message}`);
+            return;
+        }
+        this._renderCard();
+    }
+
+    /** */
+    _renderCard() {
+        this._stopAudio();
+        const card = this._getCurrentCard();
+        if (card === null) {
+            this._showMessage(this._reviewedCount > 0 ? `All done! ${this._reviewedCount} flashcard(s) reviewed.` : 'No flashcards are due for review.');
+            return;
+        }
+
+        this._revealed = false;
+        this._messageElement.hidden = true;
+        this._cardElement.hidden = false;
+        this._flagElement.textContent = card.languageFlag;
+        this._progressElement.textContent = `${this._cardIndex + 1} / ${this._cards.length}`;
+        this._sentenceElement.lang = card.language;
+        this._termElement.lang = card.language;
+        this._termElement.textContent = card.reading && card.reading !== card.term ? `${card.term} (${card.reading})` : card.term;
+        this._translationElement.textContent = card.translation;
+        this._sentenceTranslationElement.textContent = card.sentenceTranslation;
+        this._sentenceTranslationElement.hidden = card.sentenceTranslation.length === 0;
+        this._usageNotesElement.textContent = card.usageNotes;
+        this._usageNotesElement.hidden = card.usageNotes.length === 0;
+        this._wordAudioButton.hidden = card.audio.word === null;
+        this._sentenceAudioButton.hidden = card.audio.sentence === null;
+        this._updateSentence(card);
+        this._updateRevealState();
+    }
+
+    /** */
+    _reveal() {
+        const card = this._getCurrentCard();
+        if (card === null || this._revealed) { return; }
+        this._revealed = true;
+        this._updateSentence(card);
+        this._updateRevealState();
+        if (card.audio.word !== null) {
+            void this._playAudio('word');
+        }
+    }
+
+    /** */
+    _updateRevealState() {
+        this._answerElement.hidden = !this._revealed;
+        this._revealButton.hidden = this._revealed;
+        this._gradesElement.hidden = !this._revealed;
+    }
+
+    /**
+     * Renders the cloze sentence, hiding the reviewed term until the answer is revealed.
+     * @param {import('sottaku-review').Card} card
+     */
+    _updateSentence(card) {
+        const {sentence, term} = card;
+        const element = this._sentenceElement;
+        element.textContent = '';
+        if (sentence.length === 0) {
+            element.appendChild(this._createClozeElement(this._revealed ? term : '＿＿＿'));
+            return;
+        }
+        const index = term.length > 0 ? sentence.indexOf(term) : -1;
+        if (index < 0) {
+            element.textContent = sentence;
+            return;
+        }
+        element.appendChild(document.createTextNode(sentence.substring(0, index)));
+        element.appendChild(this._createClozeElement(this._revealed ? term : '＿＿＿'));
+        element.appendChild(document.createTextNode(sentence.substring(index + term.length)));
+    }
+
+    /**
+     * @param {string} text
+     * @returns {HTMLElement}
+     */
+    _createClozeElement(text) {
+        const element = document.createElement('span');
+        element.className = 'sottaku-review-cloze';
+        element.textContent = text;
+        return element;
+    }
+
+    /**
+     * @param {import('sottaku-review').Grade} grade
+     */
+    async _submitGrade(grade) {
+        const card = this._getCurrentCard();
+        if (card === null || !this._revealed || this._busy) { return; }
+        this._busy = true;
+        this._gradesElement.classList.add('sottaku-review-busy');
+        try {
+            await this._display.application.api.submitSottakuFlashcardReview(card.questionId, grade, card.language, this._display.getOptionsContext());
+            ++this._reviewedCount;
+            ++this._cardIndex;
+            this._renderCard();
+        } catch (e) {
+            this._progressElement.textContent = `Failed to submit review: ${toError(e).message}`;
+        } finally {
+            this._busy = false;
+            this._gradesElement.classList.remove('sottaku-review-busy');
+        }
+    }
+
+    /**
+     * @param {'word'|'sentence'} type
+     */
+    async _playAudio(type) {
+        const card = this._getCurrentCard();
+        if (card === null) { return; }
+        const url = card.audio[type];
+        if (url === null) { return; }
+        this._stopAudio();
+        try {
+            const objectUrl = await this._client.fetchAudioAsObjectUrl(url, card.language);
+            if (objectUrl === null || card !== this._getCurrentCard()) { return; }
+            const audio = new Audio(objectUrl);
+            audio.addEventListener('ended', () => URL.revokeObjectURL(objectUrl), {once: true});
+            this._audio = audio;
+            await audio.play();
+        } catch (e) {
+            log.log('Sottaku review audio failed: ' + toError(e).message);
+        }
+    }
+
+    /** */
+    _stopAudio() {
+        if (this._audio === null) { return; }
+        this._audio.pause();
+        URL.revokeObjectURL(this._audio.src);
+        this._audio = null;
+    }
+
+    /**
+     * @param {string} message
+     */
+    _showMessage(message) {
+        this._cardElement.hidden = true;
+        this._messageElement.hidden = false;
+        this._messageElement.textContent = message;
+    }
+
+    /**
+     * @returns {?import('sottaku-review').Card}
+     */
+    _getCurrentCard() {
+        return this._cardIndex < this._cards.length ? this._cards[this._cardIndex] : null;
+    }
+
+    /**
+     * @param {unknown} value
+     * @returns {?import('sottaku-review').Grade}
+     */
+    _parseGrade(value) {
+        const grade = typeof value === 'string' ? Number.parseInt(value, 10) : value;
+        switch (grade) {
+            case 1:
+            case 2:
+            case 3:
+            case 4:
+                return grade;
+            default:
+                return null;
+        }
+    }
+}
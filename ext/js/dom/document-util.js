@@ -360,6 +360,19 @@ export function offsetDOMRects(rects, x, y) {
     return results;
 }
 
+/**
+ * Gets the language of an element, as declared by its closest `lang` attribute.
+ * @param {?Element} element The HTML element to check.
+ * @returns {?string} The language tag, or `null` if the language is not declared.
+ */
+export function getElementLanguage(element) {
+    if (element === null) { return null; }
+    const languageElement = element.closest('[lang]');
+    if (languageElement === null) { return null; }
+    const language = languageElement.getAttribute('lang');
+    return language !== null && language.length > 0 ? language : null;
+}
+
 /**
  * Gets the parent writing mode of an element.
  * See: https://developer.mozilla.org/en-US/docs/Web/CSS/writing-mode.
@@ -17,7 +17,7 @@
  */
 
 import {readCodePointsBackward, readCodePointsForward} from '../data/string-util.js';
-import {convertMultipleRectZoomCoordinates} from './document-util.js';
+import {convertMultipleRectZoomCoordinates, getElementLanguage} from './document-util.js';
 
 /**
  * This class represents a text source that is attached to a HTML element, such as an <img>
@@ -165,6 +165,14 @@ export class TextSourceElement {
         return 'horizontal-tb';
     }
 
+    /**
+     * Gets the language of the text, as declared by the `lang` attribute of the element or of its ancestors.
+     * @returns {?string} The language tag, or `null` if the language is not declared.
+     */
+    getLanguage() {
+        return getElementLanguage(this._element);
+    }
+
     /**
      * Selects the text source in the document.
      */
@@ -17,7 +17,7 @@
  */
 
 import {toError} from '../core/to-error.js';
-import {convertMultipleRectZoomCoordinates, convertRectZoomCoordinates, getElementWritingMode, getNodesInRange, offsetDOMRects} from './document-util.js';
+import {convertMultipleRectZoomCoordinates, convertRectZoomCoordinates, getElementLanguage, getElementWritingMode, getNodesInRange, offsetDOMRects} from './document-util.js';
 import {DOMTextScanner} from './dom-text-scanner.js';
 
 /**
@@ -194,6 +194,16 @@ export class TextSourceRange {
         return getElementWritingMode(/** @type {?Element} */ (node));
     }
 
+    /**
+     * Gets the language of the text, as declared by the `lang` attribute of its element or of the element's ancestors.
+     * @returns {?string} The language tag, or `null` if the language is not declared.
+     */
+    getLanguage() {
+        let node = this._isImposterDisconnected() ? this._imposterSourceElement : this._range.startContainer;
+        if (node !== null && node.nodeType !== Node.ELEMENT_NODE) { node = node.parentElement; }
+        return getElementLanguage(/** @type {?Element} */ (node));
+    }
+
     /**
      * Selects the text source in the document.
      */
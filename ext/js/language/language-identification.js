@@ -0,0 +1,175 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The scripts used to write the languages supported by Yomitan.
+ * @type {Map<string, string[]>}
+ */
+const LANGUAGE_SCRIPTS = new Map([
+    ['aii', ['Syriac']],
+    ['ar', ['Arabic']],
+    ['arz', ['Arabic']],
+    ['bg', ['Cyrillic']],
+    ['el', ['Greek']],
+    ['fa', ['Arabic']],
+    ['grc', ['Greek']],
+    ['he', ['Hebrew']],
+    ['hi', ['Devanagari']],
+    ['ja', ['Hiragana', 'Katakana', 'Han']],
+    ['ka', ['Georgian']],
+    ['km', ['Khmer']],
+    ['kn', ['Kannada']],
+    ['ko', ['Hangul']],
+    ['lo', ['Lao']],
+    ['mn', ['Cyrillic']],
+    ['ru', ['Cyrillic']],
+    ['sh', ['Latin', 'Cyrillic']],
+    ['th', ['Thai']],
+    ['uk', ['Cyrillic']],
+    ['yi', ['Hebrew']],
+    ['yue', ['Han']],
+    ['zh', ['Han']],
+]);
+
+/** Languages which are not listed in `LANGUAGE_SCRIPTS` are written using the Latin script. */
+const DEFAULT_LANGUAGE_SCRIPTS = ['Latin'];
+
+/** How much the script statistics of the text, of the surrounding sentence, and a matching `lang` attribute count towards the score of a language. */
+const TEXT_WEIGHT = 1;
+const SENTENCE_WEIGHT = 0.5;
+const DOCUMENT_LANGUAGE_WEIGHT = 0.5;
+
+/**
+ * @param {string} language
+ * @returns {string[]}
+ */
+export function getLanguageScripts(language) {
+    return LANGUAGE_SCRIPTS.get(language) ?? DEFAULT_LANGUAGE_SCRIPTS;
+}
+
+/**
+ * Gets the language subtag of a BCP 47 language tag, such as `zh` for `zh-Hant-TW`.
+ * @param {?string} languageTag
+ * @returns {?string}
+ */
+export function getPrimaryLanguageSubtag(languageTag) {
+    if (typeof languageTag !== 'string') { return null; }
+    const subtag = languageTag.trim().split(/[-_]/)[0].toLowerCase();
+    return subtag.length > 0 ? subtag : null;
+}
+
+/**
+ * Ranks candidate languages by how likely they are to be the language of a text.
+ * The characters of the text and of its surrounding sentence are counted towards each language whose scripts contain them;
+ * characters shared by several languages, such as Chinese characters, are split evenly between them.
+ * The `lang` attribute of the page then favours its language, as long as the text could be written in it.
+ */
+export class LanguageIdentifier {
+    /**
+     * @param {import('language-identification').CandidateLanguage[]} languages
+     */
+    constructor(languages) {
+        /** @type {Map<string, RegExp>} */
+        this._scriptPatterns = new Map();
+        for (const {iso, scripts} of languages) {
+            const pattern = createScriptPattern(scripts);
+            if (pattern !== null) {
+                this._scriptPatterns.set(iso, pattern);
+            }
+        }
+    }
+
+    /**
+     * @param {string} text
+     * @param {?import('language-identification').Hints} [hints]
+     * @param {string[]} [preferredLanguages] Used to order languages which are equally likely.
+     * @returns {import('language-identification').RankedLanguage[]} The languages which the text could be written in, most likely first.
+     */
+    identify(text, hints = null, preferredLanguages = []) {
+        const textScores = this._getScriptScores(text);
+        const sentence = hints !== null ? hints.sentence : null;
+        const sentenceScores = typeof sentence === 'string' ? this._getScriptScores(sentence) : new Map();
+        const documentLanguage = getPrimaryLanguageSubtag(hints !== null ? hints.documentLanguage : null);
+
+        /** @type {{iso: string, score: number, order: number}[]} */
+        const scores = [];
+        let scoreTotal = 0;
+        const order = [...preferredLanguages, ...this._scriptPatterns.keys()];
+        for (const iso of this._scriptPatterns.keys()) {
+            const textScore = textScores.get(iso) ?? 0;
+            if (textScore === 0 && textScores.size > 0) { continue; }
+            let score = textScore * TEXT_WEIGHT + (sentenceScores.get(iso) ?? 0) * SENTENCE_WEIGHT;
+            if (iso === documentLanguage) { score += DOCUMENT_LANGUAGE_WEIGHT; }
+            if (score === 0) { continue; }
+            scores.push({iso, score, order: order.indexOf(iso)});
+            scoreTotal += score;
+        }
+
+        scores.sort((a, b) => (b.score - a.score) || (a.order - b.order));
+        return scores.map(({iso, score}) => ({iso, confidence: score / scoreTotal}));
+    }
+
+    // Private
+
+    /**
+     * @param {string} text
+     * @returns {Map<string, number>} The share of the characters of the text which belong to each language.
+     */
+    _getScriptScores(text) {
+        /** @type {Map<string, number>} */
+        const scores = new Map();
+        /** @type {Map<string, string[]>} */
+        const characterLanguages = new Map();
+        let count = 0;
+        for (const character of text) {
+            let languages = characterLanguages.get(character);
+            if (typeof languages === 'undefined') {
+                languages = [];
+                for (const [iso, pattern] of this._scriptPatterns) {
+                    if (pattern.test(character)) { languages.push(iso); }
+                }
+                characterLanguages.set(character, languages);
+            }
+            if (languages.length === 0) { continue; }
+            ++count;
+            for (const iso of languages) {
+                scores.set(iso, (scores.get(iso) ?? 0) + 1 / languages.length);
+            }
+        }
+        for (const [iso, score] of scores) {
+            scores.set(iso, score / count);
+        }
+        return scores;
+    }
+}
+
+/**
+ * @param {string[]} scripts
+ * @returns {?RegExp}
+ */
+function createScriptPattern(scripts) {
+    const parts = [];
+    for (const script of scripts) {
+        try {
+            // Unknown script names are reported as syntax errors, and are ignored
+            parts.push(new RegExp(`\\p{Script=${script}}`, 'u').source);
+        } catch (e) {
+            // NOP
+        }
+    }
+    return parts.length > 0 ? new RegExp(`(?:${parts.join('|')})`, 'u') : null;
+}
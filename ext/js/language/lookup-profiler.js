@@ -0,0 +1,65 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {safePerformance} from '../core/safe-performance.js';
+
+/**
+ * Collects timing spans for the stages of a single term lookup.
+ */
+export class LookupProfiler {
+    constructor() {
+        /** @type {number} */
+        this._startTime = safePerformance.now();
+        /** @type {import('translator').LookupTimingSpan[]} */
+        this._spans = [];
+    }
+
+    /**
+     * Runs a callback and records how long it took.
+     * @template T
+     * @param {import('translator').LookupStage} stage
+     * @param {?string} dictionary
+     * @param {() => Promise<T>} callback
+     * @returns {Promise<T>}
+     */
+    async measure(stage, dictionary, callback) {
+        const start = safePerformance.now();
+        try {
+            return await callback();
+        } finally {
+            this.addSpan(stage, dictionary, start, safePerformance.now());
+        }
+    }
+
+    /**
+     * @param {import('translator').LookupStage} stage
+     * @param {?string} dictionary
+     * @param {number} start
+     * @param {number} end
+     */
+    addSpan(stage, dictionary, start, end) {
+        this._spans.push({stage, dictionary, start: start - this._startTime, duration: end - start});
+    }
+
+    /**
+     * @returns {import('translator').LookupTimingSpan[]}
+     */
+    getSpans() {
+        return [...this._spans];
+    }
+}
@@ -1,7 +1,23 @@
+import {isObjectNotArray} from '../core/object-utilities.js';
 import {languageDescriptorMap} from './language-descriptors.js';
+import {getLanguageScripts, LanguageIdentifier} from './language-identification.js';
 
 export const SOTTAKU_SUPPORTED_LANGUAGES = ['ja', 'ko'];
 
+/**
+ * Capabilities used until Sottaku describes its languages, and for languages it only lists by code.
+ * @type {Map<string, Pick<import('sottaku-languages').LanguageCapability, 'flag' | 'textTransforms'>>}
+ */
+const DEFAULT_CAPABILITIES = new Map([
+    ['ja', {flag: '\uD83C\uDDEF\uD83C\uDDF5', textTransforms: []}],
+    ['ko', {flag: '\uD83C\uDDF0\uD83C\uDDF7', textTransforms: []}],
+]);
+
+/** @type {import('sottaku-languages').TextTransform[]} */
+const TEXT_TRANSFORMS = ['nfc', 'nfkc', 'lowercase', 'removeDiacritics', 'collapseWhitespace'];
+
+const GLOBE_FLAG = '\uD83C\uDF10';
+
 /**
  * @param {unknown} supportedLanguages
  * @returns {string[]}
@@ -25,11 +41,8 @@ function normalizeSupportedLanguagesList(supportedLanguages) {
  * @returns {string}
  */
 export function getSottakuLanguageFlag(language) {
-    switch (language) {
-        case 'ja': return '\uD83C\uDDEF\uD83C\uDDF5'; // JP flag
-        case 'ko': return '\uD83C\uDDF0\uD83C\uDDF7'; // KR flag
-        default: return '\uD83C\uDF10'; // Globe
-    }
+    const capability = DEFAULT_CAPABILITIES.get(language);
+    return typeof capability !== 'undefined' ? capability.flag : GLOBE_FLAG;
 }
 
 /**
@@ -85,3 +98,184 @@ export function normalizeSottakuLanguages(preferredLanguages, defaultLanguage, s
 
     return normalized;
 }
+
+/**
+ * Reads the languages of a supported-languages response.
+ * Languages can be listed either by code, or as objects of the form
+ * `{code, name, flag, country_code, scripts, text_transforms, deinflect}`, in which every field except the code is optional.
+ * @param {unknown} response
+ * @returns {import('sottaku-languages').LanguageCapability[]}
+ */
+export function parseSottakuLanguageCapabilities(response) {
+    const data = isObjectNotArray(response) ? response : {};
+    /** @type {unknown[]} */
+    const candidates = [];
+    for (const key of ['languages', 'supported_languages', 'admin_only_languages']) {
+        /** @type {unknown} */
+        const value = data[key];
+        if (Array.isArray(value)) {
+            for (const item of /** @type {unknown[]} */ (value)) {
+                candidates.push(item);
+            }
+        }
+    }
+
+    /** @type {import('sottaku-languages').LanguageCapability[]} */
+    const capabilities = [];
+    const seen = new Set();
+    for (const candidate of candidates) {
+        const capability = createCapability(candidate);
+        if (capability === null || seen.has(capability.iso)) { continue; }
+        seen.add(capability.iso);
+        capabilities.push(capability);
+    }
+    return capabilities;
+}
+
+/**
+ * The languages supported by Sottaku, along with how to display, detect and preprocess each of them.
+ */
+export class SottakuLanguageCapabilities {
+    /**
+     * @param {import('sottaku-languages').LanguageCapability[]} [capabilities] Falls back to the default languages when empty.
+     */
+    constructor(capabilities = []) {
+        const source = capabilities.length > 0 ? capabilities : SOTTAKU_SUPPORTED_LANGUAGES.map((iso) => /** @type {import('sottaku-languages').LanguageCapability} */ (createCapability(iso)));
+        /** @type {Map<string, import('sottaku-languages').LanguageCapability>} */
+        this._capabilities = new Map(source.map((capability) => [capability.iso, capability]));
+        /** @type {LanguageIdentifier} */
+        this._languageIdentifier = new LanguageIdentifier(source);
+    }
+
+    /**
+     * Codes of the supported languages, in the order they were listed by Sottaku.
+     * @type {string[]}
+     */
+    get languages() {
+        return [...this._capabilities.keys()];
+    }
+
+    /**
+     * @param {string} language
+     * @returns {boolean}
+     */
+    has(language) {
+        return this._capabilities.has(language);
+    }
+
+    /**
+     * @param {string} language
+     * @returns {string}
+     */
+    getFlag(language) {
+        const capability = this._capabilities.get(language);
+        return typeof capability !== 'undefined' ? capability.flag : getSottakuLanguageFlag(language);
+    }
+
+    /**
+     * @param {string} language
+     * @returns {string}
+     */
+    getName(language) {
+        const capability = this._capabilities.get(language);
+        return typeof capability !== 'undefined' ? capability.name : getSottakuLanguageName(language);
+    }
+
+    /**
+     * @param {string} language
+     * @returns {boolean}
+     */
+    isDeinflectionEnabled(language) {
+        const capability = this._capabilities.get(language);
+        return typeof capability !== 'undefined' ? capability.deinflect : true;
+    }
+
+    /**
+     * Ranks the supported languages by how likely they are to be the language of the text.
+     * @param {string} text
+     * @param {?import('language-identification').Hints} hints
+     * @param {string[]} preferredLanguages
+     * @returns {import('language-identification').RankedLanguage[]}
+     */
+    identifyLanguages(text, hints, preferredLanguages) {
+        return this._languageIdentifier.identify(text, hints, preferredLanguages);
+    }
+
+    /**
+     * Applies the text transforms of the language to the lookup text.
+     * @param {string} text
+     * @param {string} language
+     * @returns {string}
+     */
+    preprocessText(text, language) {
+        const capability = this._capabilities.get(language);
+        if (typeof capability === 'undefined') { return text; }
+        let result = text;
+        for (const transform of capability.textTransforms) {
+            switch (transform) {
+                case 'nfc':
+                    result = result.normalize('NFC');
+                    break;
+                case 'nfkc':
+                    result = result.normalize('NFKC');
+                    break;
+                case 'lowercase':
+                    result = result.toLowerCase();
+                    break;
+                case 'removeDiacritics':
+                    result = result.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+                    break;
+                case 'collapseWhitespace':
+                    result = result.replace(/\s+/g, ' ');
+                    break;
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * @param {unknown} value A language code, or a language object of a supported-languages response.
+ * @returns {?import('sottaku-languages').LanguageCapability}
+ */
+function createCapability(value) {
+    /** @type {import('core').UnknownObject} */
+    let data;
+    if (typeof value === 'string') {
+        data = {code: value};
+    } else if (isObjectNotArray(value)) {
+        data = value;
+    } else {
+        return null;
+    }
+
+    const codeRaw = data.code ?? data.iso;
+    const iso = typeof codeRaw === 'string' ? codeRaw.trim() : '';
+    if (iso.length === 0) { return null; }
+
+    const defaults = DEFAULT_CAPABILITIES.get(iso);
+    const {name, flag, country_code: countryCode, scripts, text_transforms: textTransforms, deinflect} = data;
+    return {
+        iso,
+        name: typeof name === 'string' && name.trim().length > 0 ? name.trim() : getSottakuLanguageName(iso),
+        flag: (
+            (typeof flag === 'string' && flag.length > 0 ? flag : null) ??
+            getCountryFlag(countryCode) ??
+            (typeof defaults !== 'undefined' ? defaults.flag : GLOBE_FLAG)
+        ),
+        scripts: Array.isArray(scripts) ? scripts.filter((script) => typeof script === 'string') : [...getLanguageScripts(iso)],
+        textTransforms: Array.isArray(textTransforms) ? TEXT_TRANSFORMS.filter((transform) => textTransforms.includes(transform)) : (typeof defaults !== 'undefined' ? [...defaults.textTransforms] : []),
+        deinflect: typeof deinflect === 'boolean' ? deinflect : true,
+    };
+}
+
+/**
+ * @param {unknown} countryCode An ISO 3166-1 alpha-2 code.
+ * @returns {?string}
+ */
+function getCountryFlag(countryCode) {
+    if (typeof countryCode !== 'string' || !/^[a-z]{2}$/i.test(countryCode)) { return null; }
+    const regionalIndicatorA = 0x1f1e6;
+    const codePoints = [...countryCode.toUpperCase()].map((character) => regionalIndicatorA + character.charCodeAt(0) - 0x41);
+    return String.fromCodePoint(...codePoints);
+}
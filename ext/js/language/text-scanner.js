@@ -21,7 +21,7 @@ import {EventDispatcher} from '../core/event-dispatcher.js';
 import {EventListenerCollection} from '../core/event-listener-collection.js';
 import {log} from '../core/log.js';
 import {safePerformance} from '../core/safe-performance.js';
-import {clone} from '../core/utilities.js';
+import {clone, deferPromise, generateId} from '../core/utilities.js';
 import {anyNodeMatchesSelector, everyNodeMatchesSelector, getActiveModifiers, getActiveModifiersAndButtons, isPointInSelection} from '../dom/document-util.js';
 import {TextSourceElement} from '../dom/text-source-element.js';
 
@@ -91,6 +91,10 @@ export class TextScanner extends EventDispatcher {
         this._textSourceCurrentSelected = false;
         /** @type {boolean} */
         this._pendingLookup = false;
+        /** @type {?Promise<void>} */
+        this._pendingLookupPromise = null;
+        /** @type {?import('text-scanner').PendingTermsFind} */
+        this._pendingTermsFind = null;
         /** @type {?import('text-scanner').SelectionRestoreInfo} */
         this._selectionRestoreInfo = null;
 
@@ -495,10 +499,8 @@ export class TextScanner extends EventDispatcher {
                 null
             );
 
-            if (this._scanResolution === 'word' && !disallowExpandStartOffset &&
-            (this._language === null || !SCAN_RESOLUTION_EXCLUDED_LANGUAGES.has(this._language))) {
-                // Move the start offset to the beginning of the word
-                textSource.setStartOffset(this._scanLength, this._layoutAwareScan, true);
+            if (!disallowExpandStartOffset) {
+                this._expandStartOffsetToWord(textSource);
             }
 
             if (this._textSourceCurrent !== null && this._textSourceCurrent.hasSameStart(textSource)) {
@@ -516,9 +518,12 @@ export class TextScanner extends EventDispatcher {
             let sentence = null;
             /** @type {'terms'|'kanji'} */
             let type = 'terms';
+            /** @type {?import('translator').LookupTimingSpan[]} */
+            let lookupTimings = null;
             const result = await this._findDictionaryEntries(textSource, searchTerms, searchKanji, optionsContext);
             if (result !== null) {
                 ({dictionaryEntries, sentence, type} = result);
+                if (result.type === 'terms') { lookupTimings = result.lookupTimings ?? null; }
             } else if (showEmpty || (textSource !== null && isAltText && await this._isTextLookupWorthy(textSource.content))) {
                 // Shows a "No results found" message
                 dictionaryEntries = [];
@@ -543,6 +548,7 @@ export class TextScanner extends EventDispatcher {
                     optionsContext,
                     detail,
                     pageTheme,
+                    lookupTimings,
                 });
             } else {
                 this._triggerSearchEmpty(inputInfo);
@@ -550,6 +556,10 @@ export class TextScanner extends EventDispatcher {
             safePerformance.mark('scanner:_search:end');
             safePerformance.measure('scanner:_search', 'scanner:_search:start', 'scanner:_search:end');
         } catch (error) {
+            if (error instanceof Error && error.name === 'AbortError') {
+                // The lookup was cancelled in favor of a newer one
+                return;
+            }
             this.trigger('searchError', {
                 error: error instanceof Error ? error : new Error(`A search error occurred: ${error}`),
                 textSource,
@@ -1260,8 +1270,31 @@ export class TextScanner extends EventDispatcher {
         if (searchText.length === 0) { return null; }
 
         /** @type {import('api').FindTermsDetails} */
-        const details = {};
-        const {dictionaryEntries, originalTextLength} = await this._api.termsFind(searchText, details, optionsContext);
+        const details = {
+            languageHints: {
+                documentLanguage: textSource.getLanguage(),
+                sentence: this._textSourceGenerator.extractSentence(
+                    textSource,
+                    layoutAwareScan,
+                    sentenceScanExtent,
+                    sentenceTerminateAtNewlines,
+                    sentenceTerminatorMap,
+                    sentenceForwardQuoteMap,
+                    sentenceBackwardQuoteMap,
+                ).text,
+            },
+        };
+        const lookupId = generateId(16);
+        this._pendingTermsFind = {lookupId, text: searchText};
+        let termsFindResult;
+        try {
+            termsFindResult = await this._api.termsFind(searchText, details, optionsContext, lookupId);
+        } finally {
+            if (this._pendingTermsFind !== null && this._pendingTermsFind.lookupId === lookupId) {
+                this._pendingTermsFind = null;
+            }
+        }
+        const {dictionaryEntries, originalTextLength, lookupTimings} = termsFindResult;
         if (dictionaryEntries.length === 0) { return null; }
 
         textSource.setEndOffset(originalTextLength, false, layoutAwareScan);
@@ -1275,7 +1308,7 @@ export class TextScanner extends EventDispatcher {
             sentenceBackwardQuoteMap,
         );
 
-        return {dictionaryEntries, sentence, type: 'terms'};
+        return typeof lookupTimings !== 'undefined' ? {dictionaryEntries, sentence, type: 'terms', lookupTimings} : {dictionaryEntries, sentence, type: 'terms'};
     }
 
     /**
@@ -1318,6 +1351,7 @@ export class TextScanner extends EventDispatcher {
     async _searchAt(x, y, inputInfo) {
         if (this._pendingLookup) { return; }
 
+        const {promise: pendingLookupPromise, resolve: pendingLookupResolve} = /** @type {import('core').DeferredPromiseDetails<void>} */ (deferPromise());
         try {
             safePerformance.mark('scanner:_searchAt:start');
             const sourceInput = inputInfo.input;
@@ -1329,6 +1363,7 @@ export class TextScanner extends EventDispatcher {
             }
 
             this._pendingLookup = true;
+            this._pendingLookupPromise = pendingLookupPromise;
             this._scanTimerClear();
 
             if (typeof this._ignorePoint === 'function' && await this._ignorePoint(x, y)) {
@@ -1357,6 +1392,8 @@ export class TextScanner extends EventDispatcher {
             log.error(e);
         } finally {
             this._pendingLookup = false;
+            this._pendingLookupPromise = null;
+            pendingLookupResolve();
         }
     }
 
@@ -1366,7 +1403,12 @@ export class TextScanner extends EventDispatcher {
      * @param {import('text-scanner').InputInfo} inputInfo
      */
     async _searchAtFromMouseMove(x, y, inputInfo) {
-        if (this._pendingLookup) { return; }
+        if (this._pendingLookup) {
+            const pendingLookupPromise = this._pendingLookupPromise;
+            if (pendingLookupPromise === null || !this._cancelPendingTermsFind(x, y, inputInfo)) { return; }
+            await pendingLookupPromise;
+            if (this._pendingLookup) { return; }
+        }
 
         if (inputInfo.passive && !await this._scanTimerWait()) {
             // Aborted
@@ -1376,6 +1418,47 @@ export class TextScanner extends EventDispatcher {
         await this._searchAt(x, y, inputInfo);
     }
 
+    /**
+     * Cancels the remote part of the pending term lookup if the text at the given point is different.
+     * @param {number} x
+     * @param {number} y
+     * @param {import('text-scanner').InputInfo} inputInfo
+     * @returns {boolean} `true` if the pending lookup was cancelled.
+     */
+    _cancelPendingTermsFind(x, y, inputInfo) {
+        const pendingTermsFind = this._pendingTermsFind;
+        if (pendingTermsFind === null) { return false; }
+
+        const textSource = this._textSourceGenerator.getRangeFromPoint(x, y, {
+            deepContentScan: this._deepContentScan,
+            normalizeCssZoom: this._normalizeCssZoom,
+            language: this._language,
+        });
+        if (textSource === null) { return false; }
+        let text;
+        try {
+            this._expandStartOffsetToWord(textSource);
+            text = this.getTextSourceContent(textSource, this._scanLength, this._layoutAwareScan, inputInfo.pointerType);
+        } finally {
+            textSource.cleanup();
+        }
+        if (text.length === 0 || text === pendingTermsFind.text) { return false; }
+
+        this._pendingTermsFind = null;
+        this._api.termsFindCancel(pendingTermsFind.lookupId).catch((e) => log.error(e));
+        return true;
+    }
+
+    /**
+     * @param {import('text-source').TextSource} textSource
+     */
+    _expandStartOffsetToWord(textSource) {
+        if (this._scanResolution === 'word' && (this._language === null || !SCAN_RESOLUTION_EXCLUDED_LANGUAGES.has(this._language))) {
+            // Move the start offset to the beginning of the word
+            textSource.setStartOffset(this._scanLength, this._layoutAwareScan, true);
+        }
+    }
+
     /**
      * @param {number} x
      * @param {number} y
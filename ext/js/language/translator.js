@@ -17,10 +17,13 @@
  */
 
 import {safePerformance} from '../core/safe-performance.js';
+import {getGlossaryQueryTokens} from '../dictionary/glossary-index.js';
+import {createBoundedHeadwordRegExp, createHeadwordGlobRegExp} from '../dictionary/headword-pattern.js';
 import {applyTextReplacement} from '../general/regex-util.js';
 import {isCodePointJapanese} from './ja/japanese.js';
 import {LanguageTransformer} from './language-transformer.js';
 import {getAllLanguageReadingNormalizers, getAllLanguageTextProcessors} from './languages.js';
+import {LookupProfiler} from './lookup-profiler.js';
 import {MultiLanguageTransformer} from './multi-language-transformer.js';
 import {isCodePointChinese} from './zh/chinese.js';
 import {isCodePointKorean} from './ko/korean.js';
@@ -43,6 +46,8 @@ export class Translator {
         this._stringComparer = new Intl.Collator('en-US'); // Invariant locale
         /** @type {RegExp} */
         this._numberRegex = /[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/;
+        /** @type {number} */
+        this._maxMeaningSearchHeadwords = 100;
         /** @type {import('translation-internal').TextProcessorMap} */
         this._textProcessors = new Map();
         /** @type {import('translation-internal').ReadingNormalizerMap} */
@@ -75,59 +80,54 @@ export class Translator {
      *   One of: 'group', 'merge', 'split', 'simple'
      * @param {string} text The text to find terms for.
      * @param {import('translation').FindTermsOptions} options A object describing settings about the lookup.
-     * @returns {Promise<{dictionaryEntries: import('dictionary').TermDictionaryEntry[], originalTextLength: number}>} An object containing dictionary entries and the length of the original source text.
+     * @returns {Promise<import('translator').FindTermsResult>} An object containing dictionary entries and the length of the original source text,
+     *   and the timing spans of the lookup if `options.profile` is enabled.
      */
     async findTerms(mode, text, options) {
         safePerformance.mark('translator:findTerms:start');
-        const {enabledDictionaryMap, excludeDictionaryDefinitions, sortFrequencyDictionary, sortFrequencyDictionaryOrder, language, primaryReading} = options;
+        const profiler = options.profile ? new LookupProfiler() : null;
+        const startTime = safePerformance.now();
+        const {primaryReading} = options;
         const tagAggregator = new TranslatorTagAggregator();
-        let {dictionaryEntries, originalTextLength} = await this._findTermsInternal(text, options, tagAggregator, primaryReading);
-
-        switch (mode) {
-            case 'group':
-                dictionaryEntries = this._groupDictionaryEntriesByHeadword(language, dictionaryEntries, tagAggregator, primaryReading);
-                break;
-            case 'merge':
-                dictionaryEntries = await this._getRelatedDictionaryEntries(dictionaryEntries, options, tagAggregator);
-                break;
-        }
-
-        if (excludeDictionaryDefinitions !== null) {
-            this._removeExcludedDefinitions(dictionaryEntries, excludeDictionaryDefinitions);
-        }
+        const {dictionaryEntries, originalTextLength} = await this._findTermsInternal(text, options, tagAggregator, primaryReading, profiler);
+        const withUserFacingInflections = await this._processTermDictionaryEntries(mode, dictionaryEntries, options, tagAggregator, profiler);
+        safePerformance.mark('translator:findTerms:end');
+        safePerformance.measure('translator:findTerms', 'translator:findTerms:start', 'translator:findTerms:end');
 
-        if (mode !== 'simple') {
-            await this._addTermMeta(dictionaryEntries, enabledDictionaryMap, tagAggregator);
-            await this._expandTagGroupsAndGroup(tagAggregator.getTagExpansionTargets());
-        } else {
-            if (sortFrequencyDictionary !== null) {
-                /** @type {import('translation').TermEnabledDictionaryMap} */
-                const sortDictionaryMap = new Map();
-                const value = enabledDictionaryMap.get(sortFrequencyDictionary);
-                if (typeof value !== 'undefined') {
-                    sortDictionaryMap.set(sortFrequencyDictionary, value);
-                }
-                await this._addTermMeta(dictionaryEntries, sortDictionaryMap, tagAggregator);
-            }
+        if (profiler !== null) {
+            profiler.addSpan('total', null, startTime, safePerformance.now());
+            return {dictionaryEntries: withUserFacingInflections, originalTextLength, lookupTimings: profiler.getSpans()};
         }
+        return {dictionaryEntries: withUserFacingInflections, originalTextLength};
+    }
 
-        if (sortFrequencyDictionary !== null) {
-            this._updateSortFrequencies(dictionaryEntries, sortFrequencyDictionary, sortFrequencyDictionaryOrder === 'ascending');
-        }
-        if (dictionaryEntries.length > 1) {
-            this._sortTermDictionaryEntries(dictionaryEntries);
-        }
-        for (const {definitions, frequencies, pronunciations} of dictionaryEntries) {
-            this._flagRedundantDefinitionTags(definitions);
-            if (definitions.length > 1) { this._sortTermDictionaryEntryDefinitions(definitions); }
-            if (frequencies.length > 1) { this._sortTermDictionaryEntrySimpleData(frequencies); }
-            if (pronunciations.length > 1) { this._sortTermDictionaryEntrySimpleData(pronunciations); }
+    /**
+     * Finds term definitions whose headword or reading matches a glob pattern or a regular expression.
+     * @param {import('translator').FindTermsMode} mode The mode to use for finding terms, which determines the format of the resulting array.
+     * @param {string} text The glob pattern, or a regular expression literal when `options.matchType` is `'regex'`.
+     * @param {import('translation').FindTermsOptions} options A object describing settings about the lookup.
+     * @param {import('translator').PatternSearchPage} page Which part of the database to scan.
+     * @returns {Promise<import('translator').FindTermsByPatternResult>} The matching dictionary entries and the cursor of the next page.
+     * @throws {Error} When the pattern is not valid.
+     */
+    async findTermsByPattern(mode, text, options, page) {
+        const {matchType, enabledDictionaryMap, primaryReading} = options;
+        const pattern = matchType === 'regex' ? createBoundedHeadwordRegExp(text) : createHeadwordGlobRegExp(text);
+        const {cursor, limit, scanBudget} = page;
+        const {entries, nextCursor, scannedCount} = await this._database.findTermsByPattern(pattern, matchType, enabledDictionaryMap, cursor, limit, scanBudget);
+        for (const entry of entries) {
+            entry.definitions = entry.definitions.filter((definition) => !Array.isArray(definition));
         }
-        const withUserFacingInflections = this._addUserFacingInflections(language, dictionaryEntries);
-        safePerformance.mark('translator:findTerms:end');
-        safePerformance.measure('translator:findTerms', 'translator:findTerms:start', 'translator:findTerms:end');
 
-        return {dictionaryEntries: withUserFacingInflections, originalTextLength};
+        const tagAggregator = new TranslatorTagAggregator();
+        const deinflection = this._createDeinflection(text, text, text, 0, [], []);
+        deinflection.databaseEntries = entries.filter((entry) => entry.definitions.length > 0);
+        const {dictionaryEntries} = this._getDictionaryEntries([deinflection], enabledDictionaryMap, tagAggregator, primaryReading);
+        return {
+            dictionaryEntries: await this._processTermDictionaryEntries(mode, dictionaryEntries, options, tagAggregator, null),
+            nextCursor,
+            scannedCount,
+        };
     }
 
     /**
@@ -264,15 +264,72 @@ export class Translator {
 
     // Find terms internal implementation
 
+    /**
+     * @param {import('translator').FindTermsMode} mode
+     * @param {import('translation-internal').TermDictionaryEntry[]} dictionaryEntries
+     * @param {import('translation').FindTermsOptions} options
+     * @param {TranslatorTagAggregator} tagAggregator
+     * @param {?LookupProfiler} profiler
+     * @returns {Promise<import('dictionary').TermDictionaryEntry[]>}
+     */
+    async _processTermDictionaryEntries(mode, dictionaryEntries, options, tagAggregator, profiler) {
+        const {enabledDictionaryMap, excludeDictionaryDefinitions, sortFrequencyDictionary, sortFrequencyDictionaryOrder, language, primaryReading} = options;
+        switch (mode) {
+            case 'group':
+                dictionaryEntries = this._groupDictionaryEntriesByHeadword(language, dictionaryEntries, tagAggregator, primaryReading);
+                break;
+            case 'merge':
+                dictionaryEntries = await this._measure(profiler, 'relatedEntries', null, () => this._getRelatedDictionaryEntries(dictionaryEntries, options, tagAggregator));
+                break;
+        }
+
+        if (excludeDictionaryDefinitions !== null) {
+            this._removeExcludedDefinitions(dictionaryEntries, excludeDictionaryDefinitions);
+        }
+
+        if (mode !== 'simple') {
+            await this._addTermMeta(dictionaryEntries, enabledDictionaryMap, tagAggregator, profiler);
+            await this._expandTagGroupsAndGroup(tagAggregator.getTagExpansionTargets());
+        } else {
+            if (sortFrequencyDictionary !== null) {
+                /** @type {import('translation').TermEnabledDictionaryMap} */
+                const sortDictionaryMap = new Map();
+                const value = enabledDictionaryMap.get(sortFrequencyDictionary);
+                if (typeof value !== 'undefined') {
+                    sortDictionaryMap.set(sortFrequencyDictionary, value);
+                }
+                await this._addTermMeta(dictionaryEntries, sortDictionaryMap, tagAggregator, profiler);
+            }
+        }
+
+        if (sortFrequencyDictionary !== null) {
+            this._updateSortFrequencies(dictionaryEntries, sortFrequencyDictionary, sortFrequencyDictionaryOrder === 'ascending');
+        }
+        if (dictionaryEntries.length > 1) {
+            sortTermDictionaryEntries(dictionaryEntries);
+        }
+        for (const {definitions, frequencies, pronunciations} of dictionaryEntries) {
+            this._flagRedundantDefinitionTags(definitions);
+            if (definitions.length > 1) { this._sortTermDictionaryEntryDefinitions(definitions); }
+            if (frequencies.length > 1) { this._sortTermDictionaryEntrySimpleData(frequencies); }
+            if (pronunciations.length > 1) { this._sortTermDictionaryEntrySimpleData(pronunciations); }
+        }
+        return this._addUserFacingInflections(language, dictionaryEntries);
+    }
+
     /**
      * @param {string} text
      * @param {import('translation').FindTermsOptions} options
      * @param {TranslatorTagAggregator} tagAggregator
      * @param {string} primaryReading
+     * @param {?LookupProfiler} profiler
      * @returns {Promise<{dictionaryEntries: import('translation-internal').TermDictionaryEntry[], originalTextLength: number}>}
      */
-    async _findTermsInternal(text, options, tagAggregator, primaryReading) {
+    async _findTermsInternal(text, options, tagAggregator, primaryReading, profiler) {
         const {removeNonJapaneseCharacters, enabledDictionaryMap} = options;
+        if (options.matchType === 'meaning') {
+            return await this._findTermsByMeaning(text, enabledDictionaryMap, tagAggregator, primaryReading, profiler);
+        }
         if (removeNonJapaneseCharacters && (['ja', 'zh', 'yue', 'ko'].includes(options.language))) {
             text = this._getJapaneseChineseKoreanOnlyText(text);
         }
@@ -280,11 +337,37 @@ export class Translator {
             return {dictionaryEntries: [], originalTextLength: 0};
         }
 
-        const deinflections = await this._getDeinflections(text, options);
+        const deinflections = await this._getDeinflections(text, options, profiler);
 
         return this._getDictionaryEntries(deinflections, enabledDictionaryMap, tagAggregator, primaryReading);
     }
 
+    /**
+     * Finds the terms whose definitions contain all of the words of the text.
+     * @param {string} text
+     * @param {import('translation').TermEnabledDictionaryMap} enabledDictionaryMap
+     * @param {TranslatorTagAggregator} tagAggregator
+     * @param {string} primaryReading
+     * @param {?LookupProfiler} profiler
+     * @returns {Promise<{dictionaryEntries: import('translation-internal').TermDictionaryEntry[], originalTextLength: number}>}
+     */
+    async _findTermsByMeaning(text, enabledDictionaryMap, tagAggregator, primaryReading, profiler) {
+        const tokens = getGlossaryQueryTokens(text);
+        if (tokens.length === 0) {
+            return {dictionaryEntries: [], originalTextLength: 0};
+        }
+
+        // The number of headwords is limited across all dictionaries, so they cannot be queried separately
+        const databaseEntries = await this._measure(profiler, 'findTerms', null, () => this._database.findTermsByGlossary(tokens, enabledDictionaryMap, this._maxMeaningSearchHeadwords));
+        for (const entry of databaseEntries) {
+            entry.definitions = entry.definitions.filter((definition) => !Array.isArray(definition));
+        }
+        const deinflection = this._createDeinflection(text, text, text, 0, [], []);
+        deinflection.databaseEntries = databaseEntries.filter((entry) => entry.definitions.length > 0);
+
+        return this._getDictionaryEntries([deinflection], enabledDictionaryMap, tagAggregator, primaryReading);
+    }
+
     /**
      * @param {import('translation-internal').DatabaseDeinflection[]} deinflections
      * @param {import('translation').TermEnabledDictionaryMap} enabledDictionaryMap
@@ -415,22 +498,25 @@ export class Translator {
     /**
      * @param {string} text
      * @param {import('translation').FindTermsOptions} options
+     * @param {?LookupProfiler} profiler
      * @returns {Promise<import('translation-internal').DatabaseDeinflection[]>}
      */
-    async _getDeinflections(text, options) {
+    async _getDeinflections(text, options, profiler) {
         safePerformance.mark('translator:getDeinflections:start');
+        const deinflectionStartTime = safePerformance.now();
         let deinflections = (
             options.deinflect ?
                 this._getAlgorithmDeinflections(text, options) :
                 [this._createDeinflection(text, text, text, 0, [], [])]
         );
+        if (profiler !== null) { profiler.addSpan('deinflection', null, deinflectionStartTime, safePerformance.now()); }
         if (deinflections.length === 0) { return []; }
 
         const {matchType, language, enabledDictionaryMap} = options;
 
-        await this._addEntriesToDeinflections(language, deinflections, enabledDictionaryMap, matchType);
+        await this._addEntriesToDeinflections(language, deinflections, enabledDictionaryMap, matchType, profiler);
 
-        const dictionaryDeinflections = await this._getDictionaryDeinflections(language, deinflections, enabledDictionaryMap, matchType);
+        const dictionaryDeinflections = await this._getDictionaryDeinflections(language, deinflections, enabledDictionaryMap, matchType, profiler);
         deinflections.push(...dictionaryDeinflections);
 
         for (const deinflection of deinflections) {
@@ -451,9 +537,10 @@ export class Translator {
      * @param {import('translation-internal').DatabaseDeinflection[]} deinflections
      * @param {Map<string, import('translation').FindTermDictionary>} enabledDictionaryMap
      * @param {import('dictionary').TermSourceMatchType} matchType
+     * @param {?LookupProfiler} profiler
      * @returns {Promise<import('translation-internal').DatabaseDeinflection[]>}
      */
-    async _getDictionaryDeinflections(language, deinflections, enabledDictionaryMap, matchType) {
+    async _getDictionaryDeinflections(language, deinflections, enabledDictionaryMap, matchType, profiler) {
         safePerformance.mark('translator:getDictionaryDeinflections:start');
         /** @type {import('translation-internal').DatabaseDeinflection[]} */
         const dictionaryDeinflections = [];
@@ -483,7 +570,7 @@ export class Translator {
             }
         }
 
-        await this._addEntriesToDeinflections(language, dictionaryDeinflections, enabledDictionaryMap, matchType);
+        await this._addEntriesToDeinflections(language, dictionaryDeinflections, enabledDictionaryMap, matchType, profiler);
 
         safePerformance.mark('translator:getDictionaryDeinflections:end');
         safePerformance.measure('translator:getDictionaryDeinflections', 'translator:getDictionaryDeinflections:start', 'translator:getDictionaryDeinflections:end');
@@ -495,13 +582,14 @@ export class Translator {
      * @param {import('translation-internal').DatabaseDeinflection[]} deinflections
      * @param {Map<string, import('translation').FindTermDictionary>} enabledDictionaryMap
      * @param {import('dictionary').TermSourceMatchType} matchType
+     * @param {?LookupProfiler} profiler
      */
-    async _addEntriesToDeinflections(language, deinflections, enabledDictionaryMap, matchType) {
+    async _addEntriesToDeinflections(language, deinflections, enabledDictionaryMap, matchType, profiler) {
         const uniqueDeinflectionsMap = this._groupDeinflectionsByTerm(deinflections);
         const uniqueDeinflectionArrays = [...uniqueDeinflectionsMap.values()];
         const uniqueDeinflectionTerms = [...uniqueDeinflectionsMap.keys()];
 
-        const databaseEntries = await this._database.findTermsBulk(uniqueDeinflectionTerms, enabledDictionaryMap, matchType);
+        const databaseEntries = await this._findByDictionary(profiler, 'findTerms', enabledDictionaryMap, (dictionaries) => this._database.findTermsBulk(uniqueDeinflectionTerms, dictionaries, matchType));
         this._matchEntriesToDeinflections(language, databaseEntries, uniqueDeinflectionArrays, enabledDictionaryMap);
     }
 
@@ -1225,14 +1313,50 @@ export class Translator {
         }
     }
 
+    // Profiling
+
+    /**
+     * @template T
+     * @param {?LookupProfiler} profiler
+     * @param {import('translator').LookupStage} stage
+     * @param {?string} dictionary
+     * @param {() => Promise<T>} callback
+     * @returns {Promise<T>}
+     */
+    async _measure(profiler, stage, dictionary, callback) {
+        return profiler !== null ? await profiler.measure(stage, dictionary, callback) : await callback();
+    }
+
+    /**
+     * Runs a database query for a set of dictionaries.
+     * When the lookup is profiled, each dictionary is queried separately so that its time can be measured.
+     * @template T
+     * @param {?LookupProfiler} profiler
+     * @param {import('translator').LookupStage} stage
+     * @param {import('translation').TermEnabledDictionaryMap} enabledDictionaryMap
+     * @param {(enabledDictionaryMap: import('translation').TermEnabledDictionaryMap) => Promise<T[]>} query
+     * @returns {Promise<T[]>}
+     */
+    async _findByDictionary(profiler, stage, enabledDictionaryMap, query) {
+        if (profiler === null) { return await query(enabledDictionaryMap); }
+        /** @type {T[]} */
+        const results = [];
+        for (const [dictionary, details] of enabledDictionaryMap) {
+            const dictionaryResults = await profiler.measure(stage, dictionary, () => query(new Map([[dictionary, details]])));
+            for (const result of dictionaryResults) { results.push(result); }
+        }
+        return results;
+    }
+
     // Metadata
 
     /**
      * @param {import('translation-internal').TermDictionaryEntry[]} dictionaryEntries
      * @param {import('translation').TermEnabledDictionaryMap} enabledDictionaryMap
      * @param {TranslatorTagAggregator} tagAggregator
+     * @param {?LookupProfiler} profiler
      */
-    async _addTermMeta(dictionaryEntries, enabledDictionaryMap, tagAggregator) {
+    async _addTermMeta(dictionaryEntries, enabledDictionaryMap, tagAggregator, profiler) {
         /** @type {Map<string, Map<string, {headwordIndex: number, pronunciations: import('dictionary').TermPronunciation[], frequencies: import('dictionary').TermFrequency[]}[]>>} */
         const headwordMap = new Map();
         /** @type {string[]} */
@@ -1259,7 +1383,7 @@ export class Translator {
             }
         }
 
-        const metas = await this._database.findTermMetaBulk(headwordMapKeys, enabledDictionaryMap);
+        const metas = await this._findByDictionary(profiler, 'termMeta', enabledDictionaryMap, (dictionaries) => this._database.findTermMetaBulk(headwordMapKeys, dictionaries));
         for (const {mode, data, dictionary, index} of metas) {
             const {index: dictionaryIndex} = this._getDictionaryOrder(dictionary, enabledDictionaryMap);
             const dictionaryAlias = this._getDictionaryAlias(dictionary, enabledDictionaryMap);
@@ -2083,70 +2207,6 @@ export class Translator {
         dictionaryEntries.sort(compareFunction);
     }
 
-    /**
-     * @param {import('translation-internal').TermDictionaryEntry[]} dictionaryEntries
-     */
-    _sortTermDictionaryEntries(dictionaryEntries) {
-        const stringComparer = this._stringComparer;
-        /**
-         * @param {import('translation-internal').TermDictionaryEntry} v1
-         * @param {import('translation-internal').TermDictionaryEntry} v2
-         * @returns {number}
-         */
-        const compareFunction = (v1, v2) => {
-            // Sort by reading match
-            let i = (v2.matchPrimaryReading ? 1 : 0) - (v1.matchPrimaryReading ? 1 : 0);
-            if (i !== 0) { return i; }
-
-            // Sort by length of source term
-            i = v2.maxOriginalTextLength - v1.maxOriginalTextLength;
-            if (i !== 0) { return i; }
-
-            // Sort by length of the shortest text processing chain
-            i = this._getShortestTextProcessingChainLength(v1.textProcessorRuleChainCandidates) - this._getShortestTextProcessingChainLength(v2.textProcessorRuleChainCandidates);
-            if (i !== 0) { return i; }
-
-            // Sort by length of the shortest inflection chain
-            i = this._getShortestInflectionChainLength(v1.inflectionRuleChainCandidates) - this._getShortestInflectionChainLength(v2.inflectionRuleChainCandidates);
-            if (i !== 0) { return i; }
-
-            // Sort by how many terms exactly match the source (e.g. for exact kana prioritization)
-            i = v2.sourceTermExactMatchCount - v1.sourceTermExactMatchCount;
-            if (i !== 0) { return i; }
-
-            // Sort by frequency order
-            i = v1.frequencyOrder - v2.frequencyOrder;
-            if (i !== 0) { return i; }
-
-            // Sort by dictionary order
-            i = v1.dictionaryIndex - v2.dictionaryIndex;
-            if (i !== 0) { return i; }
-
-            // Sort by term score
-            i = v2.score - v1.score;
-            if (i !== 0) { return i; }
-
-            // Sort by headword term text
-            const headwords1 = v1.headwords;
-            const headwords2 = v2.headwords;
-            for (let j = 0, jj = Math.min(headwords1.length, headwords2.length); j < jj; ++j) {
-                const term1 = headwords1[j].term;
-                const term2 = headwords2[j].term;
-
-                i = term2.length - term1.length;
-                if (i !== 0) { return i; }
-
-                i = stringComparer.compare(term1, term2);
-                if (i !== 0) { return i; }
-            }
-
-            // Sort by definition count
-            i = v2.definitions.length - v1.definitions.length;
-            return i;
-        };
-        dictionaryEntries.sort(compareFunction);
-    }
-
     /**
      * @param {import('dictionary').TermDefinition[]} definitions
      */
@@ -2289,33 +2349,6 @@ export class Translator {
         }
     }
 
-    /**
-     * @param {import('translation-internal').TextProcessorRuleChainCandidate[]} inflectionRuleChainCandidates
-     * @returns {number}
-     */
-    _getShortestTextProcessingChainLength(inflectionRuleChainCandidates) {
-        if (inflectionRuleChainCandidates.length === 0) { return 0; }
-        let length = Number.MAX_SAFE_INTEGER;
-        for (const candidate of inflectionRuleChainCandidates) {
-            length = Math.min(length, candidate.length);
-        }
-        return length;
-    }
-
-    /**
-     * @param {import('translation-internal').InflectionRuleChainCandidate[]} inflectionRuleChainCandidates
-     * @returns {number}
-     */
-    _getShortestInflectionChainLength(inflectionRuleChainCandidates) {
-        if (inflectionRuleChainCandidates.length === 0) { return 0; }
-        let length = Number.MAX_SAFE_INTEGER;
-        for (const {inflectionRules} of inflectionRuleChainCandidates) {
-            length = Math.min(length, inflectionRules.length);
-        }
-        return length;
-    }
-
-
     /**
      * @param {string} language
      * @param {import('translation-internal').TermDictionaryEntry[]} dictionaryEntries
@@ -2432,3 +2465,97 @@ class TranslatorTagAggregator {
         }
     }
 }
+
+/** @type {Intl.Collator} */
+const termStringComparer = new Intl.Collator('en-US'); // Invariant locale
+
+/**
+ * Sorts term dictionary entries using the same ranking rules as `Translator.findTerms`.
+ * This allows entries from other sources to be ranked together with translator results.
+ * @param {(import('translation-internal').TermDictionaryEntry|import('dictionary').TermDictionaryEntry)[]} dictionaryEntries
+ */
+export function sortTermDictionaryEntries(dictionaryEntries) {
+    /**
+     * @param {import('translation-internal').TermDictionaryEntry|import('dictionary').TermDictionaryEntry} v1
+     * @param {import('translation-internal').TermDictionaryEntry|import('dictionary').TermDictionaryEntry} v2
+     * @returns {number}
+     */
+    const compareFunction = (v1, v2) => {
+        // Sort by reading match
+        let i = (v2.matchPrimaryReading ? 1 : 0) - (v1.matchPrimaryReading ? 1 : 0);
+        if (i !== 0) { return i; }
+
+        // Sort by length of source term
+        i = v2.maxOriginalTextLength - v1.maxOriginalTextLength;
+        if (i !== 0) { return i; }
+
+        // Sort by length of the shortest text processing chain
+        i = getShortestTextProcessingChainLength(v1.textProcessorRuleChainCandidates) - getShortestTextProcessingChainLength(v2.textProcessorRuleChainCandidates);
+        if (i !== 0) { return i; }
+
+        // Sort by length of the shortest inflection chain
+        i = getShortestInflectionChainLength(v1.inflectionRuleChainCandidates) - getShortestInflectionChainLength(v2.inflectionRuleChainCandidates);
+        if (i !== 0) { return i; }
+
+        // Sort by how many terms exactly match the source (e.g. for exact kana prioritization)
+        i = v2.sourceTermExactMatchCount - v1.sourceTermExactMatchCount;
+        if (i !== 0) { return i; }
+
+        // Sort by frequency order
+        i = v1.frequencyOrder - v2.frequencyOrder;
+        if (i !== 0) { return i; }
+
+        // Sort by dictionary order
+        i = v1.dictionaryIndex - v2.dictionaryIndex;
+        if (i !== 0) { return i; }
+
+        // Sort by term score
+        i = v2.score - v1.score;
+        if (i !== 0) { return i; }
+
+        // Sort by headword term text
+        const headwords1 = v1.headwords;
+        const headwords2 = v2.headwords;
+        for (let j = 0, jj = Math.min(headwords1.length, headwords2.length); j < jj; ++j) {
+            const term1 = headwords1[j].term;
+            const term2 = headwords2[j].term;
+
+            i = term2.length - term1.length;
+            if (i !== 0) { return i; }
+
+            i = termStringComparer.compare(term1, term2);
+            if (i !== 0) { return i; }
+        }
+
+        // Sort by definition count
+        i = v2.definitions.length - v1.definitions.length;
+        return i;
+    };
+    dictionaryEntries.sort(compareFunction);
+}
+
+/**
+ * @param {import('translation-internal').TextProcessorRuleChainCandidate[]} textProcessorRuleChainCandidates
+ * @returns {number}
+ */
+function getShortestTextProcessingChainLength(textProcessorRuleChainCandidates) {
+    if (textProcessorRuleChainCandidates.length === 0) { return 0; }
+    let length = Number.MAX_SAFE_INTEGER;
+    for (const candidate of textProcessorRuleChainCandidates) {
+        length = Math.min(length, candidate.length);
+    }
+    return length;
+}
+
+/**
+ * @param {{inflectionRules: unknown[]}[]} inflectionRuleChainCandidates
+ * @returns {number}
+ */
+function getShortestInflectionChainLength(inflectionRuleChainCandidates) {
+    if (inflectionRuleChainCandidates.length === 0) { return 0; }
+    let length = Number.MAX_SAFE_INTEGER;
+    for (const {inflectionRules} of inflectionRuleChainCandidates) {
+        length = Math.min(length, inflectionRules.length);
+    }
+    return length;
+}
@@ -18,6 +18,8 @@
 
 import {ThemeController} from '../app/theme-controller.js';
 import {Application} from '../application.js';
+import {getSottakuSessionState} from '../comm/sottaku-client.js';
+import {toError} from '../core/to-error.js';
 import {getAllPermissions, hasRequiredPermissionsForOptions} from '../data/permissions-util.js';
 import {HotkeyHelpController} from '../input/hotkey-help-controller.js';
 import {HotkeyUtil} from '../input/hotkey-util.js';
@@ -323,10 +325,24 @@ class DisplayController {
     /**
      * @param {import('settings').ProfileOptions} options
      */
-    _updateDictionariesEnabledWarnings(options) {
+    async _updateDictionariesEnabledWarnings(options) {
         const tooltip = document.querySelectorAll('.tooltip');
-        const isSottakuLinked = Boolean(options?.sottaku?.enabled && options.sottaku.authToken);
-        if (isSottakuLinked) { return; }
+        const credentials = await this._api.getSottakuCredentials();
+        const sessionState = getSottakuSessionState(credentials);
+        if (options.sottaku.enabled && sessionState === 'signedIn') { return; }
+
+        if (options.sottaku.enabled && sessionState === 'signedOut') {
+            for (let i = 0; i < tooltip.length; i++) {
+                tooltip[i].textContent = 'Signed out of Sottaku. ';
+                tooltip[i].classList.add('enable-dictionary-tooltip');
+                const link = document.createElement('a');
+                link.className = 'action-sign-in-sottaku';
+                link.textContent = 'Sign in again';
+                link.addEventListener('click', this._onSignInClick.bind(this), false);
+                tooltip[i].appendChild(link);
+            }
+            return;
+        }
 
         for (let i = 0; i < tooltip.length; i++) {
             tooltip[i].textContent = 'Link your Sottaku account to enable lookups';
@@ -334,6 +350,27 @@ class DisplayController {
         }
     }
 
+    /**
+     * @param {MouseEvent} event
+     */
+    async _onSignInClick(event) {
+        event.preventDefault();
+        const {profileCurrent} = /** @type {import('settings').Options} */ (this._optionsFull);
+        const tooltip = document.querySelectorAll('.tooltip');
+        try {
+            const {signedIn} = await this._api.signInToSottaku({index: profileCurrent});
+            if (!signedIn) { return; }
+            for (let i = 0; i < tooltip.length; i++) {
+                tooltip[i].classList.remove('enable-dictionary-tooltip');
+            }
+            this._updateDisplayModifierKey();
+        } catch (e) {
+            for (let i = 0; i < tooltip.length; i++) {
+                tooltip[i].textContent = toError(e).message;
+            }
+        }
+    }
+
     /**
      * @param {import('settings').ProfileOptions} options
      */
@@ -0,0 +1,417 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {ThemeController} from '../app/theme-controller.js';
+import {Application} from '../application.js';
+import {EventListenerCollection} from '../core/event-listener-collection.js';
+import {toError} from '../core/to-error.js';
+import {getHistoryRecordSite, historyRecordsToCsv} from '../data/lookup-history-util.js';
+import {DocumentFocusController} from '../dom/document-focus-controller.js';
+import {querySelectorNotNull} from '../dom/query-selector.js';
+
+/** The number of records which are loaded and added to the list at a time. */
+const PAGE_SIZE = 100;
+
+class HistoryController {
+    /**
+     * @param {import('../comm/api.js').API} api
+     */
+    constructor(api) {
+        /** @type {import('../comm/api.js').API} */
+        this._api = api;
+        /** @type {import('lookup-history').HistoryRecord[]} */
+        this._records = [];
+        /** @type {?import('lookup-history').RecordCursor} */
+        this._cursor = null;
+        /** @type {?import('core').TokenObject} */
+        this._loadToken = null;
+        /** @type {number} */
+        this._totalCount = 0;
+        /** @type {Set<string>} */
+        this._sites = new Set();
+        /** @type {Set<string>} */
+        this._dictionaries = new Set();
+        /** @type {Set<string>} */
+        this._selectedIds = new Set();
+        /** @type {EventListenerCollection} */
+        this._recordEventListeners = new EventListenerCollection();
+        /** @type {HTMLInputElement} */
+        this._textInput = querySelectorNotNull(document, '#history-filter-text');
+        /** @type {HTMLInputElement} */
+        this._startInput = querySelectorNotNull(document, '#history-filter-start');
+        /** @type {HTMLInputElement} */
+        this._endInput = querySelectorNotNull(document, '#history-filter-end');
+        /** @type {HTMLSelectElement} */
+        this._siteSelect = querySelectorNotNull(document, '#history-filter-site');
+        /** @type {HTMLSelectElement} */
+        this._dictionarySelect = querySelectorNotNull(document, '#history-filter-dictionary');
+        /** @type {HTMLSelectElement} */
+        this._savedSelect = querySelectorNotNull(document, '#history-filter-saved');
+        /** @type {HTMLInputElement} */
+        this._selectAllCheckbox = querySelectorNotNull(document, '#history-select-all');
+        /** @type {HTMLElement} */
+        this._countNode = querySelectorNotNull(document, '#history-count');
+        /** @type {HTMLSelectElement} */
+        this._exportFormatSelect = querySelectorNotNull(document, '#history-export-format');
+        /** @type {HTMLButtonElement} */
+        this._exportButton = querySelectorNotNull(document, '#history-export-button');
+        /** @type {HTMLButtonElement} */
+        this._deleteButton = querySelectorNotNull(document, '#history-delete-button');
+        /** @type {HTMLElement} */
+        this._list = querySelectorNotNull(document, '#history-list');
+        /** @type {HTMLElement} */
+        this._showMoreContainer = querySelectorNotNull(document, '#history-show-more');
+        /** @type {HTMLButtonElement} */
+        this._showMoreButton = querySelectorNotNull(document, '#history-show-more-button');
+        /** @type {HTMLTemplateElement} */
+        this._recordTemplate = querySelectorNotNull(document, '#history-record-template');
+    }
+
+    /** */
+    async prepare() {
+        const onFilterChange = this._onFilterChange.bind(this);
+        this._textInput.addEventListener('input', onFilterChange, false);
+        for (const element of [this._startInput, this._endInput, this._siteSelect, this._dictionarySelect, this._savedSelect]) {
+            element.addEventListener('change', onFilterChange, false);
+        }
+        this._selectAllCheckbox.addEventListener('change', this._onSelectAllChange.bind(this), false);
+        this._exportButton.addEventListener('click', this._onExportButtonClick.bind(this), false);
+        this._deleteButton.addEventListener('click', this._onDeleteButtonClick.bind(this), false);
+        this._showMoreButton.addEventListener('click', this._onShowMoreButtonClick.bind(this), false);
+
+        await this._reload();
+    }
+
+    // Private
+
+    /** */
+    _onFilterChange() {
+        void this._reload();
+    }
+
+    /** */
+    _onSelectAllChange() {
+        if (this._selectAllCheckbox.checked) {
+            for (const {id} of this._records) { this._selectedIds.add(id); }
+        } else {
+            this._selectedIds.clear();
+        }
+        this._renderRecords();
+    }
+
+    /** */
+    _onShowMoreButtonClick() {
+        void this._loadMore();
+    }
+
+    /** */
+    _onExportButtonClick() {
+        const records = this._getSelectedRecords();
+        if (records.length === 0) { return; }
+        // Exports are written oldest first, like the records are stored
+        const ordered = [...records].reverse();
+        const date = new Date().toISOString().slice(0, 10);
+        if (this._exportFormatSelect.value === 'json') {
+            this._saveBlob(new Blob([JSON.stringify(ordered, null, 4)], {type: 'application/json'}), `yomitan-history-${date}.json`);
+        } else {
+            this._saveBlob(new Blob([historyRecordsToCsv(ordered)], {type: 'text/csv'}), `yomitan-history-${date}.csv`);
+        }
+    }
+
+    /** */
+    async _onDeleteButtonClick() {
+        const ids = this._getSelectedRecords().map(({id}) => id);
+        if (ids.length === 0) { return; }
+        this._deleteButton.disabled = true;
+        try {
+            await this._api.deleteHistoryRecords(ids);
+        } catch (e) {
+            this._countNode.textContent = toError(e).message;
+            this._deleteButton.disabled = false;
+            return;
+        }
+        const deletedIds = new Set(ids);
+        this._records = this._records.filter(({id}) => !deletedIds.has(id));
+        this._totalCount = Math.max(0, this._totalCount - ids.length);
+        this._selectedIds.clear();
+        this._renderRecords();
+    }
+
+    /**
+     * @param {import('lookup-history').HistoryRecord} record
+     */
+    _onOpenButtonClick(record) {
+        const params = new URLSearchParams({query: record.query, type: record.type, history: record.id});
+        window.open(chrome.runtime.getURL(`/search.html?${params.toString()}`), '_blank', 'noopener');
+    }
+
+    /**
+     * @param {string} id
+     * @param {HTMLInputElement} checkbox
+     */
+    _onRecordCheckboxChange(id, checkbox) {
+        if (checkbox.checked) {
+            this._selectedIds.add(id);
+        } else {
+            this._selectedIds.delete(id);
+        }
+        this._updateSelection();
+    }
+
+    /**
+     * Adds the sites and dictionaries which occur in the loaded records to the filters.
+     * Options are only added, so that the other values remain selectable while a filter is active.
+     * @param {import('lookup-history').HistoryRecord[]} records
+     */
+    _updateFilterOptions(records) {
+        const siteCount = this._sites.size;
+        const dictionaryCount = this._dictionaries.size;
+        for (const record of records) {
+            const site = getHistoryRecordSite(record);
+            if (site.length > 0) { this._sites.add(site); }
+            for (const dictionary of record.dictionaries) { this._dictionaries.add(dictionary); }
+        }
+        if (this._sites.size !== siteCount) {
+            this._setSelectOptions(this._siteSelect, [...this._sites].sort());
+        }
+        if (this._dictionaries.size !== dictionaryCount) {
+            this._setSelectOptions(this._dictionarySelect, [...this._dictionaries].sort());
+        }
+    }
+
+    /**
+     * Replaces the options of a select element after its first option, keeping the selected value if it is still available.
+     * @param {HTMLSelectElement} select
+     * @param {string[]} values
+     */
+    _setSelectOptions(select, values) {
+        const {value} = select;
+        while (select.options.length > 1) {
+            select.options[1].remove();
+        }
+        for (const item of values) {
+            const option = document.createElement('option');
+            option.value = item;
+            option.textContent = item;
+            select.appendChild(option);
+        }
+        select.value = values.includes(value) ? value : '';
+    }
+
+    /**
+     * @returns {import('lookup-history').Filter}
+     */
+    _getFilter() {
+        const site = this._siteSelect.value;
+        const dictionary = this._dictionarySelect.value;
+        const endTime = this._getDayStart(this._endInput.value);
+        return {
+            text: this._textInput.value,
+            startTime: this._getDayStart(this._startInput.value),
+            // The end date is inclusive
+            endTime: endTime !== null ? endTime + 24 * 60 * 60 * 1000 : null,
+            site: site.length > 0 ? site : null,
+            dictionary: dictionary.length > 0 ? dictionary : null,
+            saved: /** @type {import('lookup-history').SavedFilter} */ (this._savedSelect.value),
+        };
+    }
+
+    /**
+     * Clears the list and loads the first page of records which match the current filter.
+     */
+    async _reload() {
+        // Discards the records of a load which is still in progress
+        this._loadToken = null;
+        this._records = [];
+        this._cursor = null;
+        this._selectedIds.clear();
+        try {
+            this._totalCount = await this._api.getHistoryRecordCount();
+        } catch (e) {
+            this._countNode.textContent = toError(e).message;
+            return;
+        }
+        await this._loadRecords(null);
+    }
+
+    /** */
+    async _loadMore() {
+        if (this._cursor === null) { return; }
+        await this._loadRecords(this._cursor);
+    }
+
+    /**
+     * Loads records until a page has been filled or there are no older records.
+     * The backend reads a limited number of records per request, so a selective filter can take several requests.
+     * @param {?import('lookup-history').RecordCursor} cursor
+     */
+    async _loadRecords(cursor) {
+        /** @type {import('core').TokenObject} */
+        const token = {};
+        this._loadToken = token;
+        this._showMoreButton.disabled = true;
+        const filter = this._getFilter();
+        let loadedCount = 0;
+        try {
+            do {
+                const page = await this._api.getHistoryRecords(filter, cursor, PAGE_SIZE - loadedCount);
+                if (this._loadToken !== token) { return; }
+                cursor = page.cursor;
+                loadedCount += page.records.length;
+                this._records.push(...page.records);
+                this._updateFilterOptions(page.records);
+            } while (cursor !== null && loadedCount < PAGE_SIZE);
+        } catch (e) {
+            if (this._loadToken === token) {
+                this._countNode.textContent = toError(e).message;
+            }
+            return;
+        } finally {
+            if (this._loadToken === token) {
+                this._showMoreButton.disabled = false;
+            }
+        }
+        this._cursor = cursor;
+        this._renderRecords();
+    }
+
+    /**
+     * @param {string} value The value of a date input.
+     * @returns {?number} The start of the day in local time.
+     */
+    _getDayStart(value) {
+        if (value.length === 0) { return null; }
+        const time = new Date(`${value}T00:00`).getTime();
+        return Number.isFinite(time) ? time : null;
+    }
+
+    /** */
+    _renderRecords() {
+        this._recordEventListeners.removeAllEventListeners();
+        this._list.textContent = '';
+        const fragment = document.createDocumentFragment();
+        for (const record of this._records) {
+            fragment.appendChild(this._createRecordNode(record));
+        }
+        this._list.appendChild(fragment);
+        this._showMoreContainer.hidden = this._cursor === null;
+        this._updateSelection();
+    }
+
+    /**
+     * @param {import('lookup-history').HistoryRecord} record
+     * @returns {HTMLElement}
+     */
+    _createRecordNode(record) {
+        const node = /** @type {HTMLElement} */ (/** @type {DocumentFragment} */ (document.importNode(this._recordTemplate.content, true)).firstElementChild);
+        /** @type {HTMLInputElement} */
+        const checkbox = querySelectorNotNull(node, '.history-record-checkbox');
+        /** @type {HTMLButtonElement} */
+        const openButton = querySelectorNotNull(node, '.history-record-open-button');
+        /** @type {HTMLAnchorElement} */
+        const siteLink = querySelectorNotNull(node, '.history-record-site');
+        /** @type {HTMLElement} */
+        const savedNode = querySelectorNotNull(node, '.history-record-saved');
+
+        // Lookups which found nothing have no headword
+        querySelectorNotNull(node, '.history-record-term').textContent = record.term.length > 0 ? record.term : record.query;
+        querySelectorNotNull(node, '.history-record-reading').textContent = record.reading !== record.term ? record.reading : '';
+        querySelectorNotNull(node, '.history-record-sentence').textContent = record.sentence;
+        querySelectorNotNull(node, '.history-record-time').textContent = new Date(record.timestamp).toLocaleString();
+        querySelectorNotNull(node, '.history-record-dictionaries').textContent = record.dictionaries.join(', ');
+        querySelectorNotNull(node, '.history-record-profile').textContent = record.profile;
+
+        const site = getHistoryRecordSite(record);
+        siteLink.textContent = site.length > 0 ? site : 'No website';
+        if (/^https?:/.test(record.url)) {
+            siteLink.href = record.url;
+            siteLink.rel = 'noopener noreferrer';
+            siteLink.target = '_blank';
+        }
+        siteLink.title = record.documentTitle;
+
+        savedNode.hidden = !record.saved;
+        if (record.saved) {
+            savedNode.title = record.savedHeadwords.map(({term, reading}) => (reading.length > 0 && reading !== term ? `${term} (${reading})` : term)).join(', ');
+        }
+
+        checkbox.checked = this._selectedIds.has(record.id);
+        this._recordEventListeners.addEventListener(checkbox, 'change', () => this._onRecordCheckboxChange(record.id, checkbox), false);
+        this._recordEventListeners.addEventListener(openButton, 'click', () => this._onOpenButtonClick(record), false);
+        return node;
+    }
+
+    /** */
+    _updateSelection() {
+        const count = this._records.length;
+        const selectedCount = this._selectedIds.size;
+        this._selectAllCheckbox.checked = count > 0 && selectedCount === count;
+        this._selectAllCheckbox.indeterminate = selectedCount > 0 && selectedCount < count;
+        this._exportButton.disabled = selectedCount === 0;
+        this._deleteButton.disabled = selectedCount === 0;
+        let text = `${count}${this._cursor !== null ? '+' : ''} lookup${count === 1 ? '' : 's'}`;
+        if (count !== this._totalCount) { text += ` of ${this._totalCount}`; }
+        if (selectedCount > 0) { text += `, ${selectedCount} selected`; }
+        this._countNode.textContent = text;
+    }
+
+    /**
+     * @returns {import('lookup-history').HistoryRecord[]}
+     */
+    _getSelectedRecords() {
+        return this._records.filter(({id}) => this._selectedIds.has(id));
+    }
+
+    /**
+     * @param {Blob} blob
+     * @param {string} fileName
+     */
+    _saveBlob(blob, fileName) {
+        const blobUrl = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = blobUrl;
+        a.download = fileName;
+        a.rel = 'noopener';
+        a.target = '_blank';
+        a.dispatchEvent(new MouseEvent('click'));
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+    }
+}
+
+await Application.main(true, async (application) => {
+    /** @type {ThemeController} */
+    const themeController = new ThemeController(document.documentElement);
+    themeController.prepare();
+    const optionsFull = await application.api.optionsGetFull();
+    const {profiles, profileCurrent} = optionsFull;
+    const defaultProfile = (profileCurrent >= 0 && profileCurrent < profiles.length) ? profiles[profileCurrent] : null;
+    if (defaultProfile !== null) {
+        themeController.theme = defaultProfile.options.general.popupTheme;
+        themeController.siteOverride = true;
+        themeController.updateTheme();
+    }
+
+    document.body.hidden = false;
+
+    const documentFocusController = new DocumentFocusController();
+    documentFocusController.prepare();
+
+    const historyController = new HistoryController(application.api);
+    await historyController.prepare();
+
+    document.documentElement.dataset.loaded = 'true';
+});
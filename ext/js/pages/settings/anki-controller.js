@@ -1299,6 +1299,9 @@ class AnkiCardController {
             ['pitch-accent-positions', ['pitch-position']],
             ['pitch-accent-categories', ['pitch-categories']],
             ['popup-selection-text', ['selection-text']],
+            ['sottaku-sentence-audio', ['sentence-audio']],
+            ['sottaku-sentence-translation', ['sentence-translation', 'sentence-meaning']],
+            ['sottaku-usage-notes', ['usage-notes']],
         ]);
 
         const hyphenPattern = /-/g;
@@ -0,0 +1,232 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {MAX_QUEUED_NOTE_ERROR_COUNT} from '../../comm/anki-note-queue.js';
+import {EventListenerCollection} from '../../core/event-listener-collection.js';
+import {toError} from '../../core/to-error.js';
+import {querySelectorNotNull} from '../../dom/query-selector.js';
+
+export class AnkiNoteQueueController {
+    /**
+     * @param {import('./settings-controller.js').SettingsController} settingsController
+     * @param {import('./modal-controller.js').ModalController} modalController
+     */
+    constructor(settingsController, modalController) {
+        /** @type {import('./settings-controller.js').SettingsController} */
+        this._settingsController = settingsController;
+        /** @type {import('./modal-controller.js').ModalController} */
+        this._modalController = modalController;
+        /** @type {?import('./modal.js').Modal} */
+        this._modal = null;
+        /** @type {EventListenerCollection} */
+        this._entryEventListeners = new EventListenerCollection();
+        /** @type {HTMLElement} */
+        this._countNode = querySelectorNotNull(document, '#anki-note-queue-count');
+        /** @type {HTMLElement} */
+        this._infoNode = querySelectorNotNull(document, '#anki-note-queue-info');
+        /** @type {HTMLButtonElement} */
+        this._manageButton = querySelectorNotNull(document, '#anki-note-queue-manage-button');
+        /** @type {HTMLButtonElement} */
+        this._flushButton = querySelectorNotNull(document, '#anki-note-queue-flush-button');
+        /** @type {HTMLButtonElement} */
+        this._refreshButton = querySelectorNotNull(document, '#anki-note-queue-refresh-button');
+        /** @type {HTMLElement} */
+        this._status = querySelectorNotNull(document, '#anki-note-queue-modal .anki-note-queue-status');
+        /** @type {HTMLElement} */
+        this._list = querySelectorNotNull(document, '#anki-note-queue-modal .anki-note-queue-list');
+    }
+
+    /** */
+    async prepare() {
+        this._modal = this._modalController.getModal('anki-note-queue');
+        this._manageButton.addEventListener('click', this._onManageButtonClick.bind(this), false);
+        this._flushButton.addEventListener('click', this._onFlushButtonClick.bind(this), false);
+        this._refreshButton.addEventListener('click', this._onRefreshButtonClick.bind(this), false);
+        await this._updateQueue();
+    }
+
+    // Private
+
+    /** */
+    _onManageButtonClick() {
+        if (this._modal === null) { return; }
+        this._modal.setVisible(true);
+        void this._updateQueue();
+    }
+
+    /** */
+    _onRefreshButtonClick() {
+        void this._updateQueue();
+    }
+
+    /** */
+    async _onFlushButtonClick() {
+        this._flushButton.disabled = true;
+        try {
+            const {addedCount, remainingCount} = await this._settingsController.application.api.flushAnkiNoteQueue(null);
+            await this._updateQueue();
+            if (remainingCount > 0) {
+                this._infoNode.textContent = `${addedCount} added, ${remainingCount} still pending.`;
+            }
+        } catch (e) {
+            this._infoNode.textContent = toError(e).message;
+        } finally {
+            this._flushButton.disabled = false;
+        }
+    }
+
+    /** */
+    async _updateQueue() {
+        let queuedNotes;
+        try {
+            queuedNotes = await this._settingsController.application.api.getAnkiNoteQueue();
+        } catch (e) {
+            this._infoNode.textContent = toError(e).message;
+            return;
+        }
+        const count = queuedNotes.length;
+        const duplicateCount = queuedNotes.filter(({duplicate}) => duplicate).length;
+        const failedCount = queuedNotes.filter(({duplicate, errorCount}) => !duplicate && errorCount >= MAX_QUEUED_NOTE_ERROR_COUNT).length;
+        this._countNode.textContent = `${count}`;
+        this._countNode.hidden = count === 0;
+        this._flushButton.disabled = count === 0;
+        let info = count === 0 ? 'No pending notes.' : `${count} note${count === 1 ? '' : 's'} waiting to be added.`;
+        if (duplicateCount > 0) {
+            info += ` ${duplicateCount} reported as duplicate${duplicateCount === 1 ? '' : 's'}.`;
+        }
+        if (failedCount > 0) {
+            info += ` ${failedCount} skipped after repeated errors.`;
+        }
+        this._infoNode.textContent = info;
+        this._status.textContent = info;
+
+        this._entryEventListeners.removeAllEventListeners();
+        this._list.textContent = '';
+        for (const queuedNote of queuedNotes) {
+            this._list.appendChild(this._createEntry(queuedNote));
+        }
+    }
+
+    /**
+     * @param {import('anki-note-queue').QueuedNoteSummary} queuedNote
+     * @returns {HTMLElement}
+     */
+    _createEntry({id, note, mediaFileNames, timestamp, lastError, duplicate, errorCount}) {
+        const node = /** @type {HTMLElement} */ (this._settingsController.instantiateTemplate('anki-note-queue-entry'));
+        /** @type {HTMLElement} */
+        const label = querySelectorNotNull(node, '.anki-note-queue-entry-label');
+        /** @type {HTMLElement} */
+        const details = querySelectorNotNull(node, '.anki-note-queue-entry-details');
+        /** @type {HTMLElement} */
+        const status = querySelectorNotNull(node, '.anki-note-queue-entry-status');
+        /** @type {HTMLElement} */
+        const fieldsContainer = querySelectorNotNull(node, '.anki-note-queue-entry-fields');
+        /** @type {HTMLButtonElement} */
+        const editButton = querySelectorNotNull(node, '.anki-note-queue-entry-edit-button');
+        /** @type {HTMLButtonElement} */
+        const saveButton = querySelectorNotNull(node, '.anki-note-queue-entry-save-button');
+        /** @type {HTMLButtonElement} */
+        const retryButton = querySelectorNotNull(node, '.anki-note-queue-entry-retry-button');
+        /** @type {HTMLButtonElement} */
+        const dropButton = querySelectorNotNull(node, '.anki-note-queue-entry-drop-button');
+
+        const fieldValues = Object.values(note.fields);
+        const firstValue = fieldValues.find((value) => value.length > 0);
+        label.textContent = typeof firstValue !== 'undefined' ? this._getFieldText(firstValue) : '(empty note)';
+        let detailsText = `${note.deckName} / ${note.modelName}, ${new Date(timestamp).toLocaleString()}`;
+        if (mediaFileNames.length > 0) {
+            detailsText += `, ${mediaFileNames.length} media file${mediaFileNames.length === 1 ? '' : 's'}`;
+        }
+        details.textContent = detailsText;
+        if (duplicate) {
+            status.textContent = 'Anki reports this note as a duplicate. Retry adds it anyway.';
+        } else if (errorCount >= MAX_QUEUED_NOTE_ERROR_COUNT) {
+            status.textContent = `Skipped after ${errorCount} errors, edit or retry it to add it again. Last error: ${lastError ?? 'unknown'}`;
+        } else if (lastError !== null) {
+            status.textContent = `Last error: ${lastError ?? 'unknown'}`;
+        } else {
+            status.hidden = true;
+        }
+
+        /** @type {Map<string, HTMLTextAreaElement>} */
+        const fieldInputs = new Map();
+        for (const [field, value] of Object.entries(note.fields)) {
+            const fieldLabel = document.createElement('label');
+            fieldLabel.textContent = field;
+            const input = document.createElement('textarea');
+            input.className = 'anki-note-queue-entry-field';
+            input.spellcheck = false;
+            input.value = value;
+            fieldLabel.appendChild(input);
+            fieldsContainer.appendChild(fieldLabel);
+            fieldInputs.set(field, input);
+        }
+
+        this._entryEventListeners.addEventListener(editButton, 'click', () => {
+            const editing = fieldsContainer.hidden;
+            fieldsContainer.hidden = !editing;
+            saveButton.hidden = !editing;
+            editButton.textContent = editing ? 'Cancel' : 'Edit';
+        }, false);
+        this._entryEventListeners.addEventListener(saveButton, 'click', () => {
+            /** @type {import('anki').NoteFields} */
+            const fields = {};
+            for (const [field, input] of fieldInputs) {
+                fields[field] = input.value;
+            }
+            void this._runEntryAction(node, () => this._settingsController.application.api.updateQueuedAnkiNote(id, fields));
+        }, false);
+        this._entryEventListeners.addEventListener(retryButton, 'click', () => {
+            void this._runEntryAction(node, () => this._settingsController.application.api.flushAnkiNoteQueue(id));
+        }, false);
+        this._entryEventListeners.addEventListener(dropButton, 'click', () => {
+            void this._runEntryAction(node, () => this._settingsController.application.api.deleteQueuedAnkiNote(id));
+        }, false);
+
+        return node;
+    }
+
+    /**
+     * @param {HTMLElement} node
+     * @param {() => Promise<unknown>} action
+     */
+    async _runEntryAction(node, action) {
+        /** @type {NodeListOf<HTMLButtonElement>} */
+        const buttons = node.querySelectorAll('button');
+        for (const button of buttons) { button.disabled = true; }
+        /** @type {?Error} */
+        let error = null;
+        try {
+            await action();
+        } catch (e) {
+            error = toError(e);
+        }
+        await this._updateQueue();
+        if (error !== null) {
+            this._status.textContent = error.message;
+        }
+    }
+
+    /**
+     * @param {string} value
+     * @returns {string}
+     */
+    _getFieldText(value) {
+        const text = new DOMParser().parseFromString(value, 'text/html').body.textContent ?? '';
+        return text.trim().length > 0 ? text.trim() : value;
+    }
+}
@@ -69,6 +69,10 @@ class DictionaryEntry {
         this._integrityButtonError = querySelectorNotNull(fragment, '.dictionary-integrity-button-error');
         /** @type {HTMLButtonElement} */
         this._updatesAvailable = querySelectorNotNull(fragment, '.dictionary-update-available');
+        /** @type {HTMLButtonElement} */
+        this._importIncompleteButton = querySelectorNotNull(fragment, '.dictionary-import-incomplete-button');
+        /** @type {HTMLElement} */
+        this._importIncompleteInfo = querySelectorNotNull(fragment, '.dictionary-import-incomplete-info');
         /** @type {HTMLElement} */
         this._aliasNode = querySelectorNotNull(fragment, '.dictionary-alias');
         /** @type {HTMLElement} */
@@ -82,11 +86,16 @@ class DictionaryEntry {
         return this._dictionaryInfo.title;
     }
 
+    /** @type {boolean} */
+    get isRemote() {
+        return this._dictionaryInfo.isRemote === true;
+    }
+
     /** */
     prepare() {
         //
         const index = this._index;
-        const {revision, version, importSuccess} = this._dictionaryInfo;
+        const {revision, version, importSuccess, importCheckpoint} = this._dictionaryInfo;
 
         this._aliasNode.dataset.setting = `dictionaries[${index}].alias`;
         this._versionNode.textContent = `rev.${revision}`;
@@ -103,8 +112,13 @@ class DictionaryEntry {
         this._eventListeners.addEventListener(this._integrityButtonWarning, 'click', this._onIntegrityButtonClick.bind(this), false);
         this._eventListeners.addEventListener(this._integrityButtonError, 'click', this._onIntegrityButtonClick.bind(this), false);
         this._eventListeners.addEventListener(this._updatesAvailable, 'click', this._onUpdateButtonClick.bind(this), false);
+        this._eventListeners.addEventListener(this._importIncompleteButton, 'click', this._onIntegrityButtonClick.bind(this), false);
 
-        if (importSuccess === false) {
+        if (typeof importCheckpoint !== 'undefined') {
+            this._importIncompleteButton.hidden = false;
+            this._importIncompleteInfo.textContent = `partially imported, ${importCheckpoint.committedFiles.length} of ${importCheckpoint.fileCount} files`;
+            this._importIncompleteInfo.hidden = false;
+        } else if (importSuccess === false) {
             this._integrityButtonError.hidden = false;
         }
 
@@ -143,7 +157,7 @@ class DictionaryEntry {
             }
         }
 
-        if (this._integrityButtonError.hidden) {
+        if (this._integrityButtonError.hidden && this._importIncompleteButton.hidden) {
             this._integrityButtonWarning.hidden = !countsMismatch;
             this._integrityButtonCheck.hidden = countsMismatch;
         }
@@ -231,8 +245,9 @@ class DictionaryEntry {
         const bodyNode = e.detail.menu.bodyNode;
         const count = this._dictionaryController.dictionaryOptionCount;
         this._setMenuActionEnabled(bodyNode, 'moveTo', count > 1);
-        const deleteDisabled = this._dictionaryController.isDictionaryInTaskQueue(this.dictionaryTitle);
+        const deleteDisabled = this.isRemote || this._dictionaryController.isDictionaryInTaskQueue(this.dictionaryTitle);
         this._setMenuActionEnabled(bodyNode, 'delete', !deleteDisabled);
+        this._setMenuActionEnabled(bodyNode, 'export', !deleteDisabled);
     }
 
     /**
@@ -252,6 +267,9 @@ class DictionaryEntry {
             case 'rename':
                 this._showRenameModal();
                 break;
+            case 'export':
+                this._dictionaryController.exportDictionary(this.dictionaryTitle);
+                break;
         }
     }
 
@@ -298,7 +316,7 @@ class DictionaryEntry {
 
     /** */
     _showDetails() {
-        const {title, revision, version, counts, prefixWildcardsSupported} = this._dictionaryInfo;
+        const {title, revision, version, counts, prefixWildcardsSupported, glossaryIndexed, glossaryCompressed, importCheckpoint, downloadUrl} = this._dictionaryInfo;
 
         const modal = this._dictionaryController.modalController.getModal('dictionary-details');
         if (modal === null) { return; }
@@ -309,6 +327,12 @@ class DictionaryEntry {
         const versionElement = querySelectorNotNull(modal.node, '.dictionary-revision');
         /** @type {HTMLElement} */
         const outdateElement = querySelectorNotNull(modal.node, '.dictionary-outdated-notification');
+        /** @type {HTMLElement} */
+        const importIncompleteElement = querySelectorNotNull(modal.node, '.dictionary-import-incomplete-notification');
+        /** @type {HTMLElement} */
+        const committedFileCountElement = querySelectorNotNull(importIncompleteElement, '.dictionary-import-committed-file-count');
+        /** @type {HTMLElement} */
+        const fileCountElement = querySelectorNotNull(importIncompleteElement, '.dictionary-import-file-count');
         /** @type {HTMLInputElement} */
         const wildcardSupportedElement = querySelectorNotNull(modal.node, '.dictionary-prefix-wildcard-searches-supported');
         /** @type {HTMLElement} */
@@ -321,10 +345,27 @@ class DictionaryEntry {
         const useDeinflectionsSetting = querySelectorNotNull(modal.node, '.dictionary-use-deinflections-setting');
         /** @type {HTMLElement} */
         const useDeinflectionsToggle = querySelectorNotNull(useDeinflectionsSetting, '.dictionary-use-deinflections-toggle');
+        /** @type {HTMLElement} */
+        const glossaryIndexSetting = querySelectorNotNull(modal.node, '.dictionary-glossary-index-setting');
+        /** @type {HTMLInputElement} */
+        const glossaryIndexSupportedElement = querySelectorNotNull(glossaryIndexSetting, '.dictionary-glossary-index-supported');
+        /** @type {HTMLButtonElement} */
+        const glossaryIndexBuildButton = querySelectorNotNull(glossaryIndexSetting, '#dictionary-glossary-index-build-button');
+        /** @type {HTMLElement} */
+        const glossaryCompressionSetting = querySelectorNotNull(modal.node, '.dictionary-glossary-compression-setting');
+        /** @type {HTMLInputElement} */
+        const glossaryCompressedElement = querySelectorNotNull(glossaryCompressionSetting, '.dictionary-glossary-compressed');
+        /** @type {HTMLButtonElement} */
+        const glossaryCompressionButton = querySelectorNotNull(glossaryCompressionSetting, '#dictionary-glossary-compression-button');
 
         titleElement.textContent = title;
         versionElement.textContent = `rev.${revision}`;
         outdateElement.hidden = (version >= 3);
+        importIncompleteElement.hidden = typeof importCheckpoint === 'undefined';
+        if (typeof importCheckpoint !== 'undefined') {
+            committedFileCountElement.textContent = `${importCheckpoint.committedFiles.length}`;
+            fileCountElement.textContent = `${importCheckpoint.fileCount}`;
+        }
         wildcardSupportedElement.checked = prefixWildcardsSupported;
         partsOfSpeechFilterSetting.hidden = !counts?.terms.total;
         partsOfSpeechFilterToggle.dataset.setting = `dictionaries[${this._index}].partsOfSpeechFilter`;
@@ -332,6 +373,19 @@ class DictionaryEntry {
         useDeinflectionsSetting.hidden = !counts?.terms.total;
         useDeinflectionsToggle.dataset.setting = `dictionaries[${this._index}].useDeinflections`;
 
+        modal.node.dataset.dictionaryTitle = title;
+        if (typeof downloadUrl === 'string') {
+            modal.node.dataset.downloadUrl = downloadUrl;
+        } else {
+            delete modal.node.dataset.downloadUrl;
+        }
+        glossaryIndexSetting.hidden = !counts?.terms.total;
+        glossaryIndexSupportedElement.checked = !!glossaryIndexed;
+        glossaryIndexBuildButton.hidden = !!glossaryIndexed;
+        glossaryCompressionSetting.hidden = !counts?.terms.total;
+        glossaryCompressedElement.checked = !!glossaryCompressed;
+        glossaryCompressionButton.hidden = !!glossaryCompressed;
+
         this._setupDetails(detailsTableElement);
 
         modal.setVisible(true);
@@ -664,6 +718,12 @@ export class DictionaryController {
         const dictionaryResetAliasButton = querySelectorNotNull(document, '#dictionary-reset-alias-button');
         /** @type {HTMLButtonElement} */
         const dictionarySetAliasButton = querySelectorNotNull(document, '#dictionary-set-alias-button');
+        /** @type {HTMLButtonElement} */
+        const dictionaryGlossaryIndexBuildButton = querySelectorNotNull(document, '#dictionary-glossary-index-build-button');
+        /** @type {HTMLButtonElement} */
+        const dictionaryGlossaryCompressionButton = querySelectorNotNull(document, '#dictionary-glossary-compression-button');
+        /** @type {HTMLButtonElement} */
+        const dictionaryImportResumeButton = querySelectorNotNull(document, '#dictionary-import-resume-button');
 
         this._settingsController.application.on('databaseUpdated', this._onDatabaseUpdated.bind(this));
         this._settingsController.on('optionsChanged', this._onOptionsChanged.bind(this));
@@ -675,6 +735,9 @@ export class DictionaryController {
 
         dictionarySetAliasButton.addEventListener('click', this._onDictionarySetAliasButtonClick.bind(this), false);
         dictionaryResetAliasButton.addEventListener('click', this._onDictionaryResetAliasButtonClick.bind(this), false);
+        dictionaryGlossaryIndexBuildButton.addEventListener('click', this._onDictionaryGlossaryIndexBuildButtonClick.bind(this), false);
+        dictionaryGlossaryCompressionButton.addEventListener('click', this._onDictionaryGlossaryCompressionButtonClick.bind(this), false);
+        dictionaryImportResumeButton.addEventListener('click', this._onDictionaryImportResumeButtonClick.bind(this), false);
 
         if (this._checkUpdatesButton !== null) {
             this._checkUpdatesButton.addEventListener('click', this._onCheckUpdatesButtonClick.bind(this), false);
@@ -720,6 +783,14 @@ export class DictionaryController {
         modal.setVisible(true);
     }
 
+    /**
+     * Exports an imported dictionary and saves it as a Yomitan archive.
+     * @param {string} dictionaryTitle
+     */
+    exportDictionary(dictionaryTitle) {
+        this._enqueueTask({type: 'export', dictionaryTitle});
+    }
+
     /**
      * @param {string} dictionaryTitle
      * @returns {Promise<string[]>}
@@ -834,7 +905,7 @@ export class DictionaryController {
      */
     static async ensureDictionarySettings(settingsController, dictionaries, optionsFull, modifyGlobalSettings, newDictionariesEnabled) {
         if (typeof dictionaries === 'undefined') {
-            dictionaries = await settingsController.getDictionaryInfo();
+            dictionaries = await settingsController.getAllDictionaryInfo();
         }
         if (typeof optionsFull === 'undefined') {
             optionsFull = await settingsController.getOptionsFull();
@@ -896,7 +967,7 @@ export class DictionaryController {
         const token = {};
         this._databaseStateToken = token;
         this._dictionaries = null;
-        const dictionaries = await this._settingsController.getDictionaryInfo();
+        const dictionaries = await this._settingsController.getAllDictionaryInfo();
         if (this._databaseStateToken !== token) { return; }
         this._dictionaries = dictionaries;
 
@@ -930,11 +1001,12 @@ export class DictionaryController {
         this._dictionaryEntries = [];
         this._updateDictionaryEntryCount();
 
+        const installedDictionaryCount = dictionaries.filter(({isRemote}) => !isRemote).length;
         if (this._dictionaryInstallCountNode !== null) {
-            this._dictionaryInstallCountNode.textContent = `${dictionaries.length}`;
+            this._dictionaryInstallCountNode.textContent = `${installedDictionaryCount}`;
         }
 
-        const hasDictionary = (dictionaries.length > 0);
+        const hasDictionary = (installedDictionaryCount > 0);
         for (const node of /** @type {NodeListOf<HTMLElement>} */ (this._noDictionariesInstalledWarnings)) {
             node.hidden = hasDictionary;
         }
@@ -1057,6 +1129,58 @@ export class DictionaryController {
         this._hideUpdatesAvailableButton(dictionaryTitle);
     }
 
+    /**
+     * @param {MouseEvent} e
+     */
+    _onDictionaryGlossaryIndexBuildButtonClick(e) {
+        e.preventDefault();
+
+        const modal = this._modalController.getModal('dictionary-details');
+        if (modal === null) { return; }
+        modal.setVisible(false);
+
+        const dictionaryTitle = modal.node.dataset.dictionaryTitle;
+        if (typeof dictionaryTitle !== 'string') { return; }
+
+        this._enqueueTask({type: 'buildGlossaryIndex', dictionaryTitle});
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    _onDictionaryGlossaryCompressionButtonClick(e) {
+        e.preventDefault();
+
+        const modal = this._modalController.getModal('dictionary-details');
+        if (modal === null) { return; }
+        modal.setVisible(false);
+
+        const dictionaryTitle = modal.node.dataset.dictionaryTitle;
+        if (typeof dictionaryTitle !== 'string') { return; }
+
+        this._enqueueTask({type: 'compressGlossaries', dictionaryTitle});
+    }
+
+    /**
+     * Resumes an interrupted import by importing the dictionary again, which continues after the files that were already imported.
+     * The archive is downloaded again when the dictionary has a download URL, otherwise the user picks the file.
+     * @param {MouseEvent} e
+     */
+    _onDictionaryImportResumeButtonClick(e) {
+        e.preventDefault();
+
+        const modal = this._modalController.getModal('dictionary-details');
+        if (modal === null) { return; }
+        modal.setVisible(false);
+
+        const downloadUrl = modal.node.dataset.downloadUrl;
+        if (typeof downloadUrl === 'string') {
+            this._settingsController.trigger('importDictionaryFromUrl', {url: downloadUrl, profilesDictionarySettings: null, onImportDone: null});
+        } else {
+            this._modalController.getModal('dictionary-import')?.setVisible(true);
+        }
+    }
+
     /**
      * @param {MouseEvent} e
      */
@@ -1205,12 +1329,13 @@ export class DictionaryController {
             this._setButtonsEnabled(false);
 
             const token = this._databaseStateToken;
-            const dictionaryTitles = this._dictionaryEntries.map(({dictionaryTitle}) => dictionaryTitle);
+            const dictionaryEntries = this._dictionaryEntries.filter(({isRemote}) => !isRemote);
+            const dictionaryTitles = dictionaryEntries.map(({dictionaryTitle}) => dictionaryTitle);
             const {counts, total} = await new DictionaryWorker().getDictionaryCounts(dictionaryTitles, true);
             if (this._databaseStateToken !== token) { return; }
 
-            for (let i = 0, ii = Math.min(counts.length, this._dictionaryEntries.length); i < ii; ++i) {
-                const entry = this._dictionaryEntries[i];
+            for (let i = 0, ii = Math.min(counts.length, dictionaryEntries.length); i < ii; ++i) {
+                const entry = dictionaryEntries[i];
                 entry.setCounts(counts[i]);
             }
 
@@ -1296,10 +1421,22 @@ export class DictionaryController {
         this._isTaskQueueRunning = true;
         while (this._dictionaryTaskQueue.length > 0) {
             const task = this._dictionaryTaskQueue[0];
-            if (task.type === 'delete') {
-                await this._deleteDictionary(task.dictionaryTitle);
-            } else if (task.type === 'update') {
-                await this._updateDictionary(task.dictionaryTitle, task.downloadUrl);
+            switch (task.type) {
+                case 'delete':
+                    await this._deleteDictionary(task.dictionaryTitle);
+                    break;
+                case 'update':
+                    await this._updateDictionary(task.dictionaryTitle, task.downloadUrl);
+                    break;
+                case 'buildGlossaryIndex':
+                    await this._buildGlossaryIndex(task.dictionaryTitle);
+                    break;
+                case 'compressGlossaries':
+                    await this._compressGlossaries(task.dictionaryTitle);
+                    break;
+                case 'export':
+                    await this._exportDictionary(task.dictionaryTitle);
+                    break;
             }
             void this._dictionaryTaskQueue.shift();
         }
@@ -1359,6 +1496,138 @@ export class DictionaryController {
         }
     }
 
+    /**
+     * @param {string} dictionaryTitle
+     */
+    async _buildGlossaryIndex(dictionaryTitle) {
+        await this._rewriteDictionaryTerms(
+            '.dictionary-glossary-index-progress',
+            'Indexing dictionary definitions...',
+            (onProgress) => new DictionaryWorker().buildGlossaryIndex(dictionaryTitle, onProgress),
+            'index',
+        );
+    }
+
+    /**
+     * @param {string} dictionaryTitle
+     */
+    async _compressGlossaries(dictionaryTitle) {
+        await this._rewriteDictionaryTerms(
+            '.dictionary-glossary-compression-progress',
+            'Compressing dictionary definitions...',
+            (onProgress) => new DictionaryWorker().compressGlossaries(dictionaryTitle, onProgress),
+            'compress',
+        );
+    }
+
+    /**
+     * Runs a task which processes every term of a dictionary, showing its progress.
+     * @param {string} progressSelector
+     * @param {string} infoText
+     * @param {(onProgress: (details: {processed: number, count: number}) => void) => Promise<void>} run
+     * @param {import('backend').DatabaseUpdateCause} cause
+     */
+    async _rewriteDictionaryTerms(progressSelector, infoText, run, cause) {
+        if (this._checkingIntegrity) { return; }
+
+        const statusFooter = this._statusFooter;
+        const progressContainers = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`#dictionaries-modal ${progressSelector}`));
+        const progressBars = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`${progressSelector} .progress-bar`));
+        const infoLabels = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`${progressSelector} .progress-info`));
+        const statusLabels = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`${progressSelector} .progress-status`));
+        const prevention = this._settingsController.preventPageExit();
+        try {
+            this._setButtonsEnabled(false);
+
+            /**
+             * @param {{processed: number, count: number}} details
+             */
+            const onProgress = ({processed, count}) => {
+                const percent = count > 0 ? (processed / count) * 100 : 0;
+                const cssString = `${percent}%`;
+                const statusString = `${percent.toFixed(0)}%`;
+                for (const progressBar of progressBars) { progressBar.style.width = cssString; }
+                for (const label of statusLabels) { label.textContent = statusString; }
+            };
+
+            onProgress({processed: 0, count: 1});
+
+            for (const progress of progressContainers) { progress.hidden = false; }
+            for (const label of infoLabels) { label.textContent = infoText; }
+            if (statusFooter !== null) { statusFooter.setTaskActive(progressSelector, true); }
+
+            await run(onProgress);
+            void this._settingsController.application.api.triggerDatabaseUpdated('dictionary', cause);
+        } catch (e) {
+            log.error(e);
+        } finally {
+            prevention.end();
+            for (const progress of progressContainers) { progress.hidden = true; }
+            if (statusFooter !== null) { statusFooter.setTaskActive(progressSelector, false); }
+            this._setButtonsEnabled(true);
+        }
+    }
+
+    /**
+     * @param {string} dictionaryTitle
+     */
+    async _exportDictionary(dictionaryTitle) {
+        if (this._checkingIntegrity) { return; }
+
+        const statusFooter = this._statusFooter;
+        const progressSelector = '.dictionary-export-progress';
+        const progressContainers = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`#dictionaries-modal ${progressSelector}`));
+        const progressBars = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`${progressSelector} .progress-bar`));
+        const infoLabels = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`${progressSelector} .progress-info`));
+        const statusLabels = /** @type {NodeListOf<HTMLElement>} */ (document.querySelectorAll(`${progressSelector} .progress-status`));
+        const prevention = this._settingsController.preventPageExit();
+        try {
+            this._setButtonsEnabled(false);
+
+            /**
+             * @param {import('dictionary-exporter').ProgressData} details
+             */
+            const onProgress = ({index, count}) => {
+                const percent = count > 0 ? (index / count) * 100 : 0;
+                const cssString = `${percent}%`;
+                const statusString = `${percent.toFixed(0)}%`;
+                for (const progressBar of progressBars) { progressBar.style.width = cssString; }
+                for (const label of statusLabels) { label.textContent = statusString; }
+            };
+
+            onProgress({index: 0, count: 1});
+
+            for (const progress of progressContainers) { progress.hidden = false; }
+            for (const label of infoLabels) { label.textContent = 'Exporting dictionary...'; }
+            if (statusFooter !== null) { statusFooter.setTaskActive(progressSelector, true); }
+
+            const blob = await new DictionaryWorker().exportDictionary(dictionaryTitle, {compressionLevel: 5}, onProgress);
+            this._saveBlob(blob, `${dictionaryTitle.replace(/[\\/:*?"<>|]/g, '_')}.zip`);
+        } catch (e) {
+            log.error(e);
+        } finally {
+            prevention.end();
+            for (const progress of progressContainers) { progress.hidden = true; }
+            if (statusFooter !== null) { statusFooter.setTaskActive(progressSelector, false); }
+            this._setButtonsEnabled(true);
+        }
+    }
+
+    /**
+     * @param {Blob} blob
+     * @param {string} fileName
+     */
+    _saveBlob(blob, fileName) {
+        const blobUrl = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = blobUrl;
+        a.download = fileName;
+        a.rel = 'noopener';
+        a.target = '_blank';
+        a.dispatchEvent(new MouseEvent('click'));
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+    }
+
     /**
      * @param {string} dictionaryTitle
      * @param {string|undefined} downloadUrl
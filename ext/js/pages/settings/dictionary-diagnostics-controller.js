@@ -0,0 +1,225 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {log} from '../../core/log.js';
+import {querySelectorNotNull} from '../../dom/query-selector.js';
+import {DictionaryWorker} from '../../dictionary/dictionary-worker.js';
+
+/** @type {Record<import('dictionary-integrity-checker').DictionaryObjectStoreName, string>} */
+const OBJECT_STORE_LABELS = {
+    terms: 'terms',
+    termMeta: 'term meta entries',
+    kanji: 'kanji',
+    kanjiMeta: 'kanji meta entries',
+    tagMeta: 'tags',
+    media: 'media files',
+    glossaryIndex: 'glossary index entries',
+};
+
+const MISSING_MEDIA_DISPLAY_LIMIT = 5;
+
+export class DictionaryDiagnosticsController {
+    /**
+     * @param {import('./settings-controller.js').SettingsController} settingsController
+     * @param {import('./modal-controller.js').ModalController} modalController
+     */
+    constructor(settingsController, modalController) {
+        /** @type {import('./settings-controller.js').SettingsController} */
+        this._settingsController = settingsController;
+        /** @type {import('./modal-controller.js').ModalController} */
+        this._modalController = modalController;
+        /** @type {?import('./modal.js').Modal} */
+        this._modal = null;
+        /** @type {HTMLButtonElement} */
+        this._diagnosticsButton = querySelectorNotNull(document, '#dictionary-diagnostics-button');
+        /** @type {HTMLButtonElement} */
+        this._scanButton = querySelectorNotNull(document, '#dictionary-diagnostics-scan-button');
+        /** @type {HTMLButtonElement} */
+        this._repairButton = querySelectorNotNull(document, '#dictionary-diagnostics-repair-button');
+        /** @type {HTMLElement} */
+        this._status = querySelectorNotNull(document, '#dictionary-diagnostics-modal .dictionary-diagnostics-status');
+        /** @type {HTMLElement} */
+        this._issueList = querySelectorNotNull(document, '#dictionary-diagnostics-modal .dictionary-diagnostics-issues');
+        /** @type {HTMLElement} */
+        this._progress = querySelectorNotNull(document, '#dictionary-diagnostics-modal .dictionary-diagnostics-progress');
+        /** @type {boolean} */
+        this._running = false;
+    }
+
+    /** */
+    prepare() {
+        this._modal = this._modalController.getModal('dictionary-diagnostics');
+        this._diagnosticsButton.addEventListener('click', this._onDiagnosticsButtonClick.bind(this), false);
+        this._scanButton.addEventListener('click', this._onScanButtonClick.bind(this), false);
+        this._repairButton.addEventListener('click', this._onRepairButtonClick.bind(this), false);
+    }
+
+    // Private
+
+    /** */
+    _onDiagnosticsButtonClick() {
+        if (this._modal === null) { return; }
+        this._modal.setVisible(true);
+        void this._scan();
+    }
+
+    /** */
+    _onScanButtonClick() {
+        void this._scan();
+    }
+
+    /** */
+    _onRepairButtonClick() {
+        void this._repair();
+    }
+
+    /** */
+    async _scan() {
+        await this._run('Scanning dictionary database...', async (onProgress) => {
+            const report = await new DictionaryWorker().checkDictionaryIntegrity(onProgress);
+            const issueCount = this._setIssues(report);
+            this._status.textContent = issueCount > 0 ? `${issueCount} problem${issueCount === 1 ? '' : 's'} found.` : 'No problems found.';
+        });
+    }
+
+    /** */
+    async _repair() {
+        await this._run('Repairing dictionary database...', async (onProgress) => {
+            const {repaired, remaining} = await new DictionaryWorker().repairDictionaryIntegrity(onProgress);
+            const repairedCount = this._getIssues(repaired).filter(({repairable}) => repairable).length;
+            const remainingCount = this._setIssues(remaining);
+            this._status.textContent = `${repairedCount} problem${repairedCount === 1 ? '' : 's'} repaired.` + (remainingCount > 0 ? ` ${remainingCount} remaining.` : '');
+            await this._settingsController.application.api.triggerDatabaseUpdated('dictionary', 'delete');
+        });
+    }
+
+    /**
+     * @param {string} label
+     * @param {(onProgress: import('dictionary-worker').IntegrityProgressCallback) => Promise<void>} task
+     */
+    async _run(label, task) {
+        if (this._running) { return; }
+
+        /** @type {HTMLElement} */
+        const progressBar = querySelectorNotNull(this._progress, '.progress-bar');
+        /** @type {HTMLElement} */
+        const infoLabel = querySelectorNotNull(this._progress, '.progress-info');
+        /** @type {HTMLElement} */
+        const statusLabel = querySelectorNotNull(this._progress, '.progress-status');
+        const prevention = this._settingsController.preventPageExit();
+        try {
+            this._running = true;
+            this._setButtonsEnabled(false);
+            this._repairButton.hidden = true;
+            this._status.textContent = '';
+            this._issueList.textContent = '';
+
+            /** @type {import('dictionary-worker').IntegrityProgressCallback} */
+            const onProgress = ({index, count}) => {
+                const percent = count > 0 ? (index / count) * 100 : 0;
+                progressBar.style.width = `${percent}%`;
+                statusLabel.textContent = `${percent.toFixed(0)}%`;
+            };
+            onProgress({index: 0, count: 1});
+            infoLabel.textContent = label;
+            this._progress.hidden = false;
+
+            await task(onProgress);
+        } catch (e) {
+            log.error(e);
+            this._status.textContent = `An error occurred: ${e instanceof Error ? e.message : `${e}`}`;
+        } finally {
+            prevention.end();
+            this._progress.hidden = true;
+            this._setButtonsEnabled(true);
+            this._running = false;
+        }
+    }
+
+    /**
+     * Lists the issues of a report, and shows the repair button if any of them can be repaired.
+     * @param {import('dictionary-integrity-checker').IntegrityReport} report
+     * @returns {number}
+     */
+    _setIssues(report) {
+        const issues = this._getIssues(report);
+        const fragment = document.createDocumentFragment();
+        for (const {text} of issues) {
+            const item = document.createElement('li');
+            item.textContent = text;
+            fragment.appendChild(item);
+        }
+        this._issueList.textContent = '';
+        this._issueList.appendChild(fragment);
+        this._repairButton.hidden = !issues.some(({repairable}) => repairable);
+        return issues.length;
+    }
+
+    /**
+     * @param {import('dictionary-integrity-checker').IntegrityReport} report
+     * @returns {{text: string, repairable: boolean}[]}
+     */
+    _getIssues({dictionaries, orphanDictionaries, unownedRows}) {
+        /** @type {{text: string, repairable: boolean}[]} */
+        const issues = [];
+        for (const {title, countMismatches, duplicateRows, missingMedia} of dictionaries) {
+            for (const {objectStoreName, expected, actual} of countMismatches) {
+                issues.push({text: `${title}: the details list ${expected} ${OBJECT_STORE_LABELS[objectStoreName]}, but the database contains ${actual}.`, repairable: true});
+            }
+            for (const [objectStoreName, count] of this._getRowCountEntries(duplicateRows)) {
+                issues.push({text: `${title}: ${count} duplicate ${OBJECT_STORE_LABELS[objectStoreName]}.`, repairable: true});
+            }
+            if (missingMedia.length > 0) {
+                const paths = missingMedia.slice(0, MISSING_MEDIA_DISPLAY_LIMIT).join(', ') + (missingMedia.length > MISSING_MEDIA_DISPLAY_LIMIT ? ', ...' : '');
+                issues.push({text: `${title}: ${missingMedia.length} media file${missingMedia.length === 1 ? ' is' : 's are'} missing (${paths}). Import the dictionary again to restore them.`, repairable: false});
+            }
+        }
+        for (const {dictionary, rowCounts} of orphanDictionaries) {
+            const counts = this._getRowCountEntries(rowCounts).map(([objectStoreName, count]) => `${count} ${OBJECT_STORE_LABELS[objectStoreName]}`);
+            issues.push({text: `Data of the deleted dictionary ${dictionary}: ${counts.join(', ')}.`, repairable: true});
+        }
+        for (const [objectStoreName, count] of this._getRowCountEntries(unownedRows)) {
+            issues.push({text: `${count} ${OBJECT_STORE_LABELS[objectStoreName]} belong to no dictionary.`, repairable: true});
+        }
+        return issues;
+    }
+
+    /**
+     * @param {import('dictionary-integrity-checker').RowCounts} rowCounts
+     * @returns {[objectStoreName: import('dictionary-integrity-checker').DictionaryObjectStoreName, count: number][]}
+     */
+    _getRowCountEntries(rowCounts) {
+        /** @type {[objectStoreName: import('dictionary-integrity-checker').DictionaryObjectStoreName, count: number][]} */
+        const entries = [];
+        for (const objectStoreName of /** @type {import('dictionary-integrity-checker').DictionaryObjectStoreName[]} */ (Object.keys(OBJECT_STORE_LABELS))) {
+            const count = rowCounts[objectStoreName];
+            if (typeof count === 'number' && count > 0) { entries.push([objectStoreName, count]); }
+        }
+        return entries;
+    }
+
+    /**
+     * @param {boolean} value
+     */
+    _setButtonsEnabled(value) {
+        value = !value;
+        for (const node of /** @type {NodeListOf<HTMLInputElement>} */ (document.querySelectorAll('.dictionary-database-mutating-input'))) {
+            node.disabled = value;
+        }
+    }
+}
@@ -21,6 +21,7 @@ import {readResponseJson} from '../../core/json.js';
 import {log} from '../../core/log.js';
 import {toError} from '../../core/to-error.js';
 import {getKebabCase} from '../../data/anki-template-util.js';
+import {groupDictionaryFiles, isDictionaryFileName} from '../../dictionary/dictionary-format-converter.js';
 import {DictionaryWorker} from '../../dictionary/dictionary-worker.js';
 import {querySelectorNotNull} from '../../dom/query-selector.js';
 import {DictionaryController} from './dictionary-controller.js';
@@ -271,7 +272,7 @@ export class DictionaryImportController {
         if (!e.dataTransfer) { return; }
         for (const item of e.dataTransfer.items) {
             // Directories and files with no extension both show as ''
-            if (item.type === '' || item.type === 'application/zip') {
+            if (item.type === '' || item.type === 'application/zip' || item.type === 'text/csv' || item.type === 'text/tab-separated-values') {
                 this._importFileDrop.classList.add('drag-over');
                 break;
             }
@@ -311,9 +312,10 @@ export class DictionaryImportController {
                 log.error(error);
             }
         }
-        const importProgressTracker = new ImportProgressTracker(this._getFileImportSteps(), fileArray.length);
+        const fileGroups = groupDictionaryFiles(fileArray);
+        const importProgressTracker = new ImportProgressTracker(this._getFileImportSteps(), fileGroups.length);
         void this._importDictionaries(
-            this._arrayToAsyncGenerator(fileArray),
+            this._arrayToAsyncGenerator(fileGroups),
             null,
             null,
             importProgressTracker,
@@ -341,7 +343,7 @@ export class DictionaryImportController {
             const entry = entries.shift();
             if (!entry) { continue; }
             if (entry.isFile) {
-                if (entry.name.substring(entry.name.lastIndexOf('.'), entry.name.length) === '.zip') {
+                if (isDictionaryFileName(entry.name)) {
                     // @ts-expect-error - ts does not recognize `if (entry.isFile)` as verifying `entry` is type `FileSystemFileEntry` and instanceof does not work
                     fileEntries.push(entry);
                 }
@@ -417,13 +419,13 @@ export class DictionaryImportController {
         const node = /** @type {HTMLInputElement} */ (e.currentTarget);
         const {files} = node;
         if (files === null) { return; }
-        const files2 = [...files];
+        const fileGroups = groupDictionaryFiles([...files]);
         node.value = '';
         void this._importDictionaries(
-            this._arrayToAsyncGenerator(files2),
+            this._arrayToAsyncGenerator(fileGroups),
             null,
             null,
-            new ImportProgressTracker(this._getFileImportSteps(), files2.length),
+            new ImportProgressTracker(this._getFileImportSteps(), fileGroups.length),
         );
     }
 
@@ -455,8 +457,8 @@ export class DictionaryImportController {
     /**
      * @param {string[]} urls
      * @param {import('dictionary-worker').ImportProgressCallback} onProgress
-     * @yields {Promise<File>}
-     * @returns {AsyncGenerator<File, void, void>}
+     * @yields {Promise<File[]>}
+     * @returns {AsyncGenerator<File[], void, void>}
      */
     async *_generateFilesFromUrls(urls, onProgress) {
         for (const url of urls) {
@@ -495,7 +497,7 @@ export class DictionaryImportController {
                 xhr.send();
 
                 const file = await blobPromise;
-                yield file;
+                yield [file];
             } catch (error) {
                 log.error(error);
             }
@@ -528,7 +530,7 @@ export class DictionaryImportController {
     }
 
     /**
-     * @param {AsyncGenerator<File, void, void>} dictionaries
+     * @param {AsyncGenerator<File[], void, void>} dictionaries
      * @param {import('settings-controller').ProfilesDictionarySettings} profilesDictionarySettings
      * @param {import('settings-controller').ImportDictionaryDoneCallback} onImportDone
      * @param {ImportProgressTracker} importProgressTracker
@@ -556,21 +558,23 @@ export class DictionaryImportController {
             const optionsFull = await this._settingsController.getOptionsFull();
             const importDetails = {
                 prefixWildcardsSupported: optionsFull.global.database.prefixWildcardsSupported,
+                glossaryIndexEnabled: optionsFull.global.database.glossaryIndexEnabled,
+                glossaryCompressionEnabled: optionsFull.global.database.glossaryCompressionEnabled,
                 yomitanVersion: chrome.runtime.getManifest().version,
             };
 
             for (let i = 0; i < importProgressTracker.dictionaryCount; ++i) {
                 importProgressTracker.onNextDictionary();
                 if (statusFooter !== null) { statusFooter.setTaskActive(progressSelector, true); }
-                const file = (await dictionaries.next()).value;
-                if (!file || !(file instanceof File)) {
+                const files = (await dictionaries.next()).value;
+                if (!Array.isArray(files) || files.length === 0 || !files.every((file) => file instanceof File)) {
                     errors.push(new Error(`Failed to read file ${i + 1} of ${importProgressTracker.dictionaryCount}.`));
                     continue;
                 }
                 errors = [
                     ...errors,
-                    ...(await this._importDictionaryFromZip(
-                        file,
+                    ...(await this._importDictionaryFromFiles(
+                        files,
                         profilesDictionarySettings,
                         importDetails,
                         onProgress,
@@ -627,15 +631,19 @@ export class DictionaryImportController {
     }
 
     /**
-     * @param {File} file
+     * @param {File[]} files The files of a single dictionary, which is either a Yomitan archive or a format which is converted on import.
      * @param {import('settings-controller').ProfilesDictionarySettings} profilesDictionarySettings
      * @param {import('dictionary-importer').ImportDetails} importDetails
      * @param {import('dictionary-worker').ImportProgressCallback} onProgress
      * @returns {Promise<Error[] | undefined>}
      */
-    async _importDictionaryFromZip(file, profilesDictionarySettings, importDetails, onProgress) {
-        const archiveContent = await this._readFile(file);
-        const {result, errors} = await new DictionaryWorker().importDictionary(archiveContent, importDetails, onProgress);
+    async _importDictionaryFromFiles(files, profilesDictionarySettings, importDetails, onProgress) {
+        /** @type {import('dictionary-format-converter').SourceFile[]} */
+        const sourceFiles = [];
+        for (const file of files) {
+            sourceFiles.push({name: file.name, content: await this._readFile(file)});
+        }
+        const {result, errors} = await new DictionaryWorker().importDictionaryFiles(sourceFiles, importDetails, onProgress);
         if (!result) {
             return errors;
         }
@@ -695,6 +703,8 @@ export class DictionaryImportController {
         const profileCount = optionsFull.profiles.length;
         for (let i = 0; i < profileCount; ++i) {
             const {options, id: profileId} = optionsFull.profiles[i];
+            // A resumed import already has the settings added by the attempt that was interrupted
+            if (options.dictionaries.some(({name}) => name === title)) { continue; }
             const enabled = profileIndex === i;
             const defaultSettings = DictionaryController.createDefaultDictionarySettings(title, enabled, styles);
             const path1 = `profiles[${i}].options.dictionaries`;
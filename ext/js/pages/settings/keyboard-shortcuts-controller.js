@@ -70,6 +70,8 @@ export class KeyboardShortcutController {
             ['scanTextAtSelection',              {scopes: new Set(['web'])}],
             ['scanTextAtCaret',                  {scopes: new Set(['web'])}],
             ['toggleOption',                     {scopes: new Set(['popup', 'search']), argument: {template: 'hotkey-argument-setting-path', default: ''}}],
+            ['sottakuReviewReveal',              {scopes: new Set(['search'])}],
+            ['sottakuReviewGrade',               {scopes: new Set(['search']), argument: {template: 'hotkey-argument-sottaku-review-grade', default: '3'}}],
         ]);
         /* eslint-enable @stylistic/no-multi-spaces */
     }
@@ -0,0 +1,80 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {toError} from '../../core/to-error.js';
+import {querySelectorNotNull} from '../../dom/query-selector.js';
+
+export class LookupHistoryController {
+    /**
+     * @param {import('./settings-controller.js').SettingsController} settingsController
+     * @param {import('./modal-controller.js').ModalController} modalController
+     */
+    constructor(settingsController, modalController) {
+        /** @type {import('./settings-controller.js').SettingsController} */
+        this._settingsController = settingsController;
+        /** @type {import('./modal-controller.js').ModalController} */
+        this._modalController = modalController;
+        /** @type {?import('./modal.js').Modal} */
+        this._clearModal = null;
+        /** @type {HTMLElement} */
+        this._infoNode = querySelectorNotNull(document, '#lookup-history-info');
+        /** @type {HTMLButtonElement} */
+        this._clearButton = querySelectorNotNull(document, '#lookup-history-clear-button');
+        /** @type {HTMLButtonElement} */
+        this._confirmClearButton = querySelectorNotNull(document, '#lookup-history-confirm-clear-button');
+    }
+
+    /** */
+    async prepare() {
+        this._clearModal = this._modalController.getModal('lookup-history-confirm-clear');
+        this._clearButton.addEventListener('click', this._onClearButtonClick.bind(this), false);
+        this._confirmClearButton.addEventListener('click', this._onConfirmClearButtonClick.bind(this), false);
+        await this._updateCount();
+    }
+
+    // Private
+
+    /** */
+    _onClearButtonClick() {
+        if (this._clearModal === null) { return; }
+        this._clearModal.setVisible(true);
+    }
+
+    /** */
+    async _onConfirmClearButtonClick() {
+        try {
+            await this._settingsController.application.api.clearHistory();
+        } catch (e) {
+            this._infoNode.textContent = toError(e).message;
+            return;
+        }
+        await this._updateCount();
+    }
+
+    /** */
+    async _updateCount() {
+        let count;
+        try {
+            count = await this._settingsController.application.api.getHistoryRecordCount();
+        } catch (e) {
+            this._infoNode.textContent = toError(e).message;
+            return;
+        }
+        this._clearButton.disabled = count === 0;
+        this._infoNode.textContent = count === 0 ? 'No lookups have been recorded.' : `${count} lookup${count === 1 ? '' : 's'} recorded.`;
+    }
+}
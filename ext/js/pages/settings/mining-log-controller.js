@@ -0,0 +1,127 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {toError} from '../../core/to-error.js';
+import {MiningLogExporter} from '../../data/mining-log-exporter.js';
+import {querySelectorNotNull} from '../../dom/query-selector.js';
+
+export class MiningLogController {
+    /**
+     * @param {import('./settings-controller.js').SettingsController} settingsController
+     * @param {import('./modal-controller.js').ModalController} modalController
+     */
+    constructor(settingsController, modalController) {
+        /** @type {import('./settings-controller.js').SettingsController} */
+        this._settingsController = settingsController;
+        /** @type {import('./modal-controller.js').ModalController} */
+        this._modalController = modalController;
+        /** @type {?import('./modal.js').Modal} */
+        this._clearModal = null;
+        /** @type {HTMLElement} */
+        this._countNode = querySelectorNotNull(document, '#mining-log-count');
+        /** @type {HTMLElement} */
+        this._infoNode = querySelectorNotNull(document, '#mining-log-info');
+        /** @type {HTMLSelectElement} */
+        this._formatSelect = querySelectorNotNull(document, '#mining-log-export-format');
+        /** @type {HTMLButtonElement} */
+        this._exportButton = querySelectorNotNull(document, '#mining-log-export-button');
+        /** @type {HTMLButtonElement} */
+        this._clearButton = querySelectorNotNull(document, '#mining-log-clear-button');
+        /** @type {HTMLButtonElement} */
+        this._confirmClearButton = querySelectorNotNull(document, '#mining-log-confirm-clear-button');
+    }
+
+    /** */
+    async prepare() {
+        this._clearModal = this._modalController.getModal('mining-log-confirm-clear');
+        this._exportButton.addEventListener('click', this._onExportButtonClick.bind(this), false);
+        this._clearButton.addEventListener('click', this._onClearButtonClick.bind(this), false);
+        this._confirmClearButton.addEventListener('click', this._onConfirmClearButtonClick.bind(this), false);
+        await this._updateCount();
+    }
+
+    // Private
+
+    /** */
+    async _onExportButtonClick() {
+        const format = /** @type {import('mining-log').ExportFormat} */ (this._formatSelect.value);
+        this._exportButton.disabled = true;
+        const prevention = this._settingsController.preventPageExit();
+        try {
+            this._infoNode.textContent = 'Exporting...';
+            const entries = await this._settingsController.application.api.getMiningLog();
+            const exporter = new MiningLogExporter();
+            const blob = format === 'text' ? await exporter.exportText(entries) : await exporter.exportPackage(entries);
+            const date = new Date().toISOString().slice(0, 10);
+            this._saveBlob(blob, `yomitan-mining-log-${date}.${format === 'text' ? 'zip' : 'apkg'}`);
+            await this._updateCount();
+        } catch (e) {
+            this._infoNode.textContent = toError(e).message;
+        } finally {
+            prevention.end();
+            this._exportButton.disabled = false;
+        }
+    }
+
+    /** */
+    _onClearButtonClick() {
+        if (this._clearModal === null) { return; }
+        this._clearModal.setVisible(true);
+    }
+
+    /** */
+    async _onConfirmClearButtonClick() {
+        try {
+            await this._settingsController.application.api.clearMiningLog();
+        } catch (e) {
+            this._infoNode.textContent = toError(e).message;
+            return;
+        }
+        await this._updateCount();
+    }
+
+    /** */
+    async _updateCount() {
+        let count;
+        try {
+            count = await this._settingsController.application.api.getMiningLogCount();
+        } catch (e) {
+            this._infoNode.textContent = toError(e).message;
+            return;
+        }
+        this._countNode.textContent = `${count}`;
+        this._countNode.hidden = count === 0;
+        this._exportButton.disabled = count === 0;
+        this._clearButton.disabled = count === 0;
+        this._infoNode.textContent = count === 0 ? 'No notes have been recorded.' : `${count} note${count === 1 ? '' : 's'} recorded.`;
+    }
+
+    /**
+     * @param {Blob} blob
+     * @param {string} fileName
+     */
+    _saveBlob(blob, fileName) {
+        const blobUrl = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = blobUrl;
+        a.download = fileName;
+        a.rel = 'noopener';
+        a.target = '_blank';
+        a.dispatchEvent(new MouseEvent('click'));
+        setTimeout(() => URL.revokeObjectURL(blobUrl), 60000);
+    }
+}
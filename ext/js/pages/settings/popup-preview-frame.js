@@ -65,6 +65,8 @@ export class PopupPreviewFrame {
         this._themeController = new ThemeController(document.documentElement);
         /** @type {boolean} */
         this._isSottakuLinked = false;
+        /** @type {import('sottaku-credentials').Credentials} */
+        this._sottakuCredentials = {authToken: '', user: null};
         /** @type {?HTMLElement} */
         this._debugNode = document.getElementById('popup-preview-debug');
 
@@ -98,6 +100,8 @@ export class PopupPreviewFrame {
         this._application.api.optionsGet = this._apiOptionsGet.bind(this);
 
         this._languageSummaries = await this._application.api.getLanguageSummaries();
+        this._application.on('sottakuCredentialsUpdated', this._onSottakuCredentialsUpdated.bind(this));
+        this._sottakuCredentials = await this._application.api.getSottakuCredentials();
         const options = await this._application.api.optionsGet({current: true});
         this._updateSottakuLinkedFlag(options);
         this._applyFrontendEnabledState();
@@ -349,17 +353,22 @@ export class PopupPreviewFrame {
         this._themeController.updateTheme();
     }
 
+    /** */
+    _onSottakuCredentialsUpdated() {
+        void this._refreshSottakuLinked();
+    }
+
     /**
      * @param {import('settings').ProfileOptions} options
      */
     _updateSottakuLinkedFlag(options) {
-        const sottaku = options?.sottaku;
+        const {authToken, user} = this._sottakuCredentials;
         this._isSottakuLinked = Boolean(
-            sottaku?.enabled &&
-            (sottaku.authToken || sottaku.user),
+            options?.sottaku?.enabled &&
+            (authToken || user),
         );
-        const hasUser = isObjectNotArray(sottaku?.user);
-        const hasToken = typeof sottaku?.authToken === 'string' && sottaku.authToken.length > 0;
+        const hasUser = isObjectNotArray(user);
+        const hasToken = authToken.length > 0;
         this._updateDebugStatus({
             linked: this._isSottakuLinked,
             hasToken,
@@ -372,6 +381,7 @@ export class PopupPreviewFrame {
      * @param {?import('settings').OptionsContext} [optionsContext]
      */
     async _refreshSottakuLinked(optionsContext = this._optionsContext ?? {current: true}) {
+        this._sottakuCredentials = await this._application.api.getSottakuCredentials();
         const options = await this._application.api.optionsGet(optionsContext);
         this._updateSottakuLinkedFlag(options);
     }
@@ -194,6 +194,18 @@ export class SettingsController extends EventDispatcher {
         return await this._application.api.getDictionaryInfo();
     }
 
+    /**
+     * Returns the installed dictionaries followed by the remote dictionaries, which have no data in the dictionary database.
+     * @returns {Promise<import('dictionary-importer').Summary[]>}
+     */
+    async getAllDictionaryInfo() {
+        const [dictionaryInfo, remoteDictionaryInfo] = await Promise.all([
+            this._application.api.getDictionaryInfo(),
+            this._application.api.getRemoteDictionaryInfo(),
+        ]);
+        return [...dictionaryInfo, ...remoteDictionaryInfo];
+    }
+
     /**
      * @returns {import('settings').OptionsContext}
      */
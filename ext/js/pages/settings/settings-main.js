@@ -22,17 +22,21 @@ import {querySelectorNotNull} from '../../dom/query-selector.js';
 import {ExtensionContentController} from '../common/extension-content-controller.js';
 import {AnkiController} from './anki-controller.js';
 import {AnkiDeckGeneratorController} from './anki-deck-generator-controller.js';
+import {AnkiNoteQueueController} from './anki-note-queue-controller.js';
 import {AnkiTemplatesController} from './anki-templates-controller.js';
 import {AudioController} from './audio-controller.js';
 import {BackupController} from './backup-controller.js';
 import {CollapsibleDictionaryController} from './collapsible-dictionary-controller.js';
 import {DictionaryController} from './dictionary-controller.js';
+import {DictionaryDiagnosticsController} from './dictionary-diagnostics-controller.js';
 import {DictionaryImportController} from './dictionary-import-controller.js';
 import {ExtensionKeyboardShortcutController} from './extension-keyboard-shortcuts-controller.js';
 import {GenericSettingController} from './generic-setting-controller.js';
 import {KeyboardShortcutController} from './keyboard-shortcuts-controller.js';
 import {LanguagesController} from './languages-controller.js';
+import {LookupHistoryController} from './lookup-history-controller.js';
 import {MecabController} from './mecab-controller.js';
+import {MiningLogController} from './mining-log-controller.js';
 import {ModalController} from './modal-controller.js';
 import {NestedPopupsController} from './nested-popups-controller.js';
 import {PermissionsToggleController} from './permissions-toggle-controller.js';
@@ -118,6 +122,9 @@ await Application.main(true, async (application) => {
     const dictionaryImportController = new DictionaryImportController(settingsController, modalController, statusFooter);
     dictionaryImportController.prepare();
 
+    const dictionaryDiagnosticsController = new DictionaryDiagnosticsController(settingsController, modalController);
+    dictionaryDiagnosticsController.prepare();
+
     const genericSettingController = new GenericSettingController(settingsController);
     preparePromises.push(setupGenericSettingController(genericSettingController));
 
@@ -127,6 +134,15 @@ await Application.main(true, async (application) => {
     const audioController = new AudioController(settingsController, modalController);
     preparePromises.push(audioController.prepare());
 
+    const ankiNoteQueueController = new AnkiNoteQueueController(settingsController, modalController);
+    preparePromises.push(ankiNoteQueueController.prepare());
+
+    const miningLogController = new MiningLogController(settingsController, modalController);
+    preparePromises.push(miningLogController.prepare());
+
+    const lookupHistoryController = new LookupHistoryController(settingsController, modalController);
+    preparePromises.push(lookupHistoryController.prepare());
+
     const profileController = new ProfileController(settingsController, modalController);
     preparePromises.push(profileController.prepare());
 
@@ -2,11 +2,12 @@
  * Controller for Sottaku account and API settings.
  */
 
+import {EventListenerCollection} from '../../core/event-listener-collection.js';
 import {isObjectNotArray} from '../../core/object-utilities.js';
 import {toError} from '../../core/to-error.js';
 import {SottakuClient} from '../../comm/sottaku-client.js';
 import {querySelectorNotNull} from '../../dom/query-selector.js';
-import {getSottakuLanguageFlag, getSottakuLanguageName, normalizeSottakuLanguages, SOTTAKU_SUPPORTED_LANGUAGES} from '../../language/sottaku-languages.js';
+import {normalizeSottakuLanguages, parseSottakuLanguageCapabilities, SottakuLanguageCapabilities} from '../../language/sottaku-languages.js';
 
 export class SottakuController {
     /**
@@ -16,9 +17,11 @@ export class SottakuController {
         /** @type {import('./settings-controller.js').SettingsController} */
         this._settingsController = settingsController;
         /** @type {SottakuClient} */
-        this._client = new SottakuClient();
+        this._client = new SottakuClient({renewSession: false});
         /** @type {?import('settings').ProfileOptions} */
         this._options = null;
+        /** @type {import('sottaku-credentials').Credentials} */
+        this._credentials = {authToken: '', user: null};
         /** @type {boolean} */
         this._busy = false;
         /** @type {boolean} */
@@ -27,8 +30,10 @@ export class SottakuController {
         this._skipAutoSync = false;
         /** @type {string[]} */
         this._preferredLanguages = [];
-        /** @type {string[]} */
-        this._supportedLanguages = [...SOTTAKU_SUPPORTED_LANGUAGES];
+        /** @type {SottakuLanguageCapabilities} */
+        this._languageCapabilities = new SottakuLanguageCapabilities();
+        /** @type {string} */
+        this._languageCapabilitiesKey = '';
 
         /** @type {HTMLElement} */
         this._statusNode = querySelectorNotNull(document, '#sottaku-connection-status');
@@ -48,26 +53,54 @@ export class SottakuController {
         this._authForm = querySelectorNotNull(document, '#sottaku-auth-form');
         /** @type {HTMLElement} */
         this._linkedActions = querySelectorNotNull(document, '#sottaku-linked-actions');
+        /** @type {HTMLSelectElement} */
+        this._languageModeSelect = querySelectorNotNull(document, '#sottaku-language-mode');
         /** @type {HTMLElement} */
         this._languageList = querySelectorNotNull(document, '#sottaku-language-list');
         /** @type {HTMLSelectElement} */
         this._languageAddSelect = querySelectorNotNull(document, '#sottaku-language-add-select');
         /** @type {HTMLButtonElement} */
         this._languageAddButton = querySelectorNotNull(document, '#sottaku-language-add-button');
+        /** @type {HTMLElement} */
+        this._cacheInfoNode = querySelectorNotNull(document, '#sottaku-cache-info');
+        /** @type {HTMLButtonElement} */
+        this._cacheRefreshButton = querySelectorNotNull(document, '#sottaku-cache-refresh-button');
+        /** @type {HTMLButtonElement} */
+        this._cacheClearButton = querySelectorNotNull(document, '#sottaku-cache-clear-button');
+        /** @type {HTMLElement} */
+        this._outboxCountNode = querySelectorNotNull(document, '#sottaku-outbox-count');
+        /** @type {HTMLElement} */
+        this._outboxInfoNode = querySelectorNotNull(document, '#sottaku-outbox-info');
+        /** @type {HTMLElement} */
+        this._outboxList = querySelectorNotNull(document, '#sottaku-outbox-list');
+        /** @type {HTMLButtonElement} */
+        this._outboxRefreshButton = querySelectorNotNull(document, '#sottaku-outbox-refresh-button');
+        /** @type {HTMLButtonElement} */
+        this._outboxFlushButton = querySelectorNotNull(document, '#sottaku-outbox-flush-button');
+        /** @type {EventListenerCollection} */
+        this._outboxEntryEventListeners = new EventListenerCollection();
     }
 
     /** */
     async prepare() {
         this._settingsController.on('optionsChanged', this._onOptionsChanged.bind(this));
+        this._settingsController.application.on('sottakuCredentialsUpdated', this._onSottakuCredentialsUpdated.bind(this));
         this._loginButton.addEventListener('click', this._onLoginClick.bind(this), false);
         this._googleButton.addEventListener('click', this._onGoogleClick.bind(this), false);
         this._syncCookieButton.addEventListener('click', this._onSyncCookieClick.bind(this), false);
         this._logoutButton.addEventListener('click', this._onLogoutClick.bind(this), false);
         this._languageAddButton.addEventListener('click', this._onLanguageAdd.bind(this), false);
+        this._cacheRefreshButton.addEventListener('click', this._onCacheRefreshClick.bind(this), false);
+        this._cacheClearButton.addEventListener('click', this._onCacheClearClick.bind(this), false);
+        this._outboxRefreshButton.addEventListener('click', this._onOutboxRefreshClick.bind(this), false);
+        this._outboxFlushButton.addEventListener('click', this._onOutboxFlushClick.bind(this), false);
+        void this._updateCacheInfo();
+        void this._updateOutbox();
         this._skipAutoSync = await this._loadSkipAutoSync();
+        this._credentials = await this._settingsController.application.api.getSottakuCredentials();
         const options = await this._settingsController.getOptions();
         this._onOptionsChanged({options, optionsContext: this._settingsController.getOptionsContext()});
-        if (!options.sottaku.authToken && !this._skipAutoSync) {
+        if (!this._credentials.authToken && !this._skipAutoSync) {
             void this._syncFromBrowserSession(true);
         }
     }
@@ -82,7 +115,7 @@ export class SottakuController {
         this._preferredLanguages = normalizeSottakuLanguages(
             options.sottaku.preferredLanguages,
             options.general.language,
-            this._supportedLanguages,
+            this._languageCapabilities.languages,
         );
         if (!options.sottaku.enabled) {
             void this._settingsController.modifySettings([
@@ -91,15 +124,25 @@ export class SottakuController {
         }
         this._client.setConfig({
             apiBaseUrl: options.sottaku.apiBaseUrl,
-            authToken: options.sottaku.authToken,
+            authToken: this._credentials.authToken,
             cookieDomain: options.sottaku.cookieDomain,
         });
         this._updateStatus();
         void this._ensureUserDetails();
+        this._renderLanguageModeOptions();
         this._renderLanguageList();
         void this._loadSupportedLanguages();
     }
 
+    /** */
+    async _onSottakuCredentialsUpdated() {
+        this._credentials = await this._settingsController.application.api.getSottakuCredentials();
+        this._client.setConfig({authToken: this._credentials.authToken});
+        this._updateStatus();
+        void this._ensureUserDetails();
+        void this._loadSupportedLanguages();
+    }
+
     /** */
     async _onLoginClick(e) {
         e.preventDefault();
@@ -144,13 +187,10 @@ export class SottakuController {
         if (this._busy) { return; }
         try {
             this._busy = true;
-            await this._settingsController.modifySettings([
-                {action: 'set', scope: 'profile', path: 'sottaku.authToken', value: ''},
-                {action: 'set', scope: 'profile', path: 'sottaku.user', value: null},
-            ]);
+            await this._setCredentials({authToken: '', user: null});
             await this._setSkipAutoSync(true);
             this._client.setConfig({authToken: ''});
-            this._updateStatus({authToken: '', user: null, enabled: false});
+            this._updateStatus();
             await this._settingsController.refresh();
             this._setStatus('Signed out of Sottaku', false);
         } catch (e2) {
@@ -160,40 +200,223 @@ export class SottakuController {
         }
     }
 
+    /** */
+    _onCacheRefreshClick() {
+        void this._updateCacheInfo();
+    }
+
+    /** */
+    async _onCacheClearClick() {
+        this._cacheClearButton.disabled = true;
+        try {
+            await this._settingsController.application.api.clearSottakuCache();
+        } catch (e) {
+            this._cacheInfoNode.textContent = toError(e).message;
+            return;
+        } finally {
+            this._cacheClearButton.disabled = false;
+        }
+        await this._updateCacheInfo();
+    }
+
+    /** */
+    async _updateCacheInfo() {
+        try {
+            const {count, size, counts, oldestTimestamp} = await this._settingsController.application.api.getSottakuCacheInfo();
+            if (count === 0) {
+                this._cacheInfoNode.textContent = 'The cache is empty.';
+                return;
+            }
+            const parts = [
+                `${count} result${count === 1 ? '' : 's'} (${this._bytesToLabeledString(size)})`,
+                `${counts.scan} lookup${counts.scan === 1 ? '' : 's'}, ${counts.wordInfo} word detail${counts.wordInfo === 1 ? '' : 's'}`,
+            ];
+            if (oldestTimestamp !== null) {
+                parts.push(`oldest from ${new Date(oldestTimestamp).toLocaleString()}`);
+            }
+            this._cacheInfoNode.textContent = parts.join(', ');
+        } catch (e) {
+            this._cacheInfoNode.textContent = toError(e).message;
+        }
+    }
+
+    /** */
+    _onOutboxRefreshClick() {
+        void this._updateOutbox();
+    }
+
+    /** */
+    async _onOutboxFlushClick() {
+        this._outboxFlushButton.disabled = true;
+        try {
+            const result = await this._settingsController.application.api.flushSottakuOutbox();
+            await this._updateOutbox();
+            this._showFlushResult(result);
+        } catch (e) {
+            this._outboxInfoNode.textContent = toError(e).message;
+        } finally {
+            this._outboxFlushButton.disabled = false;
+        }
+    }
+
+    /** */
+    async _updateOutbox() {
+        let mutations;
+        try {
+            mutations = await this._settingsController.application.api.getSottakuOutbox();
+        } catch (e) {
+            this._outboxInfoNode.textContent = toError(e).message;
+            return;
+        }
+        const count = mutations.length;
+        const parkedCount = mutations.filter(({parked}) => parked).length;
+        this._outboxCountNode.textContent = `${count}`;
+        this._outboxCountNode.hidden = count === 0;
+        this._outboxFlushButton.disabled = count === parkedCount;
+        let info = count === 0 ? 'No pending changes.' : `${count} change${count === 1 ? '' : 's'} waiting to be sent.`;
+        if (parkedCount > 0) {
+            info += ` ${parkedCount} could not be sent and need${parkedCount === 1 ? 's' : ''} to be retried or discarded.`;
+        }
+        this._outboxInfoNode.textContent = info;
+        this._outboxEntryEventListeners.removeAllEventListeners();
+        this._outboxList.textContent = '';
+        this._outboxList.hidden = count === 0;
+        for (const mutation of mutations) {
+            this._outboxList.appendChild(this._createOutboxEntry(mutation));
+        }
+    }
+
+    /**
+     * @param {import('sottaku-outbox').PendingMutation} mutation
+     * @returns {HTMLElement}
+     */
+    _createOutboxEntry({action, term, language, questionId, timestamp, lastError, parked}) {
+        const node = /** @type {HTMLElement} */ (this._settingsController.instantiateTemplate('sottaku-outbox-entry'));
+        /** @type {HTMLElement} */
+        const label = querySelectorNotNull(node, '.sottaku-outbox-entry-label');
+        /** @type {HTMLElement} */
+        const status = querySelectorNotNull(node, '.sottaku-outbox-entry-status');
+        /** @type {HTMLButtonElement} */
+        const retryButton = querySelectorNotNull(node, '.sottaku-outbox-entry-retry-button');
+        /** @type {HTMLButtonElement} */
+        const discardButton = querySelectorNotNull(node, '.sottaku-outbox-entry-discard-button');
+
+        label.textContent = `${this._getMutationActionLabel(action)}: ${term} (${this._languageCapabilities.getName(language)}), ${new Date(timestamp).toLocaleString()}`;
+        if (parked) {
+            status.textContent = lastError !== null ? ` Not sent: ${lastError}` : ' Not sent.';
+        } else if (lastError !== null) {
+            status.textContent = ` Last error: ${lastError}`;
+        }
+        retryButton.hidden = !parked;
+
+        const {api} = this._settingsController.application;
+        this._outboxEntryEventListeners.addEventListener(retryButton, 'click', () => {
+            void this._runOutboxEntryAction(node, () => api.retrySottakuMutation(language, questionId));
+        }, false);
+        this._outboxEntryEventListeners.addEventListener(discardButton, 'click', () => {
+            void this._runOutboxEntryAction(node, () => api.discardSottakuMutation(language, questionId));
+        }, false);
+        return node;
+    }
+
+    /**
+     * @param {HTMLElement} node
+     * @param {() => Promise<unknown>} action
+     */
+    async _runOutboxEntryAction(node, action) {
+        /** @type {NodeListOf<HTMLButtonElement>} */
+        const buttons = node.querySelectorAll('button');
+        for (const button of buttons) { button.disabled = true; }
+        /** @type {?Error} */
+        let error = null;
+        try {
+            await action();
+        } catch (e) {
+            error = toError(e);
+        }
+        await this._updateOutbox();
+        if (error !== null) {
+            this._outboxInfoNode.textContent = error.message;
+        }
+    }
+
+    /**
+     * @param {import('sottaku-outbox').FlushResult} result
+     */
+    _showFlushResult({sentCount, remainingCount, parkedCount}) {
+        if (remainingCount === 0) { return; }
+        let info = `${sentCount} sent, ${remainingCount} still pending.`;
+        if (parkedCount > 0) {
+            info += ` ${parkedCount} could not be sent and need${parkedCount === 1 ? 's' : ''} to be retried or discarded.`;
+        }
+        this._outboxInfoNode.textContent = info;
+    }
+
+    /**
+     * @param {import('sottaku-outbox').MutationAction} action
+     * @returns {string}
+     */
+    _getMutationActionLabel(action) {
+        switch (action) {
+            case 'addFlashcard': return 'Add flashcard';
+            case 'removeFlashcard': return 'Remove flashcard';
+            case 'submitWordRequest': return 'Request dictionary entry';
+        }
+    }
+
+    /**
+     * @param {number} size
+     * @returns {string}
+     */
+    _bytesToLabeledString(size) {
+        const base = 1000;
+        const labels = [' bytes', 'KB', 'MB', 'GB'];
+        const maxLabelIndex = labels.length - 1;
+        let labelIndex = 0;
+        while (size >= base && labelIndex < maxLabelIndex) {
+            size /= base;
+            ++labelIndex;
+        }
+        const label = labelIndex === 0 ? `${size}` : size.toFixed(1);
+        return `${label}${labels[labelIndex]}`;
+    }
+
     /**
      * @param {string} token
      * @param {unknown} user
      */
     async _applyAuthUpdate(token, user) {
         const origin = this._getOriginFromApiUrl();
-        const normalizedUser = this._normalizeUser(user);
-        const updates = [
-            {action: 'set', scope: 'profile', path: 'sottaku.authToken', value: token},
+        await this._setCredentials({authToken: token, user: this._normalizeUser(user)});
+        await this._settingsController.modifySettings([
             {action: 'set', scope: 'profile', path: 'sottaku.cookieDomain', value: origin},
             {action: 'set', scope: 'profile', path: 'sottaku.enabled', value: true},
-            {action: 'set', scope: 'profile', path: 'sottaku.user', value: normalizedUser},
-        ];
-        await this._settingsController.modifySettings(updates);
+        ]);
         await this._setSkipAutoSync(false);
         this._client.setConfig({authToken: token, cookieDomain: origin});
-        this._updateStatus({authToken: token, user: normalizedUser, enabled: true});
+        this._updateStatus();
         await this._settingsController.refresh();
     }
 
     /**
-     * @param {{authToken?: string, user?: unknown, enabled?: boolean}|null} [override]
+     * @param {import('sottaku-credentials').Credentials} credentials
      */
-    _updateStatus(override = null) {
+    async _setCredentials(credentials) {
+        this._credentials = credentials;
+        await this._settingsController.application.api.setSottakuCredentials(credentials);
+    }
+
+    /** */
+    _updateStatus() {
         const options = this._options;
         if (!options) { return; }
-        const {sottaku} = options;
-        const authToken = override && 'authToken' in override ? override.authToken : sottaku.authToken;
-        const user = override && 'user' in override ? override.user : sottaku.user;
-        const enabled = override && 'enabled' in override ? override.enabled : sottaku.enabled;
-        const isLinked = Boolean(enabled && authToken);
+        const {authToken, user} = this._credentials;
+        const isLinked = Boolean(options.sottaku.enabled && authToken);
         let message = 'Not connected';
         if (isLinked) {
             message = this._getSignedInStatusText(user);
+        } else if (user !== null && !authToken) {
+            message = 'Your Sottaku session has expired. Sign in again to continue.';
         }
         this._authForm.hidden = isLinked;
         this._linkedActions.hidden = !isLinked;
@@ -203,19 +426,17 @@ export class SottakuController {
     /** */
     async _ensureUserDetails() {
         if (!this._options) { return; }
-        const {sottaku} = this._options;
-        if (!sottaku.enabled || !sottaku.authToken) { return; }
+        const {authToken, user} = this._credentials;
+        if (!this._options.sottaku.enabled || !authToken) { return; }
         if (this._loadingUser) { return; }
-        if (this._getUserDisplayName(sottaku.user)) { return; }
+        if (this._getUserDisplayName(user)) { return; }
         this._loadingUser = true;
         try {
             const profile = await this._client.getProfile();
             const normalizedUser = this._normalizeUser(profile?.user);
-            if (normalizedUser) {
-                await this._settingsController.modifySettings([
-                    {action: 'set', scope: 'profile', path: 'sottaku.user', value: normalizedUser},
-                ]);
-                this._updateStatus({authToken: sottaku.authToken, user: normalizedUser, enabled: true});
+            if (normalizedUser && this._credentials.authToken === authToken) {
+                await this._setCredentials({authToken, user: normalizedUser});
+                this._updateStatus();
             }
         } catch (e) {
             // Best-effort; ignore profile fetch errors for display purposes
@@ -226,19 +447,20 @@ export class SottakuController {
 
     /** */
     async _loadSupportedLanguages() {
-        if (!this._options || !this._options.sottaku.authToken) { return; }
+        if (!this._options || !this._credentials.authToken) { return; }
         try {
             const response = await this._client.getSupportedLanguages();
-            const languages = this._normalizeSupportedLanguagesResponse(response);
-            if (languages.length === 0) { return; }
-            const currentKey = this._supportedLanguages.join(',');
-            const nextKey = languages.join(',');
-            if (currentKey === nextKey) { return; }
-            this._supportedLanguages = languages;
+            const capabilities = parseSottakuLanguageCapabilities(response);
+            if (capabilities.length === 0) { return; }
+            const capabilitiesKey = JSON.stringify(capabilities);
+            if (capabilitiesKey === this._languageCapabilitiesKey) { return; }
+            this._languageCapabilitiesKey = capabilitiesKey;
+            this._languageCapabilities = new SottakuLanguageCapabilities(capabilities);
+            // Languages which were not supported by the defaults were dropped by `_onOptionsChanged`
             const normalizedPreferred = normalizeSottakuLanguages(
-                this._preferredLanguages,
+                this._options.sottaku.preferredLanguages,
                 this._options.general.language,
-                this._supportedLanguages,
+                this._languageCapabilities.languages,
             );
             const preferredChanged = normalizedPreferred.join(',') !== this._preferredLanguages.join(',');
             this._preferredLanguages = normalizedPreferred;
@@ -247,6 +469,7 @@ export class SottakuController {
                     {action: 'set', scope: 'profile', path: 'sottaku.preferredLanguages', value: normalizedPreferred},
                 ]);
             }
+            this._renderLanguageModeOptions();
             this._renderLanguageList();
         } catch (e) {
             // Best-effort; ignore fetch errors and keep existing defaults.
@@ -311,7 +534,7 @@ export class SottakuController {
 
     /**
      * @param {unknown} user
-     * @returns {import('settings').SottakuUser|null}
+     * @returns {import('sottaku-credentials').User|null}
      */
     _normalizeUser(user) {
         if (!isObjectNotArray(user)) { return null; }
@@ -325,7 +548,7 @@ export class SottakuController {
                 id = parsed;
             }
         }
-        const normalized = /** @type {import('settings').SottakuUser} */ ({
+        const normalized = /** @type {import('sottaku-credentials').User} */ ({
             id,
             username: null,
             email: null,
@@ -354,6 +577,33 @@ export class SottakuController {
         this._statusNode.classList.toggle('danger-text', !!isError);
     }
 
+    /**
+     * Lists a language routing option for each supported language, after the `auto` and `mixed` options.
+     */
+    _renderLanguageModeOptions() {
+        if (!this._options) { return; }
+        const {languageMode} = this._options.sottaku;
+        const select = this._languageModeSelect;
+        for (let i = select.options.length - 1; i >= 0; --i) {
+            const {value} = select.options[i];
+            if (value !== 'auto' && value !== 'mixed') {
+                select.remove(i);
+            }
+        }
+        const languages = this._languageCapabilities.languages;
+        if (languageMode !== 'auto' && languageMode !== 'mixed' && !languages.includes(languageMode)) {
+            // Keep the current value selectable until the supported languages are loaded
+            languages.push(languageMode);
+        }
+        for (const language of languages) {
+            const option = document.createElement('option');
+            option.value = language;
+            option.textContent = this._getLanguageName(language);
+            select.appendChild(option);
+        }
+        select.value = languageMode;
+    }
+
     /** */
     _renderLanguageList() {
         if (!this._options) { return; }
@@ -374,7 +624,7 @@ export class SottakuController {
      */
     _createLanguageRow(language, index, total) {
         const node = /** @type {HTMLElement} */ (this._settingsController.instantiateTemplate('sottaku-language-row'));
-        querySelectorNotNull(node, '.sottaku-language-flag').textContent = getSottakuLanguageFlag(language);
+        querySelectorNotNull(node, '.sottaku-language-flag').textContent = this._languageCapabilities.getFlag(language);
         querySelectorNotNull(node, '.sottaku-language-name').textContent = this._getLanguageName(language);
         querySelectorNotNull(node, '.sottaku-language-index').textContent = `${index + 1}`;
 
@@ -402,11 +652,11 @@ export class SottakuController {
     _refreshLanguageAddOptions(selectedLanguages) {
         const selected = new Set(selectedLanguages);
         this._languageAddSelect.textContent = '';
-        const available = this._supportedLanguages.filter((language) => !selected.has(language));
+        const available = this._languageCapabilities.languages.filter((language) => !selected.has(language));
         for (const language of available) {
             const option = document.createElement('option');
             option.value = language;
-            option.textContent = `${getSottakuLanguageFlag(language)} ${this._getLanguageName(language)}`;
+            option.textContent = `${this._languageCapabilities.getFlag(language)} ${this._getLanguageName(language)}`;
             this._languageAddSelect.appendChild(option);
         }
         if (available.length > 0) {
@@ -460,7 +710,7 @@ export class SottakuController {
         const normalized = normalizeSottakuLanguages(
             languages,
             this._options.general.language,
-            this._supportedLanguages,
+            this._languageCapabilities.languages,
         );
         this._preferredLanguages = normalized;
         this._renderLanguageList();
@@ -480,40 +730,10 @@ export class SottakuController {
      * @returns {string}
      */
     _getLanguageName(language) {
-        const name = getSottakuLanguageName(language);
+        const name = this._languageCapabilities.getName(language);
         return name || language;
     }
 
-    /**
-     * @param {unknown} response
-     * @returns {string[]}
-     */
-    _normalizeSupportedLanguagesResponse(response) {
-        const normalized = [];
-        const seen = new Set();
-        const data = (response && typeof response === 'object') ? /** @type {Record<string, unknown>} */ (response) : {};
-        const candidates = [];
-        if (Array.isArray(data.languages)) {
-            candidates.push(...data.languages);
-        }
-        if (Array.isArray(data.supported_languages)) {
-            candidates.push(...data.supported_languages);
-        }
-        if (Array.isArray(data.admin_only_languages)) {
-            candidates.push(...data.admin_only_languages);
-        }
-
-        for (const value of candidates) {
-            if (typeof value !== 'string') { continue; }
-            const trimmed = value.trim();
-            if (!trimmed || seen.has(trimmed)) { continue; }
-            seen.add(trimmed);
-            normalized.push(trimmed);
-        }
-
-        return normalized.length > 0 ? normalized : [...SOTTAKU_SUPPORTED_LANGUAGES];
-    }
-
     /**
      * @returns {string}
      */
@@ -0,0 +1,67 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {AnkiMediaCollector} from '../ext/js/comm/anki-media-collector.js';
+
+/**
+ * @param {string} front
+ * @returns {import('anki').Note}
+ */
+function createNote(front) {
+    return {
+        fields: {Front: front},
+        tags: [],
+        deckName: 'Deck',
+        modelName: 'Model',
+        options: {allowDuplicate: false, duplicateScope: 'collection', duplicateScopeOptions: {deckName: null, checkChildren: false, checkAllModels: false}},
+    };
+}
+
+describe('AnkiMediaCollector', () => {
+    test('Media is held until it is released', async () => {
+        const collector = new AnkiMediaCollector();
+        await collector.storeMediaFile('a.mp3', 'AAAA');
+        await collector.storeMediaFile('b.png', 'BBBB');
+
+        const note = createNote('[sound:a.mp3]');
+        const media = collector.getMedia(note);
+        expect(media).toStrictEqual([{fileName: 'a.mp3', data: 'AAAA'}]);
+        expect(collector.getMedia(note)).toStrictEqual(media);
+
+        collector.release(media);
+        expect(collector.getMedia(note)).toStrictEqual([]);
+        expect(collector.getMedia(createNote('<img src="b.png">'))).toStrictEqual([{fileName: 'b.png', data: 'BBBB'}]);
+    });
+
+    test('A tee holds files under the names they were stored as', async () => {
+        const collector = new AnkiMediaCollector();
+        /** @type {string[]} */
+        const storedFileNames = [];
+        const tee = collector.createTee({
+            storeMediaFile: async (fileName) => {
+                storedFileNames.push(fileName);
+                return fileName === 'missing.png' ? null : `stored_${fileName}`;
+            },
+        });
+        expect(await tee.storeMediaFile('a.mp3', 'AAAA')).toStrictEqual('stored_a.mp3');
+        expect(await tee.storeMediaFile('missing.png', 'BBBB')).toBeNull();
+
+        expect(storedFileNames).toStrictEqual(['a.mp3', 'missing.png']);
+        expect(collector.getMedia(createNote('[sound:stored_a.mp3] <img src="missing.png">'))).toStrictEqual([{fileName: 'stored_a.mp3', data: 'AAAA'}]);
+    });
+});
@@ -0,0 +1,210 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {IDBFactory, IDBKeyRange} from 'fake-indexeddb';
+import {afterEach, beforeEach, describe, expect, test, vi} from 'vitest';
+import {parseJson} from '../dev/json.js';
+import {AnkiNoteQueueSender} from '../ext/js/background/anki-note-queue-sender.js';
+import {AnkiConnect} from '../ext/js/comm/anki-connect.js';
+import {AnkiNoteQueue, MAX_QUEUED_NOTE_ERROR_COUNT} from '../ext/js/comm/anki-note-queue.js';
+
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+
+/** @type {{action: string, params: {[key: string]: unknown}}[]} */
+let requests = [];
+/** @type {(action: string, params: {[key: string]: unknown}) => Promise<unknown>} */
+let onAction;
+vi.stubGlobal('fetch', vi.fn(async (/** @type {string} */ _url, /** @type {RequestInit} */ {body}) => {
+    /** @type {{action: string, params: {[key: string]: unknown}}} */
+    const {action, params} = parseJson(/** @type {string} */ (body));
+    if (action === 'version') {
+        return new Response(JSON.stringify(6));
+    }
+    requests.push({action, params});
+    return new Response(JSON.stringify(await onAction(action, params)));
+}));
+
+/**
+ * @param {string} front
+ * @returns {import('anki').Note}
+ */
+function createNote(front) {
+    return {
+        fields: {Front: front},
+        tags: [],
+        deckName: 'Deck',
+        modelName: 'Model',
+        options: {allowDuplicate: false, duplicateScope: 'collection', duplicateScopeOptions: {deckName: null, checkChildren: false, checkAllModels: false}},
+    };
+}
+
+/**
+ * @param {import('anki').Note} note
+ * @returns {string}
+ */
+function getFront(note) {
+    return note.fields.Front;
+}
+
+/**
+ * @returns {string[]}
+ */
+function getAddedFronts() {
+    return requests.filter(({action}) => action === 'addNote').map(({params}) => getFront(/** @type {import('anki').Note} */ (params.note)));
+}
+
+/**
+ * @param {Set<string>} [duplicateFronts]
+ * @returns {{queue: AnkiNoteQueue, sender: AnkiNoteQueueSender}}
+ */
+function createSender(duplicateFronts = new Set()) {
+    const anki = new AnkiConnect();
+    anki.server = 'http://127.0.0.1:8765';
+    anki.enabled = true;
+    const queue = new AnkiNoteQueue();
+    const sender = new AnkiNoteQueueSender(anki, queue, async (notes) => notes.map((note) => ({note, isDuplicate: duplicateFronts.has(getFront(note))})));
+    sender.configure(/** @type {import('settings').AnkiOptions} */ (/** @type {unknown} */ ({suspendNewCards: false, forceSync: false})));
+    return {queue, sender};
+}
+
+/**
+ * @param {AnkiNoteQueue} queue
+ * @returns {Promise<{[front: string]: {attemptCount: number, errorCount: number, duplicate: boolean}}>}
+ */
+async function getQueueState(queue) {
+    /** @type {{[front: string]: {attemptCount: number, errorCount: number, duplicate: boolean}}} */
+    const state = {};
+    for (const {note, attemptCount, errorCount, duplicate} of await queue.getAll()) {
+        state[getFront(note)] = {attemptCount, errorCount, duplicate};
+    }
+    return state;
+}
+
+describe('AnkiNoteQueueSender', () => {
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+        vi.useFakeTimers({toFake: ['setTimeout', 'clearTimeout']});
+        requests = [];
+        onAction = async () => 1;
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    test('Duplicates are kept in the queue and are not checked again', async () => {
+        const {queue, sender} = createSender(new Set(['b']));
+        await sender.add(createNote('a'), [], null);
+        await sender.add(createNote('b'), [], null);
+
+        expect(await sender.flush()).toStrictEqual({addedCount: 1, duplicateCount: 1, failedCount: 0, remainingCount: 1});
+        expect(getAddedFronts()).toStrictEqual(['a']);
+        expect(await getQueueState(queue)).toStrictEqual({b: {attemptCount: 1, errorCount: 0, duplicate: true}});
+
+        expect(await sender.flush()).toStrictEqual({addedCount: 0, duplicateCount: 1, failedCount: 0, remainingCount: 1});
+        expect(getAddedFronts()).toStrictEqual(['a']);
+    });
+
+    test('Flushing stops at the first connection failure and is retried later', async () => {
+        const {queue, sender} = createSender();
+        for (const front of ['a', 'b', 'c']) {
+            await sender.add(createNote(front), [], null);
+        }
+        onAction = async (action, params) => {
+            if (action === 'addNote' && getFront(/** @type {import('anki').Note} */ (params.note)) === 'b') {
+                throw new TypeError('Failed to fetch');
+            }
+            return 1;
+        };
+
+        expect(await sender.flush()).toStrictEqual({addedCount: 1, duplicateCount: 0, failedCount: 0, remainingCount: 2});
+        expect(getAddedFronts()).toStrictEqual(['a', 'b']);
+        expect(await getQueueState(queue)).toStrictEqual({
+            b: {attemptCount: 2, errorCount: 0, duplicate: false},
+            c: {attemptCount: 1, errorCount: 0, duplicate: false},
+        });
+
+        onAction = async () => 1;
+        await vi.advanceTimersByTimeAsync(60000);
+        await sender.flush();
+        expect(getAddedFronts()).toStrictEqual(['a', 'b', 'b', 'c']);
+        expect(await queue.getCount()).toStrictEqual(0);
+    });
+
+    test('Notes which keep failing are skipped until they are retried', async () => {
+        const {queue, sender} = createSender();
+        const id = await sender.add(createNote('a'), [], null);
+        await sender.add(createNote('b'), [], null);
+        onAction = async (action, params) => (
+            action === 'addNote' && getFront(/** @type {import('anki').Note} */ (params.note)) === 'a' ?
+            {error: 'cannot create note because it is empty'} :
+            1
+        );
+
+        for (let i = 0; i < MAX_QUEUED_NOTE_ERROR_COUNT; ++i) {
+            await sender.flush();
+        }
+        expect(await getQueueState(queue)).toStrictEqual({a: {attemptCount: MAX_QUEUED_NOTE_ERROR_COUNT + 1, errorCount: MAX_QUEUED_NOTE_ERROR_COUNT, duplicate: false}});
+        expect(getAddedFronts()).toStrictEqual(['a', 'b', ...Array.from({length: MAX_QUEUED_NOTE_ERROR_COUNT - 1}, () => 'a')]);
+
+        requests = [];
+        expect(await sender.flush()).toStrictEqual({addedCount: 0, duplicateCount: 0, failedCount: 1, remainingCount: 1});
+        expect(getAddedFronts()).toStrictEqual([]);
+
+        onAction = async () => 1;
+        expect(await sender.retry(id)).toStrictEqual({addedCount: 1, duplicateCount: 0, failedCount: 0, remainingCount: 0});
+        expect(getAddedFronts()).toStrictEqual(['a']);
+        expect(requests.find(({action}) => action === 'addNote')?.params.note).toMatchObject({options: {allowDuplicate: true}});
+    });
+
+    test('Edits and retries wait for a running flush', async () => {
+        const {queue, sender} = createSender();
+        const id1 = await sender.add(createNote('a'), [], null);
+        const id2 = await sender.add(createNote('b'), [], null);
+        onAction = async (action, params) => (
+            action === 'addNote' && getFront(/** @type {import('anki').Note} */ (params.note)) === 'a' ?
+            {error: 'model was not found'} :
+            1
+        );
+
+        const flushPromise = sender.flush();
+        const updatePromise = sender.update(id1, {Front: 'a2'});
+        const retryPromise = sender.retry(id2).catch((e) => /** @type {unknown} */ (e));
+        await flushPromise;
+        await updatePromise;
+
+        // The flush added the note before the retry ran
+        expect(await retryPromise).toStrictEqual(new Error('Queued note not found'));
+        expect(getAddedFronts()).toStrictEqual(['a', 'b']);
+        // The edit replaced the note after the flush recorded its error
+        const [queuedNote] = await queue.getAll();
+        expect(queuedNote.note.fields).toStrictEqual({Front: 'a2'});
+        expect(queuedNote.errorCount).toStrictEqual(0);
+        expect(queuedNote.lastError).toStrictEqual('Anki error: model was not found');
+    });
+
+    test('Media files are stored before the note is added', async () => {
+        const {queue, sender} = createSender();
+        await sender.add({...createNote('<img src="image.png">')}, [{fileName: 'image.png', data: 'AAAA'}], null);
+        onAction = async (action) => (action === 'storeMediaFile' ? 'image_1.png' : 1);
+
+        await sender.flush();
+        expect(requests.map(({action}) => action)).toStrictEqual(['storeMediaFile', 'addNote']);
+        expect(getAddedFronts()).toStrictEqual(['<img src="image_1.png">']);
+        expect(await queue.getCount()).toStrictEqual(0);
+    });
+});
@@ -0,0 +1,46 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {getNoteDuplicateQuery} from '../ext/js/data/anki-util.js';
+
+/**
+ * @param {import('anki').Note['options']} options
+ * @returns {import('anki').Note}
+ */
+function createNote(options) {
+    return {
+        deckName: 'Japanese::Mining',
+        modelName: 'Note',
+        fields: {Expression: '"読む"', Reading: 'よむ'},
+        tags: [],
+        options,
+    };
+}
+
+describe('getNoteDuplicateQuery', () => {
+    /** @type {[scope: import('anki').Note['options']['duplicateScope'], expected: string][]} */
+    const data = [
+        ['collection', '"expression:読む"'],
+        ['deck', '"deck:Japanese::Mining" "expression:読む"'],
+        ['deck-root', '"deck:Japanese" "expression:読む"'],
+    ];
+    test.each(data)('Scope %s', (duplicateScope, expected) => {
+        const note = createNote({allowDuplicate: false, duplicateScope, duplicateScopeOptions: {deckName: null, checkChildren: false, checkAllModels: false}});
+        expect(getNoteDuplicateQuery(note)).toStrictEqual(expected);
+    });
+});
@@ -0,0 +1,146 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {describe, expect, test, vi} from 'vitest';
+import {Backend} from '../ext/js/background/backend.js';
+import {log} from '../ext/js/core/log.js';
+import {SOTTAKU_DICTIONARY_NAME} from '../ext/js/dictionary/sottaku-dictionary.js';
+import {WebExtension} from '../ext/js/extension/web-extension.js';
+import {chrome, fetch} from './mocks/common.js';
+
+vi.stubGlobal('chrome', chrome);
+vi.stubGlobal('fetch', fetch);
+
+const dictionaryName = 'Test Dictionary';
+
+/** @type {import('translator').LookupTimingSpan[]} */
+const localTimings = [
+    {stage: 'findTerms', dictionary: dictionaryName, start: 1, duration: 2},
+    {stage: 'total', dictionary: null, start: 0, duration: 4},
+];
+
+/**
+ * @param {number} id
+ * @returns {import('dictionary').TermDictionaryEntry}
+ */
+function createDictionaryEntry(id) {
+    return /** @type {import('dictionary').TermDictionaryEntry} */ (/** @type {unknown} */ ({id}));
+}
+
+/**
+ * @param {{sottakuEnabled: boolean, debugInfo: boolean, sottakuResult: Error|import('translator').FindTermsResult}} details
+ * @returns {{backend: Backend, translatorFindTerms: import('vitest').MockInstance, sottakuFindTerms: import('vitest').MockInstance}}
+ */
+function createBackend({sottakuEnabled, debugInfo, sottakuResult}) {
+    const backend = new Backend(new WebExtension());
+    const options = /** @type {import('settings').ProfileOptions} */ (/** @type {unknown} */ ({
+        general: {resultOutputMode: 'split', maxResults: 2, debugInfo},
+        sottaku: {enabled: sottakuEnabled},
+    }));
+    /** @type {import('translation').TermEnabledDictionaryMap} */
+    const enabledDictionaryMap = new Map();
+    for (const name of [dictionaryName, SOTTAKU_DICTIONARY_NAME]) {
+        enabledDictionaryMap.set(name, {index: enabledDictionaryMap.size, alias: name, allowSecondarySearches: false, partsOfSpeechFilter: true, useDeinflections: true});
+    }
+    const findTermsOptions = /** @type {import('translation').FindTermsOptions} */ (/** @type {unknown} */ ({matchType: 'exact', enabledDictionaryMap}));
+
+    vi.spyOn(backend, '_getProfileOptions').mockReturnValue(options);
+    vi.spyOn(backend, '_getTranslatorFindTermsOptions').mockReturnValue(findTermsOptions);
+    vi.spyOn(backend, '_getTranslatorLanguage').mockResolvedValue('ja');
+    // eslint-disable-next-line no-underscore-dangle
+    const translatorFindTerms = vi.spyOn(backend._translator, 'findTerms').mockImplementation(async (_mode, _text, {profile}) => {
+        /** @type {import('translator').FindTermsResult} */
+        const result = {dictionaryEntries: [createDictionaryEntry(1), createDictionaryEntry(2), createDictionaryEntry(3)], originalTextLength: 2};
+        if (profile) { result.lookupTimings = structuredClone(localTimings); }
+        return result;
+    });
+    // eslint-disable-next-line no-underscore-dangle
+    const sottakuIntegration = backend._sottakuIntegration;
+    vi.spyOn(sottakuIntegration, 'configure').mockReturnValue();
+    const sottakuFindTerms = vi.spyOn(sottakuIntegration, 'findTerms').mockImplementation(async () => {
+        if (sottakuResult instanceof Error) { throw sottakuResult; }
+        return sottakuResult;
+    });
+    vi.spyOn(sottakuIntegration, 'mergeDictionaryEntries').mockImplementation((_mode, localResult, remoteResult) => ({
+        dictionaryEntries: [...remoteResult.dictionaryEntries, ...localResult.dictionaryEntries],
+        originalTextLength: Math.max(localResult.originalTextLength, remoteResult.originalTextLength),
+    }));
+    return {backend, translatorFindTerms, sottakuFindTerms};
+}
+
+/**
+ * @param {Backend} backend
+ * @param {import('api').FindTermsDetails} details
+ * @returns {Promise<import('translator').FindTermsResult>}
+ */
+async function findTerms(backend, details) {
+    // eslint-disable-next-line no-underscore-dangle
+    return await backend._onApiTermsFind({text: '打つ', details, optionsContext: {index: 0}}, {});
+}
+
+describe('Backend termsFind', () => {
+    const sottakuResult = {dictionaryEntries: [createDictionaryEntry(4)], originalTextLength: 2};
+
+    test('Local lookups return the timings of the translator when profiled', async () => {
+        const {backend, translatorFindTerms, sottakuFindTerms} = createBackend({sottakuEnabled: false, debugInfo: false, sottakuResult});
+        const result = await findTerms(backend, {profile: true});
+        expect(translatorFindTerms.mock.calls[0][2].profile).toBe(true);
+        expect(sottakuFindTerms).not.toHaveBeenCalled();
+        expect(result).toStrictEqual({
+            dictionaryEntries: [createDictionaryEntry(1), createDictionaryEntry(2)],
+            originalTextLength: 2,
+            lookupTimings: localTimings,
+        });
+    });
+
+    test('Lookups are profiled when debug info is enabled', async () => {
+        const {backend} = createBackend({sottakuEnabled: false, debugInfo: true, sottakuResult});
+        const {lookupTimings} = await findTerms(backend, {});
+        expect(lookupTimings).toStrictEqual(localTimings);
+    });
+
+    test('Sottaku lookups add a remote span to the timings of the translator', async () => {
+        const {backend} = createBackend({sottakuEnabled: true, debugInfo: false, sottakuResult});
+        const {dictionaryEntries, lookupTimings} = await findTerms(backend, {profile: true});
+        expect(dictionaryEntries).toStrictEqual([createDictionaryEntry(4), createDictionaryEntry(1)]);
+        expect(lookupTimings?.slice(0, localTimings.length)).toStrictEqual(localTimings);
+        const remoteSpans = lookupTimings?.slice(localTimings.length) ?? [];
+        expect(remoteSpans.map(({stage, dictionary}) => ({stage, dictionary}))).toStrictEqual([{stage: 'remote', dictionary: SOTTAKU_DICTIONARY_NAME}]);
+        expect(remoteSpans[0].duration).toBeGreaterThanOrEqual(0);
+    });
+
+    test('Failed Sottaku lookups still add a remote span', async () => {
+        const {backend} = createBackend({sottakuEnabled: true, debugInfo: false, sottakuResult: new Error('Network error')});
+        const warn = vi.spyOn(log, 'warn').mockReturnValue();
+        const {dictionaryEntries, lookupTimings} = await findTerms(backend, {profile: true});
+        expect(dictionaryEntries).toStrictEqual([createDictionaryEntry(1), createDictionaryEntry(2)]);
+        expect(lookupTimings?.map(({stage}) => stage)).toStrictEqual(['findTerms', 'total', 'remote']);
+        expect(warn).toHaveBeenCalledOnce();
+        warn.mockRestore();
+    });
+
+    test.each([
+        {sottakuEnabled: false},
+        {sottakuEnabled: true},
+    ])('Lookups without profiling have no timings (Sottaku enabled: $sottakuEnabled)', async ({sottakuEnabled}) => {
+        const {backend, translatorFindTerms} = createBackend({sottakuEnabled, debugInfo: false, sottakuResult});
+        const result = await findTerms(backend, {});
+        expect(translatorFindTerms.mock.calls[0][2].profile).toBe(false);
+        expect(Object.keys(result)).toStrictEqual(['dictionaryEntries', 'originalTextLength']);
+    });
+});
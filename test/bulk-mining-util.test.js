@@ -0,0 +1,114 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {getParsedTextTokens, getTextSentences, getTokenSentence} from '../ext/js/data/bulk-mining-util.js';
+
+describe('Bulk mining utilities', () => {
+    describe('getTextSentences', () => {
+        test('Splits after full-width terminators', () => {
+            expect(getTextSentences('本を読む。映画を見た！')).toStrictEqual([
+                {text: '本を読む。', offset: 0},
+                {text: '映画を見た！', offset: 5},
+            ]);
+        });
+        test('Keeps closing quotes with the sentence', () => {
+            expect(getTextSentences('「行こう。」と言った。')).toStrictEqual([
+                {text: '「行こう。」', offset: 0},
+                {text: 'と言った。', offset: 6},
+            ]);
+        });
+        test('Splits at line breaks and trims whitespace', () => {
+            expect(getTextSentences('  一行目\n\n二行目  ')).toStrictEqual([
+                {text: '一行目', offset: 2},
+                {text: '二行目', offset: 7},
+            ]);
+        });
+        test('Only splits after half-width terminators which are followed by whitespace', () => {
+            expect(getTextSentences('It costs 3.5 dollars. Really?! Yes')).toStrictEqual([
+                {text: 'It costs 3.5 dollars.', offset: 0},
+                {text: 'Really?!', offset: 22},
+                {text: 'Yes', offset: 31},
+            ]);
+        });
+        test('Returns nothing for blank text', () => {
+            expect(getTextSentences(' \n ')).toStrictEqual([]);
+        });
+    });
+
+    describe('getParsedTextTokens', () => {
+        test('Computes offsets and skips tokens without letters', () => {
+            /** @type {import('api').ParseTextLine[]} */
+            const lines = [
+                [{text: '本', reading: 'ほん'}],
+                [{text: 'を', reading: ''}],
+                [{text: '読', reading: 'よ'}, {text: 'んだ', reading: ''}],
+                [{text: '。 ', reading: ''}],
+                [{text: '123', reading: ''}],
+                [{text: ' cat', reading: ''}],
+            ];
+            expect(getParsedTextTokens('本を読んだ。 123 cat', lines)).toStrictEqual([
+                {text: '本', offset: 0},
+                {text: 'を', offset: 1},
+                {text: '読んだ', offset: 2},
+                {text: 'cat', offset: 11},
+            ]);
+        });
+        test('Locates tokens in the text when the parser drops whitespace', () => {
+            /** @type {import('api').ParseTextLine[]} */
+            const lines = [
+                [{text: '猫', reading: 'ねこ'}],
+                [{text: 'が', reading: ''}],
+                [{text: '好き', reading: 'すき'}],
+                [{text: '。', reading: ''}],
+                [{text: '猫', reading: 'ねこ'}],
+                [{text: 'だ', reading: ''}],
+            ];
+            expect(getParsedTextTokens('猫 が　好き。\n  猫だ', lines)).toStrictEqual([
+                {text: '猫', offset: 0},
+                {text: 'が', offset: 2},
+                {text: '好き', offset: 4},
+                {text: '猫', offset: 10},
+                {text: 'だ', offset: 11},
+            ]);
+        });
+        test('Skips tokens which are not in the text', () => {
+            /** @type {import('api').ParseTextLine[]} */
+            const lines = [
+                [{text: '本', reading: 'ほん'}],
+                [{text: 'ほげ', reading: ''}],
+                [{text: 'を', reading: ''}],
+            ];
+            expect(getParsedTextTokens('本を', lines)).toStrictEqual([
+                {text: '本', offset: 0},
+                {text: 'を', offset: 1},
+            ]);
+        });
+    });
+
+    describe('getTokenSentence', () => {
+        test('Returns the sentence containing the token with the token offset', () => {
+            const sentences = getTextSentences('本を読む。映画を見た。');
+            expect(getTokenSentence(sentences, {text: '映画', offset: 5})).toStrictEqual({text: '映画を見た。', offset: 0});
+            expect(getTokenSentence(sentences, {text: '見た', offset: 8})).toStrictEqual({text: '映画を見た。', offset: 3});
+        });
+        test('Returns null for a token outside of the sentences', () => {
+            const sentences = getTextSentences('本を読む。');
+            expect(getTokenSentence(sentences, {text: '本', offset: 10})).toBeNull();
+        });
+    });
+});
@@ -24,7 +24,11 @@ import {beforeEach, describe, test, vi} from 'vitest';
 import {createDictionaryArchiveData, getDictionaryArchiveIndex} from '../dev/dictionary-archive-util.js';
 import {parseJson} from '../dev/json.js';
 import {DictionaryDatabase} from '../ext/js/dictionary/dictionary-database.js';
+import {DictionaryExporter} from '../ext/js/dictionary/dictionary-exporter.js';
 import {DictionaryImporter} from '../ext/js/dictionary/dictionary-importer.js';
+import {DictionaryIntegrityChecker} from '../ext/js/dictionary/dictionary-integrity-checker.js';
+import {PERSONAL_DICTIONARY_NAME, PersonalDictionary} from '../ext/js/dictionary/personal-dictionary.js';
+import {SOTTAKU_DICTIONARY_NAME} from '../ext/js/dictionary/sottaku-dictionary.js';
 import {DictionaryImporterMediaLoader} from './mocks/dictionary-importer-media-loader.js';
 import {setupStubs} from './utilities/database.js';
 
@@ -148,6 +152,14 @@ describe('Database', () => {
         // Dictionary already imported
         expect.soft(await createDictionaryImporter(expect).importDictionary(dictionaryDatabase, testDictionarySource, defaultImportDetails)).toEqual({result: null, errors: [new Error('Dictionary Test Dictionary is already imported, skipped it.')]});
 
+        // Title of the personal dictionary
+        expect.soft(await createDictionaryImporter(expect).importDictionary(dictionaryDatabase, testDictionarySource, {...defaultImportDetails, title: PERSONAL_DICTIONARY_NAME})).toEqual({result: null, errors: [new Error(`Dictionary title ${PERSONAL_DICTIONARY_NAME} is reserved for the terms you add yourself, skipped it.`)]});
+        expect.soft(await dictionaryDatabase.dictionaryExists(PERSONAL_DICTIONARY_NAME)).toBe(false);
+
+        // Title of the Sottaku dictionary
+        expect.soft(await createDictionaryImporter(expect).importDictionary(dictionaryDatabase, testDictionarySource, {...defaultImportDetails, title: SOTTAKU_DICTIONARY_NAME})).toEqual({result: null, errors: [new Error(`Dictionary title ${SOTTAKU_DICTIONARY_NAME} is reserved for Sottaku results, skipped it.`)]});
+        expect.soft(await dictionaryDatabase.dictionaryExists(SOTTAKU_DICTIONARY_NAME)).toBe(false);
+
         await dictionaryDatabase.close();
     });
     describe('Invalid dictionaries', () => {
@@ -361,4 +373,578 @@ describe('Database', () => {
             });
         });
     });
+    describe('Meaning search', () => {
+        /** @type {{name: string, indexMethod: 'import'|'build'}[]} */
+        const indexTestCases = [
+            {name: 'Indexed on import', indexMethod: 'import'},
+            {name: 'Indexed after import', indexMethod: 'build'},
+        ];
+        describe.each(indexTestCases)('$name', ({indexMethod}) => {
+            test('Find terms by their glossaries', async ({expect}) => {
+                // Load dictionary data
+                const testDictionarySource = await createTestDictionaryArchiveData('valid-dictionary1');
+                const testDictionaryIndex = await getDictionaryArchiveIndex(testDictionarySource);
+
+                const title = testDictionaryIndex.title;
+                const titles = new Map([
+                    [title, {alias: title, allowSecondarySearches: false}],
+                ]);
+
+                // Setup database
+                const dictionaryDatabase = new DictionaryDatabase();
+                await dictionaryDatabase.prepare();
+
+                // Import data
+                const glossaryIndexEnabled = (indexMethod === 'import');
+                await createDictionaryImporter(expect).importDictionary(dictionaryDatabase, testDictionarySource, {prefixWildcardsSupported: false, glossaryIndexEnabled, yomitanVersion: '0.0.0.0'});
+                if (indexMethod === 'build') {
+                    expect.soft(await dictionaryDatabase.findTermsByGlossary(['read'], titles, 100)).toStrictEqual([]);
+                    let progressEvent = false;
+                    await dictionaryDatabase.buildGlossaryIndex(title, () => { progressEvent = true; });
+                    expect.soft(progressEvent).toBe(true);
+                }
+
+                const [summary] = await dictionaryDatabase.getDictionaryInfo();
+                expect.soft(summary.glossaryIndexed).toBe(true);
+
+                // Search
+                const readResults = await dictionaryDatabase.findTermsByGlossary(['read'], titles, 100);
+                expect.soft(readResults.map(({term, reading, matchType, matchSource}) => ({term, reading, matchType, matchSource}))).toStrictEqual([
+                    {term: '読む', reading: 'よむ', matchType: 'meaning', matchSource: 'glossary'},
+                ]);
+
+                const utsuResults = await dictionaryDatabase.findTermsByGlossary(['utsu', 'definition'], titles, 100);
+                expect.soft(utsuResults.map(({term, reading}) => ({term, reading}))).toStrictEqual([
+                    {term: '打つ', reading: 'うつ'},
+                    {term: '打つ', reading: 'うつ'},
+                ]);
+
+                expect.soft(await dictionaryDatabase.findTermsByGlossary(['utsu', 'butsu'], titles, 100)).toStrictEqual([]);
+                expect.soft(await dictionaryDatabase.findTermsByGlossary(['read'], new Map(), 100)).toStrictEqual([]);
+
+                // Delete
+                await dictionaryDatabase.deleteDictionary(title, 1000, () => {});
+                expect.soft(await dictionaryDatabase.findTermsByGlossary(['read'], titles, 100)).toStrictEqual([]);
+
+                // Close
+                await dictionaryDatabase.close();
+            });
+        });
+    });
+
+    describe('Compressed glossaries', () => {
+        /** @type {{name: string, compressionMethod: 'import'|'compress'}[]} */
+        const compressionTestCases = [
+            {name: 'Compressed on import', compressionMethod: 'import'},
+            {name: 'Compressed after import', compressionMethod: 'compress'},
+        ];
+        describe.each(compressionTestCases)('$name', ({compressionMethod}) => {
+            test('Find terms with compressed glossaries', async ({expect}) => {
+                // Load dictionary data
+                const testDictionarySource = await createTestDictionaryArchiveData('valid-dictionary1');
+                const testDictionaryIndex = await getDictionaryArchiveIndex(testDictionarySource);
+
+                const title = testDictionaryIndex.title;
+                const titles = new Map([
+                    [title, {alias: title, allowSecondarySearches: false}],
+                ]);
+
+                // Setup database
+                const dictionaryDatabase = new DictionaryDatabase();
+                await dictionaryDatabase.prepare();
+
+                /**
+                 * @returns {Promise<Partial<import('dictionary-database').TermEntry>[]>}
+                 */
+                const findAllTerms = async () => {
+                    const {entries} = await dictionaryDatabase.findTermsByPattern(/^.+$/u, 'pattern', titles, null, 1000, 10000);
+                    const exactEntries = await dictionaryDatabase.findTermsExactBulk([{term: '打つ', reading: 'うつ'}], titles);
+                    return [...entries, ...exactEntries].map((entry) => {
+                        /** @type {Partial<import('dictionary-database').TermEntry>} */
+                        const result = {...entry};
+                        delete result.id;
+                        return result;
+                    });
+                };
+
+                // Reference import
+                await createDictionaryImporter(expect).importDictionary(dictionaryDatabase, testDictionarySource, {prefixWildcardsSupported: false, yomitanVersion: '0.0.0.0'});
+                const expectedTerms = await findAllTerms();
+                await dictionaryDatabase.deleteDictionary(title, 1000, () => {});
+
+                // Import data
+                const glossaryCompressionEnabled = (compressionMethod === 'import');
+                await createDictionaryImporter(expect).importDictionary(dictionaryDatabase, testDictionarySource, {prefixWildcardsSupported: false, glossaryCompressionEnabled, yomitanVersion: '0.0.0.0'});
+                if (compressionMethod === 'compress') {
+                    let progressEvent = false;
+                    await dictionaryDatabase.compressGlossaries(title, () => { progressEvent = true; });
+                    expect.soft(progressEvent).toBe(true);
+                }
+
+                const [summary] = await dictionaryDatabase.getDictionaryInfo();
+                expect.soft(summary.glossaryCompressed).toBe(true);
+
+                // Rows are stored compressed, but read back decompressed
+                // eslint-disable-next-line no-underscore-dangle
+                const rows = /** @type {import('dictionary-database').DatabaseTermEntry[]} */ (await dictionaryDatabase._getAll('terms', IDBKeyRange.lowerBound(-Infinity)));
+                expect.soft(rows.some((row) => typeof row.glossaryCompressed !== 'undefined')).toBe(true);
+                for await (const rowBatch of dictionaryDatabase.getDictionaryEntryBatches('terms', title, 1000)) {
+                    expect.soft(rowBatch.every((row) => typeof row.glossaryCompressed === 'undefined')).toBe(true);
+                }
+
+                // Search
+                expect.soft(await findAllTerms()).toStrictEqual(expectedTerms);
+
+                // Close
+                await dictionaryDatabase.close();
+            });
+        });
+    });
+
+    describe('Pattern search', () => {
+        test('Find terms by a headword pattern', async ({expect}) => {
+            // Load dictionary data
+            const testDictionarySource = await createTestDictionaryArchiveData('valid-dictionary1');
+            const testDictionaryIndex = await getDictionaryArchiveIndex(testDictionarySource);
+
+            const title = testDictionaryIndex.title;
+            const titles = new Map([
+                [title, {alias: title, allowSecondarySearches: false}],
+            ]);
+
+            // Setup database
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+
+            // Import data
+            await createDictionaryImporter(expect).importDictionary(dictionaryDatabase, testDictionarySource, {prefixWildcardsSupported: false, yomitanVersion: '0.0.0.0'});
+
+            // Search
+            const termResults = await dictionaryDatabase.findTermsByPattern(/^打.込む$/u, 'pattern', titles, null, 100, 10000);
+            expect.soft(termResults.nextCursor).toBeNull();
+            expect.soft(termResults.entries.length).toBeGreaterThan(0);
+            for (const {term, matchType, matchSource} of termResults.entries) {
+                expect.soft({term, matchType, matchSource}).toStrictEqual({term: '打ち込む', matchType: 'pattern', matchSource: 'term'});
+            }
+
+            const readingResults = await dictionaryDatabase.findTermsByPattern(/^よ.$/u, 'regex', titles, null, 100, 10000);
+            expect.soft(readingResults.entries.map(({term, reading, matchSource}) => ({term, reading, matchSource}))).toContainEqual({term: '読む', reading: 'よむ', matchSource: 'reading'});
+
+            // Paginate
+            /** @type {string[]} */
+            const pagedTerms = [];
+            /** @type {?number} */
+            let cursor = null;
+            let pageCount = 0;
+            do {
+                const page = await dictionaryDatabase.findTermsByPattern(/^.+$/u, 'pattern', titles, cursor, 1000, 2);
+                expect.soft(page.scannedCount).toBeLessThanOrEqual(2);
+                pagedTerms.push(...page.entries.map(({term}) => term));
+                cursor = page.nextCursor;
+                ++pageCount;
+            } while (cursor !== null);
+            const allResults = await dictionaryDatabase.findTermsByPattern(/^.+$/u, 'pattern', titles, null, 1000, 10000);
+            expect.soft(pageCount).toBeGreaterThan(1);
+            expect.soft(pagedTerms).toStrictEqual(allResults.entries.map(({term}) => term));
+
+            expect.soft((await dictionaryDatabase.findTermsByPattern(/^.+$/u, 'pattern', new Map(), null, 100, 10000)).entries).toStrictEqual([]);
+
+            // Delete
+            await dictionaryDatabase.deleteDictionary(title, 1000, () => {});
+
+            // Close
+            await dictionaryDatabase.close();
+        });
+    });
+
+    describe('Converted dictionaries', () => {
+        test('Import a delimited text dictionary', async ({expect}) => {
+            const text = 'term\treading\tdefinition\n打つ\tうつ\tto hit\n読む\tよむ\tto read\n';
+            const content = new TextEncoder().encode(text);
+            /** @type {import('dictionary-format-converter').SourceFile[]} */
+            const files = [{name: 'Converted Glossary.tsv', content: content.buffer}];
+
+            // Setup database
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+
+            // Import data
+            let conversionProgress = false;
+            const {result, errors} = await createDictionaryImporter(expect, ({nextStep, index, count}) => {
+                // Delimited text conversion progress is counted in characters
+                if (!nextStep && count === text.length && index === count) { conversionProgress = true; }
+            }).importDictionaryFiles(dictionaryDatabase, files, {prefixWildcardsSupported: false, yomitanVersion: '0.0.0.0'});
+            expect.soft(errors).toStrictEqual([]);
+            expect.soft(result?.title).toStrictEqual('Converted Glossary');
+            expect.soft(result?.counts?.terms.total).toStrictEqual(2);
+            expect.soft(conversionProgress).toBe(true);
+
+            // Search
+            const titles = new Map([
+                ['Converted Glossary', {alias: 'Converted Glossary', allowSecondarySearches: false}],
+            ]);
+            const results = await dictionaryDatabase.findTermsBulk(['読む'], titles, 'exact');
+            expect.soft(results.map(({term, reading, definitions}) => ({term, reading, definitions}))).toStrictEqual([
+                {term: '読む', reading: 'よむ', definitions: ['to read']},
+            ]);
+
+            // Close
+            await dictionaryDatabase.close();
+        });
+    });
+
+    describe('Dictionary update', () => {
+        test('Replace a dictionary with a staged revision', async ({expect}) => {
+            // Load dictionary data
+            const testDictionarySource = await createTestDictionaryArchiveData('valid-dictionary1');
+            const testDictionaryIndex = await getDictionaryArchiveIndex(testDictionarySource);
+            const title = testDictionaryIndex.title;
+            const stagedTitle = `${title} (update)`;
+
+            // Setup database
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+
+            // Import the current and staged revisions side by side
+            const details = {prefixWildcardsSupported: false, yomitanVersion: '0.0.0.0'};
+            await createDictionaryImporter(expect).importDictionary(dictionaryDatabase, testDictionarySource, details);
+            const {result: stagedSummary} = await createDictionaryImporter(expect).importDictionary(dictionaryDatabase, testDictionarySource, {...details, title: stagedTitle});
+            expect.soft(stagedSummary?.title).toStrictEqual(stagedTitle);
+            const {counts: counts1} = await dictionaryDatabase.getDictionaryCounts([title, stagedTitle], false);
+            expect.soft(counts1[1]).toStrictEqual(counts1[0]);
+
+            // Swap in the staged revision
+            await dictionaryDatabase.replaceDictionary(title, stagedTitle, title);
+            const info = await dictionaryDatabase.getDictionaryInfo();
+            expect.soft(info.map((item) => item.title)).toStrictEqual([title]);
+            expect.soft({...info[0], importDate: 0}).toStrictEqual({...stagedSummary, title, importDate: 0});
+            const {counts: counts2} = await dictionaryDatabase.getDictionaryCounts([title, stagedTitle], false);
+            expect.soft(counts2[0]).toStrictEqual(counts1[0]);
+            expect.soft(Object.values(counts2[1]).every((count) => count === 0)).toBe(true);
+
+            // Close
+            await dictionaryDatabase.close();
+        });
+    });
+
+    describe('Resumable import', () => {
+        test('Resume an interrupted import after its last committed file', async ({expect}) => {
+            // Load dictionary data
+            const testDictionarySource = await createTestDictionaryArchiveData('valid-dictionary1');
+            const testDictionaryIndex = await getDictionaryArchiveIndex(testDictionarySource);
+            const title = testDictionaryIndex.title;
+            const details = {prefixWildcardsSupported: false, yomitanVersion: '0.0.0.0'};
+
+            // Reference import
+            const referenceDatabase = new DictionaryDatabase();
+            await referenceDatabase.prepare();
+            const {result: referenceSummary} = await createDictionaryImporter(expect).importDictionary(referenceDatabase, testDictionarySource, details);
+            const {counts: [referenceCounts]} = await referenceDatabase.getDictionaryCounts([title], false);
+            await referenceDatabase.close();
+            globalThis.indexedDB = new IDBFactory();
+
+            // Setup database
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+
+            // Interrupt the import at the kanji bank
+            const dictionaryImporter1 = createDictionaryImporter(expect);
+            // eslint-disable-next-line no-underscore-dangle
+            const readFileSequence = dictionaryImporter1._readFileSequence.bind(dictionaryImporter1);
+            vi.spyOn(dictionaryImporter1, '_readFileSequence').mockImplementation(async (files, convertEntry, dictionaryTitle) => {
+                if (files[0].filename === 'kanji_bank_1.json') { throw new Error('Interrupted'); }
+                return await readFileSequence(files, convertEntry, dictionaryTitle);
+            });
+            const {result: result1, errors: errors1} = await dictionaryImporter1.importDictionary(dictionaryDatabase, testDictionarySource, details);
+            expect.soft(errors1).toStrictEqual([new Error('Interrupted')]);
+            expect.soft(result1?.importSuccess).toBe(false);
+            expect.soft(result1?.importCheckpoint?.committedFiles).toStrictEqual(['term_bank_1.json', 'term_bank_2.json', 'term_meta_bank_1.json']);
+            expect.soft(result1?.importCheckpoint?.fileCount).toStrictEqual(8);
+
+            // Rows of a file that was only partly written before the interruption
+            await dictionaryDatabase.bulkAdd('kanji', [{character: '?', onyomi: '', kunyomi: '', tags: '', meanings: [], dictionary: title}], 0, 1);
+
+            // Resume
+            const {result: result2, errors: errors2} = await createDictionaryImporter(expect).importDictionary(dictionaryDatabase, testDictionarySource, details);
+            expect.soft(errors2).toStrictEqual([]);
+            expect.soft({...result2, importDate: 0}).toStrictEqual({...referenceSummary, importDate: 0});
+            const {counts: [counts]} = await dictionaryDatabase.getDictionaryCounts([title], false);
+            expect.soft(counts).toStrictEqual(referenceCounts);
+
+            // Close
+            await dictionaryDatabase.close();
+        });
+
+        test('Do not commit a file whose rows failed to be added', async ({expect}) => {
+            // Load dictionary data
+            const testDictionarySource = await createTestDictionaryArchiveData('valid-dictionary1');
+            const testDictionaryIndex = await getDictionaryArchiveIndex(testDictionarySource);
+            const title = testDictionaryIndex.title;
+            const details = {prefixWildcardsSupported: false, yomitanVersion: '0.0.0.0'};
+
+            // Reference import
+            const referenceDatabase = new DictionaryDatabase();
+            await referenceDatabase.prepare();
+            const {result: referenceSummary} = await createDictionaryImporter(expect).importDictionary(referenceDatabase, testDictionarySource, details);
+            const {counts: [referenceCounts]} = await referenceDatabase.getDictionaryCounts([title], false);
+            await referenceDatabase.close();
+            globalThis.indexedDB = new IDBFactory();
+
+            // Setup database
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+
+            // Fail to add the rows of the term meta bank, while the import continues with the other files
+            const bulkAdd = dictionaryDatabase.bulkAdd.bind(dictionaryDatabase);
+            const bulkAddSpy = vi.spyOn(dictionaryDatabase, 'bulkAdd').mockImplementation(async (...args) => {
+                if (args[0] === 'termMeta') { throw new Error('Quota exceeded'); }
+                await bulkAdd(...args);
+            });
+            const {result: result1, errors: errors1} = await createDictionaryImporter(expect).importDictionary(dictionaryDatabase, testDictionarySource, details);
+            bulkAddSpy.mockRestore();
+            expect.soft(errors1).toStrictEqual([new Error('Quota exceeded')]);
+            expect.soft(result1?.importSuccess).toBe(false);
+            expect.soft(result1?.importCheckpoint?.committedFiles).toStrictEqual(['term_bank_1.json', 'term_bank_2.json']);
+
+            // Resume
+            const {result: result2, errors: errors2} = await createDictionaryImporter(expect).importDictionary(dictionaryDatabase, testDictionarySource, details);
+            expect.soft(errors2).toStrictEqual([]);
+            expect.soft({...result2, importDate: 0}).toStrictEqual({...referenceSummary, importDate: 0});
+            const {counts: [counts]} = await dictionaryDatabase.getDictionaryCounts([title], false);
+            expect.soft(counts).toStrictEqual(referenceCounts);
+
+            // Close
+            await dictionaryDatabase.close();
+        });
+    });
+
+    describe('Dictionary integrity', () => {
+        test('Report and repair inconsistent rows', async ({expect}) => {
+            // Load dictionary data
+            const testDictionarySource = await createTestDictionaryArchiveData('valid-dictionary1');
+            const testDictionaryIndex = await getDictionaryArchiveIndex(testDictionarySource);
+            const title = testDictionaryIndex.title;
+
+            // Setup database
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+            await createDictionaryImporter(expect).importDictionary(dictionaryDatabase, testDictionarySource, {prefixWildcardsSupported: false, yomitanVersion: '0.0.0.0'});
+            const {counts: [counts]} = await dictionaryDatabase.getDictionaryCounts([title], false);
+
+            const checker = new DictionaryIntegrityChecker();
+            expect.soft(await checker.checkIntegrity(dictionaryDatabase)).toStrictEqual({
+                dictionaries: [{title, countMismatches: [], duplicateRows: {}, missingMedia: []}],
+                orphanDictionaries: [],
+                unownedRows: {},
+            });
+
+            // Damage the database
+            /** @type {import('dictionary-database').Tag} */
+            const tag = {name: 'orphan', category: '', order: 0, notes: '', score: 0, dictionary: 'Deleted Dictionary'};
+            await dictionaryDatabase.bulkAdd('tagMeta', [tag], 0, 1);
+            const unownedTag = /** @type {{[key: string]: unknown}} */ ({...tag});
+            delete unownedTag.dictionary;
+            await dictionaryDatabase.bulkAdd('tagMeta', /** @type {import('dictionary-database').Tag[]} */ (/** @type {unknown} */ ([unownedTag])), 0, 1);
+            for await (const rows of dictionaryDatabase.getDictionaryEntryBatches('termMeta', title, 2)) {
+                await dictionaryDatabase.bulkAdd('termMeta', rows, 0, 2);
+                break;
+            }
+            let missingPath = '';
+            for await (const [{key, row}] of dictionaryDatabase.getDictionaryRowBatches('media', title, 1)) {
+                missingPath = row.path;
+                await dictionaryDatabase.deleteRows('media', [key]);
+                break;
+            }
+
+            /** @type {import('dictionary-integrity-checker').IntegrityReport} */
+            const damagedReport = {
+                dictionaries: [{
+                    title,
+                    countMismatches: [
+                        {objectStoreName: 'termMeta', expected: counts.termMeta, actual: counts.termMeta + 2},
+                        {objectStoreName: 'media', expected: counts.media, actual: counts.media - 1},
+                    ],
+                    duplicateRows: {termMeta: 2},
+                    missingMedia: [missingPath],
+                }],
+                orphanDictionaries: [{dictionary: 'Deleted Dictionary', rowCounts: {tagMeta: 1}}],
+                unownedRows: {tagMeta: 1},
+            };
+            expect.soft(await checker.checkIntegrity(dictionaryDatabase)).toStrictEqual(damagedReport);
+
+            // Repair
+            const {repaired, remaining} = await checker.repair(dictionaryDatabase);
+            expect.soft(repaired).toStrictEqual(damagedReport);
+            expect.soft(remaining).toStrictEqual({
+                dictionaries: [{title, countMismatches: [], duplicateRows: {}, missingMedia: [missingPath]}],
+                orphanDictionaries: [],
+                unownedRows: {},
+            });
+            const {counts: [counts2], total} = await dictionaryDatabase.getDictionaryCounts([title], true);
+            expect.soft(counts2).toStrictEqual({...counts, media: counts.media - 1});
+            expect.soft(total).toStrictEqual(counts2);
+
+            // Close
+            await dictionaryDatabase.close();
+        });
+    });
+
+    describe('Personal dictionary', () => {
+        test('Add, edit and delete terms', async ({expect}) => {
+            // Setup database
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+            const personalDictionary = new PersonalDictionary(dictionaryDatabase);
+            const dictionaries = new Map([[PERSONAL_DICTIONARY_NAME, {index: 0, alias: PERSONAL_DICTIONARY_NAME, priority: 0}]]);
+            /**
+             * @param {string} term
+             * @returns {Promise<string[]>}
+             */
+            const findTerms = async (term) => (await dictionaryDatabase.findTermsBulk([term], dictionaries, 'exact')).map(({term: term2, reading}) => `${term2}:${reading}`);
+
+            // Invalid terms
+            await expect.soft(personalDictionary.addEntry({term: ' ', reading: '', definitions: ['a'], tags: [], sentence: ''})).rejects.toThrow('The term is empty');
+            await expect.soft(personalDictionary.addEntry({term: 'a', reading: '', definitions: [' '], tags: [], sentence: ''})).rejects.toThrow('The term has no definitions');
+            expect.soft(await dictionaryDatabase.dictionaryExists(PERSONAL_DICTIONARY_NAME)).toBe(false);
+
+            // Add
+            await personalDictionary.addEntry({term: '打', reading: 'だ', definitions: ['hit', ''], tags: ['n', 'name'], sentence: '打つ'});
+            await personalDictionary.addEntry({term: 'ヨミタン', reading: '', definitions: ['Yomitan'], tags: [], sentence: ''});
+            const entries = await personalDictionary.getEntries();
+            expect.soft(entries.map((entry) => ({...entry, id: 0}))).toStrictEqual([
+                {id: 0, term: '打', reading: 'だ', definitions: ['hit'], tags: ['n', 'name'], sentence: '打つ'},
+                {id: 0, term: 'ヨミタン', reading: '', definitions: ['Yomitan'], tags: [], sentence: ''},
+            ]);
+            expect.soft(await findTerms('打')).toStrictEqual(['打:だ']);
+            expect.soft(await findTerms('ヨミタン')).toStrictEqual(['ヨミタン:ヨミタン']);
+            const [summary] = await dictionaryDatabase.getDictionaryInfo();
+            expect.soft(summary.title).toStrictEqual(PERSONAL_DICTIONARY_NAME);
+            expect.soft(summary.counts?.terms.total).toStrictEqual(2);
+            expect.soft((await dictionaryDatabase.findTermsByGlossary(['yomitan'], dictionaries, 10)).map(({term}) => term)).toStrictEqual(['ヨミタン']);
+
+            // Edit
+            await personalDictionary.updateEntry(entries[0].id, {term: '打つ', reading: 'うつ', definitions: ['to hit'], tags: [], sentence: ''});
+            expect.soft(await findTerms('打')).toStrictEqual([]);
+            expect.soft(await findTerms('打つ')).toStrictEqual(['打つ:うつ']);
+
+            // Delete
+            await personalDictionary.deleteEntry(entries[1].id);
+            expect.soft(await findTerms('ヨミタン')).toStrictEqual([]);
+            expect.soft((await personalDictionary.getEntries()).map(({term}) => term)).toStrictEqual(['打つ']);
+            const info = await dictionaryDatabase.getDictionaryInfo();
+            expect.soft(info.length).toStrictEqual(1);
+            expect.soft(info[0].counts?.terms.total).toStrictEqual(1);
+
+            // Close
+            await dictionaryDatabase.close();
+        });
+
+        test('Edit terms which share a headword', async ({expect}) => {
+            // Setup database
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+            const personalDictionary = new PersonalDictionary(dictionaryDatabase);
+            const dictionaries = new Map([[PERSONAL_DICTIONARY_NAME, {index: 0, alias: PERSONAL_DICTIONARY_NAME, priority: 0}]]);
+            /**
+             * @param {string} token
+             * @returns {Promise<string[]>}
+             */
+            const findHeadwordsByGlossary = async (token) => [...new Set((await dictionaryDatabase.findTermsByGlossary([token], dictionaries, 10)).map(({term}) => term))];
+            /**
+             * @returns {Promise<number>}
+             */
+            const getGlossaryIndexRowCount = async () => {
+                let count = 0;
+                for await (const rows of dictionaryDatabase.getDictionaryEntryBatches('glossaryIndex', PERSONAL_DICTIONARY_NAME, 100)) {
+                    count += rows.length;
+                }
+                return count;
+            };
+
+            // Concurrent additions
+            await Promise.all([
+                personalDictionary.addEntry({term: '打', reading: 'だ', definitions: ['hit'], tags: [], sentence: ''}),
+                personalDictionary.addEntry({term: '打', reading: 'だ', definitions: ['hit hard'], tags: [], sentence: ''}),
+                personalDictionary.addEntry({term: '読む', reading: 'よむ', definitions: ['read'], tags: [], sentence: ''}),
+            ]);
+            const entries = await personalDictionary.getEntries();
+            expect.soft(entries.map(({term, definitions}) => `${term}:${definitions.join(',')}`)).toStrictEqual(['打:hit', '打:hit hard', '読む:read']);
+            expect.soft((await dictionaryDatabase.getDictionaryInfo())[0].counts?.terms.total).toStrictEqual(3);
+            expect.soft(await getGlossaryIndexRowCount()).toStrictEqual(4);
+
+            // Only the index rows of the edited term are replaced
+            await personalDictionary.updateEntry(entries[1].id, {term: '打', reading: 'だ', definitions: ['strike'], tags: [], sentence: ''});
+            expect.soft(await findHeadwordsByGlossary('hit')).toStrictEqual(['打']);
+            expect.soft(await findHeadwordsByGlossary('hard')).toStrictEqual([]);
+            expect.soft(await findHeadwordsByGlossary('strike')).toStrictEqual(['打']);
+            expect.soft(await getGlossaryIndexRowCount()).toStrictEqual(3);
+
+            // Deleting one term leaves the other term with the same headword indexed
+            await personalDictionary.deleteEntry(entries[0].id);
+            expect.soft(await findHeadwordsByGlossary('hit')).toStrictEqual([]);
+            expect.soft(await findHeadwordsByGlossary('strike')).toStrictEqual(['打']);
+            expect.soft(await getGlossaryIndexRowCount()).toStrictEqual(2);
+            expect.soft((await dictionaryDatabase.getDictionaryInfo())[0].counts?.terms.total).toStrictEqual(2);
+
+            // Unknown terms are ignored
+            await personalDictionary.deleteEntry(entries[0].id);
+            expect.soft((await personalDictionary.getEntries()).length).toStrictEqual(2);
+
+            // Close
+            await dictionaryDatabase.close();
+        });
+    });
+
+    describe('Dictionary export', () => {
+        test('Export a dictionary and import it again', async ({expect}) => {
+            // Load dictionary data
+            const testDictionarySource = await createTestDictionaryArchiveData('valid-dictionary1');
+            const testDictionaryIndex = await getDictionaryArchiveIndex(testDictionarySource);
+            const title = testDictionaryIndex.title;
+
+            // Setup database
+            const dictionaryDatabase = new DictionaryDatabase();
+            await dictionaryDatabase.prepare();
+
+            /** @type {('terms'|'termMeta'|'kanji'|'kanjiMeta'|'tagMeta'|'media')[]} */
+            const objectStoreNames = ['terms', 'termMeta', 'kanji', 'kanjiMeta', 'tagMeta', 'media'];
+            const getRows = async () => {
+                /** @type {unknown[]} */
+                const rows = [];
+                for (const objectStoreName of objectStoreNames) {
+                    for await (const batch of dictionaryDatabase.getDictionaryEntryBatches(objectStoreName, title, 100)) {
+                        for (const row of batch) {
+                            const row2 = /** @type {{id?: number}} */ ({...row});
+                            delete row2.id;
+                            rows.push(row2);
+                        }
+                    }
+                }
+                return rows;
+            };
+
+            // Import and export data
+            const {result: summary1} = await createDictionaryImporter(expect).importDictionary(dictionaryDatabase, testDictionarySource, {prefixWildcardsSupported: false, yomitanVersion: '0.0.0.0'});
+            const rows1 = await getRows();
+            let progressCount = 0;
+            const blob = await new DictionaryExporter(({index, count}) => {
+                expect.soft(index <= count).toBe(true);
+                ++progressCount;
+            }).exportDictionary(dictionaryDatabase, title, {compressionLevel: 0});
+            expect.soft(progressCount).toBeGreaterThan(1);
+            await expect.soft(new DictionaryExporter().exportDictionary(dictionaryDatabase, 'Missing Dictionary', {compressionLevel: 0})).rejects.toThrow('Dictionary Missing Dictionary is not imported');
+
+            // Import the exported data
+            await dictionaryDatabase.deleteDictionary(title, 1000, () => {});
+            const {result: summary2, errors} = await createDictionaryImporter(expect).importDictionary(dictionaryDatabase, await blob.arrayBuffer(), {prefixWildcardsSupported: false, yomitanVersion: '0.0.0.0'});
+            expect.soft(errors).toStrictEqual([]);
+            expect.soft(summary2?.counts).toStrictEqual(summary1?.counts);
+            expect.soft(summary2?.styles).toStrictEqual(summary1?.styles);
+            expect.soft({...summary2, importDate: 0, version: 3}).toStrictEqual({...summary1, importDate: 0, version: 3});
+            expect.soft(await getRows()).toStrictEqual(rows1);
+
+            // Close
+            await dictionaryDatabase.close();
+        });
+    });
 });
@@ -0,0 +1,434 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {deflateSync, gzipSync} from 'node:zlib';
+import {describe, expect, test} from 'vitest';
+import {convertDelimitedTextDictionary, parseDelimitedText} from '../ext/js/dictionary/delimited-text-converter.js';
+import {getDictionaryArchiveEntries, readArchiveEntryDataJson} from '../dev/dictionary-archive-util.js';
+import {convertDictionaryFiles, DictionaryArchiveWriter, getDictionaryFileFormat, groupDictionaryFiles, isDictionaryFileName} from '../ext/js/dictionary/dictionary-format-converter.js';
+import {convertMdictDictionary} from '../ext/js/dictionary/mdict-converter.js';
+import {convertStarDictDictionary} from '../ext/js/dictionary/stardict-converter.js';
+
+const encoder = new TextEncoder();
+
+/**
+ * @param {string} name
+ * @param {string|Uint8Array} content
+ * @returns {import('dictionary-format-converter').SourceFile}
+ */
+function createSourceFile(name, content) {
+    const data = typeof content === 'string' ? encoder.encode(content) : content;
+    return {name, content: data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)};
+}
+
+/**
+ * @param {(number[]|Uint8Array)[]} parts
+ * @returns {Uint8Array}
+ */
+function concat(parts) {
+    const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        result.set(part, position);
+        position += part.length;
+    }
+    return result;
+}
+
+/**
+ * @param {number} value
+ * @returns {Uint8Array}
+ */
+function uint32(value) {
+    const result = new Uint8Array(4);
+    new DataView(result.buffer).setUint32(0, value, false);
+    return result;
+}
+
+/**
+ * @param {number} value
+ * @returns {Uint8Array}
+ */
+function uint64(value) {
+    const result = new Uint8Array(8);
+    new DataView(result.buffer).setBigUint64(0, BigInt(value), false);
+    return result;
+}
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function utf16(text) {
+    const result = new Uint8Array(text.length * 2);
+    for (let i = 0; i < text.length; ++i) {
+        new DataView(result.buffer).setUint16(i * 2, text.charCodeAt(i), true);
+    }
+    return result;
+}
+
+/**
+ * Creates an MDict block compressed with zlib.
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function createMdictBlock(data) {
+    return concat([[2, 0, 0, 0], [0, 0, 0, 0], deflateSync(data)]);
+}
+
+/**
+ * Creates a version 2 MDict file with a single key block and a single record block.
+ * @param {string} headerAttributes
+ * @param {[key: string, record: Uint8Array][]} entries
+ * @param {boolean} isResource
+ * @returns {Uint8Array}
+ */
+function createMdictFile(headerAttributes, entries, isResource) {
+    const header = utf16(`<${isResource ? 'Library_Data' : 'Dictionary'} GeneratedByEngineVersion="2.0" ${headerAttributes}/>\r\n\0`);
+    const encodeKey = (/** @type {string} */ key) => (isResource ? concat([utf16(key), [0, 0]]) : concat([encoder.encode(key), [0]]));
+    const keyWidth = isResource ? 2 : 1;
+
+    /** @type {Uint8Array[]} */
+    const keyParts = [];
+    /** @type {Uint8Array[]} */
+    const recordParts = [];
+    let offset = 0;
+    for (const [key, record] of entries) {
+        keyParts.push(uint64(offset), encodeKey(key));
+        recordParts.push(record);
+        offset += record.length;
+    }
+    const keyData = concat(keyParts);
+    const keyBlock = createMdictBlock(keyData);
+    const firstKey = entries[0][0];
+    const lastKey = entries[entries.length - 1][0];
+    const keyBlockInfoData = concat([
+        uint64(entries.length),
+        [0, firstKey.length],
+        new Uint8Array((firstKey.length + 1) * keyWidth),
+        [0, lastKey.length],
+        new Uint8Array((lastKey.length + 1) * keyWidth),
+        uint64(keyBlock.length),
+        uint64(keyData.length),
+    ]);
+    const keyBlockInfo = createMdictBlock(keyBlockInfoData);
+    const recordData = concat(recordParts);
+    const recordBlock = createMdictBlock(recordData);
+
+    return concat([
+        uint32(header.length),
+        header,
+        [0, 0, 0, 0],
+        uint64(1),
+        uint64(entries.length),
+        uint64(keyBlockInfoData.length),
+        uint64(keyBlockInfo.length),
+        uint64(keyBlock.length),
+        [0, 0, 0, 0],
+        keyBlockInfo,
+        keyBlock,
+        uint64(1),
+        uint64(entries.length),
+        uint64(16),
+        uint64(recordBlock.length),
+        uint64(recordBlock.length),
+        uint64(recordData.length),
+        recordBlock,
+    ]);
+}
+
+/**
+ * Creates a writer which keeps the terms and media of a converted dictionary.
+ * @returns {{writer: import('dictionary-format-converter').DictionaryWriter, terms: import('dictionary-data').TermV3[], media: Map<string, Uint8Array>}}
+ */
+function createWriter() {
+    /** @type {import('dictionary-data').TermV3[]} */
+    const terms = [];
+    /** @type {Map<string, Uint8Array>} */
+    const media = new Map();
+    /** @type {import('dictionary-format-converter').DictionaryWriter} */
+    const writer = {
+        addTerm: async (term) => { terms.push(term); },
+        addMedia: async (path, content) => { media.set(path, content); },
+    };
+    return {writer, terms, media};
+}
+
+/**
+ * @param {ArrayBuffer} archive
+ * @returns {Promise<Map<string, unknown>>} The JSON files of the archive, by name.
+ */
+async function readArchiveJsonFiles(archive) {
+    /** @type {Map<string, unknown>} */
+    const files = new Map();
+    for (const entry of await getDictionaryArchiveEntries(archive)) {
+        if (!entry.filename.endsWith('.json')) { continue; }
+        files.set(entry.filename, await readArchiveEntryDataJson(entry));
+    }
+    return files;
+}
+
+/**
+ * @returns {import('dictionary-format-converter').OnProgressCallback}
+ */
+function createProgressCallback() {
+    return ({index, count}) => {
+        expect.soft(index <= count).toBe(true);
+    };
+}
+
+describe('Dictionary format converters', () => {
+    describe('File names', () => {
+        /** @type {[fileName: string, format: import('dictionary-format-converter').FormatName, isDictionary: boolean][]} */
+        const data = [
+            ['dictionary.zip', 'yomitan', true],
+            ['dictionary.ifo', 'stardict', true],
+            ['dictionary.idx.gz', 'stardict', true],
+            ['dictionary.DICT.DZ', 'stardict', true],
+            ['dictionary.mdx', 'mdict', true],
+            ['dictionary.1.mdd', 'mdict', true],
+            ['dictionary.tsv', 'delimited-text', true],
+            ['dictionary.csv', 'delimited-text', true],
+            ['dictionary.txt', 'yomitan', false],
+        ];
+        test.each(data)('%s is %s', (fileName, format, isDictionary) => {
+            expect(getDictionaryFileFormat(fileName)).toStrictEqual(format);
+            expect(isDictionaryFileName(fileName)).toStrictEqual(isDictionary);
+        });
+    });
+
+    test('groupDictionaryFiles', () => {
+        const files = [
+            'a.zip',
+            'b.ifo',
+            'c.tsv',
+            'b.idx',
+            'd.mdx',
+            'c.csv',
+            'b.dict.dz',
+            'd.mdd',
+            'd.1.mdd',
+            'b.zip',
+        ].map((name) => ({name}));
+        const groups = groupDictionaryFiles(files).map((group) => group.map(({name}) => name));
+        expect(groups).toStrictEqual([
+            ['a.zip'],
+            ['b.ifo', 'b.idx', 'b.dict.dz'],
+            ['c.tsv'],
+            ['d.mdx', 'd.mdd', 'd.1.mdd'],
+            ['c.csv'],
+            ['b.zip'],
+        ]);
+    });
+
+    describe('parseDelimitedText', () => {
+        /** @type {[text: string, delimiter: string, expected: string[][]][]} */
+        const data = [
+            ['a\tb\nc\td\n', '\t', [['a', 'b'], ['c', 'd']]],
+            ['\uFEFFa,b\r\nc,d', ',', [['a', 'b'], ['c', 'd']]],
+            ['"a,b","c ""d"""\n', ',', [['a,b', 'c "d"']]],
+            ['"a\nb",c\n\nd,e', ',', [['a\nb', 'c'], [''], ['d', 'e']]],
+        ];
+        test.each(data)('parseDelimitedText(%o, %o)', (text, delimiter, expected) => {
+            expect(parseDelimitedText(text, delimiter)).toStrictEqual(expected);
+        });
+    });
+
+    describe('Delimited text', () => {
+        test('Columns without a header', async () => {
+            const file = createSourceFile('Test Glossary.tsv', '打つ\tうつ\tto hit\tto strike\n読む\tよむ\tto read\n');
+            const {writer, terms} = createWriter();
+            const index = await convertDelimitedTextDictionary([file], writer, createProgressCallback());
+            expect(index).toStrictEqual({title: 'Test Glossary', revision: '1', format: 3});
+            expect(terms).toStrictEqual([
+                ['打つ', 'うつ', '', '', 0, ['to hit', 'to strike'], 0, ''],
+                ['読む', 'よむ', '', '', 0, ['to read'], 1, ''],
+            ]);
+        });
+
+        test('Columns with a header', async () => {
+            const file = createSourceFile('glossary.csv', 'Definition,Word,Tags,Score\n"to hit, to strike",打つ,v5,10\n');
+            const {writer, terms} = createWriter();
+            await convertDelimitedTextDictionary([file], writer, createProgressCallback());
+            expect(terms).toStrictEqual([
+                ['打つ', '', 'v5', '', 10, ['to hit, to strike'], 1, ''],
+            ]);
+        });
+
+        test('Empty file', async () => {
+            const file = createSourceFile('empty.tsv', '');
+            await expect(convertDelimitedTextDictionary([file], createWriter().writer, createProgressCallback())).rejects.toThrow('empty.tsv does not contain any terms');
+        });
+    });
+
+    describe('StarDict', () => {
+        /**
+         * @param {[word: string, data: Uint8Array][]} entries
+         * @returns {{idx: Uint8Array, dict: Uint8Array}}
+         */
+        const createIndex = (entries) => {
+            /** @type {Uint8Array[]} */
+            const idxParts = [];
+            let offset = 0;
+            for (const [word, data] of entries) {
+                idxParts.push(encoder.encode(word), new Uint8Array([0]), uint32(offset), uint32(data.length));
+                offset += data.length;
+            }
+            return {idx: concat(idxParts), dict: concat(entries.map(([, data]) => data))};
+        };
+
+        test('Typed fields and synonyms', async () => {
+            const {idx, dict} = createIndex([
+                ['打つ', concat([encoder.encode('yうつ\0m'), encoder.encode('to hit\0')])],
+                ['読む', encoder.encode('h<b>to read</b>; see <a href="bword://打つ">打つ</a>\0')],
+            ]);
+            const syn = concat([encoder.encode('撃つ'), [0], uint32(0)]);
+            const ifo = 'StarDict\'s dict ifo file\nversion=2.4.2\nwordcount=2\nbookname=Test StarDict\nauthor=Author\ndescription=Line 1<br>Line 2\n';
+            const {writer, terms, media} = createWriter();
+            const index = await convertStarDictDictionary([
+                createSourceFile('test.ifo', ifo),
+                createSourceFile('test.idx.gz', gzipSync(idx)),
+                createSourceFile('test.dict', dict),
+                createSourceFile('test.syn', syn),
+            ], writer, createProgressCallback());
+            expect(index).toStrictEqual({title: 'Test StarDict', revision: '1', format: 3, sequenced: true, author: 'Author', description: 'Line 1\nLine 2'});
+            /** @type {import('structured-content').Content} */
+            const content = [
+                {tag: 'span', style: {fontWeight: 'bold'}, content: 'to read'},
+                '; see ',
+                {tag: 'a', href: '?query=%E6%89%93%E3%81%A4&wildcards=off', content: '打つ'},
+            ];
+            expect(terms).toStrictEqual([
+                ['打つ', 'うつ', '', '', 0, ['to hit'], 0, ''],
+                ['撃つ', 'うつ', '', '', 0, ['to hit'], 0, ''],
+                ['読む', '', '', '', 0, [{type: 'structured-content', content}], 1, ''],
+            ]);
+            expect(media.size).toStrictEqual(0);
+        });
+
+        test('Same type sequence', async () => {
+            const {idx, dict} = createIndex([
+                ['打つ', encoder.encode('to hit')],
+            ]);
+            const ifo = 'StarDict\'s dict ifo file\nbookname=Test\nsametypesequence=m\n';
+            const {writer, terms} = createWriter();
+            await convertStarDictDictionary([
+                createSourceFile('test.ifo', ifo),
+                createSourceFile('test.idx', idx),
+                createSourceFile('test.dict.dz', gzipSync(dict)),
+            ], writer, createProgressCallback());
+            expect(terms).toStrictEqual([
+                ['打つ', '', '', '', 0, ['to hit'], 0, ''],
+            ]);
+        });
+
+        test('Missing files', async () => {
+            await expect(convertStarDictDictionary([createSourceFile('test.ifo', '')], createWriter().writer, createProgressCallback())).rejects.toThrow('StarDict dictionaries must include .ifo, .idx and .dict files');
+        });
+    });
+
+    describe('MDict', () => {
+        test('Entries, links and resources', async () => {
+            const mdx = createMdictFile('Encrypted="0" Encoding="UTF-8" Title="Test MDict" Description="&lt;p&gt;About&lt;/p&gt;"', [
+                ['打つ', encoder.encode('<div>to hit <img src="/images/icon.png"> <a href="entry://読む#top">読む</a></div>\0')],
+                ['撃つ', encoder.encode('@@@LINK=打つ\r\n\0')],
+                ['読む', encoder.encode('to read\0')],
+            ], false);
+            const image = new Uint8Array([0x89, 0x50, 0x4e, 0x47]);
+            const mdd = createMdictFile('Encrypted="0"', [
+                ['\\images\\icon.png', image],
+                ['\\sounds\\a.mp3', new Uint8Array([1])],
+            ], true);
+            const {writer, terms, media} = createWriter();
+            const index = await convertMdictDictionary([
+                createSourceFile('test.mdx', mdx),
+                createSourceFile('test.mdd', mdd),
+            ], writer, createProgressCallback());
+            expect(index).toStrictEqual({title: 'Test MDict', revision: '1', format: 3, sequenced: true, description: 'About'});
+            /** @type {import('structured-content').Content} */
+            const content = [
+                'to hit ',
+                {tag: 'img', path: 'images/icon.png'},
+                ' ',
+                {tag: 'a', href: '?query=%E8%AA%AD%E3%82%80&wildcards=off', content: '読む'},
+            ];
+            const glossary = [{type: 'structured-content', content: {tag: 'div', content}}];
+            expect(terms).toStrictEqual([
+                ['打つ', '', '', '', 0, glossary, 0, ''],
+                ['撃つ', '', '', '', 0, glossary, 0, ''],
+                ['読む', '', '', '', 0, [{type: 'structured-content', content: 'to read'}], 2, ''],
+            ]);
+            expect([...media.keys()]).toStrictEqual(['images/icon.png']);
+            expect(media.get('images/icon.png')).toStrictEqual(image);
+        });
+
+        test('Encrypted records', async () => {
+            const mdx = createMdictFile('Encrypted="1"', [['a', encoder.encode('a')]], false);
+            await expect(convertMdictDictionary([createSourceFile('test.mdx', mdx)], createWriter().writer, createProgressCallback())).rejects.toThrow('MDict files with encrypted records are not supported');
+        });
+    });
+
+    test('convertDictionaryFiles', async () => {
+        const zip = createSourceFile('test.zip', new Uint8Array([1, 2, 3]));
+        expect(await convertDictionaryFiles([zip], createProgressCallback())).toBe(zip.content);
+
+        const tsv = createSourceFile('test.tsv', '打つ\tうつ\tto hit\n');
+        const archive = await convertDictionaryFiles([tsv], createProgressCallback());
+        expect(new Uint8Array(archive.slice(0, 4))).toStrictEqual(new Uint8Array([0x50, 0x4b, 0x03, 0x04]));
+
+        await expect(convertDictionaryFiles([tsv, createSourceFile('test.ifo', '')], createProgressCallback())).rejects.toThrow('Unexpected file test.ifo in delimited-text dictionary');
+    });
+
+    test('Term banks are split as they fill', async () => {
+        const rows = [];
+        for (let i = 0; i < 25001; ++i) {
+            rows.push(`term${i}\treading${i}\tgloss ${i}`);
+        }
+        const tsv = createSourceFile('large.tsv', rows.join('\n'));
+        const files = await readArchiveJsonFiles(await convertDictionaryFiles([tsv], createProgressCallback()));
+        expect([...files.keys()].sort()).toStrictEqual(['index.json', 'term_bank_1.json', 'term_bank_2.json', 'term_bank_3.json']);
+        const termBanks = ['term_bank_1.json', 'term_bank_2.json', 'term_bank_3.json'].map((name) => /** @type {import('dictionary-data').TermV3[]} */ (files.get(name)));
+        expect(termBanks.map((termBank) => termBank.length)).toStrictEqual([10000, 10000, 5001]);
+        expect(termBanks[0][0]).toStrictEqual(['term0', 'reading0', '', '', 0, ['gloss 0'], 0, '']);
+        expect(termBanks[1][0]).toStrictEqual(['term10000', 'reading10000', '', '', 0, ['gloss 10000'], 10000, '']);
+        expect(termBanks[2][5000]).toStrictEqual(['term25000', 'reading25000', '', '', 0, ['gloss 25000'], 25000, '']);
+        expect(files.get('index.json')).toStrictEqual({title: 'large', revision: '1', format: 3});
+    });
+
+    test('DictionaryArchiveWriter writes each term bank once it is full', async () => {
+        const writer = new DictionaryArchiveWriter(2);
+        /** @type {import('dictionary-data').TermV3[]} */
+        const terms = [];
+        for (let i = 0; i < 5; ++i) {
+            /** @type {import('dictionary-data').TermV3} */
+            const term = [`term${i}`, '', '', '', 0, [`gloss ${i}`], i, ''];
+            terms.push(term);
+            await writer.addTerm(term);
+        }
+        expect(writer.termCount).toStrictEqual(5);
+        await writer.addMedia('image.png', new Uint8Array([1]));
+        await writer.addMedia('image.png', new Uint8Array([2]));
+        const archive = await writer.close({title: 'Test', revision: '1', format: 3});
+        const entries = await getDictionaryArchiveEntries(archive);
+        expect(entries.map(({filename}) => filename)).toStrictEqual(['term_bank_1.json', 'term_bank_2.json', 'image.png', 'term_bank_3.json', 'index.json']);
+        const files = await readArchiveJsonFiles(archive);
+        expect(files.get('term_bank_1.json')).toStrictEqual(terms.slice(0, 2));
+        expect(files.get('term_bank_2.json')).toStrictEqual(terms.slice(2, 4));
+        expect(files.get('term_bank_3.json')).toStrictEqual(terms.slice(4));
+    });
+});
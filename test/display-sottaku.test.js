@@ -0,0 +1,181 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {describe, vi} from 'vitest';
+import {parseJson} from '../dev/json.js';
+import {DisplaySottaku} from '../ext/js/display/display-sottaku.js';
+import {querySelectorNotNull} from '../ext/js/dom/query-selector.js';
+import {createDomTest} from './fixtures/dom-test.js';
+
+const test = createDomTest();
+
+/** @type {Map<number, import('sottaku-review').FlashcardStatus>} */
+const flashcardStatuses = new Map();
+const fetchMock = vi.fn(async (/** @type {string} */ url, /** @type {RequestInit} */ {body}) => {
+    if (!url.includes('/flashcards/exists')) { return new Response('{}', {status: 404}); }
+    /** @type {{questionIds: number[]}} */
+    const {questionIds} = parseJson(/** @type {string} */ (body));
+    const data = {
+        exists: questionIds.map((id) => flashcardStatuses.has(id)),
+        question_ids: questionIds,
+        statuses: questionIds.map((id) => flashcardStatuses.get(id) ?? null),
+    };
+    return new Response(JSON.stringify({success: true, data}), {status: 200, headers: {'Content-Type': 'application/json'}});
+});
+vi.stubGlobal('fetch', fetchMock);
+
+/**
+ * @param {number} questionId
+ * @param {boolean} inFlashcards
+ * @param {?import('sottaku-review').FlashcardStatus} flashcardStatus
+ * @returns {import('dictionary').TermDictionaryEntry}
+ */
+function createDictionaryEntry(questionId, inFlashcards, flashcardStatus) {
+    const sottaku = {questionId, language: 'ja', term: `term${questionId}`, hasDefinition: true, inFlashcards, flashcardStatus};
+    return /** @type {import('dictionary').TermDictionaryEntry} */ (/** @type {unknown} */ ({sottaku}));
+}
+
+/**
+ * Creates a display showing the entries, and waits until the flashcard status of the entries is requested.
+ * @param {import('jsdom').DOMWindow} window
+ * @param {import('dictionary').TermDictionaryEntry[]} dictionaryEntries
+ * @param {import('vitest').ExpectStatic} expect
+ * @returns {Promise<{api: {[name: string]: import('vitest').Mock}, buttons: HTMLButtonElement[], statuses: HTMLElement[]}>}
+ */
+async function createDisplaySottaku(window, dictionaryEntries, expect) {
+    const {document} = window;
+    const dictionaryEntryNodes = dictionaryEntries.map(() => {
+        const node = document.createElement('div');
+        const container = document.createElement('div');
+        container.className = 'note-actions-container';
+        node.appendChild(container);
+        document.body.appendChild(node);
+        return node;
+    });
+
+    const api = {
+        getSottakuCredentials: vi.fn(async () => ({authToken: 'token', user: null})),
+        sendSottakuMutation: vi.fn(async () => ({queued: false})),
+    };
+    /** @type {Map<string, (details: unknown) => void>} */
+    const eventHandlers = new Map();
+    const display = {
+        application: {api, on: () => {}},
+        on: (/** @type {string} */ eventName, /** @type {(details: unknown) => void} */ callback) => { eventHandlers.set(eventName, callback); },
+        getOptionsContext: () => ({index: 0}),
+        dictionaryEntries,
+        dictionaryEntryNodes,
+    };
+    const displaySottaku = new DisplaySottaku(/** @type {import('../ext/js/display/display.js').Display} */ (/** @type {unknown} */ (display)));
+    displaySottaku.prepare();
+
+    const trigger = (/** @type {string} */ eventName, /** @type {unknown} */ details) => {
+        const handler = eventHandlers.get(eventName);
+        expect(handler).toBeDefined();
+        if (typeof handler !== 'undefined') { handler(details); }
+    };
+    trigger('optionsUpdated', {options: {general: {language: 'ja'}, sottaku: {enabled: true, apiBaseUrl: 'https://sottaku.test/api/v1', cookieDomain: 'https://sottaku.test'}}});
+    await vi.waitFor(() => expect(api.getSottakuCredentials).toHaveReturned());
+    await api.getSottakuCredentials.mock.results[0].value;
+    fetchMock.mockClear();
+    trigger('contentUpdateComplete', {});
+    await vi.waitFor(() => expect(fetchMock).toHaveBeenCalled());
+
+    return {
+        api,
+        buttons: dictionaryEntryNodes.map((node) => /** @type {HTMLButtonElement} */ (querySelectorNotNull(node, 'button.sottaku-action'))),
+        statuses: dictionaryEntryNodes.map((node) => /** @type {HTMLElement} */ (querySelectorNotNull(node, '.sottaku-flashcard-status'))),
+    };
+}
+
+describe('DisplaySottaku flashcards', () => {
+    test('Flashcard status is refreshed from Sottaku', async ({window, expect}) => {
+        flashcardStatuses.clear();
+        flashcardStatuses.set(1, 'mature');
+        const {buttons, statuses} = await createDisplaySottaku(window, [createDictionaryEntry(1, false, null), createDictionaryEntry(2, true, 'new')], expect);
+
+        await vi.waitFor(() => expect(buttons[0].textContent).toStrictEqual('Remove from Sottaku'));
+        expect.soft(statuses[0].hidden).toBe(false);
+        expect.soft(statuses[0].textContent).toStrictEqual('Mature');
+        expect.soft(statuses[0].dataset.status).toStrictEqual('mature');
+        expect.soft(buttons[1].textContent).toStrictEqual('Save to Sottaku');
+        expect.soft(statuses[1].hidden).toBe(true);
+        expect.soft(statuses[1].dataset.status).toBeUndefined();
+    });
+
+    test('Toggling sends the mutation through the background outbox', async ({window, expect}) => {
+        flashcardStatuses.clear();
+        const {api, buttons, statuses} = await createDisplaySottaku(window, [createDictionaryEntry(1, false, null)], expect);
+
+        buttons[0].click();
+        await vi.waitFor(() => expect(buttons[0].textContent).toStrictEqual('Remove from Sottaku'));
+        expect.soft(api.sendSottakuMutation).toHaveBeenCalledWith({action: 'addFlashcard', questionId: 1, language: 'ja', term: 'term1'}, {index: 0});
+        expect.soft(buttons[0].disabled).toBe(false);
+        expect.soft(buttons[0].title).toStrictEqual('Remove from your Sottaku flashcards');
+        expect.soft(statuses[0].textContent).toStrictEqual('New');
+
+        buttons[0].click();
+        await vi.waitFor(() => expect(buttons[0].textContent).toStrictEqual('Save to Sottaku'));
+        expect.soft(api.sendSottakuMutation).toHaveBeenLastCalledWith({action: 'removeFlashcard', questionId: 1, language: 'ja', term: 'term1'}, {index: 0});
+        expect.soft(statuses[0].hidden).toBe(true);
+    });
+
+    test('Queued toggles are shown as pending and kept when the status is refreshed', async ({window, expect}) => {
+        flashcardStatuses.clear();
+        const dictionaryEntries = [createDictionaryEntry(1, false, null)];
+        const {api, buttons, statuses} = await createDisplaySottaku(window, dictionaryEntries, expect);
+        api.sendSottakuMutation.mockResolvedValue({queued: true});
+
+        buttons[0].click();
+        await vi.waitFor(() => expect(buttons[0].textContent).toStrictEqual('Remove from Sottaku'));
+        expect.soft(buttons[0].title).toStrictEqual('Sottaku could not be reached; the change will be sent when the connection returns');
+        expect.soft(statuses[0].textContent).toStrictEqual('New');
+        expect.soft(/** @type {{sottaku: {inFlashcards: boolean}}} */ (/** @type {unknown} */ (dictionaryEntries[0])).sottaku.inFlashcards).toBe(true);
+    });
+
+    test('A status refresh which started before a toggle does not overwrite it', async ({window, expect}) => {
+        flashcardStatuses.clear();
+        /** @type {(response: Response) => void} */
+        let resolveResponse = () => {};
+        fetchMock.mockImplementationOnce(() => new Promise((resolve) => { resolveResponse = resolve; }));
+        const {api, buttons, statuses} = await createDisplaySottaku(window, [createDictionaryEntry(1, false, null)], expect);
+
+        buttons[0].click();
+        await vi.waitFor(() => expect(buttons[0].textContent).toStrictEqual('Remove from Sottaku'));
+        resolveResponse(new Response(JSON.stringify({success: true, data: {exists: [false], question_ids: [1], statuses: [null]}}), {status: 200, headers: {'Content-Type': 'application/json'}}));
+        await vi.waitFor(() => expect(fetchMock).toHaveReturned());
+        await new Promise((resolve) => { setTimeout(resolve, 0); });
+
+        expect.soft(api.sendSottakuMutation).toHaveBeenCalledOnce();
+        expect.soft(buttons[0].textContent).toStrictEqual('Remove from Sottaku');
+        expect.soft(statuses[0].textContent).toStrictEqual('New');
+    });
+
+    test('A failed toggle restores the flashcard state and shows the error', async ({window, expect}) => {
+        flashcardStatuses.clear();
+        flashcardStatuses.set(1, 'learning');
+        const {api, buttons, statuses} = await createDisplaySottaku(window, [createDictionaryEntry(1, true, 'learning')], expect);
+        api.sendSottakuMutation.mockRejectedValue(new Error('Unknown question'));
+
+        buttons[0].click();
+        await vi.waitFor(() => expect(buttons[0].title).toStrictEqual('Unknown question'));
+        expect.soft(buttons[0].disabled).toBe(false);
+        expect.soft(buttons[0].textContent).toStrictEqual('Remove from Sottaku');
+        expect.soft(statuses[0].textContent).toStrictEqual('Learning');
+    });
+});
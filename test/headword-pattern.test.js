@@ -0,0 +1,124 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {describe, expect, test} from 'vitest';
+import {createBoundedHeadwordRegExp, createHeadwordGlobRegExp, isHeadwordGlobPattern, isHeadwordRegExpLiteral} from '../ext/js/dictionary/headword-pattern.js';
+
+describe('Headword patterns', () => {
+    describe('isHeadwordGlobPattern', () => {
+        /** @type {[text: string, expected: boolean][]} */
+        const data = [
+            ['打つ', false],
+            ['打*', false],
+            ['*つ', false],
+            ['＊つ', false],
+            ['*込*', true],
+            ['打*む', true],
+            ['打?込む', true],
+            ['打？込む', true],
+            ['[:kanji:]つ', true],
+            ['これは何ですか？', false],
+            ['What is this?', false],
+            ['何??', false],
+            ['打?込む？', true],
+        ];
+        test.each(data)('isHeadwordGlobPattern(%o) -> %o', (text, expected) => {
+            expect(isHeadwordGlobPattern(text)).toStrictEqual(expected);
+        });
+    });
+
+    describe('isHeadwordRegExpLiteral', () => {
+        /** @type {[text: string, expected: boolean][]} */
+        const data = [
+            ['/^打/', true],
+            ['/^a/i', true],
+            ['/^a/g', false],
+            ['//', false],
+            ['打/', false],
+        ];
+        test.each(data)('isHeadwordRegExpLiteral(%o) -> %o', (text, expected) => {
+            expect(isHeadwordRegExpLiteral(text)).toStrictEqual(expected);
+        });
+    });
+
+    describe('createHeadwordGlobRegExp', () => {
+        /** @type {[pattern: string, text: string, expected: boolean][]} */
+        const data = [
+            ['打*む', '打ち込む', true],
+            ['打*む', '打つ', false],
+            ['打?込む', '打ち込む', true],
+            ['打?込む', '打込む', false],
+            ['打＊', '打ち込む', true],
+            ['[:kanji:]つ', '打つ', true],
+            ['[:kanji:]つ', 'うつ', false],
+            ['[:hiragana:]つ', 'うつ', true],
+            ['[:katakana:]?キ', 'ケーキ', true],
+            ['打ち?', '打ち', true],
+            ['打ち?', '打ちx', false],
+            ['[:kana:][:kana:]', 'ウつ', true],
+            ['a.b', 'a.b', true],
+            ['a.b', 'axb', false],
+            ['a-(b)', 'A-(B)', true],
+        ];
+        test.each(data)('createHeadwordGlobRegExp(%o).test(%o) -> %o', (pattern, text, expected) => {
+            expect(createHeadwordGlobRegExp(pattern).test(text)).toStrictEqual(expected);
+        });
+
+        test('Unknown character classes throw', () => {
+            expect(() => createHeadwordGlobRegExp('[:hangul:]')).toThrowError();
+        });
+    });
+
+    describe('createBoundedHeadwordRegExp', () => {
+        /** @type {[text: string, value: string, expected: boolean][]} */
+        const data = [
+            ['/^打.込む$/', '打ち込む', true],
+            ['/^(う|よ)む$/', 'よむ', true],
+            ['/^READ$/i', 'read', true],
+            ['/^READ$/', 'read', false],
+            ['/^\\p{Script=Han}+$/', '打込', true],
+            ['/^(ab)+$/', 'abab', true],
+            ['/^(?:ab){2}$/', 'abab', true],
+            ['/^[(|]+$/', '(|', true],
+            ['/^(?<prefix>う|よ)む$/', 'うむ', true],
+        ];
+        test.each(data)('createBoundedHeadwordRegExp(%o).test(%o) -> %o', (text, value, expected) => {
+            expect(createBoundedHeadwordRegExp(text).test(value)).toStrictEqual(expected);
+        });
+
+        const invalidData = [
+            '^打',
+            `/${'a'.repeat(101)}/`,
+            '/(a)\\1/',
+            '/(?<x>a)\\k<x>/',
+            '/(a+)+$/',
+            '/(a*b?)*$/',
+            '/(a{2,})+$/',
+            '/(a|aa)+$/',
+            '/((a|aa))+$/',
+            '/(?:a|b)*c/',
+            '/((a+))+$/',
+            '/(a|b){2,}/',
+            '/(?<x>a|aa)+$/',
+            '/[/',
+        ];
+        test.each(invalidData)('createBoundedHeadwordRegExp(%o) throws', (text) => {
+            expect(() => createBoundedHeadwordRegExp(text)).toThrowError();
+        });
+    });
+});
@@ -0,0 +1,71 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {getLanguageScripts, getPrimaryLanguageSubtag, LanguageIdentifier} from '../../ext/js/language/language-identification.js';
+
+/**
+ * @param {string[]} languages
+ * @returns {LanguageIdentifier}
+ */
+function createLanguageIdentifier(languages) {
+    return new LanguageIdentifier(languages.map((iso) => ({iso, scripts: getLanguageScripts(iso)})));
+}
+
+/** @type {[text: string, hints: ?import('language-identification').Hints, preferredLanguages: string[], expected: string[]][]} */
+const rankingTests = [
+    ['食べる', null, ['zh'], ['ja', 'zh']],
+    ['한국어', null, [], ['ko']],
+    ['中文', null, ['zh'], ['zh', 'ja']],
+    ['中文', null, ['ja'], ['ja', 'zh']],
+    ['中文', {documentLanguage: 'zh-Hant-TW', sentence: null}, ['ja'], ['zh', 'ja']],
+    ['中文', {documentLanguage: null, sentence: '中文を勉強しています。'}, ['zh'], ['ja', 'zh']],
+    ['日本', {documentLanguage: 'en', sentence: null}, [], ['ja', 'zh']],
+    ['123', {documentLanguage: 'ko', sentence: null}, [], ['ko']],
+    ['123', null, [], []],
+];
+
+describe('Language identification', () => {
+    test.each(rankingTests)('%s with hints %o and preferred languages %o is ranked as %o', (text, hints, preferredLanguages, expected) => {
+        const languageIdentifier = createLanguageIdentifier(['ja', 'zh', 'ko', 'en']);
+        const results = languageIdentifier.identify(text, hints, preferredLanguages);
+        expect(results.map(({iso}) => iso)).toStrictEqual(expected);
+    });
+
+    test('Confidences add up to 1', () => {
+        const languageIdentifier = createLanguageIdentifier(['ja', 'zh']);
+        const results = languageIdentifier.identify('中文', null, []);
+        expect(results.map(({confidence}) => confidence)).toStrictEqual([0.5, 0.5]);
+    });
+
+    test('Unknown scripts are ignored', () => {
+        const languageIdentifier = new LanguageIdentifier([{iso: 'xx', scripts: ['NotAScript']}, {iso: 'ko', scripts: ['Hangul']}]);
+        expect(languageIdentifier.identify('한국어', null, [])).toStrictEqual([{iso: 'ko', confidence: 1}]);
+    });
+});
+
+describe('Primary language subtag', () => {
+    test.each([
+        ['zh-Hant-TW', 'zh'],
+        ['EN_us', 'en'],
+        ['ja', 'ja'],
+        ['', null],
+        [null, null],
+    ])('%s should be %s', (languageTag, expected) => {
+        expect(getPrimaryLanguageSubtag(languageTag)).toStrictEqual(expected);
+    });
+});
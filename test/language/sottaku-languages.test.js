@@ -0,0 +1,168 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {describe, expect, test} from 'vitest';
+import {normalizeSottakuLanguages, parseSottakuLanguageCapabilities, SottakuLanguageCapabilities} from '../../ext/js/language/sottaku-languages.js';
+
+const japaneseFlag = '🇯🇵';
+const koreanFlag = '🇰🇷';
+const germanFlag = '🇩🇪';
+const globeFlag = '🌐';
+
+describe('Sottaku language capabilities payload', () => {
+    test('Language objects are read with all of their fields', () => {
+        const capabilities = parseSottakuLanguageCapabilities({
+            languages: [
+                {code: 'ja', name: 'Nihongo', flag: '*', scripts: ['Han', 'Hiragana'], text_transforms: ['nfkc', 'lowercase'], deinflect: false},
+                {code: 'de', name: 'Deutsch', country_code: 'de', scripts: ['Latin'], text_transforms: ['removeDiacritics'], deinflect: true},
+            ],
+        });
+        expect(capabilities).toStrictEqual([
+            {iso: 'ja', name: 'Nihongo', flag: '*', scripts: ['Han', 'Hiragana'], textTransforms: ['nfkc', 'lowercase'], deinflect: false},
+            {iso: 'de', name: 'Deutsch', flag: germanFlag, scripts: ['Latin'], textTransforms: ['removeDiacritics'], deinflect: true},
+        ]);
+    });
+
+    test('Missing fields fall back to the defaults of the language', () => {
+        const capabilities = parseSottakuLanguageCapabilities({languages: ['ko', {code: 'ja'}, {iso: 'de'}, {code: 'xx'}]});
+        expect(capabilities).toStrictEqual([
+            {iso: 'ko', name: 'Korean', flag: koreanFlag, scripts: ['Hangul'], textTransforms: [], deinflect: true},
+            {iso: 'ja', name: 'Japanese', flag: japaneseFlag, scripts: ['Hiragana', 'Katakana', 'Han'], textTransforms: [], deinflect: true},
+            {iso: 'de', name: 'German', flag: globeFlag, scripts: ['Latin'], textTransforms: [], deinflect: true},
+            {iso: 'xx', name: 'xx', flag: globeFlag, scripts: ['Latin'], textTransforms: [], deinflect: true},
+        ]);
+    });
+
+    test('Unknown and invalid fields are ignored', () => {
+        const capabilities = parseSottakuLanguageCapabilities({
+            languages: [
+                {
+                    code: ' ko ',
+                    name: '  ',
+                    flag: '',
+                    country_code: 'kor',
+                    scripts: ['Hangul', 1, null],
+                    text_transforms: ['unknownTransform', 'nfc'],
+                    deinflect: 'no',
+                    beta: true,
+                },
+            ],
+            version: 2,
+        });
+        expect(capabilities).toStrictEqual([
+            {iso: 'ko', name: 'Korean', flag: koreanFlag, scripts: ['Hangul'], textTransforms: ['nfc'], deinflect: true},
+        ]);
+    });
+
+    test('Languages are read from every list without duplicates', () => {
+        const capabilities = parseSottakuLanguageCapabilities({
+            languages: ['ja'],
+            supported_languages: ['ja', 'ko'],
+            admin_only_languages: [{code: 'de'}, {code: 'ko', deinflect: false}],
+        });
+        expect(capabilities.map(({iso}) => iso)).toStrictEqual(['ja', 'ko', 'de']);
+        expect(capabilities[1].deinflect).toBe(true);
+    });
+
+    test.each([
+        [null],
+        ['ja'],
+        [['ja']],
+        [{}],
+        [{languages: 'ja'}],
+        [{languages: [null, 1, [], {}, {code: ''}, {code: '   '}, {name: 'Japanese'}]}],
+    ])('Invalid payload %o has no languages', (response) => {
+        expect(parseSottakuLanguageCapabilities(response)).toStrictEqual([]);
+    });
+});
+
+describe('SottakuLanguageCapabilities', () => {
+    test('The default languages are used when Sottaku lists no languages', () => {
+        const capabilities = new SottakuLanguageCapabilities([]);
+        expect(capabilities.languages).toStrictEqual(['ja', 'ko']);
+        expect(capabilities.getFlag('ja')).toStrictEqual(japaneseFlag);
+        expect(capabilities.getName('ko')).toStrictEqual('Korean');
+        expect(capabilities.identifyLanguages('한국어', null, []).map(({iso}) => iso)).toStrictEqual(['ko']);
+    });
+
+    test('Languages are listed in the order of the payload', () => {
+        const capabilities = new SottakuLanguageCapabilities(parseSottakuLanguageCapabilities({languages: ['ko', 'de', 'ja']}));
+        expect(capabilities.languages).toStrictEqual(['ko', 'de', 'ja']);
+    });
+
+    test('Languages omitted by Sottaku are not supported', () => {
+        const capabilities = new SottakuLanguageCapabilities(parseSottakuLanguageCapabilities({languages: [{code: 'ja', name: 'Nihongo', deinflect: false}]}));
+        expect(capabilities.languages).toStrictEqual(['ja']);
+        expect(capabilities.has('ja')).toBe(true);
+        expect(capabilities.has('ko')).toBe(false);
+        expect(capabilities.getName('ja')).toStrictEqual('Nihongo');
+        expect(capabilities.isDeinflectionEnabled('ja')).toBe(false);
+
+        // Omitted languages are still displayed, but their text is left as is
+        expect(capabilities.getFlag('ko')).toStrictEqual(koreanFlag);
+        expect(capabilities.getName('ko')).toStrictEqual('Korean');
+        expect(capabilities.getFlag('xx')).toStrictEqual(globeFlag);
+        expect(capabilities.getName('xx')).toStrictEqual('xx');
+        expect(capabilities.isDeinflectionEnabled('ko')).toBe(true);
+        expect(capabilities.preprocessText('ＡＢＣ', 'ko')).toStrictEqual('ＡＢＣ');
+        expect(capabilities.identifyLanguages('한국어', null, [])).toStrictEqual([]);
+    });
+
+    test.each([
+        [['nfkc'], 'ｶﾀｶﾅ　ＡＢＣ', 'カタカナ ABC'],
+        [['nfc'], 'é', 'é'],
+        [['lowercase'], 'Straße', 'straße'],
+        [['removeDiacritics'], 'Crème Brûlée', 'Creme Brulee'],
+        [['collapseWhitespace'], 'a \t\n b', 'a b'],
+        [['nfkc', 'lowercase', 'collapseWhitespace'], 'ＡＢＣ  Def', 'abc def'],
+        [[], 'ＡＢＣ', 'ＡＢＣ'],
+    ])('Text transforms %o applied to %s give %s', (textTransforms, text, expected) => {
+        const capabilities = new SottakuLanguageCapabilities(parseSottakuLanguageCapabilities({languages: [{code: 'de', text_transforms: textTransforms}]}));
+        expect(capabilities.preprocessText(text, 'de')).toStrictEqual(expected);
+    });
+
+    test('Languages are identified using the scripts of the payload', () => {
+        const capabilities = new SottakuLanguageCapabilities(parseSottakuLanguageCapabilities({languages: [{code: 'ja'}, {code: 'ko', scripts: []}, {code: 'de', scripts: ['Latin']}]}));
+        expect(capabilities.identifyLanguages('한국어', null, [])).toStrictEqual([]);
+        expect(capabilities.identifyLanguages('Haus', null, []).map(({iso}) => iso)).toStrictEqual(['de']);
+        expect(capabilities.identifyLanguages('日本', null, []).map(({iso}) => iso)).toStrictEqual(['ja']);
+    });
+});
+
+describe('Sottaku language preferences', () => {
+    /** @type {[preferredLanguages: unknown, defaultLanguage: string, supportedLanguages: unknown, expected: string[]][]} */
+    const normalizeTests = [
+        [['ko', 'ja'], 'ja', ['ja', 'ko'], ['ko', 'ja']],
+        [[' ko ', 'ko', 'xx', 1, null], 'ja', ['ja', 'ko'], ['ko']],
+        [['de'], 'ja', ['ja', 'ko'], ['ja']],
+        [[], 'ko', ['ja', 'ko'], ['ko']],
+        [null, 'xx', ['ja', 'ko'], ['ja', 'ko']],
+        [['de'], 'ja', ['de', 'de', ' ', 5], ['de']],
+        [['ko'], 'ja', 'ja', ['ko']],
+        [['ko'], 'ja', [], ['ko']],
+        [['de'], 'xx', ['de'], ['de']],
+    ];
+
+    test.each(normalizeTests)('Preferred languages %o with default %s and supported languages %o are %o', (preferredLanguages, defaultLanguage, supportedLanguages, expected) => {
+        expect(normalizeSottakuLanguages(preferredLanguages, defaultLanguage, supportedLanguages)).toStrictEqual(expected);
+    });
+
+    test('The default languages are supported when none are given', () => {
+        expect(normalizeSottakuLanguages(['ko', 'de'], 'ja')).toStrictEqual(['ko']);
+    });
+});
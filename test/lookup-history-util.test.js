@@ -0,0 +1,93 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {filterHistoryRecords, getHistoryRecordSite, historyRecordsToCsv} from '../ext/js/data/lookup-history-util.js';
+
+/**
+ * @param {Partial<import('lookup-history').HistoryRecord>} details
+ * @returns {import('lookup-history').HistoryRecord}
+ */
+function createRecord(details) {
+    return {
+        id: 'id',
+        type: 'terms',
+        query: '読む',
+        term: '読む',
+        reading: 'よむ',
+        dictionaries: ['JMdict'],
+        sentence: '本を読む。',
+        sentenceOffset: 2,
+        url: 'https://example.com/page',
+        documentTitle: 'Example',
+        timestamp: 0,
+        profile: 'Default',
+        saved: false,
+        savedTimestamp: null,
+        savedHeadwords: [],
+        ...details,
+    };
+}
+
+/** @type {import('lookup-history').Filter} */
+const emptyFilter = {text: '', startTime: null, endTime: null, site: null, dictionary: null, saved: 'all'};
+
+const records = [
+    createRecord({id: '1', timestamp: 1000}),
+    createRecord({id: '2', timestamp: 2000, term: '書く', reading: 'かく', query: '書いた', sentence: '手紙を書いた。', url: 'https://news.example.org/a', dictionaries: ['JMdict', 'Jitendex'], saved: true}),
+    createRecord({id: '3', timestamp: 3000, type: 'kanji', term: '字', reading: '', query: '字', sentence: '', url: '', dictionaries: ['KANJIDIC']}),
+];
+
+describe('Lookup history utilities', () => {
+    test.each(/** @type {[Partial<import('lookup-history').Filter>, string[]][]} */ ([
+        [{}, ['1', '2', '3']],
+        [{text: 'かく'}, ['2']],
+        [{text: '手紙'}, ['2']],
+        [{text: ' 書い '}, ['2']],
+        [{startTime: 2000}, ['2', '3']],
+        [{endTime: 2000}, ['1']],
+        [{startTime: 1500, endTime: 2500}, ['2']],
+        [{site: 'example.com'}, ['1']],
+        [{site: 'news.example.org'}, ['2']],
+        [{dictionary: 'JMdict'}, ['1', '2']],
+        [{dictionary: 'KANJIDIC'}, ['3']],
+        [{saved: 'saved'}, ['2']],
+        [{saved: 'unsaved'}, ['1', '3']],
+        [{saved: 'saved', dictionary: 'KANJIDIC'}, []],
+    ]))('Filter %o', (filter, expectedIds) => {
+        expect(filterHistoryRecords(records, {...emptyFilter, ...filter}).map(({id}) => id)).toStrictEqual(expectedIds);
+    });
+
+    test('Record site', () => {
+        expect(getHistoryRecordSite(records[0])).toStrictEqual('example.com');
+        expect(getHistoryRecordSite(records[2])).toStrictEqual('');
+        expect(getHistoryRecordSite(createRecord({url: 'chrome-extension://abcdef/search.html'}))).toStrictEqual('');
+    });
+
+    test('CSV export', () => {
+        const csv = historyRecordsToCsv([
+            records[1],
+            createRecord({timestamp: 0, sentence: 'He said "hi", then\nleft', documentTitle: 'A, B'}),
+        ]);
+        expect(csv).toStrictEqual([
+            'timestamp,term,reading,query,sentence,url,documentTitle,dictionaries,profile,saved',
+            '1970-01-01T00:00:02.000Z,書く,かく,書いた,手紙を書いた。,https://news.example.org/a,Example,"JMdict, Jitendex",Default,true',
+            '1970-01-01T00:00:00.000Z,読む,よむ,読む,"He said ""hi"", then\nleft",https://example.com/page,"A, B",JMdict,Default,false',
+            '',
+        ].join('\r\n'));
+    });
+});
@@ -0,0 +1,115 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {IDBFactory, IDBKeyRange} from 'fake-indexeddb';
+import {beforeEach, describe, expect, test, vi} from 'vitest';
+import {LookupHistory} from '../ext/js/data/lookup-history.js';
+
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+
+/** @type {import('lookup-history').Filter} */
+const emptyFilter = {text: '', startTime: null, endTime: null, site: null, dictionary: null, saved: 'all'};
+
+/**
+ * @param {string} id
+ * @param {number} timestamp
+ * @param {string} term
+ * @returns {import('lookup-history').HistoryRecord}
+ */
+function createRecord(id, timestamp, term) {
+    return {
+        id,
+        type: 'terms',
+        query: term,
+        term,
+        reading: '',
+        dictionaries: [],
+        sentence: '',
+        sentenceOffset: 0,
+        url: '',
+        documentTitle: '',
+        timestamp,
+        profile: 'Default',
+        saved: false,
+        savedTimestamp: null,
+        savedHeadwords: [],
+    };
+}
+
+/**
+ * @param {LookupHistory} lookupHistory
+ * @param {import('lookup-history').Filter} filter
+ * @param {number} limit
+ * @param {number} maxScanCount
+ * @returns {Promise<string[][]>} The ids of each page.
+ */
+async function getPageIds(lookupHistory, filter, limit, maxScanCount) {
+    /** @type {string[][]} */
+    const pages = [];
+    /** @type {?import('lookup-history').RecordCursor} */
+    let cursor = null;
+    do {
+        const page = await lookupHistory.getPage(filter, cursor, limit, maxScanCount);
+        pages.push(page.records.map(({id}) => id));
+        ({cursor} = page);
+    } while (cursor !== null);
+    return pages;
+}
+
+describe('LookupHistory', () => {
+    /** @type {LookupHistory} */
+    let lookupHistory;
+
+    beforeEach(async () => {
+        globalThis.indexedDB = new IDBFactory();
+        lookupHistory = new LookupHistory();
+        // Records which share a timestamp must not be skipped or repeated across pages
+        for (const [id, timestamp, term] of /** @type {[string, number, string][]} */ ([
+            ['a', 1000, '読む'],
+            ['b', 2000, '書く'],
+            ['c', 2000, '読む'],
+            ['d', 2000, '話す'],
+            ['e', 3000, '読む'],
+        ])) {
+            await lookupHistory.add(createRecord(id, timestamp, term));
+        }
+    });
+
+    test('Pages are returned newest first', async () => {
+        expect(await getPageIds(lookupHistory, emptyFilter, 2, 100)).toStrictEqual([['e', 'd'], ['c', 'b'], ['a']]);
+        expect(await getPageIds(lookupHistory, emptyFilter, 10, 100)).toStrictEqual([['e', 'd', 'c', 'b', 'a']]);
+    });
+
+    test('Pages contain only matching records and stop after the scan limit', async () => {
+        const filter = {...emptyFilter, text: '読'};
+        expect(await getPageIds(lookupHistory, filter, 10, 100)).toStrictEqual([['e', 'c', 'a']]);
+        expect(await getPageIds(lookupHistory, filter, 10, 2)).toStrictEqual([['e'], ['c'], ['a']]);
+    });
+
+    test('Old records are pruned', async () => {
+        await lookupHistory.deleteOlderThan(2000);
+        expect(await lookupHistory.getCount()).toStrictEqual(4);
+        await lookupHistory.deleteOlderThan(3000);
+        expect(await getPageIds(lookupHistory, emptyFilter, 10, 100)).toStrictEqual([['e']]);
+    });
+
+    test('All records are cleared', async () => {
+        await lookupHistory.clear();
+        expect(await lookupHistory.getCount()).toStrictEqual(0);
+        expect(await getPageIds(lookupHistory, emptyFilter, 10, 100)).toStrictEqual([[]]);
+    });
+});
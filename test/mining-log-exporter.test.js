@@ -0,0 +1,134 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {BlobReader, TextWriter, Uint8ArrayWriter, ZipReader} from '@zip.js/zip.js';
+import {describe, expect, test, vi} from 'vitest';
+import {parseJson} from '../ext/js/core/json.js';
+import {MiningLogExporter} from '../ext/js/data/mining-log-exporter.js';
+
+/** @type {import('mining-log').Entry[]} */
+const entries = [
+    {
+        id: 1,
+        timestamp: 1700000000000,
+        media: [{fileName: 'yomitan_audio_1.mp3', data: btoa('audio')}],
+        note: {
+            deckName: 'Mining',
+            modelName: 'Japanese',
+            tags: ['yomitan', 'book'],
+            options: {allowDuplicate: false, duplicateScope: 'collection', duplicateScopeOptions: {deckName: null, checkChildren: false, checkAllModels: false}},
+            fields: {Expression: '<b>読む</b>', Reading: 'よむ', Sentence: 'He said "read"\tslowly', Audio: '[sound:yomitan_audio_1.mp3]'},
+        },
+    },
+    {
+        id: 2,
+        timestamp: 1700000000000,
+        media: [],
+        note: {
+            deckName: 'Mining::Names',
+            modelName: 'Japanese',
+            tags: [],
+            options: {allowDuplicate: false, duplicateScope: 'collection', duplicateScopeOptions: {deckName: null, checkChildren: false, checkAllModels: false}},
+            fields: {Expression: '書く', Reading: 'かく', Sentence: '', Audio: ''},
+        },
+    },
+];
+
+/**
+ * @param {Blob} blob
+ * @returns {Promise<Map<string, import('@zip.js/zip.js').Entry>>}
+ */
+async function readZip(blob) {
+    const zipReader = new ZipReader(new BlobReader(blob));
+    const zipEntries = await zipReader.getEntries();
+    await zipReader.close();
+    return new Map(zipEntries.map((entry) => [entry.filename, entry]));
+}
+
+/**
+ * @param {import('@zip.js/zip.js').Entry|undefined} entry
+ * @returns {Promise<string>}
+ */
+async function readText(entry) {
+    if (typeof entry === 'undefined' || typeof entry.getData === 'undefined') { throw new Error('Missing zip entry'); }
+    return await entry.getData(new TextWriter());
+}
+
+describe('MiningLogExporter', () => {
+    test('Text export', async () => {
+        const zipEntries = await readZip(await new MiningLogExporter().exportText(entries));
+        expect([...zipEntries.keys()]).toStrictEqual(['notes.txt', 'collection.media/yomitan_audio_1.mp3']);
+        expect(await readText(zipEntries.get('notes.txt'))).toStrictEqual([
+            '#separator:tab',
+            '#html:true',
+            '#notetype column:1',
+            '#deck column:2',
+            '#tags column:3',
+            'Japanese\tMining\tyomitan book\t<b>読む</b>\tよむ\t"He said ""read""\tslowly"\t[sound:yomitan_audio_1.mp3]',
+            'Japanese\tMining::Names\t\t書く\tかく\t\t',
+            '',
+        ].join('\n'));
+        expect(await readText(zipEntries.get('collection.media/yomitan_audio_1.mp3'))).toStrictEqual('audio');
+    });
+
+    test('Package export', async () => {
+        const zipEntries = await readZip(await new MiningLogExporter().exportPackage(entries));
+        expect([...zipEntries.keys()]).toStrictEqual(['collection.anki2', '0', 'media']);
+        expect(parseJson(await readText(zipEntries.get('media')))).toStrictEqual({0: 'yomitan_audio_1.mp3'});
+        expect(await readText(zipEntries.get('0'))).toStrictEqual('audio');
+
+        const collectionEntry = zipEntries.get('collection.anki2');
+        if (typeof collectionEntry === 'undefined' || typeof collectionEntry.getData === 'undefined') { throw new Error('Missing collection'); }
+        const collection = await collectionEntry.getData(new Uint8ArrayWriter());
+        const text = new TextDecoder().decode(collection);
+        expect(text.startsWith('SQLite format 3\0')).toBe(true);
+        expect(text).toContain('<b>読む</b>\u001fよむ\u001fHe said "read"\tslowly\u001f[sound:yomitan_audio_1.mp3]');
+        expect(text).toContain(' yomitan book ');
+        expect(text).toContain('"name":"Mining::Names"');
+        expect(text).toContain('"qfmt":"{{Expression}}"');
+    });
+
+    test('Exports are stable', async () => {
+        /**
+         * @param {Blob} blob
+         * @returns {Promise<Uint8Array>}
+         */
+        const readCollection = async (blob) => {
+            const collectionEntry = (await readZip(blob)).get('collection.anki2');
+            if (typeof collectionEntry === 'undefined' || typeof collectionEntry.getData === 'undefined') { throw new Error('Missing collection'); }
+            return await collectionEntry.getData(new Uint8ArrayWriter());
+        };
+        vi.useFakeTimers({toFake: ['Date']});
+        try {
+            const exporter = new MiningLogExporter();
+            vi.setSystemTime(1700000000000);
+            const collection1 = await readCollection(await exporter.exportPackage(entries));
+            vi.setSystemTime(1800000000000);
+            const collection2 = await readCollection(await exporter.exportPackage(entries));
+            expect(collection1.length).toStrictEqual(collection2.length);
+            // Note GUIDs, note type ids and deck ids do not depend on the time of the export
+            const text1 = new TextDecoder().decode(collection1);
+            const text2 = new TextDecoder().decode(collection2);
+            for (const pattern of [/"id":\d+,"name":"Mining(::Names)?"/g, /"id":\d+,"name":"Japanese"/g]) {
+                expect(text1.match(pattern)).not.toBeNull();
+                expect(text1.match(pattern)).toStrictEqual(text2.match(pattern));
+            }
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+});
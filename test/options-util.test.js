@@ -315,6 +315,8 @@ function createProfileOptionsUpdatedTestData1() {
             enableYomitanApi: false,
             yomitanApiServer: 'http://127.0.0.1:19633',
             yomitanApiAllowCssSanitizationBypass: false,
+            historyEnabled: false,
+            historyRetentionDays: 90,
         },
         audio: {
             enabled: true,
@@ -471,6 +473,16 @@ function createProfileOptionsUpdatedTestData1() {
             },
         },
         dictionaries: [
+            {
+                name: 'Sottaku',
+                alias: 'Sottaku',
+                enabled: true,
+                allowSecondarySearches: false,
+                definitionsCollapsible: 'not-collapsible',
+                partsOfSpeechFilter: true,
+                useDeinflections: true,
+                styles: '',
+            },
             {
                 name: 'Test Dictionary 2',
                 alias: 'Test Dictionary 2',
@@ -548,6 +560,8 @@ function createProfileOptionsUpdatedTestData1() {
             apiKey: '',
             downloadTimeout: 0,
             forceSync: false,
+            offlineQueueEnabled: false,
+            miningLogEnabled: false,
         },
         sentenceParsing: {
             scanExtent: 200,
@@ -592,6 +606,11 @@ function createProfileOptionsUpdatedTestData1() {
                 {action: 'copyHostSelection', argument: '',  key: 'KeyC',      modifiers: ['ctrl'], scopes: ['popup'], enabled: true},
                 {action: 'profilePrevious',   argument: '',  key: 'Minus',     modifiers: ['alt'],  scopes: ['popup', 'search', 'web'], enabled: true},
                 {action: 'profileNext',       argument: '',  key: 'Equal',     modifiers: ['alt'],  scopes: ['popup', 'search', 'web'], enabled: true},
+                {action: 'sottakuReviewReveal', argument: '', key: 'Space',   modifiers: [],       scopes: ['search'], enabled: true},
+                {action: 'sottakuReviewGrade', argument: '1', key: 'Digit1',  modifiers: [],       scopes: ['search'], enabled: true},
+                {action: 'sottakuReviewGrade', argument: '2', key: 'Digit2',  modifiers: [],       scopes: ['search'], enabled: true},
+                {action: 'sottakuReviewGrade', argument: '3', key: 'Digit3',  modifiers: [],       scopes: ['search'], enabled: true},
+                {action: 'sottakuReviewGrade', argument: '4', key: 'Digit4',  modifiers: [],       scopes: ['search'], enabled: true},
             ],
             /* eslint-enable @stylistic/no-multi-spaces */
         },
@@ -614,6 +633,19 @@ function createProfileOptionsUpdatedTestData1() {
         accessibility: {
             forceGoogleDocsHtmlRendering: false,
         },
+        sottaku: {
+            enabled: true,
+            apiBaseUrl: 'https://sottaku.app/api/v1',
+            languageMode: 'auto',
+            preferredLanguages: ['ja', 'ko'],
+            cookieDomain: 'https://sottaku.app',
+            cache: {
+                enabled: true,
+                maxEntries: 5000,
+                ttlHours: 168,
+                serveStaleWhenOffline: true,
+            },
+        },
     };
 }
 
@@ -704,10 +736,12 @@ function createOptionsUpdatedTestData1() {
             },
         ],
         profileCurrent: 0,
-        version: 74,
+        version: 86,
         global: {
             database: {
                 prefixWildcardsSupported: false,
+                glossaryIndexEnabled: false,
+                glossaryCompressionEnabled: false,
             },
             dataTransmissionConsentShown: false,
         },
@@ -729,6 +763,16 @@ function getHandlebarsPartials(templates) {
     return partials;
 }
 
+/**
+ * @param {import('core').UnknownObject} object
+ * @param {string[]} keys
+ */
+function deleteProperties(object, keys) {
+    for (const key of keys) {
+        delete object[key];
+    }
+}
+
 describe('OptionsUtil', () => {
     test('Update', async () => {
         const optionsUtil = new OptionsUtil();
@@ -740,6 +784,26 @@ describe('OptionsUtil', () => {
         expect(optionsUpdated).toStrictEqual(optionsExpected);
     });
 
+    test('Update from version 76', async () => {
+        const optionsUtil = new OptionsUtil();
+        await optionsUtil.prepare();
+
+        // Remove everything which was added by the updates after version 76
+        const options = /** @type {import('settings').Options} */ (createOptionsUpdatedTestData1());
+        options.version = 76;
+        const [{options: profileOptions}] = options.profiles;
+        profileOptions.dictionaries = profileOptions.dictionaries.filter(({name}) => name !== 'Sottaku');
+        profileOptions.inputs.hotkeys = profileOptions.inputs.hotkeys.filter(({action}) => !action.startsWith('sottaku'));
+        deleteProperties(profileOptions.sottaku, ['cache']);
+        Object.assign(profileOptions.sottaku, {authToken: '', user: null});
+        deleteProperties(options.global.database, ['glossaryIndexEnabled', 'glossaryCompressionEnabled']);
+        deleteProperties(profileOptions.anki, ['offlineQueueEnabled', 'miningLogEnabled']);
+        deleteProperties(profileOptions.general, ['historyEnabled', 'historyRetentionDays']);
+
+        const optionsUpdated = structuredClone(await optionsUtil.update(options));
+        expect(optionsUpdated).toStrictEqual(createOptionsUpdatedTestData1());
+    });
+
     test('CumulativeFieldTemplatesUpdates', async () => {
         const optionsUtil = new OptionsUtil();
         await optionsUtil.prepare();
@@ -0,0 +1,158 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {readFileSync} from 'node:fs';
+import {describe, vi} from 'vitest';
+import {SearchPersonalDictionaryController} from '../ext/js/display/search-personal-dictionary-controller.js';
+import {HtmlTemplateCollection} from '../ext/js/dom/html-template-collection.js';
+import {querySelectorNotNull} from '../ext/js/dom/query-selector.js';
+import {createDomTest} from './fixtures/dom-test.js';
+
+const test = createDomTest('ext/search.html');
+
+/**
+ * @param {import('jsdom').DOMWindow} window
+ * @param {import('personal-dictionary').Entry[]} entries
+ * @returns {{api: {[name: string]: import('vitest').Mock}, open: () => void}}
+ */
+function createController(window, entries) {
+    const templates = new HtmlTemplateCollection();
+    templates.load(new window.DOMParser().parseFromString(readFileSync('ext/templates-display.html', {encoding: 'utf8'}), 'text/html'));
+
+    const api = {
+        getPersonalDictionaryEntries: vi.fn(async () => entries),
+        addPersonalDictionaryEntry: vi.fn(async () => {}),
+        updatePersonalDictionaryEntry: vi.fn(async () => {}),
+        deletePersonalDictionaryEntry: vi.fn(async () => {}),
+    };
+    const display = {
+        application: {api},
+        displayGenerator: {instantiateTemplate: (/** @type {string} */ name) => templates.instantiate(name)},
+    };
+    /** @type {(details: {visible: boolean}) => void} */
+    let onVisibilityChanged = () => {};
+    const modal = {
+        on: (/** @type {string} */ eventName, /** @type {(details: {visible: boolean}) => void} */ callback) => {
+            if (eventName === 'visibilityChanged') { onVisibilityChanged = callback; }
+        },
+    };
+    const modalController = {getModal: () => modal};
+
+    const controller = new SearchPersonalDictionaryController(
+        /** @type {import('../ext/js/display/display.js').Display} */ (/** @type {unknown} */ (display)),
+        /** @type {import('../ext/js/pages/settings/modal-controller.js').ModalController} */ (/** @type {unknown} */ (modalController)),
+    );
+    controller.prepare();
+    return {api, open: () => onVisibilityChanged({visible: true})};
+}
+
+/**
+ * @param {import('jsdom').DOMWindow} window
+ * @param {Partial<import('personal-dictionary').EntryContent>} content
+ */
+function submitEditor(window, content) {
+    const {document} = window;
+    const editor = querySelectorNotNull(document, '.personal-dictionary-editor');
+    /** @type {HTMLInputElement} */
+    const termInput = querySelectorNotNull(editor, '.personal-dictionary-editor-term');
+    /** @type {HTMLTextAreaElement} */
+    const definitionsInput = querySelectorNotNull(editor, '.personal-dictionary-editor-definitions');
+    if (typeof content.term === 'string') { termInput.value = content.term; }
+    if (typeof content.definitions !== 'undefined') { definitionsInput.value = content.definitions.join('\n'); }
+    editor.dispatchEvent(new window.Event('submit', {cancelable: true}));
+}
+
+describe('SearchPersonalDictionaryController', () => {
+    /** @type {import('personal-dictionary').Entry[]} */
+    const entries = [
+        {id: 1, term: '打', reading: 'だ', definitions: ['hit', 'strike'], tags: [], sentence: ''},
+        {id: 2, term: 'ヨミタン', reading: '', definitions: ['Yomitan'], tags: [], sentence: ''},
+    ];
+
+    test('Lists the terms when opened', async ({window, expect}) => {
+        const {document} = window;
+        const {open} = createController(window, entries);
+        open();
+        await vi.waitFor(() => expect(document.querySelectorAll('.personal-dictionary-entry').length).toBe(2));
+
+        const [first, second] = document.querySelectorAll('.personal-dictionary-entry');
+        expect.soft(querySelectorNotNull(first, '.personal-dictionary-entry-term').textContent).toStrictEqual('打');
+        expect.soft(querySelectorNotNull(first, '.personal-dictionary-entry-definitions').textContent).toStrictEqual('hit; strike');
+        expect.soft(/** @type {HTMLElement} */ (querySelectorNotNull(second, '.personal-dictionary-entry-reading')).hidden).toBe(true);
+        expect.soft(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#personal-dictionary-empty')).hidden).toBe(true);
+    });
+
+    test('Adds a term', async ({window, expect}) => {
+        const {document} = window;
+        const {api, open} = createController(window, []);
+        open();
+        /** @type {HTMLElement} */
+        const emptyMessage = querySelectorNotNull(document, '#personal-dictionary-empty');
+        await vi.waitFor(() => expect(emptyMessage.hidden).toBe(false));
+
+        /** @type {HTMLButtonElement} */
+        const addButton = querySelectorNotNull(document, '#personal-dictionary-add-button');
+        addButton.click();
+        /** @type {HTMLElement} */
+        const editorContainer = querySelectorNotNull(document, '#personal-dictionary-editor-container');
+        expect.soft(editorContainer.hidden).toBe(false);
+        expect.soft(addButton.disabled).toBe(true);
+
+        submitEditor(window, {term: '読む', definitions: ['to read', '']});
+        await vi.waitFor(() => expect(editorContainer.hidden).toBe(true));
+        expect.soft(api.addPersonalDictionaryEntry).toHaveBeenCalledWith({term: '読む', reading: '', definitions: ['to read', ''], tags: [], sentence: ''});
+        expect.soft(api.updatePersonalDictionaryEntry).not.toHaveBeenCalled();
+        expect.soft(api.getPersonalDictionaryEntries).toHaveBeenCalledTimes(2);
+    });
+
+    test('Edits and deletes a term', async ({window, expect}) => {
+        const {document} = window;
+        const {api, open} = createController(window, entries);
+        open();
+        await vi.waitFor(() => expect(document.querySelectorAll('.personal-dictionary-entry').length).toBe(2));
+
+        /** @type {HTMLButtonElement} */
+        const editButton = querySelectorNotNull(document, '.personal-dictionary-entry-edit-button');
+        editButton.click();
+        /** @type {HTMLInputElement} */
+        const termInput = querySelectorNotNull(document, '.personal-dictionary-editor-term');
+        expect.soft(termInput.value).toStrictEqual('打');
+        submitEditor(window, {definitions: ['to hit']});
+        await vi.waitFor(() => expect(api.updatePersonalDictionaryEntry).toHaveBeenCalledWith(1, {term: '打', reading: 'だ', definitions: ['to hit'], tags: [], sentence: ''}));
+
+        const deleteButton = /** @type {HTMLButtonElement} */ (document.querySelectorAll('.personal-dictionary-entry-delete-button')[1]);
+        deleteButton.click();
+        await vi.waitFor(() => expect(api.deletePersonalDictionaryEntry).toHaveBeenCalledWith(2));
+    });
+
+    test('Shows the error of a rejected term', async ({window, expect}) => {
+        const {document} = window;
+        const {api} = createController(window, []);
+        api.addPersonalDictionaryEntry.mockRejectedValueOnce(new Error('The term is empty'));
+
+        /** @type {HTMLButtonElement} */
+        const addButton = querySelectorNotNull(document, '#personal-dictionary-add-button');
+        addButton.click();
+        submitEditor(window, {definitions: ['to read']});
+
+        /** @type {HTMLElement} */
+        const errorNode = querySelectorNotNull(document, '.personal-dictionary-editor-error');
+        await vi.waitFor(() => expect(errorNode.hidden).toBe(false));
+        expect.soft(errorNode.textContent).toStrictEqual('The term is empty');
+        expect.soft(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#personal-dictionary-editor-container')).hidden).toBe(false);
+    });
+});
@@ -0,0 +1,242 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {describe, vi} from 'vitest';
+import {SearchSottakuReviewController} from '../ext/js/display/search-sottaku-review-controller.js';
+import {querySelectorNotNull} from '../ext/js/dom/query-selector.js';
+import {createDomTest} from './fixtures/dom-test.js';
+
+const test = createDomTest('ext/search.html');
+
+/**
+ * @param {number} questionId
+ * @param {string} term
+ * @returns {import('sottaku-review').Card}
+ */
+function createCard(questionId, term) {
+    return {
+        questionId,
+        language: 'ja',
+        languageFlag: '🇯🇵',
+        term,
+        reading: '',
+        translation: `translation of ${term}`,
+        sentence: `${term}を勉強する。`,
+        sentenceTranslation: '',
+        usageNotes: '',
+        audio: {word: null, sentence: null},
+    };
+}
+
+/**
+ * @param {import('sottaku-review').Card[]} cards
+ * @returns {{controller: SearchSottakuReviewController, api: {[name: string]: import('vitest').Mock}, actions: Map<string, (argument: unknown) => boolean>, start: (expect: import('vitest').ExpectStatic) => Promise<void>}}
+ */
+function createController(cards) {
+    const optionsContext = {index: 0};
+    const api = {
+        getSottakuCredentials: vi.fn(async () => ({authToken: 'token'})),
+        getSottakuDueFlashcards: vi.fn(async () => cards),
+        submitSottakuFlashcardReview: vi.fn(async () => {}),
+    };
+    /** @type {Map<string, (details: unknown) => void>} */
+    const eventHandlers = new Map();
+    /** @type {Map<string, (argument: unknown) => boolean>} */
+    const actions = new Map();
+    const display = {
+        application: {api, on: () => {}},
+        hotkeyHandler: {
+            registerActions: (/** @type {[name: string, handler: (argument: unknown) => boolean][]} */ entries) => {
+                for (const [name, handler] of entries) { actions.set(name, handler); }
+            },
+        },
+        on: (/** @type {string} */ eventName, /** @type {(details: unknown) => void} */ callback) => { eventHandlers.set(eventName, callback); },
+        getOptionsContext: () => optionsContext,
+    };
+
+    const controller = new SearchSottakuReviewController(/** @type {import('../ext/js/display/display.js').Display} */ (/** @type {unknown} */ (display)));
+    controller.prepare();
+
+    const start = async (/** @type {import('vitest').ExpectStatic} */ expect) => {
+        const onOptionsUpdated = eventHandlers.get('optionsUpdated');
+        if (typeof onOptionsUpdated === 'undefined') { throw new Error('Options handler not registered'); }
+        onOptionsUpdated({options: {sottaku: {enabled: true, apiBaseUrl: 'https://sottaku.test/api/v1', cookieDomain: 'https://sottaku.test'}}});
+        /** @type {HTMLElement} */
+        const toggleContainer = querySelectorNotNull(document, '#search-option-sottaku-review-container');
+        await vi.waitFor(() => expect(toggleContainer.hidden).toBe(false));
+
+        /** @type {HTMLInputElement} */
+        const checkbox = querySelectorNotNull(document, '#sottaku-review-enable');
+        checkbox.checked = true;
+        checkbox.dispatchEvent(new Event('change'));
+        await vi.waitFor(() => expect(api.getSottakuDueFlashcards).toHaveBeenCalled());
+    };
+
+    return {controller, api, actions, start};
+}
+
+/**
+ * @param {Map<string, (argument: unknown) => boolean>} actions
+ * @param {string} name
+ * @param {unknown} argument
+ * @returns {boolean}
+ * @throws {Error}
+ */
+function runAction(actions, name, argument) {
+    const action = actions.get(name);
+    if (typeof action === 'undefined') { throw new Error(`Action ${name} not registered`); }
+    return action(argument);
+}
+
+describe('SearchSottakuReviewController', () => {
+    test('Loads the due flashcards and shows the first one with its term hidden', async ({window, expect}) => {
+        const {document} = window;
+        const {api, start} = createController([createCard(1, '漢字'), createCard(2, '日本語')]);
+        await start(expect);
+
+        /** @type {HTMLElement} */
+        const card = querySelectorNotNull(document, '#sottaku-review-card');
+        await vi.waitFor(() => expect(card.hidden).toBe(false));
+        expect.soft(api.getSottakuDueFlashcards).toHaveBeenCalledWith(50, {index: 0});
+        expect.soft(querySelectorNotNull(document, '#sottaku-review-progress').textContent).toStrictEqual('1 / 2');
+        expect.soft(querySelectorNotNull(document, '#sottaku-review-sentence').textContent).toStrictEqual('＿＿＿を勉強する。');
+        expect.soft(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#sottaku-review-answer')).hidden).toBe(true);
+        expect.soft(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#sottaku-review-grades')).hidden).toBe(true);
+    });
+
+    test('Shows a message when loading the flashcards fails', async ({window, expect}) => {
+        const {document} = window;
+        const {api, start} = createController([]);
+        api.getSottakuDueFlashcards.mockRejectedValue(new Error('Network error'));
+        await start(expect);
+
+        /** @type {HTMLElement} */
+        const message = querySelectorNotNull(document, '#sottaku-review-message');
+        await vi.waitFor(() => expect(message.textContent).toStrictEqual('Failed to load flashcards: Network error'));
+        expect.soft(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#sottaku-review-card')).hidden).toBe(true);
+    });
+
+    test('Reveal shows the answer', async ({window, expect}) => {
+        const {document} = window;
+        const {actions, start} = createController([createCard(1, '漢字')]);
+        await start(expect);
+        await vi.waitFor(() => expect(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#sottaku-review-card')).hidden).toBe(false));
+
+        expect.soft(runAction(actions, 'sottakuReviewReveal', '')).toBe(true);
+        expect.soft(querySelectorNotNull(document, '#sottaku-review-sentence').textContent).toStrictEqual('漢字を勉強する。');
+        expect.soft(querySelectorNotNull(document, '#sottaku-review-term').textContent).toStrictEqual('漢字');
+        expect.soft(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#sottaku-review-answer')).hidden).toBe(false);
+        expect.soft(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#sottaku-review-grades')).hidden).toBe(false);
+        expect.soft(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#sottaku-review-reveal-button')).hidden).toBe(true);
+    });
+
+    test('Actions are ignored while reviewing is off', ({window, expect}) => {
+        // The window property needs to be referenced for it to be initialized.
+        void window;
+        const {api, actions} = createController([createCard(1, '漢字')]);
+        expect.soft(runAction(actions, 'sottakuReviewReveal', '')).toBe(false);
+        expect.soft(runAction(actions, 'sottakuReviewGrade', '3')).toBe(false);
+        expect.soft(api.getSottakuDueFlashcards).not.toHaveBeenCalled();
+        expect.soft(api.submitSottakuFlashcardReview).not.toHaveBeenCalled();
+    });
+
+    test('Grading before the answer is revealed is ignored', async ({window, expect}) => {
+        const {document} = window;
+        const {api, actions, start} = createController([createCard(1, '漢字')]);
+        await start(expect);
+        await vi.waitFor(() => expect(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#sottaku-review-card')).hidden).toBe(false));
+
+        expect.soft(runAction(actions, 'sottakuReviewGrade', '3')).toBe(false);
+        /** @type {HTMLButtonElement} */
+        const gradeButton = querySelectorNotNull(document, '#sottaku-review-grades button[data-grade="3"]');
+        gradeButton.click();
+        await Promise.resolve();
+        expect.soft(api.submitSottakuFlashcardReview).not.toHaveBeenCalled();
+        expect.soft(querySelectorNotNull(document, '#sottaku-review-progress').textContent).toStrictEqual('1 / 1');
+    });
+
+    test.for([
+        '0',
+        '5',
+        '-1',
+        'good',
+        '',
+        2.5,
+        null,
+    ])('Grade %o is rejected', async (grade, {window, expect}) => {
+        const {document} = window;
+        const {api, actions, start} = createController([createCard(1, '漢字')]);
+        await start(expect);
+        await vi.waitFor(() => expect(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#sottaku-review-card')).hidden).toBe(false));
+        runAction(actions, 'sottakuReviewReveal', '');
+
+        expect.soft(runAction(actions, 'sottakuReviewGrade', grade)).toBe(false);
+        expect.soft(api.submitSottakuFlashcardReview).not.toHaveBeenCalled();
+    });
+
+    test.for([
+        ['1', 1],
+        ['4', 4],
+        [2, 2],
+    ])('Grade %o advances to the next flashcard', async ([argument, grade], {window, expect}) => {
+        const {document} = window;
+        const {api, actions, start} = createController([createCard(1, '漢字'), createCard(2, '日本語')]);
+        await start(expect);
+        await vi.waitFor(() => expect(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#sottaku-review-card')).hidden).toBe(false));
+        runAction(actions, 'sottakuReviewReveal', '');
+
+        expect.soft(runAction(actions, 'sottakuReviewGrade', argument)).toBe(true);
+        /** @type {HTMLElement} */
+        const progress = querySelectorNotNull(document, '#sottaku-review-progress');
+        await vi.waitFor(() => expect(progress.textContent).toStrictEqual('2 / 2'));
+        expect.soft(api.submitSottakuFlashcardReview).toHaveBeenCalledWith(1, grade, 'ja', {index: 0});
+        expect.soft(querySelectorNotNull(document, '#sottaku-review-sentence').textContent).toStrictEqual('＿＿＿を勉強する。');
+        expect.soft(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#sottaku-review-answer')).hidden).toBe(true);
+    });
+
+    test('Grade buttons submit their grade and the last flashcard ends the session', async ({window, expect}) => {
+        const {document} = window;
+        const {api, start} = createController([createCard(1, '漢字')]);
+        await start(expect);
+        await vi.waitFor(() => expect(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#sottaku-review-card')).hidden).toBe(false));
+        /** @type {HTMLButtonElement} */ (querySelectorNotNull(document, '#sottaku-review-reveal-button')).click();
+
+        /** @type {HTMLButtonElement} */ (querySelectorNotNull(document, '#sottaku-review-grades button[data-grade="4"]')).click();
+        /** @type {HTMLElement} */
+        const message = querySelectorNotNull(document, '#sottaku-review-message');
+        await vi.waitFor(() => expect(message.textContent).toStrictEqual('All done! 1 flashcard(s) reviewed.'));
+        expect.soft(api.submitSottakuFlashcardReview).toHaveBeenCalledWith(1, 4, 'ja', {index: 0});
+        expect.soft(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#sottaku-review-card')).hidden).toBe(true);
+    });
+
+    test('A failed grade keeps the flashcard', async ({window, expect}) => {
+        const {document} = window;
+        const {api, actions, start} = createController([createCard(1, '漢字'), createCard(2, '日本語')]);
+        api.submitSottakuFlashcardReview.mockRejectedValue(new Error('Network error'));
+        await start(expect);
+        await vi.waitFor(() => expect(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#sottaku-review-card')).hidden).toBe(false));
+        runAction(actions, 'sottakuReviewReveal', '');
+
+        expect.soft(runAction(actions, 'sottakuReviewGrade', '3')).toBe(true);
+        /** @type {HTMLElement} */
+        const progress = querySelectorNotNull(document, '#sottaku-review-progress');
+        await vi.waitFor(() => expect(progress.textContent).toStrictEqual('Failed to submit review: Network error'));
+        expect.soft(querySelectorNotNull(document, '#sottaku-review-term').textContent).toStrictEqual('漢字');
+        expect.soft(/** @type {HTMLElement} */ (querySelectorNotNull(document, '#sottaku-review-grades')).classList.contains('sottaku-review-busy')).toBe(false);
+    });
+});
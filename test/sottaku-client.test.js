@@ -0,0 +1,267 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {IDBFactory, IDBKeyRange} from 'fake-indexeddb';
+import {beforeEach, describe, expect, test, vi} from 'vitest';
+import {parseJson} from '../dev/json.js';
+import {SottakuCache} from '../ext/js/comm/sottaku-cache.js';
+import {isSottakuPermanentError, isSottakuSessionExpiredError, SottakuClient} from '../ext/js/comm/sottaku-client.js';
+
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+vi.stubGlobal('chrome', {});
+
+/**
+ * @typedef {object} FetchRequest
+ * @property {string} path
+ * @property {string} method
+ * @property {unknown} body
+ * @property {?string} authorization
+ */
+
+/** @type {FetchRequest[]} */
+const requests = [];
+/** @type {(request: FetchRequest) => Response} */
+let onRequest;
+vi.stubGlobal('fetch', vi.fn(async (/** @type {string} */ url, /** @type {RequestInit} */ {method = 'GET', body, headers}) => {
+    /** @type {FetchRequest} */
+    const request = {
+        path: new URL(url).pathname.replace(/^\/api\/v1/, ''),
+        method,
+        body: typeof body === 'string' ? parseJson(body) : null,
+        authorization: /** @type {Record<string, string>} */ (headers)?.Authorization ?? null,
+    };
+    requests.push(request);
+    return onRequest(request);
+}));
+
+/**
+ * @param {number} status
+ * @param {unknown} body
+ * @param {Record<string, string>} [headers]
+ * @returns {Response}
+ */
+function createJsonResponse(status, body, headers = {}) {
+    return new Response(JSON.stringify(body), {status, headers: {'Content-Type': 'application/json', ...headers}});
+}
+
+/**
+ * @param {?SottakuCache} [cache]
+ * @returns {SottakuClient}
+ */
+function createClient(cache = null) {
+    const client = new SottakuClient({apiBaseUrl: 'https://sottaku.test/api/v1', authToken: 'token'});
+    client.setCache(cache);
+    return client;
+}
+
+/**
+ * @param {Partial<import('sottaku-cache').Options>} [options]
+ * @returns {SottakuCache}
+ */
+function createCache(options = {}) {
+    const cache = new SottakuCache();
+    cache.configure({enabled: true, maxEntries: 100, ttlHours: 1, serveStaleWhenOffline: true, ...options});
+    cache.setUser(1);
+    return cache;
+}
+
+describe('SottakuClient', () => {
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+        requests.length = 0;
+    });
+
+    test('scan requests results and returns the matched text length', async () => {
+        onRequest = () => createJsonResponse(200, {data: {results: [{id: 1}], original_text_length: 2}});
+        const client = createClient();
+        expect(await client.scan('読む', 'ja', 10)).toStrictEqual({results: [{id: 1}], originalTextLength: 2});
+        expect(requests).toStrictEqual([{path: '/dictionary/yomitan-scan', method: 'POST', body: {text: '読む', language: 'ja', maxResults: 10}, authorization: 'Bearer token'}]);
+    });
+
+    test('A 503 response is retried', async () => {
+        onRequest = () => (requests.length === 1 ? createJsonResponse(503, {}, {'Retry-After': '0'}) : createJsonResponse(200, {data: {results: []}}));
+        const client = createClient();
+        expect(await client.scan('読む', 'ja')).toStrictEqual({results: [], originalTextLength: 2});
+        expect(requests).toHaveLength(2);
+    });
+
+    test('A 503 response to a mutation is not retried', async () => {
+        onRequest = () => createJsonResponse(503, {}, {'Retry-After': '0'});
+        const client = createClient();
+        const error = await client.addFlashcard(1, 'ja').catch((e) => e);
+        expect(error).toBeInstanceOf(Error);
+        expect(isSottakuPermanentError(error)).toStrictEqual(false);
+        expect(requests).toHaveLength(1);
+    });
+
+    test('HTTP errors carry the response status', async () => {
+        onRequest = () => createJsonResponse(400, {error: 'Invalid question'});
+        const client = createClient();
+        const error = await client.addFlashcard(1, 'ja').catch((e) => e);
+        expect(error).toBeInstanceOf(Error);
+        expect(/** @type {Error} */ (error).message).toStrictEqual('Invalid question');
+        expect(isSottakuPermanentError(error)).toStrictEqual(true);
+
+        onRequest = () => createJsonResponse(429, {}, {'Retry-After': '0'});
+        const rateLimitError = await client.getProfile().catch((e) => e);
+        expect(isSottakuPermanentError(rateLimitError)).toStrictEqual(false);
+    });
+
+    test('An expired session is renewed and the request is sent again', async () => {
+        onRequest = ({path, authorization}) => {
+            if (path === '/auth/refresh') { return createJsonResponse(200, {data: {token: 'token2'}}); }
+            return authorization === 'Bearer token2' ? createJsonResponse(200, {data: {name: 'user'}}) : createJsonResponse(401, {});
+        };
+        const client = createClient();
+        const onAuthTokenChanged = vi.fn();
+        client.on('authTokenChanged', onAuthTokenChanged);
+        expect(await client.getProfile()).toStrictEqual({name: 'user'});
+        expect(client.authToken).toStrictEqual('token2');
+        expect(onAuthTokenChanged).toHaveBeenCalledWith({authToken: 'token2', previousAuthToken: 'token'});
+        expect(requests.map(({path}) => path)).toStrictEqual(['/profile/data', '/auth/refresh', '/profile/data']);
+    });
+
+    test('A session which cannot be renewed is reported as expired', async () => {
+        onRequest = () => createJsonResponse(401, {});
+        const client = createClient();
+        const onSessionExpired = vi.fn();
+        client.on('sessionExpired', onSessionExpired);
+        const error = await client.getProfile().catch((e) => e);
+        expect(isSottakuSessionExpiredError(error)).toStrictEqual(true);
+        expect(client.authToken).toStrictEqual('');
+        expect(onSessionExpired).toHaveBeenCalledWith({authToken: 'token'});
+    });
+
+    test('getFlashcardMembership returns the review status of the included questions', async () => {
+        onRequest = () => createJsonResponse(200, {data: {exists: [true, false, true], question_ids: ['1', '2', '3'], statuses: ['learning', null, 'unknown']}});
+        const client = createClient();
+        const membership = await client.getFlashcardMembership([1, 2, 3], 'ja');
+        expect([...membership]).toStrictEqual([[1, 'learning'], [3, null]]);
+    });
+
+    test('Cached scans are returned without a request', async () => {
+        onRequest = () => createJsonResponse(200, {data: {results: [{id: 1}], original_text_length: 2}});
+        const client = createClient(createCache());
+        await client.scan('読む', 'ja', 10);
+        expect(await client.scan('読む', 'ja', 5)).toStrictEqual({results: [{id: 1}], originalTextLength: 2});
+        expect(requests).toHaveLength(1);
+        // A scan which was cached with fewer results than requested is not sufficient
+        await client.scan('読む', 'ja', 20);
+        expect(requests).toHaveLength(2);
+    });
+
+    test('Stale scans are only returned when Sottaku cannot be reached', async () => {
+        const now = Date.now();
+        const dateNowSpy = vi.spyOn(Date, 'now').mockReturnValue(now);
+        try {
+            onRequest = () => createJsonResponse(200, {data: {results: [{id: 1}], original_text_length: 2}});
+            const client = createClient(createCache());
+            await client.scan('読む', 'ja');
+            dateNowSpy.mockReturnValue(now + 2 * 3600000);
+
+            onRequest = () => { throw new TypeError('Failed to fetch'); };
+            expect(await client.scan('読む', 'ja')).toStrictEqual({results: [{id: 1}], originalTextLength: 2});
+
+            onRequest = () => createJsonResponse(400, {error: 'Invalid language'});
+            await expect(client.scan('読む', 'ja')).rejects.toThrow('Invalid language');
+        } finally {
+            dateNowSpy.mockRestore();
+        }
+    });
+
+    test('getWordInfoBatch only requests the word info which is not cached', async () => {
+        onRequest = ({body}) => {
+            const {wordIds} = /** @type {{wordIds: number[]}} */ (body);
+            return createJsonResponse(200, {data: {word_info: Object.fromEntries(wordIds.map((id) => [`${id}`, {id}]))}});
+        };
+        const cache = createCache();
+        const getManySpy = vi.spyOn(cache, 'getMany');
+        const client = createClient(cache);
+        expect(await client.getWordInfoBatch([1, 2], 'ja')).toStrictEqual({1: {id: 1}, 2: {id: 2}});
+        expect(await client.getWordInfoBatch([2, 3], 'ja')).toStrictEqual({2: {id: 2}, 3: {id: 3}});
+        expect(requests.map(({body}) => body)).toStrictEqual([{wordIds: [1, 2], language: 'ja'}, {wordIds: [3], language: 'ja'}]);
+        // The cached word info is read at once rather than one word at a time
+        expect(getManySpy.mock.calls).toStrictEqual([['wordInfo', 'ja', ['1', '2']], ['wordInfo', 'ja', ['2', '3']]]);
+    });
+});
+
+describe('SottakuCache', () => {
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+    });
+
+    test('Responses are stored per type and language', async () => {
+        const cache = createCache();
+        await cache.set('scan', 'ja', '読む', {results: []});
+        await cache.set('wordInfo', 'ja', '1', {id: 1});
+        expect(await cache.get('scan', 'ja', '読む')).toStrictEqual({value: {results: []}, stale: false});
+        expect(await cache.get('scan', 'ko', '読む')).toStrictEqual(null);
+        expect(await cache.get('wordInfo', 'ja', '読む')).toStrictEqual(null);
+        const info = await cache.getInfo();
+        expect(info.count).toStrictEqual(2);
+        expect(info.counts).toStrictEqual({scan: 1, wordInfo: 1});
+
+        await cache.clear();
+        expect(await cache.get('scan', 'ja', '読む')).toStrictEqual(null);
+    });
+
+    test('Responses are stored per user', async () => {
+        const cache = createCache();
+        await cache.setMany('wordInfo', 'ja', [['1', {id: 1}], ['2', {id: 2}]]);
+        expect([...await cache.getMany('wordInfo', 'ja', ['1', '2', '3'])]).toStrictEqual([['1', {value: {id: 1}, stale: false}], ['2', {value: {id: 2}, stale: false}]]);
+
+        cache.setUser(2);
+        expect(await cache.get('wordInfo', 'ja', '1')).toStrictEqual(null);
+        await cache.set('wordInfo', 'ja', '1', {id: 1, user: 2});
+        expect(await cache.get('wordInfo', 'ja', '1')).toStrictEqual({value: {id: 1, user: 2}, stale: false});
+
+        cache.setUser(1);
+        expect(await cache.get('wordInfo', 'ja', '1')).toStrictEqual({value: {id: 1}, stale: false});
+    });
+
+    test('Nothing is cached while the user is not known', async () => {
+        const cache = createCache();
+        cache.setUser(null);
+        await cache.set('scan', 'ja', '読む', {results: []});
+        expect(await cache.get('scan', 'ja', '読む')).toStrictEqual(null);
+        expect((await cache.getInfo()).count).toStrictEqual(0);
+    });
+
+    test('A disabled cache stores nothing', async () => {
+        const cache = createCache({enabled: false});
+        await cache.set('scan', 'ja', '読む', {results: []});
+        expect(await cache.get('scan', 'ja', '読む')).toStrictEqual(null);
+        expect((await cache.getInfo()).count).toStrictEqual(0);
+    });
+
+    test('The oldest responses are removed when the cache is full', async () => {
+        const cache = createCache({maxEntries: 10});
+        const dateNowSpy = vi.spyOn(Date, 'now');
+        try {
+            for (let i = 0; i < 50; ++i) {
+                dateNowSpy.mockReturnValue(i);
+                await cache.set('wordInfo', 'ja', `${i}`, {id: i});
+            }
+        } finally {
+            dateNowSpy.mockRestore();
+        }
+        const info = await cache.getInfo();
+        expect(info.count).toStrictEqual(10);
+        expect(info.oldestTimestamp).toStrictEqual(40);
+        expect(await cache.get('wordInfo', 'ja', '39')).toStrictEqual(null);
+    });
+});
@@ -0,0 +1,190 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {IDBFactory, IDBKeyRange} from 'fake-indexeddb';
+import {beforeEach, describe, expect, test, vi} from 'vitest';
+import {parseJson} from '../dev/json.js';
+import {SottakuIntegration} from '../ext/js/background/sottaku-integration.js';
+import {isSottakuSessionExpiredError} from '../ext/js/comm/sottaku-client.js';
+import {SOTTAKU_DICTIONARY_NAME} from '../ext/js/dictionary/sottaku-dictionary.js';
+
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+vi.stubGlobal('chrome', {});
+
+/** @type {string[]} */
+const requestedPaths = [];
+vi.stubGlobal('fetch', vi.fn(async (/** @type {string} */ url, /** @type {RequestInit} */ {body}) => {
+    const path = new URL(url).pathname.replace(/^\/api\/v1/, '');
+    requestedPaths.push(path);
+    switch (path) {
+        case '/dictionary/yomitan-scan':
+            return createJsonResponse(200, {
+                data: {
+                    results: [
+                        {id: 1, kanji_representation: '読む', reading: 'よむ', word_translation: 'to read', match_length: 2},
+                        {id: 2, kanji_representation: '読み', reading: 'よみ', word_translation: 'reading', match_length: 2},
+                    ],
+                    original_text_length: 2,
+                },
+            });
+        case '/flashcards/exists':
+        {
+            /** @type {{questionIds: number[]}} */
+            const {questionIds} = parseJson(/** @type {string} */ (body));
+            return createJsonResponse(200, {data: {exists: questionIds.map((id) => id === 1), question_ids: questionIds, statuses: questionIds.map(() => 'learning')}});
+        }
+        default:
+            return createJsonResponse(404, {});
+    }
+}));
+
+/**
+ * @param {number} status
+ * @param {unknown} body
+ * @returns {Response}
+ */
+function createJsonResponse(status, body) {
+    return new Response(JSON.stringify(body), {status, headers: {'Content-Type': 'application/json'}});
+}
+
+/**
+ * @param {import('sottaku-credentials').Credentials} credentials
+ * @param {?import('sottaku-cache').Options} [cacheOptions]
+ * @returns {SottakuIntegration}
+ */
+function createIntegration(credentials, cacheOptions = null) {
+    const translator = /** @type {import('../ext/js/language/translator.js').Translator} */ (/** @type {unknown} */ ({}));
+    const integration = new SottakuIntegration(translator);
+    integration.setCredentials(credentials);
+    integration.configure(/** @type {import('settings').ProfileOptions} */ (/** @type {unknown} */ ({
+        general: {language: 'ja', maxResults: 32},
+        sottaku: {
+            enabled: true,
+            apiBaseUrl: 'https://sottaku.test/api/v1',
+            cookieDomain: 'https://sottaku.test',
+            languageMode: 'ja',
+            preferredLanguages: ['ja'],
+            cache: cacheOptions ?? {enabled: false, maxEntries: 0, ttlHours: 0, serveStaleWhenOffline: false},
+        },
+    })));
+    return integration;
+}
+
+/**
+ * Creates the options of a lookup in which Sottaku is enabled after a local dictionary.
+ * @returns {import('translation').FindTermsOptions}
+ */
+function createFindTermsOptions() {
+    return /** @type {import('translation').FindTermsOptions} */ (/** @type {unknown} */ ({
+        enabledDictionaryMap: new Map([
+            ['JMdict', {index: 0, alias: 'JMdict'}],
+            [SOTTAKU_DICTIONARY_NAME, {index: 1, alias: SOTTAKU_DICTIONARY_NAME}],
+        ]),
+        sortFrequencyDictionary: null,
+        sortFrequencyDictionaryOrder: 'descending',
+    }));
+}
+
+/**
+ * Creates a local dictionary entry with the same headword as a Sottaku entry.
+ * @param {import('dictionary').TermDictionaryEntry} sottakuEntry
+ * @returns {import('dictionary').TermDictionaryEntry}
+ */
+function createLocalEntry(sottakuEntry) {
+    const entry = structuredClone(sottakuEntry);
+    delete /** @type {{sottaku?: unknown}} */ (entry).sottaku;
+    return {
+        ...entry,
+        dictionaryIndex: 0,
+        dictionaryAlias: 'JMdict',
+        headwords: entry.headwords.map(({index, term, reading, sources, tags, wordClasses}) => ({index, term, reading, sources, tags, wordClasses})),
+        definitions: entry.definitions.map((definition) => ({...definition, dictionary: 'JMdict', dictionaryIndex: 0, dictionaryAlias: 'JMdict', entries: ['local']})),
+    };
+}
+
+describe('SottakuIntegration', () => {
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+        requestedPaths.length = 0;
+    });
+
+    test('findTerms creates dictionary entries from the scan results', async () => {
+        const integration = createIntegration({authToken: 'token', user: null});
+        const {dictionaryEntries, originalTextLength} = await integration.findTerms('読むこと');
+        expect(originalTextLength).toStrictEqual(2);
+        expect(dictionaryEntries.map(({headwords: [{term, reading}]}) => [term, reading])).toStrictEqual([['読む', 'よむ'], ['読み', 'よみ']]);
+        expect(dictionaryEntries[0].definitions[0].dictionary).toStrictEqual(SOTTAKU_DICTIONARY_NAME);
+        expect(dictionaryEntries[0].definitions[0].entries).toStrictEqual(['to read']);
+        expect(dictionaryEntries.map((entry) => /** @type {{sottaku: import('sottaku-dictionary').EntryMetadata}} */ (/** @type {unknown} */ (entry)).sottaku.flashcardStatus)).toStrictEqual(['learning', null]);
+        expect(requestedPaths).toStrictEqual(['/dictionary/supported-languages', '/dictionary/yomitan-scan', '/flashcards/exists']);
+    });
+
+    test('The cache is cleared when the user signs out', async () => {
+        const user = {id: 1, username: 'user', email: 'user@example.com', isPro: false};
+        const integration = createIntegration({authToken: 'token', user}, {enabled: true, maxEntries: 100, ttlHours: 1, serveStaleWhenOffline: true});
+        await integration.findTerms('読む');
+        expect((await integration.getCacheInfo()).counts.scan).toStrictEqual(1);
+
+        // An expired session keeps the user, and with it the cache
+        integration.setCredentials({authToken: '', user});
+        expect((await integration.getCacheInfo()).counts.scan).toStrictEqual(1);
+
+        integration.setCredentials({authToken: '', user: null});
+        expect((await integration.getCacheInfo()).count).toStrictEqual(0);
+    });
+
+    test('findTerms requires a signed in account', async () => {
+        await expect(createIntegration({authToken: '', user: null}).findTerms('読む')).rejects.toThrow('Sign in to Sottaku');
+        const error = await createIntegration({authToken: '', user: {id: 1, username: 'user', email: 'user@example.com', isPro: false}}).findTerms('読む').catch((e) => /** @type {unknown} */ (e));
+        expect(isSottakuSessionExpiredError(error)).toStrictEqual(true);
+        expect(requestedPaths).toStrictEqual([]);
+    });
+
+    test('mergeDictionaryEntries folds Sottaku entries into local entries with the same headword', async () => {
+        const integration = createIntegration({authToken: 'token', user: null});
+        const sottakuResult = await integration.findTerms('読む');
+        const localEntry = createLocalEntry(sottakuResult.dictionaryEntries[0]);
+        const localResult = {dictionaryEntries: [localEntry], originalTextLength: 2};
+
+        const {dictionaryEntries} = integration.mergeDictionaryEntries('group', localResult, sottakuResult, createFindTermsOptions());
+        expect(dictionaryEntries).toHaveLength(2);
+        expect(dictionaryEntries[0]).toBe(localEntry);
+        expect(localEntry.definitions.map(({dictionary}) => dictionary)).toStrictEqual(['JMdict', SOTTAKU_DICTIONARY_NAME]);
+        expect(dictionaryEntries[1].headwords[0].term).toStrictEqual('読み');
+        expect(dictionaryEntries[1].dictionaryIndex).toStrictEqual(1);
+    });
+
+    test('mergeDictionaryEntries keeps Sottaku entries separate in split mode', async () => {
+        const integration = createIntegration({authToken: 'token', user: null});
+        const sottakuResult = await integration.findTerms('読む');
+        const localEntry = createLocalEntry(sottakuResult.dictionaryEntries[0]);
+        const localResult = {dictionaryEntries: [localEntry], originalTextLength: 2};
+
+        const {dictionaryEntries} = integration.mergeDictionaryEntries('split', localResult, sottakuResult, createFindTermsOptions());
+        expect(dictionaryEntries).toHaveLength(3);
+        expect(localEntry.definitions).toHaveLength(1);
+    });
+
+    test('mergeDictionaryEntries ignores Sottaku results when its dictionary is disabled', async () => {
+        const integration = createIntegration({authToken: 'token', user: null});
+        const sottakuResult = await integration.findTerms('読む');
+        const localResult = {dictionaryEntries: [], originalTextLength: 0};
+        const findTermsOptions = createFindTermsOptions();
+        findTermsOptions.enabledDictionaryMap.delete(SOTTAKU_DICTIONARY_NAME);
+        expect(integration.mergeDictionaryEntries('group', localResult, sottakuResult, findTermsOptions)).toBe(localResult);
+    });
+});
@@ -0,0 +1,254 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {IDBFactory, IDBKeyRange} from 'fake-indexeddb';
+import {beforeEach, describe, expect, test, vi} from 'vitest';
+import {parseJson} from '../dev/json.js';
+import {SOTTAKU_OUTBOX_ALARM_NAME, SottakuIntegration} from '../ext/js/background/sottaku-integration.js';
+import {SottakuOutbox} from '../ext/js/comm/sottaku-outbox.js';
+
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+
+/** @type {Map<string, {name: string, scheduledTime: number}>} */
+const alarms = new Map();
+vi.stubGlobal('chrome', {
+    alarms: {
+        get: async (/** @type {string} */ name) => alarms.get(name),
+        create: async (/** @type {string} */ name, /** @type {{delayInMinutes?: number}} */ {delayInMinutes = 0}) => {
+            alarms.set(name, {name, scheduledTime: Date.now() + delayInMinutes * 60000});
+        },
+        clear: async (/** @type {string} */ name) => alarms.delete(name),
+    },
+});
+
+/** @type {number[]} */
+const requestedQuestionIds = [];
+/** @type {string[]} */
+const requestedPaths = [];
+/** @type {(questionId: number) => Response} */
+let onFlashcardRequest;
+const fetchMock = vi.fn(async (/** @type {string} */ url, /** @type {RequestInit} */ {body}) => {
+    if (!url.includes('/flashcards/')) { return createJsonResponse(404, {}); }
+    /** @type {{questionId: number}} */
+    const {questionId} = parseJson(/** @type {string} */ (body));
+    requestedQuestionIds.push(questionId);
+    requestedPaths.push(new URL(url).pathname.replace(/^\/api\/v1/, ''));
+    return onFlashcardRequest(questionId);
+});
+vi.stubGlobal('fetch', fetchMock);
+
+/**
+ * @param {number} status
+ * @param {unknown} body
+ * @returns {Response}
+ */
+function createJsonResponse(status, body) {
+    return new Response(JSON.stringify(body), {status, headers: {'Content-Type': 'application/json'}});
+}
+
+/**
+ * @returns {import('settings').ProfileOptions}
+ */
+function createOptions() {
+    return /** @type {import('settings').ProfileOptions} */ (/** @type {unknown} */ ({
+        general: {language: 'ja', maxResults: 32},
+        sottaku: {
+            enabled: true,
+            apiBaseUrl: 'https://sottaku.test/api/v1',
+            cookieDomain: 'https://sottaku.test',
+            cache: {enabled: false, maxEntries: 0, ttlHours: 0, serveStaleWhenOffline: false},
+        },
+    }));
+}
+
+/**
+ * @param {number} questionId
+ * @param {Partial<import('sottaku-outbox').PendingMutation>} [details]
+ * @returns {import('sottaku-outbox').PendingMutation}
+ */
+function createPendingMutation(questionId, details = {}) {
+    return {
+        action: 'addFlashcard',
+        questionId,
+        language: 'ja',
+        term: `term${questionId}`,
+        timestamp: questionId,
+        attemptCount: 1,
+        lastError: null,
+        parked: false,
+        ...details,
+    };
+}
+
+/**
+ * Creates an integration whose flashcard requests are answered by `onRequest`.
+ * @param {(questionId: number) => Response} onRequest
+ * @returns {SottakuIntegration}
+ */
+function createIntegration(onRequest) {
+    onFlashcardRequest = onRequest;
+    const translator = /** @type {import('../ext/js/language/translator.js').Translator} */ (/** @type {unknown} */ ({}));
+    const integration = new SottakuIntegration(translator);
+    integration.setCredentials({authToken: 'token', user: null});
+    integration.configure(createOptions());
+    return integration;
+}
+
+describe('SottakuOutbox', () => {
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+    });
+
+    test('getAll returns mutations oldest first', async () => {
+        const outbox = new SottakuOutbox();
+        await outbox.put(createPendingMutation(2));
+        await outbox.put(createPendingMutation(1));
+        await outbox.put(createPendingMutation(3, {language: 'ko'}));
+        const mutations = await outbox.getAll();
+        expect(mutations.map(({questionId}) => questionId)).toStrictEqual([1, 2, 3]);
+    });
+
+    test('put replaces the pending mutation for the same question', async () => {
+        const outbox = new SottakuOutbox();
+        await outbox.put(createPendingMutation(1));
+        await outbox.put(createPendingMutation(1, {action: 'removeFlashcard', timestamp: 10}));
+        const mutations = await outbox.getAll();
+        expect(mutations).toStrictEqual([createPendingMutation(1, {action: 'removeFlashcard', timestamp: 10})]);
+        expect(await outbox.get('ja', 1)).toStrictEqual(mutations[0]);
+        expect(await outbox.get('ja', 2)).toStrictEqual(null);
+    });
+
+    test('delete with a timestamp keeps a mutation which replaced the sent one', async () => {
+        const outbox = new SottakuOutbox();
+        await outbox.put(createPendingMutation(1, {timestamp: 20}));
+        await outbox.delete('ja', 1, 10);
+        expect(await outbox.getAll()).toHaveLength(1);
+        await outbox.delete('ja', 1, 20);
+        expect(await outbox.getAll()).toHaveLength(0);
+    });
+});
+
+describe('SottakuIntegration outbox', () => {
+    beforeEach(() => {
+        globalThis.indexedDB = new IDBFactory();
+        alarms.clear();
+        requestedQuestionIds.length = 0;
+        requestedPaths.length = 0;
+    });
+
+    test('Flashcard toggles are sent right away when Sottaku can be reached', async () => {
+        const integration = createIntegration(() => createJsonResponse(200, {success: true, data: null}));
+        expect(await integration.sendMutation({action: 'addFlashcard', questionId: 1, language: 'ja', term: 'term1'})).toStrictEqual({queued: false});
+        expect(await integration.sendMutation({action: 'removeFlashcard', questionId: 1, language: 'ja', term: 'term1'})).toStrictEqual({queued: false});
+        expect(requestedPaths).toStrictEqual(['/flashcards/add', '/flashcards/remove']);
+        expect(await integration.getPendingMutations()).toStrictEqual([]);
+        expect(alarms.has(SOTTAKU_OUTBOX_ALARM_NAME)).toBe(false);
+    });
+
+    test('A flashcard toggle replaces the pending toggle of the same question', async () => {
+        const integration = createIntegration(() => createJsonResponse(200, {success: true, data: null}));
+        const outbox = new SottakuOutbox();
+        await outbox.put(createPendingMutation(1));
+        await outbox.put(createPendingMutation(2));
+        expect(await integration.sendMutation({action: 'removeFlashcard', questionId: 1, language: 'ja', term: 'term1'})).toStrictEqual({queued: false});
+        expect(requestedPaths).toStrictEqual(['/flashcards/remove']);
+        expect(await outbox.getAll()).toStrictEqual([createPendingMutation(2)]);
+    });
+
+    test('Flashcard toggles rejected by Sottaku are not queued', async () => {
+        const integration = createIntegration(() => createJsonResponse(422, {success: false, error: 'Unknown question'}));
+        await expect(integration.sendMutation({action: 'addFlashcard', questionId: 1, language: 'ja', term: 'term1'})).rejects.toThrow('Unknown question');
+        expect(await integration.getPendingMutations()).toStrictEqual([]);
+        expect(alarms.has(SOTTAKU_OUTBOX_ALARM_NAME)).toBe(false);
+    });
+
+    test('Mutations are queued when Sottaku is unreachable, and an alarm retries them', async () => {
+        const integration = createIntegration(() => { throw new TypeError('Failed to fetch'); });
+        const result = await integration.sendMutation({action: 'addFlashcard', questionId: 1, language: 'ja', term: 'term1'});
+        expect(result).toStrictEqual({queued: true});
+        const mutations = await integration.getPendingMutations();
+        expect(mutations).toMatchObject([{questionId: 1, attemptCount: 1, parked: false}]);
+        expect(alarms.has(SOTTAKU_OUTBOX_ALARM_NAME)).toBe(true);
+    });
+
+    test('Sending stops at the first network failure', async () => {
+        const integration = createIntegration(() => { throw new TypeError('Failed to fetch'); });
+        const outbox = new SottakuOutbox();
+        await outbox.put(createPendingMutation(1));
+        await outbox.put(createPendingMutation(2));
+        const result = await integration.flushOutbox();
+        expect(result).toStrictEqual({sentCount: 0, remainingCount: 2, parkedCount: 0});
+        expect(requestedQuestionIds).toStrictEqual([1]);
+        expect(await outbox.getAll()).toMatchObject([{questionId: 1, attemptCount: 2, parked: false}, {questionId: 2, attemptCount: 1}]);
+        expect(alarms.has(SOTTAKU_OUTBOX_ALARM_NAME)).toBe(true);
+    });
+
+    test('Mutations rejected by Sottaku are parked and skipped', async () => {
+        // A 4xx response, or a response reporting a validation failure, cannot be fixed by sending the mutation again
+        const integration = createIntegration((questionId) => (
+            questionId === 1 ?
+                createJsonResponse(422, {success: false, error: 'Unknown question'}) :
+                createJsonResponse(200, {success: true, data: null})
+        ));
+        const outbox = new SottakuOutbox();
+        await outbox.put(createPendingMutation(1));
+        await outbox.put(createPendingMutation(2));
+        expect(await integration.flushOutbox()).toStrictEqual({sentCount: 1, remainingCount: 1, parkedCount: 1});
+        expect(await outbox.getAll()).toMatchObject([{questionId: 1, parked: true, lastError: 'Unknown question'}]);
+        expect(alarms.has(SOTTAKU_OUTBOX_ALARM_NAME)).toBe(false);
+
+        expect(await integration.flushOutbox()).toStrictEqual({sentCount: 0, remainingCount: 1, parkedCount: 1});
+        expect(requestedQuestionIds).toStrictEqual([1, 2]);
+    });
+
+    test('Mutations which keep failing are parked after the maximum number of attempts', async () => {
+        const integration = createIntegration(() => { throw new Error('Unexpected response'); });
+        const outbox = new SottakuOutbox();
+        await outbox.put(createPendingMutation(1, {attemptCount: 4}));
+        expect(await integration.flushOutbox()).toStrictEqual({sentCount: 0, remainingCount: 1, parkedCount: 1});
+        expect(await outbox.getAll()).toMatchObject([{attemptCount: 5, parked: true}]);
+    });
+
+    test('Errors which are not permanent are retried by an alarm', async () => {
+        let failed = false;
+        const integration = createIntegration(() => {
+            if (!failed) {
+                failed = true;
+                throw new Error('Unexpected response');
+            }
+            return createJsonResponse(200, {success: true, data: null});
+        });
+        const outbox = new SottakuOutbox();
+        await outbox.put(createPendingMutation(1));
+        expect(await integration.flushOutbox()).toStrictEqual({sentCount: 0, remainingCount: 1, parkedCount: 0});
+        expect(await outbox.getAll()).toMatchObject([{attemptCount: 2, parked: false, lastError: 'Unexpected response'}]);
+        expect(alarms.has(SOTTAKU_OUTBOX_ALARM_NAME)).toBe(true);
+
+        expect(await integration.flushOutbox()).toStrictEqual({sentCount: 1, remainingCount: 0, parkedCount: 0});
+        expect(alarms.has(SOTTAKU_OUTBOX_ALARM_NAME)).toBe(false);
+    });
+
+    test('Parked mutations can be retried or discarded', async () => {
+        const integration = createIntegration(() => createJsonResponse(200, {success: true, data: null}));
+        const outbox = new SottakuOutbox();
+        await outbox.put(createPendingMutation(1, {attemptCount: 5, parked: true}));
+        await outbox.put(createPendingMutation(2, {parked: true}));
+        expect(await integration.retryMutation('ja', 1)).toStrictEqual({sentCount: 1, remainingCount: 1, parkedCount: 1});
+        await integration.discardMutation('ja', 2);
+        expect(await outbox.getAll()).toStrictEqual([]);
+    });
+});
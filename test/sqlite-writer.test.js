@@ -0,0 +1,99 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import {describe, expect, test} from 'vitest';
+import {SqliteWriter} from '../ext/js/data/sqlite-writer.js';
+
+/**
+ * @param {Uint8Array} data
+ * @param {number} pageSize
+ * @param {number} pageNumber
+ * @returns {number}
+ */
+function getPageType(data, pageSize, pageNumber) {
+    return data[(pageNumber - 1) * pageSize + (pageNumber === 1 ? 100 : 0)];
+}
+
+/**
+ * @param {number} count
+ * @param {number} textLength
+ * @returns {import('sqlite-writer').Row[]}
+ */
+function createRows(count, textLength) {
+    /** @type {import('sqlite-writer').Row[]} */
+    const rows = [];
+    for (let i = 0; i < count; ++i) {
+        rows.push({rowid: i + 1, values: [null, `${i}`.padStart(textLength, 'x'), i % 7, i * 0.5]});
+    }
+    return rows;
+}
+
+describe('SqliteWriter', () => {
+    test('Empty database', () => {
+        const data = new SqliteWriter(1024).write();
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        expect(new TextDecoder().decode(data.subarray(0, 16))).toStrictEqual('SQLite format 3\0');
+        expect(view.getUint16(16)).toStrictEqual(1024);
+        expect(data.length).toStrictEqual(1024);
+        expect(view.getUint32(28)).toStrictEqual(1);
+        // UTF-8 text encoding and schema format 4
+        expect(view.getUint32(56)).toStrictEqual(1);
+        expect(view.getUint32(44)).toStrictEqual(4);
+        expect(getPageType(data, 1024, 1)).toStrictEqual(0x0d);
+    });
+
+    test.each([
+        [0, 10],
+        [1, 10],
+        [500, 10],
+        [50, 3000],
+    ])('Table with %i rows of length %i', (count, textLength) => {
+        const pageSize = 1024;
+        const writer = new SqliteWriter(pageSize);
+        writer.addTable({name: 'items', sql: 'CREATE TABLE items (id integer primary key, name text, category integer, value real)', rows: createRows(count, textLength)});
+        writer.addIndex({name: 'ix_items_category', tableName: 'items', sql: 'CREATE INDEX ix_items_category on items (category, name)', columns: [2, 1]});
+        const data = writer.write();
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+
+        expect(data.length % pageSize).toStrictEqual(0);
+        expect(view.getUint32(28)).toStrictEqual(data.length / pageSize);
+        expect(view.getUint32(32)).toStrictEqual(0);
+
+        const text = new TextDecoder().decode(data.subarray(0, pageSize));
+        expect(text).toContain('CREATE TABLE items (id integer primary key, name text, category integer, value real)');
+        expect(text).toContain('CREATE INDEX ix_items_category on items (category, name)');
+
+        expect([0x05, 0x0d]).toContain(getPageType(data, pageSize, 2));
+    });
+
+    test('Rows are written in rowid order', () => {
+        const pageSize = 1024;
+        const writer = new SqliteWriter(pageSize);
+        writer.addTable({name: 'items', sql: 'CREATE TABLE items (id integer primary key, name text, category integer, value real)', rows: createRows(3, 4).reverse()});
+        const data = writer.write();
+        const page = new DataView(data.buffer, pageSize, pageSize);
+        const cellCount = page.getUint16(3);
+        /** @type {number[]} */
+        const rowids = [];
+        for (let i = 0; i < cellCount; ++i) {
+            // Payload sizes and rowids of these rows are single byte varints
+            const cellOffset = page.getUint16(8 + i * 2);
+            rowids.push(page.getUint8(cellOffset + 1));
+        }
+        expect(rowids).toStrictEqual([1, 2, 3]);
+    });
+});
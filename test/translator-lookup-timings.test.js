@@ -0,0 +1,120 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+
+import {IDBKeyRange, indexedDB} from 'fake-indexeddb';
+import {readFileSync} from 'fs';
+import {fileURLToPath} from 'node:url';
+import path from 'path';
+import {beforeAll, describe, expect, test, vi} from 'vitest';
+import {createDictionaryArchiveData} from '../dev/dictionary-archive-util.js';
+import {parseJson} from '../dev/json.js';
+import {DictionaryDatabase} from '../ext/js/dictionary/dictionary-database.js';
+import {DictionaryImporter} from '../ext/js/dictionary/dictionary-importer.js';
+import {Translator} from '../ext/js/language/translator.js';
+import {chrome, fetch} from './mocks/common.js';
+import {DictionaryImporterMediaLoader} from './mocks/dictionary-importer-media-loader.js';
+import {setupStubs} from './utilities/database.js';
+import {createFindTermsOptions} from './utilities/translator.js';
+
+vi.stubGlobal('indexedDB', indexedDB);
+vi.stubGlobal('IDBKeyRange', IDBKeyRange);
+vi.stubGlobal('fetch', fetch);
+vi.stubGlobal('chrome', chrome);
+setupStubs();
+
+const dirname = path.dirname(fileURLToPath(import.meta.url));
+const dictionaryName = 'Test Dictionary 2';
+const secondDictionaryName = 'Test Dictionary 2 (copy)';
+
+/** @type {import('test/translator').TranslatorTestInputs} */
+const {optionsPresets} = parseJson(readFileSync(path.join(dirname, 'data/translator-test-inputs.json'), {encoding: 'utf8'}));
+
+/** @type {Translator} */
+let translator;
+
+beforeAll(async () => {
+    const testDictionaryData = await createDictionaryArchiveData(path.join(dirname, 'data/dictionaries/valid-dictionary1'), dictionaryName);
+    const dictionaryImporter = new DictionaryImporter(new DictionaryImporterMediaLoader());
+    const dictionaryDatabase = new DictionaryDatabase();
+    await dictionaryDatabase.prepare();
+    for (const title of [dictionaryName, secondDictionaryName]) {
+        const {errors} = await dictionaryImporter.importDictionary(dictionaryDatabase, testDictionaryData, {prefixWildcardsSupported: true, yomitanVersion: '0.0.0.0', title});
+        expect(errors).toStrictEqual([]);
+    }
+    translator = new Translator(dictionaryDatabase);
+    translator.prepare();
+});
+
+/**
+ * @param {boolean} profile
+ * @returns {import('translation').FindTermsOptions}
+ */
+function createOptions(profile) {
+    const options = createFindTermsOptions(dictionaryName, optionsPresets, 'default');
+    options.enabledDictionaryMap.set(secondDictionaryName, {
+        index: 1,
+        alias: secondDictionaryName,
+        allowSecondarySearches: false,
+        partsOfSpeechFilter: true,
+        useDeinflections: true,
+    });
+    if (profile) { options.profile = true; }
+    return options;
+}
+
+describe('Translator lookup timings', () => {
+    test('Profiled lookups return a span for each stage and each queried dictionary', async () => {
+        const {dictionaryEntries, lookupTimings} = await translator.findTerms('merge', '打ち込む', createOptions(true));
+        expect(dictionaryEntries.length).toBeGreaterThan(0);
+        expect(lookupTimings).toBeDefined();
+        const spans = lookupTimings ?? [];
+
+        const stages = new Set(spans.map(({stage}) => stage));
+        expect(stages).toStrictEqual(new Set(['total', 'deinflection', 'findTerms', 'relatedEntries', 'termMeta']));
+
+        for (const stage of ['findTerms', 'termMeta']) {
+            const dictionaries = new Set(spans.filter((span) => span.stage === stage).map(({dictionary}) => dictionary));
+            expect(dictionaries).toStrictEqual(new Set([dictionaryName, secondDictionaryName]));
+        }
+        for (const stage of ['total', 'deinflection', 'relatedEntries']) {
+            expect(spans.filter((span) => span.stage === stage).map(({dictionary}) => dictionary)).toStrictEqual([null]);
+        }
+
+        const total = /** @type {import('translator').LookupTimingSpan} */ (spans.find(({stage}) => stage === 'total'));
+        for (const {start, duration} of spans) {
+            expect(start).toBeGreaterThanOrEqual(0);
+            expect(duration).toBeGreaterThanOrEqual(0);
+            expect(start + duration).toBeLessThanOrEqual(total.start + total.duration);
+        }
+    });
+
+    test('Lookups without profiling have no timings and the same entries', async () => {
+        const result = await translator.findTerms('merge', '打ち込む', createOptions(false));
+        expect(Object.keys(result)).toStrictEqual(['dictionaryEntries', 'originalTextLength']);
+
+        const profiledResult = await translator.findTerms('merge', '打ち込む', createOptions(true));
+        expect(profiledResult.originalTextLength).toStrictEqual(result.originalTextLength);
+        expect(profiledResult.dictionaryEntries).toStrictEqual(result.dictionaryEntries);
+    });
+
+    test('Simple lookups without a sort dictionary have no term meta spans', async () => {
+        const {lookupTimings} = await translator.findTerms('simple', '打', createOptions(true));
+        const stages = new Set((lookupTimings ?? []).map(({stage}) => stage));
+        expect(stages).toStrictEqual(new Set(['total', 'deinflection', 'findTerms']));
+    });
+});
@@ -0,0 +1,28 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+export type MediaFile = {
+    fileName: string;
+    /** Base64 encoded file content. */
+    data: string;
+};
+
+/** An object which media files can be stored in, such as `AnkiConnect`. */
+export type MediaTarget = {
+    /** Returns the name the file was stored as, or `null` if it was not stored. */
+    storeMediaFile: (fileName: string, content: string) => Promise<string | null>;
+};
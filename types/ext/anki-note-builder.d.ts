@@ -70,7 +70,7 @@ export type GetRenderingDataDetails = {
 export type CommonData = AnkiTemplatesInternal.CreateDetails;
 
 export type RequirementGeneric = {
-    type: 'audio' | 'screenshot' | 'clipboardImage' | 'clipboardText' | 'popupSelectionText';
+    type: 'audio' | 'screenshot' | 'clipboardImage' | 'clipboardText' | 'popupSelectionText' | 'sottakuAudio' | 'sottakuSentenceAudio';
 };
 
 export type RequirementTextFurigana = {
@@ -134,6 +134,7 @@ export type MinimalApi = {
         screenshotDetails: Api.ApiParam<'injectAnkiNoteMedia', 'screenshotDetails'>,
         clipboardDetails: Api.ApiParam<'injectAnkiNoteMedia', 'clipboardDetails'>,
         dictionaryMediaDetails: Api.ApiParam<'injectAnkiNoteMedia', 'dictionaryMediaDetails'>,
+        sottakuAudioDetails: Api.ApiParam<'injectAnkiNoteMedia', 'sottakuAudioDetails'>,
     ): Promise<Api.ApiReturn<'injectAnkiNoteMedia'>>;
 
     parseText(
@@ -0,0 +1,50 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as Anki from './anki';
+import type {MediaFile} from './anki-media-collector';
+
+export type ObjectStoreName = 'notes';
+
+export type QueuedNoteDetails = {
+    note: Anki.Note;
+    media: MediaFile[];
+    timestamp: number;
+    attemptCount: number;
+    lastError: string | null;
+    /** Whether Anki reported the note as a duplicate the last time the queue was flushed. */
+    duplicate: boolean;
+    /** The number of consecutive attempts which failed for reasons other than the connection. */
+    errorCount: number;
+};
+
+export type QueuedNote = QueuedNoteDetails & {
+    id: number;
+};
+
+/** A queued note without its media content, which is not needed for display. */
+export type QueuedNoteSummary = Omit<QueuedNote, 'media'> & {
+    mediaFileNames: string[];
+};
+
+export type FlushResult = {
+    addedCount: number;
+    duplicateCount: number;
+    /** The number of notes which are skipped because they failed too many times. */
+    failedCount: number;
+    remainingCount: number;
+};
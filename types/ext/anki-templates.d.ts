@@ -33,6 +33,8 @@ export type Media = {
     clipboardImage?: MediaObject;
     clipboardText?: MediaObject;
     popupSelectionText?: MediaObject;
+    sottakuAudio?: MediaObject;
+    sottakuSentenceAudio?: MediaObject;
     textFurigana?: TextFuriganaSegment[];
     dictionaryMedia?: DictionaryMedia;
 };
@@ -44,7 +46,9 @@ export type MediaSimpleType = (
     'screenshot' |
     'clipboardImage' |
     'clipboardText' |
-    'popupSelectionText'
+    'popupSelectionText' |
+    'sottakuAudio' |
+    'sottakuSentenceAudio'
 );
 
 export type TextFuriganaSegment = {
@@ -203,6 +207,18 @@ export type TermDictionaryEntry = {
     url: string;
     readonly cloze: Cloze;
     readonly furiganaSegments?: FuriganaSegment[];
+    readonly sottaku: SottakuInfo | null;
+};
+
+/**
+ * The sentence card content of a term found by Sottaku.
+ */
+export type SottakuInfo = {
+    language: string;
+    translation: string;
+    sentence: string;
+    sentenceTranslation: string;
+    usageNotes: string;
 };
 
 export type TermDictionaryEntryCommonInfo = {
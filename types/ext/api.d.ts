@@ -17,6 +17,7 @@
 
 import type * as Anki from './anki';
 import type * as AnkiNoteBuilder from './anki-note-builder';
+import type * as AnkiNoteQueue from './anki-note-queue';
 import type * as Audio from './audio';
 import type * as AudioDownloader from './audio-downloader';
 import type * as Backend from './backend';
@@ -27,9 +28,19 @@ import type * as DictionaryImporter from './dictionary-importer';
 import type * as Environment from './environment';
 import type * as Extension from './extension';
 import type * as Language from './language';
+import type * as LanguageIdentification from './language-identification';
 import type * as Log from './log';
+import type * as LookupHistory from './lookup-history';
+import type * as MiningLog from './mining-log';
+import type * as PersonalDictionary from './personal-dictionary';
 import type * as Settings from './settings';
 import type * as SettingsModifications from './settings-modifications';
+import type * as SottakuCache from './sottaku-cache';
+import type * as SottakuClient from './sottaku-client';
+import type * as SottakuCredentials from './sottaku-credentials';
+import type * as SottakuDictionary from './sottaku-dictionary';
+import type * as SottakuOutbox from './sottaku-outbox';
+import type * as SottakuReview from './sottaku-review';
 import type * as Translation from './translation';
 import type * as Translator from './translator';
 import type {ApiMessageNoFrameIdAny as ApplicationApiMessageNoFrameIdAny} from './application';
@@ -49,6 +60,16 @@ export type FindTermsDetails = {
     matchType?: Translation.FindTermsMatchType;
     deinflect?: boolean;
     primaryReading?: string;
+    /** Used to identify the language of the text, for the languages of both the dictionaries and Sottaku. */
+    languageHints?: LanguageIdentification.Hints;
+    /** Whether the timing spans of the lookup should be returned. Lookups are always profiled when `general.debugInfo` is enabled. */
+    profile?: boolean;
+};
+
+export type FindTermsPatternDetails = {
+    matchType: 'pattern' | 'regex';
+    /** The `nextCursor` returned for the previous page, or `null` for the first page. */
+    cursor: number | null;
 };
 
 export type ParseTextResultItem = {
@@ -78,6 +99,12 @@ export type InjectAnkiNoteMediaKanjiDefinitionDetails = {
 
 export type InjectAnkiNoteMediaDefinitionDetails = InjectAnkiNoteMediaTermDefinitionDetails | InjectAnkiNoteMediaKanjiDefinitionDetails;
 
+export type AddAnkiNotesResult = {
+    noteId: Anki.NoteId | null;
+    /** The reason why the note could not be added. */
+    error: string | null;
+};
+
 export type InjectAnkiNoteMediaAudioDetails = AnkiNoteBuilder.AudioMediaOptions;
 
 export type InjectAnkiNoteMediaScreenshotDetails = {
@@ -97,6 +124,17 @@ export type InjectAnkiNoteMediaDictionaryMediaDetails = {
     path: string;
 };
 
+export type InjectAnkiNoteMediaSottakuAudioDetails = {
+    /** The Sottaku word ID, used to look up audio URLs which are missing from `audio`. */
+    questionId: number | null;
+    language: string;
+    audio: SottakuDictionary.EntryMetadata['audio'];
+    /** Whether or not the word audio should be added. */
+    word: boolean;
+    /** Whether or not the sentence audio should be added. */
+    sentence: boolean;
+};
+
 export type InjectAnkiNoteDictionaryMediaResult = {
     dictionary: string;
     path: string;
@@ -133,11 +171,18 @@ type ApiSurface = {
             text: string;
             details: FindTermsDetails;
             optionsContext: Settings.OptionsContext;
+            /** An identifier which can be passed to `termsFindCancel` to cancel the remote part of the lookup. */
+            lookupId?: string;
         };
-        return: {
-            dictionaryEntries: Dictionary.TermDictionaryEntry[];
-            originalTextLength: number;
+        return: Translator.FindTermsResult;
+    };
+    termsFindPattern: {
+        params: {
+            text: string;
+            details: FindTermsPatternDetails;
+            optionsContext: Settings.OptionsContext;
         };
+        return: Translator.FindTermsByPatternResult;
     };
     parseText: {
         params: {
@@ -170,12 +215,113 @@ type ApiSurface = {
         };
         return: Anki.NoteId | null;
     };
+    addAnkiNotes: {
+        params: {
+            notes: Anki.Note[];
+        };
+        return: AddAnkiNotesResult[];
+    };
     updateAnkiNote: {
         params: {
             noteWithId: Anki.NoteWithId;
         };
         return: null;
     };
+    queueAnkiNote: {
+        params: {
+            note: Anki.Note;
+            error: string | null;
+        };
+        return: number;
+    };
+    getAnkiNoteQueue: {
+        params: void;
+        return: AnkiNoteQueue.QueuedNoteSummary[];
+    };
+    updateQueuedAnkiNote: {
+        params: {
+            id: number;
+            fields: Anki.NoteFields;
+        };
+        return: void;
+    };
+    deleteQueuedAnkiNote: {
+        params: {
+            id: number;
+        };
+        return: void;
+    };
+    flushAnkiNoteQueue: {
+        params: {
+            id: number | null;
+        };
+        return: AnkiNoteQueue.FlushResult;
+    };
+    addMiningLogEntry: {
+        params: {
+            note: Anki.Note;
+        };
+        return: number;
+    };
+    getMiningLog: {
+        params: void;
+        return: MiningLog.Entry[];
+    };
+    getMiningLogCount: {
+        params: void;
+        return: number;
+    };
+    clearMiningLog: {
+        params: void;
+        return: void;
+    };
+    addHistoryRecord: {
+        params: {
+            record: LookupHistory.HistoryRecordDetails;
+            optionsContext: Settings.OptionsContext;
+        };
+        return: void;
+    };
+    markHistoryRecordSaved: {
+        params: {
+            id: string;
+            headword: LookupHistory.SavedHeadword;
+        };
+        return: boolean;
+    };
+    getHistoryRecords: {
+        params: {
+            filter: LookupHistory.Filter;
+            /** The cursor returned with the previous page, or `null` for the first page. */
+            cursor: LookupHistory.RecordCursor | null;
+            limit: number;
+        };
+        return: LookupHistory.RecordPage;
+    };
+    getHistoryRecord: {
+        params: {
+            id: string;
+        };
+        return: {
+            record: LookupHistory.HistoryRecord;
+            /** The index of the profile the lookup was made with, if it still exists. */
+            profileIndex: number | null;
+        } | null;
+    };
+    getHistoryRecordCount: {
+        params: void;
+        return: number;
+    };
+    deleteHistoryRecords: {
+        params: {
+            ids: string[];
+        };
+        return: void;
+    };
+    clearHistory: {
+        params: void;
+        return: void;
+    };
     getAnkiNoteInfo: {
         params: {
             notes: Anki.Note[];
@@ -191,12 +337,15 @@ type ApiSurface = {
             screenshotDetails: InjectAnkiNoteMediaScreenshotDetails | null;
             clipboardDetails: InjectAnkiNoteMediaClipboardDetails | null;
             dictionaryMediaDetails: InjectAnkiNoteMediaDictionaryMediaDetails[];
+            sottakuAudioDetails: InjectAnkiNoteMediaSottakuAudioDetails | null;
         };
         return: {
             screenshotFileName: string | null;
             clipboardImageFileName: string | null;
             clipboardText: string | null;
             audioFileName: string | null;
+            sottakuAudioFileName: string | null;
+            sottakuSentenceAudioFileName: string | null;
             dictionaryMedia: InjectAnkiNoteDictionaryMediaResult[];
             errors: Core.SerializedError[];
         };
@@ -283,10 +432,38 @@ type ApiSurface = {
         params: void;
         return: DictionaryImporter.Summary[];
     };
+    /** Returns the summaries of the remote dictionaries, which have no data in the dictionary database. */
+    getRemoteDictionaryInfo: {
+        params: void;
+        return: DictionaryImporter.Summary[];
+    };
     purgeDatabase: {
         params: void;
         return: void;
     };
+    getPersonalDictionaryEntries: {
+        params: void;
+        return: PersonalDictionary.Entry[];
+    };
+    addPersonalDictionaryEntry: {
+        params: {
+            content: PersonalDictionary.EntryContent;
+        };
+        return: void;
+    };
+    updatePersonalDictionaryEntry: {
+        params: {
+            id: number;
+            content: PersonalDictionary.EntryContent;
+        };
+        return: void;
+    };
+    deletePersonalDictionaryEntry: {
+        params: {
+            id: number;
+        };
+        return: void;
+    };
     getMedia: {
         params: {
             targets: GetMediaDetailsTarget[];
@@ -378,6 +555,13 @@ type ApiSurface = {
         };
         return: Anki.NoteId[];
     };
+    findAnkiNoteIds: {
+        params: {
+            notes: Anki.Note[];
+        };
+        /** The ids of the notes which are duplicates of each note, found in a single request to Anki. */
+        return: Anki.NoteId[][];
+    };
     openCrossFramePort: {
         params: {
             targetTabId: number;
@@ -404,6 +588,81 @@ type ApiSurface = {
         params: void;
         return: void;
     };
+    termsFindCancel: {
+        params: {
+            lookupId: string;
+        };
+        return: void;
+    };
+    getSottakuCacheInfo: {
+        params: void;
+        return: SottakuCache.Info;
+    };
+    clearSottakuCache: {
+        params: void;
+        return: void;
+    };
+    getSottakuDueFlashcards: {
+        params: {
+            limit: number;
+            optionsContext: Settings.OptionsContext;
+        };
+        return: SottakuReview.Card[];
+    };
+    submitSottakuFlashcardReview: {
+        params: {
+            questionId: number;
+            grade: SottakuReview.Grade;
+            language: string;
+            optionsContext: Settings.OptionsContext;
+        };
+        return: void;
+    };
+    sendSottakuMutation: {
+        params: {
+            mutation: SottakuOutbox.Mutation;
+            optionsContext: Settings.OptionsContext;
+        };
+        return: SottakuOutbox.SendResult;
+    };
+    getSottakuOutbox: {
+        params: void;
+        return: SottakuOutbox.PendingMutation[];
+    };
+    flushSottakuOutbox: {
+        params: void;
+        return: SottakuOutbox.FlushResult;
+    };
+    retrySottakuMutation: {
+        params: {
+            language: string;
+            questionId: number;
+        };
+        return: SottakuOutbox.FlushResult;
+    };
+    discardSottakuMutation: {
+        params: {
+            language: string;
+            questionId: number;
+        };
+        return: void;
+    };
+    signInToSottaku: {
+        params: {
+            optionsContext: Settings.OptionsContext;
+        };
+        return: SottakuClient.SignInResult;
+    };
+    getSottakuCredentials: {
+        params: void;
+        return: SottakuCredentials.Credentials;
+    };
+    setSottakuCredentials: {
+        params: {
+            credentials: SottakuCredentials.Credentials;
+        };
+        return: void;
+    };
 };
 
 type ApiExtraArgs = [sender: chrome.runtime.MessageSender];
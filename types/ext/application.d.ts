@@ -79,6 +79,10 @@ export type ApiSurface = {
         };
         return: void;
     };
+    applicationSottakuCredentialsUpdated: {
+        params: void;
+        return: void;
+    };
     frontendRequestReadyBroadcast: {
         params: {
             frameId: number | null;
@@ -162,6 +166,7 @@ export type Events = {
     };
     closePopups: Record<string, never>;
     storageChanged: Record<string, never>;
+    sottakuCredentialsUpdated: Record<string, never>;
 };
 
 export type EventArgument<TName extends EventNames<Events>> = BaseEventArgument<Events, TName>;
@@ -0,0 +1,50 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as Anki from './anki';
+import type * as AnkiNoteBuilder from './anki-note-builder';
+import type * as AnkiTemplatesInternal from './anki-templates-internal';
+import type * as Dictionary from './dictionary';
+
+/** A part of a text, along with its position in the text. */
+export type TextSpan = {
+    text: string;
+    offset: number;
+};
+
+/** An unknown term which was found in the pasted text. */
+export type Candidate = {
+    term: string;
+    reading: string;
+    dictionaryEntry: Dictionary.TermDictionaryEntry;
+    /** The note context, whose sentence is the sentence which the term was first found in. */
+    context: AnkiTemplatesInternal.Context;
+    /** The note created without media, which is used to check whether the term is already in Anki. */
+    note: Anki.Note;
+    /** The media which has to be added to the note before it is sent to Anki. */
+    requirements: AnkiNoteBuilder.Requirement[];
+};
+
+/** A candidate which is listed in the bulk mining modal. */
+export type CandidateItem = {
+    candidate: Candidate;
+    node: HTMLElement;
+    checkbox: HTMLInputElement;
+    status: HTMLElement;
+};
+
+export type CandidateStatus = 'added' | 'error';
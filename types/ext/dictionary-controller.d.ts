@@ -26,4 +26,19 @@ type DictionaryUpdateTask = {
     downloadUrl: string | undefined;
 };
 
-export type DictionaryTask = DictionaryDeleteTask | DictionaryUpdateTask;
+type DictionaryBuildGlossaryIndexTask = {
+    type: 'buildGlossaryIndex';
+    dictionaryTitle: string;
+};
+
+type DictionaryCompressGlossariesTask = {
+    type: 'compressGlossaries';
+    dictionaryTitle: string;
+};
+
+type DictionaryExportTask = {
+    type: 'export';
+    dictionaryTitle: string;
+};
+
+export type DictionaryTask = DictionaryDeleteTask | DictionaryUpdateTask | DictionaryBuildGlossaryIndexTask | DictionaryCompressGlossariesTask | DictionaryExportTask;
@@ -53,6 +53,8 @@ export type DatabaseTermEntry = {
     rules: string;
     score: number;
     glossary: DictionaryData.TermGlossary[];
+    /** The deflated JSON of the glossary, in which case `glossary` is empty. */
+    glossaryCompressed?: ArrayBuffer;
     sequence?: number;
     termTags?: string;
     dictionary: string;
@@ -60,6 +62,16 @@ export type DatabaseTermEntry = {
 
 export type DatabaseTermEntryWithId = DatabaseTermEntry & DatabaseId;
 
+/**
+ * A token found in the glossaries of a term, used to search terms by their meaning.
+ */
+export type DatabaseGlossaryIndexEntry = {
+    dictionary: string;
+    token: string;
+    expression: string;
+    reading: string;
+};
+
 export type TermEntry = {
     index: number;
     matchType: MatchType;
@@ -199,7 +211,8 @@ export type ObjectStoreName = (
     'kanji' |
     'kanjiMeta' |
     'tagMeta' |
-    'media'
+    'media' |
+    'glossaryIndex'
 );
 
 export type ObjectStoreData<T extends ObjectStoreName> = (
@@ -210,9 +223,15 @@ export type ObjectStoreData<T extends ObjectStoreName> = (
     T extends 'kanjiMeta' ? DatabaseKanjiMeta :
     T extends 'tagMeta' ? Tag :
     T extends 'media' ? MediaDataArrayBufferContent :
+    T extends 'glossaryIndex' ? DatabaseGlossaryIndexEntry :
     never
 );
 
+export type DictionaryRow<T extends ObjectStoreName> = {
+    key: number;
+    row: ObjectStoreData<T>;
+};
+
 export type DatabaseUpdateItem = {
     primaryKey: IDBValidKey;
     data: ObjectStoreData<T>;
@@ -241,6 +260,36 @@ export type TermExactRequest = {
     reading: string;
 };
 
+export type TermGlossaryRequest = {
+    term: string;
+    reading: string;
+    dictionary: string;
+};
+
+export type TermPatternSearchResult = {
+    entries: TermEntry[];
+    /**
+     * The primary key of the last term which was scanned, from which the next page of results continues.
+     * This is `null` once every term has been scanned.
+     */
+    nextCursor: number | null;
+    scannedCount: number;
+};
+
+export type BuildGlossaryIndexProgressData = {
+    count: number;
+    processed: number;
+};
+
+export type BuildGlossaryIndexProgressCallback = (data: BuildGlossaryIndexProgressData) => void;
+
+export type CompressGlossariesProgressData = {
+    count: number;
+    processed: number;
+};
+
+export type CompressGlossariesProgressCallback = (data: CompressGlossariesProgressData) => void;
+
 export type MediaRequest = {
     path: string;
     dictionary: string;
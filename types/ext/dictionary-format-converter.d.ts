@@ -0,0 +1,57 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as DictionaryData from './dictionary-data';
+
+export type FormatName = 'yomitan' | 'stardict' | 'mdict' | 'delimited-text';
+
+/**
+ * A file which is part of a dictionary in any of the supported formats.
+ */
+export type SourceFile = {
+    name: string;
+    content: ArrayBuffer;
+};
+
+export type ProgressData = {
+    index: number;
+    count: number;
+};
+
+export type OnProgressCallback = (data: ProgressData) => void;
+
+/**
+ * Receives the content of a dictionary while it is converted, so that the whole dictionary is never held in memory.
+ */
+export type DictionaryWriter = {
+    addTerm: (term: DictionaryData.TermV3) => Promise<void>;
+    /** Adds a file which is referenced by the term glossaries, at its path in the archive. */
+    addMedia: (path: string, content: Uint8Array) => Promise<void>;
+};
+
+export type DictionaryFormatConverter = {
+    format: Exclude<FormatName, 'yomitan'>;
+    /** The file name extensions which belong to the format, such as `.ifo`. */
+    fileExtensions: string[];
+    /** Whether a dictionary consists of several files which share a base name. */
+    multipleFiles: boolean;
+    /**
+     * Converts the files of a single dictionary, passing its terms and media to the writer as they are converted.
+     * Progress is reported in units which depend on the format, such as processed entries.
+     */
+    convert: (files: SourceFile[], writer: DictionaryWriter, onProgress: OnProgressCallback) => Promise<DictionaryData.Index>;
+};
@@ -40,7 +40,11 @@ export type ImportResult = {
 
 export type ImportDetails = {
     prefixWildcardsSupported: boolean;
+    glossaryIndexEnabled?: boolean;
+    glossaryCompressionEnabled?: boolean;
     yomitanVersion: string;
+    /** Imports the dictionary under this title instead of the one in its index. */
+    title?: string;
 };
 
 export type Summary = {
@@ -51,6 +55,14 @@ export type Summary = {
     version: number;
     importDate: number;
     prefixWildcardsSupported: boolean;
+    /**
+     * Whether the glossaries are indexed, so that the dictionary can be searched by meaning.
+     */
+    glossaryIndexed?: boolean;
+    /**
+     * Whether the term glossaries are stored compressed.
+     */
+    glossaryCompressed?: boolean;
     counts?: SummaryCounts;
     styles: string;
     isUpdatable?: boolean;
@@ -64,14 +76,39 @@ export type Summary = {
     targetLanguage?: string;
     frequencyMode?: 'occurrence-based' | 'rank-based';
     importSuccess?: boolean;
+    /**
+     * Whether the dictionary is served by a remote service rather than stored in the database.
+     */
+    isRemote?: boolean;
+    /**
+     * Present while the dictionary is being imported.
+     * It is left behind when an import is interrupted, so that importing the same archive again resumes it.
+     */
+    importCheckpoint?: ImportCheckpoint;
+};
+
+export type ImportCheckpoint = {
+    /** The names of the bank files whose rows have all been added to the database. */
+    committedFiles: string[];
+    /** The total number of bank files in the archive. */
+    fileCount: number;
+    /** The number of rows that the committed files added to each object store. */
+    rowCounts: ImportCheckpointRowCounts;
+};
+
+export type ImportCheckpointRowCounts = {
+    [objectStoreName in DictionaryDatabase.ObjectStoreName]?: number;
 };
 
 export type SummaryDetails = {
     prefixWildcardsSupported: boolean;
+    glossaryIndexed: boolean;
+    glossaryCompressed: boolean;
     counts: SummaryCounts;
     styles: string;
     yomitanVersion: string;
     importSuccess: boolean;
+    importCheckpoint?: ImportCheckpoint;
 };
 
 export type SummaryCounts = {
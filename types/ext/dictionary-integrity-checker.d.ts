@@ -0,0 +1,81 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as DictionaryDatabase from './dictionary-database';
+import type * as DictionaryImporter from './dictionary-importer';
+
+export type ProgressData = {
+    /** The number of object stores of dictionaries which have been scanned. */
+    index: number;
+    /** The total number of object stores of dictionaries to scan. */
+    count: number;
+};
+
+export type OnProgressCallback = (data: ProgressData) => void;
+
+export type DictionaryObjectStoreName = Exclude<DictionaryDatabase.ObjectStoreName, 'dictionaries'>;
+
+export type RowCounts = {
+    [objectStoreName in DictionaryObjectStoreName]?: number;
+};
+
+export type IntegrityReport = {
+    dictionaries: DictionaryIntegrityReport[];
+    /** Rows which belong to dictionaries that have no summary. */
+    orphanDictionaries: OrphanDictionaryReport[];
+    /** The number of rows in each object store which do not belong to any dictionary. */
+    unownedRows: RowCounts;
+};
+
+export type DictionaryIntegrityReport = {
+    title: string;
+    /** The summary counts which disagree with the rows in the database. */
+    countMismatches: CountMismatch[];
+    /** The number of rows in each object store which repeat an earlier row of the dictionary. */
+    duplicateRows: RowCounts;
+    /** The media paths which glossaries refer to, but which the dictionary has no media for. */
+    missingMedia: string[];
+};
+
+export type CountMismatch = {
+    objectStoreName: keyof DictionaryImporter.SummaryCounts;
+    expected: number;
+    actual: number;
+};
+
+export type OrphanDictionaryReport = {
+    dictionary: string;
+    rowCounts: RowCounts;
+};
+
+export type RepairResult = {
+    /** The issues which were found and repaired. */
+    repaired: IntegrityReport;
+    /** The issues which remain, such as missing media, which can only be fixed by importing the dictionary again. */
+    remaining: IntegrityReport;
+};
+
+export type ScanResult = {
+    report: IntegrityReport;
+    summaries: Map<string, DictionaryImporter.Summary>;
+    /** The primary keys of the rows which do not belong to any dictionary. */
+    unownedKeys: Map<DictionaryObjectStoreName, number[]>;
+    /** The primary keys of the rows which repeat an earlier row of their dictionary. */
+    duplicateKeys: Map<DictionaryObjectStoreName, number[]>;
+    /** The counts of each dictionary once its duplicate rows are removed. */
+    counts: Map<string, DictionaryImporter.SummaryCounts>;
+};
@@ -0,0 +1,33 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as Core from './core';
+
+export type DictionaryUpdate = {
+    /** The title of the installed revision. */
+    title: string;
+    /** The title of the newer revision, which is usually the same. */
+    newTitle: string;
+    revision: string;
+    downloadUrl: string;
+};
+
+export type DictionaryUpdateCheck = {
+    updates: DictionaryUpdate[];
+    /** Dictionaries which could not be checked. */
+    errors: Core.SerializedError[];
+};
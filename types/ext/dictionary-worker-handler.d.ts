@@ -15,6 +15,8 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
+import type * as DictionaryExporter from './dictionary-exporter';
+import type * as DictionaryFormatConverter from './dictionary-format-converter';
 import type * as DictionaryImporter from './dictionary-importer';
 import type * as DictionaryWorkerMediaLoader from './dictionary-worker-media-loader';
 
@@ -22,8 +24,14 @@ export type OnProgressCallback = (...args: unknown[]) => void;
 
 export type Message = (
     ImportDictionaryMessage |
+    ImportDictionaryFilesMessage |
     DeleteDictionaryMessage |
     GetDictionaryCountsMessage |
+    BuildGlossaryIndexMessage |
+    CompressGlossariesMessage |
+    ExportDictionaryMessage |
+    CheckDictionaryIntegrityMessage |
+    RepairDictionaryIntegrityMessage |
     GetImageDetailsResponseMessage
 );
 
@@ -37,6 +45,16 @@ export type ImportDictionaryMessageParams = {
     archiveContent: ArrayBuffer;
 };
 
+export type ImportDictionaryFilesMessage = {
+    action: 'importDictionaryFiles';
+    params: ImportDictionaryFilesMessageParams;
+};
+
+export type ImportDictionaryFilesMessageParams = {
+    details: DictionaryImporter.ImportDetails;
+    files: DictionaryFormatConverter.SourceFile[];
+};
+
 export type DeleteDictionaryMessage = {
     action: 'deleteDictionary';
     params: DeleteDictionaryMessageParams;
@@ -56,6 +74,48 @@ export type GetDictionaryCountsMessageParams = {
     getTotal: boolean;
 };
 
+export type BuildGlossaryIndexMessage = {
+    action: 'buildGlossaryIndex';
+    params: BuildGlossaryIndexMessageParams;
+};
+
+export type BuildGlossaryIndexMessageParams = {
+    dictionaryTitle: string;
+};
+
+export type CompressGlossariesMessage = {
+    action: 'compressGlossaries';
+    params: CompressGlossariesMessageParams;
+};
+
+export type CompressGlossariesMessageParams = {
+    dictionaryTitle: string;
+};
+
+export type ExportDictionaryMessage = {
+    action: 'exportDictionary';
+    params: ExportDictionaryMessageParams;
+};
+
+export type ExportDictionaryMessageParams = {
+    dictionaryTitle: string;
+    details: DictionaryExporter.ExportDetails;
+};
+
+export type CheckDictionaryIntegrityMessage = {
+    action: 'checkDictionaryIntegrity';
+    params: CheckDictionaryIntegrityMessageParams;
+};
+
+export type CheckDictionaryIntegrityMessageParams = Record<string, never>;
+
+export type RepairDictionaryIntegrityMessage = {
+    action: 'repairDictionaryIntegrity';
+    params: RepairDictionaryIntegrityMessageParams;
+};
+
+export type RepairDictionaryIntegrityMessageParams = Record<string, never>;
+
 export type GetImageDetailsResponseMessage = {
     action: 'getImageDetails.response';
     params: DictionaryWorkerMediaLoader.HandleMessageParams;
@@ -17,7 +17,9 @@
 
 import type * as Core from './core';
 import type * as DictionaryDatabase from './dictionary-database';
+import type * as DictionaryExporter from './dictionary-exporter';
 import type * as DictionaryImporter from './dictionary-importer';
+import type * as DictionaryIntegrityChecker from './dictionary-integrity-checker';
 
 export type InvokeDetails<TResponseRaw = unknown, TResponse = unknown> = {
     complete: boolean;
@@ -71,3 +73,11 @@ export type MessageCompleteResult = {
 export type ImportProgressCallback = (details: DictionaryImporter.ProgressData) => void;
 
 export type DeleteProgressCallback = (details: DictionaryDatabase.DeleteDictionaryProgressData) => void;
+
+export type BuildGlossaryIndexProgressCallback = (details: DictionaryDatabase.BuildGlossaryIndexProgressData) => void;
+
+export type CompressGlossariesProgressCallback = (details: DictionaryDatabase.CompressGlossariesProgressData) => void;
+
+export type ExportProgressCallback = (details: DictionaryExporter.ProgressData) => void;
+
+export type IntegrityProgressCallback = (details: DictionaryIntegrityChecker.ProgressData) => void;
@@ -495,12 +495,12 @@ export type TermFrequency = {
 /**
  * Enum representing how the search term relates to the final term.
  */
-export type TermSourceMatchType = 'exact' | 'prefix' | 'suffix';
+export type TermSourceMatchType = 'exact' | 'prefix' | 'suffix' | 'meaning' | 'pattern' | 'regex';
 
 /**
  * Enum representing what database field was used to match the source term.
  */
-export type TermSourceMatchSource = 'term' | 'reading' | 'sequence';
+export type TermSourceMatchSource = 'term' | 'reading' | 'sequence' | 'glossary';
 
 /**
  * Source information represents how the original text was transformed to get to the final term.
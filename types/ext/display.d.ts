@@ -19,6 +19,7 @@ import type * as Dictionary from './dictionary';
 import type * as Extension from './extension';
 import type * as Settings from './settings';
 import type * as TextScannerTypes from './text-scanner';
+import type * as Translator from './translator';
 import type {EventNames, EventArgument as BaseEventArgument} from './core';
 import type {Message as FrameClientMessage} from './frame-client';
 import type {
@@ -63,6 +64,13 @@ export type HistoryParams = {
     query?: string;
     /** Whether or not wildcards can be used for the search query. */
     wildcards?: 'on' | 'off';
+    /**
+     * Whether the search query is matched against headwords, against the words of their definitions,
+     * or against headwords as a wildcard pattern or regular expression.
+     */
+    search?: 'headword' | 'meaning' | 'pattern';
+    /** The database cursor to continue a wildcard or regular expression search from. */
+    cursor?: string;
     /** The start position of the `query` string as an index into the `full` query string. */
     offset?: string;
     /** The full search text. If absent, `query` is the full search text. */
@@ -97,6 +105,8 @@ export type HistoryState = {
     documentTitle?: string;
     /** Computed theme of the page */
     pageTheme?: 'dark' | 'light';
+    /** The id of the lookup history record of the content. */
+    historyRecordId?: string;
 };
 
 /**
@@ -119,6 +129,19 @@ export type HistoryContent = {
     dictionaryEntries?: Dictionary.DictionaryEntry[];
     /** The identifying information for the frame the content originated from. */
     contentOrigin?: Extension.ContentOrigin;
+    /** The paging state of a wildcard or regular expression search. */
+    patternSearch?: PatternSearchResult | null;
+    /** The timing spans of the lookup which found the dictionary entries, if it was profiled. */
+    lookupTimings?: Translator.LookupTimingSpan[];
+};
+
+export type PatternSearchResult = {
+    /** The cursor of the next page of results, or `null` if the whole database has been scanned. */
+    nextCursor: number | null;
+    /** The number of terms that were scanned to find the results of this page. */
+    scannedCount: number;
+    /** The reason the pattern could not be searched for, or `null` if it was valid. */
+    error: string | null;
 };
 
 export type SearchMode = null | 'popup' | 'action-popup';
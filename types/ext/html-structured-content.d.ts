@@ -0,0 +1,29 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+export type ConversionOptions = {
+    /**
+     * Returns the archive path of the image referenced by an `img` element's `src` attribute,
+     * or `null` if the image is not part of the dictionary.
+     */
+    resolveImagePath: (source: string) => string | null;
+    /**
+     * Returns the term which a link to another entry of the dictionary refers to,
+     * or `null` if the link does not refer to an entry.
+     */
+    resolveLinkQuery: (href: string) => string | null;
+};
@@ -0,0 +1,38 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Information about where the text was found, used to identify its language.
+ */
+export type Hints = {
+    /** The `lang` attribute of the element containing the text. */
+    documentLanguage: string | null;
+    /** The sentence surrounding the text. */
+    sentence: string | null;
+};
+
+export type CandidateLanguage = {
+    iso: string;
+    /** Unicode script names, such as `Hangul`, used to write the language. */
+    scripts: string[];
+};
+
+export type RankedLanguage = {
+    iso: string;
+    /** A value between 0 and 1; the confidences of all of the ranked languages add up to 1. */
+    confidence: number;
+};
@@ -0,0 +1,83 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+export type ObjectStoreName = 'records';
+
+export type LookupType = 'terms' | 'kanji';
+
+export type SavedHeadword = {
+    term: string;
+    reading: string;
+};
+
+/** The details of a lookup which are provided by the page it was made in. */
+export type HistoryRecordDetails = {
+    /** A random identifier which is assigned by the page, so that saves can refer to the lookup before it has been stored. */
+    id: string;
+    type: LookupType;
+    /** The text which was looked up. */
+    query: string;
+    /** The headword of the first dictionary entry, or an empty string if the lookup found nothing. */
+    term: string;
+    reading: string;
+    /** The dictionaries which contributed to the first dictionary entry, empty if the lookup found nothing. */
+    dictionaries: string[];
+    sentence: string;
+    /** The offset of the query in the sentence. */
+    sentenceOffset: number;
+    url: string;
+    documentTitle: string;
+};
+
+export type HistoryRecord = HistoryRecordDetails & {
+    timestamp: number;
+    /** The name of the profile which was used for the lookup. */
+    profile: string;
+    saved: boolean;
+    /** The time a note was last saved from the lookup. */
+    savedTimestamp: number | null;
+    savedHeadwords: SavedHeadword[];
+};
+
+export type SavedFilter = 'all' | 'saved' | 'unsaved';
+
+export type Filter = {
+    text: string;
+    /** The start of the first day to include, as a timestamp. */
+    startTime: number | null;
+    /** The end of the last day to include, as a timestamp. */
+    endTime: number | null;
+    /** The host name of the page the lookup was made on, or `null` for any site. */
+    site: string | null;
+    dictionary: string | null;
+    saved: SavedFilter;
+};
+
+export type ExportFormat = 'csv' | 'json';
+
+/** The position of the last record which was read, from which the next page continues. */
+export type RecordCursor = {
+    timestamp: number;
+    id: string;
+};
+
+export type RecordPage = {
+    /** The records which matched the filter, newest first. */
+    records: HistoryRecord[];
+    /** The cursor for the next page, or `null` if there are no older records. */
+    cursor: RecordCursor | null;
+};
@@ -0,0 +1,37 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+export type Key = {
+    key: string;
+    /** The position of the key's record in the decompressed record blocks. */
+    offset: number;
+};
+
+export type Entry = {
+    key: string;
+    record: Uint8Array;
+};
+
+/** The header and keys of an `.mdx` or `.mdd` file, along with its record blocks, which are decompressed as they are read. */
+export type MdictFile = {
+    header: Map<string, string>;
+    /** The keys of the file, ordered by the position of their records. */
+    keys: Key[];
+    /** The compressed size of each record block. */
+    recordBlockSizes: number[];
+    recordBlocks: Uint8Array;
+};
@@ -18,7 +18,9 @@
 import type * as Dictionary from './dictionary';
 import type * as DictionaryDatabase from './dictionary-database';
 import type * as DictionaryImporter from './dictionary-importer';
+import type * as DictionaryUpdater from './dictionary-updater';
 import type * as Environment from './environment';
+import type * as PersonalDictionary from './personal-dictionary';
 import type * as Translation from './translation';
 import type * as TranslationInternal from './translation-internal';
 import type * as Translator from './translator';
@@ -50,6 +52,40 @@ type ApiSurface = {
         };
         return: DictionaryDatabase.Media<string>[];
     };
+    checkForDictionaryUpdatesOffscreen: {
+        params: void;
+        return: DictionaryUpdater.DictionaryUpdateCheck;
+    };
+    updateDictionaryOffscreen: {
+        params: {
+            update: DictionaryUpdater.DictionaryUpdate;
+            details: DictionaryImporter.ImportDetails;
+        };
+        return: DictionaryImporter.Summary;
+    };
+    getPersonalDictionaryEntriesOffscreen: {
+        params: void;
+        return: PersonalDictionary.Entry[];
+    };
+    addPersonalDictionaryEntryOffscreen: {
+        params: {
+            content: PersonalDictionary.EntryContent;
+        };
+        return: void;
+    };
+    updatePersonalDictionaryEntryOffscreen: {
+        params: {
+            id: number;
+            content: PersonalDictionary.EntryContent;
+        };
+        return: void;
+    };
+    deletePersonalDictionaryEntryOffscreen: {
+        params: {
+            id: number;
+        };
+        return: void;
+    };
     translatorPrepareOffscreen: {
         params: void;
         return: void;
@@ -69,6 +105,15 @@ type ApiSurface = {
         };
         return: Translator.FindTermsResult;
     };
+    findTermsByPatternOffscreen: {
+        params: {
+            mode: Translator.FindTermsMode;
+            text: string;
+            options: FindTermsOptionsOffscreen;
+            page: Translator.PatternSearchPage;
+        };
+        return: Translator.FindTermsByPatternResult;
+    };
     getDeinflectionTextVariantsOffscreen: {
         params: {
             text: string;
@@ -0,0 +1,31 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+export type Entry = EntryContent & {
+    /** The primary key of the term in the database. */
+    id: number;
+};
+
+export type EntryContent = {
+    term: string;
+    /** Empty when the reading is the same as the term. */
+    reading: string;
+    definitions: string[];
+    tags: string[];
+    /** An example sentence, or an empty string. */
+    sentence: string;
+};
@@ -68,6 +68,8 @@ export type GlobalOptions = {
 
 export type GlobalDatabaseOptions = {
     prefixWildcardsSupported: boolean;
+    glossaryIndexEnabled: boolean;
+    glossaryCompressionEnabled: boolean;
 };
 
 export type Profile = {
@@ -155,23 +157,26 @@ export type GeneralOptions = {
     stickySearchHeader: boolean;
     enableYomitanApi: boolean;
     yomitanApiAllowCssSanitizationBypass: boolean;
+    historyEnabled: boolean;
+    /** The number of days lookups are kept in the history, or 0 to keep them indefinitely. */
+    historyRetentionDays: number;
 };
 
 export type SottakuOptions = {
     enabled: boolean;
     apiBaseUrl: string;
-    authToken: string;
-    languageMode: 'auto' | 'ja' | 'ko' | 'mixed';
+    /** `auto`, `mixed`, or the code of a language supported by Sottaku. */
+    languageMode: string;
     preferredLanguages: string[];
-    user: SottakuUser | null;
     cookieDomain: string;
+    cache: SottakuCacheOptions;
 };
 
-export type SottakuUser = {
-    id: number;
-    username: string | null;
-    email: string | null;
-    isPro: boolean;
+export type SottakuCacheOptions = {
+    enabled: boolean;
+    maxEntries: number;
+    ttlHours: number;
+    serveStaleWhenOffline: boolean;
 };
 
 export type PopupWindowOptions = {
@@ -332,6 +337,8 @@ export type AnkiOptions = {
     apiKey: string;
     downloadTimeout: number;
     forceSync: boolean;
+    offlineQueueEnabled: boolean;
+    miningLogEnabled: boolean;
 };
 
 export type AnkiScreenshotOptions = {
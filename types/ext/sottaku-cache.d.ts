@@ -0,0 +1,57 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+export type ObjectStoreName = 'responses';
+
+export type ResponseType = 'scan' | 'wordInfo';
+
+export type Options = {
+    enabled: boolean;
+    maxEntries: number;
+    ttlHours: number;
+    serveStaleWhenOffline: boolean;
+};
+
+export type DatabaseRecord = {
+    /** The id of the Sottaku user whose response this is. */
+    user: number;
+    type: ResponseType;
+    language: string;
+    text: string;
+    value: unknown;
+    size: number;
+    timestamp: number;
+};
+
+export type CachedValue<T = unknown> = {
+    value: T;
+    stale: boolean;
+};
+
+export type ScanValue = {
+    results: unknown[];
+    originalTextLength: number;
+    maxResults: number | null;
+};
+
+export type Info = {
+    count: number;
+    size: number;
+    counts: {[type in ResponseType]: number};
+    oldestTimestamp: number | null;
+    newestTimestamp: number | null;
+};
@@ -0,0 +1,48 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type {EventNames, EventArgument as BaseEventArgument} from './core';
+
+/**
+ * Whether the Sottaku account is signed in, was signed in but its session expired, or was never linked.
+ */
+export type SessionState = 'signedIn' | 'signedOut' | 'notLinked';
+
+export type Events = {
+    authTokenChanged: {
+        authToken: string;
+        previousAuthToken: string;
+    };
+    sessionExpired: {
+        authToken: string;
+    };
+};
+
+export type EventArgument<TName extends EventNames<Events>> = BaseEventArgument<Events, TName>;
+
+export type SessionExpiredErrorData = {
+    sottakuSessionExpired: true;
+};
+
+export type HttpErrorData = {
+    /** The HTTP status of the response, which is 2xx when the response body reports a failure. */
+    sottakuStatus: number;
+};
+
+export type SignInResult = {
+    signedIn: boolean;
+};
@@ -0,0 +1,32 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+export type User = {
+    id: number;
+    username: string | null;
+    email: string | null;
+    isPro: boolean;
+};
+
+/**
+ * The Sottaku account which is shared by all profiles.
+ * `user` is kept when the session expires, so that the account can be shown as signed out rather than not linked.
+ */
+export type Credentials = {
+    authToken: string;
+    user: User | null;
+};
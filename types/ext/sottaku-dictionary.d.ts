@@ -0,0 +1,46 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+import type * as SottakuReview from './sottaku-review';
+
+/**
+ * The metadata that `SottakuIntegration` attaches to the entries it creates,
+ * and to the local entries that Sottaku results are merged into.
+ */
+export type EntryMetadata = {
+    questionId: number | null;
+    language: string;
+    inFlashcards: boolean;
+    flashcardStatus: SottakuReview.FlashcardStatus | null;
+    /**
+     * Audio URLs of the word and of the example sentence.
+     * They are `null` until resolved, as search results do not always include them.
+     */
+    audio: {
+        word: string | null;
+        sentence: string | null;
+    };
+    matchLength: number | null;
+    hasDefinition: boolean;
+    translation: string;
+    sentence: string;
+    sentenceTranslation: string;
+    usageNotes: string;
+    reading: string;
+    term: string;
+    languageFlag: string;
+};
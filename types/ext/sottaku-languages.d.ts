@@ -0,0 +1,36 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * A normalization applied to the lookup text before it is sent to Sottaku.
+ */
+export type TextTransform = 'nfc' | 'nfkc' | 'lowercase' | 'removeDiacritics' | 'collapseWhitespace';
+
+/**
+ * What the extension knows about a Sottaku study language, as described by the supported-languages response.
+ */
+export type LanguageCapability = {
+    /** ISO 639 code of the language. */
+    iso: string;
+    name: string;
+    flag: string;
+    /** Unicode script names, such as `Hangul`, used to detect the language of the lookup text. */
+    scripts: string[];
+    textTransforms: TextTransform[];
+    /** Whether the lookup text is deinflected using the language transforms of the translator. */
+    deinflect: boolean;
+};
@@ -0,0 +1,51 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+export type ObjectStoreName = 'mutations';
+
+export type MutationAction = 'addFlashcard' | 'removeFlashcard' | 'submitWordRequest';
+
+export type Mutation = {
+    action: MutationAction;
+    questionId: number;
+    language: string;
+    /** The term of the entry the action was made on, used for display. */
+    term: string;
+};
+
+export type PendingMutation = Mutation & {
+    timestamp: number;
+    attemptCount: number;
+    lastError: string | null;
+    /**
+     * Whether Sottaku rejected the mutation, or sending it failed too many times.
+     * Parked mutations are skipped when the outbox is sent, until the user retries or discards them.
+     */
+    parked: boolean;
+};
+
+export type SendResult = {
+    /** Whether the mutation was stored in the outbox because Sottaku could not be reached. */
+    queued: boolean;
+};
+
+export type FlushResult = {
+    sentCount: number;
+    /** The number of mutations still in the outbox, including parked ones. */
+    remainingCount: number;
+    parkedCount: number;
+};
@@ -0,0 +1,45 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Review grade, from 1 (again) to 4 (easy).
+ */
+export type Grade = 1 | 2 | 3 | 4;
+
+/**
+ * Review status of a flashcard.
+ */
+export type FlashcardStatus = 'new' | 'learning' | 'mature';
+
+/**
+ * A due flashcard, described using the same fields as the Sottaku metadata of a dictionary entry.
+ */
+export type Card = {
+    questionId: number;
+    language: string;
+    languageFlag: string;
+    term: string;
+    reading: string;
+    translation: string;
+    sentence: string;
+    sentenceTranslation: string;
+    usageNotes: string;
+    audio: {
+        word: string | null;
+        sentence: string | null;
+    };
+};
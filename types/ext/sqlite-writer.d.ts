@@ -0,0 +1,60 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+export type Value = null | number | string | Uint8Array;
+
+export type Row = {
+    rowid: number;
+    /** The values of the columns. Columns which alias the rowid (`INTEGER PRIMARY KEY`) must be `null`. */
+    values: Value[];
+};
+
+export type Table = {
+    name: string;
+    /** The `CREATE TABLE` statement, without a trailing semicolon. */
+    sql: string;
+    rows: Row[];
+};
+
+export type Index = {
+    name: string;
+    tableName: string;
+    /** The `CREATE INDEX` statement, without a trailing semicolon. */
+    sql: string;
+    /** The positions of the indexed columns in the rows of the table. */
+    columns: number[];
+};
+
+export type Cell = {
+    /** The cell content, excluding overflow pages which are allocated when the cell is written. */
+    prefix: Uint8Array;
+    payload: Uint8Array;
+    localSize: number;
+    size: number;
+};
+
+export type InteriorPage = {
+    cells: {child: number, divider: TreeDivider}[];
+    right: number;
+};
+
+export type TreeDivider = {
+    /** The largest rowid in the child subtree, for tables. */
+    rowid: number;
+    /** The entry which separates the child subtrees, for indices. */
+    payload: Uint8Array | null;
+};
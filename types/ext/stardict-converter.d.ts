@@ -0,0 +1,35 @@
+/*
+ * Copyright (C) 2025  Yomitan Authors
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+export type IndexEntry = {
+    word: string;
+    /** The position of the entry's data in the `.dict` file. */
+    offset: number;
+    size: number;
+};
+
+export type SynonymEntry = {
+    word: string;
+    /** The position of the synonym's entry in the `.idx` file. */
+    index: number;
+};
+
+export type EntryField = {
+    /** The StarDict type character of the field, such as `m` for plain text or `h` for HTML. */
+    type: string;
+    data: Uint8Array;
+};
@@ -22,6 +22,7 @@ import type * as Display from './display';
 import type * as Input from './input';
 import type * as Settings from './settings';
 import type * as TextSource from './text-source';
+import type * as Translator from './translator';
 import type {EventNames, EventArgument as BaseEventArgument} from './core';
 import {PageType} from 'frontend';
 
@@ -130,6 +131,8 @@ export type Events = {
         optionsContext: Settings.OptionsContext;
         detail: SearchResultDetail;
         pageTheme: 'dark' | 'light';
+        /** The timing spans of the term lookup, if it was profiled. */
+        lookupTimings: Translator.LookupTimingSpan[] | null;
     };
     searchEmpty: {
         inputInfo: InputInfo;
@@ -177,6 +180,7 @@ export type TermSearchResults = {
     type: 'terms';
     dictionaryEntries: Dictionary.TermDictionaryEntry[];
     sentence: Sentence;
+    lookupTimings?: Translator.LookupTimingSpan[];
 };
 
 export type KanjiSearchResults = {
@@ -197,3 +201,8 @@ export type SentenceTerminatorMap = Map<string, [includeCharacterAtStart: boolea
 export type SentenceForwardQuoteMap = Map<string, [character: string, includeCharacterAtStart: boolean]>;
 
 export type SentenceBackwardQuoteMap = Map<string, [character: string, includeCharacterAtEnd: boolean]>;
+
+export type PendingTermsFind = {
+    lookupId: string;
+    text: string;
+};
@@ -105,6 +105,11 @@ export type FindTermsOptions = {
      * ISO-639 code of the language.
      */
     language: string;
+    /**
+     * Whether the time taken by each stage of the lookup should be measured.
+     * Profiled lookups query each dictionary separately, so that the time spent in each dictionary is known.
+     */
+    profile?: boolean;
 };
 
 /**
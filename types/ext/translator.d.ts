@@ -80,4 +80,42 @@ export type TermReadingList = TermReadingItem[];
 export type FindTermsResult = {
     dictionaryEntries: Dictionary.TermDictionaryEntry[];
     originalTextLength: number;
+    /** The timing spans of the lookup, present when it was profiled. */
+    lookupTimings?: LookupTimingSpan[];
+};
+
+export type PatternSearchPage = {
+    /** The primary key of the last term scanned by the previous page, or `null` to start from the beginning. */
+    cursor: number | null;
+    /** The maximum number of matching terms to return. */
+    limit: number;
+    /** The maximum number of terms to scan before returning a partial page. */
+    scanBudget: number;
+};
+
+export type FindTermsByPatternResult = {
+    dictionaryEntries: Dictionary.TermDictionaryEntry[];
+    nextCursor: number | null;
+    scannedCount: number;
+};
+
+/**
+ * A stage of a term lookup which is timed when the lookup is profiled.
+ * - `'total'`: The whole lookup.
+ * - `'deinflection'`: Generating the deinflection candidates of the text.
+ * - `'findTerms'`: Querying the database for term entries.
+ * - `'relatedEntries'`: Merging entries which are related by their sequence numbers.
+ * - `'termMeta'`: Querying the database for frequencies and pronunciations.
+ * - `'remote'`: Waiting for a dictionary which is served by a remote service.
+ */
+export type LookupStage = 'total' | 'deinflection' | 'findTerms' | 'relatedEntries' | 'termMeta' | 'remote';
+
+export type LookupTimingSpan = {
+    stage: LookupStage;
+    /** The dictionary which was queried, or `null` if the stage covers all dictionaries. */
+    dictionary: string | null;
+    /** The time at which the span started, in milliseconds since the start of the lookup. */
+    start: number;
+    /** The duration of the span, in milliseconds. */
+    duration: number;
 };
@@ -17,6 +17,8 @@
 
 export type termEntriesInput = {
     term: string;
+    /** Whether the response should include the timing spans of the lookup. */
+    profile?: boolean;
 };
 
 export type kanjiEntriesInput = {